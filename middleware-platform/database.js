@@ -433,6 +433,22 @@ try {
     if (needDeductRemain) db.exec(`ALTER TABLE eligibility_checks ADD COLUMN deductible_remaining REAL;`);
     if (needCoins) db.exec(`ALTER TABLE eligibility_checks ADD COLUMN coinsurance_percent REAL;`);
     if (needPlan) db.exec(`ALTER TABLE eligibility_checks ADD COLUMN plan_summary TEXT;`);
+    // 271 benefits (out-of-pocket, visit limits, prior auth and the normalized benefits JSON)
+    const benefitColumns = {
+      out_of_pocket_total: 'REAL',
+      out_of_pocket_remaining: 'REAL',
+      visits_allowed: 'INTEGER',
+      visits_remaining: 'INTEGER',
+      prior_auth_required: 'BOOLEAN',
+      benefits: 'TEXT',
+      source: 'TEXT',
+      trace_number: 'TEXT'
+    };
+    for (const [column, type] of Object.entries(benefitColumns)) {
+      if (!info.some(c => c.name === column)) {
+        db.exec(`ALTER TABLE eligibility_checks ADD COLUMN ${column} ${type};`);
+      }
+    }
   }
 } catch (migrationError) {
   console.warn('⚠️  Eligibility checks migration failed:', migrationError.message);
@@ -505,7 +521,7 @@ db.exec(`
     provider TEXT DEFAULT 'DocLittle Mental Health Team',
     status TEXT DEFAULT 'scheduled',
     notes TEXT,
-    reminder_sent BOOLEAN DEFAULT 0,
+    reminder_sent BOOLEAN DEFAULT 0, -- unused; reminders are tracked in reminder_attempts
     calendar_event_id TEXT,
     calendar_link TEXT,
     cancellation_reason TEXT,
@@ -537,7 +553,15 @@ db.exec(`
     deductible_total REAL,
     deductible_remaining REAL,
     coinsurance_percent REAL,
+    out_of_pocket_total REAL,
+    out_of_pocket_remaining REAL,
+    visits_allowed INTEGER,
+    visits_remaining INTEGER,
+    prior_auth_required BOOLEAN,
     plan_summary TEXT,
+    benefits TEXT,
+    source TEXT,
+    trace_number TEXT,
     response_data TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (patient_id) REFERENCES fhir_patients(resource_id)
@@ -577,6 +601,8 @@ db.exec(`
     aliases TEXT,
     supported_transactions TEXT,
     is_active BOOLEAN DEFAULT 1,
+    -- JSON: what the payer requires on claims beyond the 837P basics (see claim-scrubber-service.js)
+    claim_requirements TEXT,
     last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   );
@@ -673,1834 +699,5291 @@ db.exec(`
   );
 
   CREATE INDEX IF NOT EXISTS idx_cpt_codes_description ON cpt_codes(description);
-`);
 
-// Re-enable foreign keys after table creation
-db.pragma('foreign_keys = ON');
+  -- ============================================
+  -- PROVIDER SCHEDULING TABLES
+  -- ============================================
 
-/**
- * Migration: Add missing columns to insurance_claims table
- * This handles the case where the table was created before circle_transfer_id, payment_status, and payment_amount were added
- */
-function migrateInsuranceClaimsTable() {
-  try {
-    // Temporarily disable foreign keys for migration
-    db.pragma('foreign_keys = OFF');
-    
-    // Get table info to check existing columns
-    const tableInfo = db.prepare("PRAGMA table_info(insurance_claims)").all();
-    const columnNames = tableInfo.map(col => col.name);
+  CREATE TABLE IF NOT EXISTS providers (
+    id TEXT PRIMARY KEY,
+    name TEXT UNIQUE NOT NULL,
+    email TEXT,
+    phone TEXT,
+    npi TEXT,
+    taxonomy_code TEXT,
+    calendar_id TEXT,
+    timezone TEXT DEFAULT 'America/New_York',
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
 
-    // Check and add circle_transfer_id if missing
-    if (!columnNames.includes('circle_transfer_id')) {
-      console.log('🔄 Migrating: Adding circle_transfer_id column to insurance_claims table');
-      db.prepare("ALTER TABLE insurance_claims ADD COLUMN circle_transfer_id TEXT").run();
-    }
+  -- Weekly working-hour template (day_of_week: 0 = Sunday ... 6 = Saturday)
+  CREATE TABLE IF NOT EXISTS provider_schedules (
+    id TEXT PRIMARY KEY,
+    provider_id TEXT NOT NULL,
+    day_of_week INTEGER NOT NULL,
+    start_time TEXT NOT NULL,
+    end_time TEXT NOT NULL,
+    effective_from TEXT,
+    effective_to TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (provider_id) REFERENCES providers(id)
+  );
 
-    // Check and add payment_status if missing
-    if (!columnNames.includes('payment_status')) {
-      console.log('🔄 Migrating: Adding payment_status column to insurance_claims table');
-      db.prepare("ALTER TABLE insurance_claims ADD COLUMN payment_status TEXT DEFAULT 'pending'").run();
-    }
+  -- Time off (start_time/end_time NULL = whole days blocked)
+  CREATE TABLE IF NOT EXISTS provider_time_off (
+    id TEXT PRIMARY KEY,
+    provider_id TEXT NOT NULL,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    start_time TEXT,
+    end_time TEXT,
+    reason TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (provider_id) REFERENCES providers(id)
+  );
 
-    // Check and add payment_amount if missing
-    if (!columnNames.includes('payment_amount')) {
-      console.log('🔄 Migrating: Adding payment_amount column to insurance_claims table');
-      db.prepare("ALTER TABLE insurance_claims ADD COLUMN payment_amount REAL").run();
-    }
-    
-    // Re-enable foreign keys after migration
-    db.pragma('foreign_keys = ON');
-  } catch (error) {
-    console.error('❌ Error during insurance_claims table migration:', error);
-    // Re-enable foreign keys even if migration fails
-    db.pragma('foreign_keys = ON');
-    // Don't throw - allow the app to continue even if migration fails
-  }
-}
+  -- Date-specific overrides that replace the weekly template for that date
+  CREATE TABLE IF NOT EXISTS provider_schedule_overrides (
+    id TEXT PRIMARY KEY,
+    provider_id TEXT NOT NULL,
+    date TEXT NOT NULL,
+    start_time TEXT,
+    end_time TEXT,
+    is_available BOOLEAN DEFAULT 1,
+    reason TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (provider_id) REFERENCES providers(id)
+  );
 
-// Run migration on startup
-migrateInsuranceClaimsTable();
+  CREATE INDEX IF NOT EXISTS idx_providers_name ON providers(name);
+  CREATE INDEX IF NOT EXISTS idx_provider_schedules_provider_day ON provider_schedules(provider_id, day_of_week);
+  CREATE INDEX IF NOT EXISTS idx_provider_time_off_provider ON provider_time_off(provider_id, start_date, end_date);
+  CREATE INDEX IF NOT EXISTS idx_provider_overrides_provider_date ON provider_schedule_overrides(provider_id, date);
 
-/**
- * Helper to safely stringify data
- */
-function safeStringify(data) {
-  if (data === null || data === undefined) return null;
-  if (typeof data === 'string') return data;
-  return JSON.stringify(data);
-}
+  -- ============================================
+  -- RECURRING APPOINTMENT SERIES
+  -- ============================================
 
+  -- One row per series; each occurrence is a regular appointments row with series_id set
+  CREATE TABLE IF NOT EXISTS appointment_series (
+    id TEXT PRIMARY KEY,
+    patient_name TEXT NOT NULL,
+    patient_phone TEXT,
+    patient_email TEXT,
+    patient_id TEXT,
+    appointment_type TEXT DEFAULT 'Mental Health Consultation',
+    provider TEXT,
+    provider_id TEXT,
+    time TEXT NOT NULL,
+    timezone TEXT DEFAULT 'America/New_York',
+    recurrence_rule TEXT NOT NULL,
+    start_date TEXT NOT NULL,
+    until_date TEXT,
+    occurrence_count INTEGER,
+    status TEXT DEFAULT 'active',
+    notes TEXT,
+    parent_series_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (provider_id) REFERENCES providers(id)
+  );
 
-module.exports = {
-  // ============================================
-  // MERCHANTS
-  // ============================================
-  createMerchant: (merchant) => {
-    return db.prepare(`
-      INSERT INTO merchants (id, name, api_key, api_url, webhook_url, enabled_platforms)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `).run(
-      merchant.id,
-      merchant.name,
-      merchant.api_key,
-      merchant.api_url,
-      merchant.webhook_url || null,
-      JSON.stringify(merchant.enabled_platforms || ['acp', 'ap2'])
-    );
-  },
+  CREATE INDEX IF NOT EXISTS idx_appointment_series_phone ON appointment_series(patient_phone);
+  CREATE INDEX IF NOT EXISTS idx_appointment_series_status ON appointment_series(status);
 
-  getMerchant: (id) => db.prepare('SELECT * FROM merchants WHERE id = ?').get(id),
+  -- ============================================
+  -- WAITLIST
+  -- ============================================
 
-  getMerchantByApiKey: (apiKey) => {
-    return db.prepare('SELECT * FROM merchants WHERE api_key = ?').get(apiKey);
-  },
+  -- Patients waiting for an earlier slot (preferred_days: JSON array, 0 = Sunday ... 6 = Saturday)
+  CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id TEXT PRIMARY KEY,
+    patient_name TEXT NOT NULL,
+    patient_phone TEXT,
+    patient_email TEXT,
+    appointment_type TEXT,
+    provider_id TEXT,
+    provider TEXT,
+    preferred_days TEXT,
+    preferred_time_start TEXT,
+    preferred_time_end TEXT,
+    earliest_date TEXT,
+    latest_date TEXT,
+    notes TEXT,
+    status TEXT DEFAULT 'active',
+    booked_appointment_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
 
-  getAllMerchants: () => db.prepare('SELECT * FROM merchants').all(),
+  -- Freed slots offered to waitlisted patients; a pending offer holds the slot until expires_at
+  CREATE TABLE IF NOT EXISTS waitlist_offers (
+    id TEXT PRIMARY KEY,
+    waitlist_entry_id TEXT NOT NULL,
+    slot_key TEXT NOT NULL,
+    date TEXT NOT NULL,
+    time TEXT NOT NULL,
+    start_time DATETIME NOT NULL,
+    end_time DATETIME NOT NULL,
+    appointment_type TEXT,
+    provider_id TEXT,
+    provider TEXT,
+    source_appointment_id TEXT,
+    token TEXT UNIQUE NOT NULL,
+    status TEXT DEFAULT 'pending',
+    sent_via TEXT,
+    expires_at DATETIME NOT NULL,
+    responded_at DATETIME,
+    appointment_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (waitlist_entry_id) REFERENCES waitlist_entries(id)
+  );
 
-  // ============================================
-  // PRODUCT SYNC
-  // ============================================
-  syncProduct: (sync) => {
-    return db.prepare(`
-      INSERT OR REPLACE INTO product_sync 
-      (id, merchant_id, merchant_product_id, platform, platform_product_id, 
-       sync_status, last_synced, product_data, universal_data)
-      VALUES (?, ?, ?, ?, ?, ?, datetime('now'), ?, ?)
-    `).run(
-      sync.id,
-      sync.merchant_id,
-      sync.merchant_product_id,
-      sync.platform,
-      sync.platform_product_id || null,
-      sync.sync_status || 'synced',
-      safeStringify(sync.product_data),
-      safeStringify(sync.universal_data)
-    );
-  },
+  CREATE INDEX IF NOT EXISTS idx_waitlist_entries_status ON waitlist_entries(status, created_at);
+  CREATE INDEX IF NOT EXISTS idx_waitlist_offers_slot ON waitlist_offers(slot_key, status);
+  CREATE INDEX IF NOT EXISTS idx_waitlist_offers_date ON waitlist_offers(date, status);
 
-  getSyncedProducts: (merchantId, platform) => {
-    return db.prepare(
-      'SELECT * FROM product_sync WHERE merchant_id = ? AND platform = ?'
-    ).all(merchantId, platform);
-  },
+  -- ============================================
+  -- GROUP SESSIONS
+  -- ============================================
 
-  getUniversalProducts: (merchantId) => {
-    return db.prepare(
-      'SELECT * FROM product_sync WHERE merchant_id = ? AND universal_data IS NOT NULL'
-    ).all(merchantId);
-  },
+  -- One row per group session; each attendee is a regular appointments row with group_session_id set
+  CREATE TABLE IF NOT EXISTS group_sessions (
+    id TEXT PRIMARY KEY,
+    appointment_type TEXT DEFAULT 'Group Therapy',
+    title TEXT,
+    provider TEXT,
+    provider_id TEXT,
+    date TEXT NOT NULL,
+    time TEXT NOT NULL,
+    start_time DATETIME NOT NULL,
+    end_time DATETIME NOT NULL,
+    duration_minutes INTEGER,
+    capacity INTEGER NOT NULL,
+    status TEXT DEFAULT 'scheduled',
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (provider_id) REFERENCES providers(id)
+  );
 
-  // ============================================
-  // TRANSACTIONS
-  // ============================================
-  createTransaction: (transaction) => {
-    return db.prepare(`
-      INSERT INTO transactions 
-      (id, merchant_id, platform, platform_order_id, merchant_order_id, 
-       product_id, amount, status, customer_email, customer_phone)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      transaction.id,
-      transaction.merchant_id,
-      transaction.platform,
-      transaction.platform_order_id || null,
-      transaction.merchant_order_id || null,
-      transaction.product_id,
-      transaction.amount,
-      transaction.status || 'pending',
-      transaction.customer_email,
-      transaction.customer_phone || null
-    );
-  },
+  CREATE INDEX IF NOT EXISTS idx_group_sessions_date ON group_sessions(date, time, status);
 
-  updateTransaction: (id, updates) => {
-    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
-    const values = [...Object.values(updates), id];
-    return db.prepare(`UPDATE transactions SET ${fields} WHERE id = ?`).run(...values);
-  },
+  -- ============================================
+  -- SCHEDULING CONFIGURATION
+  -- ============================================
 
-  getTransaction: (id) => db.prepare('SELECT * FROM transactions WHERE id = ?').get(id),
+  -- Bookable appointment types (capacity > 1 books seats in a shared group session)
+  CREATE TABLE IF NOT EXISTS appointment_types (
+    id TEXT PRIMARY KEY,
+    name TEXT UNIQUE NOT NULL,
+    duration_minutes INTEGER NOT NULL,
+    buffer_before_minutes INTEGER DEFAULT 0,
+    buffer_after_minutes INTEGER DEFAULT 0,
+    capacity INTEGER DEFAULT 1,
+    color TEXT,
+    cpt_code TEXT,
+    price REAL,
+    is_active BOOLEAN DEFAULT 1,
+    sort_order INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
 
-  getAllTransactions: () => {
-    return db.prepare('SELECT * FROM transactions ORDER BY created_at DESC').all();
-  },
+  -- Practice opening hours per weekday (0 = Sunday ... 6 = Saturday), with an optional break
+  CREATE TABLE IF NOT EXISTS business_hours (
+    day_of_week INTEGER PRIMARY KEY,
+    is_open BOOLEAN DEFAULT 1,
+    open_time TEXT,
+    close_time TEXT,
+    break_start TEXT,
+    break_end TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
 
-  getTransactionsByCustomer: (phone, email) => {
-    return db.prepare(
-      'SELECT * FROM transactions WHERE customer_phone = ? OR customer_email = ? ORDER BY created_at DESC'
-    ).all(phone, email);
-  },
+  -- Holidays and other whole-day closures (start_date = end_date for a single day)
+  CREATE TABLE IF NOT EXISTS business_closures (
+    id TEXT PRIMARY KEY,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    reason TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
 
-  getTransactionsByMerchant: (merchantId) => {
-    return db.prepare(
-      'SELECT * FROM transactions WHERE merchant_id = ? ORDER BY created_at DESC'
-    ).all(merchantId);
-  },
+  -- Practice-wide scheduling settings (timezone, slot_interval_minutes)
+  CREATE TABLE IF NOT EXISTS scheduling_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
 
-  getTransactionsByPhone: (phone, sinceDate) => {
-    return db.prepare(
-      'SELECT * FROM transactions WHERE customer_phone = ? AND created_at >= ? ORDER BY created_at DESC'
-    ).all(phone, sinceDate.toISOString());
-  },
+  CREATE INDEX IF NOT EXISTS idx_business_closures_dates ON business_closures(start_date, end_date);
 
-  getTransactionsByEmail: (email, sinceDate) => {
-    return db.prepare(
-      'SELECT * FROM transactions WHERE customer_email = ? AND created_at >= ? ORDER BY created_at DESC'
-    ).all(email, sinceDate.toISOString());
-  },
+  -- ============================================
+  -- SLOT HOLDS
+  -- ============================================
 
-  // ============================================
-  // CHECKOUT SESSIONS
-  // ============================================
-  createCheckoutSession: (session) => {
-    return db.prepare(`
-      INSERT INTO checkout_sessions (id, merchant_id, platform, session_data, status, expires_at)
-      VALUES (?, ?, ?, ?, ?, datetime('now', '+1 hour'))
-    `).run(
-      session.id,
-      session.merchant_id,
+  -- Slots offered during a voice call, reserved for that call until expires_at.
+  -- status: held -> confirmed (booked) | released (call ended or other offer) | expired
+  CREATE TABLE IF NOT EXISTS slot_holds (
+    id TEXT PRIMARY KEY,
+    call_id TEXT NOT NULL,
+    date TEXT NOT NULL,
+    time TEXT NOT NULL,
+    start_time DATETIME NOT NULL,
+    end_time DATETIME NOT NULL,
+    appointment_type TEXT,
+    provider_id TEXT,
+    provider TEXT,
+    status TEXT DEFAULT 'held',
+    expires_at DATETIME NOT NULL,
+    appointment_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_slot_holds_date ON slot_holds(date, status, expires_at);
+  CREATE INDEX IF NOT EXISTS idx_slot_holds_call ON slot_holds(call_id, status);
+
+  -- ============================================
+  -- GOOGLE CALENDAR SYNC
+  -- ============================================
+
+  -- Events added directly in Google Calendar (not by DocLittle); they block availability.
+  -- provider_id is NULL for the shared practice calendar, whose events block every provider
+  CREATE TABLE IF NOT EXISTS calendar_busy_blocks (
+    id TEXT PRIMARY KEY,
+    calendar_id TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    provider_id TEXT,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    start_time DATETIME NOT NULL,
+    end_time DATETIME NOT NULL,
+    all_day BOOLEAN DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Incremental sync position (Google sync token) per calendar
+  CREATE TABLE IF NOT EXISTS calendar_sync_state (
+    calendar_id TEXT PRIMARY KEY,
+    provider_id TEXT,
+    sync_token TEXT,
+    last_synced_at DATETIME,
+    last_error TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_calendar_busy_blocks_dates ON calendar_busy_blocks(start_date, end_date);
+  CREATE INDEX IF NOT EXISTS idx_appointments_calendar_event ON appointments(calendar_event_id);
+
+  -- ============================================
+  -- CALENDAR FEEDS (iCalendar subscriptions)
+  -- ============================================
+
+  -- Secret feed URLs; owner is a provider (owner_id = provider ID) or a patient (owner_id = phone).
+  -- Rotating a feed revokes the old token
+  CREATE TABLE IF NOT EXISTS calendar_feeds (
+    token TEXT PRIMARY KEY,
+    owner_type TEXT NOT NULL,
+    owner_id TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    revoked_at DATETIME
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_calendar_feeds_owner ON calendar_feeds(owner_type, owner_id);
+
+  -- ============================================
+  -- APPOINTMENT LIFECYCLE
+  -- ============================================
+
+  -- Every status change, with who made it (staff name, patient, voice_agent, system, ...)
+  CREATE TABLE IF NOT EXISTS appointment_status_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    appointment_id TEXT NOT NULL,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    actor TEXT,
+    reason TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_appointment_status_history ON appointment_status_history(appointment_id, id);
+
+  -- ============================================
+  -- ATTENDANCE POLICY (no-show / late-cancel fees)
+  -- ============================================
+
+  -- One fee per missed appointment. Kept when the appointment is deleted (financial record).
+  -- status: waived (grace or staff) | charged (card or wallet) | outstanding (on the patient balance)
+  CREATE TABLE IF NOT EXISTS attendance_fees (
+    id TEXT PRIMARY KEY,
+    appointment_id TEXT UNIQUE NOT NULL,
+    patient_phone TEXT,
+    patient_name TEXT,
+    fee_type TEXT NOT NULL,
+    amount REAL NOT NULL,
+    status TEXT NOT NULL,
+    charge_method TEXT,
+    charge_reference TEXT,
+    waived_reason TEXT,
+    waived_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Saved Stripe card used to collect fees off-session
+  CREATE TABLE IF NOT EXISTS patient_payment_profiles (
+    patient_phone TEXT PRIMARY KEY,
+    stripe_customer_id TEXT NOT NULL,
+    stripe_payment_method_id TEXT NOT NULL,
+    card_brand TEXT,
+    card_last4 TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_attendance_fees_patient ON attendance_fees(patient_phone, status);
+
+  -- ============================================
+  -- APPOINTMENT REMINDERS
+  -- ============================================
+
+  -- Reminder cadence: send on channel offset_minutes before the start.
+  -- appointment_type NULL applies to every type without active rules of its own
+  CREATE TABLE IF NOT EXISTS reminder_rules (
+    id TEXT PRIMARY KEY,
+    appointment_type TEXT,
+    channel TEXT NOT NULL,
+    offset_minutes INTEGER NOT NULL,
+    is_active INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Every reminder attempt. start_time is the appointment start the reminder was for,
+  -- so a rescheduled appointment gets its reminders again.
+  -- status: sent | queued (the notification outbox retries it) | failed | skipped (reason in error)
+  CREATE TABLE IF NOT EXISTS reminder_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    appointment_id TEXT NOT NULL,
+    rule_id TEXT,
+    channel TEXT NOT NULL,
+    offset_minutes INTEGER NOT NULL,
+    start_time TEXT NOT NULL,
+    recipient TEXT,
+    status TEXT NOT NULL,
+    error TEXT,
+    provider_message_id TEXT,
+    notification_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_reminder_rules_type ON reminder_rules(appointment_type, is_active);
+  CREATE INDEX IF NOT EXISTS idx_reminder_attempts_appointment ON reminder_attempts(appointment_id, rule_id);
+
+  -- ============================================
+  -- TWO-WAY SMS
+  -- ============================================
+
+  -- Every text patients send us, what it was taken to mean and what was done.
+  -- intent: confirm | cancel | reschedule_request | stop | start | help | unknown
+  -- inbox_status: NULL (handled automatically) | open (needs staff) | resolved
+  CREATE TABLE IF NOT EXISTS sms_inbound_messages (
+    id TEXT PRIMARY KEY,
+    message_sid TEXT UNIQUE,
+    from_phone TEXT NOT NULL,
+    to_phone TEXT,
+    body TEXT,
+    intent TEXT NOT NULL,
+    appointment_id TEXT,
+    outcome TEXT,
+    reply TEXT,
+    inbox_status TEXT,
+    resolved_by TEXT,
+    resolution_note TEXT,
+    resolved_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Numbers that replied STOP (E.164); removed when they reply START
+  CREATE TABLE IF NOT EXISTS sms_opt_outs (
+    phone TEXT PRIMARY KEY,
+    keyword TEXT,
+    opted_out_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_sms_inbound_inbox ON sms_inbound_messages(inbox_status, created_at);
+  CREATE INDEX IF NOT EXISTS idx_sms_inbound_phone ON sms_inbound_messages(from_phone, created_at);
+
+  -- ============================================
+  -- NOTIFICATION OUTBOX
+  -- ============================================
+
+  -- Every email and text we send. Kept when the appointment is deleted (record of what was sent).
+  -- status: pending (waiting for the next attempt or the end of quiet hours) | sending |
+  --         sent (accepted by the provider) | delivered | bounced (provider callbacks) |
+  --         failed (gave up) | blocked (no consent; reason in last_error)
+  CREATE TABLE IF NOT EXISTS notifications (
+    id TEXT PRIMARY KEY,
+    channel TEXT NOT NULL,
+    category TEXT,
+    recipient TEXT NOT NULL,
+    subject TEXT,
+    body TEXT NOT NULL,
+    text_body TEXT,
+    attachment TEXT,
+    appointment_id TEXT,
+    patient_phone TEXT,
+    status TEXT NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at DATETIME,
+    last_error TEXT,
+    provider TEXT,
+    provider_message_id TEXT,
+    resend_of TEXT,
+    sent_at DATETIME,
+    delivered_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_notifications_due ON notifications(status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_notifications_patient ON notifications(patient_phone, created_at);
+  CREATE INDEX IF NOT EXISTS idx_notifications_appointment ON notifications(appointment_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_notifications_provider_message ON notifications(provider_message_id);
+
+  -- ============================================
+  -- COMMUNICATION PREFERENCES
+  -- ============================================
+
+  -- How a patient wants to be contacted (patient_phone in E.164). Quiet hours (HH:MM, in timezone)
+  -- hold back texts. Consent columns hold the latest decision: granted | revoked | NULL (never asked).
+  -- sms: TCPA consent to automated texts; email: consent to email;
+  -- hipaa: agreement to receive appointment details by unencrypted email and text.
+  -- reminder_channels: channels the patient wants appointment reminders on (comma separated: email,sms;
+  -- empty = none; NULL = every channel)
+  CREATE TABLE IF NOT EXISTS patient_communication_preferences (
+    patient_phone TEXT PRIMARY KEY,
+    language TEXT,
+    timezone TEXT,
+    quiet_hours_start TEXT,
+    quiet_hours_end TEXT,
+    reminder_channels TEXT,
+    sms_consent TEXT,
+    sms_consent_at DATETIME,
+    sms_consent_source TEXT,
+    email_consent TEXT,
+    email_consent_at DATETIME,
+    email_consent_source TEXT,
+    hipaa_consent TEXT,
+    hipaa_consent_at DATETIME,
+    hipaa_consent_source TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Every consent decision, for compliance. Never updated or deleted.
+  -- source: voice (agent on a call) | portal | staff | sms_reply (STOP/START)
+  CREATE TABLE IF NOT EXISTS patient_consent_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    patient_phone TEXT NOT NULL,
+    consent_type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    source TEXT NOT NULL,
+    recorded_by TEXT,
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_consent_events_patient ON patient_consent_events(patient_phone, created_at);
+
+  -- ============================================
+  -- MESSAGE TEMPLATES
+  -- ============================================
+
+  -- Practice changes to the built-in email and SMS templates (services/template-defaults.js), per locale.
+  -- subject and title apply to email templates only.
+  CREATE TABLE IF NOT EXISTS message_templates (
+    name TEXT NOT NULL,
+    locale TEXT NOT NULL,
+    subject TEXT,
+    title TEXT,
+    body TEXT NOT NULL,
+    updated_by TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (name, locale)
+  );
+
+  -- Branding shown in every template (practice_name, team_name, primary_color, logo_url, ...)
+  CREATE TABLE IF NOT EXISTS message_branding (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- ============================================
+  -- CLAIM EDI (X12 837P)
+  -- ============================================
+
+  -- Last control number used per counter: interchange (ISA13) and group (GS06)
+  CREATE TABLE IF NOT EXISTS x12_control_numbers (
+    name TEXT PRIMARY KEY,
+    value INTEGER NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Every 837P file generated, with its content, so it can be downloaded again or sent to any clearinghouse
+  CREATE TABLE IF NOT EXISTS claim_edi_exports (
+    id TEXT PRIMARY KEY,
+    file_name TEXT NOT NULL,
+    interchange_control_number INTEGER NOT NULL,
+    group_control_number INTEGER NOT NULL,
+    usage_indicator TEXT NOT NULL,
+    claim_count INTEGER NOT NULL,
+    total_charge REAL NOT NULL,
+    content TEXT NOT NULL,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    clearinghouse TEXT,
+    submission_id TEXT,
+    submitted_at DATETIME,
+    acknowledgment_status TEXT,    -- 999 AK901: A accepted, P partially accepted, R rejected
+    acknowledged_at DATETIME
+  );
+
+  -- Claims in each file, with their transaction set (ST02) control number
+  CREATE TABLE IF NOT EXISTS claim_edi_export_claims (
+    export_id TEXT NOT NULL,
+    claim_id TEXT NOT NULL,
+    transaction_set_control_number TEXT NOT NULL,
+    patient_control_number TEXT NOT NULL,
+    PRIMARY KEY (export_id, claim_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_claim_edi_export_claims_claim ON claim_edi_export_claims(claim_id);
+
+  -- ============================================
+  -- REMITTANCE (X12 835 ERA)
+  -- ============================================
+
+  -- Every 835 file received; one file is one payment (check or EFT) from one payer
+  CREATE TABLE IF NOT EXISTS era_files (
+    id TEXT PRIMARY KEY,
+    file_name TEXT,
+    interchange_control_number TEXT,
+    payer_id TEXT,
+    payer_name TEXT,
+    payee_name TEXT,
+    payee_npi TEXT,
+    check_number TEXT NOT NULL,
+    payment_method TEXT,
+    payment_amount REAL NOT NULL,
+    payment_date TEXT,
+    claim_count INTEGER NOT NULL,
+    matched_count INTEGER NOT NULL DEFAULT 0,
+    content TEXT NOT NULL,
+    received_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_era_files_check ON era_files(payer_id, check_number);
+
+  -- One CLP loop per row. claim_id is null while the remit waits in the reconciliation queue (status unmatched)
+  CREATE TABLE IF NOT EXISTS era_claim_payments (
+    id TEXT PRIMARY KEY,
+    era_file_id TEXT NOT NULL,
+    claim_id TEXT,
+    patient_control_number TEXT NOT NULL,
+    claim_status_code TEXT NOT NULL,
+    total_charge REAL NOT NULL,
+    paid_amount REAL NOT NULL,
+    allowed_amount REAL,
+    contractual_adjustment REAL NOT NULL DEFAULT 0,
+    patient_responsibility REAL NOT NULL DEFAULT 0,
+    payer_claim_control_number TEXT,
+    patient_name TEXT,
+    member_id TEXT,
+    service_date TEXT,
+    adjustments TEXT,
+    remark_codes TEXT,
+    status TEXT NOT NULL,
+    resolved_by TEXT,
+    resolution_note TEXT,
+    posted_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (era_file_id) REFERENCES era_files(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_era_claim_payments_claim ON era_claim_payments(claim_id);
+  CREATE INDEX IF NOT EXISTS idx_era_claim_payments_status ON era_claim_payments(status);
+
+  -- SVC loops: what the payer did with each service line
+  CREATE TABLE IF NOT EXISTS era_service_payments (
+    id TEXT PRIMARY KEY,
+    claim_payment_id TEXT NOT NULL,
+    line_number INTEGER,
+    procedure_code TEXT NOT NULL,
+    modifiers TEXT,
+    charge REAL NOT NULL,
+    paid_amount REAL NOT NULL,
+    allowed_amount REAL,
+    units REAL,
+    service_date TEXT,
+    adjustments TEXT,
+    remark_codes TEXT,
+    FOREIGN KEY (claim_payment_id) REFERENCES era_claim_payments(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_era_service_payments_claim ON era_service_payments(claim_payment_id);
+
+  -- ============================================
+  -- CLEARINGHOUSE
+  -- ============================================
+
+  -- Every file received from the clearinghouse (999, 277CA, 277, 835); external_id is the
+  -- clearinghouse's own id for the file, so a file picked up twice is only processed once
+  CREATE TABLE IF NOT EXISTS clearinghouse_files (
+    id TEXT PRIMARY KEY,
+    clearinghouse TEXT NOT NULL,
+    external_id TEXT,
+    type TEXT NOT NULL,
+    file_name TEXT,
+    content TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'received',  -- received | processed | failed
+    error TEXT,
+    result TEXT,
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    processed_at DATETIME
+  );
+
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_clearinghouse_files_external ON clearinghouse_files(clearinghouse, external_id);
+
+  -- What each 999, 277CA or 277 said about a claim
+  CREATE TABLE IF NOT EXISTS claim_acknowledgments (
+    id TEXT PRIMARY KEY,
+    claim_id TEXT NOT NULL,
+    file_id TEXT,
+    export_id TEXT,
+    type TEXT NOT NULL,               -- 999 | 277CA | 277
+    status TEXT,                      -- accepted | rejected, or the status a 277 reports (processing, paid, denied)
+    code TEXT,                        -- IK501, or STC01 category:status
+    description TEXT,
+    details TEXT,                     -- JSON: syntax errors (999) or every status reported (277)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (claim_id) REFERENCES insurance_claims(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_claim_acknowledgments_claim ON claim_acknowledgments(claim_id);
+
+  -- ============================================
+  -- CLAIM LIFECYCLE (status history)
+  -- ============================================
+
+  CREATE TABLE IF NOT EXISTS claim_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    claim_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,         -- created | transition | updated (an answer that kept the status)
+    from_status TEXT,
+    to_status TEXT,
+    actor TEXT,
+    source TEXT,                      -- manual | system | scrubber | clearinghouse | 999 | 277CA | 277 | 835
+    payload TEXT,                     -- JSON: what caused the change
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (claim_id) REFERENCES insurance_claims(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_claim_events_claim ON claim_events(claim_id, id);
+
+  -- ============================================
+  -- DENIALS AND APPEALS
+  -- ============================================
+
+  -- A payer's refusal to pay a claim, or some of its lines, worked from the denial queue
+  CREATE TABLE IF NOT EXISTS claim_denials (
+    id TEXT PRIMARY KEY,
+    claim_id TEXT NOT NULL,
+    claim_payment_id TEXT UNIQUE,     -- the 835 remit (era_claim_payments) that denied it
+    payer_id TEXT,
+    denial_type TEXT NOT NULL,        -- claim | line
+    group_code TEXT,                  -- CAS01 of the main reason
+    reason_code TEXT,                 -- CARC of the main reason
+    remark_code TEXT,                 -- RARC of the main reason
+    category TEXT NOT NULL,           -- see denial-codes.js
+    denied_amount REAL NOT NULL DEFAULT 0,
+    reasons TEXT,                     -- JSON: every adjustment and remark behind the denial
+    status TEXT NOT NULL DEFAULT 'open', -- open | appealed | resubmitted | resolved | written_off
+    assigned_to TEXT,
+    follow_up_date TEXT,
+    notes TEXT,                       -- JSON: [{ note, actor, created_at }]
+    resolution TEXT,
+    resolved_by TEXT,
+    resolved_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (claim_id) REFERENCES insurance_claims(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_claim_denials_claim ON claim_denials(claim_id);
+  CREATE INDEX IF NOT EXISTS idx_claim_denials_status ON claim_denials(status, follow_up_date);
+
+  -- Appeal letters written for a denial
+  CREATE TABLE IF NOT EXISTS claim_appeals (
+    id TEXT PRIMARY KEY,
+    denial_id TEXT NOT NULL,
+    claim_id TEXT NOT NULL,
+    level INTEGER NOT NULL DEFAULT 1,
+    template TEXT NOT NULL,
+    subject TEXT,
+    letter TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'draft', -- draft | sent
+    created_by TEXT,
+    sent_by TEXT,
+    sent_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (denial_id) REFERENCES claim_denials(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_claim_appeals_denial ON claim_appeals(denial_id);
+
+  -- ============================================
+  -- CLAIM LINES (837P service lines)
+  -- ============================================
+
+  -- insurance_claims.service_code and total_amount summarize these
+  CREATE TABLE IF NOT EXISTS claim_lines (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    claim_id TEXT NOT NULL,
+    line_number INTEGER NOT NULL,
+    procedure_code TEXT NOT NULL,     -- CPT or HCPCS
+    modifiers TEXT,                   -- JSON: up to four, in order
+    description TEXT,
+    units REAL NOT NULL DEFAULT 1,
+    charge REAL NOT NULL DEFAULT 0,   -- for all units
+    allowed_amount REAL,              -- expected, before the payer's 835
+    diagnosis_pointers TEXT,          -- JSON: up to four positions in the claim's diagnoses (1-based)
+    place_of_service TEXT,            -- NULL = the claim's
+    rendering_provider_id TEXT,       -- NULL = the claim's (the appointment's provider)
+    date_of_service TEXT,             -- NULL = the claim's
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (claim_id, line_number),
+    FOREIGN KEY (claim_id) REFERENCES insurance_claims(id) ON DELETE CASCADE
+  );
+
+  -- ============================================
+  -- FEE SCHEDULES (chargemaster and payer contracted rates)
+  -- ============================================
+
+  -- The practice's chargemaster (what we bill; kind chargemaster), and each payer's contracted
+  -- rates (kind payer), for all its plans or one plan
+  CREATE TABLE IF NOT EXISTS fee_schedules (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,               -- chargemaster | payer
+    name TEXT NOT NULL,
+    payer_id TEXT,                    -- NULL for the chargemaster
+    plan_name TEXT,                   -- NULL = every plan of the payer
+    imported_by TEXT,
+    imported_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_fee_schedules_key
+    ON fee_schedules(kind, COALESCE(payer_id, ''), COALESCE(LOWER(plan_name), ''));
+
+  CREATE TABLE IF NOT EXISTS fee_schedule_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    fee_schedule_id TEXT NOT NULL,
+    procedure_code TEXT NOT NULL,            -- CPT or HCPCS
+    modifier TEXT NOT NULL DEFAULT '',       -- '' = the code's rate whatever the modifiers
+    amount REAL NOT NULL,                    -- per unit
+    description TEXT,
+    effective_from TEXT NOT NULL DEFAULT '', -- '' = from the start
+    effective_to TEXT,                       -- NULL = until a later rate takes over
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (fee_schedule_id, procedure_code, modifier, effective_from),
+    FOREIGN KEY (fee_schedule_id) REFERENCES fee_schedules(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_fee_schedule_rates_code ON fee_schedule_rates(procedure_code);
+`);
+
+// Seed scheduling configuration with the values booking used before it was configurable (first run only)
+try {
+  const seedTypes = db.prepare('SELECT COUNT(*) AS count FROM appointment_types').get().count === 0;
+  const seedHours = db.prepare('SELECT COUNT(*) AS count FROM business_hours').get().count === 0;
+
+  if (seedTypes || seedHours) {
+    console.log('📦 Seeding default scheduling configuration...');
+    db.transaction(() => {
+      if (seedTypes) {
+        const insertType = db.prepare(`
+          INSERT INTO appointment_types (
+            id, name, duration_minutes, buffer_before_minutes, buffer_after_minutes,
+            capacity, color, cpt_code, price, sort_order
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        [
+          ['Mental Health Consultation', 50, 10, 10, 1, 'blue', '90834', 120],
+          ['Crisis Intervention', 30, 5, 15, 1, 'red', '90839', 180],
+          ['Follow-up Session', 30, 10, 10, 1, 'green', '90834', 120],
+          ['Initial Assessment', 60, 10, 10, 1, 'purple', '90837', 150],
+          ['Group Therapy', 90, 15, 15, 8, 'orange', '90853', 60],
+          ['Medication Review', 20, 5, 5, 1, 'yellow', '90863', 75]
+        ].forEach((type, index) => {
+          insertType.run(`atype-${type[0].toLowerCase().replace(/[^a-z0-9]+/g, '-')}`, ...type, index);
+        });
+      }
+
+      if (seedHours) {
+        // Monday - Friday 9 AM - 5 PM
+        const insertHours = db.prepare(`
+          INSERT INTO business_hours (day_of_week, is_open, open_time, close_time) VALUES (?, ?, ?, ?)
+        `);
+        for (let day = 0; day <= 6; day++) {
+          const weekday = day >= 1 && day <= 5;
+          insertHours.run(day, weekday ? 1 : 0, weekday ? '09:00' : null, weekday ? '17:00' : null);
+        }
+      }
+
+      db.prepare(`INSERT OR IGNORE INTO scheduling_settings (key, value) VALUES ('timezone', ?)`)
+        .run(process.env.GOOGLE_CALENDAR_TIMEZONE || 'America/New_York');
+      db.prepare(`INSERT OR IGNORE INTO scheduling_settings (key, value) VALUES ('slot_interval_minutes', '15')`).run();
+    })();
+    console.log('✅ Default scheduling configuration seeded');
+  }
+} catch (seedError) {
+  console.warn('⚠️  Scheduling configuration seed failed:', seedError.message);
+}
+
+// Seed the default reminder cadence (first run only): email 3 days ahead, SMS the day before and an hour before
+try {
+  if (db.prepare('SELECT COUNT(*) AS count FROM reminder_rules').get().count === 0) {
+    const insertRule = db.prepare(`
+      INSERT INTO reminder_rules (id, appointment_type, channel, offset_minutes) VALUES (?, NULL, ?, ?)
+    `);
+    db.transaction(() => {
+      insertRule.run('rrule-email-72h', 'email', 72 * 60);
+      insertRule.run('rrule-sms-24h', 'sms', 24 * 60);
+      insertRule.run('rrule-sms-1h', 'sms', 60);
+    })();
+    console.log('✅ Default reminder rules seeded');
+  }
+} catch (seedError) {
+  console.warn('⚠️  Reminder rules seed failed:', seedError.message);
+}
+
+// Seed the behavioral health procedure codes the practice bills (once; the CMS code list import has none of them)
+try {
+  if (!db.prepare(`SELECT 1 FROM cpt_codes WHERE code = '90834'`).get()) {
+    const insertCode = db.prepare(`
+      INSERT OR IGNORE INTO cpt_codes (code, description, category, subcategory) VALUES (?, ?, ?, ?)
+    `);
+    db.transaction(() => {
+      [
+        ['90785', 'Interactive complexity (add-on)', 'Psychiatry'],
+        ['90791', 'Psychiatric diagnostic evaluation', 'Psychiatry'],
+        ['90792', 'Psychiatric diagnostic evaluation with medical services', 'Psychiatry'],
+        ['90832', 'Psychotherapy, 30 minutes', 'Psychotherapy'],
+        ['90833', 'Psychotherapy, 30 minutes, with an E/M service (add-on)', 'Psychotherapy'],
+        ['90834', 'Psychotherapy, 45 minutes', 'Psychotherapy'],
+        ['90836', 'Psychotherapy, 45 minutes, with an E/M service (add-on)', 'Psychotherapy'],
+        ['90837', 'Psychotherapy, 60 minutes', 'Psychotherapy'],
+        ['90838', 'Psychotherapy, 60 minutes, with an E/M service (add-on)', 'Psychotherapy'],
+        ['90839', 'Psychotherapy for crisis, first 60 minutes', 'Psychotherapy'],
+        ['90840', 'Psychotherapy for crisis, each additional 30 minutes (add-on)', 'Psychotherapy'],
+        ['90845', 'Psychoanalysis', 'Psychotherapy'],
+        ['90846', 'Family psychotherapy without the patient', 'Psychotherapy'],
+        ['90847', 'Family psychotherapy with the patient', 'Psychotherapy'],
+        ['90849', 'Multiple-family group psychotherapy', 'Psychotherapy'],
+        ['90853', 'Group psychotherapy', 'Psychotherapy'],
+        ['90863', 'Pharmacologic management with psychotherapy (add-on)', 'Psychiatry'],
+        ['96127', 'Brief emotional/behavioral assessment', 'Assessment'],
+        ['96130', 'Psychological testing evaluation, first hour', 'Assessment'],
+        ['96131', 'Psychological testing evaluation, each additional hour (add-on)', 'Assessment'],
+        ['96136', 'Psychological test administration, first 30 minutes', 'Assessment'],
+        ['96137', 'Psychological test administration, each additional 30 minutes (add-on)', 'Assessment'],
+        ['99202', 'Office visit, new patient, straightforward', 'Evaluation and Management'],
+        ['99203', 'Office visit, new patient, low complexity', 'Evaluation and Management'],
+        ['99204', 'Office visit, new patient, moderate complexity', 'Evaluation and Management'],
+        ['99205', 'Office visit, new patient, high complexity', 'Evaluation and Management'],
+        ['99212', 'Office visit, established patient, straightforward', 'Evaluation and Management'],
+        ['99213', 'Office visit, established patient, low complexity', 'Evaluation and Management'],
+        ['99214', 'Office visit, established patient, moderate complexity', 'Evaluation and Management'],
+        ['99215', 'Office visit, established patient, high complexity', 'Evaluation and Management']
+      ].forEach(([code, description, subcategory]) => insertCode.run(code, description, 'BEHAVIORAL HEALTH', subcategory));
+    })();
+    console.log('✅ Behavioral health procedure codes seeded');
+  }
+} catch (seedError) {
+  console.warn('⚠️  Procedure code seed failed:', seedError.message);
+}
+
+// Migration: Add provider_id column to appointments table
+try {
+  const info = db.prepare(`PRAGMA table_info(appointments)`).all();
+  if (!info.some(c => c.name === 'provider_id')) {
+    console.log('📦 Adding provider_id column to appointments table...');
+    db.exec(`ALTER TABLE appointments ADD COLUMN provider_id TEXT;`);
+    console.log('✅ Migration complete: provider_id column added');
+  }
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_appointments_provider_date ON appointments(provider_id, date);`);
+} catch (migrationError) {
+  console.warn('⚠️  Appointments provider migration failed:', migrationError.message);
+}
+
+// Migration: Add recurring series columns to appointments table
+try {
+  const info = db.prepare(`PRAGMA table_info(appointments)`).all();
+  if (!info.some(c => c.name === 'series_id')) {
+    console.log('📦 Adding series columns to appointments table...');
+    db.exec(`ALTER TABLE appointments ADD COLUMN series_id TEXT;`);
+    db.exec(`ALTER TABLE appointments ADD COLUMN series_index INTEGER;`);
+    console.log('✅ Migration complete: series columns added');
+  }
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_appointments_series ON appointments(series_id, date);`);
+} catch (migrationError) {
+  console.warn('⚠️  Appointments series migration failed:', migrationError.message);
+}
+
+// Migration: Add group session and attendance columns to appointments table
+try {
+  const info = db.prepare(`PRAGMA table_info(appointments)`).all();
+  if (!info.some(c => c.name === 'group_session_id')) {
+    console.log('📦 Adding group session columns to appointments table...');
+    db.exec(`ALTER TABLE appointments ADD COLUMN group_session_id TEXT;`);
+    db.exec(`ALTER TABLE appointments ADD COLUMN attendance_status TEXT;`);
+    db.exec(`ALTER TABLE appointments ADD COLUMN checked_in_at DATETIME;`);
+    console.log('✅ Migration complete: group session columns added');
+  }
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_appointments_group_session ON appointments(group_session_id);`);
+} catch (migrationError) {
+  console.warn('⚠️  Appointments group session migration failed:', migrationError.message);
+}
+
+// Migration: Add iCalendar sequence to appointments table
+// (bumped on every time change or cancellation so calendar apps apply the newest invite)
+try {
+  const info = db.prepare(`PRAGMA table_info(appointments)`).all();
+  if (!info.some(c => c.name === 'ics_sequence')) {
+    console.log('📦 Adding ics_sequence column to appointments table...');
+    db.exec(`ALTER TABLE appointments ADD COLUMN ics_sequence INTEGER DEFAULT 0;`);
+    console.log('✅ Migration complete: ics_sequence column added');
+  }
+} catch (migrationError) {
+  console.warn('⚠️  Appointments ics_sequence migration failed:', migrationError.message);
+}
+
+// Migration: Add lifecycle timestamps to appointments table (checked_in_at already exists)
+try {
+  const info = db.prepare(`PRAGMA table_info(appointments)`).all();
+  const lifecycleColumns = ['confirmed_at', 'session_started_at', 'completed_at', 'no_show_at', 'cancelled_at'];
+  const missing = lifecycleColumns.filter(column => !info.some(c => c.name === column));
+  if (missing.length > 0) {
+    console.log('📦 Adding lifecycle timestamp columns to appointments table...');
+    for (const column of missing) {
+      db.exec(`ALTER TABLE appointments ADD COLUMN ${column} DATETIME;`);
+    }
+    console.log('✅ Migration complete: lifecycle timestamp columns added');
+  }
+} catch (migrationError) {
+  console.warn('⚠️  Appointments lifecycle migration failed:', migrationError.message);
+}
+
+// Migration: Add no-show and late-cancel fees to appointment_types table
+try {
+  const info = db.prepare(`PRAGMA table_info(appointment_types)`).all();
+  if (!info.some(c => c.name === 'late_cancel_fee')) {
+    console.log('📦 Adding attendance fee columns to appointment_types table...');
+    db.exec(`ALTER TABLE appointment_types ADD COLUMN late_cancel_fee REAL;`);
+    db.exec(`ALTER TABLE appointment_types ADD COLUMN no_show_fee REAL;`);
+    console.log('✅ Migration complete: attendance fee columns added');
+  }
+} catch (migrationError) {
+  console.warn('⚠️  Appointment types fee migration failed:', migrationError.message);
+}
+
+// Migration: Link reminder attempts to the outbox notification that carries them
+try {
+  const info = db.prepare(`PRAGMA table_info(reminder_attempts)`).all();
+  if (!info.some(c => c.name === 'notification_id')) {
+    console.log('📦 Adding notification_id column to reminder_attempts table...');
+    db.exec(`ALTER TABLE reminder_attempts ADD COLUMN notification_id TEXT;`);
+    console.log('✅ Migration complete: notification_id column added');
+  }
+} catch (migrationError) {
+  console.warn('⚠️  Reminder attempts migration failed:', migrationError.message);
+}
+
+// Migration: Reminder channels moved from patient_reminder_preferences into the communication preferences
+try {
+  const info = db.prepare(`PRAGMA table_info(patient_communication_preferences)`).all();
+  if (!info.some(c => c.name === 'reminder_channels')) {
+    console.log('📦 Adding reminder_channels column to patient_communication_preferences table...');
+    db.exec(`ALTER TABLE patient_communication_preferences ADD COLUMN reminder_channels TEXT;`);
+  }
+  const legacy = db.prepare(`SELECT name FROM sqlite_master WHERE type='table' AND name='patient_reminder_preferences'`).get();
+  if (legacy) {
+    // Reminder preferences were keyed by the phone as booked; preferences use E.164 (as SMSService.formatPhoneNumber)
+    const toE164 = (phone) => {
+      const digits = phone.replace(/\D/g, '');
+      if (digits.length === 10) return `+1${digits}`;
+      if (digits.length > 10) return `+${digits}`;
+      return phone;
+    };
+    const rows = db.prepare('SELECT * FROM patient_reminder_preferences').all();
+    console.log(`🔄 Migrating: Moving ${rows.length} reminder preference(s) into patient_communication_preferences`);
+    db.transaction(() => {
+      for (const row of rows) {
+        const phone = toE164(row.patient_phone);
+        db.prepare('INSERT OR IGNORE INTO patient_communication_preferences (patient_phone) VALUES (?)').run(phone);
+        db.prepare(`
+          UPDATE patient_communication_preferences SET reminder_channels = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE patient_phone = ?
+        `).run(row.channels, phone);
+      }
+      db.exec('DROP TABLE patient_reminder_preferences;');
+    })();
+    console.log('✅ Migration complete: reminder preferences moved');
+  }
+} catch (migrationError) {
+  console.warn('⚠️  Reminder preferences migration failed:', migrationError.message);
+}
+
+// Migration: Add the policy holder to patient_insurance (for dependents covered on someone else's plan)
+try {
+  const info = db.prepare(`PRAGMA table_info(patient_insurance)`).all();
+  if (!info.some(c => c.name === 'subscriber_name')) {
+    console.log('📦 Adding subscriber columns to patient_insurance table...');
+    db.exec(`ALTER TABLE patient_insurance ADD COLUMN subscriber_name TEXT;`);
+    db.exec(`ALTER TABLE patient_insurance ADD COLUMN subscriber_dob TEXT;`);
+    db.exec(`ALTER TABLE patient_insurance ADD COLUMN subscriber_gender TEXT;`);
+    console.log('✅ Migration complete: subscriber columns added');
+  }
+} catch (migrationError) {
+  console.warn('⚠️  Patient insurance subscriber migration failed:', migrationError.message);
+}
+
+// Migration: Order each patient's plans for coordination of benefits (1 primary, 2 secondary, 3 tertiary)
+try {
+  const info = db.prepare(`PRAGMA table_info(patient_insurance)`).all();
+  if (!info.some(c => c.name === 'priority')) {
+    console.log('📦 Adding priority column to patient_insurance table...');
+    db.exec(`ALTER TABLE patient_insurance ADD COLUMN priority INTEGER;`);
+    db.exec(`UPDATE patient_insurance SET priority = CASE WHEN is_primary = 1 THEN 1 ELSE 2 END;`);
+    console.log('✅ Migration complete: priority column added');
+  }
+} catch (migrationError) {
+  console.warn('⚠️  Patient insurance priority migration failed:', migrationError.message);
+}
+
+// Migration: Compare 835 remits with the payer's contracted rates (underpayments)
+try {
+  for (const table of ['era_claim_payments', 'era_service_payments']) {
+    const info = db.prepare(`PRAGMA table_info(${table})`).all();
+    for (const column of ['contracted_amount', 'underpaid_amount']) {
+      if (!info.some(c => c.name === column)) {
+        console.log(`🔄 Migrating: Adding ${column} column to ${table} table`);
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} REAL;`);
+      }
+    }
+  }
+} catch (migrationError) {
+  console.warn('⚠️  ERA contracted amount migration failed:', migrationError.message);
+}
+
+// Re-enable foreign keys after table creation
+db.pragma('foreign_keys = ON');
+
+/**
+ * Migration: Add missing columns to insurance_claims table
+ * This handles the case where the table was created before circle_transfer_id, payment_status, and payment_amount were added
+ */
+function migrateInsuranceClaimsTable() {
+  try {
+    // Temporarily disable foreign keys for migration
+    db.pragma('foreign_keys = OFF');
+    
+    // Get table info to check existing columns
+    const tableInfo = db.prepare("PRAGMA table_info(insurance_claims)").all();
+    const columnNames = tableInfo.map(col => col.name);
+
+    // Check and add circle_transfer_id if missing
+    if (!columnNames.includes('circle_transfer_id')) {
+      console.log('🔄 Migrating: Adding circle_transfer_id column to insurance_claims table');
+      db.prepare("ALTER TABLE insurance_claims ADD COLUMN circle_transfer_id TEXT").run();
+    }
+
+    // Check and add payment_status if missing
+    if (!columnNames.includes('payment_status')) {
+      console.log('🔄 Migrating: Adding payment_status column to insurance_claims table');
+      db.prepare("ALTER TABLE insurance_claims ADD COLUMN payment_status TEXT DEFAULT 'pending'").run();
+    }
+
+    // Check and add payment_amount if missing
+    if (!columnNames.includes('payment_amount')) {
+      console.log('🔄 Migrating: Adding payment_amount column to insurance_claims table');
+      db.prepare("ALTER TABLE insurance_claims ADD COLUMN payment_amount REAL").run();
+    }
+
+    // Check and add date_of_service if missing
+    if (!columnNames.includes('date_of_service')) {
+      console.log('🔄 Migrating: Adding date_of_service column to insurance_claims table');
+      db.prepare("ALTER TABLE insurance_claims ADD COLUMN date_of_service TEXT").run();
+    }
+
+    // Check and add patient_control_number (CLM01 in the 837, echoed back in 835 remits) if missing
+    if (!columnNames.includes('patient_control_number')) {
+      console.log('🔄 Migrating: Adding patient_control_number column to insurance_claims table');
+      db.prepare("ALTER TABLE insurance_claims ADD COLUMN patient_control_number TEXT").run();
+    }
+
+    // Check and add the payer's adjudicated amounts (posted from 835 remits) if missing
+    const remitColumns = {
+      payer_claim_control_number: 'TEXT',
+      allowed_amount: 'REAL',
+      contractual_adjustment: 'REAL',
+      patient_responsibility: 'REAL'
+    };
+    // Check and add the latest scrub result (pre-submission checks) if missing
+    const scrubColumns = {
+      scrub_status: 'TEXT',
+      scrub_result: 'TEXT',
+      scrubbed_at: 'DATETIME'
+    };
+    // Check and add the 837P claim frequency code (1 original, 7 replacement) if missing
+    const correctionColumns = {
+      frequency_code: "TEXT DEFAULT '1'"
+    };
+    // Check and add coordination of benefits (which payer the claim is for, and the claim to the payer before it) if missing
+    const coordinationColumns = {
+      payer_sequence: "TEXT DEFAULT 'primary'",
+      prior_claim_id: 'TEXT'
+    };
+    for (const [column, type] of Object.entries({ ...remitColumns, ...scrubColumns, ...correctionColumns, ...coordinationColumns })) {
+      if (!columnNames.includes(column)) {
+        console.log(`🔄 Migrating: Adding ${column} column to insurance_claims table`);
+        db.prepare(`ALTER TABLE insurance_claims ADD COLUMN ${column} ${type}`).run();
+      }
+    }
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_insurance_claims_prior_claim ON insurance_claims(prior_claim_id)').run();
+    
+    // Re-enable foreign keys after migration
+    db.pragma('foreign_keys = ON');
+  } catch (error) {
+    console.error('❌ Error during insurance_claims table migration:', error);
+    // Re-enable foreign keys even if migration fails
+    db.pragma('foreign_keys = ON');
+    // Don't throw - allow the app to continue even if migration fails
+  }
+}
+
+// Run migration on startup
+migrateInsuranceClaimsTable();
+
+// Migration: Add clearinghouse submission columns to claim_edi_exports if they don't exist
+try {
+  const info = db.prepare(`PRAGMA table_info(claim_edi_exports)`).all();
+  const submissionColumns = {
+    clearinghouse: 'TEXT',
+    submission_id: 'TEXT',
+    submitted_at: 'DATETIME',
+    acknowledgment_status: 'TEXT',
+    acknowledged_at: 'DATETIME'
+  };
+  for (const [column, type] of Object.entries(submissionColumns)) {
+    if (!info.some(c => c.name === column)) {
+      console.log(`🔄 Migrating: Adding ${column} column to claim_edi_exports table`);
+      db.exec(`ALTER TABLE claim_edi_exports ADD COLUMN ${column} ${type};`);
+    }
+  }
+} catch (migrationError) {
+  console.warn('⚠️  Claim EDI exports migration failed:', migrationError.message);
+}
+
+// Migration: Add claim_requirements to insurance_payers if it doesn't exist
+try {
+  const info = db.prepare(`PRAGMA table_info(insurance_payers)`).all();
+  if (!info.some(c => c.name === 'claim_requirements')) {
+    console.log('🔄 Migrating: Adding claim_requirements column to insurance_payers table');
+    db.exec(`ALTER TABLE insurance_payers ADD COLUMN claim_requirements TEXT;`);
+  }
+} catch (migrationError) {
+  console.warn('⚠️  Insurance payers migration failed:', migrationError.message);
+}
+
+// Migration: Claim statuses from before the claim lifecycle (see claim-lifecycle-service.js)
+try {
+  const legacyStatuses = {
+    approved: 'paid',
+    accepted: 'acknowledged',
+    processing: 'pending',
+    reversed: 'pending',
+    void: 'closed'
+  };
+  const placeholders = Object.keys(legacyStatuses).map(() => '?').join(', ');
+  const legacy = db.prepare(`SELECT COUNT(*) AS count FROM insurance_claims WHERE status IN (${placeholders}) OR status IS NULL`)
+    .get(...Object.keys(legacyStatuses)).count;
+  if (legacy > 0) {
+    console.log(`🔄 Migrating: Mapping ${legacy} claim status(es) to the claim lifecycle`);
+    const update = db.prepare('UPDATE insurance_claims SET status = ? WHERE status = ?');
+    db.transaction(() => {
+      for (const [from, to] of Object.entries(legacyStatuses)) {
+        update.run(to, from);
+      }
+      db.prepare(`UPDATE insurance_claims SET status = 'submitted' WHERE status IS NULL`).run();
+    })();
+  }
+} catch (migrationError) {
+  console.warn('⚠️  Claim status migration failed:', migrationError.message);
+}
+
+/**
+ * Helper to safely stringify data
+ */
+function safeStringify(data) {
+  if (data === null || data === undefined) return null;
+  if (typeof data === 'string') return data;
+  return JSON.stringify(data);
+}
+
+
+module.exports = {
+  // ============================================
+  // MERCHANTS
+  // ============================================
+  createMerchant: (merchant) => {
+    return db.prepare(`
+      INSERT INTO merchants (id, name, api_key, api_url, webhook_url, enabled_platforms)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      merchant.id,
+      merchant.name,
+      merchant.api_key,
+      merchant.api_url,
+      merchant.webhook_url || null,
+      JSON.stringify(merchant.enabled_platforms || ['acp', 'ap2'])
+    );
+  },
+
+  getMerchant: (id) => db.prepare('SELECT * FROM merchants WHERE id = ?').get(id),
+
+  getMerchantByApiKey: (apiKey) => {
+    return db.prepare('SELECT * FROM merchants WHERE api_key = ?').get(apiKey);
+  },
+
+  getAllMerchants: () => db.prepare('SELECT * FROM merchants').all(),
+
+  // ============================================
+  // PRODUCT SYNC
+  // ============================================
+  syncProduct: (sync) => {
+    return db.prepare(`
+      INSERT OR REPLACE INTO product_sync 
+      (id, merchant_id, merchant_product_id, platform, platform_product_id, 
+       sync_status, last_synced, product_data, universal_data)
+      VALUES (?, ?, ?, ?, ?, ?, datetime('now'), ?, ?)
+    `).run(
+      sync.id,
+      sync.merchant_id,
+      sync.merchant_product_id,
+      sync.platform,
+      sync.platform_product_id || null,
+      sync.sync_status || 'synced',
+      safeStringify(sync.product_data),
+      safeStringify(sync.universal_data)
+    );
+  },
+
+  getSyncedProducts: (merchantId, platform) => {
+    return db.prepare(
+      'SELECT * FROM product_sync WHERE merchant_id = ? AND platform = ?'
+    ).all(merchantId, platform);
+  },
+
+  getUniversalProducts: (merchantId) => {
+    return db.prepare(
+      'SELECT * FROM product_sync WHERE merchant_id = ? AND universal_data IS NOT NULL'
+    ).all(merchantId);
+  },
+
+  // ============================================
+  // TRANSACTIONS
+  // ============================================
+  createTransaction: (transaction) => {
+    return db.prepare(`
+      INSERT INTO transactions 
+      (id, merchant_id, platform, platform_order_id, merchant_order_id, 
+       product_id, amount, status, customer_email, customer_phone)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      transaction.id,
+      transaction.merchant_id,
+      transaction.platform,
+      transaction.platform_order_id || null,
+      transaction.merchant_order_id || null,
+      transaction.product_id,
+      transaction.amount,
+      transaction.status || 'pending',
+      transaction.customer_email,
+      transaction.customer_phone || null
+    );
+  },
+
+  updateTransaction: (id, updates) => {
+    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    const values = [...Object.values(updates), id];
+    return db.prepare(`UPDATE transactions SET ${fields} WHERE id = ?`).run(...values);
+  },
+
+  getTransaction: (id) => db.prepare('SELECT * FROM transactions WHERE id = ?').get(id),
+
+  getAllTransactions: () => {
+    return db.prepare('SELECT * FROM transactions ORDER BY created_at DESC').all();
+  },
+
+  getTransactionsByCustomer: (phone, email) => {
+    return db.prepare(
+      'SELECT * FROM transactions WHERE customer_phone = ? OR customer_email = ? ORDER BY created_at DESC'
+    ).all(phone, email);
+  },
+
+  getTransactionsByMerchant: (merchantId) => {
+    return db.prepare(
+      'SELECT * FROM transactions WHERE merchant_id = ? ORDER BY created_at DESC'
+    ).all(merchantId);
+  },
+
+  getTransactionsByPhone: (phone, sinceDate) => {
+    return db.prepare(
+      'SELECT * FROM transactions WHERE customer_phone = ? AND created_at >= ? ORDER BY created_at DESC'
+    ).all(phone, sinceDate.toISOString());
+  },
+
+  getTransactionsByEmail: (email, sinceDate) => {
+    return db.prepare(
+      'SELECT * FROM transactions WHERE customer_email = ? AND created_at >= ? ORDER BY created_at DESC'
+    ).all(email, sinceDate.toISOString());
+  },
+
+  // ============================================
+  // CHECKOUT SESSIONS
+  // ============================================
+  createCheckoutSession: (session) => {
+    return db.prepare(`
+      INSERT INTO checkout_sessions (id, merchant_id, platform, session_data, status, expires_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now', '+1 hour'))
+    `).run(
+      session.id,
+      session.merchant_id,
       session.platform,
       safeStringify(session.session_data),
       session.status || 'pending'
     );
   },
 
-  getCheckoutSession: (id) => {
-    return db.prepare('SELECT * FROM checkout_sessions WHERE id = ?').get(id);
+  getCheckoutSession: (id) => {
+    return db.prepare('SELECT * FROM checkout_sessions WHERE id = ?').get(id);
+  },
+
+  updateCheckoutSession: (id, status, sessionData) => {
+    return db.prepare(`
+      UPDATE checkout_sessions 
+      SET status = ?, session_data = ?
+      WHERE id = ?
+    `).run(status, safeStringify(sessionData), id);
+  },
+
+  // ============================================
+  // AP2 MANDATES
+  // ============================================
+  storeMandate: (mandate) => {
+    return db.prepare(`
+      INSERT OR REPLACE INTO ap2_mandates (id, type, mandate_data, signature, verified, merchant_id, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      mandate.id,
+      mandate.type,
+      JSON.stringify(mandate),
+      typeof mandate.signature === 'string' ? mandate.signature : JSON.stringify(mandate.signature),
+      mandate.verified ? 1 : 0,
+      mandate.merchant_id || null,
+      mandate.expires_at || null
+    );
+  },
+
+  getMandate: (id) => {
+    return db.prepare('SELECT * FROM ap2_mandates WHERE id = ?').get(id);
+  },
+
+  updateMandateVerification: (id, verified) => {
+    return db.prepare('UPDATE ap2_mandates SET verified = ? WHERE id = ?').run(verified, id);
+  },
+
+  // ============================================
+  // SHOPPING CARTS
+  // ============================================
+  createCart: (cart) => {
+    return db.prepare(`
+      INSERT INTO shopping_carts 
+      (id, merchant_id, intent_mandate_id, items, subtotal, tax, shipping, total, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now', '+1 hour'))
+    `).run(
+      cart.id,
+      cart.merchant_id,
+      cart.intent_mandate_id || null,
+      JSON.stringify(cart.items),
+      cart.subtotal,
+      cart.tax,
+      cart.shipping,
+      cart.total
+    );
+  },
+
+  getCart: (id) => {
+    return db.prepare('SELECT * FROM shopping_carts WHERE id = ?').get(id);
+  },
+
+  updateCart: (id, cart) => {
+    return db.prepare(`
+      UPDATE shopping_carts 
+      SET items = ?, subtotal = ?, tax = ?, shipping = ?, total = ?
+      WHERE id = ?
+    `).run(
+      JSON.stringify(cart.items),
+      cart.subtotal,
+      cart.tax,
+      cart.shipping,
+      cart.total,
+      id
+    );
+  },
+
+  // ============================================
+  // AP2 TRANSACTIONS
+  // ============================================
+  createAP2Transaction: (transaction) => {
+    return db.prepare(`
+      INSERT INTO ap2_transactions 
+      (id, merchant_id, intent_mandate_id, cart_mandate_id, payment_mandate_id, 
+       cart_id, order_id, amount, status, audit_trail)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      transaction.id,
+      transaction.merchant_id,
+      transaction.intent_mandate_id || null,
+      transaction.cart_mandate_id || null,
+      transaction.payment_mandate_id || null,
+      transaction.cart_id || null,
+      transaction.order_id || null,
+      transaction.amount,
+      transaction.status || 'pending',
+      JSON.stringify(transaction.audit_trail || [])
+    );
+  },
+
+  getAP2Transaction: (id) => {
+    return db.prepare('SELECT * FROM ap2_transactions WHERE id = ?').get(id);
+  },
+
+  updateAP2Transaction: (id, updates) => {
+    const fields = Object.keys(updates).map(key =>
+      key === 'audit_trail' ? `${key} = ?` : `${key} = ?`
+    ).join(', ');
+    const values = Object.values(updates).map(v =>
+      typeof v === 'object' ? JSON.stringify(v) : v
+    );
+    return db.prepare(`UPDATE ap2_transactions SET ${fields} WHERE id = ?`).run(...values, id);
+  },
+
+  getAllAP2Transactions: () => {
+    return db.prepare('SELECT * FROM ap2_transactions ORDER BY created_at DESC').all();
+  },
+
+  // ============================================
+  // VOICE CHECKOUTS
+  // ============================================
+  createVoiceCheckout: (checkout) => {
+    // Ensure customer_phone is never null (required field)
+    const customerPhone = checkout.customer_phone || '0000000000';
+
+    return db.prepare(`
+      INSERT INTO voice_checkouts 
+      (id, merchant_id, product_id, product_name, quantity, amount, 
+       customer_phone, customer_name, customer_email, appointment_id, payment_method, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      checkout.id,
+      checkout.merchant_id,
+      checkout.product_id,
+      checkout.product_name,
+      checkout.quantity || 1,
+      checkout.amount,
+      customerPhone,
+      checkout.customer_name || null,
+      checkout.customer_email || null,
+      checkout.appointment_id || null,
+      checkout.payment_method || null,
+      checkout.status || 'pending'
+    );
+  },
+
+  getVoiceCheckout: (id) => {
+    return db.prepare('SELECT * FROM voice_checkouts WHERE id = ?').get(id);
+  },
+
+  updateVoiceCheckout: (id, updates) => {
+    const fields = [];
+    const values = [];
+
+    if (updates.status) {
+      fields.push('status = ?');
+      values.push(updates.status);
+    }
+    if (updates.payment_intent_id) {
+      fields.push('payment_intent_id = ?');
+      values.push(updates.payment_intent_id);
+    }
+    if (updates.merchant_order_id) {
+      fields.push('merchant_order_id = ?');
+      values.push(updates.merchant_order_id);
+    }
+    if (updates.payment_token) {
+      fields.push('payment_token = ?');
+      values.push(updates.payment_token);
+    }
+    if (updates.fhir_patient_id) {
+      fields.push('fhir_patient_id = ?');
+      values.push(updates.fhir_patient_id);
+    }
+    if (updates.fhir_encounter_id) {
+      fields.push('fhir_encounter_id = ?');
+      values.push(updates.fhir_encounter_id);
+    }
+    if (updates.appointment_id !== undefined) {
+      fields.push('appointment_id = ?');
+      values.push(updates.appointment_id);
+    }
+    if (updates.payment_method) {
+      fields.push('payment_method = ?');
+      values.push(updates.payment_method);
+    }
+    if (updates.status === 'completed') {
+      fields.push('completed_at = CURRENT_TIMESTAMP');
+    }
+
+    if (fields.length === 0) return;
+
+    values.push(id);
+    const query = `UPDATE voice_checkouts SET ${fields.join(', ')} WHERE id = ?`;
+    return db.prepare(query).run(...values);
+  },
+
+  getAllVoiceCheckouts: () => {
+    return db.prepare('SELECT * FROM voice_checkouts ORDER BY created_at DESC').all();
+  },
+
+  getVoiceCheckoutsByMerchant: (merchantId) => {
+    return db.prepare('SELECT * FROM voice_checkouts WHERE merchant_id = ? ORDER BY created_at DESC').all(merchantId);
+  },
+
+  // ============================================
+  // PAYMENT TOKENS
+  // ============================================
+  createPaymentToken: (token) => {
+    return db.prepare(`
+      INSERT INTO payment_tokens (token, checkout_id, verification_code, verification_code_expires, status)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(
+      token.token,
+      token.checkout_id,
+      token.verification_code || null,
+      token.verification_code_expires || null,
+      token.status || 'pending'
+    );
+  },
+
+  getPaymentToken: (token) => {
+    return db.prepare('SELECT * FROM payment_tokens WHERE token = ?').get(token);
+  },
+
+  updatePaymentToken: (token, updates) => {
+    const fields = [];
+    const values = [];
+
+    if (updates.status) {
+      fields.push('status = ?');
+      values.push(updates.status);
+      if (updates.status === 'used') {
+        fields.push('used_at = CURRENT_TIMESTAMP');
+      }
+    }
+
+    if (fields.length === 0) return;
+
+    values.push(token);
+    const query = `UPDATE payment_tokens SET ${fields.join(', ')} WHERE token = ?`;
+    return db.prepare(query).run(...values);
+  },
+
+  // ============================================
+  // FRAUD DETECTION
+  // ============================================
+
+  createFraudCheck: (check) => {
+    return db.prepare(`
+      INSERT INTO fraud_checks 
+      (id, transaction_id, customer_phone, customer_email, merchant_id, agent_platform,
+       risk_score, risk_level, signals, is_fraud, requires_verification)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      check.id,
+      check.transaction_id,
+      check.customer_phone,
+      check.customer_email,
+      check.merchant_id,
+      check.agent_platform,
+      check.risk_score,
+      check.risk_level,
+      check.signals,
+      check.is_fraud ? 1 : 0,
+      check.requires_verification ? 1 : 0
+    );
+  },
+
+  getFraudCheck: (transactionId) => {
+    return db.prepare('SELECT * FROM fraud_checks WHERE transaction_id = ?').get(transactionId);
+  },
+
+  getFraudChecksByCustomer: (phone, email) => {
+    return db.prepare(
+      'SELECT * FROM fraud_checks WHERE customer_phone = ? OR customer_email = ?'
+    ).all(phone, email);
+  },
+
+  getAllFraudChecks: (limit = 100) => {
+    return db.prepare('SELECT * FROM fraud_checks ORDER BY created_at DESC LIMIT ?').all(limit);
+  },
+
+  getHighRiskFraudChecks: () => {
+    return db.prepare(
+      'SELECT * FROM fraud_checks WHERE risk_score >= 80 AND reviewed = 0 ORDER BY created_at DESC'
+    ).all();
+  },
+
+  updateFraudCheckReview: (id, reviewedBy, actionTaken) => {
+    return db.prepare(`
+      UPDATE fraud_checks 
+      SET reviewed = 1, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, action_taken = ?
+      WHERE id = ?
+    `).run(reviewedBy, actionTaken, id);
+  },
+
+  // Blacklist
+  addToBlacklist: (type, value, reason, addedBy = 'system') => {
+    try {
+      return db.prepare(`
+        INSERT INTO fraud_blacklist (id, type, value, reason, added_by)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(
+        require('crypto').randomBytes(16).toString('hex'),
+        type,
+        value,
+        reason,
+        addedBy
+      );
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint')) {
+        return { changes: 0 };
+      }
+      throw error;
+    }
+  },
+
+  removeFromBlacklist: (type, value) => {
+    return db.prepare('DELETE FROM fraud_blacklist WHERE type = ? AND value = ?').run(type, value);
+  },
+
+  checkBlacklist: (type, value) => {
+    return db.prepare('SELECT * FROM fraud_blacklist WHERE type = ? AND value = ?').get(type, value);
+  },
+
+  getAllBlacklisted: () => {
+    return db.prepare('SELECT * FROM fraud_blacklist ORDER BY created_at DESC').all();
+  },
+
+  // Whitelist
+  addToWhitelist: (type, value, addedBy = 'system') => {
+    try {
+      return db.prepare(`
+        INSERT INTO fraud_whitelist (id, type, value, added_by)
+        VALUES (?, ?, ?, ?)
+      `).run(
+        require('crypto').randomBytes(16).toString('hex'),
+        type,
+        value,
+        addedBy
+      );
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint')) {
+        return { changes: 0 };
+      }
+      throw error;
+    }
+  },
+
+  removeFromWhitelist: (type, value) => {
+    return db.prepare('DELETE FROM fraud_whitelist WHERE type = ? AND value = ?').run(type, value);
+  },
+
+  checkWhitelist: (type, value) => {
+    return db.prepare('SELECT * FROM fraud_whitelist WHERE type = ? AND value = ?').get(type, value);
+  },
+
+  getAllWhitelisted: () => {
+    return db.prepare('SELECT * FROM fraud_whitelist ORDER BY created_at DESC').all();
+  },
+
+  // Agent Stats
+  getAgentStats: (platform) => {
+    const stats = db.prepare('SELECT * FROM agent_stats WHERE platform = ?').get(platform);
+
+    if (!stats) {
+      return {
+        total_transactions: 0,
+        fraud_rate: 0,
+        chargeback_rate: 0,
+        success_rate: 0
+      };
+    }
+
+    return {
+      total_transactions: stats.total_transactions,
+      fraud_rate: stats.total_transactions > 0 ? stats.fraud_count / stats.total_transactions : 0,
+      chargeback_rate: stats.total_transactions > 0 ? stats.chargeback_count / stats.total_transactions : 0,
+      success_rate: stats.total_transactions > 0 ? stats.success_count / stats.total_transactions : 0
+    };
+  },
+
+  updateAgentStats: (platform, updates) => {
+    const existing = db.prepare('SELECT * FROM agent_stats WHERE platform = ?').get(platform);
+
+    if (!existing) {
+      return db.prepare(`
+        INSERT INTO agent_stats (platform, total_transactions, fraud_count, chargeback_count, success_count)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(
+        platform,
+        updates.total_transactions || 0,
+        updates.fraud_count || 0,
+        updates.chargeback_count || 0,
+        updates.success_count || 0
+      );
+    }
+
+    return db.prepare(`
+      UPDATE agent_stats 
+      SET total_transactions = total_transactions + ?,
+          fraud_count = fraud_count + ?,
+          chargeback_count = chargeback_count + ?,
+          success_count = success_count + ?,
+          last_updated = CURRENT_TIMESTAMP
+      WHERE platform = ?
+    `).run(
+      updates.total_transactions || 0,
+      updates.fraud_count || 0,
+      updates.chargeback_count || 0,
+      updates.success_count || 0,
+      platform
+    );
+  },
+
+  // Fraud Statistics
+  getFraudStats: (timeframe = '24h') => {
+    let sinceDate;
+    const now = new Date();
+
+    switch (timeframe) {
+      case '1h':
+        sinceDate = new Date(now - 60 * 60 * 1000);
+        break;
+      case '24h':
+        sinceDate = new Date(now - 24 * 60 * 60 * 1000);
+        break;
+      case '7d':
+        sinceDate = new Date(now - 7 * 24 * 60 * 60 * 1000);
+        break;
+      case '30d':
+        sinceDate = new Date(now - 30 * 24 * 60 * 60 * 1000);
+        break;
+      default:
+        sinceDate = new Date(now - 24 * 60 * 60 * 1000);
+    }
+
+    const checks = db.prepare(
+      'SELECT * FROM fraud_checks WHERE created_at >= ?'
+    ).all(sinceDate.toISOString());
+
+    const total = checks.length;
+    const blocked = checks.filter(c => c.is_fraud).length;
+    const verified = checks.filter(c => c.requires_verification).length;
+    const approved = checks.filter(c => !c.is_fraud && !c.requires_verification).length;
+
+    const avgRiskScore = total > 0
+      ? checks.reduce((sum, c) => sum + c.risk_score, 0) / total
+      : 0;
+
+    return {
+      timeframe,
+      total_checks: total,
+      blocked_count: blocked,
+      verification_required: verified,
+      approved_count: approved,
+      block_rate: total > 0 ? (blocked / total * 100).toFixed(2) : 0,
+      avg_risk_score: avgRiskScore.toFixed(2),
+      high_risk_count: checks.filter(c => c.risk_score >= 80).length,
+      medium_risk_count: checks.filter(c => c.risk_score >= 50 && c.risk_score < 80).length,
+      low_risk_count: checks.filter(c => c.risk_score < 50).length
+    };
+  },
+
+  // ==========================================
+  // FHIR RESOURCES - Healthcare Data Layer
+  // ==========================================
+
+  // Create FHIR Patient
+  createFHIRPatient(patientResource) {
+    const stmt = db.prepare(`
+      INSERT INTO fhir_patients (
+        resource_id, resource_data, phone, email, name, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `);
+
+    const phone = patientResource.telecom?.find(t => t.system === 'phone')?.value;
+    const email = patientResource.telecom?.find(t => t.system === 'email')?.value;
+    const name = patientResource.name?.[0]
+      ? `${patientResource.name[0].given?.join(' ')} ${patientResource.name[0].family}`.trim()
+      : null;
+
+    return stmt.run(
+      patientResource.id,
+      JSON.stringify(patientResource),
+      phone,
+      email,
+      name
+    );
+  },
+
+  // Get FHIR Patient by ID
+  getFHIRPatient(resourceId) {
+    const stmt = db.prepare('SELECT * FROM fhir_patients WHERE resource_id = ? AND is_deleted = 0');
+    const row = stmt.get(resourceId);
+    if (!row) return null;
+    return {
+      ...row,
+      resource_data: JSON.parse(row.resource_data)
+    };
+  },
+
+  // Get FHIR Patient by Phone
+  getFHIRPatientByPhone(phone) {
+    const stmt = db.prepare('SELECT * FROM fhir_patients WHERE phone = ? AND is_deleted = 0 ORDER BY created_at DESC LIMIT 1');
+    const row = stmt.get(phone);
+    if (!row) return null;
+    return {
+      ...row,
+      resource_data: JSON.parse(row.resource_data)
+    };
+  },
+
+  // Get FHIR Patient by Email
+  getFHIRPatientByEmail(email) {
+    const stmt = db.prepare('SELECT * FROM fhir_patients WHERE email = ? AND is_deleted = 0 ORDER BY created_at DESC LIMIT 1');
+    const row = stmt.get(email);
+    if (!row) return null;
+    return {
+      ...row,
+      resource_data: JSON.parse(row.resource_data)
+    };
+  },
+
+  // Update FHIR Patient
+  updateFHIRPatient(resourceId, patientResource) {
+    const stmt = db.prepare(`
+      UPDATE fhir_patients
+      SET resource_data = ?,
+          phone = ?,
+          email = ?,
+          name = ?,
+          version_id = version_id + 1,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE resource_id = ?
+    `);
+
+    const phone = patientResource.telecom?.find(t => t.system === 'phone')?.value;
+    const email = patientResource.telecom?.find(t => t.system === 'email')?.value;
+    const name = patientResource.name?.[0]
+      ? `${patientResource.name[0].given?.join(' ')} ${patientResource.name[0].family}`.trim()
+      : null;
+
+    return stmt.run(
+      JSON.stringify(patientResource),
+      phone,
+      email,
+      name,
+      resourceId
+    );
+  },
+
+  // Search FHIR Patients
+  searchFHIRPatients(params = {}) {
+    let query = 'SELECT * FROM fhir_patients WHERE is_deleted = 0';
+    const queryParams = [];
+
+    if (params.name) {
+      // Search by name column (case-insensitive)
+      query += ' AND (LOWER(name) LIKE LOWER(?) OR name LIKE ?)';
+      const namePattern = `%${params.name}%`;
+      queryParams.push(namePattern);
+      queryParams.push(namePattern);
+    }
+    if (params.phone) {
+      query += ' AND phone = ?';
+      queryParams.push(params.phone);
+    }
+    if (params.email) {
+      query += ' AND email = ?';
+      queryParams.push(params.email);
+    }
+
+    query += ' ORDER BY created_at DESC LIMIT ?';
+    queryParams.push(params.limit || 50);
+
+    const stmt = db.prepare(query);
+    const rows = stmt.all(...queryParams);
+
+    // Also search in resource_data JSON for name fields if name search didn't yield results
+    let results = rows.map(row => ({
+      ...row,
+      resource_data: JSON.parse(row.resource_data)
+    }));
+
+    // If name search and no results, try searching in JSON
+    if (params.name && results.length === 0) {
+      const allPatients = db.prepare('SELECT * FROM fhir_patients WHERE is_deleted = 0 LIMIT 200').all();
+      const nameLower = params.name.toLowerCase();
+      results = allPatients
+        .map(row => {
+          try {
+            const resourceData = JSON.parse(row.resource_data);
+            const name = resourceData.name?.[0];
+            if (name) {
+              const given = (name.given || []).join(' ').toLowerCase();
+              const family = (name.family || '').toLowerCase();
+              const fullName = `${given} ${family}`.trim();
+              if (fullName.includes(nameLower) || given.includes(nameLower) || family.includes(nameLower)) {
+                return {
+                  ...row,
+                  resource_data: resourceData
+                };
+              }
+            }
+            return null;
+          } catch (e) {
+            return null;
+          }
+        })
+        .filter(p => p !== null)
+        .slice(0, params.limit || 50);
+    }
+
+    return results;
+  },
+
+  // Create FHIR Encounter (Voice Call Session)
+  createFHIREncounter(encounterResource) {
+    const stmt = db.prepare(`
+      INSERT INTO fhir_encounters (
+        resource_id, resource_data, patient_id, status, call_id, start_time, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `);
+
+    const patientId = encounterResource.subject?.reference?.replace('Patient/', '');
+    const callId = encounterResource.extension?.find(
+      e => e.url === 'https://doclittle.health/extension/voice-call-id'
+    )?.valueString;
+
+    return stmt.run(
+      encounterResource.id,
+      JSON.stringify(encounterResource),
+      patientId,
+      encounterResource.status,
+      callId,
+      encounterResource.period?.start
+    );
+  },
+
+  // Get FHIR Encounter by ID
+  getFHIREncounter(resourceId) {
+    const stmt = db.prepare('SELECT * FROM fhir_encounters WHERE resource_id = ? AND is_deleted = 0');
+    const row = stmt.get(resourceId);
+    if (!row) return null;
+    return {
+      ...row,
+      resource_data: JSON.parse(row.resource_data)
+    };
+  },
+
+  // Get FHIR Encounter by Call ID
+  getFHIREncounterByCallId(callId) {
+    const stmt = db.prepare('SELECT * FROM fhir_encounters WHERE call_id = ? AND is_deleted = 0');
+    const row = stmt.get(callId);
+    if (!row) return null;
+    return {
+      ...row,
+      resource_data: JSON.parse(row.resource_data)
+    };
+  },
+
+  // Update FHIR Encounter
+  updateFHIREncounter(resourceId, encounterResource) {
+    const stmt = db.prepare(`
+      UPDATE fhir_encounters
+      SET resource_data = ?,
+          status = ?,
+          end_time = ?,
+          version_id = version_id + 1,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE resource_id = ?
+    `);
+
+    return stmt.run(
+      JSON.stringify(encounterResource),
+      encounterResource.status,
+      encounterResource.period?.end,
+      resourceId
+    );
+  },
+
+  // Get Patient Encounters
+  getPatientEncounters(patientId, limit = 20) {
+    const stmt = db.prepare(`
+      SELECT * FROM fhir_encounters
+      WHERE patient_id = ? AND is_deleted = 0
+      ORDER BY start_time DESC
+      LIMIT ?
+    `);
+    const rows = stmt.all(patientId, limit);
+
+    return rows.map(row => ({
+      ...row,
+      resource_data: JSON.parse(row.resource_data)
+    }));
+  },
+
+  // Create FHIR Communication (Transcript)
+  createFHIRCommunication(communicationResource) {
+    const stmt = db.prepare(`
+      INSERT INTO fhir_communications (
+        resource_id, resource_data, patient_id, encounter_id, sent_time, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `);
+
+    const patientId = communicationResource.subject?.reference?.replace('Patient/', '');
+    const encounterId = communicationResource.encounter?.reference?.replace('Encounter/', '');
+
+    return stmt.run(
+      communicationResource.id,
+      JSON.stringify(communicationResource),
+      patientId,
+      encounterId,
+      communicationResource.sent
+    );
+  },
+
+  // Get FHIR Communication by ID
+  getFHIRCommunication(resourceId) {
+    const stmt = db.prepare('SELECT * FROM fhir_communications WHERE resource_id = ? AND is_deleted = 0');
+    const row = stmt.get(resourceId);
+    if (!row) return null;
+    return {
+      ...row,
+      resource_data: JSON.parse(row.resource_data)
+    };
+  },
+
+  // Get Encounter Communications
+  getEncounterCommunications(encounterId) {
+    const stmt = db.prepare(`
+      SELECT * FROM fhir_communications
+      WHERE encounter_id = ? AND is_deleted = 0
+      ORDER BY sent_time ASC
+    `);
+    const rows = stmt.all(encounterId);
+
+    return rows.map(row => ({
+      ...row,
+      resource_data: JSON.parse(row.resource_data)
+    }));
+  },
+
+  // Create FHIR Observation (Assessment)
+  createFHIRObservation(observationResource) {
+    const stmt = db.prepare(`
+      INSERT INTO fhir_observations (
+        resource_id, resource_data, patient_id, encounter_id, code, value, effective_date, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `);
+
+    const patientId = observationResource.subject?.reference?.replace('Patient/', '');
+    const encounterId = observationResource.encounter?.reference?.replace('Encounter/', '');
+    const code = observationResource.code?.coding?.[0]?.code;
+    const value = observationResource.valueInteger || observationResource.valueString;
+
+    return stmt.run(
+      observationResource.id,
+      JSON.stringify(observationResource),
+      patientId,
+      encounterId,
+      code,
+      JSON.stringify(value),
+      observationResource.effectiveDateTime
+    );
+  },
+
+  // Get Patient Observations
+  getPatientObservations(patientId, limit = 50) {
+    const stmt = db.prepare(`
+      SELECT * FROM fhir_observations
+      WHERE patient_id = ? AND is_deleted = 0
+      ORDER BY effective_date DESC
+      LIMIT ?
+    `);
+    const rows = stmt.all(patientId, limit);
+
+    return rows.map(row => ({
+      ...row,
+      resource_data: JSON.parse(row.resource_data),
+      value: JSON.parse(row.value)
+    }));
+  },
+
+  // Create FHIR Audit Log
+  createFHIRAuditLog(action, resourceType, resourceId, userId, ipAddress, userAgent) {
+    const stmt = db.prepare(`
+      INSERT INTO fhir_audit_log (
+        action, resource_type, resource_id, user_id, ip_address, user_agent, timestamp
+      ) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `);
+
+    return stmt.run(action, resourceType, resourceId, userId, ipAddress, userAgent);
+  },
+
+  // Get Audit Logs
+  getFHIRAuditLogs(params = {}) {
+    let query = 'SELECT * FROM fhir_audit_log WHERE 1=1';
+    const queryParams = [];
+
+    if (params.resourceType) {
+      query += ' AND resource_type = ?';
+      queryParams.push(params.resourceType);
+    }
+    if (params.resourceId) {
+      query += ' AND resource_id = ?';
+      queryParams.push(params.resourceId);
+    }
+    if (params.userId) {
+      query += ' AND user_id = ?';
+      queryParams.push(params.userId);
+    }
+    if (params.startDate) {
+      query += ' AND timestamp >= ?';
+      queryParams.push(params.startDate);
+    }
+
+    query += ' ORDER BY timestamp DESC LIMIT ?';
+    queryParams.push(params.limit || 100);
+
+    const stmt = db.prepare(query);
+    return stmt.all(...queryParams);
+  },
+
+  // ============================================
+  // USER MANAGEMENT
+  // ============================================
+
+  // Create user
+  createUser(user) {
+    const stmt = db.prepare(`
+      INSERT INTO users (
+        id, email, password_hash, name, role, merchant_id, picture, auth_method, google_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    return stmt.run(
+      user.id,
+      user.email,
+      user.password_hash || null,
+      user.name,
+      user.role || 'healthcare_provider',
+      user.merchant_id || null,
+      user.picture || null,
+      user.auth_method || 'email',
+      user.google_id || null
+    );
+  },
+
+  // Get user by email
+  getUserByEmail(email) {
+    const stmt = db.prepare('SELECT * FROM users WHERE email = ? AND is_active = 1');
+    return stmt.get(email);
+  },
+
+  // Get user by ID
+  getUserById(id) {
+    const stmt = db.prepare('SELECT * FROM users WHERE id = ? AND is_active = 1');
+    return stmt.get(id);
+  },
+
+  // Get user by Google ID
+  getUserByGoogleId(googleId) {
+    const stmt = db.prepare('SELECT * FROM users WHERE google_id = ? AND is_active = 1');
+    return stmt.get(googleId);
+  },
+
+  // Update user
+  updateUser(id, updates) {
+    const fields = [];
+    const values = [];
+
+    if (updates.name) {
+      fields.push('name = ?');
+      values.push(updates.name);
+    }
+    if (updates.picture !== undefined) {
+      fields.push('picture = ?');
+      values.push(updates.picture);
+    }
+    if (updates.role) {
+      fields.push('role = ?');
+      values.push(updates.role);
+    }
+    if (updates.merchant_id !== undefined) {
+      fields.push('merchant_id = ?');
+      values.push(updates.merchant_id);
+    }
+    if (updates.password_hash) {
+      fields.push('password_hash = ?');
+      values.push(updates.password_hash);
+    }
+
+    if (fields.length === 0) return;
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+
+    const query = `UPDATE users SET ${fields.join(', ')} WHERE id = ?`;
+    return db.prepare(query).run(...values);
+  },
+
+  // Update last login
+  updateUserLastLogin(id) {
+    const stmt = db.prepare('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  // Get all users
+  getAllUsers() {
+    const stmt = db.prepare('SELECT id, email, name, role, merchant_id, picture, auth_method, created_at, last_login FROM users WHERE is_active = 1 ORDER BY created_at DESC');
+    return stmt.all();
+  },
+
+  // Deactivate user (soft delete)
+  deactivateUser(id) {
+    const stmt = db.prepare('UPDATE users SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  // ============================================
+  // APPOINTMENTS
+  // ============================================
+
+  // Create new appointment
+  createAppointment(appointment) {
+    // Note: buffer_before_minutes and buffer_after_minutes are stored in notes JSON
+    // or we can add columns later if needed - for now, calculate from appointment_type
+    const stmt = db.prepare(`
+      INSERT INTO appointments (
+        id, patient_name, patient_phone, patient_email, patient_id,
+        appointment_type, date, time, start_time, end_time,
+        duration_minutes, provider, provider_id, status, notes,
+        calendar_event_id, calendar_link, series_id, series_index, group_session_id, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    // Store buffer times in notes as JSON if not already JSON
+    let notes = appointment.notes || '';
+    if (appointment.buffer_before_minutes || appointment.buffer_after_minutes) {
+      try {
+        const notesObj = notes ? JSON.parse(notes) : {};
+        notesObj.buffer_before_minutes = appointment.buffer_before_minutes;
+        notesObj.buffer_after_minutes = appointment.buffer_after_minutes;
+        notesObj.timezone = appointment.timezone;
+        notes = JSON.stringify(notesObj);
+      } catch (e) {
+        // If notes is not JSON, append buffer info
+        notes = `${notes}\nBuffer: ${appointment.buffer_before_minutes || 0}min before, ${appointment.buffer_after_minutes || 0}min after`.trim();
+      }
+    }
+
+    return stmt.run(
+      appointment.id,
+      appointment.patient_name,
+      appointment.patient_phone,
+      appointment.patient_email,
+      appointment.patient_id || null,
+      appointment.appointment_type,
+      appointment.date,
+      appointment.time,
+      appointment.start_time,
+      appointment.end_time,
+      appointment.duration_minutes,
+      appointment.provider,
+      appointment.provider_id || null,
+      appointment.status,
+      notes,
+      appointment.calendar_event_id,
+      appointment.calendar_link,
+      appointment.series_id || null,
+      appointment.series_index || null,
+      appointment.group_session_id || null,
+      appointment.created_at
+    );
+  },
+
+  // Get appointment by ID
+  getAppointment(id) {
+    const stmt = db.prepare('SELECT * FROM appointments WHERE id = ? OR id LIKE ?');
+    return stmt.get(id, `%${id}%`);
+  },
+
+  // Get appointments by date
+  getAppointmentsByDate(date) {
+    const stmt = db.prepare('SELECT * FROM appointments WHERE date = ? ORDER BY time ASC');
+    return stmt.all(date);
+  },
+
+  // Get appointments for a provider on a date (matches provider_id or legacy provider name)
+  getAppointmentsByDateAndProvider(date, providerId, providerName) {
+    const stmt = db.prepare(`
+      SELECT * FROM appointments
+      WHERE date = ? AND (provider_id = ? OR (provider_id IS NULL AND provider = ?))
+      ORDER BY time ASC
+    `);
+    return stmt.all(date, providerId, providerName);
+  },
+
+  // Search appointments by phone or email
+  searchAppointments(searchTerm) {
+    const stmt = db.prepare(`
+      SELECT * FROM appointments
+      WHERE patient_phone LIKE ? OR patient_email LIKE ?
+      ORDER BY date DESC, time DESC
+    `);
+    return stmt.all(`%${searchTerm}%`, `%${searchTerm}%`);
+  },
+
+  // Get all appointments (with optional filters)
+  getAllAppointments(filters = {}) {
+    let query = 'SELECT * FROM appointments WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.date) {
+      query += ' AND date = ?';
+      params.push(filters.date);
+    }
+
+    if (filters.provider) {
+      query += ' AND provider = ?';
+      params.push(filters.provider);
+    }
+
+    query += ' ORDER BY date DESC, time DESC';
+
+    const stmt = db.prepare(query);
+    return stmt.all(...params);
+  },
+
+  // Update appointment status without lifecycle checks or history
+  // (status changes go through AppointmentLifecycleService / transitionAppointmentStatus)
+  updateAppointmentStatus(id, status, reason = null) {
+    const stmt = db.prepare(`
+      UPDATE appointments
+      SET status = ?,
+          cancellation_reason = ?,
+          ics_sequence = CASE WHEN ? = 'cancelled' AND status != 'cancelled'
+                              THEN COALESCE(ics_sequence, 0) + 1 ELSE ics_sequence END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? OR id LIKE ?
+    `);
+    return stmt.run(status, reason, status, id, `%${id}%`);
+  },
+
+  // Update appointment details (for rescheduling)
+  updateAppointment(id, updates) {
+    const fields = [];
+    const values = [];
+
+    if (updates.date !== undefined) {
+      fields.push('date = ?');
+      values.push(updates.date);
+    }
+    if (updates.time !== undefined) {
+      fields.push('time = ?');
+      values.push(updates.time);
+    }
+    if (updates.start_time !== undefined) {
+      fields.push('start_time = ?');
+      values.push(updates.start_time);
+    }
+    if (updates.end_time !== undefined) {
+      fields.push('end_time = ?');
+      values.push(updates.end_time);
+    }
+    // Note: appointments table has no timezone column; store timezone in notes JSON if needed
+    if (updates.notes !== undefined) {
+      fields.push('notes = ?');
+      values.push(updates.notes);
+    }
+    if (updates.appointment_type !== undefined) {
+      fields.push('appointment_type = ?');
+      values.push(updates.appointment_type);
+    }
+    if (updates.duration_minutes !== undefined) {
+      fields.push('duration_minutes = ?');
+      values.push(updates.duration_minutes);
+    }
+    if (updates.provider !== undefined) {
+      fields.push('provider = ?');
+      values.push(updates.provider);
+    }
+    if (updates.provider_id !== undefined) {
+      fields.push('provider_id = ?');
+      values.push(updates.provider_id);
+    }
+    if (updates.series_id !== undefined) {
+      fields.push('series_id = ?');
+      values.push(updates.series_id);
+    }
+    if (updates.calendar_event_id !== undefined) {
+      fields.push('calendar_event_id = ?');
+      values.push(updates.calendar_event_id);
+    }
+    if (updates.group_session_id !== undefined) {
+      fields.push('group_session_id = ?');
+      values.push(updates.group_session_id);
+    }
+    if (updates.attendance_status !== undefined) {
+      fields.push('attendance_status = ?');
+      values.push(updates.attendance_status);
+    }
+    if (updates.checked_in_at !== undefined) {
+      fields.push('checked_in_at = ?');
+      values.push(updates.checked_in_at);
+    }
+
+    if (fields.length === 0) {
+      return { changes: 0 };
+    }
+
+    if (updates.start_time !== undefined || updates.end_time !== undefined) {
+      fields.push('ics_sequence = COALESCE(ics_sequence, 0) + 1');
+    }
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+
+    const query = `
+      UPDATE appointments
+      SET ${fields.join(', ')}
+      WHERE id = ? OR id LIKE ?
+    `;
+
+    const stmt = db.prepare(query);
+    return stmt.run(...values, id, `%${id}%`);
+  },
+
+  // Delete appointment (hard delete)
+  deleteAppointment(id) {
+    const stmt = db.prepare('DELETE FROM appointments WHERE id = ? OR id LIKE ?');
+    return stmt.run(id, `%${id}%`);
+  },
+
+  // Get upcoming appointments (next 7 days)
+  getUpcomingAppointments(limit = 10) {
+    const today = new Date().toISOString().split('T')[0];
+    const stmt = db.prepare(`
+      SELECT * FROM appointments
+      WHERE date >= ? AND status IN ('scheduled', 'confirmed')
+      ORDER BY date ASC, time ASC
+      LIMIT ?
+    `);
+    return stmt.all(today, limit);
+  },
+
+  // ============================================
+  // INSURANCE & BILLING
+  // ============================================
+
+  // Create eligibility check record
+  createEligibilityCheck(eligibility) {
+    const stmt = db.prepare(`
+      INSERT INTO eligibility_checks (
+        id, patient_id, member_id, payer_id, service_code,
+        date_of_service, eligible, copay_amount, allowed_amount,
+        insurance_pays, deductible_total, deductible_remaining,
+        coinsurance_percent, out_of_pocket_total, out_of_pocket_remaining,
+        visits_allowed, visits_remaining, prior_auth_required,
+        plan_summary, benefits, source, trace_number, response_data, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      eligibility.id,
+      eligibility.patient_id || null,
+      eligibility.member_id,
+      eligibility.payer_id,
+      eligibility.service_code || null,
+      eligibility.date_of_service || null,
+      // null when the payer didn't answer (eligibility unknown, no benefit figures)
+      eligibility.eligible === null ? null : (eligibility.eligible ? 1 : 0),
+      eligibility.copay_amount === null ? null : (eligibility.copay_amount || 0),
+      eligibility.allowed_amount === null ? null : (eligibility.allowed_amount || 0),
+      eligibility.insurance_pays === null ? null : (eligibility.insurance_pays || 0),
+      eligibility.deductible_total !== undefined ? eligibility.deductible_total : null,
+      eligibility.deductible_remaining !== undefined ? eligibility.deductible_remaining : null,
+      eligibility.coinsurance_percent !== undefined ? eligibility.coinsurance_percent : null,
+      eligibility.out_of_pocket_total !== undefined ? eligibility.out_of_pocket_total : null,
+      eligibility.out_of_pocket_remaining !== undefined ? eligibility.out_of_pocket_remaining : null,
+      eligibility.visits_allowed !== undefined ? eligibility.visits_allowed : null,
+      eligibility.visits_remaining !== undefined ? eligibility.visits_remaining : null,
+      eligibility.prior_auth_required === undefined || eligibility.prior_auth_required === null
+        ? null
+        : (eligibility.prior_auth_required ? 1 : 0),
+      eligibility.plan_summary || null,
+      eligibility.benefits ? JSON.stringify(eligibility.benefits) : null,
+      eligibility.source || null,
+      eligibility.trace_number || null,
+      eligibility.response_data || null,
+      eligibility.created_at || new Date().toISOString()
+    );
+  },
+
+  // Get eligibility check by ID
+  getEligibilityCheck(id) {
+    const stmt = db.prepare('SELECT * FROM eligibility_checks WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  // Get eligibility checks for a patient that the payer answered (not those stored as unknown)
+  getEligibilityChecksByPatient(patientId) {
+    const stmt = db.prepare(`
+      SELECT * FROM eligibility_checks
+      WHERE patient_id = ? AND COALESCE(source, '') != 'unknown'
+      ORDER BY created_at DESC
+    `);
+    return stmt.all(patientId);
+  },
+
+  // Create insurance claim, with its service lines when given (claim.lines, see claim-line-service.js)
+  createInsuranceClaim(claim) {
+    try {
+      if (Array.isArray(claim.lines)) {
+        return db.transaction(() => {
+          const result = this.createInsuranceClaim({ ...claim, lines: undefined });
+          this.replaceClaimLines(claim.id, claim.lines);
+          return result;
+        })();
+      }
+      const stmt = db.prepare(`
+        INSERT INTO insurance_claims (
+          id, appointment_id, patient_id, member_id, payer_id,
+          service_code, diagnosis_code, total_amount, copay_amount,
+          insurance_amount, status, x12_claim_id, blockchain_proof,
+          submitted_at, response_data, circle_transfer_id, payment_status, payment_amount, date_of_service,
+          payer_sequence, prior_claim_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const result = stmt.run(
+        claim.id,
+        claim.appointment_id || null,
+        claim.patient_id || null,
+        claim.member_id,
+        claim.payer_id,
+        claim.service_code || null,
+        claim.diagnosis_code || null,
+        claim.total_amount,
+        claim.copay_amount || 0,
+        claim.insurance_amount || 0,
+        claim.status || 'submitted',
+        claim.x12_claim_id || null,
+        claim.blockchain_proof || null,
+        claim.submitted_at || new Date().toISOString(),
+        claim.response_data || null,
+        claim.circle_transfer_id || null,
+        claim.payment_status || 'pending',
+        claim.payment_amount || null,
+        claim.date_of_service || null,
+        claim.payer_sequence || 'primary',
+        claim.prior_claim_id || null
+      );
+      return result;
+    } catch (error) {
+      console.error('❌ Error creating insurance claim:', error);
+      console.error('Claim data:', JSON.stringify(claim, null, 2));
+      throw error; // Re-throw to be handled by caller
+    }
+  },
+
+  // Get insurance claim by ID
+  getInsuranceClaim(id) {
+    const stmt = db.prepare('SELECT * FROM insurance_claims WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  // Get insurance claim by idempotency key
+  getInsuranceClaimByIdempotency(idemKey) {
+    const stmt = db.prepare('SELECT * FROM insurance_claims WHERE idempotency_key = ? ORDER BY submitted_at DESC LIMIT 1');
+    return stmt.get(idemKey);
+  },
+
+  // Get claims for an appointment
+  getClaimsByAppointment(appointmentId) {
+    const stmt = db.prepare(`
+      SELECT * FROM insurance_claims
+      WHERE appointment_id = ?
+      ORDER BY submitted_at DESC
+    `);
+    return stmt.all(appointmentId);
+  },
+
+  // Get claims for a patient
+  getClaimsByPatient(patientId) {
+    const stmt = db.prepare(`
+      SELECT * FROM insurance_claims
+      WHERE patient_id = ?
+      ORDER BY submitted_at DESC
+    `);
+    return stmt.all(patientId);
+  },
+
+  getClaimById(claimId) {
+    const stmt = db.prepare(`
+      SELECT * FROM insurance_claims
+      WHERE id = ?
+    `);
+    return stmt.get(claimId);
+  },
+
+  // ============================================
+  // CIRCLE PAYMENT METHODS
+  // ============================================
+
+  // Create Circle account
+  createCircleAccount(account) {
+    const stmt = db.prepare(`
+      INSERT INTO circle_accounts (
+        id, entity_type, entity_id, circle_wallet_id, circle_account_id,
+        currency, status, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      account.id,
+      account.entity_type,
+      account.entity_id,
+      account.circle_wallet_id,
+      account.circle_account_id || null,
+      account.currency || 'USDC',
+      account.status || 'active',
+      account.created_at || new Date().toISOString(),
+      account.updated_at || new Date().toISOString()
+    );
+  },
+
+  // Get Circle account by entity
+  getCircleAccountByEntity(entityType, entityId) {
+    const stmt = db.prepare(`
+      SELECT * FROM circle_accounts
+      WHERE entity_type = ? AND entity_id = ?
+      ORDER BY created_at DESC
+      LIMIT 1
+    `);
+    return stmt.get(entityType, entityId);
+  },
+
+  // Get Circle account by wallet ID
+  getCircleAccountByWalletId(walletId) {
+    const stmt = db.prepare(`
+      SELECT * FROM circle_accounts
+      WHERE circle_wallet_id = ?
+    `);
+    return stmt.get(walletId);
+  },
+
+  // Create Circle transfer
+  createCircleTransfer(transfer) {
+    const stmt = db.prepare(`
+      INSERT INTO circle_transfers (
+        id, claim_id, from_wallet_id, to_wallet_id, amount, currency,
+        circle_transfer_id, status, error_message, created_at, completed_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      transfer.id,
+      transfer.claim_id || null,
+      transfer.from_wallet_id,
+      transfer.to_wallet_id,
+      transfer.amount,
+      transfer.currency || 'USDC',
+      transfer.circle_transfer_id || null,
+      transfer.status || 'pending',
+      transfer.error_message || null,
+      transfer.created_at || new Date().toISOString(),
+      transfer.completed_at || null
+    );
+  },
+
+  // Update Circle transfer
+  updateCircleTransfer(id, updates) {
+    const fields = [];
+    const values = [];
+
+    if (updates.status !== undefined) {
+      fields.push('status = ?');
+      values.push(updates.status);
+    }
+    if (updates.circle_transfer_id !== undefined) {
+      fields.push('circle_transfer_id = ?');
+      values.push(updates.circle_transfer_id);
+    }
+    if (updates.error_message !== undefined) {
+      fields.push('error_message = ?');
+      values.push(updates.error_message);
+    }
+    if (updates.completed_at !== undefined) {
+      fields.push('completed_at = ?');
+      values.push(updates.completed_at);
+    }
+
+    if (fields.length === 0) {
+      return { changes: 0 };
+    }
+
+    values.push(id);
+    const query = `UPDATE circle_transfers SET ${fields.join(', ')} WHERE id = ?`;
+    return db.prepare(query).run(...values);
+  },
+
+  // Get Circle transfer by ID
+  getCircleTransfer(id) {
+    const stmt = db.prepare(`
+      SELECT * FROM circle_transfers
+      WHERE id = ?
+    `);
+    return stmt.get(id);
+  },
+
+  // Get Circle transfer by Circle transfer ID
+  getCircleTransferByCircleId(circleTransferId) {
+    const stmt = db.prepare(`
+      SELECT * FROM circle_transfers
+      WHERE circle_transfer_id = ?
+    `);
+    return stmt.get(circleTransferId);
+  },
+
+  // Get Circle transfers by claim ID
+  getCircleTransfersByClaim(claimId) {
+    const stmt = db.prepare(`
+      SELECT * FROM circle_transfers
+      WHERE claim_id = ?
+      ORDER BY created_at DESC
+    `);
+    return stmt.all(claimId);
+  },
+
+  // Update insurance claim
+  // (status changes go through ClaimLifecycleService / transitionClaimStatus)
+  updateInsuranceClaim(id, updates) {
+    const fields = [];
+    const values = [];
+
+    if (updates.submitted_at !== undefined) {
+      fields.push('submitted_at = ?');
+      values.push(updates.submitted_at);
+    }
+    if (updates.status_checked_at !== undefined) {
+      fields.push('status_checked_at = ?');
+      values.push(updates.status_checked_at);
+    }
+    if (updates.approved_at !== undefined) {
+      fields.push('approved_at = ?');
+      values.push(updates.approved_at);
+    }
+    if (updates.paid_at !== undefined) {
+      fields.push('paid_at = ?');
+      values.push(updates.paid_at);
+    }
+    if (updates.response_data !== undefined) {
+      fields.push('response_data = ?');
+      values.push(updates.response_data);
+    }
+    if (updates.circle_transfer_id !== undefined) {
+      fields.push('circle_transfer_id = ?');
+      values.push(updates.circle_transfer_id);
+    }
+    if (updates.payment_status !== undefined) {
+      fields.push('payment_status = ?');
+      values.push(updates.payment_status);
+    }
+    if (updates.payment_amount !== undefined) {
+      fields.push('payment_amount = ?');
+      values.push(updates.payment_amount);
+    }
+    if (updates.insurance_amount !== undefined) {
+      fields.push('insurance_amount = ?');
+      values.push(updates.insurance_amount);
+    }
+    for (const column of ['x12_claim_id', 'payer_claim_control_number', 'allowed_amount', 'contractual_adjustment', 'patient_responsibility',
+      'member_id', 'service_code', 'diagnosis_code', 'total_amount', 'date_of_service', 'frequency_code']) {
+      if (updates[column] !== undefined) {
+        fields.push(`${column} = ?`);
+        values.push(updates[column]);
+      }
+    }
+
+    if (fields.length === 0) {
+      return { changes: 0 };
+    }
+
+    values.push(id);
+
+    const query = `
+      UPDATE insurance_claims
+      SET ${fields.join(', ')}
+      WHERE id = ?
+    `;
+
+    const stmt = db.prepare(query);
+    return stmt.run(...values);
+  },
+
+  // Get all claims with optional filters
+  getAllClaims(filters = {}) {
+    let query = 'SELECT * FROM insurance_claims WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.patient_id) {
+      query += ' AND patient_id = ?';
+      params.push(filters.patient_id);
+    }
+
+    if (filters.appointment_id) {
+      query += ' AND appointment_id = ?';
+      params.push(filters.appointment_id);
+    }
+
+    query += ' ORDER BY submitted_at DESC';
+
+    const stmt = db.prepare(query);
+    return stmt.all(...params);
+  },
+
+  // ============================================
+  // PAYER CACHE
+  // ============================================
+
+  // Upsert payer to cache
+  upsertPayer(payer) {
+    const stmt = db.prepare(`
+      INSERT INTO insurance_payers (id, payer_id, payer_name, aliases, supported_transactions, is_active, last_updated)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(payer_id) DO UPDATE SET
+        payer_name = excluded.payer_name,
+        aliases = excluded.aliases,
+        supported_transactions = excluded.supported_transactions,
+        is_active = excluded.is_active,
+        last_updated = excluded.last_updated
+    `);
+    return stmt.run(
+      payer.id,
+      payer.payer_id,
+      payer.payer_name,
+      payer.aliases ? JSON.stringify(payer.aliases) : null,
+      payer.supported_transactions ? JSON.stringify(payer.supported_transactions) : null,
+      payer.is_active !== undefined ? (payer.is_active ? 1 : 0) : 1,
+      new Date().toISOString()
+    );
+  },
+
+  // Get payer by payer_id
+  getPayerByPayerId(payerId) {
+    const stmt = db.prepare('SELECT * FROM insurance_payers WHERE payer_id = ? AND is_active = 1');
+    return stmt.get(payerId);
+  },
+
+  // Search payers by name (fuzzy search)
+  searchPayersByName(searchTerm) {
+    const stmt = db.prepare(`
+      SELECT * FROM insurance_payers
+      WHERE (payer_name LIKE ? OR aliases LIKE ?)
+      AND is_active = 1
+      ORDER BY payer_name
+      LIMIT 50
+    `);
+    return stmt.all(`%${searchTerm}%`, `%${searchTerm}%`);
+  },
+
+  // Get all cached payers
+  getAllCachedPayers(limit = 1000) {
+    const stmt = db.prepare(`
+      SELECT * FROM insurance_payers
+      WHERE is_active = 1
+      ORDER BY payer_name
+      LIMIT ?
+    `);
+    return stmt.all(limit);
+  },
+
+  // Get payer cache count
+  getPayerCacheCount() {
+    const stmt = db.prepare('SELECT COUNT(*) as count FROM insurance_payers WHERE is_active = 1');
+    return stmt.get().count;
+  },
+
+  // ============================================
+  // PATIENT INSURANCE
+  // ============================================
+
+  // Create or update patient insurance
+  upsertPatientInsurance(insurance) {
+    // Check if patient already has this insurance (inline the check to avoid circular dependency)
+    let existing = null;
+    if (insurance.member_id) {
+      const checkStmt = db.prepare(`
+        SELECT * FROM patient_insurance
+        WHERE patient_id = ? AND member_id = ?
+        ORDER BY is_primary DESC, created_at DESC
+        LIMIT 1
+      `);
+      existing = checkStmt.get(insurance.patient_id, insurance.member_id);
+    } else {
+      // Get primary insurance
+      const checkStmt = db.prepare(`
+        SELECT * FROM patient_insurance
+        WHERE patient_id = ? AND is_primary = 1
+        ORDER BY created_at DESC
+        LIMIT 1
+      `);
+      existing = checkStmt.get(insurance.patient_id);
+    }
+
+    // Priority orders the patient's plans (1 primary); is_primary follows it
+    const priority = insurance.priority !== undefined && insurance.priority !== null
+      ? Number(insurance.priority)
+      : (insurance.is_primary === undefined || insurance.is_primary ? 1 : 2);
+
+    if (existing) {
+      // Update existing
+      const stmt = db.prepare(`
+        UPDATE patient_insurance
+        SET payer_id = ?,
+            payer_name = ?,
+            group_number = ?,
+            plan_name = ?,
+            relationship_code = ?,
+            is_primary = ?,
+            priority = ?,
+            subscriber_name = COALESCE(?, subscriber_name),
+            subscriber_dob = COALESCE(?, subscriber_dob),
+            subscriber_gender = COALESCE(?, subscriber_gender),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `);
+      return stmt.run(
+        insurance.payer_id,
+        insurance.payer_name || null,
+        insurance.group_number || null,
+        insurance.plan_name || null,
+        insurance.relationship_code || 'self',
+        priority === 1 ? 1 : 0,
+        priority,
+        insurance.subscriber_name || null,
+        insurance.subscriber_dob || null,
+        insurance.subscriber_gender || null,
+        existing.id
+      );
+    } else {
+      // Create new
+      const stmt = db.prepare(`
+        INSERT INTO patient_insurance (
+          id, patient_id, payer_id, payer_name, member_id,
+          group_number, plan_name, relationship_code, is_primary, priority, is_verified, verified_at,
+          subscriber_name, subscriber_dob, subscriber_gender, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      `);
+      return stmt.run(
+        insurance.id,
+        insurance.patient_id,
+        insurance.payer_id,
+        insurance.payer_name || null,
+        insurance.member_id,
+        insurance.group_number || null,
+        insurance.plan_name || null,
+        insurance.relationship_code || 'self',
+        priority === 1 ? 1 : 0,
+        priority,
+        insurance.is_verified !== undefined ? (insurance.is_verified ? 1 : 0) : 0,
+        insurance.verified_at || null,
+        insurance.subscriber_name || null,
+        insurance.subscriber_dob || null,
+        insurance.subscriber_gender || null
+      );
+    }
+  },
+
+  // Get patient insurance by patient_id and member_id
+  getPatientInsurance(patientId, memberId = null) {
+    if (memberId) {
+      const stmt = db.prepare(`
+        SELECT * FROM patient_insurance
+        WHERE patient_id = ? AND member_id = ?
+        ORDER BY is_primary DESC, created_at DESC
+        LIMIT 1
+      `);
+      return stmt.get(patientId, memberId);
+    } else {
+      // Get primary insurance
+      const stmt = db.prepare(`
+        SELECT * FROM patient_insurance
+        WHERE patient_id = ? AND is_primary = 1
+        ORDER BY created_at DESC
+        LIMIT 1
+      `);
+      return stmt.get(patientId);
+    }
   },
 
-  updateCheckoutSession: (id, status, sessionData) => {
+  // Get all insurance for a patient, primary first
+  getAllPatientInsurance(patientId) {
+    const stmt = db.prepare(`
+      SELECT * FROM patient_insurance
+      WHERE patient_id = ?
+      ORDER BY COALESCE(priority, CASE WHEN is_primary = 1 THEN 1 ELSE 2 END), created_at DESC
+    `);
+    return stmt.all(patientId);
+  },
+
+  // Set where a plan comes in the patient's coordination of benefits (1 primary)
+  setPatientInsurancePriority(insuranceId, priority) {
     return db.prepare(`
-      UPDATE checkout_sessions 
-      SET status = ?, session_data = ?
+      UPDATE patient_insurance
+      SET priority = ?, is_primary = ?, updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
-    `).run(status, safeStringify(sessionData), id);
+    `).run(priority, priority === 1 ? 1 : 0, insuranceId);
+  },
+
+  // Verify patient insurance
+  verifyPatientInsurance(insuranceId) {
+    const stmt = db.prepare(`
+      UPDATE patient_insurance
+      SET is_verified = 1,
+          verified_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    return stmt.run(insuranceId);
   },
 
   // ============================================
-  // AP2 MANDATES
+  // PROVIDERS & SCHEDULES
   // ============================================
-  storeMandate: (mandate) => {
-    return db.prepare(`
-      INSERT OR REPLACE INTO ap2_mandates (id, type, mandate_data, signature, verified, merchant_id, expires_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      mandate.id,
-      mandate.type,
-      JSON.stringify(mandate),
-      typeof mandate.signature === 'string' ? mandate.signature : JSON.stringify(mandate.signature),
-      mandate.verified ? 1 : 0,
-      mandate.merchant_id || null,
-      mandate.expires_at || null
+
+  // Create provider
+  createProvider(provider) {
+    const stmt = db.prepare(`
+      INSERT INTO providers (
+        id, name, email, phone, npi, taxonomy_code, calendar_id, timezone, is_active
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      provider.id,
+      provider.name,
+      provider.email || null,
+      provider.phone || null,
+      provider.npi || null,
+      provider.taxonomy_code || null,
+      provider.calendar_id || null,
+      provider.timezone || 'America/New_York',
+      provider.is_active !== undefined ? (provider.is_active ? 1 : 0) : 1
     );
   },
 
-  getMandate: (id) => {
-    return db.prepare('SELECT * FROM ap2_mandates WHERE id = ?').get(id);
+  // Get provider by ID
+  getProvider(id) {
+    return db.prepare('SELECT * FROM providers WHERE id = ?').get(id);
   },
 
-  updateMandateVerification: (id, verified) => {
-    return db.prepare('UPDATE ap2_mandates SET verified = ? WHERE id = ?').run(verified, id);
+  // Get provider by display name (case-insensitive)
+  getProviderByName(name) {
+    return db.prepare('SELECT * FROM providers WHERE LOWER(name) = LOWER(?)').get(name);
   },
 
-  // ============================================
-  // SHOPPING CARTS
-  // ============================================
-  createCart: (cart) => {
-    return db.prepare(`
-      INSERT INTO shopping_carts 
-      (id, merchant_id, intent_mandate_id, items, subtotal, tax, shipping, total, expires_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now', '+1 hour'))
-    `).run(
-      cart.id,
-      cart.merchant_id,
-      cart.intent_mandate_id || null,
-      JSON.stringify(cart.items),
-      cart.subtotal,
-      cart.tax,
-      cart.shipping,
-      cart.total
-    );
+  // Get all providers
+  getAllProviders(activeOnly = true) {
+    const query = activeOnly
+      ? 'SELECT * FROM providers WHERE is_active = 1 ORDER BY name'
+      : 'SELECT * FROM providers ORDER BY name';
+    return db.prepare(query).all();
   },
 
-  getCart: (id) => {
-    return db.prepare('SELECT * FROM shopping_carts WHERE id = ?').get(id);
-  },
+  // Update provider
+  updateProvider(id, updates) {
+    const allowed = ['name', 'email', 'phone', 'npi', 'taxonomy_code', 'calendar_id', 'timezone', 'is_active'];
+    const fields = [];
+    const values = [];
 
-  updateCart: (id, cart) => {
-    return db.prepare(`
-      UPDATE shopping_carts 
-      SET items = ?, subtotal = ?, tax = ?, shipping = ?, total = ?
-      WHERE id = ?
-    `).run(
-      JSON.stringify(cart.items),
-      cart.subtotal,
-      cart.tax,
-      cart.shipping,
-      cart.total,
-      id
-    );
+    for (const key of allowed) {
+      if (updates[key] !== undefined) {
+        fields.push(`${key} = ?`);
+        values.push(key === 'is_active' ? (updates[key] ? 1 : 0) : updates[key]);
+      }
+    }
+
+    if (fields.length === 0) {
+      return { changes: 0 };
+    }
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+    return db.prepare(`UPDATE providers SET ${fields.join(', ')} WHERE id = ?`).run(...values);
   },
 
-  // ============================================
-  // AP2 TRANSACTIONS
-  // ============================================
-  createAP2Transaction: (transaction) => {
+  // Get weekly template rows for a provider
+  getProviderSchedule(providerId) {
     return db.prepare(`
-      INSERT INTO ap2_transactions 
-      (id, merchant_id, intent_mandate_id, cart_mandate_id, payment_mandate_id, 
-       cart_id, order_id, amount, status, audit_trail)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      transaction.id,
-      transaction.merchant_id,
-      transaction.intent_mandate_id || null,
-      transaction.cart_mandate_id || null,
-      transaction.payment_mandate_id || null,
-      transaction.cart_id || null,
-      transaction.order_id || null,
-      transaction.amount,
-      transaction.status || 'pending',
-      JSON.stringify(transaction.audit_trail || [])
-    );
+      SELECT * FROM provider_schedules
+      WHERE provider_id = ?
+      ORDER BY day_of_week ASC, start_time ASC
+    `).all(providerId);
   },
 
-  getAP2Transaction: (id) => {
-    return db.prepare('SELECT * FROM ap2_transactions WHERE id = ?').get(id);
-  },
+  // Replace the weekly template for a provider
+  replaceProviderSchedule(providerId, entries = []) {
+    const del = db.prepare('DELETE FROM provider_schedules WHERE provider_id = ?');
+    const ins = db.prepare(`
+      INSERT INTO provider_schedules (
+        id, provider_id, day_of_week, start_time, end_time, effective_from, effective_to
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
 
-  updateAP2Transaction: (id, updates) => {
-    const fields = Object.keys(updates).map(key =>
-      key === 'audit_trail' ? `${key} = ?` : `${key} = ?`
-    ).join(', ');
-    const values = Object.values(updates).map(v =>
-      typeof v === 'object' ? JSON.stringify(v) : v
-    );
-    return db.prepare(`UPDATE ap2_transactions SET ${fields} WHERE id = ?`).run(...values, id);
-  },
+    const replace = db.transaction((rows) => {
+      del.run(providerId);
+      for (const row of rows) {
+        ins.run(
+          row.id,
+          providerId,
+          row.day_of_week,
+          row.start_time,
+          row.end_time,
+          row.effective_from || null,
+          row.effective_to || null
+        );
+      }
+    });
 
-  getAllAP2Transactions: () => {
-    return db.prepare('SELECT * FROM ap2_transactions ORDER BY created_at DESC').all();
+    replace(entries);
+    return { count: entries.length };
   },
 
-  // ============================================
-  // VOICE CHECKOUTS
-  // ============================================
-  createVoiceCheckout: (checkout) => {
-    // Ensure customer_phone is never null (required field)
-    const customerPhone = checkout.customer_phone || '0000000000';
-
+  // Create time off entry
+  createProviderTimeOff(timeOff) {
     return db.prepare(`
-      INSERT INTO voice_checkouts 
-      (id, merchant_id, product_id, product_name, quantity, amount, 
-       customer_phone, customer_name, customer_email, appointment_id, payment_method, status)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO provider_time_off (id, provider_id, start_date, end_date, start_time, end_time, reason)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `).run(
-      checkout.id,
-      checkout.merchant_id,
-      checkout.product_id,
-      checkout.product_name,
-      checkout.quantity || 1,
-      checkout.amount,
-      customerPhone,
-      checkout.customer_name || null,
-      checkout.customer_email || null,
-      checkout.appointment_id || null,
-      checkout.payment_method || null,
-      checkout.status || 'pending'
+      timeOff.id,
+      timeOff.provider_id,
+      timeOff.start_date,
+      timeOff.end_date || timeOff.start_date,
+      timeOff.start_time || null,
+      timeOff.end_time || null,
+      timeOff.reason || null
     );
   },
 
-  getVoiceCheckout: (id) => {
-    return db.prepare('SELECT * FROM voice_checkouts WHERE id = ?').get(id);
-  },
-
-  updateVoiceCheckout: (id, updates) => {
-    const fields = [];
-    const values = [];
-
-    if (updates.status) {
-      fields.push('status = ?');
-      values.push(updates.status);
-    }
-    if (updates.payment_intent_id) {
-      fields.push('payment_intent_id = ?');
-      values.push(updates.payment_intent_id);
-    }
-    if (updates.merchant_order_id) {
-      fields.push('merchant_order_id = ?');
-      values.push(updates.merchant_order_id);
-    }
-    if (updates.payment_token) {
-      fields.push('payment_token = ?');
-      values.push(updates.payment_token);
-    }
-    if (updates.fhir_patient_id) {
-      fields.push('fhir_patient_id = ?');
-      values.push(updates.fhir_patient_id);
-    }
-    if (updates.fhir_encounter_id) {
-      fields.push('fhir_encounter_id = ?');
-      values.push(updates.fhir_encounter_id);
-    }
-    if (updates.appointment_id !== undefined) {
-      fields.push('appointment_id = ?');
-      values.push(updates.appointment_id);
-    }
-    if (updates.payment_method) {
-      fields.push('payment_method = ?');
-      values.push(updates.payment_method);
-    }
-    if (updates.status === 'completed') {
-      fields.push('completed_at = CURRENT_TIMESTAMP');
+  // Get time off entries covering a date (or all when date omitted)
+  getProviderTimeOff(providerId, date = null) {
+    if (date) {
+      return db.prepare(`
+        SELECT * FROM provider_time_off
+        WHERE provider_id = ? AND start_date <= ? AND end_date >= ?
+        ORDER BY start_date ASC
+      `).all(providerId, date, date);
     }
+    return db.prepare(`
+      SELECT * FROM provider_time_off
+      WHERE provider_id = ?
+      ORDER BY start_date ASC
+    `).all(providerId);
+  },
 
-    if (fields.length === 0) return;
+  // Delete time off entry
+  deleteProviderTimeOff(providerId, id) {
+    return db.prepare('DELETE FROM provider_time_off WHERE id = ? AND provider_id = ?').run(id, providerId);
+  },
 
-    values.push(id);
-    const query = `UPDATE voice_checkouts SET ${fields.join(', ')} WHERE id = ?`;
-    return db.prepare(query).run(...values);
+  // Create date override
+  createProviderScheduleOverride(override) {
+    return db.prepare(`
+      INSERT INTO provider_schedule_overrides (id, provider_id, date, start_time, end_time, is_available, reason)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      override.id,
+      override.provider_id,
+      override.date,
+      override.start_time || null,
+      override.end_time || null,
+      override.is_available !== undefined ? (override.is_available ? 1 : 0) : 1,
+      override.reason || null
+    );
   },
 
-  getAllVoiceCheckouts: () => {
-    return db.prepare('SELECT * FROM voice_checkouts ORDER BY created_at DESC').all();
+  // Get date overrides (for a single date or all)
+  getProviderScheduleOverrides(providerId, date = null) {
+    if (date) {
+      return db.prepare(`
+        SELECT * FROM provider_schedule_overrides
+        WHERE provider_id = ? AND date = ?
+        ORDER BY start_time ASC
+      `).all(providerId, date);
+    }
+    return db.prepare(`
+      SELECT * FROM provider_schedule_overrides
+      WHERE provider_id = ?
+      ORDER BY date ASC, start_time ASC
+    `).all(providerId);
   },
 
-  getVoiceCheckoutsByMerchant: (merchantId) => {
-    return db.prepare('SELECT * FROM voice_checkouts WHERE merchant_id = ? ORDER BY created_at DESC').all(merchantId);
+  // Delete date override
+  deleteProviderScheduleOverride(providerId, id) {
+    return db.prepare('DELETE FROM provider_schedule_overrides WHERE id = ? AND provider_id = ?').run(id, providerId);
   },
 
   // ============================================
-  // PAYMENT TOKENS
+  // APPOINTMENT SERIES
   // ============================================
-  createPaymentToken: (token) => {
+
+  // Create recurring series
+  createAppointmentSeries(series) {
     return db.prepare(`
-      INSERT INTO payment_tokens (token, checkout_id, verification_code, verification_code_expires, status)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT INTO appointment_series (
+        id, patient_name, patient_phone, patient_email, patient_id,
+        appointment_type, provider, provider_id, time, timezone,
+        recurrence_rule, start_date, until_date, occurrence_count,
+        status, notes, parent_series_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
-      token.token,
-      token.checkout_id,
-      token.verification_code || null,
-      token.verification_code_expires || null,
-      token.status || 'pending'
+      series.id,
+      series.patient_name,
+      series.patient_phone || null,
+      series.patient_email || null,
+      series.patient_id || null,
+      series.appointment_type,
+      series.provider || null,
+      series.provider_id || null,
+      series.time,
+      series.timezone || 'America/New_York',
+      series.recurrence_rule,
+      series.start_date,
+      series.until_date || null,
+      series.occurrence_count || null,
+      series.status || 'active',
+      series.notes || null,
+      series.parent_series_id || null
     );
   },
 
-  getPaymentToken: (token) => {
-    return db.prepare('SELECT * FROM payment_tokens WHERE token = ?').get(token);
+  // Get series by ID
+  getAppointmentSeries(id) {
+    return db.prepare('SELECT * FROM appointment_series WHERE id = ?').get(id);
   },
 
-  updatePaymentToken: (token, updates) => {
+  // List series (optional status / patient phone filters)
+  getAllAppointmentSeries(filters = {}) {
+    let query = 'SELECT * FROM appointment_series WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+    if (filters.patient_phone) {
+      query += ' AND patient_phone LIKE ?';
+      params.push(`%${filters.patient_phone}%`);
+    }
+
+    query += ' ORDER BY created_at DESC';
+    return db.prepare(query).all(...params);
+  },
+
+  // Update series
+  updateAppointmentSeries(id, updates) {
+    const allowed = ['patient_id', 'time', 'start_date', 'until_date', 'occurrence_count', 'recurrence_rule', 'provider', 'provider_id', 'status', 'notes'];
     const fields = [];
     const values = [];
 
-    if (updates.status) {
-      fields.push('status = ?');
-      values.push(updates.status);
-      if (updates.status === 'used') {
-        fields.push('used_at = CURRENT_TIMESTAMP');
+    for (const key of allowed) {
+      if (updates[key] !== undefined) {
+        fields.push(`${key} = ?`);
+        values.push(updates[key]);
       }
     }
 
-    if (fields.length === 0) return;
+    if (fields.length === 0) {
+      return { changes: 0 };
+    }
 
-    values.push(token);
-    const query = `UPDATE payment_tokens SET ${fields.join(', ')} WHERE token = ?`;
-    return db.prepare(query).run(...values);
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    return db.prepare(`UPDATE appointment_series SET ${fields.join(', ')} WHERE id = ?`).run(...values, id);
+  },
+
+  // Get occurrences of a series (optionally from a date onwards)
+  getSeriesAppointments(seriesId, fromDate = null) {
+    if (fromDate) {
+      return db.prepare(`
+        SELECT * FROM appointments
+        WHERE series_id = ? AND date >= ?
+        ORDER BY date ASC, time ASC
+      `).all(seriesId, fromDate);
+    }
+    return db.prepare(`
+      SELECT * FROM appointments
+      WHERE series_id = ?
+      ORDER BY date ASC, time ASC
+    `).all(seriesId);
   },
 
   // ============================================
-  // FRAUD DETECTION
+  // WAITLIST
   // ============================================
 
-  createFraudCheck: (check) => {
+  // Add patient to the waitlist
+  createWaitlistEntry(entry) {
     return db.prepare(`
-      INSERT INTO fraud_checks 
-      (id, transaction_id, customer_phone, customer_email, merchant_id, agent_platform,
-       risk_score, risk_level, signals, is_fraud, requires_verification)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO waitlist_entries (
+        id, patient_name, patient_phone, patient_email, appointment_type,
+        provider_id, provider, preferred_days, preferred_time_start, preferred_time_end,
+        earliest_date, latest_date, notes, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
-      check.id,
-      check.transaction_id,
-      check.customer_phone,
-      check.customer_email,
-      check.merchant_id,
-      check.agent_platform,
-      check.risk_score,
-      check.risk_level,
-      check.signals,
-      check.is_fraud ? 1 : 0,
-      check.requires_verification ? 1 : 0
+      entry.id,
+      entry.patient_name,
+      entry.patient_phone || null,
+      entry.patient_email || null,
+      entry.appointment_type || null,
+      entry.provider_id || null,
+      entry.provider || null,
+      entry.preferred_days ? JSON.stringify(entry.preferred_days) : null,
+      entry.preferred_time_start || null,
+      entry.preferred_time_end || null,
+      entry.earliest_date || null,
+      entry.latest_date || null,
+      entry.notes || null,
+      entry.status || 'active'
     );
   },
 
-  getFraudCheck: (transactionId) => {
-    return db.prepare('SELECT * FROM fraud_checks WHERE transaction_id = ?').get(transactionId);
+  // Get waitlist entry
+  getWaitlistEntry(id) {
+    return db.prepare('SELECT * FROM waitlist_entries WHERE id = ?').get(id);
   },
 
-  getFraudChecksByCustomer: (phone, email) => {
-    return db.prepare(
-      'SELECT * FROM fraud_checks WHERE customer_phone = ? OR customer_email = ?'
-    ).all(phone, email);
+  // List waitlist entries in queue order
+  getWaitlistEntries(status = null) {
+    if (status) {
+      return db.prepare('SELECT * FROM waitlist_entries WHERE status = ? ORDER BY created_at ASC, rowid ASC').all(status);
+    }
+    return db.prepare('SELECT * FROM waitlist_entries ORDER BY created_at ASC, rowid ASC').all();
   },
 
-  getAllFraudChecks: (limit = 100) => {
-    return db.prepare('SELECT * FROM fraud_checks ORDER BY created_at DESC LIMIT ?').all(limit);
+  // Update waitlist entry status
+  updateWaitlistEntryStatus(id, status, bookedAppointmentId = null) {
+    return db.prepare(`
+      UPDATE waitlist_entries
+      SET status = ?,
+          booked_appointment_id = COALESCE(?, booked_appointment_id),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(status, bookedAppointmentId, id);
   },
 
-  getHighRiskFraudChecks: () => {
-    return db.prepare(
-      'SELECT * FROM fraud_checks WHERE risk_score >= 80 AND reviewed = 0 ORDER BY created_at DESC'
-    ).all();
+  // Create slot offer
+  createWaitlistOffer(offer) {
+    return db.prepare(`
+      INSERT INTO waitlist_offers (
+        id, waitlist_entry_id, slot_key, date, time, start_time, end_time,
+        appointment_type, provider_id, provider, source_appointment_id,
+        token, status, sent_via, expires_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      offer.id,
+      offer.waitlist_entry_id,
+      offer.slot_key,
+      offer.date,
+      offer.time,
+      offer.start_time,
+      offer.end_time,
+      offer.appointment_type || null,
+      offer.provider_id || null,
+      offer.provider || null,
+      offer.source_appointment_id || null,
+      offer.token,
+      offer.status || 'pending',
+      offer.sent_via || null,
+      offer.expires_at
+    );
   },
 
-  updateFraudCheckReview: (id, reviewedBy, actionTaken) => {
-    return db.prepare(`
-      UPDATE fraud_checks 
-      SET reviewed = 1, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, action_taken = ?
-      WHERE id = ?
-    `).run(reviewedBy, actionTaken, id);
+  // Get offer by claim token
+  getWaitlistOfferByToken(token) {
+    return db.prepare('SELECT * FROM waitlist_offers WHERE token = ?').get(token);
   },
 
-  // Blacklist
-  addToBlacklist: (type, value, reason, addedBy = 'system') => {
-    try {
+  // Get every offer made for a slot
+  getWaitlistOffersForSlot(slotKey) {
+    return db.prepare('SELECT * FROM waitlist_offers WHERE slot_key = ? ORDER BY created_at ASC').all(slotKey);
+  },
+
+  // Get offers made to a waitlist entry
+  getWaitlistOffersForEntry(entryId) {
+    return db.prepare('SELECT * FROM waitlist_offers WHERE waitlist_entry_id = ? ORDER BY created_at DESC').all(entryId);
+  },
+
+  // Pending offers that still hold their slot (optionally for one date)
+  getActiveWaitlistHolds(date = null, now = new Date().toISOString()) {
+    if (date) {
       return db.prepare(`
-        INSERT INTO fraud_blacklist (id, type, value, reason, added_by)
-        VALUES (?, ?, ?, ?, ?)
-      `).run(
-        require('crypto').randomBytes(16).toString('hex'),
-        type,
-        value,
-        reason,
-        addedBy
-      );
-    } catch (error) {
-      if (error.message.includes('UNIQUE constraint')) {
-        return { changes: 0 };
-      }
-      throw error;
+        SELECT * FROM waitlist_offers
+        WHERE status = 'pending' AND date = ? AND expires_at > ?
+      `).all(date, now);
     }
+    return db.prepare(`
+      SELECT * FROM waitlist_offers
+      WHERE status = 'pending' AND expires_at > ?
+    `).all(now);
   },
 
-  removeFromBlacklist: (type, value) => {
-    return db.prepare('DELETE FROM fraud_blacklist WHERE type = ? AND value = ?').run(type, value);
+  // Pending offers whose hold has run out
+  getExpiredWaitlistOffers(now = new Date().toISOString()) {
+    return db.prepare(`
+      SELECT * FROM waitlist_offers
+      WHERE status = 'pending' AND expires_at <= ?
+    `).all(now);
   },
 
-  checkBlacklist: (type, value) => {
-    return db.prepare('SELECT * FROM fraud_blacklist WHERE type = ? AND value = ?').get(type, value);
+  // Move an offer to a new status (only if it is still in fromStatus)
+  updateWaitlistOfferStatus(id, status, fromStatus = 'pending') {
+    return db.prepare(`
+      UPDATE waitlist_offers
+      SET status = ?,
+          responded_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = ?
+    `).run(status, id, fromStatus);
   },
 
-  getAllBlacklisted: () => {
-    return db.prepare('SELECT * FROM fraud_blacklist ORDER BY created_at DESC').all();
+  // Accept an offer unless another offer for the same slot was already accepted
+  // (and its booking has not since been cancelled). Returns true when this offer won the slot
+  claimWaitlistOffer(id, slotKey) {
+    return db.transaction(() => {
+      const taken = db.prepare(`
+        SELECT 1 FROM waitlist_offers o
+        LEFT JOIN appointments a ON a.id = o.appointment_id
+        WHERE o.slot_key = ? AND o.status = 'accepted'
+          AND (o.appointment_id IS NULL OR a.status NOT IN ('cancelled', 'late_cancel'))
+      `).get(slotKey);
+      if (taken) return false;
+
+      const result = db.prepare(`
+        UPDATE waitlist_offers
+        SET status = 'accepted', responded_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending'
+      `).run(id);
+      if (result.changes === 0) return false;
+
+      db.prepare(`
+        UPDATE waitlist_offers
+        SET status = 'superseded', responded_at = CURRENT_TIMESTAMP
+        WHERE slot_key = ? AND status = 'pending' AND id != ?
+      `).run(slotKey, id);
+      return true;
+    })();
   },
 
-  // Whitelist
-  addToWhitelist: (type, value, addedBy = 'system') => {
-    try {
-      return db.prepare(`
-        INSERT INTO fraud_whitelist (id, type, value, added_by)
-        VALUES (?, ?, ?, ?)
-      `).run(
-        require('crypto').randomBytes(16).toString('hex'),
-        type,
-        value,
-        addedBy
-      );
-    } catch (error) {
-      if (error.message.includes('UNIQUE constraint')) {
-        return { changes: 0 };
-      }
-      throw error;
-    }
+  // Record the appointment booked from an accepted offer
+  setWaitlistOfferAppointment(id, appointmentId) {
+    return db.prepare('UPDATE waitlist_offers SET appointment_id = ? WHERE id = ?').run(appointmentId, id);
   },
 
-  removeFromWhitelist: (type, value) => {
-    return db.prepare('DELETE FROM fraud_whitelist WHERE type = ? AND value = ?').run(type, value);
+  // Count unexpired pending offers holding seats in a group session
+  countGroupSessionHolds(sessionId, now = new Date().toISOString()) {
+    return db.prepare(`
+      SELECT COUNT(*) AS count
+      FROM waitlist_offers o
+      JOIN appointments a ON a.id = o.source_appointment_id
+      WHERE a.group_session_id = ? AND o.status = 'pending' AND o.expires_at > ?
+    `).get(sessionId, now).count;
   },
 
-  checkWhitelist: (type, value) => {
-    return db.prepare('SELECT * FROM fraud_whitelist WHERE type = ? AND value = ?').get(type, value);
+  // ============================================
+  // GROUP SESSIONS
+  // ============================================
+
+  // Create group session
+  createGroupSession(session) {
+    const stmt = db.prepare(`
+      INSERT INTO group_sessions (
+        id, appointment_type, title, provider, provider_id, date, time,
+        start_time, end_time, duration_minutes, capacity, status, notes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      session.id,
+      session.appointment_type || 'Group Therapy',
+      session.title || null,
+      session.provider || null,
+      session.provider_id || null,
+      session.date,
+      session.time,
+      session.start_time,
+      session.end_time,
+      session.duration_minutes || null,
+      session.capacity,
+      session.status || 'scheduled',
+      session.notes || null
+    );
   },
 
-  getAllWhitelisted: () => {
-    return db.prepare('SELECT * FROM fraud_whitelist ORDER BY created_at DESC').all();
+  // Get group session by ID
+  getGroupSession(id) {
+    return db.prepare('SELECT * FROM group_sessions WHERE id = ?').get(id);
   },
 
-  // Agent Stats
-  getAgentStats: (platform) => {
-    const stats = db.prepare('SELECT * FROM agent_stats WHERE platform = ?').get(platform);
+  // Get scheduled group sessions on a date
+  getGroupSessionsByDate(date) {
+    return db.prepare(`
+      SELECT * FROM group_sessions
+      WHERE date = ? AND status = 'scheduled'
+      ORDER BY time ASC
+    `).all(date);
+  },
 
-    if (!stats) {
-      return {
-        total_transactions: 0,
-        fraud_rate: 0,
-        chargeback_rate: 0,
-        success_rate: 0
-      };
+  // Get all group sessions (with optional filters)
+  getAllGroupSessions(filters = {}) {
+    let query = 'SELECT * FROM group_sessions WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+    if (filters.date) {
+      query += ' AND date = ?';
+      params.push(filters.date);
+    }
+    if (filters.from_date) {
+      query += ' AND date >= ?';
+      params.push(filters.from_date);
+    }
+    if (filters.provider_id) {
+      query += ' AND provider_id = ?';
+      params.push(filters.provider_id);
     }
 
-    return {
-      total_transactions: stats.total_transactions,
-      fraud_rate: stats.total_transactions > 0 ? stats.fraud_count / stats.total_transactions : 0,
-      chargeback_rate: stats.total_transactions > 0 ? stats.chargeback_count / stats.total_transactions : 0,
-      success_rate: stats.total_transactions > 0 ? stats.success_count / stats.total_transactions : 0
-    };
+    query += ' ORDER BY date ASC, time ASC';
+    return db.prepare(query).all(...params);
   },
 
-  updateAgentStats: (platform, updates) => {
-    const existing = db.prepare('SELECT * FROM agent_stats WHERE platform = ?').get(platform);
-
-    if (!existing) {
-      return db.prepare(`
-        INSERT INTO agent_stats (platform, total_transactions, fraud_count, chargeback_count, success_count)
-        VALUES (?, ?, ?, ?, ?)
-      `).run(
-        platform,
-        updates.total_transactions || 0,
-        updates.fraud_count || 0,
-        updates.chargeback_count || 0,
-        updates.success_count || 0
-      );
+  // Update group session
+  updateGroupSession(id, updates) {
+    const allowed = ['title', 'capacity', 'status', 'notes'];
+    const fields = Object.keys(updates).filter(key => allowed.includes(key));
+    if (fields.length === 0) {
+      return { changes: 0 };
     }
 
+    const stmt = db.prepare(`
+      UPDATE group_sessions
+      SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    return stmt.run(...fields.map(f => updates[f]), id);
+  },
+
+  // Get the roster (attendee appointments) for a group session
+  getGroupSessionAttendees(sessionId, includeCancelled = false) {
     return db.prepare(`
-      UPDATE agent_stats 
-      SET total_transactions = total_transactions + ?,
-          fraud_count = fraud_count + ?,
-          chargeback_count = chargeback_count + ?,
-          success_count = success_count + ?,
-          last_updated = CURRENT_TIMESTAMP
-      WHERE platform = ?
-    `).run(
-      updates.total_transactions || 0,
-      updates.fraud_count || 0,
-      updates.chargeback_count || 0,
-      updates.success_count || 0,
-      platform
+      SELECT * FROM appointments
+      WHERE group_session_id = ?${includeCancelled ? '' : " AND status NOT IN ('cancelled', 'late_cancel')"}
+      ORDER BY created_at ASC
+    `).all(sessionId);
+  },
+
+  // ============================================
+  // SCHEDULING CONFIGURATION
+  // ============================================
+
+  // Get appointment types in display order
+  getAppointmentTypes(includeInactive = false) {
+    return db.prepare(`
+      SELECT * FROM appointment_types
+      ${includeInactive ? '' : 'WHERE is_active = 1'}
+      ORDER BY sort_order ASC, name ASC
+    `).all();
+  },
+
+  // Get appointment type by ID or name
+  getAppointmentType(idOrName) {
+    return db.prepare('SELECT * FROM appointment_types WHERE id = ? OR name = ?').get(idOrName, idOrName);
+  },
+
+  // Create appointment type
+  createAppointmentType(type) {
+    const stmt = db.prepare(`
+      INSERT INTO appointment_types (
+        id, name, duration_minutes, buffer_before_minutes, buffer_after_minutes,
+        capacity, color, cpt_code, price, late_cancel_fee, no_show_fee, is_active, sort_order
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      type.id,
+      type.name,
+      type.duration_minutes,
+      type.buffer_before_minutes || 0,
+      type.buffer_after_minutes || 0,
+      type.capacity || 1,
+      type.color || null,
+      type.cpt_code || null,
+      type.price !== undefined ? type.price : null,
+      type.late_cancel_fee !== undefined ? type.late_cancel_fee : null,
+      type.no_show_fee !== undefined ? type.no_show_fee : null,
+      type.is_active === false ? 0 : 1,
+      type.sort_order || 0
     );
   },
 
-  // Fraud Statistics
-  getFraudStats: (timeframe = '24h') => {
-    let sinceDate;
-    const now = new Date();
+  // Update appointment type
+  updateAppointmentType(id, updates) {
+    const allowed = ['name', 'duration_minutes', 'buffer_before_minutes', 'buffer_after_minutes',
+      'capacity', 'color', 'cpt_code', 'price', 'late_cancel_fee', 'no_show_fee', 'is_active', 'sort_order'];
+    const fields = Object.keys(updates).filter(key => allowed.includes(key));
+    if (fields.length === 0) {
+      return { changes: 0 };
+    }
 
-    switch (timeframe) {
-      case '1h':
-        sinceDate = new Date(now - 60 * 60 * 1000);
-        break;
-      case '24h':
-        sinceDate = new Date(now - 24 * 60 * 60 * 1000);
-        break;
-      case '7d':
-        sinceDate = new Date(now - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case '30d':
-        sinceDate = new Date(now - 30 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        sinceDate = new Date(now - 24 * 60 * 60 * 1000);
+    const stmt = db.prepare(`
+      UPDATE appointment_types
+      SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    return stmt.run(...fields.map(f => typeof updates[f] === 'boolean' ? (updates[f] ? 1 : 0) : updates[f]), id);
+  },
+
+  // Get weekly business hours (one row per weekday)
+  getBusinessHours() {
+    return db.prepare('SELECT * FROM business_hours ORDER BY day_of_week ASC').all();
+  },
+
+  // Replace business hours for the given weekdays
+  setBusinessHours(days) {
+    const stmt = db.prepare(`
+      INSERT INTO business_hours (day_of_week, is_open, open_time, close_time, break_start, break_end)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(day_of_week) DO UPDATE SET
+        is_open = excluded.is_open,
+        open_time = excluded.open_time,
+        close_time = excluded.close_time,
+        break_start = excluded.break_start,
+        break_end = excluded.break_end,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+    return db.transaction(() => {
+      for (const day of days) {
+        stmt.run(
+          day.day_of_week,
+          day.is_open ? 1 : 0,
+          day.open_time || null,
+          day.close_time || null,
+          day.break_start || null,
+          day.break_end || null
+        );
+      }
+    })();
+  },
+
+  // Get closures overlapping a date range (defaults to a single date)
+  getBusinessClosures(fromDate = null, toDate = null) {
+    if (!fromDate) {
+      return db.prepare('SELECT * FROM business_closures ORDER BY start_date ASC').all();
     }
+    return db.prepare(`
+      SELECT * FROM business_closures
+      WHERE start_date <= ? AND end_date >= ?
+      ORDER BY start_date ASC
+    `).all(toDate || fromDate, fromDate);
+  },
 
-    const checks = db.prepare(
-      'SELECT * FROM fraud_checks WHERE created_at >= ?'
-    ).all(sinceDate.toISOString());
+  // Add business closure
+  createBusinessClosure(closure) {
+    return db.prepare(`
+      INSERT INTO business_closures (id, start_date, end_date, reason) VALUES (?, ?, ?, ?)
+    `).run(closure.id, closure.start_date, closure.end_date, closure.reason || null);
+  },
 
-    const total = checks.length;
-    const blocked = checks.filter(c => c.is_fraud).length;
-    const verified = checks.filter(c => c.requires_verification).length;
-    const approved = checks.filter(c => !c.is_fraud && !c.requires_verification).length;
+  // Delete business closure
+  deleteBusinessClosure(id) {
+    return db.prepare('DELETE FROM business_closures WHERE id = ?').run(id);
+  },
 
-    const avgRiskScore = total > 0
-      ? checks.reduce((sum, c) => sum + c.risk_score, 0) / total
-      : 0;
+  // Get scheduling settings as { key: value }
+  getSchedulingSettings() {
+    const rows = db.prepare('SELECT key, value FROM scheduling_settings').all();
+    return Object.fromEntries(rows.map(row => [row.key, row.value]));
+  },
 
-    return {
-      timeframe,
-      total_checks: total,
-      blocked_count: blocked,
-      verification_required: verified,
-      approved_count: approved,
-      block_rate: total > 0 ? (blocked / total * 100).toFixed(2) : 0,
-      avg_risk_score: avgRiskScore.toFixed(2),
-      high_risk_count: checks.filter(c => c.risk_score >= 80).length,
-      medium_risk_count: checks.filter(c => c.risk_score >= 50 && c.risk_score < 80).length,
-      low_risk_count: checks.filter(c => c.risk_score < 50).length
-    };
+  // Set a scheduling setting
+  setSchedulingSetting(key, value) {
+    return db.prepare(`
+      INSERT INTO scheduling_settings (key, value) VALUES (?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+    `).run(key, String(value));
   },
 
-  // ==========================================
-  // FHIR RESOURCES - Healthcare Data Layer
-  // ==========================================
+  // ============================================
+  // SLOT HOLDS
+  // ============================================
 
-  // Create FHIR Patient
-  createFHIRPatient(patientResource) {
-    const stmt = db.prepare(`
-      INSERT INTO fhir_patients (
-        resource_id, resource_data, phone, email, name, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-    `);
+  // Run fn in a transaction that takes SQLite's write lock up front (BEGIN IMMEDIATE),
+  // so a conflict check and the insert that follows it cannot interleave with another writer
+  runExclusive(fn) {
+    return db.transaction(fn).immediate();
+  },
 
-    const phone = patientResource.telecom?.find(t => t.system === 'phone')?.value;
-    const email = patientResource.telecom?.find(t => t.system === 'email')?.value;
-    const name = patientResource.name?.[0]
-      ? `${patientResource.name[0].given?.join(' ')} ${patientResource.name[0].family}`.trim()
-      : null;
+  createSlotHold(hold) {
+    return db.prepare(`
+      INSERT INTO slot_holds (
+        id, call_id, date, time, start_time, end_time,
+        appointment_type, provider_id, provider, status, expires_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'held', ?)
+    `).run(
+      hold.id,
+      hold.call_id,
+      hold.date,
+      hold.time,
+      hold.start_time,
+      hold.end_time,
+      hold.appointment_type || null,
+      hold.provider_id || null,
+      hold.provider || null,
+      hold.expires_at
+    );
+  },
 
-    return stmt.run(
-      patientResource.id,
-      JSON.stringify(patientResource),
-      phone,
-      email,
-      name
+  // Unexpired holds for a date (optionally leaving out one call's own holds)
+  getActiveSlotHolds(date, excludeCallId = null, now = new Date().toISOString()) {
+    return db.prepare(`
+      SELECT * FROM slot_holds
+      WHERE status = 'held' AND date = ? AND expires_at > ?
+        AND (? IS NULL OR call_id != ?)
+      ORDER BY time ASC
+    `).all(date, now, excludeCallId, excludeCallId);
+  },
+
+  // A call's holds, newest first (status = null for every status)
+  getSlotHoldsByCall(callId, status = 'held') {
+    return db.prepare(`
+      SELECT * FROM slot_holds
+      WHERE call_id = ? AND (? IS NULL OR status = ?)
+      ORDER BY created_at DESC, time ASC
+    `).all(callId, status, status);
+  },
+
+  // Mark a held slot booked
+  confirmSlotHold(id, appointmentId) {
+    return db.prepare(`
+      UPDATE slot_holds
+      SET status = 'confirmed', appointment_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'held'
+    `).run(appointmentId, id);
+  },
+
+  // Release every hold a call still has
+  releaseSlotHolds(callId) {
+    return db.prepare(`
+      UPDATE slot_holds
+      SET status = 'released', updated_at = CURRENT_TIMESTAMP
+      WHERE call_id = ? AND status = 'held'
+    `).run(callId);
+  },
+
+  // Mark holds that have run out as expired
+  expireSlotHolds(now = new Date().toISOString()) {
+    return db.prepare(`
+      UPDATE slot_holds
+      SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'held' AND expires_at <= ?
+    `).run(now);
+  },
+
+  // ============================================
+  // GOOGLE CALENDAR SYNC
+  // ============================================
+
+  upsertCalendarBusyBlock(block) {
+    return db.prepare(`
+      INSERT INTO calendar_busy_blocks (
+        id, calendar_id, event_id, provider_id, start_date, end_date, start_time, end_time, all_day
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        provider_id = excluded.provider_id,
+        start_date = excluded.start_date,
+        end_date = excluded.end_date,
+        start_time = excluded.start_time,
+        end_time = excluded.end_time,
+        all_day = excluded.all_day,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      `${block.calendar_id}:${block.event_id}`,
+      block.calendar_id,
+      block.event_id,
+      block.provider_id || null,
+      block.start_date,
+      block.end_date,
+      block.start_time,
+      block.end_time,
+      block.all_day ? 1 : 0
     );
   },
 
-  // Get FHIR Patient by ID
-  getFHIRPatient(resourceId) {
-    const stmt = db.prepare('SELECT * FROM fhir_patients WHERE resource_id = ? AND is_deleted = 0');
-    const row = stmt.get(resourceId);
-    if (!row) return null;
-    return {
-      ...row,
-      resource_data: JSON.parse(row.resource_data)
-    };
+  deleteCalendarBusyBlock(calendarId, eventId) {
+    return db.prepare('DELETE FROM calendar_busy_blocks WHERE id = ?').run(`${calendarId}:${eventId}`);
   },
 
-  // Get FHIR Patient by Phone
-  getFHIRPatientByPhone(phone) {
-    const stmt = db.prepare('SELECT * FROM fhir_patients WHERE phone = ? AND is_deleted = 0 ORDER BY created_at DESC LIMIT 1');
-    const row = stmt.get(phone);
-    if (!row) return null;
-    return {
-      ...row,
-      resource_data: JSON.parse(row.resource_data)
-    };
+  // Drop every block for a calendar (before a full re-sync)
+  clearCalendarBusyBlocks(calendarId) {
+    return db.prepare('DELETE FROM calendar_busy_blocks WHERE calendar_id = ?').run(calendarId);
   },
 
-  // Get FHIR Patient by Email
-  getFHIRPatientByEmail(email) {
-    const stmt = db.prepare('SELECT * FROM fhir_patients WHERE email = ? AND is_deleted = 0 ORDER BY created_at DESC LIMIT 1');
-    const row = stmt.get(email);
-    if (!row) return null;
-    return {
-      ...row,
-      resource_data: JSON.parse(row.resource_data)
-    };
+  // Blocks touching a date
+  getCalendarBusyBlocks(date) {
+    return db.prepare(`
+      SELECT * FROM calendar_busy_blocks
+      WHERE start_date <= ? AND end_date >= ?
+      ORDER BY start_time ASC
+    `).all(date, date);
   },
 
-  // Update FHIR Patient
-  updateFHIRPatient(resourceId, patientResource) {
-    const stmt = db.prepare(`
-      UPDATE fhir_patients
-      SET resource_data = ?,
-          phone = ?,
-          email = ?,
-          name = ?,
-          version_id = version_id + 1,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE resource_id = ?
-    `);
+  getCalendarSyncState(calendarId) {
+    return db.prepare('SELECT * FROM calendar_sync_state WHERE calendar_id = ?').get(calendarId);
+  },
 
-    const phone = patientResource.telecom?.find(t => t.system === 'phone')?.value;
-    const email = patientResource.telecom?.find(t => t.system === 'email')?.value;
-    const name = patientResource.name?.[0]
-      ? `${patientResource.name[0].given?.join(' ')} ${patientResource.name[0].family}`.trim()
-      : null;
+  getAllCalendarSyncStates() {
+    return db.prepare('SELECT * FROM calendar_sync_state ORDER BY calendar_id').all();
+  },
 
-    return stmt.run(
-      JSON.stringify(patientResource),
-      phone,
-      email,
-      name,
-      resourceId
+  saveCalendarSyncState(state) {
+    return db.prepare(`
+      INSERT INTO calendar_sync_state (calendar_id, provider_id, sync_token, last_synced_at, last_error)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(calendar_id) DO UPDATE SET
+        provider_id = excluded.provider_id,
+        sync_token = excluded.sync_token,
+        last_synced_at = excluded.last_synced_at,
+        last_error = excluded.last_error,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      state.calendar_id,
+      state.provider_id || null,
+      state.sync_token || null,
+      state.last_synced_at || null,
+      state.last_error || null
     );
   },
 
-  // Search FHIR Patients
-  searchFHIRPatients(params = {}) {
-    let query = 'SELECT * FROM fhir_patients WHERE is_deleted = 0';
-    const queryParams = [];
+  // Appointment whose Google Calendar event this is
+  getAppointmentByCalendarEventId(eventId) {
+    return db.prepare('SELECT * FROM appointments WHERE calendar_event_id = ?').get(eventId);
+  },
 
-    if (params.name) {
-      // Search by name column (case-insensitive)
-      query += ' AND (LOWER(name) LIKE LOWER(?) OR name LIKE ?)';
-      const namePattern = `%${params.name}%`;
-      queryParams.push(namePattern);
-      queryParams.push(namePattern);
-    }
-    if (params.phone) {
-      query += ' AND phone = ?';
-      queryParams.push(params.phone);
-    }
-    if (params.email) {
-      query += ' AND email = ?';
-      queryParams.push(params.email);
-    }
+  // ============================================
+  // CALENDAR FEEDS
+  // ============================================
 
-    query += ' ORDER BY created_at DESC LIMIT ?';
-    queryParams.push(params.limit || 50);
+  createCalendarFeed(feed) {
+    return db.prepare(`
+      INSERT INTO calendar_feeds (token, owner_type, owner_id) VALUES (?, ?, ?)
+    `).run(feed.token, feed.owner_type, feed.owner_id);
+  },
 
-    const stmt = db.prepare(query);
-    const rows = stmt.all(...queryParams);
+  // Active (not revoked) feed by its secret token
+  getCalendarFeed(token) {
+    return db.prepare('SELECT * FROM calendar_feeds WHERE token = ? AND revoked_at IS NULL').get(token);
+  },
 
-    // Also search in resource_data JSON for name fields if name search didn't yield results
-    let results = rows.map(row => ({
-      ...row,
-      resource_data: JSON.parse(row.resource_data)
-    }));
+  getActiveCalendarFeed(ownerType, ownerId) {
+    return db.prepare(`
+      SELECT * FROM calendar_feeds
+      WHERE owner_type = ? AND owner_id = ? AND revoked_at IS NULL
+      ORDER BY created_at DESC
+      LIMIT 1
+    `).get(ownerType, ownerId);
+  },
 
-    // If name search and no results, try searching in JSON
-    if (params.name && results.length === 0) {
-      const allPatients = db.prepare('SELECT * FROM fhir_patients WHERE is_deleted = 0 LIMIT 200').all();
-      const nameLower = params.name.toLowerCase();
-      results = allPatients
-        .map(row => {
-          try {
-            const resourceData = JSON.parse(row.resource_data);
-            const name = resourceData.name?.[0];
-            if (name) {
-              const given = (name.given || []).join(' ').toLowerCase();
-              const family = (name.family || '').toLowerCase();
-              const fullName = `${given} ${family}`.trim();
-              if (fullName.includes(nameLower) || given.includes(nameLower) || family.includes(nameLower)) {
-                return {
-                  ...row,
-                  resource_data: resourceData
-                };
-              }
-            }
-            return null;
-          } catch (e) {
-            return null;
-          }
-        })
-        .filter(p => p !== null)
-        .slice(0, params.limit || 50);
-    }
+  revokeCalendarFeeds(ownerType, ownerId) {
+    return db.prepare(`
+      UPDATE calendar_feeds SET revoked_at = CURRENT_TIMESTAMP
+      WHERE owner_type = ? AND owner_id = ? AND revoked_at IS NULL
+    `).run(ownerType, ownerId);
+  },
 
-    return results;
+  // A provider's one-to-one appointments from a date on (group seats come from their session)
+  getProviderFeedAppointments(providerId, fromDate) {
+    return db.prepare(`
+      SELECT * FROM appointments
+      WHERE provider_id = ? AND group_session_id IS NULL AND date >= ?
+      ORDER BY date ASC, time ASC
+    `).all(providerId, fromDate);
   },
 
-  // Create FHIR Encounter (Voice Call Session)
-  createFHIREncounter(encounterResource) {
-    const stmt = db.prepare(`
-      INSERT INTO fhir_encounters (
-        resource_id, resource_data, patient_id, status, call_id, start_time, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-    `);
+  getProviderFeedGroupSessions(providerId, fromDate) {
+    return db.prepare(`
+      SELECT gs.*,
+        (SELECT COUNT(*) FROM appointments a
+         WHERE a.group_session_id = gs.id AND a.status NOT IN ('cancelled', 'late_cancel')) AS attendee_count
+      FROM group_sessions gs
+      WHERE gs.provider_id = ? AND gs.date >= ?
+      ORDER BY gs.date ASC, gs.time ASC
+    `).all(providerId, fromDate);
+  },
 
-    const patientId = encounterResource.subject?.reference?.replace('Patient/', '');
-    const callId = encounterResource.extension?.find(
-      e => e.url === 'https://doclittle.health/extension/voice-call-id'
-    )?.valueString;
+  getPatientFeedAppointments(phone, fromDate) {
+    return db.prepare(`
+      SELECT * FROM appointments
+      WHERE patient_phone = ? AND date >= ?
+      ORDER BY date ASC, time ASC
+    `).all(phone, fromDate);
+  },
 
-    return stmt.run(
-      encounterResource.id,
-      JSON.stringify(encounterResource),
-      patientId,
-      encounterResource.status,
-      callId,
-      encounterResource.period?.start
-    );
+  // ============================================
+  // APPOINTMENT LIFECYCLE
+  // ============================================
+
+  /**
+   * Move an appointment from one status to another and record it in the history
+   * Only applies while the appointment is still in fromStatus, so two staff members
+   * acting at once cannot both move it.
+   * @param {Object} change - { id, from_status, to_status, timestamp_column?, cancellation_reason?, actor?, reason? }
+   * @returns {Boolean} - Whether the change was applied
+   */
+  transitionAppointmentStatus(change) {
+    return db.transaction(() => {
+      const fields = ['status = ?', 'updated_at = CURRENT_TIMESTAMP'];
+      const values = [change.to_status];
+
+      if (change.timestamp_column) {
+        fields.push(`${change.timestamp_column} = ?`);
+        values.push(new Date().toISOString());
+      }
+      if (change.cancellation_reason !== undefined) {
+        fields.push('cancellation_reason = ?');
+        values.push(change.cancellation_reason);
+      }
+      if (change.bump_sequence) {
+        fields.push('ics_sequence = COALESCE(ics_sequence, 0) + 1');
+      }
+
+      const result = db.prepare(`
+        UPDATE appointments SET ${fields.join(', ')}
+        WHERE id = ? AND COALESCE(status, 'scheduled') = ?
+      `).run(...values, change.id, change.from_status);
+      if (result.changes === 0) return false;
+
+      db.prepare(`
+        INSERT INTO appointment_status_history (appointment_id, from_status, to_status, actor, reason)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(change.id, change.from_status, change.to_status, change.actor || null, change.reason || null);
+      return true;
+    })();
   },
 
-  // Get FHIR Encounter by ID
-  getFHIREncounter(resourceId) {
-    const stmt = db.prepare('SELECT * FROM fhir_encounters WHERE resource_id = ? AND is_deleted = 0');
-    const row = stmt.get(resourceId);
-    if (!row) return null;
-    return {
-      ...row,
-      resource_data: JSON.parse(row.resource_data)
-    };
+  getAppointmentStatusHistory(appointmentId) {
+    return db.prepare(`
+      SELECT * FROM appointment_status_history
+      WHERE appointment_id = ?
+      ORDER BY id ASC
+    `).all(appointmentId);
   },
 
-  // Get FHIR Encounter by Call ID
-  getFHIREncounterByCallId(callId) {
-    const stmt = db.prepare('SELECT * FROM fhir_encounters WHERE call_id = ? AND is_deleted = 0');
-    const row = stmt.get(callId);
-    if (!row) return null;
-    return {
-      ...row,
-      resource_data: JSON.parse(row.resource_data)
-    };
+  // ============================================
+  // ATTENDANCE POLICY
+  // ============================================
+
+  // One-to-one appointments still waiting for the patient whose start time fell between the two times
+  getUnattendedAppointments(startedAfter, startedBefore) {
+    return db.prepare(`
+      SELECT * FROM appointments
+      WHERE COALESCE(status, 'scheduled') IN ('scheduled', 'confirmed')
+        AND group_session_id IS NULL
+        AND datetime(start_time) > datetime(?)
+        AND datetime(start_time) <= datetime(?)
+      ORDER BY start_time ASC
+    `).all(startedAfter, startedBefore);
   },
 
-  // Update FHIR Encounter
-  updateFHIREncounter(resourceId, encounterResource) {
-    const stmt = db.prepare(`
-      UPDATE fhir_encounters
-      SET resource_data = ?,
-          status = ?,
-          end_time = ?,
-          version_id = version_id + 1,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE resource_id = ?
-    `);
+  // Patient's appointments on or after a date, oldest first
+  getPatientAttendance(phone, fromDate) {
+    return db.prepare(`
+      SELECT id, date, time, start_time, appointment_type, provider, status, cancelled_at, no_show_at
+      FROM appointments
+      WHERE patient_phone = ? AND date >= ?
+      ORDER BY date ASC, time ASC
+    `).all(phone, fromDate);
+  },
 
-    return stmt.run(
-      JSON.stringify(encounterResource),
-      encounterResource.status,
-      encounterResource.period?.end,
-      resourceId
+  createAttendanceFee(fee) {
+    return db.prepare(`
+      INSERT INTO attendance_fees (
+        id, appointment_id, patient_phone, patient_name, fee_type, amount, status, waived_reason, waived_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      fee.id,
+      fee.appointment_id,
+      fee.patient_phone || null,
+      fee.patient_name || null,
+      fee.fee_type,
+      fee.amount,
+      fee.status,
+      fee.waived_reason || null,
+      fee.waived_by || null
     );
   },
 
-  // Get Patient Encounters
-  getPatientEncounters(patientId, limit = 20) {
-    const stmt = db.prepare(`
-      SELECT * FROM fhir_encounters
-      WHERE patient_id = ? AND is_deleted = 0
-      ORDER BY start_time DESC
-      LIMIT ?
-    `);
-    const rows = stmt.all(patientId, limit);
+  getAttendanceFee(id) {
+    return db.prepare('SELECT * FROM attendance_fees WHERE id = ?').get(id);
+  },
 
-    return rows.map(row => ({
-      ...row,
-      resource_data: JSON.parse(row.resource_data)
-    }));
+  getAttendanceFeeByAppointment(appointmentId) {
+    return db.prepare('SELECT * FROM attendance_fees WHERE appointment_id = ?').get(appointmentId);
   },
 
-  // Create FHIR Communication (Transcript)
-  createFHIRCommunication(communicationResource) {
-    const stmt = db.prepare(`
-      INSERT INTO fhir_communications (
-        resource_id, resource_data, patient_id, encounter_id, sent_time, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-    `);
+  // List fees, newest first (optionally by status and/or patient)
+  getAttendanceFees(filters = {}) {
+    let query = 'SELECT * FROM attendance_fees WHERE 1=1';
+    const params = [];
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
+    }
+    if (filters.patient_phone) {
+      query += ' AND patient_phone = ?';
+      params.push(filters.patient_phone);
+    }
+    query += ' ORDER BY created_at DESC, id ASC';
+    return db.prepare(query).all(...params);
+  },
 
-    const patientId = communicationResource.subject?.reference?.replace('Patient/', '');
-    const encounterId = communicationResource.encounter?.reference?.replace('Encounter/', '');
+  // Move a fee from one status to another; false when it was no longer in from_status
+  updateAttendanceFeeStatus(id, fromStatus, updates) {
+    const allowed = ['status', 'charge_method', 'charge_reference', 'waived_reason', 'waived_by'];
+    const fields = Object.keys(updates).filter(key => allowed.includes(key));
+    const result = db.prepare(`
+      UPDATE attendance_fees
+      SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = ?
+    `).run(...fields.map(f => updates[f]), id, fromStatus);
+    return result.changes > 0;
+  },
 
-    return stmt.run(
-      communicationResource.id,
-      JSON.stringify(communicationResource),
-      patientId,
-      encounterId,
-      communicationResource.sent
+  getPatientPaymentProfile(phone) {
+    return db.prepare('SELECT * FROM patient_payment_profiles WHERE patient_phone = ?').get(phone);
+  },
+
+  setPatientPaymentProfile(profile) {
+    return db.prepare(`
+      INSERT INTO patient_payment_profiles (
+        patient_phone, stripe_customer_id, stripe_payment_method_id, card_brand, card_last4
+      ) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(patient_phone) DO UPDATE SET
+        stripe_customer_id = excluded.stripe_customer_id,
+        stripe_payment_method_id = excluded.stripe_payment_method_id,
+        card_brand = excluded.card_brand,
+        card_last4 = excluded.card_last4,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      profile.patient_phone,
+      profile.stripe_customer_id,
+      profile.stripe_payment_method_id,
+      profile.card_brand || null,
+      profile.card_last4 || null
     );
   },
 
-  // Get FHIR Communication by ID
-  getFHIRCommunication(resourceId) {
-    const stmt = db.prepare('SELECT * FROM fhir_communications WHERE resource_id = ? AND is_deleted = 0');
-    const row = stmt.get(resourceId);
-    if (!row) return null;
-    return {
-      ...row,
-      resource_data: JSON.parse(row.resource_data)
-    };
+  deletePatientPaymentProfile(phone) {
+    return db.prepare('DELETE FROM patient_payment_profiles WHERE patient_phone = ?').run(phone);
   },
 
-  // Get Encounter Communications
-  getEncounterCommunications(encounterId) {
-    const stmt = db.prepare(`
-      SELECT * FROM fhir_communications
-      WHERE encounter_id = ? AND is_deleted = 0
-      ORDER BY sent_time ASC
-    `);
-    const rows = stmt.all(encounterId);
+  // ============================================
+  // APPOINTMENT REMINDERS
+  // ============================================
 
-    return rows.map(row => ({
-      ...row,
-      resource_data: JSON.parse(row.resource_data)
-    }));
+  // Reminder rules, global (no appointment type) first, then per type, longest lead time first
+  getReminderRules(includeInactive = false) {
+    return db.prepare(`
+      SELECT * FROM reminder_rules
+      ${includeInactive ? '' : 'WHERE is_active = 1'}
+      ORDER BY appointment_type IS NOT NULL, appointment_type ASC, offset_minutes DESC
+    `).all();
   },
 
-  // Create FHIR Observation (Assessment)
-  createFHIRObservation(observationResource) {
-    const stmt = db.prepare(`
-      INSERT INTO fhir_observations (
-        resource_id, resource_data, patient_id, encounter_id, code, value, effective_date, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-    `);
-
-    const patientId = observationResource.subject?.reference?.replace('Patient/', '');
-    const encounterId = observationResource.encounter?.reference?.replace('Encounter/', '');
-    const code = observationResource.code?.coding?.[0]?.code;
-    const value = observationResource.valueInteger || observationResource.valueString;
+  getReminderRule(id) {
+    return db.prepare('SELECT * FROM reminder_rules WHERE id = ?').get(id);
+  },
 
-    return stmt.run(
-      observationResource.id,
-      JSON.stringify(observationResource),
-      patientId,
-      encounterId,
-      code,
-      JSON.stringify(value),
-      observationResource.effectiveDateTime
+  createReminderRule(rule) {
+    return db.prepare(`
+      INSERT INTO reminder_rules (id, appointment_type, channel, offset_minutes, is_active)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(
+      rule.id,
+      rule.appointment_type || null,
+      rule.channel,
+      rule.offset_minutes,
+      rule.is_active === false ? 0 : 1
     );
   },
 
-  // Get Patient Observations
-  getPatientObservations(patientId, limit = 50) {
-    const stmt = db.prepare(`
-      SELECT * FROM fhir_observations
-      WHERE patient_id = ? AND is_deleted = 0
-      ORDER BY effective_date DESC
-      LIMIT ?
-    `);
-    const rows = stmt.all(patientId, limit);
+  updateReminderRule(id, updates) {
+    const allowed = ['appointment_type', 'channel', 'offset_minutes', 'is_active'];
+    const fields = Object.keys(updates).filter(key => allowed.includes(key));
+    if (fields.length === 0) {
+      return { changes: 0 };
+    }
+    return db.prepare(`
+      UPDATE reminder_rules
+      SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(...fields.map(f => typeof updates[f] === 'boolean' ? (updates[f] ? 1 : 0) : updates[f]), id);
+  },
 
-    return rows.map(row => ({
-      ...row,
-      resource_data: JSON.parse(row.resource_data),
-      value: JSON.parse(row.value)
-    }));
+  deleteReminderRule(id) {
+    return db.prepare('DELETE FROM reminder_rules WHERE id = ?').run(id);
   },
 
-  // Create FHIR Audit Log
-  createFHIRAuditLog(action, resourceType, resourceId, userId, ipAddress, userAgent) {
-    const stmt = db.prepare(`
-      INSERT INTO fhir_audit_log (
-        action, resource_type, resource_id, user_id, ip_address, user_agent, timestamp
-      ) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-    `);
+  // Appointments still expected to happen whose start time is between the two times
+  getAppointmentsStartingBetween(from, to) {
+    return db.prepare(`
+      SELECT * FROM appointments
+      WHERE COALESCE(status, 'scheduled') IN ('scheduled', 'confirmed')
+        AND datetime(start_time) > datetime(?)
+        AND datetime(start_time) <= datetime(?)
+      ORDER BY start_time ASC
+    `).all(from, to);
+  },
 
-    return stmt.run(action, resourceType, resourceId, userId, ipAddress, userAgent);
+  createReminderAttempt(attempt) {
+    return db.prepare(`
+      INSERT INTO reminder_attempts (
+        appointment_id, rule_id, channel, offset_minutes, start_time, recipient, status, error,
+        provider_message_id, notification_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      attempt.appointment_id,
+      attempt.rule_id || null,
+      attempt.channel,
+      attempt.offset_minutes,
+      attempt.start_time,
+      attempt.recipient || null,
+      attempt.status,
+      attempt.error || null,
+      attempt.provider_message_id || null,
+      attempt.notification_id || null
+    );
   },
 
-  // Get Audit Logs
-  getFHIRAuditLogs(params = {}) {
-    let query = 'SELECT * FROM fhir_audit_log WHERE 1=1';
-    const queryParams = [];
+  // Reminder attempts for one appointment, oldest first
+  getReminderAttempts(appointmentId) {
+    return db.prepare(`
+      SELECT * FROM reminder_attempts WHERE appointment_id = ? ORDER BY id ASC
+    `).all(appointmentId);
+  },
 
-    if (params.resourceType) {
-      query += ' AND resource_type = ?';
-      queryParams.push(params.resourceType);
-    }
-    if (params.resourceId) {
-      query += ' AND resource_id = ?';
-      queryParams.push(params.resourceId);
-    }
-    if (params.userId) {
-      query += ' AND user_id = ?';
-      queryParams.push(params.userId);
+  // Recent reminder attempts, newest first (optionally by status and/or channel)
+  getRecentReminderAttempts(filters = {}) {
+    let query = `
+      SELECT r.*, a.patient_name, a.appointment_type
+      FROM reminder_attempts r
+      LEFT JOIN appointments a ON a.id = r.appointment_id
+      WHERE 1=1
+    `;
+    const params = [];
+    if (filters.status) {
+      query += ' AND r.status = ?';
+      params.push(filters.status);
     }
-    if (params.startDate) {
-      query += ' AND timestamp >= ?';
-      queryParams.push(params.startDate);
+    if (filters.channel) {
+      query += ' AND r.channel = ?';
+      params.push(filters.channel);
     }
-
-    query += ' ORDER BY timestamp DESC LIMIT ?';
-    queryParams.push(params.limit || 100);
-
-    const stmt = db.prepare(query);
-    return stmt.all(...queryParams);
+    query += ' ORDER BY r.id DESC LIMIT ?';
+    params.push(filters.limit || 100);
+    return db.prepare(query).all(...params);
   },
 
   // ============================================
-  // USER MANAGEMENT
+  // TWO-WAY SMS
   // ============================================
 
-  // Create user
-  createUser(user) {
-    const stmt = db.prepare(`
-      INSERT INTO users (
-        id, email, password_hash, name, role, merchant_id, picture, auth_method, google_id
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    return stmt.run(
-      user.id,
-      user.email,
-      user.password_hash || null,
-      user.name,
-      user.role || 'healthcare_provider',
-      user.merchant_id || null,
-      user.picture || null,
-      user.auth_method || 'email',
-      user.google_id || null
-    );
+  // Patient's next appointment still expected to happen, matching on the last 10 digits of the phone
+  getNextAppointmentForPhone(phone, after) {
+    const digits = String(phone || '').replace(/\D/g, '').slice(-10);
+    return db.prepare(`
+      SELECT * FROM appointments
+      WHERE COALESCE(status, 'scheduled') IN ('scheduled', 'confirmed')
+        AND datetime(start_time) > datetime(?)
+        AND substr(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(patient_phone, '+', ''), '-', ''), ' ', ''), '(', ''), ')', ''), -10) = ?
+      ORDER BY datetime(start_time) ASC
+      LIMIT 1
+    `).get(after, digits);
   },
 
-  // Get user by email
-  getUserByEmail(email) {
-    const stmt = db.prepare('SELECT * FROM users WHERE email = ? AND is_active = 1');
-    return stmt.get(email);
+  createInboundSms(message) {
+    return db.prepare(`
+      INSERT INTO sms_inbound_messages (
+        id, message_sid, from_phone, to_phone, body, intent, appointment_id, outcome, reply, inbox_status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      message.id,
+      message.message_sid || null,
+      message.from_phone,
+      message.to_phone || null,
+      message.body || '',
+      message.intent,
+      message.appointment_id || null,
+      message.outcome || null,
+      message.reply || null,
+      message.inbox_status || null
+    );
   },
 
-  // Get user by ID
-  getUserById(id) {
-    const stmt = db.prepare('SELECT * FROM users WHERE id = ? AND is_active = 1');
-    return stmt.get(id);
+  getInboundSms(id) {
+    return db.prepare('SELECT * FROM sms_inbound_messages WHERE id = ?').get(id);
   },
 
-  // Get user by Google ID
-  getUserByGoogleId(googleId) {
-    const stmt = db.prepare('SELECT * FROM users WHERE google_id = ? AND is_active = 1');
-    return stmt.get(googleId);
+  getInboundSmsBySid(messageSid) {
+    return db.prepare('SELECT * FROM sms_inbound_messages WHERE message_sid = ?').get(messageSid);
   },
 
-  // Update user
-  updateUser(id, updates) {
-    const fields = [];
-    const values = [];
-
-    if (updates.name) {
-      fields.push('name = ?');
-      values.push(updates.name);
-    }
-    if (updates.picture !== undefined) {
-      fields.push('picture = ?');
-      values.push(updates.picture);
-    }
-    if (updates.role) {
-      fields.push('role = ?');
-      values.push(updates.role);
-    }
-    if (updates.merchant_id !== undefined) {
-      fields.push('merchant_id = ?');
-      values.push(updates.merchant_id);
+  // Inbound texts, newest first (optionally by inbox status and/or sender)
+  getInboundSmsMessages(filters = {}) {
+    let query = 'SELECT * FROM sms_inbound_messages WHERE 1=1';
+    const params = [];
+    if (filters.inbox_status) {
+      query += ' AND inbox_status = ?';
+      params.push(filters.inbox_status);
     }
-    if (updates.password_hash) {
-      fields.push('password_hash = ?');
-      values.push(updates.password_hash);
+    if (filters.from_phone) {
+      query += ' AND from_phone = ?';
+      params.push(filters.from_phone);
     }
+    query += ' ORDER BY created_at DESC, rowid DESC LIMIT ?';
+    params.push(filters.limit || 100);
+    return db.prepare(query).all(...params);
+  },
 
-    if (fields.length === 0) return;
-
-    fields.push('updated_at = CURRENT_TIMESTAMP');
-
-    const query = `UPDATE users SET ${fields.join(', ')} WHERE id = ?`;
-    return db.prepare(query).run(...values);
+  // Close an open inbox message; false when it was not open
+  resolveInboundSms(id, resolvedBy, note) {
+    const result = db.prepare(`
+      UPDATE sms_inbound_messages
+      SET inbox_status = 'resolved', resolved_by = ?, resolution_note = ?, resolved_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND inbox_status = 'open'
+    `).run(resolvedBy || null, note || null, id);
+    return result.changes > 0;
   },
 
-  // Update last login
-  updateUserLastLogin(id) {
-    const stmt = db.prepare('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?');
-    return stmt.run(id);
+  getSmsOptOut(phone) {
+    return db.prepare('SELECT * FROM sms_opt_outs WHERE phone = ?').get(phone);
   },
 
-  // Get all users
-  getAllUsers() {
-    const stmt = db.prepare('SELECT id, email, name, role, merchant_id, picture, auth_method, created_at, last_login FROM users WHERE is_active = 1 ORDER BY created_at DESC');
-    return stmt.all();
+  setSmsOptOut(phone, keyword) {
+    return db.prepare(`
+      INSERT INTO sms_opt_outs (phone, keyword) VALUES (?, ?)
+      ON CONFLICT(phone) DO UPDATE SET keyword = excluded.keyword, opted_out_at = CURRENT_TIMESTAMP
+    `).run(phone, keyword || null);
   },
 
-  // Deactivate user (soft delete)
-  deactivateUser(id) {
-    const stmt = db.prepare('UPDATE users SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
-    return stmt.run(id);
+  deleteSmsOptOut(phone) {
+    return db.prepare('DELETE FROM sms_opt_outs WHERE phone = ?').run(phone);
   },
 
   // ============================================
-  // APPOINTMENTS
+  // NOTIFICATION OUTBOX
   // ============================================
 
-  // Create new appointment
-  createAppointment(appointment) {
-    // Note: buffer_before_minutes and buffer_after_minutes are stored in notes JSON
-    // or we can add columns later if needed - for now, calculate from appointment_type
-    const stmt = db.prepare(`
-      INSERT INTO appointments (
-        id, patient_name, patient_phone, patient_email, patient_id,
-        appointment_type, date, time, start_time, end_time,
-        duration_minutes, provider, status, notes,
-        calendar_event_id, calendar_link, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    // Store buffer times in notes as JSON if not already JSON
-    let notes = appointment.notes || '';
-    if (appointment.buffer_before_minutes || appointment.buffer_after_minutes) {
-      try {
-        const notesObj = notes ? JSON.parse(notes) : {};
-        notesObj.buffer_before_minutes = appointment.buffer_before_minutes;
-        notesObj.buffer_after_minutes = appointment.buffer_after_minutes;
-        notesObj.timezone = appointment.timezone;
-        notes = JSON.stringify(notesObj);
-      } catch (e) {
-        // If notes is not JSON, append buffer info
-        notes = `${notes}\nBuffer: ${appointment.buffer_before_minutes || 0}min before, ${appointment.buffer_after_minutes || 0}min after`.trim();
-      }
-    }
-
-    return stmt.run(
-      appointment.id,
-      appointment.patient_name,
-      appointment.patient_phone,
-      appointment.patient_email,
-      appointment.patient_id || null,
-      appointment.appointment_type,
-      appointment.date,
-      appointment.time,
-      appointment.start_time,
-      appointment.end_time,
-      appointment.duration_minutes,
-      appointment.provider,
-      appointment.status,
-      notes,
-      appointment.calendar_event_id,
-      appointment.calendar_link,
-      appointment.created_at
+  createNotification(notification) {
+    return db.prepare(`
+      INSERT INTO notifications (
+        id, channel, category, recipient, subject, body, text_body, attachment,
+        appointment_id, patient_phone, status, next_attempt_at, resend_of
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      notification.id,
+      notification.channel,
+      notification.category || null,
+      notification.recipient,
+      notification.subject || null,
+      notification.body,
+      notification.text_body || null,
+      notification.attachment || null,
+      notification.appointment_id || null,
+      notification.patient_phone || null,
+      notification.status,
+      notification.next_attempt_at || null,
+      notification.resend_of || null
     );
   },
 
-  // Get appointment by ID
-  getAppointment(id) {
-    const stmt = db.prepare('SELECT * FROM appointments WHERE id = ? OR id LIKE ?');
-    return stmt.get(id, `%${id}%`);
-  },
-
-  // Get appointments by date
-  getAppointmentsByDate(date) {
-    const stmt = db.prepare('SELECT * FROM appointments WHERE date = ? ORDER BY time ASC');
-    return stmt.all(date);
+  getNotification(id) {
+    return db.prepare('SELECT * FROM notifications WHERE id = ?').get(id);
   },
 
-  // Search appointments by phone or email
-  searchAppointments(searchTerm) {
-    const stmt = db.prepare(`
-      SELECT * FROM appointments
-      WHERE patient_phone LIKE ? OR patient_email LIKE ?
-      ORDER BY date DESC, time DESC
-    `);
-    return stmt.all(`%${searchTerm}%`, `%${searchTerm}%`);
+  getNotificationByProviderMessageId(providerMessageId) {
+    return db.prepare('SELECT * FROM notifications WHERE provider_message_id = ?').get(providerMessageId);
   },
 
-  // Get all appointments (with optional filters)
-  getAllAppointments(filters = {}) {
-    let query = 'SELECT * FROM appointments WHERE 1=1';
+  // Notifications, newest first (optionally by patient, appointment, status and/or channel)
+  getNotifications(filters = {}) {
+    let query = 'SELECT * FROM notifications WHERE 1=1';
     const params = [];
-
-    if (filters.status) {
-      query += ' AND status = ?';
-      params.push(filters.status);
-    }
-
-    if (filters.date) {
-      query += ' AND date = ?';
-      params.push(filters.date);
-    }
-
-    if (filters.provider) {
-      query += ' AND provider = ?';
-      params.push(filters.provider);
+    for (const field of ['patient_phone', 'appointment_id', 'status', 'channel', 'category']) {
+      if (filters[field]) {
+        query += ` AND ${field} = ?`;
+        params.push(filters[field]);
+      }
     }
+    query += ' ORDER BY created_at DESC, rowid DESC LIMIT ?';
+    params.push(filters.limit || 100);
+    return db.prepare(query).all(...params);
+  },
 
-    query += ' ORDER BY date DESC, time DESC';
+  // Pending notifications whose next attempt is due, oldest first
+  getDueNotifications(now, limit = 50) {
+    return db.prepare(`
+      SELECT * FROM notifications
+      WHERE status = 'pending' AND datetime(next_attempt_at) <= datetime(?)
+      ORDER BY datetime(next_attempt_at) ASC
+      LIMIT ?
+    `).all(now, limit);
+  },
 
-    const stmt = db.prepare(query);
-    return stmt.all(...params);
+  // Move a notification from one status to another; false when it was no longer in from_status
+  updateNotificationStatus(id, fromStatus, updates) {
+    const allowed = ['status', 'attempts', 'next_attempt_at', 'last_error', 'provider', 'provider_message_id',
+      'sent_at', 'delivered_at'];
+    const fields = Object.keys(updates).filter(key => allowed.includes(key));
+    const result = db.prepare(`
+      UPDATE notifications
+      SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = ?
+    `).run(...fields.map(f => updates[f]), id, fromStatus);
+    return result.changes > 0;
   },
 
-  // Update appointment status
-  updateAppointmentStatus(id, status, reason = null) {
-    const stmt = db.prepare(`
-      UPDATE appointments
-      SET status = ?,
-          cancellation_reason = ?,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = ? OR id LIKE ?
-    `);
-    return stmt.run(status, reason, id, `%${id}%`);
+  // Put notifications left in 'sending' (process stopped mid-send) back in the queue
+  releaseStaleNotifications(olderThan) {
+    return db.prepare(`
+      UPDATE notifications
+      SET status = 'pending', next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'sending' AND datetime(updated_at) <= datetime(?)
+    `).run(olderThan).changes;
   },
 
-  // Update appointment details (for rescheduling)
-  updateAppointment(id, updates) {
-    const fields = [];
-    const values = [];
+  // ============================================
+  // COMMUNICATION PREFERENCES
+  // ============================================
 
-    if (updates.date !== undefined) {
-      fields.push('date = ?');
-      values.push(updates.date);
-    }
-    if (updates.time !== undefined) {
-      fields.push('time = ?');
-      values.push(updates.time);
-    }
-    if (updates.start_time !== undefined) {
-      fields.push('start_time = ?');
-      values.push(updates.start_time);
-    }
-    if (updates.end_time !== undefined) {
-      fields.push('end_time = ?');
-      values.push(updates.end_time);
-    }
-    // Note: appointments table has no timezone column; store timezone in notes JSON if needed
-    if (updates.notes !== undefined) {
-      fields.push('notes = ?');
-      values.push(updates.notes);
-    }
-    if (updates.appointment_type !== undefined) {
-      fields.push('appointment_type = ?');
-      values.push(updates.appointment_type);
-    }
-    if (updates.duration_minutes !== undefined) {
-      fields.push('duration_minutes = ?');
-      values.push(updates.duration_minutes);
-    }
+  getCommunicationPreferences(phone) {
+    return db.prepare('SELECT * FROM patient_communication_preferences WHERE patient_phone = ?').get(phone);
+  },
 
-    if (fields.length === 0) {
-      return { changes: 0 };
+  // Create the row if needed and set language, timezone, quiet hours and reminder channels
+  updateCommunicationPreferences(phone, updates) {
+    const allowed = ['language', 'timezone', 'quiet_hours_start', 'quiet_hours_end', 'reminder_channels'];
+    const fields = Object.keys(updates).filter(key => allowed.includes(key));
+    db.prepare('INSERT OR IGNORE INTO patient_communication_preferences (patient_phone) VALUES (?)').run(phone);
+    if (fields.length === 0) return;
+    db.prepare(`
+      UPDATE patient_communication_preferences
+      SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE patient_phone = ?
+    `).run(...fields.map(f => updates[f]), phone);
+  },
+
+  // Log a consent decision and make it the current one
+  recordConsent(phone, consentType, status, source, recordedBy = null, note = null) {
+    if (!['sms', 'email', 'hipaa'].includes(consentType)) {
+      throw new Error(`Unknown consent type: ${consentType}`);
     }
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO patient_consent_events (patient_phone, consent_type, status, source, recorded_by, note)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(phone, consentType, status, source, recordedBy, note);
+      db.prepare('INSERT OR IGNORE INTO patient_communication_preferences (patient_phone) VALUES (?)').run(phone);
+      db.prepare(`
+        UPDATE patient_communication_preferences
+        SET ${consentType}_consent = ?, ${consentType}_consent_at = CURRENT_TIMESTAMP,
+            ${consentType}_consent_source = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE patient_phone = ?
+      `).run(status, source, phone);
+    })();
+  },
 
-    fields.push('updated_at = CURRENT_TIMESTAMP');
+  // Consent decisions, newest first
+  getConsentEvents(phone) {
+    return db.prepare(`
+      SELECT * FROM patient_consent_events WHERE patient_phone = ? ORDER BY id DESC
+    `).all(phone);
+  },
 
-    const query = `
-      UPDATE appointments
-      SET ${fields.join(', ')}
-      WHERE id = ? OR id LIKE ?
-    `;
+  // ============================================
+  // MESSAGE TEMPLATES
+  // ============================================
 
-    const stmt = db.prepare(query);
-    return stmt.run(...values, id, `%${id}%`);
+  getMessageTemplateOverrides() {
+    return db.prepare('SELECT * FROM message_templates ORDER BY name, locale').all();
   },
 
-  // Update appointment reminder sent flag
-  markReminderSent(id) {
-    const stmt = db.prepare(`
-      UPDATE appointments
-      SET reminder_sent = 1,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `);
-    return stmt.run(id);
+  getMessageTemplateOverride(name, locale) {
+    return db.prepare('SELECT * FROM message_templates WHERE name = ? AND locale = ?').get(name, locale);
   },
 
-  // Delete appointment (hard delete)
-  deleteAppointment(id) {
-    const stmt = db.prepare('DELETE FROM appointments WHERE id = ? OR id LIKE ?');
-    return stmt.run(id, `%${id}%`);
+  setMessageTemplateOverride(name, locale, template) {
+    return db.prepare(`
+      INSERT INTO message_templates (name, locale, subject, title, body, updated_by) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(name, locale) DO UPDATE SET
+        subject = excluded.subject,
+        title = excluded.title,
+        body = excluded.body,
+        updated_by = excluded.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(name, locale, template.subject || null, template.title || null, template.body, template.updated_by || null);
   },
 
-  // Get upcoming appointments (next 7 days)
-  getUpcomingAppointments(limit = 10) {
-    const today = new Date().toISOString().split('T')[0];
-    const stmt = db.prepare(`
-      SELECT * FROM appointments
-      WHERE date >= ? AND status IN ('scheduled', 'confirmed')
-      ORDER BY date ASC, time ASC
-      LIMIT ?
-    `);
-    return stmt.all(today, limit);
+  deleteMessageTemplateOverride(name, locale) {
+    return db.prepare('DELETE FROM message_templates WHERE name = ? AND locale = ?').run(name, locale).changes > 0;
   },
 
-  // ============================================
-  // INSURANCE & BILLING
-  // ============================================
+  getMessageBranding() {
+    const rows = db.prepare('SELECT key, value FROM message_branding').all();
+    return Object.fromEntries(rows.map(row => [row.key, row.value]));
+  },
 
-  // Create eligibility check record
-  createEligibilityCheck(eligibility) {
-    const stmt = db.prepare(`
-      INSERT INTO eligibility_checks (
-        id, patient_id, member_id, payer_id, service_code,
-        date_of_service, eligible, copay_amount, allowed_amount,
-        insurance_pays, deductible_total, deductible_remaining,
-        coinsurance_percent, plan_summary, response_data, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-    return stmt.run(
-      eligibility.id,
-      eligibility.patient_id || null,
-      eligibility.member_id,
-      eligibility.payer_id,
-      eligibility.service_code || null,
-      eligibility.date_of_service || null,
-      eligibility.eligible ? 1 : 0,
-      eligibility.copay_amount || 0,
-      eligibility.allowed_amount || 0,
-      eligibility.insurance_pays || 0,
-      eligibility.deductible_total !== undefined ? eligibility.deductible_total : null,
-      eligibility.deductible_remaining !== undefined ? eligibility.deductible_remaining : null,
-      eligibility.coinsurance_percent !== undefined ? eligibility.coinsurance_percent : null,
-      eligibility.plan_summary || null,
-      eligibility.response_data || null,
-      eligibility.created_at || new Date().toISOString()
-    );
+  setMessageBranding(key, value) {
+    return db.prepare(`
+      INSERT INTO message_branding (key, value) VALUES (?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+    `).run(key, String(value));
   },
 
-  // Get eligibility check by ID
-  getEligibilityCheck(id) {
-    const stmt = db.prepare('SELECT * FROM eligibility_checks WHERE id = ?');
-    return stmt.get(id);
+  deleteMessageBranding(key) {
+    return db.prepare('DELETE FROM message_branding WHERE key = ?').run(key);
   },
 
-  // Get eligibility checks for a patient
-  getEligibilityChecksByPatient(patientId) {
-    const stmt = db.prepare(`
-      SELECT * FROM eligibility_checks
-      WHERE patient_id = ?
-      ORDER BY created_at DESC
-    `);
-    return stmt.all(patientId);
+  // ============================================
+  // CLAIM EDI (X12 837P)
+  // ============================================
+
+  // Next number for a control number counter (1, 2, 3, ...)
+  nextX12ControlNumber(name) {
+    return db.transaction(() => {
+      db.prepare(`
+        INSERT INTO x12_control_numbers (name, value) VALUES (?, 1)
+        ON CONFLICT(name) DO UPDATE SET value = value + 1, updated_at = CURRENT_TIMESTAMP
+      `).run(name);
+      return db.prepare('SELECT value FROM x12_control_numbers WHERE name = ?').get(name).value;
+    })();
   },
 
-  // Create insurance claim
-  createInsuranceClaim(claim) {
-    try {
-      const stmt = db.prepare(`
-        INSERT INTO insurance_claims (
-          id, appointment_id, patient_id, member_id, payer_id,
-          service_code, diagnosis_code, total_amount, copay_amount,
-          insurance_amount, status, x12_claim_id, blockchain_proof,
-          submitted_at, response_data, circle_transfer_id, payment_status, payment_amount
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-      const result = stmt.run(
-        claim.id,
-        claim.appointment_id || null,
-        claim.patient_id || null,
-        claim.member_id,
-        claim.payer_id,
-        claim.service_code || null,
-        claim.diagnosis_code || null,
-        claim.total_amount,
-        claim.copay_amount || 0,
-        claim.insurance_amount || 0,
-        claim.status || 'submitted',
-        claim.x12_claim_id || null,
-        claim.blockchain_proof || null,
-        claim.submitted_at || new Date().toISOString(),
-        claim.response_data || null,
-        claim.circle_transfer_id || null,
-        claim.payment_status || 'pending',
-        claim.payment_amount || null
+  setClaimPatientControlNumber(claimId, patientControlNumber) {
+    return db.prepare('UPDATE insurance_claims SET patient_control_number = ? WHERE id = ?').run(patientControlNumber, claimId);
+  },
+
+  getClaimByPatientControlNumber(patientControlNumber) {
+    return db.prepare('SELECT * FROM insurance_claims WHERE patient_control_number = ?').get(patientControlNumber);
+  },
+
+  createClaimEdiExport(ediExport, claims) {
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO claim_edi_exports (
+          id, file_name, interchange_control_number, group_control_number, usage_indicator,
+          claim_count, total_charge, content, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        ediExport.id,
+        ediExport.file_name,
+        ediExport.interchange_control_number,
+        ediExport.group_control_number,
+        ediExport.usage_indicator,
+        ediExport.claim_count,
+        ediExport.total_charge,
+        ediExport.content,
+        ediExport.created_by || null
       );
-      return result;
-    } catch (error) {
-      console.error('❌ Error creating insurance claim:', error);
-      console.error('Claim data:', JSON.stringify(claim, null, 2));
-      throw error; // Re-throw to be handled by caller
-    }
+      const insertClaim = db.prepare(`
+        INSERT INTO claim_edi_export_claims (export_id, claim_id, transaction_set_control_number, patient_control_number)
+        VALUES (?, ?, ?, ?)
+      `);
+      for (const claim of claims) {
+        insertClaim.run(ediExport.id, claim.claim_id, claim.transaction_set_control_number, claim.patient_control_number);
+      }
+    })();
   },
 
-  // Get insurance claim by ID
-  getInsuranceClaim(id) {
-    const stmt = db.prepare('SELECT * FROM insurance_claims WHERE id = ?');
-    return stmt.get(id);
+  getClaimEdiExport(id) {
+    return db.prepare('SELECT * FROM claim_edi_exports WHERE id = ?').get(id);
   },
 
-  // Get insurance claim by idempotency key
-  getInsuranceClaimByIdempotency(idemKey) {
-    const stmt = db.prepare('SELECT * FROM insurance_claims WHERE idempotency_key = ? ORDER BY submitted_at DESC LIMIT 1');
-    return stmt.get(idemKey);
+  getClaimEdiExportClaims(exportId) {
+    return db.prepare('SELECT * FROM claim_edi_export_claims WHERE export_id = ? ORDER BY transaction_set_control_number').all(exportId);
   },
 
-  // Get claims for an appointment
-  getClaimsByAppointment(appointmentId) {
-    const stmt = db.prepare(`
-      SELECT * FROM insurance_claims
-      WHERE appointment_id = ?
-      ORDER BY submitted_at DESC
-    `);
-    return stmt.all(appointmentId);
+  // Newest first, without file content
+  getClaimEdiExports(filters = {}) {
+    let query = `
+      SELECT e.id, e.file_name, e.interchange_control_number, e.group_control_number, e.usage_indicator,
+             e.claim_count, e.total_charge, e.created_by, e.created_at, e.clearinghouse, e.submission_id,
+             e.submitted_at, e.acknowledgment_status, e.acknowledged_at
+      FROM claim_edi_exports e
+    `;
+    const params = [];
+    if (filters.claim_id) {
+      query += ' WHERE e.id IN (SELECT export_id FROM claim_edi_export_claims WHERE claim_id = ?)';
+      params.push(filters.claim_id);
+    }
+    query += ' ORDER BY e.created_at DESC, e.interchange_control_number DESC LIMIT ?';
+    params.push(filters.limit || 100);
+    return db.prepare(query).all(...params);
   },
 
-  // Get claims for a patient
-  getClaimsByPatient(patientId) {
-    const stmt = db.prepare(`
-      SELECT * FROM insurance_claims
-      WHERE patient_id = ?
-      ORDER BY submitted_at DESC
-    `);
-    return stmt.all(patientId);
+  getClaimEdiExportByGroupControlNumber(groupControlNumber) {
+    return db.prepare('SELECT * FROM claim_edi_exports WHERE group_control_number = ?').get(Number(groupControlNumber));
   },
 
-  getClaimById(claimId) {
-    const stmt = db.prepare(`
-      SELECT * FROM insurance_claims
-      WHERE id = ?
-    `);
-    return stmt.get(claimId);
+  updateClaimEdiExport(id, updates) {
+    const fields = [];
+    const values = [];
+    for (const column of ['clearinghouse', 'submission_id', 'submitted_at', 'acknowledgment_status', 'acknowledged_at']) {
+      if (updates[column] !== undefined) {
+        fields.push(`${column} = ?`);
+        values.push(updates[column]);
+      }
+    }
+    if (fields.length === 0) return null;
+    values.push(id);
+    return db.prepare(`UPDATE claim_edi_exports SET ${fields.join(', ')} WHERE id = ?`).run(...values);
   },
 
   // ============================================
-  // CIRCLE PAYMENT METHODS
+  // REMITTANCE (X12 835 ERA)
   // ============================================
 
-  // Create Circle account
-  createCircleAccount(account) {
-    const stmt = db.prepare(`
-      INSERT INTO circle_accounts (
-        id, entity_type, entity_id, circle_wallet_id, circle_account_id,
-        currency, status, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-    return stmt.run(
-      account.id,
-      account.entity_type,
-      account.entity_id,
-      account.circle_wallet_id,
-      account.circle_account_id || null,
-      account.currency || 'USDC',
-      account.status || 'active',
-      account.created_at || new Date().toISOString(),
-      account.updated_at || new Date().toISOString()
-    );
+  // A payer never reuses a check/EFT trace number, so it identifies a file already imported
+  getEraFileByCheck(payerId, checkNumber) {
+    return db.prepare('SELECT * FROM era_files WHERE payer_id IS ? AND check_number = ?').get(payerId, checkNumber);
   },
 
-  // Get Circle account by entity
-  getCircleAccountByEntity(entityType, entityId) {
-    const stmt = db.prepare(`
-      SELECT * FROM circle_accounts
-      WHERE entity_type = ? AND entity_id = ?
-      ORDER BY created_at DESC
-      LIMIT 1
-    `);
-    return stmt.get(entityType, entityId);
+  // Store a file with its claim payments (each with its service lines) in one go
+  createEraFile(eraFile, claimPayments) {
+    return db.transaction(() => {
+      db.prepare(`
+        INSERT INTO era_files (
+          id, file_name, interchange_control_number, payer_id, payer_name, payee_name, payee_npi,
+          check_number, payment_method, payment_amount, payment_date, claim_count, content, received_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        eraFile.id,
+        eraFile.file_name || null,
+        eraFile.interchange_control_number || null,
+        eraFile.payer_id || null,
+        eraFile.payer_name || null,
+        eraFile.payee_name || null,
+        eraFile.payee_npi || null,
+        eraFile.check_number,
+        eraFile.payment_method || null,
+        eraFile.payment_amount,
+        eraFile.payment_date || null,
+        claimPayments.length,
+        eraFile.content,
+        eraFile.received_by || null
+      );
+
+      const insertClaim = db.prepare(`
+        INSERT INTO era_claim_payments (
+          id, era_file_id, patient_control_number, claim_status_code, total_charge, paid_amount,
+          allowed_amount, contractual_adjustment, patient_responsibility, payer_claim_control_number,
+          patient_name, member_id, service_date, adjustments, remark_codes, status
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const insertService = db.prepare(`
+        INSERT INTO era_service_payments (
+          id, claim_payment_id, procedure_code, modifiers, charge, paid_amount, allowed_amount,
+          units, service_date, adjustments, remark_codes
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const payment of claimPayments) {
+        insertClaim.run(
+          payment.id,
+          eraFile.id,
+          payment.patient_control_number,
+          payment.claim_status_code,
+          payment.total_charge,
+          payment.paid_amount,
+          payment.allowed_amount ?? null,
+          payment.contractual_adjustment || 0,
+          payment.patient_responsibility || 0,
+          payment.payer_claim_control_number || null,
+          payment.patient_name || null,
+          payment.member_id || null,
+          payment.service_date || null,
+          JSON.stringify(payment.adjustments || []),
+          JSON.stringify(payment.remark_codes || []),
+          payment.status || 'unmatched'
+        );
+        for (const service of payment.services || []) {
+          insertService.run(
+            service.id,
+            payment.id,
+            service.procedure_code,
+            JSON.stringify(service.modifiers || []),
+            service.charge,
+            service.paid_amount,
+            service.allowed_amount ?? null,
+            service.units ?? null,
+            service.service_date || null,
+            JSON.stringify(service.adjustments || []),
+            JSON.stringify(service.remark_codes || [])
+          );
+        }
+      }
+    })();
   },
 
-  // Get Circle account by wallet ID
-  getCircleAccountByWalletId(walletId) {
-    const stmt = db.prepare(`
-      SELECT * FROM circle_accounts
-      WHERE circle_wallet_id = ?
-    `);
-    return stmt.get(walletId);
+  getEraFile(id) {
+    return db.prepare('SELECT * FROM era_files WHERE id = ?').get(id);
   },
 
-  // Create Circle transfer
-  createCircleTransfer(transfer) {
-    const stmt = db.prepare(`
-      INSERT INTO circle_transfers (
-        id, claim_id, from_wallet_id, to_wallet_id, amount, currency,
-        circle_transfer_id, status, error_message, created_at, completed_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-    return stmt.run(
-      transfer.id,
-      transfer.claim_id || null,
-      transfer.from_wallet_id,
-      transfer.to_wallet_id,
-      transfer.amount,
-      transfer.currency || 'USDC',
-      transfer.circle_transfer_id || null,
-      transfer.status || 'pending',
-      transfer.error_message || null,
-      transfer.created_at || new Date().toISOString(),
-      transfer.completed_at || null
-    );
+  // Newest first, without content
+  getEraFiles(filters = {}) {
+    return db.prepare(`
+      SELECT id, file_name, interchange_control_number, payer_id, payer_name, payee_name, payee_npi, check_number,
+             payment_method, payment_amount, payment_date, claim_count, matched_count, received_by, created_at
+      FROM era_files
+      ORDER BY created_at DESC
+      LIMIT ?
+    `).all(filters.limit || 100);
   },
 
-  // Update Circle transfer
-  updateCircleTransfer(id, updates) {
-    const fields = [];
-    const values = [];
+  getEraClaimPayment(id) {
+    return db.prepare('SELECT * FROM era_claim_payments WHERE id = ?').get(id);
+  },
 
-    if (updates.status !== undefined) {
-      fields.push('status = ?');
-      values.push(updates.status);
-    }
-    if (updates.circle_transfer_id !== undefined) {
-      fields.push('circle_transfer_id = ?');
-      values.push(updates.circle_transfer_id);
+  getEraClaimPayments(filters = {}) {
+    let query = 'SELECT * FROM era_claim_payments WHERE 1=1';
+    const params = [];
+    if (filters.era_file_id) {
+      query += ' AND era_file_id = ?';
+      params.push(filters.era_file_id);
     }
-    if (updates.error_message !== undefined) {
-      fields.push('error_message = ?');
-      values.push(updates.error_message);
+    if (filters.claim_id) {
+      query += ' AND claim_id = ?';
+      params.push(filters.claim_id);
     }
-    if (updates.completed_at !== undefined) {
-      fields.push('completed_at = ?');
-      values.push(updates.completed_at);
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
     }
+    query += ' ORDER BY created_at ASC, rowid ASC LIMIT ?';
+    params.push(filters.limit || 500);
+    return db.prepare(query).all(...params);
+  },
 
-    if (fields.length === 0) {
-      return { changes: 0 };
-    }
+  getEraServicePayments(claimPaymentId) {
+    return db.prepare('SELECT * FROM era_service_payments WHERE claim_payment_id = ? ORDER BY rowid').all(claimPaymentId);
+  },
 
+  updateEraClaimPayment(id, updates) {
+    const fields = [];
+    const values = [];
+    for (const column of ['claim_id', 'status', 'resolved_by', 'resolution_note', 'posted_at']) {
+      if (updates[column] !== undefined) {
+        fields.push(`${column} = ?`);
+        values.push(updates[column]);
+      }
+    }
+    if (fields.length === 0) return { changes: 0 };
     values.push(id);
-    const query = `UPDATE circle_transfers SET ${fields.join(', ')} WHERE id = ?`;
-    return db.prepare(query).run(...values);
+    return db.prepare(`UPDATE era_claim_payments SET ${fields.join(', ')} WHERE id = ?`).run(...values);
   },
 
-  // Get Circle transfer by ID
-  getCircleTransfer(id) {
-    const stmt = db.prepare(`
-      SELECT * FROM circle_transfers
-      WHERE id = ?
-    `);
-    return stmt.get(id);
+  setEraServicePaymentLine(id, lineNumber) {
+    return db.prepare('UPDATE era_service_payments SET line_number = ? WHERE id = ?').run(lineNumber, id);
   },
 
-  // Get Circle transfer by Circle transfer ID
-  getCircleTransferByCircleId(circleTransferId) {
-    const stmt = db.prepare(`
-      SELECT * FROM circle_transfers
-      WHERE circle_transfer_id = ?
-    `);
-    return stmt.get(circleTransferId);
+  // What the payer's contract says it should have allowed, and how far short the remit fell
+  setEraServicePaymentContract(id, contractedAmount, underpaidAmount) {
+    return db.prepare('UPDATE era_service_payments SET contracted_amount = ?, underpaid_amount = ? WHERE id = ?')
+      .run(contractedAmount, underpaidAmount, id);
   },
 
-  // Get Circle transfers by claim ID
-  getCircleTransfersByClaim(claimId) {
-    const stmt = db.prepare(`
-      SELECT * FROM circle_transfers
-      WHERE claim_id = ?
-      ORDER BY created_at DESC
-    `);
-    return stmt.all(claimId);
+  setEraClaimPaymentContract(id, contractedAmount, underpaidAmount) {
+    return db.prepare('UPDATE era_claim_payments SET contracted_amount = ?, underpaid_amount = ? WHERE id = ?')
+      .run(contractedAmount, underpaidAmount, id);
   },
 
-  // Update insurance claim
-  updateInsuranceClaim(id, updates) {
-    const fields = [];
-    const values = [];
-
-    if (updates.status !== undefined) {
-      fields.push('status = ?');
-      values.push(updates.status);
-    }
-    if (updates.submitted_at !== undefined) {
-      fields.push('submitted_at = ?');
-      values.push(updates.submitted_at);
-    }
-    if (updates.status_checked_at !== undefined) {
-      fields.push('status_checked_at = ?');
-      values.push(updates.status_checked_at);
-    }
-    if (updates.approved_at !== undefined) {
-      fields.push('approved_at = ?');
-      values.push(updates.approved_at);
-    }
-    if (updates.paid_at !== undefined) {
-      fields.push('paid_at = ?');
-      values.push(updates.paid_at);
-    }
-    if (updates.response_data !== undefined) {
-      fields.push('response_data = ?');
-      values.push(updates.response_data);
+  // Posted remits the payer allowed less than its contract for, largest shortfall first
+  getUnderpaidClaimPayments(filters = {}) {
+    let query = `
+      SELECT p.*, f.payer_id AS era_payer_id, f.payer_name, f.check_number, f.payment_date,
+             c.payer_id AS claim_payer_id, c.patient_id, c.date_of_service
+      FROM era_claim_payments p
+      JOIN era_files f ON f.id = p.era_file_id
+      LEFT JOIN insurance_claims c ON c.id = p.claim_id
+      WHERE p.status = 'posted' AND p.underpaid_amount > 0
+    `;
+    const params = [];
+    if (filters.payer_id) {
+      query += ' AND COALESCE(c.payer_id, f.payer_id) = ?';
+      params.push(filters.payer_id);
     }
-    if (updates.circle_transfer_id !== undefined) {
-      fields.push('circle_transfer_id = ?');
-      values.push(updates.circle_transfer_id);
+    if (filters.from) {
+      query += ' AND f.payment_date >= ?';
+      params.push(filters.from);
     }
-    if (updates.payment_status !== undefined) {
-      fields.push('payment_status = ?');
-      values.push(updates.payment_status);
+    if (filters.to) {
+      query += ' AND f.payment_date <= ?';
+      params.push(filters.to);
     }
-    if (updates.payment_amount !== undefined) {
-      fields.push('payment_amount = ?');
-      values.push(updates.payment_amount);
+    query += ' ORDER BY p.underpaid_amount DESC, p.posted_at DESC LIMIT ?';
+    params.push(filters.limit || 500);
+    return db.prepare(query).all(...params);
+  },
+
+  // Keep the file's matched count in step with its claim payments
+  refreshEraFileMatchedCount(eraFileId) {
+    return db.prepare(`
+      UPDATE era_files
+      SET matched_count = (SELECT COUNT(*) FROM era_claim_payments WHERE era_file_id = ? AND claim_id IS NOT NULL)
+      WHERE id = ?
+    `).run(eraFileId, eraFileId);
+  },
+
+  // ============================================
+  // CLEARINGHOUSE
+  // ============================================
+
+  createClearinghouseFile(file) {
+    db.prepare(`
+      INSERT INTO clearinghouse_files (id, clearinghouse, external_id, type, file_name, content, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      file.id,
+      file.clearinghouse,
+      file.external_id || null,
+      file.type,
+      file.file_name || null,
+      file.content,
+      file.status || 'received'
+    );
+    return this.getClearinghouseFile(file.id);
+  },
+
+  getClearinghouseFile(id) {
+    return db.prepare('SELECT * FROM clearinghouse_files WHERE id = ?').get(id);
+  },
+
+  getClearinghouseFileByExternalId(clearinghouse, externalId) {
+    return db.prepare('SELECT * FROM clearinghouse_files WHERE clearinghouse = ? AND external_id = ?').get(clearinghouse, externalId);
+  },
+
+  // Newest first, without file content
+  getClearinghouseFiles(filters = {}) {
+    let query = `
+      SELECT id, clearinghouse, external_id, type, file_name, status, error, result, received_at, processed_at
+      FROM clearinghouse_files WHERE 1=1
+    `;
+    const params = [];
+    if (filters.type) {
+      query += ' AND type = ?';
+      params.push(filters.type);
     }
-    if (updates.insurance_amount !== undefined) {
-      fields.push('insurance_amount = ?');
-      values.push(updates.insurance_amount);
+    if (filters.status) {
+      query += ' AND status = ?';
+      params.push(filters.status);
     }
+    query += ' ORDER BY received_at DESC, rowid DESC LIMIT ?';
+    params.push(filters.limit || 100);
+    return db.prepare(query).all(...params);
+  },
 
-    if (fields.length === 0) {
-      return { changes: 0 };
+  updateClearinghouseFile(id, updates) {
+    const fields = [];
+    const values = [];
+    for (const column of ['status', 'error', 'result', 'processed_at']) {
+      if (updates[column] !== undefined) {
+        fields.push(`${column} = ?`);
+        values.push(column === 'result' ? safeStringify(updates[column]) : updates[column]);
+      }
     }
+    if (fields.length === 0) return null;
+    values.push(id);
+    return db.prepare(`UPDATE clearinghouse_files SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+  },
+
+  createClaimAcknowledgment(acknowledgment) {
+    return db.prepare(`
+      INSERT INTO claim_acknowledgments (id, claim_id, file_id, export_id, type, status, code, description, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      acknowledgment.id,
+      acknowledgment.claim_id,
+      acknowledgment.file_id || null,
+      acknowledgment.export_id || null,
+      acknowledgment.type,
+      acknowledgment.status || null,
+      acknowledgment.code || null,
+      acknowledgment.description || null,
+      safeStringify(acknowledgment.details)
+    );
+  },
+
+  // Oldest first
+  getClaimAcknowledgments(claimId) {
+    return db.prepare('SELECT * FROM claim_acknowledgments WHERE claim_id = ? ORDER BY created_at, rowid').all(claimId);
+  },
+
+  // ============================================
+  // CLAIM SCRUBBER
+  // ============================================
 
-    values.push(id);
+  // Other claims for the same visit: same appointment, or same patient and date of service
+  getPossibleDuplicateClaims(claim) {
+    return db.prepare(`
+      SELECT * FROM insurance_claims
+      WHERE id != ?
+        AND ((appointment_id IS NOT NULL AND appointment_id = ?)
+          OR (patient_id IS NOT NULL AND patient_id = ? AND date_of_service = ?))
+      ORDER BY submitted_at
+    `).all(claim.id || '', claim.appointment_id || null, claim.patient_id || null, claim.date_of_service || null);
+  },
 
-    const query = `
-      UPDATE insurance_claims
-      SET ${fields.join(', ')}
-      WHERE id = ?
-    `;
+  // Claims that follow a claim in coordination of benefits (the next payer's claims)
+  getClaimsByPriorClaim(claimId) {
+    return db.prepare('SELECT * FROM insurance_claims WHERE prior_claim_id = ? ORDER BY submitted_at, rowid').all(claimId);
+  },
 
-    const stmt = db.prepare(query);
-    return stmt.run(...values);
+  saveClaimScrubResult(claimId, result) {
+    return db.prepare(`
+      UPDATE insurance_claims SET scrub_status = ?, scrub_result = ?, scrubbed_at = ? WHERE id = ?
+    `).run(result.status, safeStringify(result), result.scrubbed_at, claimId);
   },
 
-  // Get all claims with optional filters
-  getAllClaims(filters = {}) {
-    let query = 'SELECT * FROM insurance_claims WHERE 1=1';
-    const params = [];
+  // Claims in the given statuses, oldest date of service first
+  getClaimsByStatuses(statuses, limit = 200) {
+    const placeholders = statuses.map(() => '?').join(', ');
+    return db.prepare(`
+      SELECT * FROM insurance_claims
+      WHERE status IN (${placeholders})
+      ORDER BY COALESCE(date_of_service, submitted_at), id
+      LIMIT ?
+    `).all(...statuses, limit);
+  },
 
-    if (filters.status) {
-      query += ' AND status = ?';
-      params.push(filters.status);
-    }
+  updatePayerClaimRequirements(payerId, requirements) {
+    return db.prepare(`
+      UPDATE insurance_payers SET claim_requirements = ?, last_updated = ? WHERE payer_id = ?
+    `).run(safeStringify(requirements), new Date().toISOString(), payerId);
+  },
 
-    if (filters.patient_id) {
-      query += ' AND patient_id = ?';
-      params.push(filters.patient_id);
-    }
+  // ============================================
+  // CLAIM LIFECYCLE
+  // ============================================
 
-    if (filters.appointment_id) {
-      query += ' AND appointment_id = ?';
-      params.push(filters.appointment_id);
-    }
+  createClaimEvent(event) {
+    return db.prepare(`
+      INSERT INTO claim_events (claim_id, event_type, from_status, to_status, actor, source, payload)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      event.claim_id,
+      event.event_type,
+      event.from_status || null,
+      event.to_status || null,
+      event.actor || null,
+      event.source || null,
+      event.payload ? safeStringify(event.payload) : null
+    );
+  },
 
-    query += ' ORDER BY submitted_at DESC';
+  // Change a claim's status (and any other columns with it) and record the event, only if
+  // the claim is still in from_status. Returns false when it isn't.
+  transitionClaimStatus(change) {
+    return db.transaction(() => {
+      const applied = db.prepare(`
+        UPDATE insurance_claims SET status = ? WHERE id = ? AND status IS ?
+      `).run(change.to_status, change.id, change.from_status);
+      if (applied.changes === 0) return false;
+
+      if (change.updates) {
+        this.updateInsuranceClaim(change.id, change.updates);
+      }
+      this.createClaimEvent({
+        claim_id: change.id,
+        event_type: change.event_type || 'transition',
+        from_status: change.from_status,
+        to_status: change.to_status,
+        actor: change.actor,
+        source: change.source,
+        payload: change.payload
+      });
+      return true;
+    })();
+  },
 
-    const stmt = db.prepare(query);
-    return stmt.all(...params);
+  // A claim's events, oldest first
+  getClaimEvents(claimId) {
+    return db.prepare('SELECT * FROM claim_events WHERE claim_id = ? ORDER BY id ASC').all(claimId);
   },
 
   // ============================================
-  // PAYER CACHE
+  // DENIALS AND APPEALS
   // ============================================
 
-  // Upsert payer to cache
-  upsertPayer(payer) {
-    const stmt = db.prepare(`
-      INSERT INTO insurance_payers (id, payer_id, payer_name, aliases, supported_transactions, is_active, last_updated)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-      ON CONFLICT(payer_id) DO UPDATE SET
-        payer_name = excluded.payer_name,
-        aliases = excluded.aliases,
-        supported_transactions = excluded.supported_transactions,
-        is_active = excluded.is_active,
-        last_updated = excluded.last_updated
-    `);
-    return stmt.run(
-      payer.id,
-      payer.payer_id,
-      payer.payer_name,
-      payer.aliases ? JSON.stringify(payer.aliases) : null,
-      payer.supported_transactions ? JSON.stringify(payer.supported_transactions) : null,
-      payer.is_active !== undefined ? (payer.is_active ? 1 : 0) : 1,
-      new Date().toISOString()
+  createClaimDenial(denial) {
+    db.prepare(`
+      INSERT INTO claim_denials (
+        id, claim_id, claim_payment_id, payer_id, denial_type, group_code, reason_code, remark_code,
+        category, denied_amount, reasons, status, follow_up_date
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      denial.id,
+      denial.claim_id,
+      denial.claim_payment_id || null,
+      denial.payer_id || null,
+      denial.denial_type,
+      denial.group_code || null,
+      denial.reason_code || null,
+      denial.remark_code || null,
+      denial.category,
+      denial.denied_amount || 0,
+      safeStringify(denial.reasons || []),
+      denial.status || 'open',
+      denial.follow_up_date || null
     );
+    return this.getClaimDenial(denial.id);
   },
 
-  // Get payer by payer_id
-  getPayerByPayerId(payerId) {
-    const stmt = db.prepare('SELECT * FROM insurance_payers WHERE payer_id = ? AND is_active = 1');
-    return stmt.get(payerId);
+  // With the claim it belongs to and the payer's name
+  getClaimDenial(id) {
+    return db.prepare(`
+      SELECT d.*, c.status AS claim_status, c.patient_id, c.member_id, c.date_of_service, c.service_code,
+             c.total_amount, c.payer_claim_control_number, p.payer_name
+      FROM claim_denials d
+      JOIN insurance_claims c ON c.id = d.claim_id
+      LEFT JOIN insurance_payers p ON p.payer_id = d.payer_id
+      WHERE d.id = ?
+    `).get(id);
   },
 
-  // Search payers by name (fuzzy search)
-  searchPayersByName(searchTerm) {
-    const stmt = db.prepare(`
-      SELECT * FROM insurance_payers
-      WHERE (payer_name LIKE ? OR aliases LIKE ?)
-      AND is_active = 1
-      ORDER BY payer_name
-      LIMIT 50
-    `);
-    return stmt.all(`%${searchTerm}%`, `%${searchTerm}%`);
+  getClaimDenialByPayment(claimPaymentId) {
+    return db.prepare('SELECT * FROM claim_denials WHERE claim_payment_id = ?').get(claimPaymentId);
   },
 
-  // Get all cached payers
-  getAllCachedPayers(limit = 1000) {
-    const stmt = db.prepare(`
-      SELECT * FROM insurance_payers
-      WHERE is_active = 1
-      ORDER BY payer_name
-      LIMIT ?
-    `);
-    return stmt.all(limit);
+  // Follow-ups due first (no date last), then oldest
+  getClaimDenials(filters = {}) {
+    let query = `
+      SELECT d.*, c.status AS claim_status, c.patient_id, c.member_id, c.date_of_service, c.service_code,
+             c.total_amount, c.payer_claim_control_number, p.payer_name
+      FROM claim_denials d
+      JOIN insurance_claims c ON c.id = d.claim_id
+      LEFT JOIN insurance_payers p ON p.payer_id = d.payer_id
+      WHERE 1=1
+    `;
+    const params = [];
+    if (filters.statuses && filters.statuses.length > 0) {
+      query += ` AND d.status IN (${filters.statuses.map(() => '?').join(', ')})`;
+      params.push(...filters.statuses);
+    }
+    for (const column of ['claim_id', 'payer_id', 'category', 'assigned_to', 'reason_code']) {
+      if (filters[column]) {
+        query += ` AND d.${column} = ?`;
+        params.push(filters[column]);
+      }
+    }
+    if (filters.follow_up_before) {
+      query += ' AND d.follow_up_date <= ?';
+      params.push(filters.follow_up_before);
+    }
+    query += ' ORDER BY d.follow_up_date IS NULL, d.follow_up_date, d.created_at, d.rowid LIMIT ?';
+    params.push(filters.limit || 500);
+    return db.prepare(query).all(...params);
   },
 
-  // Get payer cache count
-  getPayerCacheCount() {
-    const stmt = db.prepare('SELECT COUNT(*) as count FROM insurance_payers WHERE is_active = 1');
-    return stmt.get().count;
+  updateClaimDenial(id, updates) {
+    const fields = [];
+    const values = [];
+    for (const column of ['status', 'assigned_to', 'follow_up_date', 'notes', 'resolution', 'resolved_by', 'resolved_at']) {
+      if (updates[column] !== undefined) {
+        fields.push(`${column} = ?`);
+        values.push(column === 'notes' ? safeStringify(updates[column]) : updates[column]);
+      }
+    }
+    if (fields.length === 0) return { changes: 0 };
+    fields.push('updated_at = ?');
+    values.push(new Date().toISOString(), id);
+    return db.prepare(`UPDATE claim_denials SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+  },
+
+  createClaimAppeal(appeal) {
+    db.prepare(`
+      INSERT INTO claim_appeals (id, denial_id, claim_id, level, template, subject, letter, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      appeal.id,
+      appeal.denial_id,
+      appeal.claim_id,
+      appeal.level || 1,
+      appeal.template,
+      appeal.subject || null,
+      appeal.letter,
+      appeal.created_by || null
+    );
+    return this.getClaimAppeal(appeal.id);
+  },
+
+  getClaimAppeal(id) {
+    return db.prepare('SELECT * FROM claim_appeals WHERE id = ?').get(id);
+  },
+
+  // Oldest first
+  getClaimAppeals(denialId) {
+    return db.prepare('SELECT * FROM claim_appeals WHERE denial_id = ? ORDER BY created_at, rowid').all(denialId);
+  },
+
+  markClaimAppealSent(id, sentBy) {
+    return db.prepare(`
+      UPDATE claim_appeals SET status = 'sent', sent_by = ?, sent_at = ? WHERE id = ? AND status = 'draft'
+    `).run(sentBy || null, new Date().toISOString(), id);
+  },
+
+  // Claims the payer adjudicated in a period (835 remits posted, reversals aside), by the claim's payer
+  getAdjudicatedClaimCounts(from, to) {
+    return db.prepare(`
+      SELECT c.payer_id, p.payer_name, COUNT(DISTINCT c.id) AS claims
+      FROM era_claim_payments e
+      JOIN insurance_claims c ON c.id = e.claim_id
+      LEFT JOIN insurance_payers p ON p.payer_id = c.payer_id
+      WHERE e.status = 'posted' AND e.claim_status_code != '22' AND date(e.posted_at) BETWEEN ? AND ?
+      GROUP BY c.payer_id
+    `).all(from, to);
+  },
+
+  // Denials recorded in a period, with the payer's name
+  getDenialsCreatedBetween(from, to) {
+    return db.prepare(`
+      SELECT d.id, d.claim_id, d.payer_id, p.payer_name, d.reason_code, d.remark_code, d.category, d.denied_amount
+      FROM claim_denials d
+      LEFT JOIN insurance_payers p ON p.payer_id = d.payer_id
+      WHERE date(d.created_at) BETWEEN ? AND ?
+    `).all(from, to);
   },
 
   // ============================================
-  // PATIENT INSURANCE
+  // CLAIM LINES
   // ============================================
 
-  // Create or update patient insurance
-  upsertPatientInsurance(insurance) {
-    // Check if patient already has this insurance (inline the check to avoid circular dependency)
-    let existing = null;
-    if (insurance.member_id) {
-      const checkStmt = db.prepare(`
-        SELECT * FROM patient_insurance
-        WHERE patient_id = ? AND member_id = ?
-        ORDER BY is_primary DESC, created_at DESC
-        LIMIT 1
-      `);
-      existing = checkStmt.get(insurance.patient_id, insurance.member_id);
-    } else {
-      // Get primary insurance
-      const checkStmt = db.prepare(`
-        SELECT * FROM patient_insurance
-        WHERE patient_id = ? AND is_primary = 1
-        ORDER BY created_at DESC
-        LIMIT 1
-      `);
-      existing = checkStmt.get(insurance.patient_id);
+  // A claim's service lines, in order
+  getClaimLines(claimId) {
+    return db.prepare('SELECT * FROM claim_lines WHERE claim_id = ? ORDER BY line_number').all(claimId);
+  },
+
+  // ============================================
+  // FEE SCHEDULES
+  // ============================================
+
+  getFeeSchedule(id) {
+    return db.prepare('SELECT * FROM fee_schedules WHERE id = ?').get(id);
+  },
+
+  // The chargemaster (no payer), a payer's schedule for all its plans (no plan) or for one plan
+  getFeeScheduleByKey(kind, payerId = null, planName = null) {
+    return db.prepare(`
+      SELECT * FROM fee_schedules
+      WHERE kind = ? AND COALESCE(payer_id, '') = ? AND COALESCE(LOWER(plan_name), '') = ?
+    `).get(kind, payerId || '', planName ? String(planName).toLowerCase() : '');
+  },
+
+  getFeeSchedules(filters = {}) {
+    let query = `
+      SELECT s.*, (SELECT COUNT(*) FROM fee_schedule_rates r WHERE r.fee_schedule_id = s.id) AS rate_count
+      FROM fee_schedules s WHERE 1=1
+    `;
+    const params = [];
+    if (filters.kind) {
+      query += ' AND s.kind = ?';
+      params.push(filters.kind);
+    }
+    if (filters.payer_id) {
+      query += ' AND s.payer_id = ?';
+      params.push(filters.payer_id);
     }
+    query += ' ORDER BY s.kind, s.payer_id, s.plan_name';
+    return db.prepare(query).all(...params);
+  },
 
-    if (existing) {
-      // Update existing
-      const stmt = db.prepare(`
-        UPDATE patient_insurance
-        SET payer_id = ?,
-            payer_name = ?,
-            group_number = ?,
-            plan_name = ?,
-            relationship_code = ?,
-            is_primary = ?,
-            updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
-      `);
-      return stmt.run(
-        insurance.payer_id,
-        insurance.payer_name || null,
-        insurance.group_number || null,
-        insurance.plan_name || null,
-        insurance.relationship_code || 'self',
-        insurance.is_primary !== undefined ? (insurance.is_primary ? 1 : 0) : 1,
-        existing.id
-      );
-    } else {
-      // Create new
-      const stmt = db.prepare(`
-        INSERT INTO patient_insurance (
-          id, patient_id, payer_id, payer_name, member_id,
-          group_number, plan_name, relationship_code, is_primary, is_verified, verified_at, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-      `);
-      return stmt.run(
-        insurance.id,
-        insurance.patient_id,
-        insurance.payer_id,
-        insurance.payer_name || null,
-        insurance.member_id,
-        insurance.group_number || null,
-        insurance.plan_name || null,
-        insurance.relationship_code || 'self',
-        insurance.is_primary !== undefined ? (insurance.is_primary ? 1 : 0) : 1,
-        insurance.is_verified !== undefined ? (insurance.is_verified ? 1 : 0) : 0,
-        insurance.verified_at || null
-      );
+  createFeeSchedule(schedule) {
+    db.prepare(`
+      INSERT INTO fee_schedules (id, kind, name, payer_id, plan_name, imported_by, imported_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      schedule.id,
+      schedule.kind,
+      schedule.name,
+      schedule.payer_id || null,
+      schedule.plan_name || null,
+      schedule.imported_by || null,
+      schedule.imported_at || null
+    );
+    return this.getFeeSchedule(schedule.id);
+  },
+
+  updateFeeSchedule(id, updates) {
+    const fields = [];
+    const values = [];
+    for (const column of ['name', 'imported_by', 'imported_at']) {
+      if (updates[column] !== undefined) {
+        fields.push(`${column} = ?`);
+        values.push(updates[column]);
+      }
     }
+    if (fields.length === 0) return { changes: 0 };
+    values.push(id);
+    return db.prepare(`UPDATE fee_schedules SET ${fields.join(', ')} WHERE id = ?`).run(...values);
   },
 
-  // Get patient insurance by patient_id and member_id
-  getPatientInsurance(patientId, memberId = null) {
-    if (memberId) {
-      const stmt = db.prepare(`
-        SELECT * FROM patient_insurance
-        WHERE patient_id = ? AND member_id = ?
-        ORDER BY is_primary DESC, created_at DESC
-        LIMIT 1
-      `);
-      return stmt.get(patientId, memberId);
-    } else {
-      // Get primary insurance
-      const stmt = db.prepare(`
-        SELECT * FROM patient_insurance
-        WHERE patient_id = ? AND is_primary = 1
-        ORDER BY created_at DESC
-        LIMIT 1
-      `);
-      return stmt.get(patientId);
+  deleteFeeSchedule(id) {
+    return db.prepare('DELETE FROM fee_schedules WHERE id = ?').run(id);
+  },
+
+  deleteFeeScheduleRates(feeScheduleId) {
+    return db.prepare('DELETE FROM fee_schedule_rates WHERE fee_schedule_id = ?').run(feeScheduleId);
+  },
+
+  // A rate for the same code, modifier and start date replaces the one stored
+  upsertFeeScheduleRate(feeScheduleId, rate) {
+    return db.prepare(`
+      INSERT INTO fee_schedule_rates (fee_schedule_id, procedure_code, modifier, amount, description, effective_from, effective_to)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (fee_schedule_id, procedure_code, modifier, effective_from)
+      DO UPDATE SET amount = excluded.amount, description = excluded.description, effective_to = excluded.effective_to
+    `).run(
+      feeScheduleId,
+      rate.procedure_code,
+      rate.modifier || '',
+      rate.amount,
+      rate.description || null,
+      rate.effective_from || '',
+      rate.effective_to || null
+    );
+  },
+
+  // A schedule's rates; with a date, only those in effect that day
+  getFeeScheduleRates(feeScheduleId, filters = {}) {
+    let query = 'SELECT * FROM fee_schedule_rates WHERE fee_schedule_id = ?';
+    const params = [feeScheduleId];
+    if (filters.procedure_code) {
+      query += ' AND procedure_code = ?';
+      params.push(filters.procedure_code);
+    }
+    if (filters.date) {
+      query += " AND effective_from <= ? AND (effective_to IS NULL OR effective_to >= ?)";
+      params.push(filters.date, filters.date);
     }
+    query += ' ORDER BY procedure_code, modifier, effective_from DESC';
+    return db.prepare(query).all(...params);
   },
 
-  // Get all insurance for a patient
-  getAllPatientInsurance(patientId) {
-    const stmt = db.prepare(`
-      SELECT * FROM patient_insurance
-      WHERE patient_id = ?
-      ORDER BY is_primary DESC, created_at DESC
-    `);
-    return stmt.all(patientId);
+  // Rates for a code in effect on a date, from the chargemaster or a payer's schedules
+  // (the plan's own schedule first, then the payer's for all plans; the latest start first)
+  findFeeScheduleRates({ kind, payer_id: payerId = null, plan_name: planName = null, procedure_code: procedureCode, date }) {
+    return db.prepare(`
+      SELECT r.*, s.kind, s.payer_id, s.plan_name, s.name AS schedule_name
+      FROM fee_schedule_rates r
+      JOIN fee_schedules s ON s.id = r.fee_schedule_id
+      WHERE s.kind = ? AND COALESCE(s.payer_id, '') = ?
+        AND (s.plan_name IS NULL OR LOWER(s.plan_name) = ?)
+        AND r.procedure_code = ?
+        AND r.effective_from <= ? AND (r.effective_to IS NULL OR r.effective_to >= ?)
+      ORDER BY (s.plan_name IS NULL), r.effective_from DESC
+    `).all(kind, payerId || '', planName ? String(planName).toLowerCase() : '', procedureCode, date, date);
   },
 
-  // Verify patient insurance
-  verifyPatientInsurance(insuranceId) {
-    const stmt = db.prepare(`
-      UPDATE patient_insurance
-      SET is_verified = 1,
-          verified_at = CURRENT_TIMESTAMP,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
+  // Replace a claim's service lines (numbered in the order given)
+  replaceClaimLines(claimId, lines) {
+    const insert = db.prepare(`
+      INSERT INTO claim_lines (
+        claim_id, line_number, procedure_code, modifiers, description, units, charge, allowed_amount,
+        diagnosis_pointers, place_of_service, rendering_provider_id, date_of_service
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
-    return stmt.run(insuranceId);
+    db.transaction(() => {
+      db.prepare('DELETE FROM claim_lines WHERE claim_id = ?').run(claimId);
+      lines.forEach((line, index) => {
+        insert.run(
+          claimId,
+          index + 1,
+          line.procedure_code,
+          safeStringify(line.modifiers || []),
+          line.description || null,
+          line.units || 1,
+          line.charge || 0,
+          line.allowed_amount === undefined ? null : line.allowed_amount,
+          safeStringify(line.diagnosis_pointers || []),
+          line.place_of_service || null,
+          line.rendering_provider_id || null,
+          line.date_of_service || null
+        );
+      });
+    })();
+    return this.getClaimLines(claimId);
   },
 
   // ============================================
@@ -0,0 +1,78 @@
+/**
+ * Appointment Lifecycle Routes
+ * Staff API that moves appointments through
+ * scheduled → confirmed → checked_in → in_session → completed / no_show / late_cancel
+ */
+
+const express = require('express');
+const router = express.Router();
+const AppointmentLifecycleService = require('../services/appointment-lifecycle-service');
+
+// Shortcut endpoints for each step of the visit
+const ACTIONS = {
+  'confirm': 'confirmed',
+  'check-in': 'checked_in',
+  'start': 'in_session',
+  'complete': 'completed',
+  'no-show': 'no_show',
+  'late-cancel': 'late_cancel',
+  'cancel': 'cancelled'
+};
+
+async function transition(req, res, toStatus) {
+  try {
+    const result = await AppointmentLifecycleService.transition(req.params.id, toStatus, {
+      actor: req.body.actor || 'staff',
+      reason: req.body.reason || null
+    });
+
+    if (!result.success) {
+      const status = result.error === 'Appointment not found' ? 404 : 409;
+      return res.status(status).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error(`❌ Error moving appointment to ${toStatus}:`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * POST /api/admin/appointments/:id/status
+ * Move an appointment to any allowed status
+ * Body: { status, actor, reason }
+ */
+router.post('/:id/status', (req, res) => {
+  if (!req.body.status) {
+    return res.status(400).json({ success: false, error: 'status is required' });
+  }
+  if (!AppointmentLifecycleService.STATUSES.includes(req.body.status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of ${AppointmentLifecycleService.STATUSES.join(', ')}`
+    });
+  }
+  transition(req, res, req.body.status);
+});
+
+/**
+ * POST /api/admin/appointments/:id/{confirm|check-in|start|complete|no-show|late-cancel|cancel}
+ * Body: { actor, reason } (both optional)
+ */
+for (const [action, toStatus] of Object.entries(ACTIONS)) {
+  router.post(`/:id/${action}`, (req, res) => transition(req, res, toStatus));
+}
+
+/**
+ * GET /api/admin/appointments/:id/history
+ * Every status change with who made it
+ */
+router.get('/:id/history', (req, res) => {
+  const history = AppointmentLifecycleService.getHistory(req.params.id);
+  if (!history) {
+    return res.status(404).json({ success: false, error: 'Appointment not found' });
+  }
+  res.json({ success: true, appointment_id: req.params.id, history, count: history.length });
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+/**
+ * Appointment Series Routes
+ * Staff API for recurring appointment series and "this / following / all" edits
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const AppointmentSeriesService = require('../services/appointment-series-service');
+
+/**
+ * GET /api/admin/appointment-series
+ * List series (?status=active, ?patient_phone=...)
+ */
+router.get('/', (req, res) => {
+  try {
+    const series = db.getAllAppointmentSeries({
+      status: req.query.status,
+      patient_phone: req.query.patient_phone
+    });
+    res.json({
+      success: true,
+      series,
+      count: series.length
+    });
+  } catch (error) {
+    console.error('❌ Error listing appointment series:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/appointment-series/preview
+ * Expand the recurrence and report availability per occurrence without booking
+ */
+router.post('/preview', async (req, res) => {
+  const result = await AppointmentSeriesService.previewSeries(req.body);
+  res.status(result.success ? 200 : 400).json(result);
+});
+
+/**
+ * POST /api/admin/appointment-series
+ * Body: appointment fields plus { recurrence, count?, end_date?, skip_conflicts? }
+ */
+router.post('/', async (req, res) => {
+  const result = await AppointmentSeriesService.createSeries(req.body);
+  res.status(result.success ? 201 : 409).json(result);
+});
+
+/**
+ * GET /api/admin/appointment-series/:id
+ * Series definition with all occurrences
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const result = AppointmentSeriesService.getSeries(req.params.id);
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (error) {
+    console.error('❌ Error fetching appointment series:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/appointment-series/:id
+ * Cancel every upcoming occurrence
+ */
+router.delete('/:id', async (req, res) => {
+  const result = await AppointmentSeriesService.cancelSeries(req.params.id, req.body?.reason || null);
+  res.status(result.success ? 200 : 404).json(result);
+});
+
+/**
+ * PUT /api/admin/appointment-series/occurrences/:appointmentId
+ * Body: { scope: "this" | "following" | "all", date?, time?, reason? }
+ */
+router.put('/occurrences/:appointmentId', async (req, res) => {
+  const { scope = 'this', date, time, reason } = req.body;
+  const result = await AppointmentSeriesService.updateOccurrences(req.params.appointmentId, scope, { date, time, reason });
+  res.status(result.success ? 200 : 400).json(result);
+});
+
+/**
+ * POST /api/admin/appointment-series/occurrences/:appointmentId/cancel
+ * Body: { scope: "this" | "following" | "all", reason? }
+ */
+router.post('/occurrences/:appointmentId/cancel', async (req, res) => {
+  const { scope = 'this', reason } = req.body;
+  const result = await AppointmentSeriesService.cancelOccurrences(req.params.appointmentId, scope, reason || null);
+  res.status(result.success ? 200 : 400).json(result);
+});
+
+module.exports = router;
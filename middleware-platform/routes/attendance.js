@@ -0,0 +1,110 @@
+/**
+ * Attendance Policy Routes
+ * Staff API for no-show / late-cancel fees and per-patient attendance history.
+ * The policy itself (window, grace count, fees per type) is edited through /api/admin/scheduling.
+ */
+
+const express = require('express');
+const router = express.Router();
+const AttendancePolicyService = require('../services/attendance-policy-service');
+
+/**
+ * GET /api/admin/attendance/policy
+ * Cancellation window, grace count, no-show delay and fees per appointment type
+ */
+router.get('/policy', (req, res) => {
+  res.json({ success: true, policy: AttendancePolicyService.getPolicy() });
+});
+
+/**
+ * GET /api/admin/attendance/patients/:phone
+ * No-show and late-cancel history, grace left, outstanding balance and fees
+ */
+router.get('/patients/:phone', (req, res) => {
+  try {
+    res.json({ success: true, attendance: AttendancePolicyService.getPatientSummary(req.params.phone) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/attendance/patients/:phone/card-on-file
+ * Body: { stripe_customer_id, stripe_payment_method_id, card_brand?, card_last4? }
+ */
+router.put('/patients/:phone/card-on-file', (req, res) => {
+  try {
+    const card = AttendancePolicyService.setCardOnFile(req.params.phone, req.body);
+    res.json({ success: true, card_on_file: card });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/attendance/patients/:phone/card-on-file
+ */
+router.delete('/patients/:phone/card-on-file', (req, res) => {
+  if (!AttendancePolicyService.removeCardOnFile(req.params.phone)) {
+    return res.status(404).json({ success: false, error: 'No card on file' });
+  }
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/admin/attendance/fees?status=outstanding&patient_phone=
+ */
+router.get('/fees', (req, res) => {
+  const fees = AttendancePolicyService.getFees({
+    status: req.query.status,
+    patient_phone: req.query.patient_phone
+  });
+  res.json({ success: true, fees, count: fees.length });
+});
+
+/**
+ * POST /api/admin/attendance/fees/:id/charge
+ * Try the card on file and wallet again for an outstanding fee
+ */
+router.post('/fees/:id/charge', async (req, res) => {
+  try {
+    const fee = await AttendancePolicyService.collectFee(req.params.id);
+    res.json({ success: true, fee });
+  } catch (error) {
+    const status = error.message === 'Fee not found' ? 404 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/attendance/fees/:id/waive
+ * Body: { actor, reason }
+ */
+router.post('/fees/:id/waive', (req, res) => {
+  try {
+    const fee = AttendancePolicyService.waiveFee(req.params.id, {
+      actor: req.body.actor || 'staff',
+      reason: req.body.reason || null
+    });
+    res.json({ success: true, fee });
+  } catch (error) {
+    const status = error.message === 'Fee not found' ? 404 : 409;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/attendance/no-shows/flag
+ * Flag missed appointments now instead of waiting for the next sweep
+ */
+router.post('/no-shows/flag', async (req, res) => {
+  try {
+    const result = await AttendancePolicyService.flagNoShows();
+    res.json({ success: true, ...result, count: result.flagged.length });
+  } catch (error) {
+    console.error('❌ Error flagging no-shows:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * Calendar Feed Routes
+ * Public iCalendar subscription feeds; the secret token in the URL is the only credential
+ */
+
+const express = require('express');
+const router = express.Router();
+const IcsService = require('../services/ics-service');
+
+/**
+ * GET /calendar/feeds/:token.ics
+ * Polled by Apple Calendar, Outlook and Google Calendar subscriptions
+ */
+router.get('/:token.ics', (req, res) => {
+  try {
+    const calendar = IcsService.getFeed(req.params.token);
+    if (!calendar) {
+      return res.status(404).type('text/plain').send('Calendar feed not found');
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="doclittle.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error('❌ Error building calendar feed:', error);
+    res.status(500).type('text/plain').send('Calendar feed unavailable');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+/**
+ * Calendar Sync Routes
+ * Staff API for the two-way Google Calendar sync
+ */
+
+const express = require('express');
+const router = express.Router();
+const CalendarSyncService = require('../services/calendar-sync-service');
+
+/**
+ * GET /api/admin/calendar-sync
+ * Calendars being synced and when each last synced
+ */
+router.get('/', (req, res) => {
+  const calendars = CalendarSyncService.getStatus();
+  res.json({ success: true, running: CalendarSyncService.isRunning, calendars, count: calendars.length });
+});
+
+/**
+ * POST /api/admin/calendar-sync
+ * Sync every calendar now instead of waiting for the next run
+ */
+router.post('/', async (req, res) => {
+  try {
+    const result = await CalendarSyncService.syncAll();
+    res.status(result.error ? 503 : 200).json(result);
+  } catch (error) {
+    console.error('❌ Error syncing calendars:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/calendar-sync/busy-blocks?date=YYYY-MM-DD&provider_id=
+ * External busy time blocking availability on a date
+ */
+router.get('/busy-blocks', (req, res) => {
+  if (!req.query.date) {
+    return res.status(400).json({ success: false, error: 'date is required' });
+  }
+  const blocks = CalendarSyncService.getBusyBlocks(req.query.date, req.query.provider_id || null);
+  res.json({ success: true, date: req.query.date, busy_blocks: blocks, count: blocks.length });
+});
+
+module.exports = router;
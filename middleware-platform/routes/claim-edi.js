@@ -0,0 +1,63 @@
+/**
+ * Claim EDI Routes
+ * Staff API for 837P files: generate one for stored claims, list what was generated,
+ * and download a file to upload to a clearinghouse.
+ */
+
+const express = require('express');
+const router = express.Router();
+const ClaimEDIService = require('../services/claim-edi-service');
+
+// Unknown claims are 404s; everything else is a bad request
+function errorStatus(error) {
+  return error.message.startsWith('Claim not found') ? 404 : 400;
+}
+
+/**
+ * POST /api/admin/insurance/edi/837
+ * Body: { claim_ids: [...], actor? }
+ */
+router.post('/837', (req, res) => {
+  try {
+    const { claim_ids, actor } = req.body;
+    const ediExport = ClaimEDIService.exportClaims(claim_ids, { actor: actor || 'staff' });
+    res.status(201).json({ success: true, export: ediExport });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/insurance/edi/exports?claim_id=&limit=
+ */
+router.get('/exports', (req, res) => {
+  const exports = ClaimEDIService.listExports(req.query);
+  res.json({ success: true, exports, count: exports.length });
+});
+
+/**
+ * GET /api/admin/insurance/edi/exports/:id
+ */
+router.get('/exports/:id', (req, res) => {
+  const ediExport = ClaimEDIService.getExport(req.params.id);
+  if (!ediExport) {
+    return res.status(404).json({ success: false, error: 'Export not found' });
+  }
+  res.json({ success: true, export: ediExport });
+});
+
+/**
+ * GET /api/admin/insurance/edi/exports/:id/download
+ * The .edi file as generated
+ */
+router.get('/exports/:id/download', (req, res) => {
+  const ediExport = ClaimEDIService.getExport(req.params.id);
+  if (!ediExport) {
+    return res.status(404).json({ success: false, error: 'Export not found' });
+  }
+  res.setHeader('Content-Type', 'application/edi-x12');
+  res.setHeader('Content-Disposition', `attachment; filename="${ediExport.file_name}"`);
+  res.send(ediExport.content);
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+/**
+ * Claim Lifecycle Routes
+ * Staff API for the claim status state machine: where each status can go, a claim's
+ * timeline, and moving a claim by hand (e.g. closing it or appealing a denial)
+ */
+
+const express = require('express');
+const router = express.Router();
+const ClaimLifecycleService = require('../services/claim-lifecycle-service');
+
+function errorStatus(error) {
+  if (/not found/i.test(error.message)) return 404;
+  return /^(Cannot move|Claim is already|Claim status changed)/.test(error.message) ? 409 : 400;
+}
+
+/**
+ * GET /api/admin/insurance/claims/statuses
+ * Every status with the statuses it can move to
+ */
+router.get('/statuses', (req, res) => {
+  const statuses = ClaimLifecycleService.STATUSES.map(status => ({
+    status,
+    allowed_transitions: ClaimLifecycleService.getAllowedTransitions(status)
+  }));
+  res.json({ success: true, statuses });
+});
+
+/**
+ * GET /api/admin/insurance/claims/:claimId/timeline
+ * Every event for the claim, oldest first
+ */
+router.get('/:claimId/timeline', (req, res) => {
+  const timeline = ClaimLifecycleService.getTimeline(req.params.claimId);
+  if (!timeline) {
+    return res.status(404).json({ success: false, error: `Claim not found: ${req.params.claimId}` });
+  }
+  res.json({ success: true, ...timeline, count: timeline.events.length });
+});
+
+/**
+ * POST /api/admin/insurance/claims/:claimId/status
+ * Move a claim to any allowed status
+ * Body: { status, actor, note }
+ */
+router.post('/:claimId/status', (req, res) => {
+  if (!ClaimLifecycleService.STATUSES.includes(req.body.status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of ${ClaimLifecycleService.STATUSES.join(', ')}`
+    });
+  }
+  try {
+    const claim = ClaimLifecycleService.changeStatus(req.params.claimId, req.body.status, {
+      actor: req.body.actor,
+      note: req.body.note
+    });
+    res.json({ success: true, claim_id: claim.id, status: claim.status });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
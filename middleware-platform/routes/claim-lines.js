@@ -0,0 +1,52 @@
+/**
+ * Claim Line Routes
+ * Staff API for a claim's service lines: procedure code, modifiers, units, charge, diagnosis
+ * pointers, place of service and rendering provider. Lines change until the claim goes to the
+ * payer; after that a corrected claim changes them (see the denial routes).
+ */
+
+const express = require('express');
+const router = express.Router();
+const ClaimLineService = require('../services/claim-line-service');
+const ClaimScrubberService = require('../services/claim-scrubber-service');
+
+function errorStatus(error) {
+  if (/not found/i.test(error.message)) return 404;
+  return /^Claim is/.test(error.message) ? 409 : 400;
+}
+
+/**
+ * GET /api/admin/insurance/claims/:claimId/lines
+ * The claim's lines with the diagnosis codes each points at
+ */
+router.get('/:claimId/lines', (req, res) => {
+  try {
+    const result = ClaimLineService.getLines(req.params.claimId);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Claim not found' });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/insurance/claims/:claimId/lines
+ * Replace a draft, scrubbed or rejected claim's lines; its service codes and total follow, and
+ * the claim is scrubbed again
+ * Body: { lines: [{ code, charge, units?, modifiers? (up to 4), diagnosis_pointers? (up to 4, e.g. [1, 2]),
+ *         place_of_service?, rendering_provider_id?, date_of_service?, description? }],
+ *         diagnosis_code? (the claim's diagnoses in pointer order, e.g. "F41.1, F33.1") }
+ */
+router.put('/:claimId/lines', (req, res) => {
+  try {
+    ClaimLineService.replaceLines(req.params.claimId, req.body.lines, { diagnosis_code: req.body.diagnosis_code });
+    const scrub = ClaimScrubberService.scrubClaim(req.params.claimId);
+    res.json({ success: true, ...ClaimLineService.getLines(req.params.claimId), scrub });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
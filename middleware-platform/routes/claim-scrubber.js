@@ -0,0 +1,85 @@
+/**
+ * Claim Scrubber Routes
+ * Staff API for pre-submission checks: scrub claims, the dashboard's report of open claims,
+ * and what each payer requires on its claims.
+ */
+
+const express = require('express');
+const router = express.Router();
+const ClaimScrubberService = require('../services/claim-scrubber-service');
+
+function errorStatus(error) {
+  return /not found/i.test(error.message) ? 404 : 400;
+}
+
+/**
+ * GET /api/admin/insurance/scrubber/rules
+ */
+router.get('/rules', (req, res) => {
+  res.json({ success: true, rules: ClaimScrubberService.getRules() });
+});
+
+/**
+ * GET /api/admin/insurance/scrubber/report
+ * Query: status (comma-separated, default draft,scrubbed,rejected), limit
+ */
+router.get('/report', (req, res) => {
+  try {
+    res.json({ success: true, ...ClaimScrubberService.getReport(req.query) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/insurance/scrubber/claims
+ * Body: { claim_ids: [...] }
+ */
+router.post('/claims', (req, res) => {
+  const claimIds = req.body.claim_ids;
+  if (!Array.isArray(claimIds) || claimIds.length === 0) {
+    return res.status(400).json({ success: false, error: 'claim_ids must list at least one claim' });
+  }
+  try {
+    const results = claimIds.map(id => ClaimScrubberService.scrubClaim(id));
+    res.json({ success: true, passed: results.every(result => result.passed), results });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/insurance/scrubber/claims/:claimId
+ */
+router.post('/claims/:claimId', (req, res) => {
+  try {
+    res.json({ success: true, result: ClaimScrubberService.scrubClaim(req.params.claimId) });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/insurance/scrubber/payers/:payerId/requirements
+ */
+router.get('/payers/:payerId/requirements', (req, res) => {
+  try {
+    res.json({ success: true, requirements: ClaimScrubberService.getPayerRequirements(req.params.payerId) });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/insurance/scrubber/payers/:payerId/requirements
+ * Body: { required_fields?: ['group_number', 'rendering_provider', ...], timely_filing_days?, telehealth_modifier? }
+ */
+router.put('/payers/:payerId/requirements', (req, res) => {
+  try {
+    res.json({ success: true, requirements: ClaimScrubberService.setPayerRequirements(req.params.payerId, req.body) });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+/**
+ * Clearinghouse Routes
+ * Staff API for the configured clearinghouse: send an 837P export, receive 999/277CA/277/835
+ * files (pushed by the clearinghouse or uploaded by hand), pick up waiting files, and follow
+ * a claim's acknowledgments and status.
+ */
+
+const express = require('express');
+const router = express.Router();
+const ClearinghouseService = require('../services/clearinghouse-service');
+
+function errorStatus(error) {
+  if (/not found/i.test(error.message)) return 404;
+  if (/already submitted/i.test(error.message)) return 409;
+  return 400;
+}
+
+/**
+ * POST /api/admin/insurance/clearinghouse/exports/:id/submit
+ * Send an 837P export (see /api/admin/insurance/edi) to the clearinghouse
+ */
+router.post('/exports/:id/submit', async (req, res) => {
+  try {
+    const exportFile = await ClearinghouseService.submitExport(req.params.id);
+    res.json({ success: true, export: exportFile });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/insurance/clearinghouse/inbound
+ * Body: the raw file (Content-Type text/plain or application/edi-x12, file_name, external_id and
+ * clearinghouse in the query), or JSON { content, file_name?, external_id?, clearinghouse? }
+ */
+router.post('/inbound', express.text({ type: ['text/plain', 'application/edi-x12'], limit: '20mb' }), (req, res) => {
+  try {
+    const raw = typeof req.body === 'string';
+    const content = raw ? req.body : req.body.content;
+    if (!content) {
+      return res.status(400).json({ success: false, error: 'content is required' });
+    }
+    const details = raw ? req.query : req.body;
+    const file = ClearinghouseService.receiveFile(content, {
+      clearinghouse: details.clearinghouse,
+      external_id: details.external_id,
+      file_name: details.file_name
+    });
+    res.status(file.duplicate ? 200 : 201).json({ success: file.status !== 'failed', file });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/insurance/clearinghouse/poll
+ * Pick up files waiting at the clearinghouse now rather than at the next poll
+ */
+router.post('/poll', async (req, res) => {
+  try {
+    const result = await ClearinghouseService.poll();
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(502).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/insurance/clearinghouse/files
+ * Query: type (999, 277CA, 277, 835), status (received, processed, failed), limit
+ */
+router.get('/files', (req, res) => {
+  const files = ClearinghouseService.listFiles(req.query);
+  res.json({ success: true, files, count: files.length });
+});
+
+/**
+ * GET /api/admin/insurance/clearinghouse/files/:id
+ */
+router.get('/files/:id', (req, res) => {
+  const file = ClearinghouseService.getFile(req.params.id);
+  if (!file) {
+    return res.status(404).json({ success: false, error: 'File not found' });
+  }
+  res.json({ success: true, file });
+});
+
+/**
+ * GET /api/admin/insurance/clearinghouse/claims/:claimId/acknowledgments
+ */
+router.get('/claims/:claimId/acknowledgments', (req, res) => {
+  const acknowledgments = ClearinghouseService.getAcknowledgments(req.params.claimId);
+  res.json({ success: true, acknowledgments, count: acknowledgments.length });
+});
+
+/**
+ * POST /api/admin/insurance/clearinghouse/claims/:claimId/status
+ * Ask the payer where the claim is (276/277)
+ */
+router.post('/claims/:claimId/status', async (req, res) => {
+  try {
+    const result = await ClearinghouseService.checkClaimStatus(req.params.claimId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+/**
+ * Communication Preferences Routes
+ * Staff view and change of a patient's consent (SMS, email, HIPAA), quiet hours, language and reminder channels.
+ * Consent changed here is recorded with source "staff".
+ */
+
+const express = require('express');
+const router = express.Router();
+const CommunicationPreferencesService = require('../services/communication-preferences-service');
+
+/**
+ * GET /api/admin/communication-preferences/:phone
+ */
+router.get('/:phone', (req, res) => {
+  try {
+    const preferences = CommunicationPreferencesService.getPreferences(req.params.phone);
+    res.json({ success: true, preferences });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/communication-preferences/:phone
+ * Body: { language?, timezone?, quiet_hours? ({ start, end } or null), reminder_channels?,
+ *         consent? ({ sms?, email?, hipaa? }), actor?, note? }
+ */
+router.put('/:phone', (req, res) => {
+  try {
+    const { actor, note, ...updates } = req.body;
+    const preferences = CommunicationPreferencesService.updatePreferences(req.params.phone, updates, {
+      source: 'staff',
+      actor: actor || 'staff',
+      note
+    });
+    res.json({ success: true, preferences });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/communication-preferences/:phone/history
+ * Every consent decision, newest first
+ */
+router.get('/:phone/history', (req, res) => {
+  try {
+    const history = CommunicationPreferencesService.getConsentHistory(req.params.phone);
+    res.json({ success: true, history, count: history.length });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
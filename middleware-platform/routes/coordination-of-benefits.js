@@ -0,0 +1,71 @@
+/**
+ * Coordination of Benefits Routes
+ * Staff API for patients with more than one plan: the order their plans pay in, where a claim
+ * sits among the payers, and billing the balance to the next plan.
+ */
+
+const express = require('express');
+const router = express.Router();
+const CoordinationOfBenefitsService = require('../services/coordination-of-benefits-service');
+const InsuranceService = require('../services/insurance-service');
+
+function errorStatus(error) {
+  return /not found/i.test(error.message) ? 404 : 400;
+}
+
+/**
+ * GET /api/admin/insurance/coordination/patients/:patientId/coverage
+ * The patient's plans in the order they pay, each with its payer_sequence
+ */
+router.get('/patients/:patientId/coverage', (req, res) => {
+  try {
+    const coverage = CoordinationOfBenefitsService.getCoverage(req.params.patientId);
+    res.json({ success: true, patient_id: req.params.patientId, coverage });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/insurance/coordination/patients/:patientId/coverage
+ * Put the patient's plans in the order they pay
+ * Body: { order: [patient insurance id, ...] (every plan, primary first), actor? }
+ */
+router.put('/patients/:patientId/coverage', (req, res) => {
+  try {
+    const coverage = CoordinationOfBenefitsService.setCoverageOrder(req.params.patientId, req.body.order, { actor: req.body.actor });
+    res.json({ success: true, patient_id: req.params.patientId, coverage });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/insurance/coordination/claims/:claimId
+ * The payers before the claim with what each paid, its own payer's adjudication, and the claim
+ * to the next plan
+ */
+router.get('/claims/:claimId', (req, res) => {
+  try {
+    const coordination = CoordinationOfBenefitsService.getCoordination(req.params.claimId);
+    if (!coordination) {
+      return res.status(404).json({ success: false, error: 'Claim not found' });
+    }
+    res.json({ success: true, ...coordination });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/insurance/coordination/claims/:claimId/next-payer-claim
+ * Bill what the claim's payer left the patient to their next plan (done on its own when the 835
+ * is posted; this retries it, e.g. after fixing a claim the scrubber refused)
+ * Body: { actor? }
+ */
+router.post('/claims/:claimId/next-payer-claim', async (req, res) => {
+  const result = await InsuranceService.submitNextPayerClaim(req.params.claimId, { actor: req.body.actor });
+  res.status(result.success ? 200 : errorStatus(new Error(result.error))).json(result);
+});
+
+module.exports = router;
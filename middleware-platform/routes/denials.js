@@ -0,0 +1,137 @@
+/**
+ * Denial Routes
+ * Staff API for claim denials: the work queue grouped by reason with suggested fixes, assigning
+ * and following up, appeal letters, corrected claims and denial rates by payer and reason.
+ */
+
+const express = require('express');
+const router = express.Router();
+const DenialService = require('../services/denial-service');
+
+function errorStatus(error) {
+  if (/not found/i.test(error.message)) return 404;
+  return /^(Denial is already|Appeal is already|Cannot move)/.test(error.message) ? 409 : 400;
+}
+
+/**
+ * GET /api/admin/insurance/denials?status=&assigned_to=&payer_id=&category=&claim_id=&due=true&limit=
+ * Denials grouped by CARC/RARC reason, largest amount first (default: open, appealed, resubmitted)
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({ success: true, ...DenialService.getQueue(req.query) });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/insurance/denials/report?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Denial rates by payer and by reason (default: the last 90 days)
+ */
+router.get('/report', (req, res) => {
+  try {
+    res.json({ success: true, report: DenialService.getReport(req.query) });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/insurance/denials/appeals/:appealId/letter
+ * The appeal letter as plain text, ready to print or send
+ */
+router.get('/appeals/:appealId/letter', (req, res) => {
+  const appeal = DenialService.getAppeal(req.params.appealId);
+  if (!appeal) {
+    return res.status(404).json({ success: false, error: 'Appeal not found' });
+  }
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${appeal.id}.txt"`);
+  res.send(appeal.letter);
+});
+
+/**
+ * POST /api/admin/insurance/denials/appeals/:appealId/sent
+ * Record that the letter went to the payer; the denial and the claim become appealed
+ * Body: { actor }
+ */
+router.post('/appeals/:appealId/sent', (req, res) => {
+  try {
+    const appeal = DenialService.markAppealSent(req.params.appealId, { actor: req.body.actor });
+    res.json({ success: true, appeal });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/insurance/denials/:id
+ * The denial with its reasons, suggested fix, notes and appeals
+ */
+router.get('/:id', (req, res) => {
+  const denial = DenialService.getDenial(req.params.id);
+  if (!denial) {
+    return res.status(404).json({ success: false, error: 'Denial not found' });
+  }
+  res.json({ success: true, denial });
+});
+
+/**
+ * PATCH /api/admin/insurance/denials/:id
+ * Body: { assigned_to?, follow_up_date? (YYYY-MM-DD or null), note?, actor? }
+ */
+router.patch('/:id', (req, res) => {
+  try {
+    const denial = DenialService.updateDenial(req.params.id, req.body);
+    res.json({ success: true, denial });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/insurance/denials/:id/close
+ * Body: { status: resolved | written_off, note, actor }
+ */
+router.post('/:id/close', (req, res) => {
+  try {
+    const denial = DenialService.closeDenial(req.params.id, req.body);
+    res.json({ success: true, denial });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/insurance/denials/:id/appeals
+ * Write an appeal letter from a letter template (default: the one for the denial's reason)
+ * Body: { template?, data? (e.g. clinical_summary, treatment_plan, sender_name), actor? }
+ */
+router.post('/:id/appeals', (req, res) => {
+  try {
+    const appeal = DenialService.createAppeal(req.params.id, req.body);
+    res.status(201).json({ success: true, appeal });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/insurance/denials/:id/corrected-claim
+ * Fix the claim and resubmit it as a corrected claim (frequency code 7)
+ * Body: { memberId?, serviceCode?, diagnosisCode?, dateOfService?, totalAmount?,
+ *         lines? [{ code, charge, modifiers?, units? }], actor? }
+ */
+router.post('/:id/corrected-claim', async (req, res) => {
+  try {
+    const { actor, ...corrections } = req.body;
+    const { result, denial } = await DenialService.resubmitCorrected(req.params.id, corrections, { actor });
+    // A corrected claim refused by the scrubber is the caller's to fix
+    res.status(result.success ? 200 : 400).json({ ...result, denial });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+/**
+ * Eligibility Routes
+ * Staff API for X12 eligibility: write a 270 inquiry, record a 271 response received from
+ * the clearinghouse, and read a stored check with its normalized benefits.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const InsuranceService = require('../services/insurance-service');
+const EligibilityEDIService = require('../services/eligibility-edi-service');
+
+/**
+ * POST /api/admin/insurance/eligibility/270
+ * Body: { patient_name | first_name + last_name, date_of_birth, gender?, member_id, payer_id,
+ *         payer_name?, date_of_service?, service_types? }
+ */
+router.post('/270', (req, res) => {
+  try {
+    const inquiry = EligibilityEDIService.createInquiry(req.body);
+    if (req.query.format === 'edi') {
+      res.set('Content-Type', 'application/edi-x12');
+      return res.send(inquiry.content);
+    }
+    res.status(201).json({ success: true, ...inquiry });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/insurance/eligibility/271
+ * Body: the raw 271 (Content-Type text/plain or application/edi-x12, check details in the query),
+ * or JSON { content, patient_id?, member_id?, payer_id?, service_code?, date_of_service? }
+ */
+router.post('/271', express.text({ type: ['text/plain', 'application/edi-x12'], limit: '5mb' }), (req, res) => {
+  try {
+    const raw = typeof req.body === 'string';
+    const content = raw ? req.body : req.body.content;
+    if (!content) {
+      return res.status(400).json({ success: false, error: 'content is required' });
+    }
+    const details = raw ? req.query : req.body;
+    const result = InsuranceService.recordEligibilityResponse({
+      patientId: details.patient_id,
+      memberId: details.member_id,
+      payerId: details.payer_id,
+      serviceCode: details.service_code,
+      dateOfService: details.date_of_service
+    }, content);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/insurance/eligibility/:id
+ */
+router.get('/:id', (req, res) => {
+  const check = db.getEligibilityCheck(req.params.id);
+  if (!check) {
+    return res.status(404).json({ success: false, error: 'Eligibility check not found' });
+  }
+  res.json({
+    success: true,
+    check: {
+      ...check,
+      eligible: !!check.eligible,
+      prior_auth_required: check.prior_auth_required === null ? null : !!check.prior_auth_required,
+      benefits: check.benefits ? JSON.parse(check.benefits) : null
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * Email Delivery Webhook
+ * Delivery and bounce reports for emails sent through the notification outbox.
+ * Accepts Azure Communication Services delivery reports via Event Grid, or a simple
+ * { message_id, status: 'delivered'|'bounced', reason } body from other providers.
+ * When EMAIL_WEBHOOK_TOKEN is set the URL must carry ?token=<value>.
+ */
+
+const express = require('express');
+const router = express.Router();
+const NotificationOutbox = require('../services/notification-outbox');
+
+// Azure delivery report statuses that end a message's delivery
+const AZURE_OUTCOMES = {
+  Delivered: 'delivered',
+  Bounced: 'bounced',
+  Failed: 'bounced',
+  Suppressed: 'bounced',
+  Quarantined: 'bounced',
+  FilteredSpam: 'bounced'
+};
+
+/**
+ * POST /webhook/email/events?token=
+ */
+router.post('/events', express.json({ type: ['application/json', 'application/cloudevents+json'] }), (req, res) => {
+  const token = process.env.EMAIL_WEBHOOK_TOKEN;
+  if (token && req.query.token !== token) {
+    return res.status(403).json({ success: false, error: 'Invalid token' });
+  }
+
+  if (!Array.isArray(req.body)) {
+    const { message_id, status, reason } = req.body || {};
+    if (!message_id || !['delivered', 'bounced'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'message_id and status (delivered or bounced) are required' });
+    }
+    const notification = NotificationOutbox.recordDeliveryStatus(message_id, status, reason);
+    return res.json({ success: true, matched: Boolean(notification) });
+  }
+
+  let matched = 0;
+  for (const event of req.body) {
+    // Event Grid confirms the subscription before sending reports
+    if (event.eventType === 'Microsoft.EventGrid.SubscriptionValidationEvent') {
+      return res.json({ validationResponse: event.data.validationCode });
+    }
+    if (event.eventType !== 'Microsoft.Communication.EmailDeliveryReportReceived') continue;
+
+    const outcome = AZURE_OUTCOMES[event.data.status];
+    if (!outcome) continue;
+    const details = event.data.deliveryStatusDetails;
+    const reason = outcome === 'bounced' ? `${event.data.status}${details && details.statusMessage ? `: ${details.statusMessage}` : ''}` : null;
+    if (NotificationOutbox.recordDeliveryStatus(event.data.messageId, outcome, reason)) matched++;
+  }
+  res.json({ success: true, matched });
+});
+
+module.exports = router;
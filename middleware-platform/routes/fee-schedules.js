@@ -0,0 +1,132 @@
+/**
+ * Fee Schedule Routes
+ * Staff API for the chargemaster and payers' contracted rates: import them from CSV, look up what a
+ * service is billed and allowed at, estimate what a patient will owe, and review remits the payer
+ * underpaid against its contract.
+ */
+
+const express = require('express');
+const router = express.Router();
+const FeeScheduleService = require('../services/fee-schedule-service');
+const EOBCalculationService = require('../services/eob-calculation-service');
+
+function errorStatus(error) {
+  return /not found/i.test(error.message) ? 404 : 400;
+}
+
+/**
+ * GET /api/admin/insurance/fee-schedules?kind=&payer_id=
+ * Fee schedules with how many rates each has
+ */
+router.get('/', (req, res) => {
+  const schedules = FeeScheduleService.listSchedules(req.query);
+  res.json({ success: true, schedules, count: schedules.length });
+});
+
+/**
+ * POST /api/admin/insurance/fee-schedules/import
+ * Body: the raw CSV (Content-Type text/csv or text/plain) with options in the query string,
+ * or JSON { content, kind, payer_id?, plan_name?, name?, effective_from?, replace?, actor? }
+ */
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), (req, res) => {
+  try {
+    const raw = typeof req.body === 'string';
+    const options = raw ? req.query : req.body;
+    const content = raw ? req.body : req.body.content;
+    if (!content) {
+      return res.status(400).json({ success: false, error: 'content is required' });
+    }
+    const result = FeeScheduleService.importCSV(content, {
+      kind: options.kind,
+      payer_id: options.payer_id,
+      plan_name: options.plan_name,
+      name: options.name,
+      effective_from: options.effective_from,
+      replace: options.replace === true || options.replace === 'true',
+      actor: options.actor || 'staff'
+    });
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/insurance/fee-schedules/rate?code=&modifiers=&units=&payer_id=&plan_name=&date=
+ * What a service is billed at (chargemaster) and, with a payer, what its contract allows
+ */
+router.get('/rate', (req, res) => {
+  if (!req.query.code) {
+    return res.status(400).json({ success: false, error: 'code is required' });
+  }
+  const params = {
+    procedure_code: req.query.code,
+    modifiers: req.query.modifiers ? String(req.query.modifiers).split(/[:,]/) : [],
+    units: req.query.units,
+    date: req.query.date || null
+  };
+  res.json({
+    success: true,
+    procedure_code: String(req.query.code).toUpperCase(),
+    charge: FeeScheduleService.chargeFor(params.procedure_code, params),
+    contracted_amount: req.query.payer_id
+      ? FeeScheduleService.contractedAmount({ ...params, payer_id: req.query.payer_id, plan_name: req.query.plan_name || null })
+      : null
+  });
+});
+
+/**
+ * POST /api/admin/insurance/fee-schedules/estimate
+ * What a patient is expected to owe for services under their plan
+ * Body: { patient_id, member_id? (the primary plan by default), date_of_service?,
+ *         lines: [{ code, modifiers?, units?, charge? (the chargemaster rate by default) }] }
+ */
+router.post('/estimate', (req, res) => {
+  try {
+    const estimate = EOBCalculationService.estimateCost(req.body);
+    res.json({ success: true, ...estimate });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/insurance/fee-schedules/underpayments?payer_id=&from=&to=&limit=
+ * Posted remits the payer allowed less than its contracted rates for, largest shortfall first
+ */
+router.get('/underpayments', (req, res) => {
+  const underpayments = FeeScheduleService.getUnderpayments({
+    payer_id: req.query.payer_id,
+    from: req.query.from,
+    to: req.query.to,
+    limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined
+  });
+  res.json({ success: true, ...underpayments });
+});
+
+/**
+ * GET /api/admin/insurance/fee-schedules/:id?date=&code=
+ * A fee schedule with its rates (with a date, only those in effect that day)
+ */
+router.get('/:id', (req, res) => {
+  const schedule = FeeScheduleService.getSchedule(req.params.id, { date: req.query.date, procedure_code: req.query.code });
+  if (!schedule) {
+    return res.status(404).json({ success: false, error: 'Fee schedule not found' });
+  }
+  res.json({ success: true, schedule });
+});
+
+/**
+ * DELETE /api/admin/insurance/fee-schedules/:id
+ * Body: { actor? }
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    FeeScheduleService.deleteSchedule(req.params.id, { actor: req.body && req.body.actor });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
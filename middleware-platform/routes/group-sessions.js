@@ -0,0 +1,144 @@
+/**
+ * Group Session Routes
+ * Staff API for group therapy sessions: capacity, roster, check-in, attendance and claims
+ */
+
+const express = require('express');
+const router = express.Router();
+const BookingService = require('../services/booking-service');
+const GroupSessionService = require('../services/group-session-service');
+
+function errorStatus(error) {
+  return /not found|not booked/i.test(error.message) ? 404 : 400;
+}
+
+/**
+ * GET /api/admin/group-sessions
+ * List sessions with seat counts (?date=, ?from_date=, ?status=, ?provider_id=)
+ */
+router.get('/', (req, res) => {
+  try {
+    const sessions = GroupSessionService.listSessions({
+      date: req.query.date,
+      from_date: req.query.from_date,
+      status: req.query.status,
+      provider_id: req.query.provider_id
+    });
+    res.json({ success: true, sessions, count: sessions.length });
+  } catch (error) {
+    console.error('❌ Error listing group sessions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/group-sessions
+ * Schedule a session ahead of bookings
+ * Body: { date, time, appointment_type?, provider?, capacity?, title?, notes? }
+ */
+router.post('/', async (req, res) => {
+  const result = await GroupSessionService.createSession(req.body);
+  res.status(result.success ? 201 : 409).json(result);
+});
+
+/**
+ * GET /api/admin/group-sessions/:id
+ * Session with its roster
+ */
+router.get('/:id', (req, res) => {
+  const result = GroupSessionService.getSession(req.params.id);
+  if (!result) {
+    return res.status(404).json({ success: false, error: 'Group session not found' });
+  }
+  res.json({ success: true, ...result });
+});
+
+/**
+ * PUT /api/admin/group-sessions/:id
+ * Body: { capacity?, title?, notes? }
+ */
+router.put('/:id', (req, res) => {
+  try {
+    const session = GroupSessionService.updateSession(req.params.id, req.body);
+    res.json({ success: true, session });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/group-sessions/:id
+ * Cancel the session and every seat in it
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await GroupSessionService.cancelSession(req.params.id, req.body?.reason || null);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/group-sessions/:id/attendees
+ * Book a seat
+ * Body: { patient_name, patient_phone, patient_email, notes? }
+ */
+router.post('/:id/attendees', async (req, res) => {
+  const result = GroupSessionService.getSession(req.params.id);
+  if (!result) {
+    return res.status(404).json({ success: false, error: 'Group session not found' });
+  }
+
+  const { session } = result;
+  const booking = await BookingService.scheduleAppointment({
+    ...req.body,
+    appointment_type: session.appointment_type,
+    date: session.date,
+    time: session.time,
+    provider: session.provider_id || session.provider
+  });
+  res.status(booking.success ? 201 : 409).json(booking);
+});
+
+/**
+ * POST /api/admin/group-sessions/:id/attendees/:appointmentId/check-in
+ */
+router.post('/:id/attendees/:appointmentId/check-in', (req, res) => {
+  try {
+    const attendee = GroupSessionService.checkIn(req.params.id, req.params.appointmentId);
+    res.json({ success: true, attendee });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/group-sessions/:id/attendance
+ * Body: { attendance: [{ appointment_id, status: "attended" | "no_show" | "excused" | "checked_in" }] }
+ */
+router.put('/:id/attendance', (req, res) => {
+  try {
+    const roster = GroupSessionService.recordRosterAttendance(req.params.id, req.body.attendance || []);
+    res.json({ success: true, roster });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/group-sessions/:id/claims
+ * Submit a 90853 claim for each attendee marked attended
+ * Body: { total_amount?, diagnosis_code? }
+ */
+router.post('/:id/claims', async (req, res) => {
+  try {
+    const result = await GroupSessionService.generateClaims(req.params.id, req.body);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error generating group session claims:', error);
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
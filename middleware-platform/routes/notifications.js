@@ -0,0 +1,62 @@
+/**
+ * Notification Outbox Routes
+ * Staff view of every email and text sent, per patient or appointment, with resend.
+ */
+
+const express = require('express');
+const router = express.Router();
+const NotificationOutbox = require('../services/notification-outbox');
+
+/**
+ * GET /api/admin/notifications?patient_phone=&appointment_id=&status=&channel=&category=&limit=
+ */
+router.get('/', (req, res) => {
+  try {
+    const notifications = NotificationOutbox.getNotifications(req.query);
+    res.json({ success: true, notifications, count: notifications.length });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/notifications/:id
+ * One message, including its body
+ */
+router.get('/:id', (req, res) => {
+  const notification = NotificationOutbox.getNotification(req.params.id);
+  if (!notification) {
+    return res.status(404).json({ success: false, error: 'Notification not found' });
+  }
+  res.json({ success: true, notification });
+});
+
+/**
+ * POST /api/admin/notifications/:id/resend
+ * Send the same message again (as a new notification)
+ */
+router.post('/:id/resend', async (req, res) => {
+  try {
+    const notification = await NotificationOutbox.resend(req.params.id);
+    res.status(201).json({ success: true, notification });
+  } catch (error) {
+    const status = error.message === 'Notification not found' ? 404 : 409;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/notifications/process
+ * Retry due messages now instead of waiting for the worker
+ */
+router.post('/process', async (req, res) => {
+  try {
+    const counts = await NotificationOutbox.processDue();
+    res.json({ success: true, ...counts });
+  } catch (error) {
+    console.error('❌ Error processing notification outbox:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
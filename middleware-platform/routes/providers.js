@@ -0,0 +1,255 @@
+/**
+ * Provider Schedule Routes
+ * Admin API for providers, weekly working hours, time off and date overrides
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const ProviderScheduleService = require('../services/provider-schedule-service');
+const BookingService = require('../services/booking-service');
+const IcsService = require('../services/ics-service');
+
+/**
+ * Load the provider referenced by :id (ID or name) or respond 404
+ */
+function loadProvider(req, res) {
+  const provider = ProviderScheduleService.resolveProvider(req.params.id);
+  if (!provider) {
+    res.status(404).json({
+      success: false,
+      error: 'Provider not found'
+    });
+    return null;
+  }
+  return provider;
+}
+
+/**
+ * GET /api/admin/providers
+ * List providers (?include_inactive=true for all)
+ */
+router.get('/', (req, res) => {
+  try {
+    const providers = db.getAllProviders(req.query.include_inactive !== 'true');
+    res.json({
+      success: true,
+      providers,
+      count: providers.length
+    });
+  } catch (error) {
+    console.error('❌ Error listing providers:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/providers
+ * Create a provider, optionally with a weekly schedule
+ */
+router.post('/', (req, res) => {
+  try {
+    const { schedule, ...details } = req.body;
+    const provider = ProviderScheduleService.createProvider(details);
+    const weekly = schedule ? ProviderScheduleService.setWeeklySchedule(provider.id, schedule) : [];
+
+    res.status(201).json({
+      success: true,
+      provider,
+      schedule: weekly
+    });
+  } catch (error) {
+    console.error('❌ Error creating provider:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/providers/:id
+ * Provider details with weekly schedule, time off and overrides
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const provider = loadProvider(req, res);
+    if (!provider) return;
+
+    res.json({
+      success: true,
+      provider,
+      schedule: db.getProviderSchedule(provider.id),
+      time_off: db.getProviderTimeOff(provider.id),
+      overrides: db.getProviderScheduleOverrides(provider.id)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching provider:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/providers/:id
+ * Update provider details (set is_active=false to deactivate)
+ */
+router.put('/:id', (req, res) => {
+  try {
+    const provider = loadProvider(req, res);
+    if (!provider) return;
+
+    db.updateProvider(provider.id, req.body);
+    res.json({
+      success: true,
+      provider: db.getProvider(provider.id)
+    });
+  } catch (error) {
+    console.error('❌ Error updating provider:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/providers/:id/schedule
+ * Replace the weekly working-hour template
+ * Body: { schedule: [{ day_of_week: 1, start_time: "09:00", end_time: "17:00" }, ...] }
+ */
+router.put('/:id/schedule', (req, res) => {
+  try {
+    const provider = loadProvider(req, res);
+    if (!provider) return;
+
+    const schedule = ProviderScheduleService.setWeeklySchedule(provider.id, req.body.schedule || []);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('❌ Error updating provider schedule:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/providers/:id/time-off
+ * Body: { start_date, end_date?, start_time?, end_time?, reason? }
+ */
+router.post('/:id/time-off', (req, res) => {
+  try {
+    const provider = loadProvider(req, res);
+    if (!provider) return;
+
+    const timeOff = ProviderScheduleService.addTimeOff(provider.id, req.body);
+    res.status(201).json({ success: true, time_off: timeOff });
+  } catch (error) {
+    console.error('❌ Error adding time off:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/providers/:id/time-off/:timeOffId
+ */
+router.delete('/:id/time-off/:timeOffId', (req, res) => {
+  try {
+    const provider = loadProvider(req, res);
+    if (!provider) return;
+
+    const result = db.deleteProviderTimeOff(provider.id, req.params.timeOffId);
+    res.json({ success: result.changes > 0, deleted: result.changes });
+  } catch (error) {
+    console.error('❌ Error deleting time off:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/providers/:id/overrides
+ * Body: { date, start_time?, end_time?, is_available?, reason? }
+ */
+router.post('/:id/overrides', (req, res) => {
+  try {
+    const provider = loadProvider(req, res);
+    if (!provider) return;
+
+    const override = ProviderScheduleService.addOverride(provider.id, req.body);
+    res.status(201).json({ success: true, override });
+  } catch (error) {
+    console.error('❌ Error adding schedule override:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/providers/:id/overrides/:overrideId
+ */
+router.delete('/:id/overrides/:overrideId', (req, res) => {
+  try {
+    const provider = loadProvider(req, res);
+    if (!provider) return;
+
+    const result = db.deleteProviderScheduleOverride(provider.id, req.params.overrideId);
+    res.json({ success: result.changes > 0, deleted: result.changes });
+  } catch (error) {
+    console.error('❌ Error deleting schedule override:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/providers/:id/availability?date=YYYY-MM-DD&appointment_type=...
+ * Working windows and bookable slots for one provider
+ */
+router.get('/:id/availability', async (req, res) => {
+  try {
+    const provider = loadProvider(req, res);
+    if (!provider) return;
+
+    if (!req.query.date) {
+      return res.status(400).json({ success: false, error: 'date is required (YYYY-MM-DD)' });
+    }
+
+    const result = await BookingService.getAvailableSlots(
+      req.query.date,
+      provider.id,
+      req.query.appointment_type || null,
+      req.query.timezone || null
+    );
+
+    res.json({
+      ...result,
+      working_hours: BookingService.getWorkingHours(provider, req.query.date)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching provider availability:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/providers/:id/calendar-feed
+ * Secret iCalendar subscription URL for the provider's schedule (created on first request)
+ */
+router.get('/:id/calendar-feed', (req, res) => {
+  try {
+    const provider = loadProvider(req, res);
+    if (!provider) return;
+
+    res.json({ success: true, feed: IcsService.getFeedUrl('provider', provider.id) });
+  } catch (error) {
+    console.error('❌ Error loading provider calendar feed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/providers/:id/calendar-feed/rotate
+ * Revoke the current feed URL (e.g. it was shared by mistake) and issue a new one
+ */
+router.post('/:id/calendar-feed/rotate', (req, res) => {
+  try {
+    const provider = loadProvider(req, res);
+    if (!provider) return;
+
+    res.json({ success: true, feed: IcsService.getFeedUrl('provider', provider.id, true) });
+  } catch (error) {
+    console.error('❌ Error rotating provider calendar feed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
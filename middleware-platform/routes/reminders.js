@@ -0,0 +1,114 @@
+/**
+ * Appointment Reminder Routes
+ * Staff API for the reminder cadence (channel and lead time per appointment type),
+ * patient reminder channels and the log of every reminder attempt.
+ */
+
+const express = require('express');
+const router = express.Router();
+const ReminderScheduler = require('../services/reminder-scheduler');
+
+/**
+ * GET /api/admin/reminders/rules?include_inactive=true
+ */
+router.get('/rules', (req, res) => {
+  const rules = ReminderScheduler.getRules(req.query.include_inactive === 'true');
+  res.json({ success: true, rules, count: rules.length });
+});
+
+/**
+ * POST /api/admin/reminders/rules
+ * Body: { channel: 'email'|'sms', offset_minutes, appointment_type? (omit for all types), is_active? }
+ */
+router.post('/rules', (req, res) => {
+  try {
+    const rule = ReminderScheduler.createRule(req.body);
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/reminders/rules/:id
+ */
+router.put('/rules/:id', (req, res) => {
+  try {
+    const rule = ReminderScheduler.updateRule(req.params.id, req.body);
+    res.json({ success: true, rule });
+  } catch (error) {
+    const status = error.message === 'Reminder rule not found' ? 404 : 400;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/reminders/rules/:id
+ */
+router.delete('/rules/:id', (req, res) => {
+  try {
+    ReminderScheduler.deleteRule(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/reminders/attempts?status=failed&channel=sms&limit=100
+ */
+router.get('/attempts', (req, res) => {
+  const attempts = ReminderScheduler.getRecentAttempts(req.query);
+  res.json({ success: true, attempts, count: attempts.length });
+});
+
+/**
+ * GET /api/admin/reminders/appointments/:id
+ * Every reminder attempt for one appointment
+ */
+router.get('/appointments/:id', (req, res) => {
+  const attempts = ReminderScheduler.getAttempts(req.params.id);
+  if (!attempts) {
+    return res.status(404).json({ success: false, error: 'Appointment not found' });
+  }
+  res.json({ success: true, appointment_id: req.params.id, attempts, count: attempts.length });
+});
+
+/**
+ * GET /api/admin/reminders/patients/:phone
+ */
+router.get('/patients/:phone', (req, res) => {
+  res.json({ success: true, preferences: ReminderScheduler.getPatientPreferences(req.params.phone) });
+});
+
+/**
+ * PUT /api/admin/reminders/patients/:phone
+ * Body: { channels: ['sms'] } (empty list turns reminders off)
+ */
+router.put('/patients/:phone', (req, res) => {
+  try {
+    const preferences = ReminderScheduler.setPatientPreferences(req.params.phone, req.body.channels);
+    res.json({ success: true, preferences });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/reminders/patients/:phone
+ * Back to reminders on every channel
+ */
+router.delete('/patients/:phone', (req, res) => {
+  res.json({ success: true, preferences: ReminderScheduler.resetPatientPreferences(req.params.phone) });
+});
+
+/**
+ * POST /api/admin/reminders/run
+ * Send due reminders now instead of waiting for the next check
+ */
+router.post('/run', async (req, res) => {
+  const counts = await ReminderScheduler.manualCheck();
+  res.json({ success: true, ...counts });
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+/**
+ * Remittance Routes
+ * Staff API for 835 ERA files: import a file (claims are posted automatically), review what
+ * each payment paid, and work the reconciliation queue of remits that matched no claim.
+ */
+
+const express = require('express');
+const router = express.Router();
+const RemittanceService = require('../services/remittance-service');
+
+function errorStatus(error) {
+  if (error.message.startsWith('Remittance already imported')) return 409;
+  if (error.message.includes('not found')) return 404;
+  return 400;
+}
+
+/**
+ * POST /api/admin/insurance/era/835
+ * Body: the raw 835 (Content-Type text/plain or application/edi-x12),
+ * or JSON { content, file_name?, actor? }
+ */
+router.post('/835', express.text({ type: ['text/plain', 'application/edi-x12'], limit: '10mb' }), (req, res) => {
+  try {
+    const raw = typeof req.body === 'string';
+    const content = raw ? req.body : req.body.content;
+    if (!content) {
+      return res.status(400).json({ success: false, error: 'content is required' });
+    }
+    const result = RemittanceService.importERA(content, {
+      file_name: raw ? req.query.file_name : req.body.file_name,
+      actor: (raw ? req.query.actor : req.body.actor) || 'staff'
+    });
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/insurance/era/files?limit=
+ */
+router.get('/files', (req, res) => {
+  const files = RemittanceService.listFiles(req.query);
+  res.json({ success: true, files, count: files.length });
+});
+
+/**
+ * GET /api/admin/insurance/era/files/:id
+ * The payment with every claim it covers
+ */
+router.get('/files/:id', (req, res) => {
+  const file = RemittanceService.getFile(req.params.id);
+  if (!file) {
+    return res.status(404).json({ success: false, error: 'Remittance file not found' });
+  }
+  res.json({ success: true, file });
+});
+
+/**
+ * GET /api/admin/insurance/era/claims/:claimId
+ * Remits posted to a claim
+ */
+router.get('/claims/:claimId', (req, res) => {
+  const payments = RemittanceService.getClaimPayments(req.params.claimId);
+  res.json({ success: true, payments, count: payments.length });
+});
+
+/**
+ * GET /api/admin/insurance/era/reconciliation
+ * Remits waiting to be matched to a claim
+ */
+router.get('/reconciliation', (req, res) => {
+  const payments = RemittanceService.getReconciliationQueue();
+  res.json({ success: true, payments, count: payments.length });
+});
+
+/**
+ * POST /api/admin/insurance/era/reconciliation/:id/match
+ * Body: { claim_id, actor? }
+ */
+router.post('/reconciliation/:id/match', (req, res) => {
+  try {
+    if (!req.body.claim_id) {
+      return res.status(400).json({ success: false, error: 'claim_id is required' });
+    }
+    const payment = RemittanceService.matchClaimPayment(req.params.id, req.body.claim_id, req.body.actor || 'staff');
+    res.json({ success: true, payment });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/insurance/era/reconciliation/:id/dismiss
+ * Body: { note, actor? }
+ */
+router.post('/reconciliation/:id/dismiss', (req, res) => {
+  try {
+    const payment = RemittanceService.dismissClaimPayment(req.params.id, {
+      note: req.body.note,
+      actor: req.body.actor || 'staff'
+    });
+    res.json({ success: true, payment });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
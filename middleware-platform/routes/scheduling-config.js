@@ -0,0 +1,151 @@
+/**
+ * Scheduling Configuration Routes
+ * Staff API for appointment types, weekly business hours, closures and practice settings
+ */
+
+const express = require('express');
+const router = express.Router();
+const SchedulingConfigService = require('../services/scheduling-config-service');
+
+/**
+ * GET /api/admin/scheduling
+ * Full configuration (settings, active types, hours, upcoming closures)
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({ success: true, ...SchedulingConfigService.getConfig() });
+  } catch (error) {
+    console.error('❌ Error loading scheduling config:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== APPOINTMENT TYPES ====================
+
+/**
+ * GET /api/admin/scheduling/appointment-types
+ * ?include_inactive=true to list deactivated types too
+ */
+router.get('/appointment-types', (req, res) => {
+  const types = SchedulingConfigService.getAppointmentTypes(req.query.include_inactive === 'true');
+  res.json({ success: true, appointment_types: types, count: types.length });
+});
+
+/**
+ * POST /api/admin/scheduling/appointment-types
+ * Body: { name, duration_minutes, buffer_before_minutes?, buffer_after_minutes?, capacity?,
+ *         color?, cpt_code?, price?, late_cancel_fee?, no_show_fee?, sort_order? }
+ */
+router.post('/appointment-types', (req, res) => {
+  try {
+    const type = SchedulingConfigService.createAppointmentType(req.body);
+    res.status(201).json({ success: true, appointment_type: type });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/scheduling/appointment-types/:id
+ * :id is the type ID or name
+ */
+router.put('/appointment-types/:id', (req, res) => {
+  try {
+    const type = SchedulingConfigService.updateAppointmentType(req.params.id, req.body);
+    res.json({ success: true, appointment_type: type });
+  } catch (error) {
+    const status = error.message === 'Appointment type not found' ? 404 : 400;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/scheduling/appointment-types/:id
+ * Deactivates the type; existing appointments keep it
+ */
+router.delete('/appointment-types/:id', (req, res) => {
+  try {
+    const type = SchedulingConfigService.deactivateAppointmentType(req.params.id);
+    res.json({ success: true, appointment_type: type });
+  } catch (error) {
+    const status = error.message === 'Appointment type not found' ? 404 : 400;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== BUSINESS HOURS ====================
+
+/**
+ * GET /api/admin/scheduling/business-hours
+ */
+router.get('/business-hours', (req, res) => {
+  res.json({ success: true, business_hours: SchedulingConfigService.getBusinessHours() });
+});
+
+/**
+ * PUT /api/admin/scheduling/business-hours
+ * Body: { days: [{ day_of_week (0-6 or name), is_open, open_time, close_time, break_start?, break_end? }] }
+ * Only the days listed are changed
+ */
+router.put('/business-hours', (req, res) => {
+  try {
+    const hours = SchedulingConfigService.setBusinessHours(req.body.days || []);
+    res.json({ success: true, business_hours: hours });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== CLOSURES ====================
+
+/**
+ * GET /api/admin/scheduling/closures
+ * ?from_date=YYYY-MM-DD to skip past closures
+ */
+router.get('/closures', (req, res) => {
+  const closures = SchedulingConfigService.getClosures(req.query.from_date || null);
+  res.json({ success: true, closures, count: closures.length });
+});
+
+/**
+ * POST /api/admin/scheduling/closures
+ * Body: { date | start_date, end_date?, reason? }
+ */
+router.post('/closures', (req, res) => {
+  try {
+    const closure = SchedulingConfigService.addClosure(req.body);
+    res.status(201).json({ success: true, closure });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/scheduling/closures/:id
+ */
+router.delete('/closures/:id', (req, res) => {
+  try {
+    SchedulingConfigService.removeClosure(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== SETTINGS ====================
+
+/**
+ * PUT /api/admin/scheduling/settings
+ * Body: { timezone?, slot_interval_minutes?, cancellation_window_hours?, no_show_grace_count?,
+ *         no_show_after_minutes?, attendance_lookback_days? }
+ */
+router.put('/settings', (req, res) => {
+  try {
+    const settings = SchedulingConfigService.updateSettings(req.body);
+    res.json({ success: true, settings });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
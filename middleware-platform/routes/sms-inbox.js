@@ -0,0 +1,71 @@
+/**
+ * SMS Inbox Routes
+ * Staff view of patient texts. Texts that were not a keyword, asked to reschedule or could not
+ * be matched to an appointment are open in the inbox until staff resolve or answer them.
+ */
+
+const express = require('express');
+const router = express.Router();
+const SMSReplyService = require('../services/sms-reply-service');
+
+/**
+ * GET /api/admin/sms/inbox?status=open|resolved&phone=
+ * Open messages by default
+ */
+router.get('/inbox', (req, res) => {
+  try {
+    const messages = SMSReplyService.getMessages({
+      status: req.query.status || 'open',
+      phone: req.query.phone,
+      limit: req.query.limit
+    });
+    res.json({ success: true, messages, count: messages.length });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/sms/messages?phone=+1234567890
+ * Every inbound text (handled automatically or not), newest first
+ */
+router.get('/messages', (req, res) => {
+  const messages = SMSReplyService.getMessages({ phone: req.query.phone, limit: req.query.limit });
+  res.json({ success: true, messages, count: messages.length });
+});
+
+/**
+ * POST /api/admin/sms/inbox/:id/resolve
+ * Body: { actor, note }
+ */
+router.post('/inbox/:id/resolve', (req, res) => {
+  try {
+    const message = SMSReplyService.resolve(req.params.id, {
+      actor: req.body.actor || 'staff',
+      note: req.body.note || null
+    });
+    res.json({ success: true, message });
+  } catch (error) {
+    const status = error.message === 'Message not found' ? 404 : 409;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/sms/inbox/:id/reply
+ * Text the patient back and resolve the message
+ * Body: { message, actor }
+ */
+router.post('/inbox/:id/reply', async (req, res) => {
+  try {
+    const message = await SMSReplyService.reply(req.params.id, req.body.message, { actor: req.body.actor || 'staff' });
+    res.json({ success: true, message });
+  } catch (error) {
+    let status = 502;
+    if (error.message === 'Message not found') status = 404;
+    if (error.message === 'message is required') status = 400;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+/**
+ * Twilio SMS Webhooks
+ * Twilio posts patient texts here (form-encoded: From, To, Body, MessageSid); the reply goes
+ * back as TwiML so Twilio sends it in the same conversation. Delivery reports for our own
+ * texts arrive on /sms-status.
+ */
+
+const express = require('express');
+const router = express.Router();
+const SMSService = require('../services/sms-service');
+const SMSReplyService = require('../services/sms-reply-service');
+const NotificationOutbox = require('../services/notification-outbox');
+
+// Twilio MessageStatus values that end a message's delivery
+const DELIVERY_OUTCOMES = { delivered: 'delivered', undelivered: 'bounced', failed: 'bounced' };
+
+function twiml(reply) {
+  if (!reply) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n<Response></Response>';
+  }
+  const escaped = reply
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<Response>\n  <Message>${escaped}</Message>\n</Response>`;
+}
+
+/**
+ * POST /webhook/twilio/sms
+ * Configure as the "A message comes in" webhook of the Twilio number
+ */
+router.post('/sms', express.urlencoded({ extended: false }), async (req, res) => {
+  const url = `${process.env.BASE_URL || `${req.protocol}://${req.get('host')}`}${req.originalUrl}`;
+  if (!SMSService.validateWebhook(req.get('X-Twilio-Signature'), url, req.body)) {
+    console.error('⚠️ Twilio SMS webhook signature verification failed');
+    return res.status(403).type('text/plain').send('Invalid signature');
+  }
+
+  try {
+    const message = await SMSReplyService.handleInbound({
+      from: req.body.From,
+      to: req.body.To,
+      body: req.body.Body,
+      message_sid: req.body.MessageSid
+    });
+    res.type('text/xml').send(twiml(message.reply));
+  } catch (error) {
+    console.error('❌ Error handling inbound SMS:', error);
+    // Twilio retries on errors; an empty response stops that without replying to the patient
+    res.type('text/xml').send(twiml(null));
+  }
+});
+
+/**
+ * POST /webhook/twilio/sms-status
+ * Twilio status callback (set on every outgoing text when BASE_URL is configured)
+ */
+router.post('/sms-status', express.urlencoded({ extended: false }), (req, res) => {
+  const url = `${process.env.BASE_URL || `${req.protocol}://${req.get('host')}`}${req.originalUrl}`;
+  if (!SMSService.validateWebhook(req.get('X-Twilio-Signature'), url, req.body)) {
+    console.error('⚠️ Twilio status callback signature verification failed');
+    return res.status(403).type('text/plain').send('Invalid signature');
+  }
+
+  const outcome = DELIVERY_OUTCOMES[req.body.MessageStatus];
+  if (outcome) {
+    NotificationOutbox.recordDeliveryStatus(
+      req.body.MessageSid,
+      outcome,
+      req.body.ErrorCode ? `Twilio error ${req.body.ErrorCode}` : null
+    );
+  }
+  res.status(204).end();
+});
+
+module.exports = router;
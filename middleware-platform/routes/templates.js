@@ -0,0 +1,99 @@
+/**
+ * Message Template Routes
+ * Staff API for the email and SMS templates sent to patients and the letters sent to payers: view, change or reset
+ * each template per locale, preview it with sample data, and set the practice branding.
+ */
+
+const express = require('express');
+const router = express.Router();
+const TemplateService = require('../services/template-service');
+
+// Unknown templates and resets of unchanged templates are 404s; everything else is a bad request
+function errorStatus(error) {
+  return error.message.startsWith('Unknown template') || error.message.includes('has not been customized') ? 404 : 400;
+}
+
+/**
+ * GET /api/admin/templates
+ * Every template and which locales the practice has changed
+ */
+router.get('/', (req, res) => {
+  const templates = TemplateService.getTemplates();
+  res.json({ success: true, locales: TemplateService.LOCALES, templates, count: templates.length });
+});
+
+/**
+ * GET /api/admin/templates/branding
+ */
+router.get('/branding', (req, res) => {
+  res.json({ success: true, branding: TemplateService.getBranding() });
+});
+
+/**
+ * PUT /api/admin/templates/branding
+ * Body: { practice_name?, team_name?, primary_color?, logo_url?, support_phone?, support_email? }
+ * (null or "" restores the default)
+ */
+router.put('/branding', (req, res) => {
+  try {
+    const branding = TemplateService.updateBranding(req.body);
+    res.json({ success: true, branding });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/templates/:name?locale=es
+ * The template as sent, the built-in version and the variables it can use
+ */
+router.get('/:name', (req, res) => {
+  try {
+    const template = TemplateService.getTemplate(req.params.name, req.query.locale || 'en');
+    res.json({ success: true, template });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/templates/:name/:locale
+ * Body: { subject, title, body } for email, { body } for SMS, { subject, body } for letters, plus actor?
+ */
+router.put('/:name/:locale', (req, res) => {
+  try {
+    const { actor, ...template } = req.body;
+    const updated = TemplateService.updateTemplate(req.params.name, req.params.locale, template, actor || 'staff');
+    res.json({ success: true, template: updated });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/templates/:name/:locale
+ * Back to the built-in template
+ */
+router.delete('/:name/:locale', (req, res) => {
+  try {
+    const template = TemplateService.resetTemplate(req.params.name, req.params.locale);
+    res.json({ success: true, template });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/templates/:name/preview
+ * Body: { locale?, data? (values to use instead of the sample data), template? (unsaved { subject, title, body }) }
+ */
+router.post('/:name/preview', (req, res) => {
+  try {
+    const preview = TemplateService.preview(req.params.name, req.body || {});
+    res.json({ success: true, preview });
+  } catch (error) {
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+/**
+ * Waitlist Routes
+ * Patient waitlist registration, staff queue management and slot offer claim links
+ */
+
+const express = require('express');
+const router = express.Router();
+const WaitlistService = require('../services/waitlist-service');
+
+/**
+ * Render a minimal page for patients following an offer link
+ */
+function renderPage(title, body) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>${title}</title>
+      <style>
+        body { font-family: Arial, sans-serif; background: #f9f9f9; color: #333; }
+        .card { max-width: 480px; margin: 40px auto; background: white; padding: 24px; border-radius: 8px; border-top: 4px solid #0891b2; }
+        button { padding: 12px 24px; border: none; border-radius: 6px; font-size: 16px; cursor: pointer; margin-right: 8px; }
+        .accept { background: #0891b2; color: white; }
+        .decline { background: #e5e7eb; color: #333; }
+      </style>
+    </head>
+    <body><div class="card"><h2>${title}</h2>${body}</div></body>
+    </html>
+  `;
+}
+
+/**
+ * POST /api/waitlist
+ * Join the waitlist
+ * Body: { patient_name, patient_phone, patient_email, appointment_type?, provider?,
+ *         preferred_days?, preferred_time_start?, preferred_time_end?, earliest_date?, latest_date?, notes? }
+ */
+router.post('/', (req, res) => {
+  try {
+    const entry = WaitlistService.addToWaitlist(req.body);
+    res.status(201).json({ success: true, entry });
+  } catch (error) {
+    console.error('❌ Error adding to waitlist:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/waitlist
+ * Queue in order (?status=active|booked|cancelled)
+ */
+router.get('/', (req, res) => {
+  try {
+    const entries = WaitlistService.getWaitlist(req.query.status || 'active');
+    res.json({ success: true, entries, count: entries.length });
+  } catch (error) {
+    console.error('❌ Error listing waitlist:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/waitlist/offers/:token
+ * Offer details
+ */
+router.get('/offers/:token', (req, res) => {
+  const offer = WaitlistService.getOffer(req.params.token);
+  if (!offer) {
+    return res.status(404).json({ success: false, error: 'Offer not found' });
+  }
+  const { token, ...details } = offer;
+  res.json({ success: true, offer: details });
+});
+
+/**
+ * GET /api/waitlist/offers/:token/claim
+ * Claim page linked from the offer SMS/email
+ */
+router.get('/offers/:token/claim', (req, res) => {
+  const offer = WaitlistService.getOffer(req.params.token);
+  if (!offer) {
+    return res.status(404).send(renderPage('Offer not found', '<p>This link is not valid.</p>'));
+  }
+  if (offer.status !== 'pending') {
+    return res.send(renderPage('Offer unavailable', `<p>This offer is ${offer.status}. Please call us to find another time.</p>`));
+  }
+
+  const when = new Date(offer.start_time).toLocaleString('en-US', {
+    weekday: 'long', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit',
+    timeZone: 'America/New_York'
+  });
+  const base = `${req.baseUrl}/offers/${encodeURIComponent(req.params.token)}`;
+
+  res.send(renderPage('An earlier appointment is available', `
+    <p><strong>${when}</strong></p>
+    <p>${offer.appointment_type || 'Mental Health Consultation'}${offer.provider ? ` with ${offer.provider}` : ''}</p>
+    <form method="POST" action="${base}/accept" style="display:inline"><button class="accept">Book this time</button></form>
+    <form method="POST" action="${base}/decline" style="display:inline"><button class="decline">No thanks</button></form>
+  `));
+});
+
+/**
+ * POST /api/waitlist/offers/:token/accept
+ * Book the offered slot (first patient to accept wins)
+ */
+router.post('/offers/:token/accept', async (req, res) => {
+  try {
+    const result = await WaitlistService.acceptOffer(req.params.token);
+
+    // Form posts from the claim page get a page back; API clients get JSON
+    if (!req.is('application/json')) {
+      return res.status(result.success ? 200 : 409).send(result.success
+        ? renderPage('You are booked!', `<p>Confirmation number: <strong>${result.appointment.confirmation_number}</strong></p><p>${result.appointment.datetime}</p>`)
+        : renderPage('Sorry', `<p>${result.error}</p>`));
+    }
+    res.status(result.success ? 200 : 409).json(result);
+  } catch (error) {
+    console.error('❌ Error accepting waitlist offer:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/waitlist/offers/:token/decline
+ */
+router.post('/offers/:token/decline', async (req, res) => {
+  try {
+    const result = await WaitlistService.declineOffer(req.params.token);
+
+    if (!req.is('application/json')) {
+      return res.send(renderPage('Thanks for letting us know', '<p>You will stay on the waitlist for future openings.</p>'));
+    }
+    res.status(result.success ? 200 : 409).json(result);
+  } catch (error) {
+    console.error('❌ Error declining waitlist offer:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/waitlist/:id
+ * Entry with its offer history
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const result = WaitlistService.getEntry(req.params.id);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Waitlist entry not found' });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error fetching waitlist entry:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/waitlist/:id
+ * Remove from the waitlist
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    const entry = WaitlistService.removeFromWaitlist(req.params.id);
+    res.json({ success: true, entry });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
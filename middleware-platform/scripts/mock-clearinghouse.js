@@ -0,0 +1,534 @@
+/**
+ * Mock Clearinghouse
+ *
+ * A local stand-in for a clearinghouse, so eligibility, claims, acknowledgments and remits
+ * can be exercised offline with CLEARINGHOUSE=mock. Responses are real X12 files:
+ * - POST /eligibility { x12: 270 } → { x12: 271 }
+ * - POST /claims { x12: 837P, file_name? } → { submission_id }; queues a 999, a 277CA and,
+ *   for adjudicated claims, an 835 per payer
+ * - POST /claim-status { x12: 276 } → { x12: 277 }
+ * - GET /inbox → { files: [{ id, type, file_name, x12 }] }, emptying the inbox
+ * - GET /claims → claims received and their outcome
+ * - GET|PUT /scenarios { rules: [...] }, POST /reset
+ *
+ * Outcomes are scripted by rules, checked in order (PUT /scenarios first, then the built-in
+ * ones). A rule matches on member_id, member_id_prefix, payer_id and/or procedure_code and sets:
+ * - eligibility: active (default) | inactive | not_found, with benefits { copay, coinsurance_percent,
+ *   deductible, deductible_remaining, out_of_pocket, out_of_pocket_remaining, visits, visits_remaining,
+ *   prior_auth, office_copay }
+ * - claim: paid (default) | partial | denied | rejected (277CA) | file_rejected (999) | pending,
+ *   with copay, allowed_percent, deductible (partial), denial_reason (CARC) and rejection
+ *   { category, code, entity } (rejected)
+ *
+ * Built-in rules script by member ID prefix: NOTFOUND, INACTIVE, BADFILE, REJECT, DENY, PARTIAL, PEND.
+ *
+ * Run: node scripts/mock-clearinghouse.js   (MOCK_CLEARINGHOUSE_PORT, default 4100;
+ *      MOCK_CLEARINGHOUSE_SCENARIOS=path/to/rules.json to start with custom rules)
+ */
+
+const fs = require('fs');
+const express = require('express');
+const X12 = require('../services/x12');
+
+const SENDER_ID = 'MOCKCH';
+const DEFAULT_BENEFITS = {
+  copay: 20,
+  coinsurance_percent: 20,
+  deductible: 500,
+  deductible_remaining: 200,
+  out_of_pocket: 3000,
+  out_of_pocket_remaining: 2400,
+  visits: 30,
+  visits_remaining: 24,
+  prior_auth: false,
+  office_copay: 30
+};
+const DEFAULT_CLAIM = {
+  copay: 20,
+  allowed_percent: 80,
+  deductible: null,
+  denial_reason: '50',
+  rejection: { category: 'A7', code: '164', entity: 'IL' }
+};
+const BUILT_IN_RULES = [
+  { match: { member_id_prefix: 'NOTFOUND' }, eligibility: 'not_found', claim: 'rejected', rejection: { category: 'A7', code: '33', entity: 'IL' } },
+  { match: { member_id_prefix: 'INACTIVE' }, eligibility: 'inactive', claim: 'denied', denial_reason: '27' },
+  { match: { member_id_prefix: 'BADFILE' }, claim: 'file_rejected' },
+  { match: { member_id_prefix: 'REJECT' }, claim: 'rejected' },
+  { match: { member_id_prefix: 'DENY' }, claim: 'denied' },
+  { match: { member_id_prefix: 'PARTIAL' }, claim: 'partial' },
+  { match: { member_id_prefix: 'PEND' }, claim: 'pending' }
+];
+
+function start(options = {}) {
+  const state = {
+    rules: options.rules || [],
+    claims: new Map(),   // patient control number → claim received
+    inbox: [],
+    sequence: 0,
+    // Identifiers unique across restarts, so remits from an earlier run are never duplicates
+    base: Date.now().toString(36).toUpperCase()
+  };
+
+  const next = () => ++state.sequence;
+
+  function outcome(facts) {
+    const rule = [...state.rules, ...BUILT_IN_RULES].find(candidate => {
+      const match = candidate.match || {};
+      return (!match.member_id || match.member_id === facts.member_id) &&
+        (!match.member_id_prefix || String(facts.member_id || '').toUpperCase().startsWith(match.member_id_prefix.toUpperCase())) &&
+        (!match.payer_id || match.payer_id === facts.payer_id) &&
+        (!match.procedure_code || (facts.procedure_codes || []).includes(match.procedure_code));
+    }) || {};
+    return {
+      eligibility: rule.eligibility || 'active',
+      benefits: { ...DEFAULT_BENEFITS, ...(rule.benefits || {}) },
+      claim: rule.claim || 'paid',
+      ...DEFAULT_CLAIM,
+      ...Object.fromEntries(['copay', 'allowed_percent', 'deductible', 'denial_reason', 'rejection']
+        .filter(key => rule[key] !== undefined)
+        .map(key => [key, rule[key]]))
+    };
+  }
+
+  function envelope(receiverId, functionalCode, version) {
+    return {
+      sender_id: SENDER_ID,
+      receiver_id: receiverId || 'DOCLITTLE',
+      usage_indicator: 'T',
+      interchange_control_number: next(),
+      group_control_number: next(),
+      functional_code: functionalCode,
+      version,
+      created_at: new Date()
+    };
+  }
+
+  function queue(type, fileName, content) {
+    const id = `${type}-${state.base}-${next()}`;
+    state.inbox.push({ id, type, file_name: fileName, x12: content });
+  }
+
+  // ---- Eligibility ----
+
+  function eligibility(content) {
+    const { segments, interchange } = read(content, '270');
+    const inquiry = { payer: {}, provider: {}, subscriber: {} };
+    for (const [id, ...el] of segments) {
+      if (id === 'BHT') inquiry.reference = el[2];
+      if (id === 'TRN' && el[0] === '1') inquiry.trace_number = el[1];
+      if (id === 'NM1' && el[0] === 'PR') inquiry.payer = { name: el[2], id: el[8] };
+      if (id === 'NM1' && el[0] === '1P') inquiry.provider = { name: el[2], npi: el[8] };
+      if (id === 'NM1' && el[0] === 'IL') inquiry.subscriber = { last_name: el[2], first_name: el[3], member_id: el[8] };
+      if (id === 'DMG') Object.assign(inquiry.subscriber, { dob: el[1], gender: el[2] });
+    }
+
+    const result = outcome({ member_id: inquiry.subscriber.member_id, payer_id: inquiry.payer.id });
+    const b = result.benefits;
+    const now = new Date();
+    const s = [
+      X12.segment('ST', '271', '0001', '005010X279A1'),
+      X12.segment('BHT', '0022', '11', inquiry.reference, X12.date(now), X12.time(now)),
+      X12.segment('HL', '1', '', '20', '1'),
+      X12.segment('NM1', 'PR', '2', inquiry.payer.name, '', '', '', '', 'PI', inquiry.payer.id),
+      X12.segment('HL', '2', '1', '21', '1'),
+      X12.segment('NM1', '1P', '2', inquiry.provider.name, '', '', '', '', 'XX', inquiry.provider.npi),
+      X12.segment('HL', '3', '2', '22', '0'),
+      X12.segment('TRN', '2', inquiry.trace_number, `9${SENDER_ID}`),
+      X12.segment('NM1', 'IL', '1', inquiry.subscriber.last_name, inquiry.subscriber.first_name, '', '', '', 'MI', inquiry.subscriber.member_id)
+    ];
+    if (result.eligibility === 'not_found') {
+      s.push(X12.segment('AAA', 'N', '', '75', 'C'));
+    } else {
+      s.push(X12.segment('REF', '6P', `GRP-${inquiry.payer.id || 'MOCK'}`, 'Mock Employer Group'));
+      if (inquiry.subscriber.dob) s.push(X12.segment('DMG', 'D8', inquiry.subscriber.dob, inquiry.subscriber.gender));
+      s.push(X12.segment('DTP', '346', 'D8', `${now.getUTCFullYear()}0101`));
+      if (result.eligibility === 'inactive') {
+        s.push(eb('6', 'IND', '30'));
+      } else {
+        const auth = b.prior_auth ? 'Y' : 'N';
+        s.push(
+          eb('1', 'IND', '30', { plan: 'Mock PPO' }),
+          eb('C', 'IND', '30', { period: '23', amount: b.deductible, network: 'Y' }),
+          eb('C', 'IND', '30', { period: '29', amount: b.deductible_remaining, network: 'Y' }),
+          eb('G', 'IND', '30', { period: '23', amount: b.out_of_pocket, network: 'Y' }),
+          eb('G', 'IND', '30', { period: '29', amount: b.out_of_pocket_remaining, network: 'Y' }),
+          eb('1', 'IND', ['MH', 'A8'], { auth, network: 'Y' }),
+          eb('B', 'IND', ['MH', 'A8'], { period: '27', amount: b.copay, network: 'Y' }),
+          eb('A', 'IND', ['MH', 'A8'], { percent: b.coinsurance_percent / 100, network: 'Y' }),
+          eb('A', 'IND', ['MH', 'A8'], { percent: Math.min(1, (b.coinsurance_percent * 2) / 100), network: 'N' }),
+          eb('F', 'IND', 'A8', { network: 'Y' }),
+          X12.segment('HSD', 'VS', String(b.visits), '', '', '23', '1'),
+          eb('F', 'IND', 'A8', { period: '29', qualifier: 'VS', quantity: b.visits_remaining, network: 'Y' }),
+          eb('B', 'IND', '98', { period: '27', amount: b.office_copay, network: 'Y' })
+        );
+      }
+    }
+    s.push(X12.segment('SE', String(s.length + 1), '0001'));
+    return X12.interchange([s], envelope(interchange.sender_id, 'HB', '005010X279A1'));
+  }
+
+  // EB01..EB12 by position; service types repeat with ^
+  function eb(code, level, serviceTypes, { plan = '', period = '', amount = '', percent = '', qualifier = '', quantity = '', auth = '', network = '' } = {}) {
+    const types = [].concat(serviceTypes).map(X12.clean).join(X12.REPETITION_SEPARATOR);
+    const value = v => (v === null || v === undefined || v === '' ? '' : String(v));
+    const segment = X12.segment('EB', code, level, '', '', plan, value(period), value(amount), value(percent),
+      qualifier, value(quantity), auth, network);
+    // EB03 is written after cleaning so the repetition separator survives
+    const elements = segment.split(X12.ELEMENT_SEPARATOR);
+    elements[3] = types;
+    return elements.join(X12.ELEMENT_SEPARATOR);
+  }
+
+  // ---- Claims ----
+
+  function receiveClaims(content, fileName) {
+    const { segments, interchange } = read(content, '837');
+    const groupControlNumber = (segments.find(([id]) => id === 'GS') || [])[6];
+    const received = [];
+    let claim = null;
+    let submitter = {};
+    let billing = {};
+
+    for (const [id, ...el] of segments) {
+      switch (id) {
+        case 'ST':
+          claim = { transaction_set: el[1], payer: {}, subscriber: {}, patient: null, lines: [] };
+          received.push(claim);
+          break;
+        case 'NM1':
+          if (!claim) break;
+          if (el[0] === '41') submitter = { name: el[2], id: el[8] };
+          if (el[0] === '85') billing = { name: el[2], npi: el[8] };
+          if (el[0] === 'IL') claim.subscriber = { last_name: el[2], first_name: el[3], member_id: el[8] };
+          if (el[0] === 'QC') claim.patient = { last_name: el[2], first_name: el[3] };
+          if (el[0] === 'PR') claim.payer = { name: el[2], id: el[8] };
+          break;
+        case 'CLM':
+          claim.patient_control_number = el[0];
+          claim.charge = Number(el[1]);
+          break;
+        case 'SV1': {
+          const procedure = el[0].split(interchange.component_separator);
+          claim.lines.push({ procedure_code: procedure[1], modifiers: procedure.slice(2), charge: Number(el[1]), units: Number(el[3]) || 1 });
+          break;
+        }
+        case 'DTP':
+          if (el[0] === '472' && claim && claim.lines.length > 0) {
+            claim.lines[claim.lines.length - 1].date = el[2];
+          }
+          break;
+        default:
+          break;
+      }
+    }
+
+    const submissionId = `SUB${state.base}${next()}`;
+    for (const entry of received) {
+      const result = outcome({
+        member_id: entry.subscriber.member_id,
+        payer_id: entry.payer.id,
+        procedure_codes: entry.lines.map(line => line.procedure_code)
+      });
+      Object.assign(entry, {
+        submission_id: submissionId,
+        outcome: result.claim,
+        terms: result,
+        billing,
+        payer_claim_control_number: ['file_rejected', 'rejected'].includes(result.claim) ? null : `PCCN${state.base}${next()}`,
+        received_at: new Date().toISOString()
+      });
+      state.claims.set(entry.patient_control_number, entry);
+    }
+
+    const receiverId = interchange.sender_id;
+    queue('999', `${submissionId}.999`, acknowledgment999(received, groupControlNumber, receiverId));
+    const forwarded = received.filter(entry => entry.outcome !== 'file_rejected');
+    if (forwarded.length > 0) {
+      queue('277CA', `${submissionId}.277`, acknowledgment277CA(forwarded, submitter, submissionId, receiverId));
+    }
+    const adjudicated = forwarded.filter(entry => ['paid', 'partial', 'denied'].includes(entry.outcome));
+    const payers = [...new Set(adjudicated.map(entry => entry.payer.id))];
+    for (const payerId of payers) {
+      const checkNumber = `EFT${state.base}${next()}`;
+      queue('835', `${checkNumber}.835`, remittance835(adjudicated.filter(entry => entry.payer.id === payerId), checkNumber, receiverId));
+    }
+    return { submission_id: submissionId, claims: received.length };
+  }
+
+  function acknowledgment999(received, groupControlNumber, receiverId) {
+    const s = [
+      X12.segment('ST', '999', '0001', '005010X231A1'),
+      X12.segment('AK1', 'HC', groupControlNumber, '005010X222A1')
+    ];
+    for (const entry of received) {
+      s.push(X12.segment('AK2', '837', entry.transaction_set, '005010X222A1'));
+      if (entry.outcome === 'file_rejected') {
+        s.push(X12.segment('IK3', 'NM1', '', '2010BA', '8'));
+        s.push(X12.segment('IK4', '9', '67', '6', entry.subscriber.member_id));
+        s.push(X12.segment('IK5', 'R', '5'));
+      } else {
+        s.push(X12.segment('IK5', 'A'));
+      }
+    }
+    const accepted = received.filter(entry => entry.outcome !== 'file_rejected').length;
+    const status = accepted === received.length ? 'A' : (accepted === 0 ? 'R' : 'P');
+    s.push(X12.segment('AK9', status, String(received.length), String(received.length), String(accepted)));
+    s.push(X12.segment('SE', String(s.length + 1), '0001'));
+    return X12.interchange([s], envelope(receiverId, 'FA', '005010X231A1'));
+  }
+
+  function acknowledgment277CA(forwarded, submitter, submissionId, receiverId) {
+    const now = new Date();
+    const today = X12.date(now);
+    const first = forwarded[0];
+    const total = forwarded.reduce((sum, entry) => sum + entry.charge, 0);
+    const s = [
+      X12.segment('ST', '277', '0001', '005010X214'),
+      X12.segment('BHT', '0085', '08', submissionId, today, X12.time(now), 'TH'),
+      X12.segment('HL', '1', '', '20', '1'),
+      X12.segment('NM1', 'PR', '2', first.payer.name, '', '', '', '', 'PI', first.payer.id),
+      X12.segment('TRN', '1', submissionId),
+      X12.segment('DTP', '050', 'D8', today),
+      X12.segment('DTP', '009', 'D8', today),
+      X12.segment('HL', '2', '1', '21', '1'),
+      X12.segment('NM1', '41', '2', submitter.name, '', '', '', '', '46', submitter.id),
+      X12.segment('TRN', '2', submissionId),
+      X12.segment('STC', ['A1', '19', 'PR'], today, 'WQ', amount(total)),
+      X12.segment('HL', '3', '2', '19', '1'),
+      X12.segment('NM1', '85', '2', first.billing.name, '', '', '', '', 'XX', first.billing.npi)
+    ];
+    let hl = 3;
+    for (const entry of forwarded) {
+      hl++;
+      const rejected = entry.outcome === 'rejected';
+      const rejection = entry.terms.rejection;
+      const patient = entry.patient || entry.subscriber;
+      const dates = entry.lines.map(line => line.date).filter(Boolean).sort();
+      s.push(
+        X12.segment('HL', String(hl), '3', 'PT'),
+        X12.segment('NM1', 'QC', '1', patient.last_name, patient.first_name, '', '', '', 'MI', entry.subscriber.member_id),
+        X12.segment('TRN', '2', entry.patient_control_number),
+        rejected
+          ? X12.segment('STC', [rejection.category, rejection.code, rejection.entity || ''], today, 'U', amount(entry.charge))
+          : X12.segment('STC', ['A2', '20', 'PR'], today, 'WQ', amount(entry.charge))
+      );
+      if (entry.payer_claim_control_number) {
+        s.push(X12.segment('REF', '1K', entry.payer_claim_control_number));
+      }
+      if (dates.length > 0) {
+        s.push(X12.segment('DTP', '472', 'RD8', `${dates[0]}-${dates[dates.length - 1]}`));
+      }
+    }
+    s.push(X12.segment('SE', String(s.length + 1), '0001'));
+    return X12.interchange([s], envelope(receiverId, 'HN', '005010X214'));
+  }
+
+  function remittance835(claims, checkNumber, receiverId) {
+    const today = X12.date(new Date());
+    const adjudicated = claims.map(entry => adjudicate(entry));
+    const total = round(adjudicated.reduce((sum, claim) => sum + claim.paid, 0));
+    const first = claims[0];
+    const s = [
+      X12.segment('ST', '835', '0001'),
+      total > 0
+        ? X12.segment('BPR', 'I', amount(total), 'C', 'ACH', 'CCP', '01', '011000015', 'DA', '0001', '1999999999', '', '01', '011000015', 'DA', '0002', today)
+        : X12.segment('BPR', 'H', '0', 'C', 'NON', '', '', '', '', '', '', '', '', '', '', '', today),
+      X12.segment('TRN', '1', checkNumber, '1999999999'),
+      X12.segment('DTM', '405', today),
+      X12.segment('N1', 'PR', first.payer.name || first.payer.id, 'XV', first.payer.id),
+      X12.segment('N1', 'PE', first.billing.name, 'XX', first.billing.npi),
+      X12.segment('LX', '1')
+    ];
+    claims.forEach((entry, index) => {
+      const claim = adjudicated[index];
+      const patient = entry.patient || entry.subscriber;
+      s.push(
+        X12.segment('CLP', entry.patient_control_number, claim.denied ? '4' : '1', amount(entry.charge), amount(claim.paid),
+          claim.patient_responsibility ? amount(claim.patient_responsibility) : '', '12', entry.payer_claim_control_number, '11', '1'),
+        X12.segment('NM1', 'QC', '1', patient.last_name, patient.first_name, '', '', '', 'MI', entry.subscriber.member_id)
+      );
+      if (entry.lines[0] && entry.lines[0].date) {
+        s.push(X12.segment('DTM', '232', entry.lines[0].date));
+      }
+      entry.lines.forEach((line, lineIndex) => {
+        const result = claim.lines[lineIndex];
+        s.push(X12.segment('SVC', ['HC', line.procedure_code, ...line.modifiers], amount(line.charge), amount(result.paid), '', String(line.units)));
+        if (line.date) s.push(X12.segment('DTM', '472', line.date));
+        for (const adjustment of result.adjustments) {
+          s.push(X12.segment('CAS', adjustment.group, adjustment.reason, amount(adjustment.amount)));
+        }
+        if (!claim.denied) s.push(X12.segment('AMT', 'B6', amount(result.allowed)));
+      });
+    });
+    s.push(X12.segment('SE', String(s.length + 1), '0001'));
+    return X12.interchange([s], envelope(receiverId, 'HP', '005010X221A1'));
+  }
+
+  /**
+   * Paid: the payer allows allowed_percent of the charge, the patient owes the copay (on the first line)
+   * Partial: as paid, but the deductible (half the allowed amount unless scripted) comes first
+   * Denied: nothing paid, the whole charge adjusted with the denial reason
+   */
+  function adjudicate(entry) {
+    const terms = entry.terms;
+    if (entry.outcome === 'denied') {
+      return {
+        denied: true,
+        paid: 0,
+        patient_responsibility: 0,
+        lines: entry.lines.map(line => ({ paid: 0, allowed: 0, adjustments: [{ group: 'CO', reason: terms.denial_reason, amount: line.charge }] }))
+      };
+    }
+
+    let owed = null;
+    const lines = entry.lines.map((line, index) => {
+      const allowed = round(line.charge * terms.allowed_percent / 100);
+      const adjustments = [];
+      if (line.charge > allowed) adjustments.push({ group: 'CO', reason: '45', amount: round(line.charge - allowed) });
+      if (index === 0) {
+        owed = entry.outcome === 'partial'
+          ? { reason: '1', amount: Math.min(allowed, terms.deductible !== null ? terms.deductible : round(allowed / 2)) }
+          : { reason: '3', amount: Math.min(allowed, terms.copay) };
+        if (owed.amount > 0) adjustments.push({ group: 'PR', reason: owed.reason, amount: owed.amount });
+      }
+      const patient = index === 0 ? owed.amount : 0;
+      return { allowed, paid: round(allowed - patient), adjustments };
+    });
+    return {
+      denied: false,
+      paid: round(lines.reduce((sum, line) => sum + line.paid, 0)),
+      patient_responsibility: owed ? owed.amount : 0,
+      lines
+    };
+  }
+
+  // ---- Claim status ----
+
+  function claimStatus(content) {
+    const { segments, interchange } = read(content, '276');
+    const inquiry = { payer: {}, provider: {}, subscriber: {} };
+    for (const [id, ...el] of segments) {
+      if (id === 'BHT') inquiry.reference = el[2];
+      if (id === 'TRN' && el[0] === '1') inquiry.trace_number = el[1];
+      if (id === 'REF' && el[0] === 'EJ') inquiry.patient_control_number = el[1];
+      if (id === 'NM1' && el[0] === 'PR') inquiry.payer = { name: el[2], id: el[8] };
+      if (id === 'NM1' && el[0] === '1P') inquiry.provider = { name: el[2], npi: el[8] };
+      if (id === 'NM1' && el[0] === 'IL') inquiry.subscriber = { last_name: el[2], first_name: el[3], member_id: el[8] };
+    }
+
+    const claim = state.claims.get(inquiry.patient_control_number || inquiry.trace_number);
+    const now = new Date();
+    const today = X12.date(now);
+    let status;
+    if (!claim) {
+      status = ['A4', '35', ''];
+    } else if (claim.outcome === 'file_rejected' || claim.outcome === 'rejected') {
+      const rejection = claim.terms.rejection;
+      status = claim.outcome === 'rejected' ? [rejection.category, rejection.code, rejection.entity || ''] : ['A3', '21', ''];
+    } else if (claim.outcome === 'pending') {
+      status = ['P1', '20', ''];
+    } else if (claim.outcome === 'denied') {
+      status = ['F2', '1', ''];
+    } else {
+      status = ['F1', '65', ''];
+    }
+
+    const adjudicated = claim && ['paid', 'partial', 'denied'].includes(claim.outcome) ? adjudicate(claim) : null;
+    const s = [
+      X12.segment('ST', '277', '0001', '005010X212'),
+      X12.segment('BHT', '0010', '08', inquiry.reference, today, X12.time(now), 'DG'),
+      X12.segment('HL', '1', '', '20', '1'),
+      X12.segment('NM1', 'PR', '2', inquiry.payer.name, '', '', '', '', 'PI', inquiry.payer.id),
+      X12.segment('HL', '2', '1', '21', '1'),
+      X12.segment('NM1', '41', '2', 'DocLittle', '', '', '', '', '46', interchange.sender_id),
+      X12.segment('HL', '3', '2', '19', '1'),
+      X12.segment('NM1', '1P', '2', inquiry.provider.name, '', '', '', '', 'XX', inquiry.provider.npi),
+      X12.segment('HL', '4', '3', '22', '0'),
+      X12.segment('NM1', 'IL', '1', inquiry.subscriber.last_name, inquiry.subscriber.first_name, '', '', '', 'MI', inquiry.subscriber.member_id),
+      X12.segment('TRN', '2', inquiry.trace_number),
+      X12.segment('STC', status, today, '', claim ? amount(claim.charge) : '', adjudicated ? amount(adjudicated.paid) : '')
+    ];
+    if (claim && claim.payer_claim_control_number) {
+      s.push(X12.segment('REF', '1K', claim.payer_claim_control_number));
+    }
+    if (inquiry.patient_control_number) {
+      s.push(X12.segment('REF', 'EJ', inquiry.patient_control_number));
+    }
+    s.push(X12.segment('SE', String(s.length + 1), '0001'));
+    return X12.interchange([s], envelope(interchange.sender_id, 'HN', '005010X212'));
+  }
+
+  // ---- Helpers ----
+
+  function read(content, transaction) {
+    const { segments, componentSeparator } = X12.tokenize(content, transaction);
+    const st = segments.find(([id]) => id === 'ST');
+    if (!st || st[1] !== transaction) {
+      throw new Error(`Invalid ${transaction}: transaction set ${st ? st[1] : 'missing'}`);
+    }
+    return { segments, interchange: { sender_id: (segments[0][6] || '').trim(), component_separator: componentSeparator } };
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  function amount(value) {
+    return String(round(Number(value) || 0));
+  }
+
+  // ---- HTTP ----
+
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  const handle = fn => (req, res) => {
+    try {
+      res.json(fn(req));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  };
+
+  app.get('/health', (req, res) => res.json({ status: 'ok', claims: state.claims.size, inbox: state.inbox.length }));
+  app.post('/eligibility', handle(req => ({ x12: eligibility(req.body.x12) })));
+  app.post('/claims', handle(req => receiveClaims(req.body.x12, req.body.file_name)));
+  app.post('/claim-status', handle(req => ({ x12: claimStatus(req.body.x12) })));
+  app.get('/inbox', (req, res) => res.json({ files: state.inbox.splice(0) }));
+  app.get('/claims', (req, res) => res.json({
+    claims: [...state.claims.values()].map(({ terms, ...claim }) => claim)
+  }));
+  app.get('/scenarios', (req, res) => res.json({ rules: state.rules, built_in: BUILT_IN_RULES }));
+  app.put('/scenarios', handle(req => {
+    if (!Array.isArray(req.body.rules)) throw new Error('rules must be an array');
+    state.rules = req.body.rules;
+    return { rules: state.rules };
+  }));
+  app.post('/reset', handle(() => {
+    state.rules = options.rules || [];
+    state.claims.clear();
+    state.inbox.length = 0;
+    return { reset: true };
+  }));
+
+  return new Promise(resolve => {
+    const server = app.listen(options.port === undefined ? 4100 : options.port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { start };
+
+if (require.main === module) {
+  const scenarios = process.env.MOCK_CLEARINGHOUSE_SCENARIOS;
+  const rules = scenarios ? JSON.parse(fs.readFileSync(scenarios, 'utf8')).rules : [];
+  start({ port: parseInt(process.env.MOCK_CLEARINGHOUSE_PORT, 10) || 4100, rules }).then(({ url }) => {
+    console.log(`🏦 Mock clearinghouse listening on ${url}`);
+    console.log(`   Set CLEARINGHOUSE=mock and MOCK_CLEARINGHOUSE_URL=${url} in the platform's environment`);
+  });
+}
@@ -26,12 +26,25 @@ const SMSService = require('./services/sms-service');
 const FHIRService = require('./services/fhir-service');
 const FHIRAdapter = require('./adapters/fhir-adapter');
 const BookingService = require('./services/booking-service');
+const AppointmentSeriesService = require('./services/appointment-series-service');
+const WaitlistService = require('./services/waitlist-service');
+const SlotHoldService = require('./services/slot-hold-service');
+const CalendarSyncService = require('./services/calendar-sync-service');
+const ClearinghouseService = require('./services/clearinghouse-service');
+const ClaimScrubberService = require('./services/claim-scrubber-service');
+const ClaimLifecycleService = require('./services/claim-lifecycle-service');
+const ClaimLineService = require('./services/claim-line-service');
+const AppointmentLifecycleService = require('./services/appointment-lifecycle-service');
+const AttendancePolicyService = require('./services/attendance-policy-service');
+const CommunicationPreferencesService = require('./services/communication-preferences-service');
 const ReminderScheduler = require('./services/reminder-scheduler');
+const NotificationOutbox = require('./services/notification-outbox');
 const InsuranceService = require('./services/insurance-service');
 const PayerCacheService = require('./services/payer-cache-service');
 const Metrics = require('./services/metrics');
 const ProviderService = require('./services/provider-service');
 const PatientPortalService = require('./services/patient-portal-service');
+const IcsService = require('./services/ics-service');
 const EHRAggregatorService = require('./services/ehr-aggregator-service');
 const EHRSyncService = require('./services/ehr-sync-service');
 const EpicAdapter = require('./services/epic-adapter');
@@ -133,6 +146,154 @@ app.use('/fhir', fhirRoutes);
 const pdfCodingRoutes = require('./routes/pdf-coding');
 app.use('/api/pdf-coding', pdfCodingRoutes);
 
+// ============================================
+// Provider Schedule Routes
+// ============================================
+const providerRoutes = require('./routes/providers');
+app.use('/api/admin/providers', providerRoutes);
+
+// ============================================
+// Recurring Appointment Series Routes
+// ============================================
+const appointmentSeriesRoutes = require('./routes/appointment-series');
+app.use('/api/admin/appointment-series', appointmentSeriesRoutes);
+
+// ============================================
+// Waitlist Routes
+// ============================================
+const waitlistRoutes = require('./routes/waitlist');
+app.use('/api/waitlist', waitlistRoutes);
+
+// ============================================
+// Group Session Routes
+// ============================================
+const groupSessionRoutes = require('./routes/group-sessions');
+app.use('/api/admin/group-sessions', groupSessionRoutes);
+
+// ============================================
+// Scheduling Configuration Routes
+// ============================================
+const schedulingConfigRoutes = require('./routes/scheduling-config');
+app.use('/api/admin/scheduling', schedulingConfigRoutes);
+
+// ============================================
+// Google Calendar Sync Routes
+// ============================================
+const calendarSyncRoutes = require('./routes/calendar-sync');
+app.use('/api/admin/calendar-sync', calendarSyncRoutes);
+
+// ============================================
+// Appointment Lifecycle Routes
+// ============================================
+const appointmentLifecycleRoutes = require('./routes/appointment-lifecycle');
+app.use('/api/admin/appointments', appointmentLifecycleRoutes);
+
+// ============================================
+// Attendance Policy Routes (no-show / late-cancel fees)
+// ============================================
+const attendanceRoutes = require('./routes/attendance');
+app.use('/api/admin/attendance', attendanceRoutes);
+
+// ============================================
+// Appointment Reminder Routes (cadence, patient channels, attempt log)
+// ============================================
+const reminderRoutes = require('./routes/reminders');
+app.use('/api/admin/reminders', reminderRoutes);
+
+// ============================================
+// Two-way SMS (Twilio inbound webhook and staff inbox)
+// ============================================
+const smsWebhookRoutes = require('./routes/sms-webhook');
+app.use('/webhook/twilio', smsWebhookRoutes);
+const smsInboxRoutes = require('./routes/sms-inbox');
+app.use('/api/admin/sms', smsInboxRoutes);
+
+// ============================================
+// Notification Outbox Routes (every email and text, delivery reports, resend)
+// ============================================
+const notificationRoutes = require('./routes/notifications');
+app.use('/api/admin/notifications', notificationRoutes);
+const emailWebhookRoutes = require('./routes/email-webhook');
+app.use('/webhook/email', emailWebhookRoutes);
+
+// ============================================
+// Communication Preferences Routes (consent, quiet hours, language)
+// ============================================
+const communicationPreferencesRoutes = require('./routes/communication-preferences');
+app.use('/api/admin/communication-preferences', communicationPreferencesRoutes);
+
+// ============================================
+// Message Template Routes (email/SMS text per language, branding, previews)
+// ============================================
+const templateRoutes = require('./routes/templates');
+app.use('/api/admin/templates', templateRoutes);
+
+// ============================================
+// Claim EDI Routes (837P files for clearinghouses)
+// ============================================
+const claimEdiRoutes = require('./routes/claim-edi');
+app.use('/api/admin/insurance/edi', claimEdiRoutes);
+
+// ============================================
+// Remittance Routes (835 ERA import, auto-posting, reconciliation queue)
+// ============================================
+const remittanceRoutes = require('./routes/remittances');
+app.use('/api/admin/insurance/era', remittanceRoutes);
+
+// ============================================
+// Eligibility Routes (X12 270 inquiries, 271 benefits)
+// ============================================
+const eligibilityRoutes = require('./routes/eligibility');
+app.use('/api/admin/insurance/eligibility', eligibilityRoutes);
+
+// ============================================
+// Clearinghouse Routes (837P submission, 999/277CA/277 acknowledgments, inbound files)
+// ============================================
+const clearinghouseRoutes = require('./routes/clearinghouse');
+app.use('/api/admin/insurance/clearinghouse', clearinghouseRoutes);
+
+// ============================================
+// Claim Scrubber Routes (pre-submission checks, scrub report, payer claim requirements)
+// ============================================
+const claimScrubberRoutes = require('./routes/claim-scrubber');
+app.use('/api/admin/insurance/scrubber', claimScrubberRoutes);
+
+// ============================================
+// Claim Lifecycle Routes (claim status state machine, timelines)
+// ============================================
+const claimLifecycleRoutes = require('./routes/claim-lifecycle');
+app.use('/api/admin/insurance/claims', claimLifecycleRoutes);
+
+// ============================================
+// Claim Line Routes (service lines with modifiers, units, diagnosis pointers)
+// ============================================
+const claimLineRoutes = require('./routes/claim-lines');
+app.use('/api/admin/insurance/claims', claimLineRoutes);
+
+// ============================================
+// Denial Routes (denial work queue, appeal letters, corrected claims, denial rates)
+// ============================================
+const denialRoutes = require('./routes/denials');
+app.use('/api/admin/insurance/denials', denialRoutes);
+
+// ============================================
+// Coordination of Benefits Routes (plan order, secondary claims)
+// ============================================
+const coordinationOfBenefitsRoutes = require('./routes/coordination-of-benefits');
+app.use('/api/admin/insurance/coordination', coordinationOfBenefitsRoutes);
+
+// ============================================
+// Fee Schedule Routes (chargemaster, contracted rates, underpayments)
+// ============================================
+const feeScheduleRoutes = require('./routes/fee-schedules');
+app.use('/api/admin/insurance/fee-schedules', feeScheduleRoutes);
+
+// ============================================
+// iCalendar Feed Routes (public, secret token)
+// ============================================
+const calendarFeedRoutes = require('./routes/calendar-feeds');
+app.use('/calendar/feeds', calendarFeedRoutes);
+
 // ============================================
 // Utility & Helpers
 // ============================================
@@ -406,7 +567,7 @@ app.post('/voice/appointments/checkout', voiceLimiter, async (req, res) => {
           // Try to get latest eligibility for this patient
           const eligibilityChecks = db.db.prepare(`
             SELECT * FROM eligibility_checks 
-            WHERE patient_id = ? 
+            WHERE patient_id = ? AND COALESCE(source, '') != 'unknown'
             ORDER BY created_at DESC LIMIT 1
           `).all(appointment.patient_id);
 
@@ -480,7 +641,7 @@ app.post('/voice/appointments/checkout', voiceLimiter, async (req, res) => {
     if (checkout.customer_email) {
       try {
         const EmailService = require('./services/email-service');
-        emailResult = await EmailService.sendCheckoutVerificationCode(checkout.customer_email, verificationCode);
+        emailResult = await EmailService.sendCheckoutVerificationCode(checkout.customer_email, verificationCode, checkout.customer_phone);
       } catch (emailError) {
         console.error('⚠️  Email service error:', emailError.message);
         emailResult = { success: false, error: emailError.message };
@@ -645,6 +806,7 @@ app.post('/voice/checkout/verify', async (req, res) => {
         emailResult = await EmailService.sendPaymentLinkEmail(checkout.customer_email, paymentLink, {
           product_name: checkout.product_name,
           amount: checkout.amount,
+          customer_phone: checkout.customer_phone,
           wallet_balance: walletInfo?.balance,
           can_pay_from_wallet: walletInfo?.sufficient_balance
         });
@@ -1284,7 +1446,7 @@ app.post('/process-payment', paymentLimiter, async (req, res) => {
         if (checkout.appointment_id) {
           try {
             const BookingService = require('./services/booking-service');
-            const confirmResult = await BookingService.confirmAppointment(checkout.appointment_id);
+            const confirmResult = await BookingService.confirmAppointment(checkout.appointment_id, 'payment');
             if (confirmResult.success) {
               console.log(`✅ Appointment ${checkout.appointment_id} auto-confirmed after payment`);
             } else {
@@ -1347,7 +1509,7 @@ app.post('/process-payment', paymentLimiter, async (req, res) => {
     if (checkout.appointment_id) {
       try {
         const BookingService = require('./services/booking-service');
-        const confirmResult = await BookingService.confirmAppointment(checkout.appointment_id);
+        const confirmResult = await BookingService.confirmAppointment(checkout.appointment_id, 'payment');
         if (confirmResult.success) {
           console.log(`✅ Appointment ${checkout.appointment_id} auto-confirmed after payment`);
         } else {
@@ -1943,13 +2105,34 @@ app.post('/voice/appointments/schedule', async (req, res) => {
       date: args.date,  // YYYY-MM-DD
       time: args.time,  // HH:MM or "2:00 PM"
       duration_minutes: args.duration_minutes || 50,
-      provider: args.provider,
+      provider: args.provider_id || args.provider,
       notes: args.notes,
-      timezone: args.timezone || 'America/New_York'
+      timezone: args.timezone || 'America/New_York',
+      // Lets the booking use the slot held for this call
+      call_id: args.call_id || req.body.call?.call_id || null
     };
 
+    // Recurring sessions (e.g. "every week for 8 weeks") book a whole series
+    if (args.recurrence) {
+      const result = await AppointmentSeriesService.createSeries({
+        ...appointmentData,
+        recurrence: args.recurrence,
+        count: args.occurrences,
+        end_date: args.end_date
+      });
+      return res.json(result);
+    }
+
     const result = await BookingService.scheduleAppointment(appointmentData);
 
+    // Policy to read back to the caller, and their attendance so the agent can mention it
+    if (result.success) {
+      result.cancellation_policy = AttendancePolicyService.describePolicy(appointmentData.appointment_type);
+      if (appointmentData.patient_phone) {
+        result.attendance = AttendancePolicyService.getPatientSummary(appointmentData.patient_phone);
+      }
+    }
+
     res.json(result);
   } catch (error) {
     console.error('❌ Error scheduling appointment:', error);
@@ -1969,7 +2152,7 @@ app.post('/voice/appointments/confirm', async (req, res) => {
     const args = req.body.args || req.body;
     const appointmentId = args.appointment_id || args.confirmation_number;
 
-    const result = await BookingService.confirmAppointment(appointmentId);
+    const result = await BookingService.confirmAppointment(appointmentId, 'voice_agent');
 
     res.json(result);
   } catch (error) {
@@ -2006,7 +2189,8 @@ app.post('/voice/appointments/reschedule', async (req, res) => {
       newDate,
       newTime,
       reason,
-      timezone
+      timezone,
+      args.call_id || req.body.call?.call_id || null
     );
 
     res.json(result);
@@ -2029,7 +2213,7 @@ app.post('/voice/appointments/cancel', async (req, res) => {
     const appointmentId = args.appointment_id || args.confirmation_number;
     const reason = args.reason || null;
 
-    const result = await BookingService.cancelAppointment(appointmentId, reason);
+    const result = await BookingService.cancelAppointment(appointmentId, reason, { actor: 'voice_agent' });
 
     res.json(result);
   } catch (error) {
@@ -2049,11 +2233,19 @@ app.post('/voice/appointments/available-slots', async (req, res) => {
 
     const args = req.body.args || req.body;
     const date = args.date;  // YYYY-MM-DD
-    const provider = args.provider || null;
+    const provider = args.provider_id || args.provider || null;  // Provider ID or name
     const appointmentType = args.appointment_type || null;
     const timezone = args.timezone || null;
+    const callId = args.call_id || req.body.call?.call_id || null;
+
+    const result = await BookingService.getAvailableSlots(date, provider, appointmentType, timezone, callId);
 
-    const result = await BookingService.getAvailableSlots(date, provider, appointmentType, timezone);
+    // Hold the first slots offered so they are still free when the caller picks one
+    if (callId && result.success) {
+      const holds = SlotHoldService.holdOfferedSlots(callId, result);
+      result.held_slots = holds.map(hold => hold.time);
+      result.held_until = holds.length > 0 ? holds[0].expires_at : null;
+    }
 
     res.json(result);
   } catch (error) {
@@ -2065,6 +2257,107 @@ app.post('/voice/appointments/available-slots', async (req, res) => {
   }
 });
 
+// Join waitlist for an earlier slot (for voice agent)
+app.post('/voice/waitlist/join', async (req, res) => {
+  try {
+    console.log('\n📝 VOICE: Join Waitlist');
+    console.log('Request body:', JSON.stringify(req.body, null, 2));
+
+    const args = req.body.args || req.body;
+    const entry = WaitlistService.addToWaitlist({
+      patient_name: args.patient_name,
+      patient_phone: args.patient_phone,
+      patient_email: args.patient_email,
+      appointment_type: args.appointment_type,
+      provider: args.provider_id || args.provider,
+      preferred_days: args.preferred_days,
+      preferred_time_start: args.preferred_time_start,
+      preferred_time_end: args.preferred_time_end,
+      earliest_date: args.earliest_date,
+      latest_date: args.latest_date,
+      notes: args.notes
+    });
+
+    res.json({
+      success: true,
+      message: 'Added to the waitlist. We will text or email if an earlier time opens up.',
+      waitlist_id: entry.id
+    });
+  } catch (error) {
+    console.error('❌ Error joining waitlist:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Patient attendance history and policy (for voice agent, before booking)
+app.post('/voice/patients/attendance', async (req, res) => {
+  try {
+    console.log('\n🚷 VOICE: Patient Attendance');
+    console.log('Request body:', JSON.stringify(req.body, null, 2));
+
+    const args = req.body.args || req.body;
+    const phone = args.patient_phone || args.phone;
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        error: 'patient_phone is required'
+      });
+    }
+
+    res.json({
+      success: true,
+      attendance: AttendancePolicyService.getPatientSummary(phone),
+      cancellation_policy: AttendancePolicyService.describePolicy(args.appointment_type)
+    });
+  } catch (error) {
+    console.error('❌ Error getting patient attendance:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Record consent the patient gave on the call (for voice agent)
+app.post('/voice/patients/consent', async (req, res) => {
+  try {
+    console.log('\n📝 VOICE: Patient Consent');
+    console.log('Request body:', JSON.stringify(req.body, null, 2));
+
+    const args = req.body.args || req.body;
+    const phone = args.patient_phone || args.phone;
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        error: 'patient_phone is required'
+      });
+    }
+
+    const consent = {};
+    ['sms', 'email', 'hipaa'].forEach(type => {
+      if (args[type] !== undefined) consent[type] = args[type] === true || args[type] === 'true';
+    });
+    const preferences = CommunicationPreferencesService.updatePreferences(phone, {
+      consent,
+      ...(args.language ? { language: args.language } : {})
+    }, { source: 'voice', actor: 'voice_agent', note: args.note });
+
+    res.json({
+      success: true,
+      preferences
+    });
+  } catch (error) {
+    console.error('❌ Error recording patient consent:', error);
+    res.status(error.message.startsWith('Validation failed') ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Search appointments (for voice agent)
 app.post('/voice/appointments/search', async (req, res) => {
   try {
@@ -2490,6 +2783,14 @@ app.post('/voice/insurance/submit-claim', async (req, res) => {
       });
     }
 
+    // Only visits that actually happened can be billed
+    if (!AppointmentLifecycleService.isBillable(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Appointment is ${appointment.status || 'scheduled'}; only completed visits can be billed`
+      });
+    }
+
     // Get patient info
     let patientName = args.patient_name;
     let dateOfBirth = args.date_of_birth;
@@ -2530,7 +2831,8 @@ app.post('/voice/insurance/submit-claim', async (req, res) => {
 
     const result = await InsuranceService.submitClaim(claimData);
 
-    res.json(result);
+    // A claim refused by the scrubber is the caller's to fix
+    res.status(!result.success && result.scrub ? 400 : 200).json(result);
   } catch (error) {
     console.error('❌ Error submitting claim:', error);
     res.status(500).json({
@@ -2625,23 +2927,19 @@ app.post('/api/claims/create-from-pdf', async (req, res) => {
       console.log(`✅ Generated ${cptCodes.length} service line items from diagnosis codes`);
     }
 
-    // Calculate totals
-    const totalAmountBilled = cptCodes.reduce((sum, item) => sum + (parseFloat(item.charge || item.amount || item.billed_amount) || 0), 0);
-    const totalAllowedAmount = cptCodes.reduce((sum, item) => sum + (parseFloat(item.allowed_amount) || 0), 0);
-
     // Create claim ID
     const claimId = `claim-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
     // Prepare claim data
-    const claimData = {
+    let claimData = {
       id: claimId,
       appointment_id: null, // No appointment for PDF-based claims
       patient_id: patientId,
       member_id: latestEligibility?.member_id || 'N/A',
       payer_id: latestEligibility?.payer_id || 'N/A',
-      service_code: cptCodes.map(c => c.code || c.cpt_code).join(', ') || 'N/A',
+      service_code: 'N/A',
       diagnosis_code: icd10Codes.map(d => typeof d === 'string' ? d : d.code || d).join(', ') || 'N/A',
-      total_amount: totalAmountBilled,
+      total_amount: 0,
       copay_amount: latestEligibility?.copay_amount || 0,
       insurance_amount: latestEligibility?.allowed_amount || 0,
       status: 'draft', // Start as draft, can be submitted later
@@ -2660,20 +2958,28 @@ app.post('/api/claims/create-from-pdf', async (req, res) => {
         createdAt: new Date().toISOString()
       })
     };
+    // Service line items become the claim's lines, which set its service codes and total
+    if (cptCodes.length > 0) {
+      claimData = ClaimLineService.withLines(claimData, cptCodes);
+    }
 
     // Save claim to database
-    db.createInsuranceClaim(claimData);
+    ClaimLifecycleService.create(claimData, { actor: 'staff', source: 'manual', payload: { created_from: 'pdf-coding', file_name: fileName || null } });
 
     console.log(`✅ Claim created: ${claimId}`);
 
+    // Drafts are scrubbed straight away so problems show before anyone tries to submit
+    const scrub = ClaimScrubberService.scrubClaim(claimId);
+
     res.json({
       success: true,
       claimId: claimId,
-      message: 'Claim created successfully'
+      scrub,
+      message: scrub.passed ? 'Claim created successfully' : 'Claim created; fix the scrub errors before submitting'
     });
   } catch (error) {
     console.error('❌ Error creating claim from PDF:', error);
-    res.status(500).json({
+    res.status(/^Validation failed/.test(error.message) ? 400 : 500).json({
       success: false,
       error: error.message
     });
@@ -2767,8 +3073,9 @@ app.get('/api/claims/:id', async (req, res) => {
     const EOBCalculationService = require('./services/eob-calculation-service');
     let eobCalculation;
 
-    // For approved/paid claims, use stored EOB if available (contains final approved amounts)
-    if ((claim.status === 'approved' || claim.status === 'paid') && claimDetails.eob) {
+    // For approved/paid claims, use stored EOB if available (contains final approved amounts);
+    // an EOB posted from the payer's 835 is used whatever the outcome
+    if ((claim.status === 'paid' || claimDetails.era) && claimDetails.eob) {
       eobCalculation = claimDetails.eob;
       console.log(`✅ Using stored EOB for approved claim ${claimId}`);
     } else {
@@ -2831,6 +3138,14 @@ app.get('/api/claims/:id', async (req, res) => {
       });
     }
 
+    // Service lines with the diagnosis codes each points at
+    let lines = [];
+    try {
+      lines = ClaimLineService.getLines(claimId).lines;
+    } catch (error) {
+      console.warn('Could not read claim lines:', error.message);
+    }
+
     // Get payer information
     if (claim.payer_id) {
       const payer = db.getPayerByPayerId(claim.payer_id);
@@ -2860,11 +3175,13 @@ app.get('/api/claims/:id', async (req, res) => {
         eligibility: eligibility || {},
         eob: eobCalculation,
         diagnosisCodes,
+        lines,
         circleTransfer
       },
       // Also include EOB at root level for easy access
       eob: eobCalculation,
-      diagnosisCodes: diagnosisCodes
+      diagnosisCodes: diagnosisCodes,
+      lines
     });
   } catch (error) {
     console.error('❌ Error fetching claim:', error);
@@ -3846,19 +4163,29 @@ app.post('/api/claims/:claimId/submit-payment', async (req, res) => {
       });
     }
 
-    // Check if claim is already submitted or approved
-    if (claim.status === 'submitted' || claim.status === 'approved' || claim.status === 'paid') {
+    // Only claims not yet with the payer (or turned back by it) can be submitted
+    if (!ClaimLifecycleService.canTransition(claim.status, 'submitted') && !ClaimLifecycleService.UNSUBMITTED_STATUSES.includes(claim.status)) {
       return res.status(400).json({
         success: false,
         error: `Claim is already ${claim.status}. Cannot submit again.`
       });
     }
 
-    // Update claim status to submitted (no wallet required)
-    db.updateInsuranceClaim(claimId, {
-      status: 'submitted',
-      payment_status: 'pending',
-      submitted_at: new Date().toISOString()
+    // Refuse claims with blocking scrub errors
+    const scrub = ClaimScrubberService.scrubClaim(claimId);
+    if (!scrub.passed) {
+      return res.status(400).json({
+        success: false,
+        error: `Claim failed scrubbing: ${ClaimScrubberService.describe(scrub)}`,
+        scrub
+      });
+    }
+
+    // Update claim status to submitted (no wallet required); a passing draft is scrubbed by now
+    ClaimLifecycleService.transition(claimId, 'submitted', {
+      actor: req.body?.actor || 'provider',
+      source: 'manual',
+      updates: { payment_status: 'pending', submitted_at: new Date().toISOString() }
     });
 
     console.log(`✅ Claim ${claimId} submitted for payment approval`);
@@ -3894,13 +4221,27 @@ app.post('/api/claims/:claimId/approve-payment', async (req, res) => {
       });
     }
 
-    // Check if claim is already approved or paid
-    if (claim.status === 'approved' || claim.status === 'paid') {
+    // Check if claim is already paid, or not with the payer yet
+    if (claim.status === 'paid' || claim.status === 'closed') {
       return res.status(400).json({
         success: false,
         error: `Claim is already ${claim.status}. Cannot approve again.`
       });
     }
+    if (!ClaimLifecycleService.canTransition(claim.status, 'paid')) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot move a ${claim.status} claim to paid. Submit it first.`
+      });
+    }
+
+    // Once the payer's 835 has been posted, its numbers stand; nothing is estimated over them
+    if (db.getEraClaimPayments({ claim_id: claimId }).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Claim was adjudicated by the payer (835 remittance posted). Cannot approve manually.'
+      });
+    }
 
     // Parse claim details to calculate EOB
     let claimDetails = {};
@@ -4045,15 +4386,19 @@ app.post('/api/claims/:claimId/approve-payment', async (req, res) => {
     }
 
     // Update claim with payment information and final EOB data
-    db.updateInsuranceClaim(claimId, {
-      status: 'approved',
-      payment_status: 'paid',
-      payment_amount: paymentAmount,
-      insurance_amount: planPaidAmount, // Update insurance amount with calculated plan paid
-      circle_transfer_id: circleTransferId || null,
-      approved_at: new Date().toISOString(),
-      paid_at: new Date().toISOString(),
-      response_data: JSON.stringify(updatedResponseData) // Store final EOB calculation
+    ClaimLifecycleService.transition(claimId, 'paid', {
+      actor: req.body?.actor || 'insurer',
+      source: 'manual',
+      payload: { payment_amount: paymentAmount, plan_paid: planPaidAmount, circle_transfer_id: circleTransferId || null },
+      updates: {
+        payment_status: 'paid',
+        payment_amount: paymentAmount,
+        insurance_amount: planPaidAmount, // Update insurance amount with calculated plan paid
+        circle_transfer_id: circleTransferId || null,
+        approved_at: new Date().toISOString(),
+        paid_at: new Date().toISOString(),
+        response_data: JSON.stringify(updatedResponseData) // Store final EOB calculation
+      }
     });
 
     console.log(`✅ Claim ${claimId} approved: Payment $${paymentAmount.toFixed(2)}, Deductible used: $${deductibleUsed.toFixed(2)}, Patient owes: $${(eobCalculation?.totals?.whatYouOwe || 0).toFixed(2)}`);
@@ -4064,7 +4409,7 @@ app.post('/api/claims/:claimId/approve-payment', async (req, res) => {
       transferId: circleTransferId,
       amount: paymentAmount,
       deductibleUsed: deductibleUsed,
-      status: 'approved',
+      status: 'paid',
       paymentStatus: 'paid',
       message: 'Claim approved and payment processed'
     });
@@ -4111,11 +4456,18 @@ app.post('/api/circle/webhook', express.raw({ type: 'application/json' }), async
 
         // Update claim status
         if (transfer.claim_id) {
-          db.updateInsuranceClaim(transfer.claim_id, {
-            status: 'paid',
-            payment_status: 'completed',
-            paid_at: new Date().toISOString()
-          });
+          const updates = { payment_status: 'completed', paid_at: new Date().toISOString() };
+          const claim = db.getInsuranceClaim(transfer.claim_id);
+          if (claim && ClaimLifecycleService.canTransition(claim.status, 'paid')) {
+            ClaimLifecycleService.transition(claim.id, 'paid', {
+              actor: 'circle',
+              source: 'system',
+              payload: { circle_transfer_id: transferId },
+              updates
+            });
+          } else {
+            db.updateInsuranceClaim(transfer.claim_id, updates);
+          }
 
           console.log(`✅ Payment completed for claim ${transfer.claim_id}`);
         }
@@ -4388,7 +4740,7 @@ app.get('/api/admin/patients/:id/eob', async (req, res) => {
         allowedAmount = parseFloat(responseData.allowed_amount);
       } else if (latestEligibility?.allowed_amount) {
         allowedAmount = latestEligibility.allowed_amount;
-      } else if (claim.status === 'approved' && amountBilled >= 1800) {
+      } else if (claim.status === 'paid' && amountBilled >= 1800) {
         // For approved claims matching demo: $200 allowed for $1800+ billed
         allowedAmount = 200;
       } else {
@@ -4847,6 +5199,70 @@ app.get('/api/patient/appointments', async (req, res) => {
   }
 });
 
+// Patient: Get my calendar subscription URL (requires session)
+// POST .../rotate revokes the current URL and issues a new one
+app.get('/api/patient/calendar-feed', (req, res) => patientCalendarFeed(req, res, false));
+app.post('/api/patient/calendar-feed/rotate', (req, res) => patientCalendarFeed(req, res, true));
+
+function patientCalendarFeed(req, res, rotate) {
+  try {
+    const sessionId = req.headers['x-session-id'] || req.query.session_id;
+    const session = sessionId ? PatientPortalService.validateSession(sessionId) : null;
+
+    if (!session || !session.valid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired session'
+      });
+    }
+
+    res.json({
+      success: true,
+      feed: IcsService.getFeedUrl('patient', session.phone, rotate)
+    });
+  } catch (error) {
+    console.error('❌ Error getting patient calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Patient: View and change my communication preferences (requires session)
+// PUT body: { language?, timezone?, quiet_hours?, reminder_channels?, consent?: { sms?, email?, hipaa? } }
+app.get('/api/patient/communication-preferences', (req, res) => patientCommunicationPreferences(req, res));
+app.put('/api/patient/communication-preferences', (req, res) => patientCommunicationPreferences(req, res));
+
+function patientCommunicationPreferences(req, res) {
+  try {
+    const sessionId = req.headers['x-session-id'] || req.query.session_id;
+    const session = sessionId ? PatientPortalService.validateSession(sessionId) : null;
+
+    if (!session || !session.valid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired session'
+      });
+    }
+
+    const preferences = req.method === 'PUT'
+      ? CommunicationPreferencesService.updatePreferences(session.phone, req.body, { source: 'portal', actor: 'patient' })
+      : CommunicationPreferencesService.getPreferences(session.phone);
+    res.json({
+      success: true,
+      preferences
+    });
+  } catch (error) {
+    const status = error.message.startsWith('Validation failed') ? 400 : 500;
+    if (status === 500) console.error('❌ Error with patient communication preferences:', error);
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
 // Patient: Get benefits data (for patient dashboard)
 app.get('/api/patient/benefits', async (req, res) => {
   try {
@@ -5036,7 +5452,7 @@ app.get('/api/patient/benefits', async (req, res) => {
     const claims = db.getClaimsByPatient(patientResourceId) || [];
 
     // Calculate stats
-    const pendingClaims = claims.filter(c => c.status === 'pending' || c.status === 'submitted').length;
+    const pendingClaims = claims.filter(c => ['submitted', 'acknowledged', 'pending'].includes(c.status)).length;
     const totalBills = claims.reduce((sum, c) => sum + (parseFloat(c.total_amount) || 0), 0);
 
     // Parse patient data
@@ -5112,7 +5528,7 @@ app.get('/api/patient/benefits', async (req, res) => {
         let fullClaimDetails = null;
 
         // Check if claim has stored EOB (especially for approved claims)
-        if (responseData.eob && (c.status === 'approved' || c.status === 'paid')) {
+        if (responseData.eob && (c.status === 'paid' || c.status === 'partially_paid')) {
           // Use stored EOB for approved claims - this has the final approved amounts
           fullClaimDetails = {
             eob: responseData.eob,
@@ -5336,7 +5752,7 @@ app.delete('/api/patient/appointments/:id', async (req, res) => {
     }
 
     // Use existing cancel endpoint logic
-    const result = await BookingService.cancelAppointment(appointmentId, reason);
+    const result = await BookingService.cancelAppointment(appointmentId, reason, { actor: 'patient' });
 
     if (result.success) {
       res.json(result);
@@ -5420,7 +5836,7 @@ app.get('/api/admin/billing', async (req, res) => {
       const record = byPatient.get(key);
       record.total_appointments += 1;
       if (appt.status === 'confirmed') record.confirmed_appointments += 1;
-      if (appt.status === 'cancelled') record.cancelled_appointments += 1;
+      if (AppointmentLifecycleService.isReleased(appt.status)) record.cancelled_appointments += 1;
 
       // Determine appointment start date for week calc
       const startIso = appt.start_time || (appt.date ? `${appt.date}T${(appt.time || '00:00')}:00` : null);
@@ -5491,6 +5907,11 @@ app.post('/webhook/retell/events', express.json(), async (req, res) => {
       console.log(`📊 Call Status: ${body.call_status}`);
     }
 
+    // Slots held during the call are no longer needed once it ends
+    if (body.event === 'call_ended' || body.event === 'call_analyzed') {
+      SlotHoldService.releaseCall(body.call?.call_id || body.call_id);
+    }
+
   } catch (err) {
     console.error('❌ Error in /webhook/retell/events:', err.message);
     console.error(err.stack);
@@ -5518,6 +5939,9 @@ app.post('/webhook/retell/end-of-call', async (req, res) => {
 
     const callId = req.body.call_id;
 
+    // Release any slots still held for this call
+    SlotHoldService.releaseCall(callId);
+
     // ========== FHIR COMPLETION ==========
     // Complete FHIR Encounter and store transcript
     if (callId && global.activeCalls && global.activeCalls[callId]) {
@@ -6331,12 +6755,150 @@ const server = app.listen(PORT, () => {
   console.log(`   POST   http://localhost:${PORT}/voice/appointments/cancel`);
   console.log(`   POST   http://localhost:${PORT}/voice/appointments/available-slots`);
   console.log(`   POST   http://localhost:${PORT}/voice/appointments/search`);
+  console.log(`   POST   http://localhost:${PORT}/voice/waitlist/join ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/voice/patients/attendance ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/voice/patients/consent ⭐ NEW`);
+  console.log('\n👥 Provider Schedules:');
+  console.log(`   GET    http://localhost:${PORT}/api/admin/providers ⭐ NEW`);
+  console.log(`   PUT    http://localhost:${PORT}/api/admin/providers/:id/schedule ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/providers/:id/time-off ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/providers/:id/overrides ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/providers/:id/availability ⭐ NEW`);
+  console.log('\n📝 Waitlist:');
+  console.log(`   POST   http://localhost:${PORT}/api/waitlist ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/waitlist ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/waitlist/offers/:token/claim ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/waitlist/offers/:token/accept ⭐ NEW`);
+  console.log('\n🔁 Recurring Series:');
+  console.log(`   POST   http://localhost:${PORT}/api/admin/appointment-series ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/appointment-series/preview ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/appointment-series/:id ⭐ NEW`);
+  console.log(`   PUT    http://localhost:${PORT}/api/admin/appointment-series/occurrences/:appointmentId ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/appointment-series/occurrences/:appointmentId/cancel ⭐ NEW`);
+  console.log('\n👥 Group Sessions:');
+  console.log(`   GET    http://localhost:${PORT}/api/admin/group-sessions ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/group-sessions ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/group-sessions/:id/attendees ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/group-sessions/:id/attendees/:appointmentId/check-in ⭐ NEW`);
+  console.log(`   PUT    http://localhost:${PORT}/api/admin/group-sessions/:id/attendance ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/group-sessions/:id/claims ⭐ NEW`);
+  console.log('\n🗓️  Scheduling Configuration:');
+  console.log(`   GET    http://localhost:${PORT}/api/admin/scheduling ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/scheduling/appointment-types ⭐ NEW`);
+  console.log(`   PUT    http://localhost:${PORT}/api/admin/scheduling/appointment-types/:id ⭐ NEW`);
+  console.log(`   PUT    http://localhost:${PORT}/api/admin/scheduling/business-hours ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/scheduling/closures ⭐ NEW`);
+  console.log(`   PUT    http://localhost:${PORT}/api/admin/scheduling/settings ⭐ NEW`);
+  console.log('\n📆 Google Calendar Sync:');
+  console.log(`   GET    http://localhost:${PORT}/api/admin/calendar-sync ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/calendar-sync ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/calendar-sync/busy-blocks?date= ⭐ NEW`);
+  console.log('\n🔁 Appointment Lifecycle:');
+  console.log(`   POST   http://localhost:${PORT}/api/admin/appointments/:id/status ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/appointments/:id/{confirm|check-in|start|complete|no-show|late-cancel|cancel} ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/appointments/:id/history ⭐ NEW`);
+  console.log('\n🚷 Attendance Policy:');
+  console.log(`   GET    http://localhost:${PORT}/api/admin/attendance/policy ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/attendance/patients/:phone ⭐ NEW`);
+  console.log(`   PUT    http://localhost:${PORT}/api/admin/attendance/patients/:phone/card-on-file ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/attendance/fees ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/attendance/fees/:id/{charge|waive} ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/attendance/no-shows/flag ⭐ NEW`);
+  console.log('\n⏰ Appointment Reminders:');
+  console.log(`   GET    http://localhost:${PORT}/api/admin/reminders/rules ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/reminders/rules ⭐ NEW`);
+  console.log(`   PUT    http://localhost:${PORT}/api/admin/reminders/rules/:id ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/reminders/attempts ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/reminders/appointments/:id ⭐ NEW`);
+  console.log(`   PUT    http://localhost:${PORT}/api/admin/reminders/patients/:phone ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/reminders/run ⭐ NEW`);
+  console.log('\n💬 Two-way SMS:');
+  console.log(`   POST   http://localhost:${PORT}/webhook/twilio/sms ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/sms/inbox ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/sms/messages?phone= ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/sms/inbox/:id/{resolve|reply} ⭐ NEW`);
+  console.log('\n📮 Notification Outbox:');
+  console.log(`   GET    http://localhost:${PORT}/api/admin/notifications?patient_phone=&appointment_id= ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/notifications/:id ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/notifications/:id/resend ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/notifications/process ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/webhook/twilio/sms-status ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/webhook/email/events ⭐ NEW`);
+  console.log('\n📝 Communication Preferences:');
+  console.log(`   GET    http://localhost:${PORT}/api/admin/communication-preferences/:phone ⭐ NEW`);
+  console.log(`   PUT    http://localhost:${PORT}/api/admin/communication-preferences/:phone ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/communication-preferences/:phone/history ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/patient/communication-preferences ⭐ NEW`);
+  console.log(`   PUT    http://localhost:${PORT}/api/patient/communication-preferences ⭐ NEW`);
+  console.log('\n✉️  Message Templates:');
+  console.log(`   GET    http://localhost:${PORT}/api/admin/templates ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/templates/:name?locale= ⭐ NEW`);
+  console.log(`   PUT    http://localhost:${PORT}/api/admin/templates/:name/:locale ⭐ NEW`);
+  console.log(`   DELETE http://localhost:${PORT}/api/admin/templates/:name/:locale ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/templates/:name/preview ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/templates/branding ⭐ NEW`);
+  console.log(`   PUT    http://localhost:${PORT}/api/admin/templates/branding ⭐ NEW`);
+  console.log('\n📅 iCalendar Feeds:');
+  console.log(`   GET    http://localhost:${PORT}/calendar/feeds/:token.ics ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/providers/:id/calendar-feed ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/patient/calendar-feed ⭐ NEW`);
   console.log('\n🏥 Insurance & Billing (Stedi Integration):');
   console.log(`   POST   http://localhost:${PORT}/voice/insurance/collect ⭐ NEW`);
   console.log(`   POST   http://localhost:${PORT}/voice/insurance/check-eligibility`);
   console.log(`   POST   http://localhost:${PORT}/voice/insurance/submit-claim`);
   console.log(`   POST   http://localhost:${PORT}/voice/insurance/check-claim-status`);
   console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/claims`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/eligibility/270 ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/eligibility/271 ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/eligibility/:id ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/edi/837 ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/edi/exports?claim_id= ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/edi/exports/:id ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/edi/exports/:id/download ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/era/835 ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/era/files ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/era/files/:id ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/era/claims/:claimId ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/era/reconciliation ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/era/reconciliation/:id/{match|dismiss} ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/clearinghouse/exports/:id/submit ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/clearinghouse/inbound ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/clearinghouse/poll ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/clearinghouse/files ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/clearinghouse/files/:id ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/clearinghouse/claims/:claimId/acknowledgments ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/clearinghouse/claims/:claimId/status ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/scrubber/rules ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/scrubber/report ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/scrubber/claims ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/scrubber/claims/:claimId ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/scrubber/payers/:payerId/requirements ⭐ NEW`);
+  console.log(`   PUT    http://localhost:${PORT}/api/admin/insurance/scrubber/payers/:payerId/requirements ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/claims/statuses ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/claims/:claimId/timeline ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/claims/:claimId/status ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/claims/:claimId/lines ⭐ NEW`);
+  console.log(`   PUT    http://localhost:${PORT}/api/admin/insurance/claims/:claimId/lines ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/denials ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/denials/report ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/denials/:id ⭐ NEW`);
+  console.log(`   PATCH  http://localhost:${PORT}/api/admin/insurance/denials/:id ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/denials/:id/close ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/denials/:id/appeals ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/denials/:id/corrected-claim ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/denials/appeals/:appealId/letter ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/denials/appeals/:appealId/sent ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/coordination/patients/:patientId/coverage ⭐ NEW`);
+  console.log(`   PUT    http://localhost:${PORT}/api/admin/insurance/coordination/patients/:patientId/coverage ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/coordination/claims/:claimId ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/coordination/claims/:claimId/next-payer-claim ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/fee-schedules ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/fee-schedules/import ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/fee-schedules/rate ⭐ NEW`);
+  console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/fee-schedules/estimate ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/fee-schedules/underpayments ⭐ NEW`);
+  console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/fee-schedules/:id ⭐ NEW`);
+  console.log(`   DELETE http://localhost:${PORT}/api/admin/insurance/fee-schedules/:id ⭐ NEW`);
   console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/payers`);
   console.log(`   GET    http://localhost:${PORT}/api/admin/insurance/payers/stats`);
   console.log(`   POST   http://localhost:${PORT}/api/admin/insurance/cache/refresh ⭐ NEW`);
@@ -6387,6 +6949,14 @@ const server = app.listen(PORT, () => {
   console.log('✅ Ready to accept requests!');
   console.log('='.repeat(60) + '\n');
 
+  // Start notification outbox retries (with error handling)
+  try {
+    NotificationOutbox.start();
+  } catch (error) {
+    console.error('⚠️  Failed to start notification outbox:', error.message);
+    console.log('   Failed emails and texts will not be retried, but server will continue');
+  }
+
   // Start reminder scheduler (with error handling)
   try {
     ReminderScheduler.start();
@@ -6395,6 +6965,38 @@ const server = app.listen(PORT, () => {
     console.log('   Reminders will be disabled, but server will continue');
   }
 
+  // Start waitlist offer expiry sweeper (with error handling)
+  try {
+    WaitlistService.start();
+  } catch (error) {
+    console.error('⚠️  Failed to start waitlist sweeper:', error.message);
+    console.log('   Expired waitlist offers will not roll over, but server will continue');
+  }
+
+  // Start no-show sweeper (with error handling)
+  try {
+    AttendancePolicyService.start();
+  } catch (error) {
+    console.error('⚠️  Failed to start no-show sweeper:', error.message);
+    console.log('   Missed appointments will not be flagged automatically, but server will continue');
+  }
+
+  // Start Google Calendar sync (with error handling)
+  try {
+    CalendarSyncService.start();
+  } catch (error) {
+    console.error('⚠️  Failed to start Google Calendar sync:', error.message);
+    console.log('   External calendar events will not block availability, but server will continue');
+  }
+
+  // Start clearinghouse file pickup (with error handling)
+  try {
+    ClearinghouseService.start();
+  } catch (error) {
+    console.error('⚠️  Failed to start clearinghouse polling:', error.message);
+    console.log('   Acknowledgments and remits can still be posted to the inbound endpoint, but server will continue');
+  }
+
   // Start EHR sync service (with error handling)
   try {
     EHRSyncService.start();
@@ -0,0 +1,243 @@
+/**
+ * Appointment Lifecycle Service
+ *
+ * The appointment status state machine:
+ *
+ *   scheduled → confirmed → checked_in → in_session → completed
+ *        ↘          ↘            ↘
+ *         cancelled / late_cancel   no_show
+ *
+ * Every change is guarded (only the transitions above, and only when the clock allows
+ * them), stamps the matching *_at column, and is recorded with its actor in
+ * appointment_status_history. Cancellations go through BookingService.cancelAppointment so
+ * the calendar event, waitlist and patient email are handled too; no-shows are charged the
+ * attendance policy fee.
+ */
+
+const db = require('../database');
+
+const TRANSITIONS = {
+  scheduled: ['confirmed', 'checked_in', 'no_show', 'cancelled', 'late_cancel'],
+  confirmed: ['checked_in', 'no_show', 'cancelled', 'late_cancel'],
+  checked_in: ['in_session', 'no_show'],
+  in_session: ['completed'],
+  completed: [],
+  no_show: [],
+  cancelled: [],
+  late_cancel: []
+};
+
+// Column stamped when an appointment enters each status
+const TIMESTAMP_COLUMNS = {
+  confirmed: 'confirmed_at',
+  checked_in: 'checked_in_at',
+  in_session: 'session_started_at',
+  completed: 'completed_at',
+  no_show: 'no_show_at',
+  cancelled: 'cancelled_at',
+  late_cancel: 'cancelled_at'
+};
+
+// Booked and not yet seen
+const UPCOMING_STATUSES = ['scheduled', 'confirmed'];
+// The slot is free again
+const RELEASED_STATUSES = ['cancelled', 'late_cancel'];
+// Visits that happened and can be billed
+const BILLABLE_STATUSES = ['completed'];
+
+class AppointmentLifecycleService {
+  static STATUSES = Object.keys(TRANSITIONS);
+  static UPCOMING_STATUSES = UPCOMING_STATUSES;
+  static RELEASED_STATUSES = RELEASED_STATUSES;
+  static BILLABLE_STATUSES = BILLABLE_STATUSES;
+
+  static isUpcoming(status) {
+    return UPCOMING_STATUSES.includes(status || 'scheduled');
+  }
+
+  static isReleased(status) {
+    return RELEASED_STATUSES.includes(status);
+  }
+
+  static isBillable(status) {
+    return BILLABLE_STATUSES.includes(status);
+  }
+
+  /**
+   * Statuses an appointment can move to next
+   */
+  static getAllowedTransitions(status) {
+    return TRANSITIONS[status || 'scheduled'] || [];
+  }
+
+  /**
+   * Move an appointment to a new status
+   * @param {String} appointmentId - Appointment ID or confirmation number
+   * @param {String} toStatus - Target status
+   * @param {Object} options - { actor, reason }
+   * @returns {Object} - { success, appointment, from_status } or { success: false, error }
+   */
+  static async transition(appointmentId, toStatus, options = {}) {
+    // Required lazily: BookingService records its own status changes through this service
+    const BookingService = require('./booking-service');
+
+    if (RELEASED_STATUSES.includes(toStatus)) {
+      return BookingService.cancelAppointment(appointmentId, options.reason || null, {
+        status: toStatus,
+        actor: options.actor
+      });
+    }
+
+    try {
+      const appointment = db.getAppointment(appointmentId);
+      if (!appointment) {
+        throw new Error('Appointment not found');
+      }
+
+      const fromStatus = appointment.status || 'scheduled';
+      this.applyTransition(appointment, toStatus, options);
+
+      const result = {
+        success: true,
+        from_status: fromStatus,
+        appointment: BookingService._formatAppointment(db.getAppointment(appointment.id))
+      };
+      if (toStatus === 'no_show') {
+        // Required lazily: the policy service flags no-shows through this service
+        const AttendancePolicyService = require('./attendance-policy-service');
+        try {
+          result.fee = await AttendancePolicyService.assessFee(db.getAppointment(appointment.id));
+        } catch (feeError) {
+          console.warn('⚠️  No-show fee failed:', feeError.message);
+        }
+      }
+      return result;
+    } catch (error) {
+      console.error(`❌ Error moving appointment ${appointmentId} to ${toStatus}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Check and record a status change (no side effects beyond the appointment row)
+   * @param {Object} appointment - Appointment row
+   * @param {String} toStatus - Target status
+   * @param {Object} options - { actor, reason, now, lateEntry (staff recording attendance after the
+   *   day, so a check-in may be dated on or after the appointment) }
+   * @throws {Error} - When the transition is not allowed
+   */
+  static applyTransition(appointment, toStatus, options = {}) {
+    const fromStatus = appointment.status || 'scheduled';
+    const guardError = this._checkTransition(appointment, fromStatus, toStatus, options.now || new Date(), options);
+    if (guardError) {
+      throw new Error(guardError);
+    }
+
+    const applied = db.transitionAppointmentStatus({
+      id: appointment.id,
+      from_status: fromStatus,
+      to_status: toStatus,
+      timestamp_column: TIMESTAMP_COLUMNS[toStatus],
+      cancellation_reason: RELEASED_STATUSES.includes(toStatus) ? (options.reason || null) : undefined,
+      // Calendar invites must see a newer version of a cancelled event
+      bump_sequence: RELEASED_STATUSES.includes(toStatus),
+      actor: options.actor || 'system',
+      reason: options.reason || null
+    });
+    if (!applied) {
+      throw new Error('Appointment status changed while updating; reload and try again');
+    }
+
+    console.log(`🔁 Appointment ${appointment.id}: ${fromStatus} → ${toStatus} (${options.actor || 'system'})`);
+  }
+
+  /**
+   * Move an appointment along the lifecycle to a status several steps away
+   * (e.g. a group attendee marked "attended" goes checked_in → in_session → completed).
+   * The steps are all or nothing: a step the guards refuse leaves the appointment where it was.
+   * @returns {Boolean} - Whether the appointment reached the status
+   * @throws {Error} - When a step is not allowed
+   */
+  static advanceTo(appointment, toStatus, options = {}) {
+    const path = this._findPath(appointment.status || 'scheduled', toStatus);
+    if (!path) return false;
+
+    db.runExclusive(() => {
+      let current = appointment;
+      for (const status of path) {
+        this.applyTransition(current, status, options);
+        current = db.getAppointment(appointment.id);
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Status changes for an appointment, oldest first
+   */
+  static getHistory(appointmentId) {
+    const appointment = db.getAppointment(appointmentId);
+    if (!appointment) return null;
+
+    return db.getAppointmentStatusHistory(appointment.id).map(entry => ({
+      from_status: entry.from_status,
+      to_status: entry.to_status,
+      actor: entry.actor,
+      reason: entry.reason,
+      changed_at: entry.created_at
+    }));
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  /**
+   * Why a transition is not allowed right now (null when it is)
+   */
+  static _checkTransition(appointment, fromStatus, toStatus, now, options = {}) {
+    if (!TRANSITIONS[toStatus]) {
+      return `Unknown status: ${toStatus}. Use one of ${this.STATUSES.join(', ')}`;
+    }
+    if (fromStatus === toStatus) {
+      return `Appointment is already ${toStatus}`;
+    }
+    if (!this.getAllowedTransitions(fromStatus).includes(toStatus)) {
+      return `Cannot move a ${fromStatus} appointment to ${toStatus}`;
+    }
+
+    const start = new Date(appointment.start_time);
+    if (toStatus === 'checked_in' && appointment.date !== this._localDate(now) &&
+        !(options.lateEntry && appointment.date < this._localDate(now))) {
+      return 'Patients can only be checked in on the day of the appointment';
+    }
+    if (toStatus === 'no_show' && now < start) {
+      return 'An appointment cannot be marked a no-show before it starts';
+    }
+    if (toStatus === 'late_cancel' && now >= start) {
+      return 'The appointment has already started; mark it a no-show instead';
+    }
+    return null;
+  }
+
+  // Shortest chain of allowed transitions from one status to another
+  static _findPath(fromStatus, toStatus) {
+    const queue = [[fromStatus, []]];
+    const seen = new Set([fromStatus]);
+    while (queue.length > 0) {
+      const [status, path] = queue.shift();
+      if (status === toStatus) return path;
+      for (const next of TRANSITIONS[status] || []) {
+        if (!seen.has(next)) {
+          seen.add(next);
+          queue.push([next, [...path, next]]);
+        }
+      }
+    }
+    return null;
+  }
+
+  static _localDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+}
+
+module.exports = AppointmentLifecycleService;
@@ -0,0 +1,637 @@
+/**
+ * Appointment Series Service
+ *
+ * Recurring appointments for ongoing therapy (weekly, biweekly, monthly...).
+ * A series is one appointment_series row plus a regular appointments row per
+ * occurrence, so calendar events, reminders and check-in keep working per session.
+ *
+ * Recurrence rules use a subset of RFC 5545 RRULE:
+ *   FREQ=DAILY|WEEKLY|MONTHLY; INTERVAL=n; BYDAY=MO,TH (weekly only); COUNT=n or UNTIL=YYYYMMDD
+ *
+ * Edits and cancellations take a scope, like calendar apps:
+ *   this      - only the selected occurrence
+ *   following - the selected occurrence and every later one (splits the series)
+ *   all       - every upcoming occurrence of the series
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const BookingService = require('./booking-service');
+const EmailService = require('./email-service');
+const ProviderScheduleService = require('./provider-schedule-service');
+
+const MAX_OCCURRENCES = 52;
+const SCOPES = ['this', 'following', 'all'];
+const ACTIVE_STATUSES = ['scheduled', 'confirmed'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Friendly names accepted from the voice agent and dashboard
+const FREQUENCY_PRESETS = {
+  daily: { freq: 'DAILY', interval: 1 },
+  weekly: { freq: 'WEEKLY', interval: 1 },
+  biweekly: { freq: 'WEEKLY', interval: 2 },
+  monthly: { freq: 'MONTHLY', interval: 1 }
+};
+
+class AppointmentSeriesService {
+  /**
+   * Work out every occurrence of a series and whether each one can be booked
+   * @param {Object} data - Same fields as createSeries
+   * @returns {Object} - { success, recurrence_rule, provider, occurrences: [{ date, time, available, reason }] }
+   */
+  static async previewSeries(data) {
+    try {
+      const plan = await this._plan(data);
+      return {
+        success: true,
+        recurrence_rule: this.toRRule(plan.rule),
+        provider: plan.providerName,
+        occurrences: plan.occurrences,
+        available_count: plan.occurrences.filter(o => o.available).length,
+        conflict_count: plan.occurrences.filter(o => !o.available).length
+      };
+    } catch (error) {
+      console.error('❌ Error previewing series:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Create a recurring series and book every free occurrence
+   * @param {Object} data - Appointment fields plus:
+   *   recurrence      - "weekly" | "biweekly" | "monthly" | RRULE string | { frequency, interval, count, until, by_day }
+   *   count / end_date - Shorthand end conditions when recurrence is a preset name
+   *   skip_conflicts  - Book the free occurrences and report the rest (default true);
+   *                     false books nothing when any occurrence conflicts
+   * @returns {Object} - { success, series, appointments, conflicts }
+   */
+  static async createSeries(data) {
+    console.log('\n🔁 SERIES SERVICE: Create Recurring Series');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+    try {
+      const plan = await this._plan(data);
+      const conflicts = plan.occurrences
+        .filter(o => !o.available)
+        .map(o => ({ date: o.date, time: o.time, reason: o.reason }));
+
+      if (conflicts.length > 0 && data.skip_conflicts === false) {
+        return {
+          success: false,
+          error: `${conflicts.length} occurrence(s) conflict with existing appointments`,
+          conflicts
+        };
+      }
+      if (conflicts.length === plan.occurrences.length) {
+        return {
+          success: false,
+          error: 'None of the occurrences in this series are available',
+          conflicts
+        };
+      }
+
+      const series = {
+        id: `series-${uuidv4()}`,
+        patient_name: data.patient_name,
+        patient_phone: data.patient_phone,
+        patient_email: data.patient_email,
+        appointment_type: data.appointment_type || 'Mental Health Consultation',
+        provider: plan.providerName,
+        provider_id: plan.providerId,
+        time: plan.time,
+        timezone: data.timezone || 'America/New_York',
+        recurrence_rule: this.toRRule(plan.rule),
+        start_date: plan.occurrences[0].date,
+        until_date: plan.occurrences[plan.occurrences.length - 1].date,
+        occurrence_count: plan.rule.count || null,
+        notes: data.notes || null
+      };
+      db.createAppointmentSeries(series);
+      console.log('📋 Series:', series.id, series.recurrence_rule);
+
+      const appointments = [];
+      for (const [index, occurrence] of plan.occurrences.entries()) {
+        if (!occurrence.available) continue;
+
+        const result = await BookingService.scheduleAppointment({
+          ...data,
+          date: occurrence.date,
+          time: occurrence.time,
+          provider: plan.providerId || plan.providerName,
+          series_id: series.id,
+          series_index: index + 1,
+          send_confirmation: false
+        });
+
+        if (result.success) {
+          appointments.push(db.getAppointment(result.appointment.id));
+        } else {
+          // Someone else took the slot between planning and booking
+          conflicts.push({ date: occurrence.date, time: occurrence.time, reason: result.error });
+        }
+      }
+
+      if (appointments.length === 0) {
+        db.updateAppointmentSeries(series.id, { status: 'cancelled' });
+        return {
+          success: false,
+          error: 'None of the occurrences in this series could be booked',
+          conflicts
+        };
+      }
+
+      if (appointments[0].patient_id) {
+        db.updateAppointmentSeries(series.id, { patient_id: appointments[0].patient_id });
+      }
+
+      if (series.patient_email) {
+        try {
+          await EmailService.sendSeriesConfirmation(series, appointments, conflicts);
+          console.log('✅ Series confirmation email sent');
+        } catch (emailError) {
+          console.warn('⚠️  Series confirmation email failed:', emailError.message);
+        }
+      }
+
+      console.log(`✅ Booked ${appointments.length} of ${plan.occurrences.length} occurrences`);
+      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+      return {
+        success: true,
+        message: conflicts.length > 0
+          ? `Booked ${appointments.length} sessions; ${conflicts.length} could not be booked`
+          : `Booked ${appointments.length} sessions`,
+        series: db.getAppointmentSeries(series.id),
+        appointments: appointments.map(appt => BookingService._formatAppointment(appt)),
+        conflicts,
+        booked_count: appointments.length,
+        skipped_count: conflicts.length
+      };
+
+    } catch (error) {
+      console.error('❌ Error creating series:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get a series with all of its occurrences
+   */
+  static getSeries(seriesId) {
+    const series = db.getAppointmentSeries(seriesId);
+    if (!series) {
+      return { success: false, error: 'Series not found' };
+    }
+
+    const appointments = db.getSeriesAppointments(seriesId);
+    return {
+      success: true,
+      series,
+      appointments: appointments.map(appt => BookingService._formatAppointment(appt)),
+      upcoming_count: appointments.filter(a => ACTIVE_STATUSES.includes(a.status) && a.date >= this._today()).length
+    };
+  }
+
+  /**
+   * Move occurrences of a series to a new date and/or time
+   * @param {String} appointmentId - The occurrence the user selected
+   * @param {String} scope - this | following | all
+   * @param {Object} changes - { date?, time?, reason? } - a new date shifts every targeted occurrence by the same number of days
+   * @returns {Object} - { success, updated, conflicts }
+   */
+  static async updateOccurrences(appointmentId, scope, changes = {}) {
+    console.log('\n🔁 SERIES SERVICE: Update Occurrences');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+    try {
+      const { anchor, series } = this._load(appointmentId, scope);
+      if (!changes.date && !changes.time) {
+        throw new Error('date or time is required');
+      }
+
+      if (scope === 'this') {
+        const result = await BookingService.rescheduleAppointment(
+          anchor.id,
+          changes.date || anchor.date,
+          changes.time || anchor.time,
+          changes.reason || null
+        );
+        return result.success
+          ? { success: true, scope, updated: [result.appointment], conflicts: [] }
+          : { success: false, scope, error: result.error, updated: [], conflicts: [{ appointment_id: anchor.id, reason: result.error }] };
+      }
+
+      const dayDelta = changes.date ? this._daysBetween(anchor.date, changes.date) : 0;
+      const targets = this._activeOccurrences(series.id, scope === 'all' ? this._today() : anchor.date);
+      const targetSeries = scope === 'following' && this._hasEarlierOccurrences(series.id, anchor.date)
+        ? this._splitSeries(series, anchor.date, targets)
+        : series;
+
+      const updated = [];
+      const conflicts = [];
+      for (const occurrence of targets) {
+        const newDate = this._addDays(occurrence.date, dayDelta);
+        const newTime = changes.time || occurrence.time;
+        const result = await BookingService.rescheduleAppointment(
+          occurrence.id,
+          newDate,
+          newTime,
+          changes.reason || `Series update (${scope})`
+        );
+
+        if (result.success) {
+          updated.push(result.appointment);
+        } else {
+          conflicts.push({ appointment_id: occurrence.id, date: newDate, time: newTime, reason: result.error });
+        }
+      }
+
+      // Keep the series definition in step with its occurrences
+      const rule = this._shiftRule(this.parseRecurrence(targetSeries.recurrence_rule), dayDelta);
+      db.updateAppointmentSeries(targetSeries.id, {
+        time: changes.time && updated.length > 0 ? updated[0].time : targetSeries.time,
+        start_date: this._addDays(targetSeries.start_date, dayDelta),
+        until_date: targetSeries.until_date ? this._addDays(targetSeries.until_date, dayDelta) : null,
+        recurrence_rule: this.toRRule(rule)
+      });
+
+      console.log(`✅ Updated ${updated.length} occurrence(s), ${conflicts.length} conflict(s)`);
+      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+      return {
+        success: conflicts.length === 0 || updated.length > 0,
+        scope,
+        series: db.getAppointmentSeries(targetSeries.id),
+        updated,
+        conflicts
+      };
+
+    } catch (error) {
+      console.error('❌ Error updating series occurrences:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Cancel occurrences of a series
+   * @param {String} appointmentId - The occurrence the user selected
+   * @param {String} scope - this | following | all
+   * @param {String} reason - Cancellation reason (optional)
+   * @returns {Object} - { success, cancelled, failed }
+   */
+  static async cancelOccurrences(appointmentId, scope, reason = null) {
+    console.log('\n🔁 SERIES SERVICE: Cancel Occurrences');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+    try {
+      const { anchor, series } = this._load(appointmentId, scope);
+
+      if (scope === 'this') {
+        const result = await BookingService.cancelAppointment(anchor.id, reason);
+        return result.success
+          ? { success: true, scope, cancelled: [result.appointment], failed: [] }
+          : { success: false, scope, error: result.error };
+      }
+
+      const fromDate = scope === 'all' ? this._today() : anchor.date;
+      const result = await this._cancelFrom(series, fromDate, reason);
+
+      if (scope === 'following' && this._hasEarlierOccurrences(series.id, anchor.date)) {
+        const rule = this.parseRecurrence(series.recurrence_rule);
+        const until = this._addDays(anchor.date, -1);
+        db.updateAppointmentSeries(series.id, {
+          until_date: until,
+          occurrence_count: null,
+          recurrence_rule: this.toRRule({ ...rule, count: null, until })
+        });
+      } else {
+        db.updateAppointmentSeries(series.id, { status: 'cancelled' });
+      }
+
+      return { success: true, scope, series: db.getAppointmentSeries(series.id), ...result };
+
+    } catch (error) {
+      console.error('❌ Error cancelling series occurrences:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Cancel every upcoming occurrence of a series
+   */
+  static async cancelSeries(seriesId, reason = null) {
+    const series = db.getAppointmentSeries(seriesId);
+    if (!series) {
+      return { success: false, error: 'Series not found' };
+    }
+
+    const result = await this._cancelFrom(series, this._today(), reason);
+    db.updateAppointmentSeries(series.id, { status: 'cancelled' });
+
+    return { success: true, scope: 'all', series: db.getAppointmentSeries(series.id), ...result };
+  }
+
+  /**
+   * Parse a recurrence into { freq, interval, count, until, byDay }
+   * @param {String|Object} recurrence - Preset name, RRULE string or { frequency, interval, count, until, by_day }
+   * @param {Object} defaults - { count, until } used when the recurrence itself has no end
+   */
+  static parseRecurrence(recurrence, defaults = {}) {
+    if (!recurrence) {
+      throw new Error('recurrence is required (e.g. "weekly", "biweekly" or an RRULE)');
+    }
+
+    let rule;
+    if (typeof recurrence === 'string' && FREQUENCY_PRESETS[recurrence.toLowerCase()]) {
+      rule = { ...FREQUENCY_PRESETS[recurrence.toLowerCase()] };
+    } else if (typeof recurrence === 'string') {
+      const parts = Object.fromEntries(
+        recurrence.replace(/^RRULE:/i, '').split(';').filter(Boolean).map(p => p.split('=').map(s => s.trim()))
+      );
+      rule = {
+        freq: (parts.FREQ || '').toUpperCase(),
+        interval: parts.INTERVAL ? Number(parts.INTERVAL) : 1,
+        count: parts.COUNT ? Number(parts.COUNT) : null,
+        until: parts.UNTIL ? this._fromRRuleDate(parts.UNTIL) : null,
+        byDay: parts.BYDAY ? parts.BYDAY.split(',') : []
+      };
+    } else {
+      const preset = FREQUENCY_PRESETS[String(recurrence.frequency || '').toLowerCase()] || {};
+      rule = {
+        freq: preset.freq || String(recurrence.frequency || '').toUpperCase(),
+        interval: Number(recurrence.interval) || preset.interval || 1,
+        count: recurrence.count ? Number(recurrence.count) : null,
+        until: recurrence.until || recurrence.end_date || null,
+        byDay: recurrence.by_day || []
+      };
+    }
+
+    rule.count = rule.count || (defaults.count ? Number(defaults.count) : null);
+    rule.until = rule.until || defaults.until || null;
+    rule.byDay = (rule.byDay || []).map(d => {
+      const index = WEEKDAYS.indexOf(String(d).toUpperCase().slice(0, 2));
+      if (index === -1) throw new Error(`Invalid weekday in recurrence: ${d}`);
+      return index;
+    }).sort((a, b) => a - b);
+
+    if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(rule.freq)) {
+      throw new Error(`Unsupported recurrence frequency: ${rule.freq || 'none'} (use DAILY, WEEKLY or MONTHLY)`);
+    }
+    if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+      throw new Error('Recurrence interval must be a positive whole number');
+    }
+    if (!rule.count && !rule.until) {
+      throw new Error('Recurring series need an end date or a number of occurrences');
+    }
+    if (rule.count && (rule.count < 1 || rule.count > MAX_OCCURRENCES)) {
+      throw new Error(`Occurrence count must be between 1 and ${MAX_OCCURRENCES}`);
+    }
+
+    return rule;
+  }
+
+  /**
+   * Serialize a parsed rule back to an RRULE string
+   */
+  static toRRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay && rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.map(d => WEEKDAYS[d]).join(',')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    return parts.join(';');
+  }
+
+  /**
+   * Expand a parsed rule into occurrence dates (YYYY-MM-DD). An end date that would give more than
+   * MAX_OCCURRENCES is refused like a COUNT over it, rather than cutting the series short.
+   */
+  static expandOccurrences(rule, startDate) {
+    const dates = [];
+    // Without a count, expand one past the cap to tell an end date that reaches it from one beyond it
+    const limit = rule.count ? Math.min(rule.count, MAX_OCCURRENCES) : MAX_OCCURRENCES + 1;
+    const withinEnd = (date) => !rule.until || date <= rule.until;
+
+    if (rule.freq === 'DAILY') {
+      for (let date = startDate; dates.length < limit && withinEnd(date); date = this._addDays(date, rule.interval)) {
+        dates.push(date);
+      }
+    } else if (rule.freq === 'WEEKLY') {
+      const days = rule.byDay.length > 0 ? rule.byDay : [this._weekday(startDate)];
+      const weekStart = this._addDays(startDate, -this._weekday(startDate));
+
+      for (let week = 0; dates.length < limit; week += rule.interval) {
+        const firstOfWeek = this._addDays(weekStart, week * 7);
+        if (!withinEnd(firstOfWeek)) break;
+
+        for (const day of days) {
+          const date = this._addDays(firstOfWeek, day);
+          if (date < startDate) continue;
+          if (!withinEnd(date) || dates.length >= limit) break;
+          dates.push(date);
+        }
+      }
+    } else if (rule.freq === 'MONTHLY') {
+      const [year, month, day] = startDate.split('-').map(Number);
+      for (let step = 0; dates.length < limit; step += rule.interval) {
+        const candidate = new Date(Date.UTC(year, month - 1 + step, day));
+        // Skip months without this day (e.g. the 31st)
+        if (candidate.getUTCDate() !== day) continue;
+        const date = candidate.toISOString().split('T')[0];
+        if (!withinEnd(date)) break;
+        dates.push(date);
+      }
+    }
+
+    if (dates.length > MAX_OCCURRENCES) {
+      throw new Error(`Occurrence count must be between 1 and ${MAX_OCCURRENCES}; ending on ${rule.until} gives more (choose an earlier end date)`);
+    }
+    return dates;
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  /**
+   * Expand the recurrence and check each occurrence against the schedule.
+   * Without a requested provider, the first provider free on the earliest
+   * occurrence is kept for the whole series so the patient sees one therapist.
+   */
+  static async _plan(data) {
+    const errors = [];
+    if (!data.patient_name) errors.push('Patient name is required');
+    if (!data.patient_phone && !data.patient_email) errors.push('Patient phone or email is required');
+    if (!data.date) errors.push('Start date is required');
+    if (!data.time) errors.push('Appointment time is required');
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    const rule = this.parseRecurrence(data.recurrence || data.recurrence_rule, {
+      count: data.count || data.occurrences,
+      until: data.end_date
+    });
+    const dates = this.expandOccurrences(rule, data.date);
+    if (dates.length === 0) {
+      throw new Error('Recurrence produces no occurrences');
+    }
+
+    let providerRef = data.provider || null;
+    const occurrences = [];
+    for (const date of dates) {
+      const check = await BookingService.checkAvailability(
+        date,
+        data.time,
+        data.appointment_type,
+        providerRef,
+        data.timezone
+      );
+      if (!providerRef && check.available && check.provider) {
+        providerRef = check.provider.id;
+      }
+      occurrences.push({
+        date: check.date,
+        time: check.time,
+        available: check.available,
+        reason: check.available ? null : check.reason
+      });
+    }
+
+    const provider = ProviderScheduleService.resolveProvider(providerRef);
+    return {
+      rule,
+      occurrences,
+      time: occurrences[0].time,
+      providerId: provider ? provider.id : null,
+      providerName: provider ? provider.name : (data.provider || 'DocLittle Mental Health Team')
+    };
+  }
+
+  static _load(appointmentId, scope) {
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Invalid scope: ${scope} (use ${SCOPES.join(', ')})`);
+    }
+
+    const anchor = db.getAppointment(appointmentId);
+    if (!anchor) {
+      throw new Error('Appointment not found');
+    }
+    if (scope === 'this') {
+      return { anchor, series: null };
+    }
+
+    const series = anchor.series_id ? db.getAppointmentSeries(anchor.series_id) : null;
+    if (!series) {
+      throw new Error('Appointment is not part of a recurring series');
+    }
+    return { anchor, series };
+  }
+
+  static _activeOccurrences(seriesId, fromDate) {
+    return db.getSeriesAppointments(seriesId, fromDate)
+      .filter(appt => ACTIVE_STATUSES.includes(appt.status));
+  }
+
+  static _hasEarlierOccurrences(seriesId, date) {
+    return db.getSeriesAppointments(seriesId).some(appt => appt.date < date);
+  }
+
+  /**
+   * Move the given occurrences into a new series starting at splitDate and
+   * end the original series the day before
+   */
+  static _splitSeries(series, splitDate, occurrences) {
+    const rule = this.parseRecurrence(series.recurrence_rule);
+    const until = series.until_date || occurrences.map(o => o.date).pop() || splitDate;
+
+    const newSeries = {
+      ...series,
+      id: `series-${uuidv4()}`,
+      start_date: splitDate,
+      until_date: until,
+      occurrence_count: null,
+      recurrence_rule: this.toRRule({ ...rule, count: null, until }),
+      parent_series_id: series.id
+    };
+    db.createAppointmentSeries(newSeries);
+
+    for (const occurrence of db.getSeriesAppointments(series.id, splitDate)) {
+      db.updateAppointment(occurrence.id, { series_id: newSeries.id });
+    }
+
+    const previousUntil = this._addDays(splitDate, -1);
+    db.updateAppointmentSeries(series.id, {
+      until_date: previousUntil,
+      occurrence_count: null,
+      recurrence_rule: this.toRRule({ ...rule, count: null, until: previousUntil })
+    });
+
+    console.log(`✂️  Split series ${series.id} → ${newSeries.id} from ${splitDate}`);
+    return db.getAppointmentSeries(newSeries.id);
+  }
+
+  static async _cancelFrom(series, fromDate, reason) {
+    const cancelled = [];
+    const failed = [];
+
+    for (const occurrence of this._activeOccurrences(series.id, fromDate)) {
+      const result = await BookingService.cancelAppointment(occurrence.id, reason);
+      if (result.success) {
+        cancelled.push(result.appointment);
+      } else {
+        failed.push({ appointment_id: occurrence.id, reason: result.error });
+      }
+    }
+
+    console.log(`✅ Cancelled ${cancelled.length} occurrence(s) of ${series.id}`);
+    return { cancelled, failed };
+  }
+
+  // Shift weekly BYDAY values when occurrences move by whole days
+  static _shiftRule(rule, dayDelta) {
+    if (!dayDelta || rule.byDay.length === 0) return rule;
+    const shift = ((dayDelta % 7) + 7) % 7;
+    return { ...rule, byDay: rule.byDay.map(d => (d + shift) % 7).sort((a, b) => a - b) };
+  }
+
+  static _addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+  }
+
+  static _daysBetween(fromDate, toDate) {
+    const toUTC = (date) => {
+      const [year, month, day] = date.split('-').map(Number);
+      return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toUTC(toDate) - toUTC(fromDate)) / (24 * 60 * 60 * 1000));
+  }
+
+  static _weekday(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  }
+
+  static _fromRRuleDate(value) {
+    const digits = value.replace(/[^0-9]/g, '').slice(0, 8);
+    return `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`;
+  }
+
+  static _today() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  }
+}
+
+module.exports = AppointmentSeriesService;
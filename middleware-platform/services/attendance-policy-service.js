@@ -0,0 +1,442 @@
+/**
+ * Attendance Policy Service
+ *
+ * No-show and late-cancellation policy:
+ * - Patients cancelling inside the cancellation window (scheduling setting
+ *   cancellation_window_hours) are recorded as late_cancel instead of cancelled
+ * - Appointments still waiting for the patient no_show_after_minutes past their start are
+ *   flagged no_show automatically
+ * - Each late cancel or no-show gets the fee set on its appointment type. The first
+ *   no_show_grace_count misses in the lookback period are waived. Fees are charged to the
+ *   card on file, then the patient's wallet, and otherwise added to the patient balance.
+ * - Per-patient attendance history for schedulers and the voice agent
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const AppointmentLifecycleService = require('./appointment-lifecycle-service');
+const SchedulingConfigService = require('./scheduling-config-service');
+const CircleService = require('./circle-service');
+const SMSService = require('./sms-service');
+
+// Cancellations by these actors count against the patient
+const PATIENT_ACTORS = ['patient', 'voice_agent'];
+const FEE_TYPES = ['late_cancel', 'no_show'];
+const SWEEP_MINUTES = 5;
+// Appointments that started longer ago than this are left alone by the sweeper,
+// so turning the policy on does not flag years of old unconfirmed bookings
+const SWEEP_LOOKBACK_HOURS = 24;
+
+class AttendancePolicyService {
+  static intervalId = null;
+  static isRunning = false;
+
+  /**
+   * Current policy: settings plus the fees for each active appointment type
+   */
+  static getPolicy() {
+    const settings = SchedulingConfigService.getSettings();
+    return {
+      cancellation_window_hours: settings.cancellation_window_hours,
+      no_show_grace_count: settings.no_show_grace_count,
+      no_show_after_minutes: settings.no_show_after_minutes,
+      attendance_lookback_days: settings.attendance_lookback_days,
+      fees: SchedulingConfigService.getAppointmentTypes().map(type => ({
+        appointment_type: type.name,
+        late_cancel_fee: type.late_cancel_fee,
+        no_show_fee: type.no_show_fee
+      }))
+    };
+  }
+
+  /**
+   * Policy in a sentence, for the voice agent to read to the caller
+   */
+  static describePolicy(appointmentType) {
+    const policy = this.getPolicy();
+    const type = SchedulingConfigService.resolveAppointmentType(appointmentType);
+    const lateFee = type.late_cancel_fee || 0;
+    const noShowFee = type.no_show_fee || 0;
+    if (lateFee === 0 && noShowFee === 0) {
+      return `Please let us know at least ${policy.cancellation_window_hours} hours ahead if you need to cancel.`;
+    }
+    return `Please cancel at least ${policy.cancellation_window_hours} hours ahead. ` +
+      `Later cancellations are charged $${lateFee.toFixed(2)} and missed appointments $${noShowFee.toFixed(2)}.`;
+  }
+
+  /**
+   * Status a cancellation should record: late_cancel when the patient cancels inside the window
+   * @param {Object} appointment - Appointment row
+   * @param {String} actor - Who is cancelling
+   * @returns {String} - 'cancelled' | 'late_cancel'
+   */
+  static getCancellationStatus(appointment, actor, now = new Date()) {
+    if (!PATIENT_ACTORS.includes(actor)) return 'cancelled';
+
+    const hoursUntilStart = (new Date(appointment.start_time) - now) / (1000 * 60 * 60);
+    return hoursUntilStart < this.getPolicy().cancellation_window_hours ? 'late_cancel' : 'cancelled';
+  }
+
+  /**
+   * Record the fee for a late cancel or no-show and collect it
+   * @param {Object} appointment - Appointment row (already late_cancel / no_show)
+   * @returns {Object|null} - Fee, or null when the appointment type has no fee
+   */
+  static async assessFee(appointment) {
+    const feeType = appointment.status;
+    if (!FEE_TYPES.includes(feeType)) {
+      throw new Error(`No fee applies to a ${feeType} appointment`);
+    }
+
+    const existing = db.getAttendanceFeeByAppointment(appointment.id);
+    if (existing) return this._formatFee(existing);
+
+    const type = SchedulingConfigService.resolveAppointmentType(appointment.appointment_type);
+    const amount = Number(type[`${feeType}_fee`]) || 0;
+    if (amount === 0) return null;
+
+    const phone = appointment.patient_phone ? SMSService.formatPhoneNumber(appointment.patient_phone) : null;
+    const graceRemaining = phone ? this._graceRemaining(phone, appointment.id) : 0;
+    const fee = {
+      id: `fee-${uuidv4()}`,
+      appointment_id: appointment.id,
+      patient_phone: phone,
+      patient_name: appointment.patient_name,
+      fee_type: feeType,
+      amount,
+      status: graceRemaining > 0 ? 'waived' : 'outstanding',
+      waived_reason: graceRemaining > 0 ? 'Grace allowance' : null,
+      waived_by: graceRemaining > 0 ? 'policy' : null
+    };
+    db.createAttendanceFee(fee);
+
+    if (fee.status === 'waived') {
+      console.log(`🎟️  ${feeType} fee of $${amount.toFixed(2)} waived for ${phone} (${graceRemaining} grace left before this one)`);
+      return this._formatFee(db.getAttendanceFee(fee.id));
+    }
+
+    console.log(`💲 ${feeType} fee of $${amount.toFixed(2)} assessed for ${phone} (${appointment.id})`);
+    return this.collectFee(fee.id);
+  }
+
+  /**
+   * Charge an outstanding fee: card on file first, then wallet. If neither works the fee
+   * stays outstanding on the patient balance.
+   * @returns {Object} - Fee
+   */
+  static async collectFee(feeId) {
+    const fee = db.getAttendanceFee(feeId);
+    if (!fee) {
+      throw new Error('Fee not found');
+    }
+    if (fee.status !== 'outstanding') {
+      return this._formatFee(fee);
+    }
+
+    for (const [method, charge] of [['card', () => this._chargeCard(fee)], ['wallet', () => this._chargeWallet(fee)]]) {
+      let result;
+      try {
+        result = await charge();
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+      if (result.success) {
+        db.updateAttendanceFeeStatus(fee.id, 'outstanding', {
+          status: 'charged',
+          charge_method: method,
+          charge_reference: result.reference
+        });
+        console.log(`✅ Fee ${fee.id} charged to ${method} (${result.reference})`);
+        return this._formatFee(db.getAttendanceFee(fee.id));
+      }
+      if (result.error) {
+        console.warn(`⚠️  Could not charge fee ${fee.id} to ${method}: ${result.error}`);
+      }
+    }
+
+    db.updateAttendanceFeeStatus(fee.id, 'outstanding', { charge_method: 'balance' });
+    console.log(`🧾 Fee ${fee.id} added to the balance for ${fee.patient_phone}`);
+    return this._formatFee(db.getAttendanceFee(fee.id));
+  }
+
+  /**
+   * Waive a fee that has not been charged
+   * @param {Object} options - { actor, reason }
+   */
+  static waiveFee(feeId, options = {}) {
+    const fee = db.getAttendanceFee(feeId);
+    if (!fee) {
+      throw new Error('Fee not found');
+    }
+    if (fee.status !== 'outstanding') {
+      throw new Error(`Fee is already ${fee.status}`);
+    }
+
+    const waived = db.updateAttendanceFeeStatus(fee.id, 'outstanding', {
+      status: 'waived',
+      waived_reason: options.reason || null,
+      waived_by: options.actor || 'staff'
+    });
+    if (!waived) {
+      throw new Error('Fee changed while waiving; reload and try again');
+    }
+    console.log(`🎟️  Fee ${fee.id} waived by ${options.actor || 'staff'}`);
+    return this._formatFee(db.getAttendanceFee(fee.id));
+  }
+
+  /**
+   * List fees (?status=outstanding for the collections queue)
+   */
+  static getFees(filters = {}) {
+    return db.getAttendanceFees({
+      status: filters.status,
+      patient_phone: filters.patient_phone ? SMSService.formatPhoneNumber(filters.patient_phone) : undefined
+    }).map(fee => this._formatFee(fee));
+  }
+
+  /**
+   * Attendance history for a patient: counts, recent misses, grace left and balance
+   * @param {String} phone - Patient phone
+   */
+  static getPatientSummary(phone) {
+    if (!phone) {
+      throw new Error('Patient phone is required');
+    }
+    const patientPhone = SMSService.formatPhoneNumber(phone);
+
+    const policy = this.getPolicy();
+    const appointments = db.getPatientAttendance(patientPhone, this._lookbackStartDate(policy));
+    const count = status => appointments.filter(a => a.status === status).length;
+    const completed = count('completed');
+    const noShows = count('no_show');
+    const lateCancels = count('late_cancel');
+    const fees = db.getAttendanceFees({ patient_phone: patientPhone });
+    const balance = fees
+      .filter(fee => fee.status === 'outstanding')
+      .reduce((sum, fee) => sum + fee.amount, 0);
+    const card = db.getPatientPaymentProfile(patientPhone);
+
+    return {
+      patient_phone: patientPhone,
+      lookback_days: policy.attendance_lookback_days,
+      completed,
+      no_shows: noShows,
+      late_cancels: lateCancels,
+      cancelled: count('cancelled'),
+      no_show_rate: completed + noShows > 0 ? Number(((noShows / (completed + noShows)) * 100).toFixed(1)) : 0,
+      grace_remaining: Math.max(0, policy.no_show_grace_count - noShows - lateCancels),
+      outstanding_balance: Number(balance.toFixed(2)),
+      card_on_file: card ? { brand: card.card_brand, last4: card.card_last4 } : null,
+      recent_misses: appointments
+        .filter(a => FEE_TYPES.includes(a.status))
+        .slice(-5)
+        .reverse()
+        .map(a => ({
+          appointment_id: a.id,
+          date: a.date,
+          time: a.time,
+          appointment_type: a.appointment_type,
+          status: a.status
+        })),
+      fees: fees.map(fee => this._formatFee(fee))
+    };
+  }
+
+  /**
+   * Save the Stripe card used to collect fees
+   * @param {Object} data - { stripe_customer_id, stripe_payment_method_id, card_brand?, card_last4? }
+   */
+  static setCardOnFile(phone, data) {
+    if (!phone) {
+      throw new Error('Patient phone is required');
+    }
+    const patientPhone = SMSService.formatPhoneNumber(phone);
+    if (!data.stripe_customer_id || !data.stripe_payment_method_id) {
+      throw new Error('stripe_customer_id and stripe_payment_method_id are required');
+    }
+
+    db.setPatientPaymentProfile({ ...data, patient_phone: patientPhone });
+    console.log(`💳 Card on file saved for ${patientPhone}`);
+    const card = db.getPatientPaymentProfile(patientPhone);
+    return { brand: card.card_brand, last4: card.card_last4, updated_at: card.updated_at };
+  }
+
+  static removeCardOnFile(phone) {
+    return !!phone && db.deletePatientPaymentProfile(SMSService.formatPhoneNumber(phone)).changes > 0;
+  }
+
+  /**
+   * Flag appointments that passed without check-in as no-shows and assess their fees
+   * @returns {Object} - { flagged: [appointment IDs] }
+   */
+  static async flagNoShows(now = new Date()) {
+    const policy = this.getPolicy();
+    const startedBefore = new Date(now.getTime() - policy.no_show_after_minutes * 60 * 1000);
+    const startedAfter = new Date(now.getTime() - SWEEP_LOOKBACK_HOURS * 60 * 60 * 1000);
+    const flagged = [];
+
+    for (const appointment of db.getUnattendedAppointments(startedAfter.toISOString(), startedBefore.toISOString())) {
+      try {
+        AppointmentLifecycleService.applyTransition(appointment, 'no_show', {
+          actor: 'system',
+          reason: `Not checked in ${policy.no_show_after_minutes} minutes after start`,
+          now
+        });
+        flagged.push(appointment.id);
+        await this.assessFee(db.getAppointment(appointment.id));
+      } catch (error) {
+        console.warn(`⚠️  Could not flag no-show for ${appointment.id}:`, error.message);
+      }
+    }
+
+    if (flagged.length > 0) {
+      console.log(`🚷 Flagged ${flagged.length} no-show(s)`);
+    }
+    return { flagged };
+  }
+
+  /**
+   * Start the no-show sweeper (every SWEEP_MINUTES)
+   */
+  static start() {
+    if (this.isRunning) {
+      console.log('⚠️  No-show sweeper already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.intervalId = setInterval(() => {
+      this.flagNoShows().catch(error => console.error('❌ Error flagging no-shows:', error));
+    }, SWEEP_MINUTES * 60 * 1000);
+
+    console.log(`✅ No-show sweeper started (every ${SWEEP_MINUTES} minutes)`);
+  }
+
+  /**
+   * Stop the no-show sweeper
+   */
+  static stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  /**
+   * Misses the patient can still have waived, not counting this appointment
+   */
+  static _graceRemaining(phone, appointmentId) {
+    const policy = this.getPolicy();
+    const misses = db.getPatientAttendance(phone, this._lookbackStartDate(policy))
+      .filter(a => FEE_TYPES.includes(a.status) && a.id !== appointmentId)
+      .length;
+    return Math.max(0, policy.no_show_grace_count - misses);
+  }
+
+  /**
+   * Charge the saved Stripe card off-session
+   * The request is keyed on the fee and card, so a retry or a concurrent collect of the same fee
+   * gets Stripe's first payment back instead of charging again.
+   */
+  static async _chargeCard(fee) {
+    const card = db.getPatientPaymentProfile(fee.patient_phone);
+    if (!card) return { success: false };
+    if (!process.env.STRIPE_SECRET_KEY) {
+      return { success: false, error: 'Stripe not configured' };
+    }
+
+    const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: Math.round(fee.amount * 100),
+      currency: 'usd',
+      customer: card.stripe_customer_id,
+      payment_method: card.stripe_payment_method_id,
+      off_session: true,
+      confirm: true,
+      description: `${fee.fee_type === 'no_show' ? 'Missed appointment' : 'Late cancellation'} fee`,
+      metadata: { fee_id: fee.id, appointment_id: fee.appointment_id }
+    }, {
+      idempotencyKey: `attendance-fee-${fee.id}-${card.stripe_payment_method_id}`
+    });
+
+    if (paymentIntent.status !== 'succeeded') {
+      return { success: false, error: `Payment ${paymentIntent.status}` };
+    }
+    return { success: true, reference: paymentIntent.id };
+  }
+
+  /**
+   * Transfer the fee from the patient's Circle wallet to the practice wallet
+   */
+  static async _chargeWallet(fee) {
+    const patient = fee.patient_phone ? db.getFHIRPatientByPhone(fee.patient_phone) : null;
+    const account = patient ? db.getCircleAccountByEntity('patient', patient.resource_id) : null;
+    if (!account || !account.circle_wallet_id) return { success: false };
+    if (!CircleService.isAvailable()) {
+      return { success: false, error: 'Circle not configured' };
+    }
+
+    const providerAccount = db.getCircleAccountByEntity('provider', 'default');
+    if (!providerAccount || !providerAccount.circle_wallet_id) {
+      return { success: false, error: 'Provider wallet not found' };
+    }
+
+    const balanceResult = await CircleService.getWalletBalance(account.circle_wallet_id);
+    const usdc = (balanceResult.balances || []).find(b => b.token?.symbol === 'USDC') || (balanceResult.balances || [])[0];
+    const balance = usdc ? parseFloat(usdc.amount || usdc.balance || 0) : 0;
+    if (balance < fee.amount) {
+      return { success: false, error: `Wallet balance $${balance.toFixed(2)} is below the fee` };
+    }
+
+    const transfer = await CircleService.createTransfer({
+      fromWalletId: account.circle_wallet_id,
+      toWalletId: providerAccount.circle_wallet_id,
+      amount: fee.amount,
+      currency: 'USDC',
+      description: `Attendance fee ${fee.id}`
+    });
+    if (!transfer.success) {
+      return { success: false, error: transfer.error };
+    }
+
+    db.createCircleTransfer({
+      id: `transfer_${uuidv4()}`,
+      from_wallet_id: account.circle_wallet_id,
+      to_wallet_id: providerAccount.circle_wallet_id,
+      amount: fee.amount,
+      currency: 'USDC',
+      circle_transfer_id: transfer.transferId,
+      status: transfer.status || 'pending'
+    });
+    return { success: true, reference: transfer.transferId };
+  }
+
+  static _lookbackStartDate(policy) {
+    const d = new Date();
+    d.setDate(d.getDate() - policy.attendance_lookback_days);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  static _formatFee(fee) {
+    return {
+      id: fee.id,
+      appointment_id: fee.appointment_id,
+      patient_phone: fee.patient_phone,
+      patient_name: fee.patient_name,
+      fee_type: fee.fee_type,
+      amount: fee.amount,
+      status: fee.status,
+      charge_method: fee.charge_method,
+      charge_reference: fee.charge_reference,
+      waived_reason: fee.waived_reason,
+      waived_by: fee.waived_by,
+      created_at: fee.created_at,
+      updated_at: fee.updated_at
+    };
+  }
+}
+
+module.exports = AttendancePolicyService;
@@ -10,59 +10,11 @@ const { v4: uuidv4 } = require('uuid');
 const db = require('../database');
 const FHIRService = require('./fhir-service');
 const EmailService = require('./email-service');
-
-/**
- * Appointment Type Configuration
- * Defines different appointment types with their durations and buffer times
- */
-const APPOINTMENT_TYPES = {
-  'Mental Health Consultation': {
-    duration_minutes: 50,
-    buffer_before_minutes: 10,  // 10 min buffer before appointment
-    buffer_after_minutes: 10,    // 10 min buffer after appointment
-    color: 'blue'
-  },
-  'Crisis Intervention': {
-    duration_minutes: 30,
-    buffer_before_minutes: 5,   // Shorter buffer for urgent cases
-    buffer_after_minutes: 15,   // Longer buffer after to allow recovery
-    color: 'red'
-  },
-  'Follow-up Session': {
-    duration_minutes: 30,
-    buffer_before_minutes: 10,
-    buffer_after_minutes: 10,
-    color: 'green'
-  },
-  'Initial Assessment': {
-    duration_minutes: 60,
-    buffer_before_minutes: 10,
-    buffer_after_minutes: 10,
-    color: 'purple'
-  },
-  'Group Therapy': {
-    duration_minutes: 90,
-    buffer_before_minutes: 15,
-    buffer_after_minutes: 15,
-    color: 'orange'
-  },
-  'Medication Review': {
-    duration_minutes: 20,
-    buffer_before_minutes: 5,
-    buffer_after_minutes: 5,
-    color: 'yellow'
-  }
-};
-
-/**
- * Business Hours Configuration
- */
-const BUSINESS_HOURS = {
-  start: 9,   // 9 AM
-  end: 17,    // 5 PM (17:00)
-  timezone: process.env.GOOGLE_CALENDAR_TIMEZONE || 'America/New_York',
-  slot_interval_minutes: 15  // Minimum slot interval (15 minutes)
-};
+const ProviderScheduleService = require('./provider-schedule-service');
+// Appointment types, business hours, closures and slot settings are persisted configuration
+const SchedulingConfigService = require('./scheduling-config-service');
+const AppointmentLifecycleService = require('./appointment-lifecycle-service');
+const AttendancePolicyService = require('./attendance-policy-service');
 
 class BookingService {
   /**
@@ -71,6 +23,11 @@ class BookingService {
    */
   static getCalendarClient() {
     try {
+      // Local Calendar API stand-in (development and tests); no credentials needed
+      if (process.env.GOOGLE_CALENDAR_API_URL) {
+        return google.calendar({ version: 'v3', rootUrl: process.env.GOOGLE_CALENDAR_API_URL });
+      }
+
       // Option 1: Service Account (Recommended for server-to-server)
       if (process.env.GOOGLE_SERVICE_ACCOUNT_KEY) {
         const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
@@ -105,6 +62,16 @@ class BookingService {
     }
   }
 
+  /**
+   * Google Calendar a provider's appointments go on
+   * Providers with their own calendar_id use it; everyone else shares the practice calendar.
+   * @param {String} providerId - Provider ID (optional)
+   */
+  static getCalendarId(providerId = null) {
+    const provider = providerId ? db.getProvider(providerId) : null;
+    return (provider && provider.calendar_id) || process.env.GOOGLE_CALENDAR_ID || 'primary';
+  }
+
   /**
    * Schedule a new appointment
    * @param {Object} appointmentData - Appointment details
@@ -122,30 +89,41 @@ class BookingService {
       }
 
       // Get appointment type configuration
-      const appointmentType = appointmentData.appointment_type || 'Mental Health Consultation';
-      const typeConfig = APPOINTMENT_TYPES[appointmentType] || APPOINTMENT_TYPES['Mental Health Consultation'];
+      const appointmentType = appointmentData.appointment_type || SchedulingConfigService.getDefaultAppointmentTypeName();
+      const typeConfig = SchedulingConfigService.resolveAppointmentType(appointmentType);
       
       // Parse date/time with timezone awareness
       const appointmentDateTime = this._parseDateTime(
         appointmentData.date,
         appointmentData.time,
-        appointmentData.timezone || BUSINESS_HOURS.timezone,
+        appointmentData.timezone || SchedulingConfigService.getSettings().timezone,
         typeConfig.duration_minutes
       );
 
-      // Check if slot is available (with buffer times)
-      const availabilityCheck = await this._checkSlotAvailability(
-        appointmentDateTime.startISO,
-        appointmentDateTime.endISO,
-        typeConfig,
-        appointmentDateTime.date,
-        null // No appointment to exclude for new bookings
-      );
+      // Voice bookings may take a slot held for their call; book it with the provider it was held for
+      const callId = appointmentData.call_id || null;
+      const heldSlot = callId ? this._getSlotHoldService().findHold(callId, appointmentDateTime.date, appointmentDateTime.time) : null;
+      const requestedProvider = appointmentData.provider || (heldSlot ? heldSlot.provider_id : null);
+
+      // Check if slot is available (with buffer times), assigning a provider if none was requested.
+      // Group types take a seat in the session at this time instead, if there is one
+      const availabilityCheck = this.isGroupType(appointmentType)
+        ? await this._findGroupSeat(requestedProvider, appointmentDateTime, appointmentType, typeConfig, null, callId)
+        : this._findAvailableProvider(
+          requestedProvider,
+          appointmentDateTime,
+          typeConfig,
+          null, // No appointment to exclude for new bookings
+          callId
+        );
 
       if (!availabilityCheck.available) {
         throw new Error(`Slot not available: ${availabilityCheck.reason}`);
       }
 
+      const assignedProvider = availabilityCheck.provider;
+      const groupSession = availabilityCheck.session || null;
+
       // Create appointment ID
       const appointmentId = `appt-${uuidv4()}`;
 
@@ -161,7 +139,7 @@ class BookingService {
           name: appointmentData.patient_name,
           phone: appointmentData.patient_phone,
           email: appointmentData.patient_email,
-          timezone: appointmentData.timezone || BUSINESS_HOURS.timezone
+          timezone: appointmentData.timezone || SchedulingConfigService.getSettings().timezone
         });
         fhirPatientId = fhirPatient && fhirPatient.id;
       } catch(e) {
@@ -183,12 +161,16 @@ class BookingService {
         duration_minutes: typeConfig.duration_minutes,
         buffer_before_minutes: typeConfig.buffer_before_minutes,
         buffer_after_minutes: typeConfig.buffer_after_minutes,
-        provider: appointmentData.provider || 'DocLittle Mental Health Team',
+        provider: groupSession ? groupSession.provider
+          : (assignedProvider ? assignedProvider.name : (appointmentData.provider || 'DocLittle Mental Health Team')),
+        provider_id: assignedProvider ? assignedProvider.id : null,
         status: 'scheduled',
         notes: appointmentData.notes || '',
-        reminder_sent: false,
         calendar_event_id: null,
-        timezone: appointmentData.timezone || BUSINESS_HOURS.timezone,
+        timezone: appointmentData.timezone || SchedulingConfigService.getSettings().timezone,
+        series_id: appointmentData.series_id || null,
+        series_index: appointmentData.series_index || null,
+        group_session_id: groupSession ? groupSession.id : null,
         created_at: new Date().toISOString()
       };
 
@@ -199,6 +181,33 @@ class BookingService {
         datetime: appointmentDateTime.displayTime
       });
 
+      // Save to database. The check above and this insert are separated by awaits (FHIR lookup),
+      // so the slot is checked again under SQLite's write lock before the row is written
+      db.runExclusive(() => {
+        if (this.isGroupType(appointmentType)) {
+          appointment.group_session_id = this._claimGroupSeat(groupSession, appointment, typeConfig).id;
+        } else {
+          const recheck = this._checkSlotAvailability(
+            appointment.start_time,
+            appointment.end_time,
+            typeConfig,
+            appointment.date,
+            null,
+            assignedProvider,
+            callId
+          );
+          if (!recheck.available) {
+            throw new Error(`Slot not available: ${recheck.reason}`);
+          }
+        }
+
+        db.createAppointment(appointment);
+        if (callId) {
+          this._getSlotHoldService().confirmHold(callId, appointment);
+        }
+      });
+      console.log('✅ Appointment saved to database');
+
       // Try to create Google Calendar event
       const calendar = this.getCalendarClient();
       if (calendar) {
@@ -206,6 +215,7 @@ class BookingService {
           const event = await this._createCalendarEvent(calendar, appointment, appointmentData);
           appointment.calendar_event_id = event.id;
           appointment.calendar_link = event.htmlLink;
+          db.updateAppointment(appointment.id, { calendar_event_id: event.id });
           console.log('✅ Google Calendar event created:', event.id);
         } catch (calendarError) {
           console.warn('⚠️  Calendar event creation failed:', calendarError.message);
@@ -215,12 +225,11 @@ class BookingService {
         console.log('ℹ️  Running in mock mode - no calendar event created');
       }
 
-      // Save to database
-      db.createAppointment(appointment);
-      console.log('✅ Appointment saved to database');
-
       // Send confirmation email if email provided
-      if (appointment.patient_email) {
+      // (series bookings send a single summary instead of one per occurrence)
+      if (appointmentData.send_confirmation === false) {
+        console.log('ℹ️  Confirmation email deferred to caller');
+      } else if (appointment.patient_email) {
         try {
           await EmailService.sendAppointmentConfirmation(appointment);
           console.log('✅ Confirmation email sent');
@@ -245,10 +254,14 @@ class BookingService {
           date: appointment.date,
           time: appointment.time,
           provider: appointment.provider,
+          provider_id: appointment.provider_id,
           duration_minutes: appointment.duration_minutes,
           status: appointment.status,
           calendar_link: appointment.calendar_link,
           calendar_event_id: appointment.calendar_event_id,
+          series_id: appointment.series_id,
+          series_index: appointment.series_index,
+          group_session_id: appointment.group_session_id,
           instructions: 'You will receive a reminder 24 hours before your appointment.'
         }
       };
@@ -265,9 +278,10 @@ class BookingService {
   /**
    * Confirm an existing appointment
    * @param {String} appointmentId - Appointment ID or confirmation number
+   * @param {String} actor - Who confirmed it (staff name, patient, voice_agent, system)
    * @returns {Object} - Confirmation result
    */
-  static async confirmAppointment(appointmentId) {
+  static async confirmAppointment(appointmentId, actor = 'system') {
     console.log('\n✅ BOOKING SERVICE: Confirm Appointment');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
@@ -290,10 +304,10 @@ class BookingService {
       }
 
       // Update status
-      db.updateAppointmentStatus(appointmentId, 'confirmed');
+      AppointmentLifecycleService.applyTransition(appointment, 'confirmed', { actor });
       console.log('✅ Appointment confirmed');
 
-      const updatedAppointment = db.getAppointment(appointmentId);
+      const updatedAppointment = db.getAppointment(appointment.id);
 
       // Send confirmation email if email provided
       if (updatedAppointment.patient_email) {
@@ -329,9 +343,10 @@ class BookingService {
    * @param {String} newTime - New time (HH:MM or "2:00 PM")
    * @param {String} reason - Reschedule reason (optional)
    * @param {String} timezone - Timezone (optional)
+   * @param {String} callId - Voice call whose held slots the new time may use (optional)
    * @returns {Object} - Reschedule result
    */
-  static async rescheduleAppointment(appointmentId, newDate, newTime, reason = null, timezone = null) {
+  static async rescheduleAppointment(appointmentId, newDate, newTime, reason = null, timezone = null, callId = null) {
     console.log('\n🔄 BOOKING SERVICE: Reschedule Appointment');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
@@ -346,36 +361,81 @@ class BookingService {
       console.log(`   Current: ${appointment.date} at ${appointment.time}`);
       console.log(`   New: ${newDate} at ${newTime}`);
 
-      // Check if already cancelled
-      if (appointment.status === 'cancelled') {
-        throw new Error('Cannot reschedule a cancelled appointment');
+      // Only appointments that have not happened yet can move
+      if (!AppointmentLifecycleService.isUpcoming(appointment.status)) {
+        throw new Error(`Cannot reschedule a ${appointment.status} appointment`);
       }
 
       // Get appointment type configuration
-      const appointmentType = appointment.appointment_type || 'Mental Health Consultation';
-      const typeConfig = APPOINTMENT_TYPES[appointmentType] || APPOINTMENT_TYPES['Mental Health Consultation'];
+      const appointmentType = appointment.appointment_type || SchedulingConfigService.getDefaultAppointmentTypeName();
+      const typeConfig = SchedulingConfigService.resolveAppointmentType(appointmentType);
 
       // Parse new date/time
       const appointmentDateTime = this._parseDateTime(
         newDate,
         newTime,
-        timezone || appointment.timezone || BUSINESS_HOURS.timezone,
+        timezone || appointment.timezone || SchedulingConfigService.getSettings().timezone,
         typeConfig.duration_minutes
       );
 
-      // Check if new slot is available
-      const availabilityCheck = await this._checkSlotAvailability(
-        appointmentDateTime.startISO,
-        appointmentDateTime.endISO,
-        typeConfig,
-        appointmentDateTime.date,
-        appointment.id // Exclude current appointment from conflict check
-      );
-
-      if (!availabilityCheck.available) {
-        throw new Error(`New slot not available: ${availabilityCheck.reason}`);
+      // The new slot must be free with the same provider
+      const provider = ProviderScheduleService.resolveProvider(appointment.provider_id) ||
+                       ProviderScheduleService.resolveProvider(appointment.provider);
+      // Group seats move into the session at the new time (or start one there)
+      const isGroup = this.isGroupType(appointmentType);
+      const seatCheck = isGroup
+        ? await this._findGroupSeat(provider ? provider.id : null, appointmentDateTime, appointmentType, typeConfig, appointment.id, callId)
+        : null;
+
+      if (seatCheck && !seatCheck.available) {
+        throw new Error(`New slot not available: ${seatCheck.reason}`);
       }
 
+      const updateData = {
+        date: appointmentDateTime.date,
+        time: appointmentDateTime.time,
+        start_time: appointmentDateTime.startISO,
+        end_time: appointmentDateTime.endISO,
+        timezone: timezone || appointment.timezone || SchedulingConfigService.getSettings().timezone
+      };
+
+      // Check and take the new slot under SQLite's write lock so no other booking can land in between
+      db.runExclusive(() => {
+        if (isGroup) {
+          const session = this._claimGroupSeat(seatCheck.session, {
+            appointment_type: appointmentType,
+            provider: seatCheck.provider ? seatCheck.provider.name : appointment.provider,
+            provider_id: seatCheck.provider ? seatCheck.provider.id : appointment.provider_id,
+            date: appointmentDateTime.date,
+            time: appointmentDateTime.time,
+            start_time: appointmentDateTime.startISO,
+            end_time: appointmentDateTime.endISO,
+            duration_minutes: typeConfig.duration_minutes
+          }, typeConfig, appointment.id);
+          updateData.group_session_id = session.id;
+          updateData.provider = session.provider;
+          updateData.provider_id = session.provider_id;
+        } else {
+          const availabilityCheck = this._checkSlotAvailability(
+            appointmentDateTime.startISO,
+            appointmentDateTime.endISO,
+            typeConfig,
+            appointmentDateTime.date,
+            appointment.id, // Exclude current appointment from conflict check
+            provider,
+            callId
+          );
+          if (!availabilityCheck.available) {
+            throw new Error(`New slot not available: ${availabilityCheck.reason}`);
+          }
+        }
+
+        db.updateAppointment(appointmentId, updateData);
+        if (callId) {
+          this._getSlotHoldService().confirmHold(callId, { ...appointment, ...updateData });
+        }
+      });
+
       // Update Google Calendar event if it exists
       if (appointment.calendar_event_id) {
         const calendar = this.getCalendarClient();
@@ -399,11 +459,11 @@ Rescheduled from: ${appointment.date} at ${appointment.time}
               `.trim(),
               start: {
                 dateTime: appointmentDateTime.startISO,
-                timeZone: timezone || appointment.timezone || BUSINESS_HOURS.timezone
+                timeZone: timezone || appointment.timezone || SchedulingConfigService.getSettings().timezone
               },
               end: {
                 dateTime: appointmentDateTime.endISO,
-                timeZone: timezone || appointment.timezone || BUSINESS_HOURS.timezone
+                timeZone: timezone || appointment.timezone || SchedulingConfigService.getSettings().timezone
               },
               reminders: {
                 useDefault: false,
@@ -411,11 +471,14 @@ Rescheduled from: ${appointment.date} at ${appointment.time}
                   { method: 'email', minutes: 24 * 60 },
                   { method: 'popup', minutes: 60 }
                 ]
+              },
+              extendedProperties: {
+                private: { doclittle_appointment_id: appointment.id }
               }
             };
 
             await calendar.events.update({
-              calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary',
+              calendarId: this.getCalendarId(appointment.provider_id),
               eventId: appointment.calendar_event_id,
               resource: updatedEvent
             });
@@ -427,18 +490,6 @@ Rescheduled from: ${appointment.date} at ${appointment.time}
         }
       }
 
-      // Update appointment in database
-      const updateData = {
-        date: appointmentDateTime.date,
-        time: appointmentDateTime.time,
-        start_time: appointmentDateTime.startISO,
-        end_time: appointmentDateTime.endISO,
-        timezone: timezone || appointment.timezone || BUSINESS_HOURS.timezone
-      };
-
-      // Update database
-      db.updateAppointment(appointmentId, updateData);
-
       // Add reschedule note
       let notes = appointment.notes || '';
       const rescheduleNote = `Rescheduled from ${appointment.date} at ${appointment.time}. Reason: ${reason || 'Not specified'}`;
@@ -446,6 +497,17 @@ Rescheduled from: ${appointment.date} at ${appointment.time}
       db.updateAppointment(appointmentId, { notes });
 
       const updatedAppointment = db.getAppointment(appointmentId);
+      this._offerFreedSlot(appointment);
+
+      // Email an updated invite so the patient's calendar moves the event
+      if (updatedAppointment.patient_email) {
+        try {
+          await EmailService.sendAppointmentRescheduled(updatedAppointment, `${appointment.date} at ${appointment.time}`);
+          console.log('✅ Reschedule email sent');
+        } catch (emailError) {
+          console.warn('⚠️  Reschedule email failed:', emailError.message);
+        }
+      }
 
       console.log('✅ Appointment rescheduled successfully');
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
@@ -472,9 +534,11 @@ Rescheduled from: ${appointment.date} at ${appointment.time}
    * Cancel an appointment
    * @param {String} appointmentId - Appointment ID or confirmation number
    * @param {String} reason - Cancellation reason (optional)
-   * @returns {Object} - Cancellation result
+   * @param {Object} options - { status: 'cancelled' | 'late_cancel', actor }
+   *   Without a status, a patient cancelling inside the cancellation window records a late_cancel
+   * @returns {Object} - Cancellation result (with the fee for a late cancel)
    */
-  static async cancelAppointment(appointmentId, reason = null) {
+  static async cancelAppointment(appointmentId, reason = null, options = {}) {
     console.log('\n❌ BOOKING SERVICE: Cancel Appointment');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
@@ -488,7 +552,7 @@ Rescheduled from: ${appointment.date} at ${appointment.time}
       console.log('📋 Found appointment:', appointment.id);
 
       // Check if already cancelled
-      if (appointment.status === 'cancelled') {
+      if (AppointmentLifecycleService.isReleased(appointment.status)) {
         return {
           success: true,
           message: 'Appointment was already cancelled',
@@ -496,13 +560,18 @@ Rescheduled from: ${appointment.date} at ${appointment.time}
         };
       }
 
+      // Update status (throws if the visit has already started or happened)
+      const status = options.status || AttendancePolicyService.getCancellationStatus(appointment, options.actor);
+      AppointmentLifecycleService.applyTransition(appointment, status, { actor: options.actor, reason });
+      console.log(`✅ Appointment ${status === 'late_cancel' ? 'late-cancelled' : 'cancelled'}`);
+
       // Delete from Google Calendar if event exists
       if (appointment.calendar_event_id) {
         const calendar = this.getCalendarClient();
         if (calendar) {
           try {
             await calendar.events.delete({
-              calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary',
+              calendarId: this.getCalendarId(appointment.provider_id),
               eventId: appointment.calendar_event_id
             });
             console.log('✅ Calendar event deleted');
@@ -512,19 +581,39 @@ Rescheduled from: ${appointment.date} at ${appointment.time}
         }
       }
 
-      // Update status
-      db.updateAppointmentStatus(appointmentId, 'cancelled', reason);
-      console.log('✅ Appointment cancelled');
+      const updatedAppointment = db.getAppointment(appointment.id);
+      this._offerFreedSlot(appointment);
 
-      const updatedAppointment = db.getAppointment(appointmentId);
+      // Email a cancellation invite so the event leaves the patient's calendar
+      if (updatedAppointment.patient_email) {
+        try {
+          await EmailService.sendAppointmentCancellation(updatedAppointment);
+          console.log('✅ Cancellation email sent');
+        } catch (emailError) {
+          console.warn('⚠️  Cancellation email failed:', emailError.message);
+        }
+      }
+
+      let fee = null;
+      if (status === 'late_cancel') {
+        try {
+          fee = await AttendancePolicyService.assessFee(updatedAppointment);
+        } catch (feeError) {
+          console.warn('⚠️  Late cancellation fee failed:', feeError.message);
+        }
+      }
 
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
       return {
         success: true,
-        message: 'Appointment cancelled successfully',
+        message: status === 'late_cancel'
+          ? 'Appointment cancelled (late cancellation)'
+          : 'Appointment cancelled successfully',
         appointment: this._formatAppointment(updatedAppointment),
-        cancellation_reason: reason
+        cancellation_reason: reason,
+        late_cancellation: status === 'late_cancel',
+        fee
       };
 
     } catch (error) {
@@ -542,15 +631,16 @@ Rescheduled from: ${appointment.date} at ${appointment.time}
    * @param {String} provider - Provider name (optional)
    * @param {String} appointmentType - Type of appointment (optional, filters by duration)
    * @param {String} timezone - Timezone for the date (optional)
+   * @param {String} callId - Voice call asking; its own held slots are not counted as booked (optional)
    * @returns {Object} - Available slots
    */
-  static async getAvailableSlots(date, provider = null, appointmentType = null, timezone = null) {
+  static async getAvailableSlots(date, provider = null, appointmentType = null, timezone = null, callId = null) {
     console.log('\n🕐 BOOKING SERVICE: Get Available Slots');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
     try {
       // Parse date with timezone
-      const requestedTimezone = timezone || BUSINESS_HOURS.timezone;
+      const requestedTimezone = timezone || SchedulingConfigService.getSettings().timezone;
       const requestedDate = this._parseDateWithTimezone(date, requestedTimezone);
       
       if (isNaN(requestedDate)) {
@@ -562,45 +652,66 @@ Rescheduled from: ${appointment.date} at ${appointment.time}
         console.log('📋 Appointment type:', appointmentType);
       }
 
-      // Get existing appointments for that date
-      const existingAppointments = db.getAppointmentsByDate(date);
-      console.log('📋 Found', existingAppointments.length, 'existing appointments');
-
       // Get appointment type config if specified
-      const typeConfig = appointmentType && APPOINTMENT_TYPES[appointmentType] 
-        ? APPOINTMENT_TYPES[appointmentType]
-        : APPOINTMENT_TYPES['Mental Health Consultation'];
-
-      // Generate all possible slots (15-minute intervals)
-      const allSlots = this._generateTimeSlotsAdvanced(
-        BUSINESS_HOURS,
-        typeConfig.duration_minutes,
-        typeConfig.buffer_before_minutes,
-        typeConfig.buffer_after_minutes
-      );
+      const typeConfig = SchedulingConfigService.resolveAppointmentType(appointmentType);
+      const closure = SchedulingConfigService.getClosure(date);
+
+      // Work out whose calendars to check: the requested provider, every active
+      // provider, or (when none are registered) the practice-wide business hours
+      const requestedProvider = ProviderScheduleService.resolveProvider(provider);
+      if (provider && !requestedProvider) {
+        console.warn('⚠️  Provider not registered, using business hours:', provider);
+      }
+      const candidates = requestedProvider
+        ? [requestedProvider]
+        : (provider ? [] : ProviderScheduleService.getActiveProviders());
+
+      let allSlots;
+      let availableSlots;
+      let bookedSlots;
+      const slotProviders = {};
+
+      if (candidates.length === 0) {
+        const existingAppointments = this._getBookedEntries(date, null, callId);
+        console.log('📋 Found', existingAppointments.length, 'existing appointments');
+
+        ({ allSlots, availableSlots, bookedSlots } = this._computeSlots(
+          date,
+          typeConfig,
+          requestedTimezone,
+          this._getWorkingWindows(null, date),
+          existingAppointments
+        ));
+      } else {
+        const allSet = new Set();
+        for (const candidate of candidates) {
+          const windows = this._getWorkingWindows(candidate, date);
+          const existingAppointments = this._getBookedEntries(date, candidate, callId);
+          console.log(`📋 ${candidate.name}: ${windows.length} working window(s), ${existingAppointments.length} existing appointments`);
+
+          const result = this._computeSlots(date, typeConfig, requestedTimezone, windows, existingAppointments);
+          result.allSlots.forEach(slot => allSet.add(slot));
+          for (const slot of result.availableSlots) {
+            (slotProviders[slot] = slotProviders[slot] || []).push(candidate.name);
+          }
+        }
 
-      // Check each slot for conflicts
-      const availableSlots = [];
-      const bookedSlots = [];
-
-      for (const slotTime of allSlots) {
-        const slotStart = this._timeToDate(date, slotTime, requestedTimezone);
-        const slotEnd = new Date(slotStart.getTime() + 
-          (typeConfig.duration_minutes + typeConfig.buffer_before_minutes + typeConfig.buffer_after_minutes) * 60 * 1000);
-
-        // Check for conflicts with existing appointments
-        const hasConflict = this._hasTimeConflict(
-          slotStart,
-          slotEnd,
-          existingAppointments,
-          typeConfig
-        );
+        allSlots = [...allSet].sort();
+        availableSlots = allSlots.filter(slot => slotProviders[slot]);
+        bookedSlots = allSlots.filter(slot => !slotProviders[slot]);
+      }
 
-        if (!hasConflict) {
-          availableSlots.push(slotTime);
-        } else {
-          bookedSlots.push(slotTime);
-        }
+      // Group sessions already on the calendar stay bookable until every seat is taken
+      let seatsRemaining = null;
+      if (this.isGroupType(appointmentType)) {
+        ({ allSlots, availableSlots, bookedSlots, seatsRemaining } = this._applyGroupSeats(
+          date,
+          appointmentType,
+          typeConfig,
+          candidates,
+          { allSlots, availableSlots, bookedSlots },
+          slotProviders
+        ));
       }
 
       console.log('✅ Available slots:', availableSlots.length);
@@ -611,7 +722,9 @@ Rescheduled from: ${appointment.date} at ${appointment.time}
         success: true,
         date: date,
         timezone: requestedTimezone,
-        appointment_type: appointmentType || 'Mental Health Consultation',
+        appointment_type: typeConfig.name,
+        provider: requestedProvider ? requestedProvider.name : (provider || null),
+        provider_id: requestedProvider ? requestedProvider.id : null,
         available_slots: availableSlots,
         // Alias for consumers expecting `slots`
         slots: availableSlots,
@@ -619,7 +732,13 @@ Rescheduled from: ${appointment.date} at ${appointment.time}
         booked_slots: bookedSlots.length,
         slot_duration_minutes: typeConfig.duration_minutes,
         buffer_before_minutes: typeConfig.buffer_before_minutes,
-        buffer_after_minutes: typeConfig.buffer_after_minutes
+        buffer_after_minutes: typeConfig.buffer_after_minutes,
+        // Which providers are free at each slot (only when slots span several providers)
+        ...(candidates.length > 1 ? { slot_providers: slotProviders } : {}),
+        // Open seats at each slot for group appointment types
+        ...(seatsRemaining ? { seats_remaining: seatsRemaining } : {}),
+        // Holiday or other practice closure
+        ...(closure ? { closed: true, closure_reason: closure.reason || null } : {})
       };
 
     } catch (error) {
@@ -655,6 +774,108 @@ Rescheduled from: ${appointment.date} at ${appointment.time}
     }
   }
 
+  /**
+   * Get a provider's working hours for a date
+   * @param {Object} provider - Registered provider row
+   * @param {String} date - Date in YYYY-MM-DD format
+   * @returns {Array} - [{ start: "HH:MM", end: "HH:MM" }]
+   */
+  static getWorkingHours(provider, date) {
+    return this._getWorkingWindows(provider, date).map(w => ({
+      start: ProviderScheduleService.fromMinutes(w.start),
+      end: ProviderScheduleService.fromMinutes(w.end)
+    }));
+  }
+
+  /**
+   * Check whether a single date/time can be booked, without booking it
+   * @param {String} date - Date in YYYY-MM-DD format
+   * @param {String} time - Time (HH:MM or "2:00 PM")
+   * @param {String} appointmentType - Type of appointment (optional)
+   * @param {String} provider - Provider ID or name (optional - first free provider when omitted)
+   * @param {String} timezone - Timezone (optional)
+   * @returns {Object} - { available, reason, provider, date, time }
+   */
+  static async checkAvailability(date, time, appointmentType = null, provider = null, timezone = null) {
+    const typeConfig = SchedulingConfigService.resolveAppointmentType(appointmentType);
+    const appointmentDateTime = this._parseDateTime(
+      date,
+      time,
+      timezone || SchedulingConfigService.getSettings().timezone,
+      typeConfig.duration_minutes
+    );
+
+    const isGroup = this.isGroupType(appointmentType);
+    const result = isGroup
+      ? await this._findGroupSeat(provider, appointmentDateTime, appointmentType, typeConfig, null)
+      : this._findAvailableProvider(provider, appointmentDateTime, typeConfig, null);
+
+    return {
+      available: result.available,
+      reason: result.reason || null,
+      provider: result.provider || null,
+      date: appointmentDateTime.date,
+      time: appointmentDateTime.time,
+      start_time: appointmentDateTime.startISO,
+      end_time: appointmentDateTime.endISO,
+      ...(isGroup ? { session: result.session, seats_remaining: result.seats_remaining } : {})
+    };
+  }
+
+  /**
+   * Hold a slot for a voice call so nobody else can book it while the caller decides
+   * The check and the insert run under SQLite's write lock.
+   * @param {String} callId - Voice call the hold belongs to
+   * @param {Object} slot - { date, time, appointment_type?, provider?, timezone? }
+   * @param {String} expiresAt - ISO time the hold lapses
+   * @returns {Object|null} - Hold row, or null when the slot is no longer free
+   */
+  static holdSlot(callId, slot, expiresAt) {
+    const typeConfig = SchedulingConfigService.resolveAppointmentType(slot.appointment_type);
+    const appointmentDateTime = this._parseDateTime(
+      slot.date,
+      slot.time,
+      slot.timezone || SchedulingConfigService.getSettings().timezone,
+      typeConfig.duration_minutes
+    );
+
+    return db.runExclusive(() => {
+      const check = this._findAvailableProvider(slot.provider, appointmentDateTime, typeConfig, null, callId);
+      if (!check.available) return null;
+
+      const hold = {
+        id: `hold-${uuidv4()}`,
+        call_id: callId,
+        date: appointmentDateTime.date,
+        time: appointmentDateTime.time,
+        start_time: appointmentDateTime.startISO,
+        end_time: appointmentDateTime.endISO,
+        appointment_type: typeConfig.name,
+        provider_id: check.provider ? check.provider.id : null,
+        provider: check.provider ? check.provider.name : null,
+        expires_at: expiresAt
+      };
+      db.createSlotHold(hold);
+      return hold;
+    });
+  }
+
+  /**
+   * Get the configuration for an appointment type
+   * @returns {Object|null} - { duration_minutes, buffer_before_minutes, buffer_after_minutes, capacity?, color }
+   */
+  static getAppointmentType(appointmentType) {
+    return SchedulingConfigService.getAppointmentType(appointmentType);
+  }
+
+  /**
+   * Whether an appointment type is booked as seats in a shared group session
+   */
+  static isGroupType(appointmentType) {
+    const typeConfig = SchedulingConfigService.getAppointmentType(appointmentType);
+    return !!typeConfig && typeConfig.capacity > 1;
+  }
+
   // ==================== PRIVATE HELPER METHODS ====================
 
   static _validateAppointmentData(data) {
@@ -666,6 +887,10 @@ Rescheduled from: ${appointment.date} at ${appointment.time}
     }
     if (!data.date) errors.push('Appointment date is required');
     if (!data.time) errors.push('Appointment time is required');
+    if (data.appointment_type) {
+      const type = SchedulingConfigService.getAppointmentType(data.appointment_type);
+      if (type && !type.is_active) errors.push(`${type.name} appointments are not currently offered`);
+    }
 
     return {
       valid: errors.length === 0,
@@ -673,7 +898,9 @@ Rescheduled from: ${appointment.date} at ${appointment.time}
     };
   }
 
-  static _parseDateTime(date, time, timezone = BUSINESS_HOURS.timezone, durationMinutes = 50) {
+  static _parseDateTime(date, time, timezone = null, durationMinutes = 50) {
+    timezone = timezone || SchedulingConfigService.getSettings().timezone;
+
     // Parse date (YYYY-MM-DD)
     const [year, month, day] = date.split('-').map(Number);
 
@@ -733,7 +960,8 @@ Provider: ${appointment.provider}
 
 Notes: ${appointment.notes || 'None'}
 
-Appointment ID: ${appointment.id}
+Appointment ID: ${appointment.id}${appointment.series_id ? `
+Series: ${appointment.series_id} (session ${appointment.series_index})` : ''}
       `.trim(),
       start: {
         dateTime: appointment.start_time,
@@ -751,11 +979,15 @@ Appointment ID: ${appointment.id}
           { method: 'popup', minutes: 60 }        // 1 hour before
         ]
       },
-      colorId: '9'  // Blue color for mental health appointments
+      colorId: '9',  // Blue color for mental health appointments
+      // Lets calendar sync tell DocLittle's events apart from the provider's own
+      extendedProperties: {
+        private: { doclittle_appointment_id: appointment.id }
+      }
     };
 
     const response = await calendar.events.insert({
-      calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary',
+      calendarId: this.getCalendarId(appointment.provider_id),
       resource: event
     });
 
@@ -765,30 +997,64 @@ Appointment ID: ${appointment.id}
   /**
    * Generate time slots with advanced scheduling logic
    * Accounts for appointment duration and buffer times
+   * @param {Array} windows - Working windows [{ start, end }] in minutes from midnight
    */
-  static _generateTimeSlotsAdvanced(businessHours, durationMinutes, bufferBefore, bufferAfter) {
+  static _generateTimeSlotsAdvanced(windows, durationMinutes, bufferBefore, bufferAfter) {
     const slots = [];
-    const interval = BUSINESS_HOURS.slot_interval_minutes; // 15 minutes
+    const interval = SchedulingConfigService.getSettings().slot_interval_minutes;
     const totalSlotMinutes = durationMinutes + bufferBefore + bufferAfter;
 
-    // Generate slots starting from business start time
-    for (let hour = businessHours.start; hour < businessHours.end; hour++) {
-      for (let minute = 0; minute < 60; minute += interval) {
-        const slotEndHour = hour + Math.floor((minute + totalSlotMinutes) / 60);
-        const slotEndMinute = (minute + totalSlotMinutes) % 60;
-
-        // Check if slot fits within business hours
-        if (slotEndHour < businessHours.end || 
-            (slotEndHour === businessHours.end && slotEndMinute === 0)) {
-          const timeStr = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-          slots.push(timeStr);
-        }
+    for (const window of windows) {
+      // Align the first slot to the slot interval
+      const firstSlot = Math.ceil(window.start / interval) * interval;
+
+      // Check if slot fits within the working window
+      for (let minute = firstSlot; minute + totalSlotMinutes <= window.end; minute += interval) {
+        slots.push(ProviderScheduleService.fromMinutes(minute));
       }
     }
 
     return slots;
   }
 
+  /**
+   * Generate candidate slots for a set of working windows and split them into
+   * available and booked against the given appointments
+   */
+  static _computeSlots(date, typeConfig, timezone, windows, existingAppointments) {
+    const allSlots = this._generateTimeSlotsAdvanced(
+      windows,
+      typeConfig.duration_minutes,
+      typeConfig.buffer_before_minutes,
+      typeConfig.buffer_after_minutes
+    );
+
+    const availableSlots = [];
+    const bookedSlots = [];
+
+    for (const slotTime of allSlots) {
+      const slotStart = this._timeToDate(date, slotTime, timezone);
+      const slotEnd = new Date(slotStart.getTime() + 
+        (typeConfig.duration_minutes + typeConfig.buffer_before_minutes + typeConfig.buffer_after_minutes) * 60 * 1000);
+
+      // Check for conflicts with existing appointments
+      const hasConflict = this._hasTimeConflict(
+        slotStart,
+        slotEnd,
+        existingAppointments,
+        typeConfig
+      );
+
+      if (!hasConflict) {
+        availableSlots.push(slotTime);
+      } else {
+        bookedSlots.push(slotTime);
+      }
+    }
+
+    return { allSlots, availableSlots, bookedSlots };
+  }
+
   /**
    * Check if a time slot has conflicts with existing appointments
    * Accounts for buffer times and overlapping appointments
@@ -796,14 +1062,16 @@ Appointment ID: ${appointment.id}
   static _hasTimeConflict(slotStart, slotEnd, existingAppointments, typeConfig) {
     for (const appt of existingAppointments) {
       // Skip cancelled appointments
-      if (appt.status === 'cancelled') continue;
+      if (AppointmentLifecycleService.isReleased(appt.status)) continue;
 
       const apptStart = new Date(appt.start_time);
       const apptEnd = new Date(appt.end_time);
 
       // Get appointment type config to calculate total blocked time
-      const apptTypeConfig = APPOINTMENT_TYPES[appt.appointment_type] || 
-                            APPOINTMENT_TYPES['Mental Health Consultation'];
+      // (external calendar events block only their own time)
+      const apptTypeConfig = appt.status === 'busy'
+        ? { buffer_before_minutes: 0, buffer_after_minutes: 0 }
+        : SchedulingConfigService.resolveAppointmentType(appt.appointment_type);
       
       // Calculate total blocked time (appointment + buffers)
       const apptBlockedStart = new Date(apptStart.getTime() - apptTypeConfig.buffer_before_minutes * 60 * 1000);
@@ -822,16 +1090,241 @@ Appointment ID: ${appointment.id}
     return false; // No conflict
   }
 
+  /**
+   * Pick the provider for a booking
+   * Uses the requested provider when given; otherwise the first active provider who is free.
+   * Practices without registered providers fall back to the practice-wide check.
+   * Synchronous, so it can run inside a write transaction.
+   * @param {String} callId - Voice call whose own slot holds are ignored (optional)
+   * @returns {Object} - { available, reason, provider }
+   */
+  static _findAvailableProvider(requestedProvider, appointmentDateTime, typeConfig, excludeAppointmentId = null, callId = null) {
+    const check = (provider) => this._checkSlotAvailability(
+      appointmentDateTime.startISO,
+      appointmentDateTime.endISO,
+      typeConfig,
+      appointmentDateTime.date,
+      excludeAppointmentId,
+      provider,
+      callId
+    );
+
+    if (requestedProvider) {
+      const provider = ProviderScheduleService.resolveProvider(requestedProvider);
+      return { ...check(provider), provider };
+    }
+
+    const candidates = ProviderScheduleService.getActiveProviders();
+    if (candidates.length === 0) {
+      return { ...check(null), provider: null };
+    }
+
+    for (const candidate of candidates) {
+      const result = check(candidate);
+      if (result.available) {
+        console.log('👤 Assigned provider:', candidate.name);
+        return { available: true, provider: candidate };
+      }
+    }
+
+    return {
+      available: false,
+      reason: 'No provider is available at this time',
+      provider: null
+    };
+  }
+
+  /**
+   * Appointments, pending waitlist holds, voice call slot holds, group sessions and
+   * Google Calendar busy times for a date
+   * @param {Object} provider - Registered provider row; null returns every appointment and hold that day
+   * @param {String} callId - Voice call whose own slot holds are left out
+   */
+  static _getBookedEntries(date, provider = null, callId = null) {
+    const appointments = provider
+      ? db.getAppointmentsByDateAndProvider(date, provider.id, provider.name)
+      : db.getAppointmentsByDate(date);
+
+    const holds = [...db.getActiveWaitlistHolds(date), ...db.getActiveSlotHolds(date, callId)]
+      .filter(hold => !provider || !hold.provider_id || hold.provider_id === provider.id)
+      .map(hold => ({
+        id: hold.id,
+        appointment_type: hold.appointment_type,
+        start_time: hold.start_time,
+        end_time: hold.end_time,
+        status: 'held'
+      }));
+
+    // Group sessions block the calendar even before (or after) anyone holds a seat
+    const sessions = db.getGroupSessionsByDate(date)
+      .filter(session => !provider || !session.provider_id || session.provider_id === provider.id)
+      .map(session => ({
+        id: session.id,
+        appointment_type: session.appointment_type,
+        start_time: session.start_time,
+        end_time: session.end_time,
+        status: 'group'
+      }));
+
+    // Events providers added directly in Google Calendar (pulled in by CalendarSyncService)
+    const busy = db.getCalendarBusyBlocks(date)
+      .filter(block => !provider || !block.provider_id || block.provider_id === provider.id)
+      .map(block => ({
+        id: block.id,
+        appointment_type: null,
+        start_time: block.start_time,
+        end_time: block.end_time,
+        status: 'busy'
+      }));
+
+    return [...appointments, ...holds, ...sessions, ...busy];
+  }
+
+  /**
+   * Offer a slot freed by a cancellation or reschedule to the waitlist
+   * Runs in the background so the caller is never blocked or failed by notifications
+   * @param {Object} appointment - Appointment row as it was before the change
+   */
+  static _offerFreedSlot(appointment) {
+    // Required lazily: WaitlistService books through BookingService
+    const WaitlistService = require('./waitlist-service');
+    WaitlistService.handleFreedSlot(appointment).catch(error => {
+      console.warn('⚠️  Waitlist offer failed:', error.message);
+    });
+  }
+
+  // Required lazily: SlotHoldService creates holds through BookingService
+  static _getSlotHoldService() {
+    return require('./slot-hold-service');
+  }
+
+  /**
+   * Find a seat for a group appointment type
+   * Joins the scheduled session starting at this time; otherwise checks the slot
+   * is free for a new session like a regular booking.
+   * @returns {Object} - { available, reason, provider, session, seats_remaining }
+   */
+  static async _findGroupSeat(requestedProvider, appointmentDateTime, appointmentType, typeConfig, excludeAppointmentId = null, callId = null) {
+    // Required lazily: GroupSessionService cancels seats through BookingService
+    const GroupSessionService = require('./group-session-service');
+    const provider = ProviderScheduleService.resolveProvider(requestedProvider);
+    const session = GroupSessionService.findSession(appointmentDateTime.date, appointmentDateTime.time, appointmentType, provider);
+
+    if (session) {
+      const seats = GroupSessionService.getSeatsRemaining(session, excludeAppointmentId);
+      return {
+        available: seats > 0,
+        reason: seats > 0 ? null : 'Group session is full',
+        provider: ProviderScheduleService.resolveProvider(session.provider_id),
+        session,
+        seats_remaining: seats
+      };
+    }
+
+    const result = this._findAvailableProvider(requestedProvider, appointmentDateTime, typeConfig, excludeAppointmentId, callId);
+    return { ...result, session: null, seats_remaining: result.available ? typeConfig.capacity : 0 };
+  }
+
+  /**
+   * Take a seat in the session found by _findGroupSeat, or start the session
+   * Seats are counted again here because the lookup and the insert are separated by awaits.
+   * @param {Object} slot - Appointment fields for the session (type, provider, date, time, start/end)
+   * @returns {Object} - Group session row
+   */
+  static _claimGroupSeat(session, slot, typeConfig, excludeAppointmentId = null) {
+    const GroupSessionService = require('./group-session-service');
+    const current = session
+      ? db.getGroupSession(session.id)
+      : GroupSessionService.findSession(slot.date, slot.time, slot.appointment_type, slot.provider_id ? { id: slot.provider_id } : null);
+
+    if (!current) {
+      return GroupSessionService.createSessionRecord({
+        appointment_type: slot.appointment_type,
+        provider: slot.provider,
+        provider_id: slot.provider_id || null,
+        date: slot.date,
+        time: slot.time,
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+        duration_minutes: slot.duration_minutes,
+        capacity: typeConfig.capacity
+      });
+    }
+
+    if (current.status !== 'scheduled' || GroupSessionService.getSeatsRemaining(current, excludeAppointmentId) <= 0) {
+      throw new Error('Group session is full');
+    }
+    return current;
+  }
+
+  /**
+   * Merge scheduled group sessions into a day's slots
+   * Slots free for a new session seat a full group; slots with a session report its open seats.
+   * @returns {Object} - { allSlots, availableSlots, bookedSlots, seatsRemaining }
+   */
+  static _applyGroupSeats(date, appointmentType, typeConfig, candidates, slots, slotProviders) {
+    const GroupSessionService = require('./group-session-service');
+    const seatsRemaining = {};
+    const allSet = new Set(slots.allSlots);
+
+    for (const slot of slots.availableSlots) {
+      seatsRemaining[slot] = typeConfig.capacity;
+    }
+
+    const sessions = db.getGroupSessionsByDate(date).filter(session =>
+      session.appointment_type === appointmentType &&
+      (candidates.length === 0 || !session.provider_id || candidates.some(c => c.id === session.provider_id))
+    );
+
+    for (const session of sessions) {
+      const seats = GroupSessionService.getSeatsRemaining(session);
+      allSet.add(session.time);
+      seatsRemaining[session.time] = (seatsRemaining[session.time] || 0) + seats;
+
+      if (seats > 0 && candidates.length > 1) {
+        const providers = slotProviders[session.time] = slotProviders[session.time] || [];
+        if (!providers.includes(session.provider)) providers.push(session.provider);
+      }
+    }
+
+    const allSlots = [...allSet].sort();
+    const availableSlots = allSlots.filter(slot => seatsRemaining[slot] > 0);
+    for (const slot of Object.keys(seatsRemaining)) {
+      if (!(seatsRemaining[slot] > 0)) delete seatsRemaining[slot];
+    }
+
+    return {
+      allSlots,
+      availableSlots,
+      bookedSlots: allSlots.filter(slot => !seatsRemaining[slot]),
+      seatsRemaining
+    };
+  }
+
+  /**
+   * Working windows for a provider (or the whole practice when null) on a date
+   * Practice closures apply to every provider, whatever their own schedule says
+   */
+  static _getWorkingWindows(provider, date) {
+    const practiceWindows = SchedulingConfigService.getWorkingWindows(date);
+    if (!provider) return practiceWindows;
+    if (SchedulingConfigService.getClosure(date)) return [];
+    return ProviderScheduleService.getWorkingWindows(provider, date, practiceWindows);
+  }
+
   /**
    * Check if a specific slot is available for booking
+   * Synchronous, so it can run inside a write transaction.
    * @param {String} excludeAppointmentId - Appointment ID to exclude from conflict check (for reschedules)
+   * @param {Object} provider - Registered provider row; null checks against all appointments and business hours
+   * @param {String} callId - Voice call whose own slot holds are ignored (optional)
    */
-  static async _checkSlotAvailability(startISO, endISO, typeConfig, date, excludeAppointmentId = null) {
+  static _checkSlotAvailability(startISO, endISO, typeConfig, date, excludeAppointmentId = null, provider = null, callId = null) {
     const slotStart = new Date(startISO);
     const slotEnd = new Date(endISO);
 
-    // Get existing appointments for the date
-    let existingAppointments = db.getAppointmentsByDate(date);
+    // Get existing appointments and holds for the date (only this provider's when known)
+    let existingAppointments = this._getBookedEntries(date, provider, callId);
 
     // Exclude the appointment being rescheduled from conflict check
     if (excludeAppointmentId) {
@@ -855,34 +1348,22 @@ Appointment ID: ${appointment.id}
       };
     }
 
-    // Check if within business hours
-    // Note: We check the appointment end time (without buffer after) against business hours
-    // Buffer after can extend slightly past business hours, but the appointment itself must end by 17:00
-    const businessStart = new Date(slotStart);
-    businessStart.setHours(BUSINESS_HOURS.start, 0, 0, 0);
-    
-    const businessEnd = new Date(slotStart);
-    businessEnd.setHours(BUSINESS_HOURS.end, 0, 0, 0); // 17:00
+    // Check if within working hours
+    // Note: We check the appointment end time (without buffer after) against working hours
+    // Buffer after can extend slightly past closing, but the appointment itself must end by then
+    const windows = this._getWorkingWindows(provider, date);
 
-    // Calculate appointment end time (without buffer after)
     // slotStart is the actual appointment start time (after buffer before)
     // So we only need to add the appointment duration
-    const appointmentEndTime = new Date(slotStart.getTime() + typeConfig.duration_minutes * 60 * 1000);
-
-    // Check if appointment start is before business hours
-    if (slotStart < businessStart) {
-      return {
-        available: false,
-        reason: `Time slot is outside business hours (${BUSINESS_HOURS.start}:00 - ${BUSINESS_HOURS.end}:00)`
-      };
-    }
+    const startMinutes = slotStart.getHours() * 60 + slotStart.getMinutes();
+    const appointmentEndMinutes = startMinutes + typeConfig.duration_minutes;
 
-    // Check if appointment end (without buffer after) is after business hours
-    // Allow appointments that end exactly at or before 17:00
-    if (appointmentEndTime > businessEnd) {
+    if (!ProviderScheduleService.fitsWithin(windows, startMinutes, appointmentEndMinutes)) {
       return {
         available: false,
-        reason: `Time slot is outside business hours (${BUSINESS_HOURS.start}:00 - ${BUSINESS_HOURS.end}:00)`
+        reason: provider
+          ? `Time slot is outside ${provider.name}'s working hours`
+          : `Time slot is outside business hours (${SchedulingConfigService.describeHours(date)})`
       };
     }
 
@@ -937,8 +1418,19 @@ Appointment ID: ${appointment.id}
         hour12: true
       }),
       provider: appointment.provider,
+      provider_id: appointment.provider_id || null,
+      series_id: appointment.series_id || null,
+      series_index: appointment.series_index || null,
+      group_session_id: appointment.group_session_id || null,
+      attendance_status: appointment.attendance_status || null,
+      checked_in_at: appointment.checked_in_at || null,
       duration_minutes: appointment.duration_minutes,
       status: appointment.status,
+      confirmed_at: appointment.confirmed_at || null,
+      session_started_at: appointment.session_started_at || null,
+      completed_at: appointment.completed_at || null,
+      no_show_at: appointment.no_show_at || null,
+      cancelled_at: appointment.cancelled_at || null,
       calendar_link: appointment.calendar_link,
       created_at: appointment.created_at
     };
@@ -0,0 +1,337 @@
+/**
+ * Calendar Sync Service
+ *
+ * Two-way Google Calendar sync. Events providers add directly in their calendars
+ * (personal appointments, supervision) are pulled in as busy blocks that availability
+ * respects. DocLittle-created events that are moved or deleted in Google Calendar
+ * update or cancel the matching appointment.
+ *
+ * Each calendar is read incrementally with Google's sync tokens every
+ * GOOGLE_CALENDAR_SYNC_MINUTES. Set GOOGLE_CALENDAR_API_URL to run against a local
+ * stand-in for the Calendar API instead of Google.
+ */
+
+const db = require('../database');
+const BookingService = require('./booking-service');
+const EmailService = require('./email-service');
+const AppointmentLifecycleService = require('./appointment-lifecycle-service');
+const ProviderScheduleService = require('./provider-schedule-service');
+
+const SYNC_MINUTES = parseInt(process.env.GOOGLE_CALENDAR_SYNC_MINUTES, 10) || 5;
+// How far back the first (full) sync of a calendar reads
+const INITIAL_LOOKBACK_DAYS = 7;
+
+class CalendarSyncService {
+  static intervalId = null;
+  static isRunning = false;
+
+  /**
+   * Calendars to sync: the shared practice calendar plus every active provider's own calendar
+   * @returns {Array} - [{ calendar_id, provider_id, provider }]
+   */
+  static getCalendars() {
+    const practiceCalendarId = BookingService.getCalendarId(null);
+    const calendars = [{ calendar_id: practiceCalendarId, provider_id: null, provider: null }];
+
+    for (const provider of ProviderScheduleService.getActiveProviders()) {
+      if (provider.calendar_id && !calendars.some(c => c.calendar_id === provider.calendar_id)) {
+        calendars.push({ calendar_id: provider.calendar_id, provider_id: provider.id, provider: provider.name });
+      }
+    }
+    return calendars;
+  }
+
+  /**
+   * Sync every calendar
+   * @returns {Object} - { success, results: [per-calendar stats] }
+   */
+  static async syncAll() {
+    const calendar = BookingService.getCalendarClient();
+    if (!calendar) {
+      return { success: false, error: 'Google Calendar is not configured', results: [] };
+    }
+
+    const results = [];
+    for (const target of this.getCalendars()) {
+      results.push(await this.syncCalendar(target, calendar));
+    }
+    return { success: results.every(r => r.success), results };
+  }
+
+  /**
+   * Pull changes from one calendar since its last sync
+   * @param {Object} target - { calendar_id, provider_id }
+   * @returns {Object} - { success, calendar_id, full_sync, busy_blocks, removed, moved, cancelled }
+   */
+  static async syncCalendar(target, calendar = BookingService.getCalendarClient()) {
+    const state = db.getCalendarSyncState(target.calendar_id);
+    const stats = {
+      calendar_id: target.calendar_id,
+      full_sync: !(state && state.sync_token),
+      busy_blocks: 0,
+      removed: 0,
+      moved: 0,
+      cancelled: 0
+    };
+
+    try {
+      let changes;
+      try {
+        changes = await this._listChanges(calendar, target.calendar_id, state && state.sync_token);
+      } catch (error) {
+        // 410 Gone: Google expired the sync token; start again with a full sync
+        if (Number(error.code || (error.response && error.response.status)) !== 410) throw error;
+        console.warn(`⚠️  Sync token expired for ${target.calendar_id}, running a full sync`);
+        db.clearCalendarBusyBlocks(target.calendar_id);
+        stats.full_sync = true;
+        changes = await this._listChanges(calendar, target.calendar_id, null);
+      }
+
+      for (const event of changes.events) {
+        const outcome = await this._applyEvent(target, event);
+        if (outcome) stats[outcome]++;
+      }
+
+      db.saveCalendarSyncState({
+        calendar_id: target.calendar_id,
+        provider_id: target.provider_id,
+        sync_token: changes.nextSyncToken,
+        last_synced_at: new Date().toISOString(),
+        last_error: null
+      });
+
+      if (changes.events.length > 0) {
+        console.log(`📆 Synced ${target.calendar_id}: ${changes.events.length} change(s)`, stats);
+      }
+      return { success: true, ...stats };
+    } catch (error) {
+      console.error(`❌ Calendar sync failed for ${target.calendar_id}:`, error.message);
+      db.saveCalendarSyncState({
+        calendar_id: target.calendar_id,
+        provider_id: target.provider_id,
+        sync_token: state ? state.sync_token : null,
+        last_synced_at: state ? state.last_synced_at : null,
+        last_error: error.message
+      });
+      return { success: false, calendar_id: target.calendar_id, error: error.message };
+    }
+  }
+
+  /**
+   * Sync state of every calendar
+   */
+  static getStatus() {
+    const states = db.getAllCalendarSyncStates();
+    return this.getCalendars().map(target => {
+      const state = states.find(s => s.calendar_id === target.calendar_id);
+      return {
+        ...target,
+        last_synced_at: state ? state.last_synced_at : null,
+        last_error: state ? state.last_error : null
+      };
+    });
+  }
+
+  /**
+   * Busy blocks on a date (start/end times only - event details are never stored)
+   * @param {String} providerId - Limit to blocks affecting this provider (optional)
+   */
+  static getBusyBlocks(date, providerId = null) {
+    return db.getCalendarBusyBlocks(date)
+      .filter(block => !providerId || !block.provider_id || block.provider_id === providerId)
+      .map(block => ({
+        calendar_id: block.calendar_id,
+        provider_id: block.provider_id,
+        start_time: block.start_time,
+        end_time: block.end_time,
+        all_day: !!block.all_day
+      }));
+  }
+
+  /**
+   * Start the periodic sync
+   */
+  static start() {
+    if (this.isRunning) {
+      console.log('⚠️  Calendar sync already running');
+      return;
+    }
+    if (!BookingService.getCalendarClient()) {
+      console.log('ℹ️  Google Calendar sync disabled (no credentials)');
+      return;
+    }
+
+    this.isRunning = true;
+    const run = () => this.syncAll().catch(error => console.error('❌ Error syncing calendars:', error));
+    run();
+    this.intervalId = setInterval(run, SYNC_MINUTES * 60 * 1000);
+
+    console.log(`✅ Google Calendar sync started (every ${SYNC_MINUTES} minutes)`);
+  }
+
+  /**
+   * Stop the periodic sync
+   */
+  static stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  /**
+   * Every event changed since syncToken (or, without one, every event from the lookback on)
+   * @returns {Object} - { events, nextSyncToken }
+   */
+  static async _listChanges(calendar, calendarId, syncToken) {
+    const params = { calendarId, singleEvents: true, showDeleted: true, maxResults: 250 };
+    if (syncToken) {
+      params.syncToken = syncToken;
+    } else {
+      params.timeMin = new Date(Date.now() - INITIAL_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    const events = [];
+    let pageToken = null;
+    let nextSyncToken = null;
+    do {
+      const response = await calendar.events.list({ ...params, ...(pageToken ? { pageToken } : {}) });
+      events.push(...(response.data.items || []));
+      pageToken = response.data.nextPageToken || null;
+      nextSyncToken = response.data.nextSyncToken || nextSyncToken;
+    } while (pageToken);
+
+    return { events, nextSyncToken };
+  }
+
+  /**
+   * Apply one changed event
+   * @returns {String|null} - Stats key for what happened
+   */
+  static async _applyEvent(target, event) {
+    const appointment = this._findAppointment(event);
+    if (appointment) {
+      return this._applyToAppointment(appointment, event);
+    }
+
+    // Cancelled or "free" events no longer block the provider
+    if (event.status === 'cancelled' || event.transparency === 'transparent') {
+      return db.deleteCalendarBusyBlock(target.calendar_id, event.id).changes > 0 ? 'removed' : null;
+    }
+
+    const block = this._toBusyBlock(target, event);
+    if (!block) return null;
+    db.upsertCalendarBusyBlock(block);
+    return 'busy_blocks';
+  }
+
+  /**
+   * DocLittle appointment behind an event, if it is one of ours
+   * Deleted events come back without their properties, so fall back to the stored event ID
+   */
+  static _findAppointment(event) {
+    const appointmentId = event.extendedProperties &&
+      event.extendedProperties.private &&
+      event.extendedProperties.private.doclittle_appointment_id;
+    return (appointmentId && db.getAppointment(appointmentId)) || db.getAppointmentByCalendarEventId(event.id) || null;
+  }
+
+  /**
+   * Mirror a calendar edit or deletion onto the appointment
+   */
+  static async _applyToAppointment(appointment, event) {
+    // Visits already checked in, seen or cancelled are not changed from the calendar
+    if (!AppointmentLifecycleService.isUpcoming(appointment.status)) return null;
+
+    if (event.status === 'cancelled') {
+      // The event is already gone, so there is nothing for the cancellation to delete
+      db.updateAppointment(appointment.id, { calendar_event_id: null });
+      const result = await BookingService.cancelAppointment(appointment.id, 'Deleted from Google Calendar', { actor: 'google_calendar' });
+      return result.success ? 'cancelled' : null;
+    }
+
+    const times = this._eventTimes(event);
+    if (!times || times.allDay) return null;
+    if (times.start.getTime() === new Date(appointment.start_time).getTime() &&
+        times.end.getTime() === new Date(appointment.end_time).getTime()) {
+      return null;
+    }
+
+    // Each group attendee has their own event; moving one cannot move the session
+    if (appointment.group_session_id) {
+      console.warn(`⚠️  Ignoring calendar move of group seat ${appointment.id}; reschedule the session instead`);
+      return null;
+    }
+
+    const date = this._localDate(times.start);
+    const time = ProviderScheduleService.fromMinutes(times.start.getHours() * 60 + times.start.getMinutes());
+    const moveNote = `Moved in Google Calendar from ${appointment.date} at ${appointment.time}`;
+
+    db.updateAppointment(appointment.id, {
+      date,
+      time,
+      start_time: times.start.toISOString(),
+      end_time: times.end.toISOString(),
+      duration_minutes: Math.round((times.end - times.start) / 60000),
+      notes: appointment.notes ? `${appointment.notes}\n${moveNote}` : moveNote
+    });
+    console.log(`📆 Appointment ${appointment.id} moved in Google Calendar to ${date} ${time}`);
+
+    BookingService._offerFreedSlot(appointment);
+
+    const moved = db.getAppointment(appointment.id);
+    if (moved.patient_email) {
+      try {
+        await EmailService.sendAppointmentRescheduled(moved, `${appointment.date} at ${appointment.time}`);
+      } catch (emailError) {
+        console.warn('⚠️  Reschedule email failed:', emailError.message);
+      }
+    }
+    return 'moved';
+  }
+
+  static _toBusyBlock(target, event) {
+    const times = this._eventTimes(event);
+    if (!times || times.end <= times.start) return null;
+
+    return {
+      calendar_id: target.calendar_id,
+      event_id: event.id,
+      provider_id: target.provider_id,
+      start_date: this._localDate(times.start),
+      // End is exclusive; the block's last day is the one containing its final minute
+      end_date: this._localDate(new Date(times.end.getTime() - 1)),
+      start_time: times.start.toISOString(),
+      end_time: times.end.toISOString(),
+      all_day: times.allDay
+    };
+  }
+
+  /**
+   * Event start/end as Dates (all-day events span local midnight to midnight)
+   */
+  static _eventTimes(event) {
+    if (!event.start || !event.end) return null;
+    if (event.start.date) {
+      return {
+        start: new Date(`${event.start.date}T00:00:00`),
+        end: new Date(`${event.end.date}T00:00:00`),
+        allDay: true
+      };
+    }
+    return {
+      start: new Date(event.start.dateTime),
+      end: new Date(event.end.dateTime),
+      allDay: false
+    };
+  }
+
+  static _localDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+}
+
+module.exports = CalendarSyncService;
@@ -0,0 +1,577 @@
+/**
+ * Claim EDI Service
+ *
+ * Builds X12 5010 837P (professional claim) files locally, so claims no longer depend on a
+ * translation API and can be sent to any clearinghouse:
+ * - ISA/GS/ST envelopes with interchange and group control numbers that never repeat
+ * - Billing provider (2000A/2010AA) and rendering provider (2310B) with NPI and taxonomy
+ * - Subscriber (2000B) and, for dependents, patient (2000C) loops
+ * - Diagnoses in HI, referenced by pointer from each SV1 service line (the claim's lines, see ClaimLineService)
+ * - A line's own rendering provider (2420A) when it isn't the claim's
+ * - Corrected claims (frequency code 7) with the payer's claim number for the original (REF*F8)
+ * - Claims to a secondary or tertiary plan: each earlier payer (2320/2330) with what it paid and
+ *   adjusted for the claim and for each line (2430), from its 835 (see CoordinationOfBenefitsService)
+ * Every file is stored with the claims in it, so it can be downloaded again.
+ *
+ * The practice (billing provider) and the clearinghouse IDs come from the environment; see getSettings.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const X12 = require('./x12');
+const ClaimLineService = require('./claim-line-service');
+const CoordinationOfBenefitsService = require('./coordination-of-benefits-service');
+
+const VERSION = '005010X222A1';
+// Patient relationship to the subscriber (SBR02 / PAT01)
+const RELATIONSHIP_CODES = { self: '18', spouse: '01', child: '19', other: 'G8' };
+// SBR01: which payer this is for the claim
+const SEQUENCE_CODES = { primary: 'P', secondary: 'S', tertiary: 'T' };
+const GENDER_CODES = { male: 'M', female: 'F', m: 'M', f: 'F' };
+// CLM05-3: 1 original, 7 replacement of a prior claim, 8 void of a prior claim
+const FREQUENCY_CODES = ['1', '7', '8'];
+const MAX_DIAGNOSES = 12;
+const MAX_POINTERS = 4;
+// Reason/amount/quantity triples per CAS segment
+const MAX_CAS_ADJUSTMENTS = 6;
+
+class ClaimEDIService {
+  /**
+   * Practice and clearinghouse details used in every file
+   */
+  static getSettings() {
+    const env = process.env;
+    return {
+      sender_id: env.X12_SENDER_ID || 'DOCLITTLE',
+      receiver_id: env.X12_RECEIVER_ID || 'CLEARINGHOUSE',
+      receiver_name: env.X12_RECEIVER_NAME || 'CLEARINGHOUSE',
+      usage_indicator: env.X12_USAGE_INDICATOR === 'P' ? 'P' : 'T',
+      place_of_service: env.BILLING_PLACE_OF_SERVICE || '11',
+      submitter: {
+        name: env.BILLING_PROVIDER_NAME || 'DocLittle Mental Health',
+        contact_name: env.BILLING_CONTACT_NAME || 'Billing Department',
+        contact_phone: env.BILLING_CONTACT_PHONE || null
+      },
+      billing_provider: {
+        name: env.BILLING_PROVIDER_NAME || 'DocLittle Mental Health',
+        npi: env.BILLING_PROVIDER_NPI || null,
+        tax_id: env.BILLING_PROVIDER_TAX_ID || null,
+        taxonomy: env.BILLING_PROVIDER_TAXONOMY || null,
+        address: {
+          line1: env.BILLING_PROVIDER_ADDRESS || null,
+          city: env.BILLING_PROVIDER_CITY || null,
+          state: env.BILLING_PROVIDER_STATE || null,
+          zip: env.BILLING_PROVIDER_ZIP || null
+        }
+      }
+    };
+  }
+
+  /**
+   * Generate one 837P file for stored claims and keep it
+   * Uses the next interchange and group control numbers; each claim is its own transaction set.
+   * @param {Array} claimIds - insurance_claims ids
+   * @param {Object} options - { actor? }
+   * @returns {Object} - The export, including the EDI content
+   */
+  static exportClaims(claimIds, options = {}) {
+    if (!Array.isArray(claimIds) || claimIds.length === 0) {
+      throw new Error('Validation failed: claim_ids must list at least one claim');
+    }
+
+    const settings = this.getSettings();
+    const claims = claimIds.map(id => {
+      const record = db.getInsuranceClaim(id);
+      if (!record) {
+        throw new Error(`Claim not found: ${id}`);
+      }
+      return this.loadClaim(record, settings);
+    });
+
+    const errors = claims.flatMap(claim => this.validateClaim(claim).map(error => `${claim.claim_id}: ${error}`));
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join('; ')}`);
+    }
+
+    for (const claim of claims) {
+      const record = db.getInsuranceClaim(claim.claim_id);
+      if (!record.patient_control_number) {
+        db.setClaimPatientControlNumber(claim.claim_id, claim.patient_control_number);
+      }
+    }
+
+    const createdAt = new Date();
+    const envelope = {
+      ...settings,
+      interchange_control_number: db.nextX12ControlNumber('interchange'),
+      group_control_number: db.nextX12ControlNumber('group'),
+      created_at: createdAt
+    };
+    const content = this.build837(claims, envelope);
+
+    const id = `edi-${uuidv4()}`;
+    const icn = String(envelope.interchange_control_number).padStart(9, '0');
+    const ediExport = {
+      id,
+      file_name: `837P-${icn}-${X12.date(createdAt)}.edi`,
+      interchange_control_number: envelope.interchange_control_number,
+      group_control_number: envelope.group_control_number,
+      usage_indicator: envelope.usage_indicator,
+      claim_count: claims.length,
+      total_charge: this._round(claims.reduce((sum, claim) => sum + claim.total_charge, 0)),
+      content,
+      created_by: options.actor || null
+    };
+    db.createClaimEdiExport(ediExport, claims.map((claim, index) => ({
+      claim_id: claim.claim_id,
+      patient_control_number: claim.patient_control_number,
+      transaction_set_control_number: X12.transactionSetNumber(index)
+    })));
+
+    console.log(`📤 837P ${ediExport.file_name} generated (${claims.length} claim(s), ISA ${icn})`);
+    return this.getExport(id);
+  }
+
+  /**
+   * A generated file with its claims
+   */
+  static getExport(id) {
+    const ediExport = db.getClaimEdiExport(id);
+    if (!ediExport) return null;
+    return {
+      ...ediExport,
+      claims: db.getClaimEdiExportClaims(id).map(claim => ({
+        claim_id: claim.claim_id,
+        patient_control_number: claim.patient_control_number,
+        transaction_set_control_number: claim.transaction_set_control_number
+      }))
+    };
+  }
+
+  /**
+   * Generated files, newest first (without content)
+   * @param {Object} filters - { claim_id?, limit? }
+   */
+  static listExports(filters = {}) {
+    return db.getClaimEdiExports({
+      claim_id: filters.claim_id || null,
+      limit: Math.min(parseInt(filters.limit, 10) || 100, 500)
+    });
+  }
+
+  /**
+   * Gather everything the 837P needs for a stored claim
+   * Service lines are the claim's lines (ClaimLineService.linesFor); a line without diagnosis
+   * pointers points at the first four diagnoses.
+   * @param {Object} record - insurance_claims row
+   * @returns {Object} - Claim in the shape build837 takes
+   */
+  static loadClaim(record, settings = this.getSettings()) {
+    const appointment = record.appointment_id ? db.getAppointment(record.appointment_id) : null;
+    const patientRecord = record.patient_id ? db.getFHIRPatient(record.patient_id) : null;
+    const patient = patientRecord
+      ? this._patientFromFHIR(patientRecord.resource_data)
+      : { ...X12.splitName(appointment ? appointment.patient_name : null), dob: null, gender: null, address: null };
+    const insurance = record.patient_id ? db.getPatientInsurance(record.patient_id, record.member_id) : null;
+    const payer = db.getPayerByPayerId(record.payer_id);
+    const relationship = (insurance && insurance.relationship_code) || 'self';
+
+    const subscriber = relationship === 'self'
+      ? { ...patient }
+      : {
+        ...X12.splitName(insurance.subscriber_name),
+        dob: insurance.subscriber_dob || null,
+        gender: this._gender(insurance.subscriber_gender),
+        address: patient.address
+      };
+
+    const dateOfService = record.date_of_service || (appointment && appointment.date) ||
+      (record.submitted_at ? String(record.submitted_at).slice(0, 10) : null);
+    const diagnoses = this._codes(record.diagnosis_code);
+
+    return {
+      claim_id: record.id,
+      patient_control_number: record.patient_control_number || this._patientControlNumber(record.id),
+      frequency_code: record.frequency_code || '1',
+      payer_claim_control_number: record.payer_claim_control_number || null,
+      total_charge: Number(record.total_amount) || 0,
+      place_of_service: settings.place_of_service,
+      date_of_service: dateOfService,
+      patient,
+      subscriber: {
+        ...subscriber,
+        member_id: record.member_id,
+        group_number: insurance ? insurance.group_number : null,
+        plan_name: insurance ? insurance.plan_name : null,
+        relationship
+      },
+      payer: {
+        id: record.payer_id,
+        name: (payer && payer.payer_name) || (insurance && insurance.payer_name) || record.payer_id
+      },
+      billing_provider: settings.billing_provider,
+      rendering_provider: this._renderingProvider(appointment),
+      diagnoses,
+      lines: this._serviceLines(record, diagnoses, dateOfService),
+      payer_sequence: record.payer_sequence || 'primary',
+      other_payers: this._otherPayers(record, patient)
+    };
+  }
+
+  /**
+   * Problems that stop a claim from being written as a valid 837P
+   * @returns {Array} - Error messages (empty when the claim can be exported)
+   */
+  static validateClaim(claim) {
+    const errors = [];
+    const billing = claim.billing_provider || {};
+    if (!/^\d{10}$/.test(billing.npi || '')) errors.push('billing provider NPI must be 10 digits (BILLING_PROVIDER_NPI)');
+    if (!billing.tax_id) errors.push('billing provider tax ID is required (BILLING_PROVIDER_TAX_ID)');
+    const address = billing.address || {};
+    if (!address.line1 || !address.city || !address.state || !address.zip) {
+      errors.push('billing provider address is required (BILLING_PROVIDER_ADDRESS, _CITY, _STATE, _ZIP)');
+    }
+    if (!claim.payer || !claim.payer.id || claim.payer.id === 'N/A') errors.push('payer ID is required');
+    if (!FREQUENCY_CODES.includes(claim.frequency_code)) {
+      errors.push(`claim frequency code must be one of ${FREQUENCY_CODES.join(', ')}`);
+    } else if (claim.frequency_code !== '1' && !claim.payer_claim_control_number) {
+      errors.push('a corrected or voided claim needs the payer\'s claim number (REF*F8) from the original');
+    }
+    const sequence = claim.payer_sequence || 'primary';
+    if (!SEQUENCE_CODES[sequence]) {
+      errors.push(`payer sequence must be one of ${Object.keys(SEQUENCE_CODES).join(', ')}`);
+    } else if (sequence !== 'primary') {
+      const otherPayers = claim.other_payers || [];
+      const missing = otherPayers.filter(other => !other.adjudication_date);
+      if (otherPayers.length === 0) {
+        errors.push(`a ${sequence} claim needs the primary payer's adjudication (835)`);
+      }
+      for (const other of missing) {
+        errors.push(`a ${sequence} claim needs the ${other.sequence} payer's adjudication (835)`);
+      }
+    }
+    if (!claim.subscriber.member_id || claim.subscriber.member_id === 'N/A') errors.push('member ID is required');
+    if (!RELATIONSHIP_CODES[claim.subscriber.relationship]) {
+      errors.push(`relationship must be one of ${Object.keys(RELATIONSHIP_CODES).join(', ')}`);
+    }
+    if (!claim.subscriber.last_name) errors.push('subscriber name is required');
+    if (!claim.patient.last_name) errors.push('patient name is required');
+    if (!this._isDate(claim.patient.dob)) errors.push('patient date of birth is required');
+    if (claim.subscriber.relationship !== 'self' && !claim.patient.address) {
+      errors.push('patient address is required for dependents');
+    }
+    if (!this._isDate(claim.date_of_service)) errors.push('date of service is required');
+    if (claim.diagnoses.length === 0) errors.push('at least one diagnosis code is required');
+    if (claim.diagnoses.length > MAX_DIAGNOSES) errors.push(`at most ${MAX_DIAGNOSES} diagnosis codes fit on a claim`);
+    if (claim.lines.length === 0) errors.push('at least one service line is required');
+    if (claim.rendering_provider && !/^\d{10}$/.test(claim.rendering_provider.npi || '')) {
+      errors.push('rendering provider NPI must be 10 digits');
+    }
+
+    claim.lines.forEach((line, index) => {
+      const label = `line ${index + 1}`;
+      if (!line.procedure_code) errors.push(`${label}: procedure code is required`);
+      if (line.rendering_provider_id && !/^\d{10}$/.test((line.rendering_provider && line.rendering_provider.npi) || '')) {
+        errors.push(`${label}: rendering provider NPI must be 10 digits`);
+      }
+      if (!(line.charge > 0)) errors.push(`${label}: charge must be more than 0`);
+      if (!line.diagnosis_pointers.length || line.diagnosis_pointers.length > MAX_POINTERS ||
+          line.diagnosis_pointers.some(p => p < 1 || p > claim.diagnoses.length)) {
+        errors.push(`${label}: diagnosis pointers must refer to the claim's diagnoses (1-${MAX_POINTERS} of them)`);
+      }
+    });
+    const lineTotal = this._round(claim.lines.reduce((sum, line) => sum + line.charge, 0));
+    if (claim.lines.length > 0 && lineTotal !== this._round(claim.total_charge)) {
+      errors.push(`line charges (${lineTotal}) must add up to the claim total (${this._round(claim.total_charge)})`);
+    }
+    return errors;
+  }
+
+  /**
+   * Write claims as an 837P interchange (pure: same input, same output)
+   * @param {Array} claims - Claims as returned by loadClaim
+   * @param {Object} envelope - Settings (see getSettings) plus interchange_control_number,
+   *                            group_control_number and created_at
+   * @returns {String} - X12 content, one segment per line
+   */
+  static build837(claims, envelope) {
+    const createdAt = new Date(envelope.created_at);
+    const date = X12.date(createdAt);
+    const time = X12.time(createdAt);
+    const transactionSets = claims.map((claim, index) =>
+      this._transactionSet(claim, envelope, X12.transactionSetNumber(index), date, time));
+    return X12.interchange(transactionSets, { ...envelope, functional_code: 'HC', version: VERSION });
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  /**
+   * ST...SE for one claim
+   */
+  static _transactionSet(claim, envelope, controlNumber, date, time) {
+    const s = [];
+    const billing = claim.billing_provider;
+    const subscriber = claim.subscriber;
+    const dependent = subscriber.relationship !== 'self';
+
+    s.push(X12.segment('ST', '837', controlNumber, VERSION));
+    s.push(X12.segment('BHT', '0019', '00', claim.patient_control_number, date, time, 'CH'));
+
+    // 1000A submitter, 1000B receiver
+    s.push(X12.segment('NM1', '41', '2', envelope.submitter.name, '', '', '', '', '46', envelope.sender_id));
+    s.push(envelope.submitter.contact_phone
+      ? X12.segment('PER', 'IC', envelope.submitter.contact_name, 'TE', X12.digits(envelope.submitter.contact_phone))
+      : X12.segment('PER', 'IC', envelope.submitter.contact_name));
+    s.push(X12.segment('NM1', '40', '2', envelope.receiver_name, '', '', '', '', '46', envelope.receiver_id));
+
+    // 2000A billing provider
+    s.push(X12.segment('HL', '1', '', '20', '1'));
+    if (billing.taxonomy) {
+      s.push(X12.segment('PRV', 'BI', 'PXC', billing.taxonomy));
+    }
+    s.push(X12.segment('NM1', '85', '2', billing.name, '', '', '', '', 'XX', billing.npi));
+    s.push(...this._address(billing.address));
+    s.push(X12.segment('REF', 'EI', X12.digits(billing.tax_id)));
+
+    // 2000B subscriber, 2010BA subscriber name, 2010BB payer
+    s.push(X12.segment('HL', '2', '1', '22', dependent ? '1' : '0'));
+    s.push(X12.segment('SBR', SEQUENCE_CODES[claim.payer_sequence || 'primary'], dependent ? '' : RELATIONSHIP_CODES.self,
+      subscriber.group_number || '', subscriber.group_number ? '' : (subscriber.plan_name || ''), '', '', '', '', 'CI'));
+    s.push(X12.segment('NM1', 'IL', '1', subscriber.last_name, subscriber.first_name || '', subscriber.middle_name || '',
+      '', '', 'MI', subscriber.member_id));
+    s.push(...this._address(subscriber.address));
+    if (!dependent || this._isDate(subscriber.dob)) {
+      s.push(X12.segment('DMG', 'D8', X12.compactDate(subscriber.dob), subscriber.gender || 'U'));
+    }
+    s.push(X12.segment('NM1', 'PR', '2', claim.payer.name, '', '', '', '', 'PI', claim.payer.id));
+
+    // 2000C patient, when the patient is not the subscriber
+    if (dependent) {
+      const patient = claim.patient;
+      s.push(X12.segment('HL', '3', '2', '23', '0'));
+      s.push(X12.segment('PAT', RELATIONSHIP_CODES[subscriber.relationship]));
+      s.push(X12.segment('NM1', 'QC', '1', patient.last_name, patient.first_name || '', patient.middle_name || ''));
+      s.push(...this._address(patient.address));
+      s.push(X12.segment('DMG', 'D8', X12.compactDate(patient.dob), patient.gender || 'U'));
+    }
+
+    // 2300 claim
+    s.push(X12.segment('CLM', claim.patient_control_number, this._amount(claim.total_charge), '', '',
+      [claim.place_of_service, 'B', claim.frequency_code], 'Y', 'A', 'Y', 'Y'));
+    if (claim.frequency_code !== '1' && claim.payer_claim_control_number) {
+      s.push(X12.segment('REF', 'F8', claim.payer_claim_control_number));
+    }
+    s.push(X12.segment('HI', ...claim.diagnoses.map((code, index) =>
+      [index === 0 ? 'ABK' : 'ABF', code.replace('.', '')])));
+
+    // 2310B rendering provider
+    const rendering = claim.rendering_provider;
+    if (rendering) {
+      s.push(X12.segment('NM1', '82', '1', rendering.last_name, rendering.first_name || '', '', '', '', 'XX', rendering.npi));
+      if (rendering.taxonomy) {
+        s.push(X12.segment('PRV', 'PE', 'PXC', rendering.taxonomy));
+      }
+    }
+
+    // 2320 other subscriber information, 2330A other subscriber, 2330B other payer
+    const otherPayers = claim.other_payers || [];
+    for (const other of otherPayers) {
+      s.push(X12.segment('SBR', SEQUENCE_CODES[other.sequence], RELATIONSHIP_CODES[other.subscriber.relationship] || RELATIONSHIP_CODES.self,
+        other.subscriber.group_number || '', '', '', '', '', '', 'CI'));
+      s.push(...this._cas(other.adjustments));
+      s.push(X12.segment('AMT', 'D', this._amount(other.paid_amount)));
+      s.push(X12.segment('AMT', 'EAF', this._amount(other.patient_responsibility)));
+      s.push(X12.segment('OI', '', '', 'Y', '', '', 'Y'));
+      s.push(X12.segment('NM1', 'IL', '1', other.subscriber.last_name, other.subscriber.first_name || '', '', '', '',
+        'MI', other.subscriber.member_id));
+      s.push(X12.segment('NM1', 'PR', '2', other.payer.name, '', '', '', '', 'PI', other.payer.id));
+      // Without line-level adjudication the payer's date goes on the claim
+      if (other.lines.length === 0) {
+        s.push(X12.segment('DTP', '573', 'D8', X12.compactDate(other.adjudication_date)));
+      }
+    }
+
+    // 2400 service lines
+    claim.lines.forEach((line, index) => {
+      s.push(X12.segment('LX', String(index + 1)));
+      s.push(X12.segment('SV1',
+        ['HC', line.procedure_code, ...(line.modifiers || [])],
+        this._amount(line.charge),
+        'UN',
+        String(line.units || 1),
+        line.place_of_service && line.place_of_service !== claim.place_of_service ? line.place_of_service : '',
+        '',
+        line.diagnosis_pointers.map(String)));
+      s.push(X12.segment('DTP', '472', 'D8', X12.compactDate(line.date_of_service || claim.date_of_service)));
+
+      // 2420A rendering provider, only when the line's isn't the claim's
+      const lineRendering = line.rendering_provider;
+      if (lineRendering && (!rendering || lineRendering.npi !== rendering.npi)) {
+        s.push(X12.segment('NM1', '82', '1', lineRendering.last_name, lineRendering.first_name || '', '', '', '', 'XX', lineRendering.npi));
+        if (lineRendering.taxonomy) {
+          s.push(X12.segment('PRV', 'PE', 'PXC', lineRendering.taxonomy));
+        }
+      }
+
+      // 2430 each earlier payer's adjudication of the line
+      for (const other of otherPayers) {
+        const adjudicated = this._otherPayerLine(other, line, index + 1);
+        if (!adjudicated) continue;
+        s.push(X12.segment('SVD', other.payer.id, this._amount(adjudicated.paid_amount),
+          ['HC', adjudicated.procedure_code || line.procedure_code, ...(adjudicated.modifiers || [])],
+          '', String(adjudicated.units || line.units || 1)));
+        s.push(...this._cas(adjudicated.adjustments));
+        s.push(X12.segment('DTP', '573', 'D8', X12.compactDate(other.adjudication_date)));
+      }
+    });
+
+    s.push(X12.segment('SE', String(s.length + 1), controlNumber));
+    return s;
+  }
+
+  /**
+   * N3/N4 for an address (nothing when there is none)
+   */
+  static _address(address) {
+    if (!address || !address.line1) return [];
+    const street = address.line2
+      ? X12.segment('N3', address.line1, address.line2)
+      : X12.segment('N3', address.line1);
+    return [street, X12.segment('N4', address.city || '', address.state || '', X12.digits(address.zip || ''))];
+  }
+
+  /**
+   * CAS segments for adjustments: one per group code, up to six reasons each
+   */
+  static _cas(adjustments) {
+    const segments = [];
+    const groups = [...new Set((adjustments || []).map(adjustment => adjustment.group))];
+    for (const group of groups) {
+      const inGroup = adjustments.filter(adjustment => adjustment.group === group);
+      for (let i = 0; i < inGroup.length; i += MAX_CAS_ADJUSTMENTS) {
+        const triples = inGroup.slice(i, i + MAX_CAS_ADJUSTMENTS).flatMap(adjustment => [
+          adjustment.reason,
+          this._amount(adjustment.amount),
+          adjustment.quantity !== null && adjustment.quantity !== undefined ? String(adjustment.quantity) : ''
+        ]);
+        segments.push(X12.segment('CAS', group, ...triples));
+      }
+    }
+    return segments;
+  }
+
+  // An earlier payer's adjudication of a line: by the line it was matched to, else by procedure code
+  static _otherPayerLine(other, line, lineNumber) {
+    return other.lines.find(adjudicated => adjudicated.line_number === lineNumber) ||
+      other.lines.find(adjudicated => !adjudicated.line_number && adjudicated.procedure_code === line.procedure_code) ||
+      null;
+  }
+
+  // 150 → "150", 95.5 → "95.5"
+  static _amount(value) {
+    return String(this._round(value));
+  }
+
+  static _round(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+  }
+
+  static _isDate(value) {
+    return /^\d{4}-\d{2}-\d{2}/.test(String(value || ''));
+  }
+
+  /**
+   * CLM01: at most 20 characters, letters and digits only. The end of the claim id is the most unique part.
+   */
+  static _patientControlNumber(claimId) {
+    return claimId.replace(/[^A-Za-z0-9]/g, '').toUpperCase().slice(-20);
+  }
+
+  static _codes(value) {
+    return String(value || '')
+      .split(/[,\s]+/)
+      .map(code => code.trim().toUpperCase())
+      .filter(code => code && code !== 'N/A');
+  }
+
+  static _serviceLines(record, diagnoses, dateOfService) {
+    const pointers = diagnoses.slice(0, MAX_POINTERS).map((code, index) => index + 1);
+    return ClaimLineService.linesFor(record).map(line => {
+      const provider = line.rendering_provider_id ? db.getProvider(line.rendering_provider_id) : null;
+      return {
+        procedure_code: line.procedure_code,
+        modifiers: line.modifiers,
+        charge: this._round(line.charge),
+        units: line.units || 1,
+        diagnosis_pointers: line.diagnosis_pointers.length > 0 ? line.diagnosis_pointers : pointers,
+        place_of_service: line.place_of_service || null,
+        rendering_provider_id: line.rendering_provider_id || null,
+        rendering_provider: this._provider(provider),
+        date_of_service: line.date_of_service || dateOfService
+      };
+    });
+  }
+
+  // The payers before this claim's, with what each did with it (see CoordinationOfBenefitsService.getPriorPayers)
+  static _otherPayers(record, patient) {
+    return CoordinationOfBenefitsService.getPriorPayers(record).map(prior => {
+      const plan = prior.plan || {};
+      const relationship = plan.relationship_code || 'self';
+      const names = relationship === 'self'
+        ? { first_name: patient.first_name, last_name: patient.last_name }
+        : X12.splitName(plan.subscriber_name);
+      const adjudication = prior.adjudication || {};
+      return {
+        claim_id: prior.claim_id,
+        sequence: prior.payer_sequence,
+        payer: { id: prior.payer_id, name: prior.payer_name },
+        subscriber: { ...names, member_id: prior.member_id, relationship, group_number: plan.group_number || null },
+        paid_amount: prior.adjudication ? adjudication.paid_amount : null,
+        patient_responsibility: prior.adjudication ? adjudication.patient_responsibility : null,
+        adjudication_date: adjudication.adjudication_date || null,
+        adjustments: adjudication.adjustments || [],
+        lines: adjudication.lines || []
+      };
+    });
+  }
+
+  static _renderingProvider(appointment) {
+    if (!appointment) return null;
+    return this._provider((appointment.provider_id && db.getProvider(appointment.provider_id)) ||
+      (appointment.provider && db.getProviderByName(appointment.provider)));
+  }
+
+  static _provider(provider) {
+    if (!provider || !provider.npi) return null;
+    return { ...X12.splitName(provider.name), npi: provider.npi, taxonomy: provider.taxonomy_code || null };
+  }
+
+  static _patientFromFHIR(resource) {
+    const data = typeof resource === 'string' ? JSON.parse(resource) : resource;
+    const name = (data.name && data.name[0]) || {};
+    const given = name.given || [];
+    const address = data.address && data.address[0];
+    return {
+      last_name: name.family || X12.splitName(name.text).last_name,
+      first_name: given[0] || X12.splitName(name.text).first_name,
+      middle_name: given[1] || null,
+      dob: data.birthDate || null,
+      gender: this._gender(data.gender),
+      address: address && address.line && address.line[0]
+        ? {
+          line1: address.line[0],
+          line2: address.line[1] || null,
+          city: address.city || null,
+          state: address.state || null,
+          zip: address.postalCode || null
+        }
+        : null
+    };
+  }
+
+  static _gender(value) {
+    return GENDER_CODES[String(value || '').toLowerCase()] || 'U';
+  }
+}
+
+module.exports = ClaimEDIService;
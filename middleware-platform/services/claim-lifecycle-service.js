@@ -0,0 +1,309 @@
+/**
+ * Claim Lifecycle Service
+ *
+ * The insurance claim status state machine:
+ *
+ *   draft → scrubbed → submitted → acknowledged → pending → paid → closed
+ *                          ↘            ↘            ↘       ↗
+ *                           rejected      denied → appealed → partially_paid
+ *
+ * - draft: being prepared; scrubbed once the claim scrubber finds no blocking errors
+ * - submitted: sent to the payer (or its 837P written for upload)
+ * - acknowledged: accepted by the clearinghouse or payer (999 / 277CA)
+ * - rejected: turned back before adjudication; fixed and submitted again
+ * - pending: in adjudication (277 P*), or waiting for a new adjudication after a reversal
+ * - denied, partially_paid, paid: the payer's decision (277 F* or 835); denied and partially
+ *   paid claims can go back to submitted as corrected claims
+ * - appealed: a denial or partial payment being contested
+ * - closed: nothing more to do
+ *
+ * Only the transitions below are allowed. Every change is recorded in claim_events with
+ * its actor, source (manual, system, scrubber, clearinghouse, 999, 277CA, 277, 835) and
+ * payload, so a claim's whole history can be shown as a timeline.
+ */
+
+const db = require('../database');
+
+const TRANSITIONS = {
+  draft: ['scrubbed', 'closed'],
+  scrubbed: ['draft', 'submitted', 'closed'],
+  submitted: ['acknowledged', 'rejected', 'pending', 'denied', 'partially_paid', 'paid'],
+  acknowledged: ['rejected', 'pending', 'denied', 'partially_paid', 'paid'],
+  rejected: ['draft', 'submitted', 'closed'],
+  pending: ['rejected', 'denied', 'partially_paid', 'paid'],
+  denied: ['appealed', 'submitted', 'pending', 'partially_paid', 'paid', 'closed'],
+  appealed: ['pending', 'denied', 'partially_paid', 'paid', 'closed'],
+  partially_paid: ['appealed', 'submitted', 'pending', 'paid', 'closed'],
+  paid: ['pending', 'closed'],
+  closed: []
+};
+
+const SOURCES = ['manual', 'system', 'scrubber', 'clearinghouse', '999', '277CA', '277', '835'];
+
+// Not yet with the payer
+const UNSUBMITTED_STATUSES = ['draft', 'scrubbed'];
+// The payer has decided
+const ADJUDICATED_STATUSES = ['denied', 'partially_paid', 'paid'];
+
+class ClaimLifecycleService {
+  static STATUSES = Object.keys(TRANSITIONS);
+  static SOURCES = SOURCES;
+  static UNSUBMITTED_STATUSES = UNSUBMITTED_STATUSES;
+  static ADJUDICATED_STATUSES = ADJUDICATED_STATUSES;
+
+  /**
+   * Statuses a claim can move to next
+   */
+  static getAllowedTransitions(status) {
+    return TRANSITIONS[status] || [];
+  }
+
+  static canTransition(fromStatus, toStatus) {
+    return this.getAllowedTransitions(fromStatus).includes(toStatus);
+  }
+
+  /**
+   * Store a new claim and record its creation
+   * @param {Object} record - insurance_claims row (status defaults to draft)
+   * @param {Object} options - { actor, source, payload }
+   */
+  static create(record, options = {}) {
+    const claim = { ...record, status: record.status || 'draft' };
+    if (!TRANSITIONS[claim.status]) {
+      throw new Error(`Unknown claim status: ${claim.status}`);
+    }
+    db.runExclusive(() => {
+      db.createInsuranceClaim(claim);
+      db.createClaimEvent({
+        claim_id: claim.id,
+        event_type: 'created',
+        from_status: null,
+        to_status: claim.status,
+        actor: options.actor || 'system',
+        source: this._source(options.source),
+        payload: options.payload || null
+      });
+    });
+    console.log(`🧾 Claim ${claim.id} created (${claim.status})`);
+    return db.getInsuranceClaim(claim.id);
+  }
+
+  /**
+   * Move a claim to a new status
+   * @param {String} claimId - Claim ID
+   * @param {String} toStatus - Target status
+   * @param {Object} options - { actor, source, payload, updates (other claim columns to set with it) }
+   * @returns {Object} - The claim as stored after the change
+   * @throws {Error} - When the claim doesn't exist or the transition is not allowed
+   */
+  static transition(claimId, toStatus, options = {}) {
+    const claim = db.getInsuranceClaim(claimId);
+    if (!claim) {
+      throw new Error(`Claim not found: ${claimId}`);
+    }
+    const guardError = this._checkTransition(claim.status, toStatus);
+    if (guardError) {
+      throw new Error(guardError);
+    }
+
+    const applied = db.transitionClaimStatus({
+      id: claim.id,
+      from_status: claim.status,
+      to_status: toStatus,
+      updates: options.updates || null,
+      actor: options.actor || 'system',
+      source: this._source(options.source),
+      payload: options.payload || null
+    });
+    if (!applied) {
+      throw new Error('Claim status changed while updating; reload and try again');
+    }
+
+    console.log(`🔁 Claim ${claim.id}: ${claim.status} → ${toStatus} (${this._source(options.source)}, ${options.actor || 'system'})`);
+    return db.getInsuranceClaim(claim.id);
+  }
+
+  /**
+   * Move a claim along the lifecycle to a status several steps away
+   * (e.g. a draft paid by hand goes draft → scrubbed → submitted → paid)
+   * @param {Object} options - As for transition, plus step_payload (payload for the steps before the last)
+   * @returns {Object} - The claim as stored after the change
+   */
+  static advanceTo(claimId, toStatus, options = {}) {
+    const claim = db.getInsuranceClaim(claimId);
+    if (!claim) {
+      throw new Error(`Claim not found: ${claimId}`);
+    }
+    const path = this._findPath(claim.status, toStatus);
+    if (!path || path.length === 0) {
+      throw new Error(this._checkTransition(claim.status, toStatus) || `Cannot move a ${claim.status} claim to ${toStatus}`);
+    }
+
+    let current = claim;
+    path.forEach((status, index) => {
+      // Only the last step carries the column updates
+      const last = index === path.length - 1;
+      current = this.transition(claimId, status, {
+        ...options,
+        updates: last ? options.updates : null,
+        payload: last ? options.payload : (options.step_payload || options.payload)
+      });
+    });
+    return current;
+  }
+
+  /**
+   * Move a claim by hand (staff)
+   * Only the scrubber marks claims scrubbed, and a claim marked submitted (e.g. after its 837P
+   * was uploaded to the payer's portal) is scrubbed first.
+   * @param {Object} options - { actor, note }
+   * @returns {Object} - The claim as stored after the change
+   */
+  static changeStatus(claimId, toStatus, options = {}) {
+    if (toStatus === 'scrubbed') {
+      throw new Error('Validation failed: claims are marked scrubbed by the claim scrubber');
+    }
+    if (toStatus === 'submitted') {
+      // Required lazily: the scrubber moves claims through this service
+      const ClaimScrubberService = require('./claim-scrubber-service');
+      ClaimScrubberService.assertClean([claimId]);
+    }
+    return this.transition(claimId, toStatus, {
+      actor: options.actor || 'staff',
+      source: 'manual',
+      payload: options.note ? { note: options.note } : null,
+      updates: toStatus === 'submitted' ? { submitted_at: new Date().toISOString() } : null
+    });
+  }
+
+  /**
+   * Apply a status reported by the payer or clearinghouse (999, 277CA, 277, 835)
+   * Answers that don't move the claim, or that arrive out of order (a 277CA after the 835),
+   * are recorded without changing its status.
+   * @param {Object} options - As for transition, plus keep_statuses (claim statuses this answer must not change)
+   * @returns {Object} - { claim, changed }
+   */
+  static applyPayerStatus(claimId, toStatus, options = {}) {
+    const claim = db.getInsuranceClaim(claimId);
+    if (!claim) {
+      throw new Error(`Claim not found: ${claimId}`);
+    }
+    if ((options.keep_statuses || []).includes(claim.status)) {
+      return this._recordAnswer(claim, toStatus, options);
+    }
+
+    // A claim the payer answers for was sent, even when its 837P went out by hand
+    const path = UNSUBMITTED_STATUSES.includes(claim.status) && toStatus !== 'submitted'
+      ? this._findPath(claim.status, toStatus)
+      : null;
+    if (path || this.canTransition(claim.status, toStatus)) {
+      const updated = path
+        ? this.advanceTo(claimId, toStatus, { ...options, step_payload: { implied_by: this._source(options.source) } })
+        : this.transition(claimId, toStatus, options);
+      return { claim: updated, changed: true };
+    }
+    return this._recordAnswer(claim, toStatus, options);
+  }
+
+  /**
+   * Whether a claim ever went to the payer
+   */
+  static wasSubmitted(claimId) {
+    return db.getClaimEvents(claimId).some(event => event.to_status === 'submitted' && event.event_type === 'transition');
+  }
+
+  /**
+   * Every event for a claim, oldest first, with where it can go next
+   * @returns {Object} - { claim_id, status, allowed_transitions, events } (null when the claim doesn't exist)
+   */
+  static getTimeline(claimId) {
+    const claim = db.getInsuranceClaim(claimId);
+    if (!claim) return null;
+
+    return {
+      claim_id: claim.id,
+      status: claim.status,
+      allowed_transitions: this.getAllowedTransitions(claim.status),
+      events: db.getClaimEvents(claim.id).map(event => ({
+        id: event.id,
+        event_type: event.event_type,
+        from_status: event.from_status,
+        to_status: event.to_status,
+        actor: event.actor,
+        source: event.source,
+        payload: this._parseJSON(event.payload),
+        created_at: event.created_at
+      }))
+    };
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  /**
+   * Record a payer answer that leaves the claim's status as it is (its other columns are still updated)
+   */
+  static _recordAnswer(claim, reportedStatus, options) {
+    db.transitionClaimStatus({
+      id: claim.id,
+      from_status: claim.status,
+      to_status: claim.status,
+      updates: options.updates || null,
+      actor: options.actor || 'system',
+      source: this._source(options.source),
+      payload: { ...(options.payload || {}), reported_status: reportedStatus },
+      event_type: 'updated'
+    });
+    if (claim.status !== reportedStatus) {
+      console.warn(`⚠️  Claim ${claim.id} is ${claim.status}; ${this._source(options.source)} reported ${reportedStatus} (recorded, status kept)`);
+    }
+    return { claim: db.getInsuranceClaim(claim.id), changed: false };
+  }
+
+  /**
+   * Why a transition is not allowed (null when it is)
+   */
+  static _checkTransition(fromStatus, toStatus) {
+    if (!TRANSITIONS[toStatus]) {
+      return `Unknown claim status: ${toStatus}. Use one of ${this.STATUSES.join(', ')}`;
+    }
+    if (fromStatus === toStatus) {
+      return `Claim is already ${toStatus}`;
+    }
+    if (!this.canTransition(fromStatus, toStatus)) {
+      return `Cannot move a ${fromStatus} claim to ${toStatus}`;
+    }
+    return null;
+  }
+
+  // Shortest chain of allowed transitions from one status to another
+  static _findPath(fromStatus, toStatus) {
+    const queue = [[fromStatus, []]];
+    const seen = new Set([fromStatus]);
+    while (queue.length > 0) {
+      const [status, path] = queue.shift();
+      if (status === toStatus) return path;
+      for (const next of TRANSITIONS[status] || []) {
+        if (!seen.has(next)) {
+          seen.add(next);
+          queue.push([next, [...path, next]]);
+        }
+      }
+    }
+    return null;
+  }
+
+  static _source(source) {
+    return SOURCES.includes(source) ? source : 'system';
+  }
+
+  static _parseJSON(value) {
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = ClaimLifecycleService;
@@ -0,0 +1,294 @@
+/**
+ * Claim Line Service
+ *
+ * A claim's service lines (claim_lines), one for each SV1 on the 837P:
+ * - CPT or HCPCS code, up to four modifiers, units and the charge for them
+ * - Diagnosis pointers: up to four positions in the claim's diagnoses (diagnosis_code, in order).
+ *   A line without pointers points at the claim's first four diagnoses
+ * - Place of service, rendering provider and date of service, when they differ from the claim's
+ * - Lines given without a charge are billed at the chargemaster rate (see fee-schedule-service.js)
+ * The claim's service_code and total_amount are kept as a summary of its lines.
+ *
+ * Claims stored without lines (before claim_lines existed) are read from their coding breakdown
+ * in response_data, or from their single service code at the full charge.
+ */
+
+const db = require('../database');
+const FeeScheduleService = require('./fee-schedule-service');
+
+const MAX_LINES = 50;
+const MAX_MODIFIERS = 4;
+const MAX_POINTERS = 4;
+const MAX_DIAGNOSES = 12;
+// Lines can be changed until the claim goes to the payer; after that it takes a corrected claim
+const EDITABLE_STATUSES = ['draft', 'scrubbed', 'rejected'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class ClaimLineService {
+  static MAX_MODIFIERS = MAX_MODIFIERS;
+  static MAX_POINTERS = MAX_POINTERS;
+
+  /**
+   * Check service lines as given by a caller and put them in the shape they are stored in
+   * @param {Array} lines - [{ code, modifiers?, units?, charge, diagnosis_pointers? (e.g. [1, 2] or "1:2"),
+   *                        place_of_service?, rendering_provider_id?, date_of_service?, description?, allowed_amount? }]
+   *                        (procedure_code or cpt_code for code; amount, billed_amount or price for charge;
+   *                        without one, the chargemaster rate × units)
+   * @param {Object} options - { diagnoses: the claim's diagnosis codes, so a line's diagnosis_code becomes its pointer,
+   *                             date_of_service: the claim's, for chargemaster rates }
+   * @returns {Array} - Lines for replaceClaimLines
+   * @throws {Error} - "Validation failed: ..." with every problem found
+   */
+  static normalize(lines, options = {}) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error('Validation failed: at least one service line is required');
+    }
+    if (lines.length > MAX_LINES) {
+      throw new Error(`Validation failed: at most ${MAX_LINES} service lines fit on a claim`);
+    }
+
+    const diagnoses = options.diagnoses || [];
+    const errors = [];
+    const normalized = lines.map((item, index) => {
+      const label = `line ${index + 1}`;
+      const code = String(item.procedure_code || item.code || item.cpt_code || '').trim().toUpperCase();
+      if (!code) errors.push(`${label}: procedure code is required`);
+
+      const modifiers = this._list(item.modifiers || item.modifier).map(modifier => modifier.toUpperCase());
+      if (modifiers.length > MAX_MODIFIERS) errors.push(`${label}: at most ${MAX_MODIFIERS} modifiers`);
+
+      const units = item.units === undefined || item.units === null || item.units === '' ? 1 : Number(item.units);
+      if (!(units > 0)) errors.push(`${label}: units must be more than 0`);
+
+      const rawCharge = [item.charge, item.amount, item.billed_amount, item.price].find(v => v !== undefined && v !== null && v !== '');
+      const dateOfService = item.date_of_service || item.dateOfService || null;
+      const charge = rawCharge === undefined
+        ? (code && units > 0 && FeeScheduleService.chargeFor(code, { modifiers, units, date: this._chargeDate(dateOfService || options.date_of_service) })) || 0
+        : Number(rawCharge);
+      if (isNaN(charge) || charge < 0) errors.push(`${label}: charge must be an amount`);
+
+      let pointers = this._list(item.diagnosis_pointers).map(Number);
+      if (pointers.length === 0 && item.diagnosis_code) {
+        const position = diagnoses.indexOf(String(item.diagnosis_code).trim().toUpperCase());
+        if (position !== -1 && position < MAX_DIAGNOSES) pointers = [position + 1];
+      }
+      if (pointers.some(p => !Number.isInteger(p) || p < 1 || p > MAX_DIAGNOSES) || new Set(pointers).size !== pointers.length) {
+        errors.push(`${label}: diagnosis pointers must be different positions from 1 to ${MAX_DIAGNOSES}`);
+      } else if (pointers.length > MAX_POINTERS) {
+        errors.push(`${label}: at most ${MAX_POINTERS} diagnosis pointers`);
+      }
+
+      const placeOfService = item.place_of_service ? String(item.place_of_service).trim() : null;
+      if (placeOfService && !/^\d{2}$/.test(placeOfService)) errors.push(`${label}: place of service must be a two-digit code`);
+
+      const providerId = item.rendering_provider_id || null;
+      if (providerId && !db.getProvider(providerId)) errors.push(`${label}: unknown rendering provider ${providerId}`);
+
+      if (dateOfService && !DATE_PATTERN.test(dateOfService)) errors.push(`${label}: date of service must be a date (YYYY-MM-DD)`);
+
+      return {
+        procedure_code: code,
+        modifiers,
+        description: item.description || item.name || null,
+        units,
+        charge: this._round(charge),
+        allowed_amount: item.allowed_amount === undefined || item.allowed_amount === null || item.allowed_amount === ''
+          ? null
+          : this._round(item.allowed_amount),
+        diagnosis_pointers: pointers,
+        place_of_service: placeOfService,
+        rendering_provider_id: providerId,
+        date_of_service: dateOfService
+      };
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join('; ')}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * A claim record with its lines checked and attached (claim.lines), and its service code and
+   * total from them, ready for db.createInsuranceClaim or the claim scrubber
+   */
+  static withLines(record, lines) {
+    const normalized = this.normalize(lines, { diagnoses: this._diagnoses(record), date_of_service: record.date_of_service });
+    return { ...record, ...this.summarize(normalized), lines: normalized };
+  }
+
+  /**
+   * service_code and total_amount for a set of lines
+   */
+  static summarize(lines) {
+    return {
+      service_code: [...new Set(lines.map(line => line.procedure_code))].join(', '),
+      total_amount: this._round(lines.reduce((sum, line) => sum + line.charge, 0))
+    };
+  }
+
+  /**
+   * A claim's service lines: the ones attached to the record (a claim not stored yet, or a
+   * correction), its stored lines, or for claims without any, the lines read from its legacy fields
+   * @param {Object} record - insurance_claims row
+   * @returns {Array} - Lines as stored (modifiers and diagnosis_pointers as arrays)
+   */
+  static linesFor(record) {
+    if (Array.isArray(record.lines)) return record.lines;
+    const stored = record.id ? this.storedLines(record.id) : [];
+    return stored.length > 0 ? stored : this.fromLegacy(record);
+  }
+
+  /**
+   * A claim's stored lines only (none for claims stored before claim lines existed)
+   */
+  static storedLines(claimId) {
+    return db.getClaimLines(claimId).map(line => this._format(line));
+  }
+
+  /**
+   * A claim's lines with their numbers and the diagnosis codes they point at
+   * @returns {Object|null} - { claim_id, status, editable, diagnoses, lines, total_amount }
+   */
+  static getLines(claimId) {
+    const record = db.getInsuranceClaim(claimId);
+    if (!record) return null;
+    const diagnoses = this._diagnoses(record);
+    const lines = this.linesFor(record).map((line, index) => {
+      const pointers = line.diagnosis_pointers.length > 0
+        ? line.diagnosis_pointers
+        : diagnoses.slice(0, MAX_POINTERS).map((code, position) => position + 1);
+      return {
+        line_number: index + 1,
+        ...line,
+        diagnosis_codes: pointers.map(pointer => diagnoses[pointer - 1] || null)
+      };
+    });
+    return {
+      claim_id: record.id,
+      status: record.status,
+      editable: EDITABLE_STATUSES.includes(record.status),
+      diagnoses,
+      lines,
+      total_amount: record.total_amount
+    };
+  }
+
+  /**
+   * Replace a claim's lines before it goes to the payer (its service code and total follow)
+   * @param {Array} lines - As for normalize
+   * @param {Object} options - { diagnosis_code? (the claim's diagnoses, in pointer order, to set with them) }
+   */
+  static replaceLines(claimId, lines, options = {}) {
+    const record = db.getInsuranceClaim(claimId);
+    if (!record) {
+      throw new Error(`Claim not found: ${claimId}`);
+    }
+    if (!EDITABLE_STATUSES.includes(record.status)) {
+      throw new Error(`Claim is ${record.status}; its lines can only change through a corrected claim`);
+    }
+    const updates = options.diagnosis_code ? { diagnosis_code: options.diagnosis_code } : {};
+    const normalized = this.normalize(lines, { diagnoses: this._diagnoses({ ...record, ...updates }) });
+
+    db.runExclusive(() => {
+      db.replaceClaimLines(claimId, normalized);
+      db.updateInsuranceClaim(claimId, { ...updates, ...this.summarize(normalized) });
+    });
+    console.log(`🧾 Claim ${claimId}: ${normalized.length} service line(s) saved`);
+    return this.getLines(claimId);
+  }
+
+  /**
+   * Lines for a claim stored without any: its coding breakdown, or its single service code at the
+   * full charge. Several service codes with no breakdown can't be split into lines.
+   */
+  static fromLegacy(record) {
+    const details = this._parseJSON(record.response_data) || {};
+    const breakdown = details.pricing && Array.isArray(details.pricing.breakdown) ? details.pricing.breakdown : [];
+    if (breakdown.length > 0) {
+      const diagnoses = this._diagnoses(record);
+      return breakdown.map(item => {
+        const position = item.diagnosis_code ? diagnoses.indexOf(String(item.diagnosis_code).toUpperCase()) : -1;
+        const charge = [item.charge, item.amount, item.billed_amount, item.price].find(v => v !== undefined && v !== null && v !== '');
+        return {
+          procedure_code: String(item.code || item.cpt_code || '').trim().toUpperCase(),
+          modifiers: this._list(item.modifiers || item.modifier).map(m => m.toUpperCase()).slice(0, MAX_MODIFIERS),
+          description: item.description || item.name || null,
+          units: Number(item.units) > 0 ? Number(item.units) : 1,
+          charge: this._round(charge),
+          allowed_amount: item.allowed_amount ? this._round(item.allowed_amount) : null,
+          diagnosis_pointers: position !== -1 && position < MAX_DIAGNOSES ? [position + 1] : [],
+          place_of_service: null,
+          rendering_provider_id: null,
+          date_of_service: item.date_of_service || item.dateOfService || null
+        };
+      });
+    }
+
+    const codes = this._list(record.service_code).map(code => code.toUpperCase()).filter(code => code !== 'N/A');
+    if (codes.length > 1) {
+      throw new Error(`Claim ${record.id} lists several service codes but no charge for each`);
+    }
+    return codes.map(code => ({
+      procedure_code: code,
+      modifiers: [],
+      description: null,
+      units: 1,
+      charge: this._round(record.total_amount),
+      allowed_amount: null,
+      diagnosis_pointers: [],
+      place_of_service: null,
+      rendering_provider_id: null,
+      date_of_service: null
+    }));
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  // The date a line's chargemaster rate is looked up for (today when the line has no valid date)
+  static _chargeDate(dateOfService) {
+    return dateOfService && DATE_PATTERN.test(dateOfService) ? dateOfService : null;
+  }
+
+  static _format(line) {
+    return {
+      procedure_code: line.procedure_code,
+      modifiers: this._parseJSON(line.modifiers) || [],
+      description: line.description,
+      units: line.units,
+      charge: line.charge,
+      allowed_amount: line.allowed_amount,
+      diagnosis_pointers: this._parseJSON(line.diagnosis_pointers) || [],
+      place_of_service: line.place_of_service,
+      rendering_provider_id: line.rendering_provider_id,
+      date_of_service: line.date_of_service
+    };
+  }
+
+  // The claim's diagnoses, in pointer order
+  static _diagnoses(record) {
+    return this._list(record.diagnosis_code).map(code => code.toUpperCase()).filter(code => code !== 'N/A');
+  }
+
+  // [a, b], "a, b" or "a:b" → ['a', 'b']
+  static _list(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(/[,:\s]+/);
+    return list.map(item => String(item).trim()).filter(Boolean);
+  }
+
+  static _round(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+  }
+
+  static _parseJSON(value) {
+    if (!value) return null;
+    try {
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = ClaimLineService;
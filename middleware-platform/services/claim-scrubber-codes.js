@@ -0,0 +1,63 @@
+/**
+ * Claim Scrubber Codes
+ *
+ * Code lists the claim scrubber checks claims against: ICD-10-CM categories that are not
+ * billable on their own, add-on procedure codes and the primary codes they go with, and the
+ * place of service codes and modifiers for telehealth. Only behavioral health codes are
+ * listed; procedure codes themselves are checked against the cpt_codes table.
+ */
+
+// ICD-10-CM: categories and subcategories that have more specific codes under them.
+// A claim must use one of the more specific codes (e.g. F41.1, not F41).
+const NON_BILLABLE_ICD10 = new Set([
+  // Chapter 5: mental, behavioral and neurodevelopmental disorders
+  'F01', 'F02', 'F03', 'F06', 'F07', 'F10', 'F11', 'F12', 'F13', 'F14', 'F15', 'F16', 'F17', 'F18', 'F19',
+  'F20', 'F25', 'F30', 'F31', 'F32', 'F33', 'F34', 'F40', 'F41', 'F42', 'F43', 'F44', 'F45', 'F48',
+  'F50', 'F51', 'F52', 'F60', 'F63', 'F64', 'F65', 'F68', 'F80', 'F81', 'F84', 'F90', 'F91', 'F93',
+  'F94', 'F95', 'F98',
+  'F31.1', 'F31.3', 'F31.6', 'F31.7', 'F31.8', 'F32.8', 'F33.4', 'F34.8', 'F40.0', 'F40.1', 'F40.2',
+  'F43.1', 'F43.2', 'F43.8', 'F50.0', 'F50.2', 'F50.8', 'F51.0', 'F51.1', 'F63.8', 'F80.8', 'F98.2',
+  'F17.20', 'F17.21', 'F17.22', 'F17.29',
+  // Factors influencing health status often coded with them
+  'Z62', 'Z63', 'Z65', 'Z69', 'Z71', 'Z91', 'Z91.1', 'Z91.4'
+]);
+
+// Substance use codes (F10-F19) always need at least a fifth character (F10.20, not F10.2)
+const SUBSTANCE_USE_CATEGORY = /^F1\d\.\d$/;
+
+// Add-on codes: billed only with one of these primary codes on the same claim
+const EVALUATION_AND_MANAGEMENT = ['99202', '99203', '99204', '99205', '99212', '99213', '99214', '99215'];
+const ADD_ON_CODES = {
+  '90785': ['90791', '90792', '90832', '90834', '90837', '90853', ...EVALUATION_AND_MANAGEMENT],
+  '90833': EVALUATION_AND_MANAGEMENT,
+  '90836': EVALUATION_AND_MANAGEMENT,
+  '90838': EVALUATION_AND_MANAGEMENT,
+  '90840': ['90839'],
+  '90863': ['90832', '90834', '90837'],
+  '96131': ['96130'],
+  '96137': ['96136']
+};
+
+// Codes that may not be billed together on the same claim
+const EXCLUSIVE_CODES = [
+  ['90785', '90839'],
+  ['90832', '90834', '90837'],
+  ['90791', '90792']
+];
+
+// Place of service: 02 telehealth outside the patient's home, 10 telehealth in the patient's home
+const TELEHEALTH_PLACES_OF_SERVICE = ['02', '10'];
+// 95 and GT synchronous video, FQ and 93 audio only
+const TELEHEALTH_MODIFIERS = ['95', 'GT', 'FQ', '93'];
+// Repeated procedures on the same day: distinct service (59, XE, XP, XS, XU) or repeat by the same provider (76)
+const DISTINCT_SERVICE_MODIFIERS = ['59', '76', '77', 'XE', 'XP', 'XS', 'XU'];
+
+module.exports = {
+  NON_BILLABLE_ICD10,
+  SUBSTANCE_USE_CATEGORY,
+  ADD_ON_CODES,
+  EXCLUSIVE_CODES,
+  TELEHEALTH_PLACES_OF_SERVICE,
+  TELEHEALTH_MODIFIERS,
+  DISTINCT_SERVICE_MODIFIERS
+};
@@ -0,0 +1,471 @@
+/**
+ * Claim Scrubber Service
+ *
+ * Checks claims before they are submitted, so problems are fixed here rather than found in a
+ * rejection or denial weeks later. Each rule reports blocking errors (the claim can't be
+ * submitted) or warnings (worth a look, but the claim can go):
+ * - claim_format: everything the 837P needs (see ClaimEDIService.validateClaim)
+ * - npi: billing and rendering NPIs pass the check digit (Luhn)
+ * - icd10_format, icd10_billable: diagnoses are ICD-10-CM codes at their most specific level
+ * - procedure_codes: procedure codes are in the cpt_codes table
+ * - diagnosis_pointers: lines point at diagnoses that support them
+ * - modifiers: well-formed, telehealth modifiers for telehealth, distinct-service modifiers on repeats
+ * - add_on_codes: add-on codes billed with their primary code, exclusive codes not billed together
+ * - date_of_service: not in the future, not before birth, within timely filing
+ * - duplicate: no other claim for the same visit and procedure
+ * - payer_requirements: fields the payer requires (insurance_payers.claim_requirements)
+ *
+ * The latest result is kept on the claim (scrub_status, scrub_result, scrubbed_at). A draft
+ * that passes moves to scrubbed, and a scrubbed claim that no longer passes goes back to draft.
+ */
+
+const db = require('../database');
+const ClaimEDIService = require('./claim-edi-service');
+const ClaimLifecycleService = require('./claim-lifecycle-service');
+const CoordinationOfBenefitsService = require('./coordination-of-benefits-service');
+const {
+  NON_BILLABLE_ICD10,
+  SUBSTANCE_USE_CATEGORY,
+  ADD_ON_CODES,
+  EXCLUSIVE_CODES,
+  TELEHEALTH_PLACES_OF_SERVICE,
+  TELEHEALTH_MODIFIERS,
+  DISTINCT_SERVICE_MODIFIERS
+} = require('./claim-scrubber-codes');
+
+const RULES = {
+  claim_format: 'Everything the 837P needs is present',
+  npi: 'NPIs pass the check digit',
+  icd10_format: 'Diagnoses are ICD-10-CM codes',
+  icd10_billable: 'Diagnoses are coded to the most specific level',
+  procedure_codes: 'Procedure codes are in the procedure code list',
+  diagnosis_pointers: 'Service lines point at diagnoses that support them',
+  modifiers: 'Modifiers are valid and present where required',
+  add_on_codes: 'Add-on codes are billed with their primary code',
+  date_of_service: 'Dates of service are possible and within timely filing',
+  duplicate: 'No other claim for the same visit and procedure',
+  payer_requirements: 'Fields the payer requires are present'
+};
+// Fields a payer can require, and where they are on a loaded claim
+const PAYER_FIELDS = {
+  group_number: claim => claim.subscriber.group_number,
+  rendering_provider: claim => claim.rendering_provider,
+  patient_address: claim => claim.patient.address,
+  subscriber_dob: claim => claim.subscriber.dob,
+  billing_taxonomy: claim => claim.billing_provider && claim.billing_provider.taxonomy
+};
+const DEFAULT_TIMELY_FILING_DAYS = parseInt(process.env.CLAIM_TIMELY_FILING_DAYS, 10) || 365;
+const TIMELY_FILING_WARNING_DAYS = 30;
+// Claims not yet with the payer, scrubbed for the report by default
+const OPEN_STATUSES = ['draft', 'scrubbed', 'rejected'];
+const ICD10_PATTERN = /^[A-TV-Z]\d[0-9A-Z](\.[0-9A-Z]{1,4})?$/;
+const PROCEDURE_CODE_PATTERN = /^(\d{4}[0-9A-Z]|[A-V]\d{4})$/;
+const MODIFIER_PATTERN = /^[0-9A-Z]{2}$/;
+
+class ClaimScrubberService {
+  /**
+   * Scrub a stored claim and keep the result on it
+   * @returns {Object} - { claim_id, status (passed|warnings|failed), passed, errors, warnings, scrubbed_at }
+   */
+  static scrubClaim(claimId) {
+    const record = db.getInsuranceClaim(claimId);
+    if (!record) {
+      throw new Error(`Claim not found: ${claimId}`);
+    }
+    const result = this.scrub(record);
+    db.saveClaimScrubResult(claimId, result);
+    this._syncStatus(record, result);
+    return result;
+  }
+
+  /**
+   * Scrub a claim record, stored or not (nothing is saved)
+   * @param {Object} record - insurance_claims row
+   */
+  static scrub(record) {
+    const errors = [];
+    const warnings = [];
+    const report = { errors, warnings };
+
+    let claim = null;
+    try {
+      claim = ClaimEDIService.loadClaim(record);
+    } catch (error) {
+      errors.push({ rule: 'claim_format', message: error.message });
+    }
+
+    if (claim) {
+      ClaimEDIService.validateClaim(claim).forEach(message => errors.push({ rule: 'claim_format', message }));
+      const payer = db.getPayerByPayerId(record.payer_id);
+      const requirements = this._parseJSON(payer && payer.claim_requirements) || {};
+
+      this._checkNPIs(claim, report);
+      this._checkDiagnoses(claim, report);
+      this._checkProcedureCodes(claim, report);
+      this._checkDiagnosisPointers(claim, report);
+      this._checkModifiers(claim, requirements, report);
+      this._checkAddOnCodes(claim, report);
+      this._checkDates(claim, requirements, report);
+      this._checkDuplicates(record, claim, report);
+      this._checkPayerRequirements(claim, payer, requirements, report);
+    }
+
+    return {
+      claim_id: record.id,
+      status: errors.length > 0 ? 'failed' : (warnings.length > 0 ? 'warnings' : 'passed'),
+      passed: errors.length === 0,
+      errors,
+      warnings,
+      scrubbed_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Scrub claims about to be submitted; throws when any has a blocking error
+   * @returns {Array} - The results (all passed, possibly with warnings)
+   */
+  static assertClean(claimIds) {
+    const results = claimIds.map(id => this.scrubClaim(id));
+    const failed = results.filter(result => !result.passed);
+    if (failed.length > 0) {
+      throw new Error(`Scrub failed: ${failed.map(result => `${result.claim_id}: ${this.describe(result)}`).join('; ')}`);
+    }
+    return results;
+  }
+
+  // Blocking errors as one line
+  static describe(result) {
+    return result.errors.map(error => error.message).join(', ');
+  }
+
+  /**
+   * Scrub open claims for the dashboard
+   * @param {Object} filters - { status? (comma-separated, default draft,scrubbed,rejected), limit? }
+   * @returns {Object} - { summary: { claims, passed, warnings, failed, by_rule }, claims }
+   */
+  static getReport(filters = {}) {
+    const statuses = filters.status
+      ? String(filters.status).split(',').map(status => status.trim()).filter(Boolean)
+      : OPEN_STATUSES;
+    const limit = Math.min(parseInt(filters.limit, 10) || 200, 1000);
+    const claims = db.getClaimsByStatuses(statuses, limit).map(record => {
+      const result = this.scrub(record);
+      db.saveClaimScrubResult(record.id, result);
+      const claim = this._syncStatus(record, result);
+      return { ...result, claim_status: claim.status, patient_id: record.patient_id, date_of_service: record.date_of_service };
+    });
+
+    const summary = { claims: claims.length, passed: 0, warnings: 0, failed: 0, by_rule: {} };
+    for (const result of claims) {
+      summary[result.status]++;
+      for (const [severity, findings] of [['errors', result.errors], ['warnings', result.warnings]]) {
+        for (const finding of findings) {
+          summary.by_rule[finding.rule] = summary.by_rule[finding.rule] || { errors: 0, warnings: 0 };
+          summary.by_rule[finding.rule][severity]++;
+        }
+      }
+    }
+    return { statuses, summary, claims };
+  }
+
+  static getRules() {
+    return Object.entries(RULES).map(([id, description]) => ({ id, description }));
+  }
+
+  // ==================== PAYER REQUIREMENTS ====================
+
+  static getPayerRequirements(payerId) {
+    const payer = db.getPayerByPayerId(payerId);
+    if (!payer) {
+      throw new Error(`Payer not found: ${payerId}`);
+    }
+    return { payer_id: payer.payer_id, payer_name: payer.payer_name, ...this._requirements(payer) };
+  }
+
+  /**
+   * @param {Object} requirements - { required_fields?: [...PAYER_FIELDS], timely_filing_days?, telehealth_modifier? }
+   */
+  static setPayerRequirements(payerId, requirements = {}) {
+    if (!db.getPayerByPayerId(payerId)) {
+      throw new Error(`Payer not found: ${payerId}`);
+    }
+
+    const errors = [];
+    const fields = requirements.required_fields || [];
+    if (!Array.isArray(fields)) {
+      errors.push('required_fields must be an array');
+    } else {
+      const unknown = fields.filter(field => !PAYER_FIELDS[field]);
+      if (unknown.length > 0) {
+        errors.push(`unknown required_fields: ${unknown.join(', ')} (use ${Object.keys(PAYER_FIELDS).join(', ')})`);
+      }
+    }
+    const days = requirements.timely_filing_days;
+    if (days !== undefined && days !== null && !(Number.isInteger(days) && days > 0)) {
+      errors.push('timely_filing_days must be a whole number of days');
+    }
+    const modifier = requirements.telehealth_modifier;
+    if (modifier !== undefined && modifier !== null && !TELEHEALTH_MODIFIERS.includes(modifier)) {
+      errors.push(`telehealth_modifier must be one of ${TELEHEALTH_MODIFIERS.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join('; ')}`);
+    }
+
+    db.updatePayerClaimRequirements(payerId, {
+      required_fields: Array.isArray(fields) ? [...new Set(fields)] : [],
+      timely_filing_days: days || null,
+      telehealth_modifier: modifier || null
+    });
+    return this.getPayerRequirements(payerId);
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  static _checkNPIs(claim, { errors }) {
+    const npis = [['billing provider', claim.billing_provider && claim.billing_provider.npi]];
+    if (claim.rendering_provider) npis.push(['rendering provider', claim.rendering_provider.npi]);
+    claim.lines.forEach((line, index) => {
+      if (line.rendering_provider) npis.push([`line ${index + 1} rendering provider`, line.rendering_provider.npi]);
+    });
+    for (const [label, npi] of npis) {
+      // Not 10 digits is already a claim_format error
+      if (/^\d{10}$/.test(npi || '') && !this._isValidNPI(npi)) {
+        errors.push({ rule: 'npi', message: `${label} NPI ${npi} fails the check digit` });
+      }
+    }
+  }
+
+  static _checkDiagnoses(claim, { errors }) {
+    const seen = new Set();
+    for (const code of claim.diagnoses) {
+      if (seen.has(code)) {
+        errors.push({ rule: 'icd10_format', message: `diagnosis ${code} is listed twice` });
+      }
+      seen.add(code);
+      if (!ICD10_PATTERN.test(code)) {
+        errors.push({ rule: 'icd10_format', message: `diagnosis ${code} is not an ICD-10-CM code (e.g. F41.1)` });
+      } else if (NON_BILLABLE_ICD10.has(code) || SUBSTANCE_USE_CATEGORY.test(code)) {
+        errors.push({ rule: 'icd10_billable', message: `diagnosis ${code} is a category; use a more specific code` });
+      }
+    }
+  }
+
+  static _checkProcedureCodes(claim, { errors }) {
+    const codes = [...new Set(claim.lines.map(line => line.procedure_code).filter(Boolean))];
+    const known = new Set(db.getCptCodesByCodes(codes).map(row => row.code));
+    for (const code of codes) {
+      if (!PROCEDURE_CODE_PATTERN.test(code)) {
+        errors.push({ rule: 'procedure_codes', message: `procedure code ${code} is not a CPT or HCPCS code` });
+      } else if (!known.has(code)) {
+        errors.push({ rule: 'procedure_codes', message: `procedure code ${code} is not in the procedure code list` });
+      }
+    }
+  }
+
+  static _checkDiagnosisPointers(claim, { warnings }) {
+    const pointed = new Set(claim.lines.flatMap(line => line.diagnosis_pointers));
+    const unreferenced = claim.diagnoses.filter((code, index) => !pointed.has(index + 1));
+    if (unreferenced.length > 0) {
+      warnings.push({ rule: 'diagnosis_pointers', message: `no service line points at ${unreferenced.join(', ')}` });
+    }
+    claim.lines.forEach((line, index) => {
+      const primary = claim.diagnoses[line.diagnosis_pointers[0] - 1];
+      if (/^90[89]/.test(line.procedure_code || '') && primary && !primary.startsWith('F')) {
+        warnings.push({
+          rule: 'diagnosis_pointers',
+          line: index + 1,
+          message: `line ${index + 1}: ${line.procedure_code} points first at ${primary}; payers expect a mental health (F) diagnosis`
+        });
+      }
+    });
+  }
+
+  static _checkModifiers(claim, requirements, { errors, warnings }) {
+    const required = requirements.telehealth_modifier;
+    claim.lines.forEach((line, index) => {
+      const label = `line ${index + 1}`;
+      const placeOfService = line.place_of_service || claim.place_of_service;
+      const telehealth = TELEHEALTH_PLACES_OF_SERVICE.includes(placeOfService);
+      for (const modifier of line.modifiers) {
+        if (!MODIFIER_PATTERN.test(modifier)) {
+          errors.push({ rule: 'modifiers', line: index + 1, message: `${label}: modifier ${modifier} must be two letters or digits` });
+        }
+      }
+      const telehealthModifiers = line.modifiers.filter(modifier => TELEHEALTH_MODIFIERS.includes(modifier));
+      if (telehealth && telehealthModifiers.length === 0) {
+        errors.push({
+          rule: 'modifiers',
+          line: index + 1,
+          message: `${label}: telehealth (place of service ${placeOfService}) needs modifier ${required || TELEHEALTH_MODIFIERS.join(', ')}`
+        });
+      } else if (telehealth && required && !telehealthModifiers.includes(required)) {
+        errors.push({ rule: 'modifiers', line: index + 1, message: `${label}: this payer wants modifier ${required} for telehealth` });
+      } else if (!telehealth && telehealthModifiers.length > 0) {
+        warnings.push({
+          rule: 'modifiers',
+          line: index + 1,
+          message: `${label}: telehealth modifier ${telehealthModifiers[0]} on an in-person claim (place of service ${placeOfService})`
+        });
+      }
+    });
+
+    // The same procedure twice on one day is denied as a duplicate without a distinct-service modifier
+    const seen = new Map();
+    claim.lines.forEach((line, index) => {
+      const key = `${line.procedure_code}|${line.date_of_service}`;
+      if (seen.has(key) && !line.modifiers.some(modifier => DISTINCT_SERVICE_MODIFIERS.includes(modifier))) {
+        errors.push({
+          rule: 'modifiers',
+          line: index + 1,
+          message: `line ${index + 1}: ${line.procedure_code} repeats line ${seen.get(key) + 1} on the same day; add modifier 59, 76 or XU`
+        });
+      }
+      if (!seen.has(key)) seen.set(key, index);
+    });
+  }
+
+  static _checkAddOnCodes(claim, { errors }) {
+    const codes = claim.lines.map(line => line.procedure_code);
+    claim.lines.forEach((line, index) => {
+      const primaries = ADD_ON_CODES[line.procedure_code];
+      if (primaries && !codes.some(code => primaries.includes(code))) {
+        errors.push({
+          rule: 'add_on_codes',
+          line: index + 1,
+          message: `line ${index + 1}: add-on code ${line.procedure_code} needs one of ${primaries.slice(0, 6).join(', ')}${primaries.length > 6 ? ', ...' : ''} on the claim`
+        });
+      }
+    });
+    for (const group of EXCLUSIVE_CODES) {
+      const billed = group.filter(code => codes.includes(code));
+      if (billed.length > 1) {
+        errors.push({ rule: 'add_on_codes', message: `${billed.join(' and ')} can't be billed together` });
+      }
+    }
+  }
+
+  static _checkDates(claim, requirements, { errors, warnings }) {
+    const today = new Date().toISOString().slice(0, 10);
+    const limit = requirements.timely_filing_days || DEFAULT_TIMELY_FILING_DAYS;
+    const dates = [...new Set([claim.date_of_service, ...claim.lines.map(line => line.date_of_service)]
+      .filter(date => /^\d{4}-\d{2}-\d{2}/.test(String(date || ''))))].map(date => String(date).slice(0, 10));
+
+    for (const date of dates) {
+      if (date > today) {
+        errors.push({ rule: 'date_of_service', message: `date of service ${date} is in the future` });
+        continue;
+      }
+      if (claim.patient.dob && date < claim.patient.dob) {
+        errors.push({ rule: 'date_of_service', message: `date of service ${date} is before the patient's birth (${claim.patient.dob})` });
+      }
+      const age = Math.floor((Date.parse(today) - Date.parse(date)) / 86400000);
+      if (age > limit) {
+        errors.push({ rule: 'date_of_service', message: `date of service ${date} is past the ${limit}-day timely filing limit` });
+      } else if (age > limit - TIMELY_FILING_WARNING_DAYS) {
+        warnings.push({ rule: 'date_of_service', message: `date of service ${date} reaches the ${limit}-day timely filing limit in ${limit - age} day(s)` });
+      }
+    }
+  }
+
+  static _checkDuplicates(record, claim, { errors, warnings }) {
+    const codes = claim.lines.map(line => line.procedure_code);
+    const others = db.getPossibleDuplicateClaims({
+      id: record.id,
+      appointment_id: record.appointment_id,
+      patient_id: record.patient_id,
+      date_of_service: claim.date_of_service
+    });
+    for (const other of others) {
+      // A rejected claim never reached adjudication, and a closed one never sent was abandoned
+      if (other.status === 'rejected') continue;
+      if (other.status === 'closed' && !ClaimLifecycleService.wasSubmitted(other.id)) continue;
+      // The same service billed to the patient's other plans after this payer
+      if (CoordinationOfBenefitsService.isSameService(record, other)) continue;
+      const shared = this._procedureCodes(other).filter(code => codes.includes(code));
+      if (shared.length === 0) continue;
+      const message = `${shared.join(', ')} already billed on claim ${other.id} (${other.status})`;
+      if (ClaimLifecycleService.UNSUBMITTED_STATUSES.includes(other.status)) {
+        warnings.push({ rule: 'duplicate', message });
+      } else {
+        errors.push({ rule: 'duplicate', message });
+      }
+    }
+  }
+
+  static _checkPayerRequirements(claim, payer, requirements, { errors, warnings }) {
+    if (!payer) {
+      if (claim.payer.id && claim.payer.id !== 'N/A') {
+        warnings.push({ rule: 'payer_requirements', message: `payer ${claim.payer.id} is not in the payer directory` });
+      }
+      return;
+    }
+    for (const field of requirements.required_fields || []) {
+      const present = PAYER_FIELDS[field] && PAYER_FIELDS[field](claim);
+      if (!present) {
+        errors.push({ rule: 'payer_requirements', message: `${payer.payer_name} requires ${field.replace(/_/g, ' ')}` });
+      }
+    }
+  }
+
+  /**
+   * Move a draft that passed to scrubbed, and a scrubbed claim that failed back to draft
+   * @returns {Object} - The claim as stored after
+   */
+  static _syncStatus(record, result) {
+    const toStatus = record.status === 'draft' && result.passed ? 'scrubbed'
+      : (record.status === 'scrubbed' && !result.passed ? 'draft' : null);
+    if (!toStatus) return record;
+    return ClaimLifecycleService.transition(record.id, toStatus, {
+      source: 'scrubber',
+      payload: { scrub_status: result.status, errors: result.errors.map(error => error.message) }
+    });
+  }
+
+  // Procedure codes on a stored claim: its lines, its coding breakdown, or its service codes
+  static _procedureCodes(record) {
+    const lines = db.getClaimLines(record.id);
+    if (lines.length > 0) return lines.map(line => line.procedure_code);
+    const details = this._parseJSON(record.response_data) || {};
+    const breakdown = details.pricing && Array.isArray(details.pricing.breakdown) ? details.pricing.breakdown : [];
+    const codes = breakdown.length > 0
+      ? breakdown.map(item => item.code || item.cpt_code)
+      : String(record.service_code || '').split(/[,\s]+/);
+    return codes.map(code => String(code || '').trim().toUpperCase()).filter(code => code && code !== 'N/A');
+  }
+
+  static _requirements(payer) {
+    const stored = this._parseJSON(payer.claim_requirements) || {};
+    return {
+      required_fields: stored.required_fields || [],
+      timely_filing_days: stored.timely_filing_days || null,
+      telehealth_modifier: stored.telehealth_modifier || null
+    };
+  }
+
+  // NPI check digit: Luhn over the NPI's first nine digits prefixed with 80840
+  static _isValidNPI(npi) {
+    const digits = `80840${npi.slice(0, 9)}`;
+    let sum = 0;
+    for (let i = digits.length - 1, double = true; i >= 0; i--, double = !double) {
+      let digit = Number(digits[i]);
+      if (double) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return (10 - (sum % 10)) % 10 === Number(npi[9]);
+  }
+
+  static _parseJSON(value) {
+    if (!value) return null;
+    try {
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = ClaimScrubberService;
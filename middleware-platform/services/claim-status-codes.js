@@ -0,0 +1,123 @@
+/**
+ * Claim Status Codes
+ *
+ * Code lists used to read clearinghouse acknowledgments: 999 implementation acknowledgments
+ * (IK5/AK9 and the IK3/IK4 syntax errors) and 277/277CA claim status (STC01 category and
+ * status codes). Codes not listed are kept as-is and shown without a description.
+ */
+
+// IK501 / AK901: whether the transaction set (or the whole group) was accepted
+const ACKNOWLEDGMENT_CODES = {
+  A: 'Accepted',
+  E: 'Accepted but errors were noted',
+  M: 'Rejected, message authentication code failed',
+  P: 'Partially accepted, at least one transaction set was rejected',
+  R: 'Rejected',
+  W: 'Rejected, assurance failed validity tests',
+  X: 'Rejected, content after decryption could not be analyzed'
+};
+
+// IK304: segment syntax errors
+const SEGMENT_ERROR_CODES = {
+  '1': 'Unrecognized segment ID',
+  '2': 'Unexpected segment',
+  '3': 'Required segment missing',
+  '4': 'Loop occurs over maximum times',
+  '5': 'Segment exceeds maximum use',
+  '8': 'Segment has data element errors',
+  I6: 'Implementation dependent segment missing',
+  I9: 'Implementation dependent not used segment present'
+};
+
+// IK403: element syntax errors
+const ELEMENT_ERROR_CODES = {
+  '1': 'Required data element missing',
+  '2': 'Conditional required data element missing',
+  '4': 'Data element too short',
+  '5': 'Data element too long',
+  '6': 'Invalid character in data element',
+  '7': 'Invalid code value',
+  '8': 'Invalid date',
+  I10: 'Implementation "not used" data element present',
+  I12: 'Implementation pattern match failure'
+};
+
+// STC01-1: where the claim is in the payer's process
+const STATUS_CATEGORIES = {
+  A0: 'Acknowledgement/Forwarded',
+  A1: 'Acknowledgement/Receipt',
+  A2: 'Acknowledgement/Acceptance into adjudication system',
+  A3: 'Acknowledgement/Returned as unprocessable claim',
+  A4: 'Acknowledgement/Not found',
+  A5: 'Acknowledgement/Split claim',
+  A6: 'Acknowledgement/Rejected for missing information',
+  A7: 'Acknowledgement/Rejected for invalid information',
+  A8: 'Acknowledgement/Rejected for relational field in error',
+  P0: 'Pending: Adjudication/Details',
+  P1: 'Pending/In process',
+  P2: 'Pending/Payer review',
+  P3: 'Pending/Provider requested information',
+  P4: 'Pending/Patient requested information',
+  P5: 'Pending/Payer administrative/system hold',
+  F0: 'Finalized',
+  F1: 'Finalized/Payment',
+  F2: 'Finalized/Denial',
+  F3: 'Finalized/Revised',
+  F4: 'Finalized/Adjudication complete, no payment forthcoming',
+  R0: 'Requests for additional information/General requests',
+  R1: 'Requests for additional information/Entity requests',
+  R3: 'Requests for additional information/Claim/Line',
+  E0: 'Response not possible, error on submitted request data',
+  E1: 'Response not possible, system status',
+  E2: 'Information holder is not responding, resubmit at a later time',
+  D0: 'Data search unsuccessful'
+};
+
+// STC01-2: the detail behind the category
+const STATUS_CODES = {
+  '0': 'Cannot provide further status electronically',
+  '1': 'For more detailed information, see remittance advice',
+  '3': 'Claim has been adjudicated and is awaiting payment cycle',
+  '15': 'Requested information not provided as described',
+  '19': 'Entity acknowledges receipt of claim/encounter',
+  '20': 'Accepted for processing',
+  '21': 'Missing or invalid information',
+  '33': 'Subscriber and subscriber ID not found',
+  '35': 'Claim/encounter not found',
+  '65': 'Claim/line has been paid',
+  '88': 'Entity not eligible for benefits for submitted dates of service',
+  '96': 'No agreement with entity',
+  '164': 'Entity\'s contract/member number',
+  '187': 'Date(s) of service',
+  '454': 'Procedure code for services rendered',
+  '562': 'Entity\'s National Provider Identifier (NPI)'
+};
+
+// How each category moves the claim: acknowledged by the payer, rejected before adjudication,
+// in process, or finalized with a payment or denial. Other categories leave the status alone.
+const CATEGORY_CLAIM_STATUS = {
+  A1: 'accepted',
+  A2: 'accepted',
+  A3: 'rejected',
+  A4: 'rejected',
+  A6: 'rejected',
+  A7: 'rejected',
+  A8: 'rejected',
+  P0: 'processing',
+  P1: 'processing',
+  P2: 'processing',
+  P3: 'processing',
+  P4: 'processing',
+  P5: 'processing',
+  F1: 'paid',
+  F2: 'denied'
+};
+
+module.exports = {
+  ACKNOWLEDGMENT_CODES,
+  SEGMENT_ERROR_CODES,
+  ELEMENT_ERROR_CODES,
+  STATUS_CATEGORIES,
+  STATUS_CODES,
+  CATEGORY_CLAIM_STATUS
+};
@@ -0,0 +1,341 @@
+/**
+ * Claim Status EDI Service
+ *
+ * The X12 5010 transactions that follow a claim after the 837P goes out:
+ * - 999: the clearinghouse accepted or rejected each claim's transaction set (syntax)
+ * - 277CA: the payer accepted the claim into adjudication or rejected it (front-end edits)
+ * - 276/277: we ask where a claim is and the payer answers with its status
+ *
+ * Claims are identified by their patient control number (CLM01), which the payer echoes in
+ * the TRN of every 277, and our 276s use as their trace number.
+ */
+
+const X12 = require('./x12');
+const ClaimEDIService = require('./claim-edi-service');
+const db = require('../database');
+const {
+  ACKNOWLEDGMENT_CODES,
+  SEGMENT_ERROR_CODES,
+  ELEMENT_ERROR_CODES,
+  STATUS_CATEGORIES,
+  STATUS_CODES,
+  CATEGORY_CLAIM_STATUS
+} = require('./claim-status-codes');
+
+const STATUS_VERSION = '005010X212';
+const ACKNOWLEDGMENT_VERSION = '005010X214';
+const PATIENT_LEVELS = ['22', '23', 'PT'];
+
+class ClaimStatusEDIService {
+  /**
+   * Build a 276 for a stored claim, using the next interchange and group control numbers
+   * @param {String} claimId - insurance_claims id
+   * @returns {Object} - { content, trace_number, interchange_control_number }
+   */
+  static createInquiry(claimId) {
+    const record = db.getInsuranceClaim(claimId);
+    if (!record) {
+      throw new Error(`Claim not found: ${claimId}`);
+    }
+
+    const settings = ClaimEDIService.getSettings();
+    const claim = {
+      ...ClaimEDIService.loadClaim(record, settings),
+      payer_claim_control_number: record.payer_claim_control_number || null
+    };
+    if (!/^\d{10}$/.test(settings.billing_provider.npi || '')) {
+      throw new Error('Validation failed: provider NPI must be 10 digits (BILLING_PROVIDER_NPI)');
+    }
+
+    const interchangeControlNumber = db.nextX12ControlNumber('interchange');
+    const envelope = {
+      ...settings,
+      interchange_control_number: interchangeControlNumber,
+      group_control_number: db.nextX12ControlNumber('group'),
+      created_at: new Date()
+    };
+    return {
+      content: this.build276(claim, envelope),
+      trace_number: claim.patient_control_number,
+      interchange_control_number: interchangeControlNumber
+    };
+  }
+
+  /**
+   * Write a claim status inquiry (pure: same input, same output)
+   * @param {Object} claim - A claim as loaded by ClaimEDIService.loadClaim, plus payer_claim_control_number
+   * @param {Object} envelope - Settings (see ClaimEDIService.getSettings) plus control numbers and created_at
+   * @returns {String} - X12 content, one segment per line
+   */
+  static build276(claim, envelope) {
+    const createdAt = new Date(envelope.created_at);
+    const billing = claim.billing_provider;
+    const subscriber = claim.subscriber;
+    const dependent = subscriber.relationship !== 'self';
+    const dates = claim.lines.map(line => line.date_of_service || claim.date_of_service).filter(Boolean).sort();
+    const from = X12.compactDate(dates[0] || claim.date_of_service);
+    const to = X12.compactDate(dates[dates.length - 1] || claim.date_of_service);
+
+    const s = [];
+    s.push(X12.segment('ST', '276', '0001', STATUS_VERSION));
+    s.push(X12.segment('BHT', '0010', '13', claim.patient_control_number, X12.date(createdAt), X12.time(createdAt)));
+    s.push(X12.segment('HL', '1', '', '20', '1'));
+    s.push(X12.segment('NM1', 'PR', '2', claim.payer.name, '', '', '', '', 'PI', claim.payer.id));
+    s.push(X12.segment('HL', '2', '1', '21', '1'));
+    s.push(X12.segment('NM1', '41', '2', envelope.submitter.name, '', '', '', '', '46', envelope.sender_id));
+    s.push(X12.segment('HL', '3', '2', '19', '1'));
+    s.push(X12.segment('NM1', '1P', '2', billing.name, '', '', '', '', 'XX', billing.npi));
+    s.push(X12.segment('HL', '4', '3', '22', dependent ? '1' : '0'));
+    if (!dependent && subscriber.dob) {
+      s.push(X12.segment('DMG', 'D8', X12.compactDate(subscriber.dob), subscriber.gender || 'U'));
+    }
+    s.push(X12.segment('NM1', 'IL', '1', subscriber.last_name, subscriber.first_name || '', '', '', '', 'MI', subscriber.member_id));
+    if (dependent) {
+      s.push(X12.segment('HL', '5', '4', '23'));
+      s.push(X12.segment('DMG', 'D8', X12.compactDate(claim.patient.dob), claim.patient.gender || 'U'));
+      s.push(X12.segment('NM1', 'QC', '1', claim.patient.last_name, claim.patient.first_name || ''));
+    }
+
+    // 2200D/E claim status tracking: the trace number is the patient control number
+    s.push(X12.segment('TRN', '1', claim.patient_control_number));
+    if (claim.payer_claim_control_number) {
+      s.push(X12.segment('REF', '1K', claim.payer_claim_control_number));
+    }
+    s.push(X12.segment('REF', 'EJ', claim.patient_control_number));
+    s.push(X12.segment('AMT', 'T3', String(Math.round(claim.total_charge * 100) / 100)));
+    s.push(X12.segment('DTP', '472', 'RD8', `${from}-${to}`));
+    s.push(X12.segment('SE', String(s.length + 1), '0001'));
+
+    return X12.interchange([s], { ...envelope, functional_code: 'HR', version: STATUS_VERSION });
+  }
+
+  /**
+   * Read a 277 claim status response or 277CA claim acknowledgment
+   * @param {String} content - X12 277 content
+   * @returns {Object} - { type: '277' | '277CA', interchange_control_number, batch_statuses, claims: [{ patient_control_number,
+   *                       trace_number, payer_claim_control_number, status, statuses, service_dates, lines }] }
+   */
+  static parse277(content) {
+    const { segments, componentSeparator, interchangeControlNumber } = X12.tokenize(content, '277');
+    const result = { type: null, interchange_control_number: interchangeControlNumber, batch_statuses: [], claims: [] };
+    let claim = null;
+    let level = null;
+    let inLine = false;
+    let inTransaction = false;
+
+    for (const [id, ...el] of segments) {
+      switch (id) {
+        case 'GS':
+          if (el[0] !== 'HN') {
+            throw new Error(`Invalid 277: functional group ${el[0]} is not a claim status notification (HN)`);
+          }
+          break;
+        case 'ST':
+          if (el[0] !== '277') {
+            throw new Error(`Invalid 277: transaction set ${el[0]} is not a 277`);
+          }
+          result.type = el[2] === ACKNOWLEDGMENT_VERSION ? '277CA' : '277';
+          inTransaction = true;
+          claim = null;
+          break;
+        case 'HL':
+          level = el[2];
+          claim = null;
+          inLine = false;
+          break;
+        case 'TRN':
+          // Claims sit at the patient level (22/23 in a 277, PT in a 277CA); higher levels trace the batch
+          if (el[0] === '2' && PATIENT_LEVELS.includes(level)) {
+            claim = {
+              patient_control_number: el[1],
+              trace_number: el[1],
+              payer_claim_control_number: null,
+              status: null,
+              statuses: [],
+              service_dates: null,
+              lines: []
+            };
+            result.claims.push(claim);
+            inLine = false;
+          }
+          break;
+        case 'STC': {
+          const statuses = [el[0], el[9], el[10]]
+            .filter(Boolean)
+            .map(composite => this._status(composite, componentSeparator, el));
+          if (inLine && claim) {
+            claim.lines[claim.lines.length - 1].statuses.push(...statuses);
+          } else if (claim) {
+            claim.statuses.push(...statuses);
+          } else {
+            // Receiver or provider level: the batch as a whole was accepted or rejected
+            result.batch_statuses.push(...statuses);
+          }
+          break;
+        }
+        case 'REF':
+          if (claim && !inLine) {
+            if (el[0] === '1K') claim.payer_claim_control_number = el[1];
+            if (el[0] === 'EJ') claim.patient_control_number = el[1];
+          }
+          break;
+        case 'DTP':
+          if (claim && !inLine && el[0] === '472') {
+            const [from, to] = el[2].split('-');
+            claim.service_dates = { from: X12.isoDate(from), to: X12.isoDate(to || from) };
+          }
+          break;
+        case 'SVC':
+          if (claim) {
+            const procedure = el[0].split(componentSeparator);
+            claim.lines.push({ procedure_code: procedure[1], charge: Number(el[1]) || 0, paid: Number(el[2]) || 0, statuses: [] });
+            inLine = true;
+          }
+          break;
+        case 'SE':
+          inTransaction = false;
+          claim = null;
+          break;
+        default:
+          if (!inTransaction && !['ISA', 'GE', 'IEA'].includes(id)) {
+            throw new Error(`Invalid 277: ${id} segment outside a transaction set`);
+          }
+          break;
+      }
+    }
+
+    if (!result.type) {
+      throw new Error('Invalid 277: no 277 transaction sets found');
+    }
+    for (const entry of result.claims) {
+      const primary = entry.statuses[0];
+      entry.status = primary ? (CATEGORY_CLAIM_STATUS[primary.category] || null) : null;
+    }
+    return result;
+  }
+
+  /**
+   * Read a 999 implementation acknowledgment
+   * @param {String} content - X12 999 content
+   * @returns {Array} - One entry per acknowledged functional group: { group_control_number, functional_code, status,
+   *                    status_description, transaction_sets: [{ control_number, status, accepted, errors }] }
+   */
+  static parse999(content) {
+    const { segments } = X12.tokenize(content, '999');
+    const groups = [];
+    let group = null;
+    let set = null;
+    let error = null;
+
+    for (const [id, ...el] of segments) {
+      switch (id) {
+        case 'GS':
+          if (el[0] !== 'FA') {
+            throw new Error(`Invalid 999: functional group ${el[0]} is not an acknowledgment (FA)`);
+          }
+          break;
+        case 'ST':
+          if (el[0] !== '999') {
+            throw new Error(`Invalid 999: transaction set ${el[0]} is not a 999`);
+          }
+          break;
+        case 'AK1':
+          group = {
+            functional_code: el[0],
+            group_control_number: el[1],
+            version: el[2] || null,
+            status: null,
+            status_description: null,
+            transaction_sets: []
+          };
+          groups.push(group);
+          set = null;
+          break;
+        case 'AK2':
+          if (!group) break;
+          set = { transaction_set: el[0], control_number: el[1], status: null, accepted: null, errors: [] };
+          group.transaction_sets.push(set);
+          error = null;
+          break;
+        case 'IK3':
+          if (!set) break;
+          error = {
+            segment: el[0],
+            position: el[1] ? Number(el[1]) : null,
+            loop: el[2] || null,
+            code: el[3] || null,
+            description: SEGMENT_ERROR_CODES[el[3]] || null,
+            elements: []
+          };
+          set.errors.push(error);
+          break;
+        case 'IK4':
+          if (!error) break;
+          error.elements.push({
+            position: el[0],
+            reference: el[1] || null,
+            code: el[2],
+            description: ELEMENT_ERROR_CODES[el[2]] || null,
+            value: el[3] || null
+          });
+          break;
+        case 'IK5':
+          if (!set) break;
+          set.status = el[0];
+          set.accepted = ['A', 'E'].includes(el[0]);
+          set.status_description = ACKNOWLEDGMENT_CODES[el[0]] || null;
+          set = null;
+          error = null;
+          break;
+        case 'AK9':
+          if (!group) break;
+          group.status = el[0];
+          group.status_description = ACKNOWLEDGMENT_CODES[el[0]] || null;
+          break;
+        default:
+          break;
+      }
+    }
+
+    if (groups.length === 0) {
+      throw new Error('Invalid 999: no acknowledged functional group (AK1)');
+    }
+    return groups;
+  }
+
+  /**
+   * Which transaction an inbound file holds: '999', '277CA', '277' or '835'
+   */
+  static fileType(content) {
+    const { segments } = X12.tokenize(content, 'X12 file');
+    const st = segments.find(segment => segment[0] === 'ST');
+    if (!st) {
+      throw new Error('Invalid X12 file: no transaction set');
+    }
+    if (st[1] === '277') {
+      return st[3] === ACKNOWLEDGMENT_VERSION ? '277CA' : '277';
+    }
+    return st[1];
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  /**
+   * STC01 (or STC10/STC11): category:status:entity, with the date, amount and free-form message
+   */
+  static _status(composite, componentSeparator, el) {
+    const [category, code, entity] = composite.split(componentSeparator);
+    return {
+      category,
+      category_description: STATUS_CATEGORIES[category] || null,
+      code: code || null,
+      code_description: STATUS_CODES[code] || null,
+      entity: entity || null,
+      date: X12.isoDate(el[1]),
+      amount: el[3] ? Number(el[3]) : null,
+      message: el[11] || null
+    };
+  }
+}
+
+module.exports = ClaimStatusEDIService;
@@ -0,0 +1,399 @@
+/**
+ * Clearinghouse Service
+ *
+ * Every exchange with the clearinghouse goes through an adapter chosen by CLEARINGHOUSE:
+ * - stedi: Stedi's healthcare APIs (see stedi-clearinghouse-adapter.js)
+ * - mock: the bundled mock clearinghouse with scripted responses (see mock-clearinghouse-adapter.js)
+ * - unset: no clearinghouse; 837P files are generated for manual upload and eligibility can't be checked
+ *   (checks are stored as unknown)
+ *
+ * An adapter is an object with:
+ * - checkEligibility(content270) → content271
+ * - submitClaims(content837, { file_name }) → { submission_id }
+ * - getClaimStatus(content276) → content277
+ * - fetchInboundFiles() → [{ id, type, file_name, content }] (999, 277CA and 835 files waiting for pickup)
+ *
+ * Inbound files are picked up every CLEARINGHOUSE_POLL_MINUTES, or posted to the inbound
+ * endpoint by clearinghouses that push them. Each file is kept, processed once, and applied:
+ * 999s and 277CAs accept or reject claims, 277s update their status and 835s are posted by
+ * the remittance service.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const ClaimStatusEDIService = require('./claim-status-edi-service');
+const ClaimLifecycleService = require('./claim-lifecycle-service');
+const ClaimScrubberService = require('./claim-scrubber-service');
+const RemittanceService = require('./remittance-service');
+const StediClearinghouseAdapter = require('./stedi-clearinghouse-adapter');
+const MockClearinghouseAdapter = require('./mock-clearinghouse-adapter');
+
+const ADAPTERS = {
+  stedi: StediClearinghouseAdapter,
+  mock: MockClearinghouseAdapter
+};
+const POLL_MINUTES = parseInt(process.env.CLEARINGHOUSE_POLL_MINUTES, 10) || 15;
+const INBOUND_TYPES = ['999', '277CA', '277', '835'];
+// Claims the payer has decided (posted from a remit or a final 277), or that are closed, are not changed by acknowledgments
+const POSTED_STATUSES = [...ClaimLifecycleService.ADJUDICATED_STATUSES, 'closed'];
+// Claim status for what a 999, 277CA or 277 reports (see CATEGORY_CLAIM_STATUS)
+const ACKNOWLEDGMENT_CLAIM_STATUS = {
+  accepted: 'acknowledged',
+  rejected: 'rejected',
+  processing: 'pending',
+  paid: 'paid',
+  denied: 'denied'
+};
+
+class ClearinghouseService {
+  static intervalId = null;
+  static isRunning = false;
+  static adapters = new Map();
+
+  /**
+   * The configured adapter, or null when no clearinghouse is configured
+   */
+  static getAdapter() {
+    const name = (process.env.CLEARINGHOUSE || '').trim().toLowerCase();
+    if (!name || name === 'none') return null;
+    if (!ADAPTERS[name]) {
+      throw new Error(`Unknown clearinghouse: ${name} (use ${Object.keys(ADAPTERS).join(' or ')})`);
+    }
+    if (!this.adapters.has(name)) {
+      this.adapters.set(name, new ADAPTERS[name]());
+    }
+    return this.adapters.get(name);
+  }
+
+  static isConfigured() {
+    return this.getAdapter() !== null;
+  }
+
+  // ==================== ELIGIBILITY ====================
+
+  /**
+   * Send a 270 and return the 271 (null when no clearinghouse is configured)
+   */
+  static async checkEligibility(content) {
+    const adapter = this.getAdapter();
+    return adapter ? adapter.checkEligibility(content) : null;
+  }
+
+  // ==================== CLAIMS ====================
+
+  /**
+   * Send a generated 837P file and mark its claims submitted
+   * Its claims are scrubbed first; any blocking error, or a claim that can't move to
+   * submitted (see claim-lifecycle-service.js), stops the whole file.
+   * @param {String} exportId - claim_edi_exports id
+   * @returns {Object} - The export (without content)
+   */
+  static async submitExport(exportId) {
+    const ediExport = db.getClaimEdiExport(exportId);
+    if (!ediExport) {
+      throw new Error(`Export not found: ${exportId}`);
+    }
+    const adapter = this.getAdapter();
+    if (!adapter) {
+      throw new Error('No clearinghouse configured (set CLEARINGHOUSE)');
+    }
+    if (ediExport.submitted_at) {
+      throw new Error(`Export already submitted: ${exportId}`);
+    }
+    // Nothing goes out with a blocking scrub error, or for a claim that can't be submitted again
+    const claimIds = db.getClaimEdiExportClaims(exportId).map(claim => claim.claim_id);
+    ClaimScrubberService.assertClean(claimIds);
+    const blocked = claimIds.map(id => db.getInsuranceClaim(id))
+      .filter(claim => !ClaimLifecycleService.canTransition(claim.status, 'submitted'));
+    if (blocked.length > 0) {
+      throw new Error(`Validation failed: ${blocked.map(claim => `claim ${claim.id} is ${claim.status}`).join(', ')}`);
+    }
+
+    const { submission_id: submissionId } = await adapter.submitClaims(ediExport.content, { file_name: ediExport.file_name });
+    const submittedAt = new Date().toISOString();
+    db.updateClaimEdiExport(exportId, { clearinghouse: adapter.name, submission_id: submissionId, submitted_at: submittedAt });
+    for (const claimId of claimIds) {
+      ClaimLifecycleService.transition(claimId, 'submitted', {
+        source: 'clearinghouse',
+        updates: { submitted_at: submittedAt, x12_claim_id: submissionId },
+        payload: { export_id: exportId, file_name: ediExport.file_name, clearinghouse: adapter.name, submission_id: submissionId }
+      });
+    }
+
+    console.log(`📤 837P ${ediExport.file_name} sent to ${adapter.name} (${ediExport.claim_count} claims)`);
+    const { content, ...summary } = db.getClaimEdiExport(exportId);
+    return summary;
+  }
+
+  /**
+   * Ask the payer where a claim is (276/277) and apply the answer
+   * @returns {Object} - { claim, acknowledgment } (claim as stored after the update)
+   */
+  static async checkClaimStatus(claimId) {
+    const adapter = this.getAdapter();
+    if (!adapter) {
+      throw new Error('No clearinghouse configured (set CLEARINGHOUSE)');
+    }
+    const inquiry = ClaimStatusEDIService.createInquiry(claimId);
+    const content = await adapter.getClaimStatus(inquiry.content);
+    const file = this.receiveFile(content, { clearinghouse: adapter.name, file_name: `276-${inquiry.trace_number}.277` });
+    if (file.status === 'failed') {
+      throw new Error(`Claim status response could not be read: ${file.error}`);
+    }
+
+    const acknowledgments = db.getClaimAcknowledgments(claimId).filter(a => a.file_id === file.id);
+    return {
+      claim: db.getInsuranceClaim(claimId),
+      acknowledgment: acknowledgments.length > 0 ? this._formatAcknowledgment(acknowledgments[0]) : null
+    };
+  }
+
+  /**
+   * What the clearinghouse and payer have said about a claim, oldest first
+   */
+  static getAcknowledgments(claimId) {
+    return db.getClaimAcknowledgments(claimId).map(a => this._formatAcknowledgment(a));
+  }
+
+  // ==================== INBOUND FILES ====================
+
+  /**
+   * Keep and apply a file from the clearinghouse (999, 277CA, 277 or 835)
+   * A file already received under the same clearinghouse id is returned as it was, not applied again.
+   * @param {String} content - The X12 file
+   * @param {Object} options - { clearinghouse?, external_id?, file_name? }
+   * @returns {Object} - The stored file with its result (status processed or failed), plus duplicate
+   */
+  static receiveFile(content, options = {}) {
+    const clearinghouse = options.clearinghouse || 'manual';
+    if (options.external_id) {
+      const existing = db.getClearinghouseFileByExternalId(clearinghouse, options.external_id);
+      if (existing) {
+        return { ...this._formatFile(existing), duplicate: true };
+      }
+    }
+
+    const type = ClaimStatusEDIService.fileType(content);
+    if (!INBOUND_TYPES.includes(type)) {
+      throw new Error(`Unsupported file: ${type} (expected ${INBOUND_TYPES.join(', ')})`);
+    }
+
+    const file = db.createClearinghouseFile({
+      id: `chf_${uuidv4()}`,
+      clearinghouse,
+      external_id: options.external_id,
+      type,
+      file_name: options.file_name,
+      content
+    });
+
+    try {
+      const result = this._apply(file, content);
+      db.updateClearinghouseFile(file.id, { status: 'processed', result, processed_at: new Date().toISOString() });
+      console.log(`📥 ${type} ${file.file_name || file.id} processed`);
+    } catch (error) {
+      db.updateClearinghouseFile(file.id, { status: 'failed', error: error.message, processed_at: new Date().toISOString() });
+      console.error(`❌ ${type} ${file.file_name || file.id} failed:`, error.message);
+    }
+    return { ...this._formatFile(db.getClearinghouseFile(file.id)), duplicate: false };
+  }
+
+  /**
+   * Pick up and apply every file waiting at the clearinghouse
+   * @returns {Object} - { success, received, processed, failed }
+   */
+  static async poll() {
+    const adapter = this.getAdapter();
+    if (!adapter) {
+      return { success: false, error: 'No clearinghouse configured', received: 0, processed: 0, failed: 0 };
+    }
+
+    const files = await adapter.fetchInboundFiles();
+    const stats = { success: true, received: 0, processed: 0, failed: 0 };
+    for (const inbound of files) {
+      try {
+        const file = this.receiveFile(inbound.content, {
+          clearinghouse: adapter.name,
+          external_id: inbound.id,
+          file_name: inbound.file_name
+        });
+        if (file.duplicate) continue;
+        stats.received++;
+        stats[file.status === 'processed' ? 'processed' : 'failed']++;
+      } catch (error) {
+        console.error(`❌ Inbound file ${inbound.id} could not be read:`, error.message);
+        stats.received++;
+        stats.failed++;
+      }
+    }
+    return stats;
+  }
+
+  static getFile(id) {
+    const file = db.getClearinghouseFile(id);
+    return file ? this._formatFile(file) : null;
+  }
+
+  static listFiles(filters = {}) {
+    return db.getClearinghouseFiles({
+      type: filters.type,
+      status: filters.status,
+      limit: Math.min(parseInt(filters.limit, 10) || 100, 500)
+    }).map(file => this._formatFile(file));
+  }
+
+  // ==================== SCHEDULER ====================
+
+  /**
+   * Pick up inbound files every CLEARINGHOUSE_POLL_MINUTES
+   */
+  static start() {
+    if (this.isRunning) {
+      console.log('⚠️  Clearinghouse polling already running');
+      return;
+    }
+    if (!this.isConfigured()) {
+      console.log('ℹ️  Clearinghouse polling disabled (CLEARINGHOUSE not set)');
+      return;
+    }
+
+    this.isRunning = true;
+    const run = () => this.poll().catch(error => console.error('❌ Error polling clearinghouse:', error.message));
+    run();
+    this.intervalId = setInterval(run, POLL_MINUTES * 60 * 1000);
+
+    console.log(`✅ Clearinghouse polling started (${this.getAdapter().name}, every ${POLL_MINUTES} minutes)`);
+  }
+
+  static stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  static _apply(file, content) {
+    switch (file.type) {
+      case '999':
+        return this._apply999(file, ClaimStatusEDIService.parse999(content));
+      case '277CA':
+      case '277':
+        return this._apply277(file, ClaimStatusEDIService.parse277(content));
+      case '835': {
+        const result = RemittanceService.importERA(content, { file_name: file.file_name, actor: 'clearinghouse' });
+        return { era_file_ids: result.files.map(f => f.id), posted: result.posted, unmatched: result.unmatched };
+      }
+      default:
+        throw new Error(`Unsupported file: ${file.type}`);
+    }
+  }
+
+  /**
+   * 999: one acknowledgment per claim (each claim is its own transaction set in our 837P files)
+   */
+  static _apply999(file, groups) {
+    const result = { accepted: 0, rejected: 0, unmatched_groups: [] };
+    const acknowledgedAt = new Date().toISOString();
+
+    for (const group of groups) {
+      const ediExport = group.functional_code === 'HC' ? db.getClaimEdiExportByGroupControlNumber(group.group_control_number) : null;
+      if (!ediExport) {
+        result.unmatched_groups.push(group.group_control_number);
+        continue;
+      }
+      db.updateClaimEdiExport(ediExport.id, { acknowledgment_status: group.status, acknowledged_at: acknowledgedAt });
+
+      for (const exported of db.getClaimEdiExportClaims(ediExport.id)) {
+        const set = group.transaction_sets.find(s => s.control_number === exported.transaction_set_control_number);
+        // A group rejected without listing its sets rejects all of them
+        const accepted = set ? set.accepted : !['R', 'M', 'W', 'X'].includes(group.status);
+        const code = set ? set.status : group.status;
+        db.createClaimAcknowledgment({
+          id: `ack_${uuidv4()}`,
+          claim_id: exported.claim_id,
+          file_id: file.id,
+          export_id: ediExport.id,
+          type: '999',
+          status: accepted ? 'accepted' : 'rejected',
+          code,
+          description: set ? set.status_description : group.status_description,
+          details: set ? set.errors : []
+        });
+        this._setClaimStatus(exported.claim_id, accepted ? 'accepted' : 'rejected', file, { code, export_id: ediExport.id });
+        result[accepted ? 'accepted' : 'rejected']++;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 277CA / 277: claims matched by patient control number
+   */
+  static _apply277(file, response) {
+    const result = { type: response.type, claims: 0, unmatched: [], statuses: {} };
+
+    for (const entry of response.claims) {
+      const claim = db.getClaimByPatientControlNumber(entry.patient_control_number);
+      if (!claim) {
+        result.unmatched.push(entry.patient_control_number);
+        continue;
+      }
+      const primary = entry.statuses[0] || {};
+      const code = primary.category ? [primary.category, primary.code].filter(Boolean).join(':') : null;
+      db.createClaimAcknowledgment({
+        id: `ack_${uuidv4()}`,
+        claim_id: claim.id,
+        file_id: file.id,
+        type: response.type,
+        status: entry.status,
+        code,
+        description: [primary.category_description, primary.code_description, primary.message].filter(Boolean).join(' - ') || null,
+        details: { statuses: entry.statuses, lines: entry.lines, service_dates: entry.service_dates }
+      });
+      if (entry.payer_claim_control_number && !claim.payer_claim_control_number) {
+        db.updateInsuranceClaim(claim.id, { payer_claim_control_number: entry.payer_claim_control_number });
+      }
+      if (entry.status) {
+        this._setClaimStatus(claim.id, entry.status, file, { code });
+      }
+      result.claims++;
+      result.statuses[entry.status || 'unchanged'] = (result.statuses[entry.status || 'unchanged'] || 0) + 1;
+    }
+    return result;
+  }
+
+  /**
+   * Move a claim to the status an acknowledgment reports (accepted, rejected, processing, paid, denied)
+   */
+  static _setClaimStatus(claimId, reported, file, details = {}) {
+    ClaimLifecycleService.applyPayerStatus(claimId, ACKNOWLEDGMENT_CLAIM_STATUS[reported], {
+      source: file.type,
+      keep_statuses: POSTED_STATUSES,
+      updates: { status_checked_at: new Date().toISOString() },
+      payload: { file_id: file.id, reported, ...details }
+    });
+  }
+
+  static _formatFile(file) {
+    const { content, ...rest } = file;
+    return { ...rest, result: this._parseJSON(file.result) };
+  }
+
+  static _formatAcknowledgment(acknowledgment) {
+    return { ...acknowledgment, details: this._parseJSON(acknowledgment.details) };
+  }
+
+  static _parseJSON(value) {
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = ClearinghouseService;
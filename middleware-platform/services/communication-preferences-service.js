@@ -0,0 +1,281 @@
+/**
+ * Communication Preferences Service
+ *
+ * How each patient wants to be contacted, and what they agreed to:
+ * - Consent to texts (TCPA) and email, and HIPAA agreement to receive appointment details by
+ *   unencrypted email and text, each with when and how it was given (voice call, portal, staff
+ *   or a STOP/START reply) and a full history
+ * - Quiet hours: texts due inside them wait until they end
+ * - Preferred language
+ * - Which channels appointment reminders go out on
+ * Patients with no recorded decision are contacted as before; a revoked consent stops every
+ * message it covers. The notification outbox checks each message here before it is sent.
+ */
+
+const db = require('../database');
+const SchedulingConfigService = require('./scheduling-config-service');
+const ProviderScheduleService = require('./provider-schedule-service');
+const { LOCALES } = require('./template-defaults');
+
+const CONSENT_TYPES = ['sms', 'email', 'hipaa'];
+const SOURCES = ['voice', 'portal', 'staff', 'sms_reply'];
+const REMINDER_CHANNELS = ['email', 'sms'];
+// Languages messages are written in (every template has a version in each)
+const LANGUAGES = LOCALES;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+// A login code the patient just asked for: without it they could not reach the portal to change anything
+const CONSENT_EXEMPT_CATEGORIES = ['verification_code'];
+// Sent while the patient is waiting for them, so quiet hours do not hold them back
+const IMMEDIATE_CATEGORIES = ['verification_code', 'payment_link', 'order_confirmation'];
+// Messages that carry appointment details (covered by the HIPAA consent)
+const HEALTH_CATEGORIES = [
+  'appointment_confirmation',
+  'appointment_reminder',
+  'appointment_rescheduled',
+  'appointment_cancellation',
+  'series_confirmation',
+  'waitlist_offer'
+];
+
+class CommunicationPreferencesService {
+  /**
+   * A patient's preferences and current consent
+   * @param {String} phone - Patient phone (any format)
+   * @returns {Object} - { patient_phone, language, timezone, quiet_hours, reminder_channels,
+   *                       consent: { sms, email, hipaa }, sms_stopped, is_default, updated_at }
+   */
+  static getPreferences(phone) {
+    const patientPhone = this._normalizePhone(phone);
+    return this._formatPreferences(patientPhone, db.getCommunicationPreferences(patientPhone));
+  }
+
+  /**
+   * Change preferences and record consent decisions
+   * @param {String} phone - Patient phone
+   * @param {Object} updates - { language?, timezone?, quiet_hours? ({ start, end } or null to clear),
+   *                             reminder_channels? (subset of email, sms; [] for none, null for every channel),
+   *                             consent? ({ sms?, email?, hipaa? } as true to grant, false to revoke) }
+   * @param {Object} context - { source: voice | portal | staff, actor?, note? } (source required for consent)
+   */
+  static updatePreferences(phone, updates = {}, context = {}) {
+    const patientPhone = this._normalizePhone(phone);
+    const fields = {};
+
+    if (updates.language !== undefined) {
+      if (!LANGUAGES.includes(updates.language)) {
+        throw new Error(`Validation failed: language must be one of ${LANGUAGES.join(', ')}`);
+      }
+      fields.language = updates.language;
+    }
+    if (updates.timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: updates.timezone });
+      } catch (error) {
+        throw new Error(`Validation failed: unknown timezone ${updates.timezone}`);
+      }
+      fields.timezone = updates.timezone;
+    }
+    if (updates.quiet_hours !== undefined) {
+      const quiet = updates.quiet_hours;
+      if (quiet === null) {
+        fields.quiet_hours_start = null;
+        fields.quiet_hours_end = null;
+      } else if (!quiet || !TIME_PATTERN.test(quiet.start || '') || !TIME_PATTERN.test(quiet.end || '')) {
+        throw new Error('Validation failed: quiet_hours needs start and end in HH:MM (24-hour) format');
+      } else if (quiet.start === quiet.end) {
+        throw new Error('Validation failed: quiet_hours start and end must differ');
+      } else {
+        fields.quiet_hours_start = quiet.start;
+        fields.quiet_hours_end = quiet.end;
+      }
+    }
+    if (updates.reminder_channels !== undefined) {
+      const channels = updates.reminder_channels;
+      if (channels !== null && (!Array.isArray(channels) || channels.some(c => !REMINDER_CHANNELS.includes(c)))) {
+        throw new Error(`Validation failed: reminder_channels must be a list of ${REMINDER_CHANNELS.join(', ')}`);
+      }
+      fields.reminder_channels = channels === null ? null : [...new Set(channels)].join(',');
+    }
+
+    const consent = updates.consent || {};
+    const decisions = Object.keys(consent);
+    for (const type of decisions) {
+      if (!CONSENT_TYPES.includes(type)) {
+        throw new Error(`Validation failed: consent must be given for ${CONSENT_TYPES.join(', ')}`);
+      }
+      if (typeof consent[type] !== 'boolean') {
+        throw new Error(`Validation failed: consent.${type} must be true or false`);
+      }
+    }
+    if (decisions.length > 0) {
+      this._validateSource(context.source);
+    }
+
+    db.updateCommunicationPreferences(patientPhone, fields);
+    for (const type of decisions) {
+      this._record(patientPhone, type, consent[type], context);
+    }
+    return this.getPreferences(patientPhone);
+  }
+
+  /**
+   * Record one consent decision
+   * @param {String} phone - Patient phone
+   * @param {String} type - sms | email | hipaa
+   * @param {Boolean} granted - true to grant, false to revoke
+   * @param {Object} context - { source, actor?, note? }
+   */
+  static recordConsent(phone, type, granted, context = {}) {
+    if (!CONSENT_TYPES.includes(type)) {
+      throw new Error(`Validation failed: consent type must be one of ${CONSENT_TYPES.join(', ')}`);
+    }
+    this._validateSource(context.source);
+    const patientPhone = this._normalizePhone(phone);
+    this._record(patientPhone, type, Boolean(granted), context);
+    return this.getPreferences(patientPhone);
+  }
+
+  /**
+   * Every consent decision for a patient, newest first
+   */
+  static getConsentHistory(phone) {
+    return db.getConsentEvents(this._normalizePhone(phone)).map(event => ({
+      consent_type: event.consent_type,
+      status: event.status,
+      source: event.source,
+      recorded_by: event.recorded_by,
+      note: event.note,
+      recorded_at: event.created_at
+    }));
+  }
+
+  /**
+   * Whether a message may be sent to a patient now
+   * @param {Object} message - { channel: 'email'|'sms', patient_phone, category }
+   * @returns {Object} - { allowed: true } | { allowed: false, reason, opted_out? } |
+   *                     { allowed: false, defer_until } (quiet hours)
+   */
+  static checkSend(message, now = new Date()) {
+    if (!message.patient_phone || CONSENT_EXEMPT_CATEGORIES.includes(message.category)) {
+      return { allowed: true };
+    }
+
+    const patientPhone = this._normalizePhone(message.patient_phone);
+    if (message.channel === 'sms' && this._smsService().isOptedOut(patientPhone)) {
+      return { allowed: false, opted_out: true, reason: 'Patient replied STOP' };
+    }
+
+    const preferences = db.getCommunicationPreferences(patientPhone);
+    if (!preferences) {
+      return { allowed: true };
+    }
+    if (preferences[`${message.channel}_consent`] === 'revoked') {
+      return { allowed: false, reason: `Patient revoked ${message.channel === 'sms' ? 'SMS' : 'email'} consent` };
+    }
+    if (HEALTH_CATEGORIES.includes(message.category) && preferences.hipaa_consent === 'revoked') {
+      return { allowed: false, reason: 'Patient revoked consent to appointment details by email and text' };
+    }
+    if (message.category === 'appointment_reminder' && !this._reminderChannels(preferences).includes(message.channel)) {
+      return { allowed: false, reason: `Patient turned off ${message.channel} reminders` };
+    }
+
+    if (message.channel === 'sms' && !IMMEDIATE_CATEGORIES.includes(message.category)) {
+      const quietUntil = this._quietHoursEnd(preferences, now);
+      if (quietUntil) {
+        return { allowed: false, defer_until: quietUntil.toISOString() };
+      }
+    }
+    return { allowed: true };
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  static _record(patientPhone, type, granted, context) {
+    db.recordConsent(
+      patientPhone,
+      type,
+      granted ? 'granted' : 'revoked',
+      context.source,
+      context.actor || null,
+      context.note || null
+    );
+    console.log(`📝 ${type} consent ${granted ? 'granted' : 'revoked'} for ${patientPhone} (${context.source})`);
+  }
+
+  static _validateSource(source) {
+    if (!SOURCES.includes(source)) {
+      throw new Error(`Validation failed: source must be one of ${SOURCES.join(', ')}`);
+    }
+  }
+
+  /**
+   * When the patient's quiet hours end, if now is inside them
+   * @returns {Date|null}
+   */
+  static _quietHoursEnd(preferences, now) {
+    if (!preferences.quiet_hours_start || !preferences.quiet_hours_end) return null;
+
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: preferences.timezone || SchedulingConfigService.getSettings().timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+    const local = Number(parts.find(p => p.type === 'hour').value) * 60 + Number(parts.find(p => p.type === 'minute').value);
+    const start = ProviderScheduleService.toMinutes(preferences.quiet_hours_start);
+    const end = ProviderScheduleService.toMinutes(preferences.quiet_hours_end);
+
+    // Quiet hours usually run overnight (21:00-08:00)
+    const inside = start < end ? local >= start && local < end : local >= start || local < end;
+    if (!inside) return null;
+
+    const until = new Date(now.getTime() + ((end - local + 1440) % 1440) * 60 * 1000);
+    until.setUTCSeconds(0, 0);
+    return until;
+  }
+
+  // Every channel until the patient chooses
+  static _reminderChannels(row) {
+    if (row.reminder_channels === null || row.reminder_channels === undefined) return [...REMINDER_CHANNELS];
+    return row.reminder_channels.split(',').filter(Boolean);
+  }
+
+  static _normalizePhone(phone) {
+    if (!phone) {
+      throw new Error('patient_phone is required');
+    }
+    return this._smsService().formatPhoneNumber(String(phone));
+  }
+
+  // Required here: SMSService sends through the notification outbox, which checks preferences here
+  static _smsService() {
+    return require('./sms-service');
+  }
+
+  static _formatPreferences(patientPhone, preferences) {
+    const row = preferences || {};
+    const consent = {};
+    for (const type of CONSENT_TYPES) {
+      consent[type] = {
+        status: row[`${type}_consent`] || 'not_recorded',
+        recorded_at: row[`${type}_consent_at`] || null,
+        source: row[`${type}_consent_source`] || null
+      };
+    }
+    return {
+      patient_phone: patientPhone,
+      language: row.language || 'en',
+      timezone: row.timezone || SchedulingConfigService.getSettings().timezone,
+      quiet_hours: row.quiet_hours_start && row.quiet_hours_end
+        ? { start: row.quiet_hours_start, end: row.quiet_hours_end }
+        : null,
+      reminder_channels: this._reminderChannels(row),
+      consent,
+      sms_stopped: this._smsService().isOptedOut(patientPhone),
+      is_default: !preferences,
+      updated_at: row.updated_at || null
+    };
+  }
+}
+
+module.exports = CommunicationPreferencesService;
@@ -0,0 +1,272 @@
+/**
+ * Coordination of Benefits Service
+ *
+ * Patients covered by more than one plan. Each plan has a priority (1 primary, 2 secondary,
+ * 3 tertiary), and a service is billed to the plans in that order:
+ * - New claims go to the primary plan
+ * - When a payer's 835 leaves the patient owing something, a claim to the next plan is created
+ *   with the same service lines, linked to the claim before it (prior_claim_id) and sent on
+ *   (see InsuranceService.submitNextPayerClaim)
+ * - That claim's 837P carries each earlier payer's adjudication, read from the 835s posted to
+ *   the earlier claims (see claim-edi-service.js)
+ * - EOB estimates count what the other plan pays (see eob-calculation-service.js)
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const ClaimLineService = require('./claim-line-service');
+const ClaimLifecycleService = require('./claim-lifecycle-service');
+
+// SBR01 payer responsibility sequence codes, by position in the patient's plans
+const SEQUENCES = ['primary', 'secondary', 'tertiary'];
+const REVERSAL_STATUS_CODE = '22';
+
+class CoordinationOfBenefitsService {
+  static SEQUENCES = SEQUENCES;
+
+  /**
+   * A patient's plans in the order they pay, each with its payer_sequence
+   * (plans after the third have none and are not billed)
+   */
+  static getCoverage(patientId) {
+    return db.getAllPatientInsurance(patientId).map((plan, index) => ({
+      ...plan,
+      payer_sequence: SEQUENCES[index] || null
+    }));
+  }
+
+  /**
+   * Put a patient's plans in the order they pay
+   * @param {Array} insuranceIds - Every one of the patient's plans (patient_insurance ids), primary first
+   * @param {Object} options - { actor }
+   */
+  static setCoverageOrder(patientId, insuranceIds, options = {}) {
+    const plans = db.getAllPatientInsurance(patientId);
+    if (plans.length === 0) {
+      throw new Error(`Patient insurance not found: ${patientId}`);
+    }
+    if (!Array.isArray(insuranceIds) || insuranceIds.length === 0) {
+      throw new Error('Validation failed: order must list the patient\'s plans, primary first');
+    }
+    const known = new Set(plans.map(plan => plan.id));
+    const unknown = insuranceIds.filter(id => !known.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`Validation failed: ${unknown.join(', ')} is not one of the patient's plans`);
+    }
+    if (new Set(insuranceIds).size !== insuranceIds.length || insuranceIds.length !== plans.length) {
+      throw new Error('Validation failed: order must list each of the patient\'s plans once');
+    }
+
+    db.runExclusive(() => {
+      insuranceIds.forEach((id, index) => db.setPatientInsurancePriority(id, index + 1));
+    });
+    console.log(`🩺 Coverage order for ${patientId} set by ${options.actor || 'staff'}: ${insuranceIds.join(' → ')}`);
+    return this.getCoverage(patientId);
+  }
+
+  /**
+   * The plan new claims for a patient go to
+   */
+  static primaryCoverage(patientId) {
+    return this.getCoverage(patientId)[0] || null;
+  }
+
+  /**
+   * The plan after the claim's own, which the remaining balance goes to (null when there is none)
+   */
+  static nextCoverage(claim) {
+    if (!claim.patient_id) return null;
+    const coverage = this.getCoverage(claim.patient_id);
+    const index = coverage.findIndex(plan => plan.member_id === claim.member_id && plan.payer_id === claim.payer_id);
+    if (index === -1) return null;
+    const next = coverage[index + 1];
+    return next && next.payer_sequence ? next : null;
+  }
+
+  /**
+   * The latest eligibility check for a plan (a claim or patient_insurance row), for its cost share
+   */
+  static eligibilityFor(plan) {
+    if (!plan || !plan.patient_id) return null;
+    return db.getEligibilityChecksByPatient(plan.patient_id)
+      .find(check => check.member_id === plan.member_id && check.payer_id === plan.payer_id) || null;
+  }
+
+  /**
+   * What each payer before this claim's did with the service, oldest first: the claims before it
+   * (prior_claim_id) with the 835 posted to each. A payer whose 835 isn't posted yet has a null adjudication.
+   * @returns {Array} - [{ claim_id, payer_sequence, payer_id, payer_name, member_id, plan, adjudication }]
+   */
+  static getPriorPayers(claim) {
+    const priors = [];
+    const seen = new Set([claim.id]);
+    let priorId = claim.prior_claim_id;
+    while (priorId && !seen.has(priorId)) {
+      seen.add(priorId);
+      const prior = db.getInsuranceClaim(priorId);
+      if (!prior) break;
+      const payer = db.getPayerByPayerId(prior.payer_id);
+      const plan = prior.patient_id ? db.getPatientInsurance(prior.patient_id, prior.member_id) : null;
+      priors.unshift({
+        claim_id: prior.id,
+        payer_sequence: prior.payer_sequence || 'primary',
+        payer_id: prior.payer_id,
+        payer_name: (payer && payer.payer_name) || (plan && plan.payer_name) || prior.payer_id,
+        member_id: prior.member_id,
+        plan: plan || null,
+        adjudication: this.getAdjudication(prior.id)
+      });
+      priorId = prior.prior_claim_id;
+    }
+    return priors;
+  }
+
+  /**
+   * The payer's latest 835 for a claim, with its service lines (null when none is posted or the
+   * latest took the payment back)
+   * @returns {Object|null} - { claim_payment_id, claim_status_code, paid_amount, allowed_amount,
+   *                            patient_responsibility, adjudication_date, adjustments, lines }
+   */
+  static getAdjudication(claimId) {
+    const posted = db.getEraClaimPayments({ claim_id: claimId, status: 'posted' });
+    const payment = posted[posted.length - 1];
+    if (!payment || payment.claim_status_code === REVERSAL_STATUS_CODE) return null;
+
+    const file = db.getEraFile(payment.era_file_id);
+    return {
+      claim_payment_id: payment.id,
+      claim_status_code: payment.claim_status_code,
+      total_charge: payment.total_charge,
+      paid_amount: payment.paid_amount,
+      allowed_amount: payment.allowed_amount,
+      patient_responsibility: payment.patient_responsibility,
+      adjudication_date: (file && file.payment_date) || String(payment.posted_at).slice(0, 10),
+      adjustments: this._parseJSON(payment.adjustments) || [],
+      lines: db.getEraServicePayments(payment.id).map(service => ({
+        line_number: service.line_number,
+        procedure_code: service.procedure_code,
+        modifiers: this._parseJSON(service.modifiers) || [],
+        units: service.units,
+        charge: service.charge,
+        paid_amount: service.paid_amount,
+        allowed_amount: service.allowed_amount,
+        adjustments: this._parseJSON(service.adjustments) || []
+      }))
+    };
+  }
+
+  /**
+   * Whether a claim's balance should go to the patient's next plan now: its payer has adjudicated
+   * it, the patient still owes something, there is a next plan and no claim to it yet
+   */
+  static needsNextPayerClaim(claimId) {
+    const claim = db.getInsuranceClaim(claimId);
+    if (!claim || db.getClaimsByPriorClaim(claimId).length > 0) return false;
+    const adjudication = this.getAdjudication(claimId);
+    return !!adjudication && adjudication.patient_responsibility > 0 && !!this.nextCoverage(claim);
+  }
+
+  /**
+   * Create the claim to the patient's next plan for what the payer left the patient owing
+   * It bills the same service lines and starts as a draft. A claim that already has one returns it.
+   * @param {Object} options - { actor }
+   * @returns {Object} - The next payer's claim as stored
+   */
+  static createNextPayerClaim(claimId, options = {}) {
+    const claim = db.getInsuranceClaim(claimId);
+    if (!claim) {
+      throw new Error(`Claim not found: ${claimId}`);
+    }
+    const existing = db.getClaimsByPriorClaim(claimId)[0];
+    if (existing) return existing;
+
+    const adjudication = this.getAdjudication(claimId);
+    if (!adjudication) {
+      throw new Error(`Validation failed: claim ${claimId} has no 835 from its payer yet`);
+    }
+    if (!(adjudication.patient_responsibility > 0)) {
+      throw new Error(`Validation failed: the payer left nothing for another plan on claim ${claimId}`);
+    }
+    const next = this.nextCoverage(claim);
+    if (!next) {
+      throw new Error(`Validation failed: the patient has no plan after ${claim.payer_id}`);
+    }
+
+    const record = ClaimLineService.withLines({
+      id: `claim_${uuidv4()}`,
+      appointment_id: claim.appointment_id,
+      patient_id: claim.patient_id,
+      member_id: next.member_id,
+      payer_id: next.payer_id,
+      diagnosis_code: claim.diagnosis_code,
+      date_of_service: claim.date_of_service,
+      copay_amount: 0,
+      insurance_amount: adjudication.patient_responsibility,
+      status: 'draft',
+      payer_sequence: next.payer_sequence,
+      prior_claim_id: claim.id,
+      submitted_at: new Date().toISOString(),
+      response_data: JSON.stringify({ message: `Balance after ${claim.payer_id}`, prior_claim_id: claim.id })
+    }, ClaimLineService.linesFor(claim));
+
+    const created = ClaimLifecycleService.create(record, {
+      actor: options.actor || 'system',
+      source: 'system',
+      payload: { prior_claim_id: claim.id, payer_sequence: next.payer_sequence }
+    });
+    console.log(`🩺 ${next.payer_sequence} claim ${created.id} created for ${next.payer_id} after claim ${claim.id} ($${adjudication.patient_responsibility} left)`);
+    return created;
+  }
+
+  /**
+   * Whether two claims bill the same service to different plans (one follows the other)
+   */
+  static isSameService(claim, other) {
+    return this._firstClaimId(claim) === this._firstClaimId(other);
+  }
+
+  /**
+   * A claim's place among the payers: the claims before it with their adjudication, the claims after it,
+   * and the next plan
+   */
+  static getCoordination(claimId) {
+    const claim = db.getInsuranceClaim(claimId);
+    if (!claim) return null;
+    return {
+      claim_id: claim.id,
+      payer_sequence: claim.payer_sequence || 'primary',
+      prior_payers: this.getPriorPayers(claim),
+      adjudication: this.getAdjudication(claim.id),
+      next_claims: db.getClaimsByPriorClaim(claim.id).map(next => ({
+        id: next.id, payer_id: next.payer_id, payer_sequence: next.payer_sequence, status: next.status
+      })),
+      next_coverage: this.nextCoverage(claim)
+    };
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  // The primary claim a claim follows (itself when it is the primary's)
+  static _firstClaimId(claim) {
+    const seen = new Set();
+    let current = claim;
+    while (current.prior_claim_id && !seen.has(current.prior_claim_id)) {
+      seen.add(current.prior_claim_id);
+      const prior = db.getInsuranceClaim(current.prior_claim_id);
+      if (!prior) return current.prior_claim_id;
+      current = prior;
+    }
+    return current.id;
+  }
+
+  static _parseJSON(value) {
+    if (!value) return null;
+    try {
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = CoordinationOfBenefitsService;
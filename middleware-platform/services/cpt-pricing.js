@@ -0,0 +1,51 @@
+/**
+ * CPT Pricing
+ *
+ * What coded services are billed at: the chargemaster (see fee-schedule-service.js) first, then
+ * a built-in list of common behavioral health and office visit codes. Kept apart from the PDF
+ * coding pipeline so pricing can be used without its LLM client.
+ */
+
+const FeeScheduleService = require('./fee-schedule-service');
+
+// CPT Code Pricing for codes not on the chargemaster (simplified - in production, use CMS data)
+const CPT_PRICING = {
+  '90837': { description: 'Psychotherapy, 60 minutes', price: 150.00 },
+  '90834': { description: 'Psychotherapy, 45 minutes', price: 120.00 },
+  '90833': { description: 'Psychotherapy, 30 minutes', price: 90.00 },
+  '90832': { description: 'Psychotherapy, 30 minutes', price: 90.00 },
+  '99213': { description: 'Office visit, established patient, low complexity', price: 100.00 },
+  '99214': { description: 'Office visit, established patient, moderate complexity', price: 150.00 },
+  '99215': { description: 'Office visit, established patient, high complexity', price: 200.00 },
+  '99203': { description: 'Office visit, new patient, low complexity', price: 150.00 },
+  '99204': { description: 'Office visit, new patient, moderate complexity', price: 250.00 },
+  '99205': { description: 'Office visit, new patient, high complexity', price: 350.00 }
+};
+
+/**
+ * Get pricing for CPT codes
+ * @param {Array} cptCodes - Array of CPT code objects (or bare codes)
+ * @param {string} dateOfService - Date the chargemaster rates are looked up for (optional; today by default)
+ * @returns {Array} CPT codes with pricing
+ */
+function getCPTPricing(cptCodes, dateOfService = null) {
+  return cptCodes.map(cpt => {
+    const code = cpt.code || cpt;
+    const rate = FeeScheduleService.findRate({ kind: 'chargemaster', procedure_code: code, modifiers: cpt.modifier ? [cpt.modifier] : [], date: dateOfService });
+    const pricing = rate
+      ? { description: rate.description || (CPT_PRICING[code] || {}).description, price: rate.amount }
+      : CPT_PRICING[code] || { description: cpt.description || 'Unknown', price: 0 };
+
+    return {
+      code: code,
+      description: pricing.description || cpt.description || 'Unknown',
+      price: pricing.price,
+      modifier: cpt.modifier || null
+    };
+  });
+}
+
+module.exports = {
+  CPT_PRICING,
+  getCPTPricing
+};
@@ -0,0 +1,140 @@
+/**
+ * Denial Codes
+ *
+ * How the denial queue reads a payer's reasons: each Claim Adjustment Reason Code (CARC) and
+ * the Remittance Advice Remark Codes (RARC) that narrow one down belong to a category, and each
+ * category has the fix that usually works and the appeal letter to start from. A remark code
+ * is more specific than the reason code it comes with, so its category wins. Codes not listed
+ * fall under "other".
+ */
+
+// What to do about each kind of denial; appeal_template names a letter template (template-defaults.js)
+const CATEGORIES = {
+  modifier: {
+    label: 'Missing or invalid modifier',
+    suggested_fix: 'Add the modifier the payer expects (95 or GT for telehealth, 59 or XU for a separate service the same day) and send a corrected claim.',
+    corrected_claim: true,
+    appeal_template: 'appeal_reconsideration'
+  },
+  coding: {
+    label: 'Procedure or diagnosis coding',
+    suggested_fix: 'Check the procedure and diagnosis codes against the session note, fix them and send a corrected claim.',
+    corrected_claim: true,
+    appeal_template: 'appeal_reconsideration'
+  },
+  bundling: {
+    label: 'Bundled or billed together',
+    suggested_fix: 'Check the codes billed the same day. If the service was separate, add 59 or XU and send a corrected claim; otherwise write the line off.',
+    corrected_claim: true,
+    appeal_template: 'appeal_reconsideration'
+  },
+  eligibility: {
+    label: 'Eligibility',
+    suggested_fix: 'Run an eligibility check for the date of service. Update the member ID or payer and send a corrected claim, or bill the patient if coverage had ended.',
+    corrected_claim: true,
+    appeal_template: 'appeal_reconsideration'
+  },
+  coordination_of_benefits: {
+    label: 'Coordination of benefits',
+    suggested_fix: 'Confirm which plan is primary with the patient. Bill the primary payer first, then send this payer the primary\'s remittance.',
+    corrected_claim: false,
+    appeal_template: 'appeal_reconsideration'
+  },
+  timely_filing: {
+    label: 'Timely filing',
+    suggested_fix: 'Appeal with proof the claim was filed in time (clearinghouse acceptance, 999 or 277CA). Without proof, write it off; the patient can\'t be billed.',
+    corrected_claim: false,
+    appeal_template: 'appeal_timely_filing'
+  },
+  authorization: {
+    label: 'Prior authorization',
+    suggested_fix: 'Ask the payer for a retroactive authorization and appeal with the authorization number, or with the reason one could not be obtained in time.',
+    corrected_claim: false,
+    appeal_template: 'appeal_reconsideration'
+  },
+  medical_necessity: {
+    label: 'Medical necessity',
+    suggested_fix: 'Appeal with the clinical record: diagnosis, symptoms and functional impairment, treatment plan and progress.',
+    corrected_claim: false,
+    appeal_template: 'appeal_medical_necessity'
+  },
+  frequency_limit: {
+    label: 'Visit or frequency limit',
+    suggested_fix: 'Check the plan\'s visit limits. Appeal with medical necessity for more visits, or bill the patient if they agreed to pay.',
+    corrected_claim: false,
+    appeal_template: 'appeal_medical_necessity'
+  },
+  provider: {
+    label: 'Provider credentialing or NPI',
+    suggested_fix: 'Check the rendering provider\'s NPI, credentialing and network status with the payer, fix the provider on the claim and send a corrected claim.',
+    corrected_claim: true,
+    appeal_template: 'appeal_reconsideration'
+  },
+  duplicate: {
+    label: 'Duplicate claim',
+    suggested_fix: 'Check the status of the original claim before doing anything else; don\'t send it again.',
+    corrected_claim: false,
+    appeal_template: 'appeal_reconsideration'
+  },
+  non_covered: {
+    label: 'Service not covered',
+    suggested_fix: 'The plan doesn\'t cover the service. Bill the patient if they signed a waiver before the visit, otherwise write it off.',
+    corrected_claim: false,
+    appeal_template: 'appeal_reconsideration'
+  },
+  other: {
+    label: 'Other',
+    suggested_fix: 'Read the payer\'s remark codes and call the payer for the reason before correcting or appealing.',
+    corrected_claim: false,
+    appeal_template: 'appeal_reconsideration'
+  }
+};
+
+// CARC: category for each reason code
+const REASON_CATEGORIES = {
+  '4': 'modifier',
+  '5': 'coding',
+  '11': 'coding',
+  '16': 'coding',
+  '18': 'duplicate',
+  '22': 'coordination_of_benefits',
+  '23': 'coordination_of_benefits',
+  '26': 'eligibility',
+  '27': 'eligibility',
+  '29': 'timely_filing',
+  '31': 'eligibility',
+  '50': 'medical_necessity',
+  '96': 'non_covered',
+  '97': 'bundling',
+  '109': 'eligibility',
+  '119': 'frequency_limit',
+  '151': 'frequency_limit',
+  '167': 'medical_necessity',
+  '170': 'provider',
+  '185': 'provider',
+  '197': 'authorization',
+  '198': 'authorization',
+  '204': 'non_covered',
+  '242': 'provider'
+};
+
+// RARC: category for remark codes that say more than their reason code
+const REMARK_CATEGORIES = {
+  M15: 'bundling',
+  M20: 'coding',
+  M51: 'coding',
+  M76: 'coding',
+  M80: 'bundling',
+  MA04: 'coordination_of_benefits',
+  N20: 'bundling',
+  N30: 'eligibility',
+  N95: 'provider',
+  N290: 'provider',
+  N362: 'frequency_limit'
+};
+
+module.exports = {
+  CATEGORIES,
+  REASON_CATEGORIES,
+  REMARK_CATEGORIES
+};
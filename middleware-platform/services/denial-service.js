@@ -0,0 +1,576 @@
+/**
+ * Denial Service
+ *
+ * Tracks what payers refuse to pay and the work to get it paid:
+ * - A denial is recorded when an 835 denies a claim, or pays it but refuses a service line,
+ *   with the payer's reason (CARC) and remark (RARC) codes and the amount refused
+ * - The work queue groups open denials by reason, each with the fix that usually works
+ *   (see denial-codes.js); staff assign denials, set follow-up dates and add notes
+ * - Appeal letters are written from letter templates with the claim's and the session's
+ *   clinical data, and kept; sending one moves the claim to appealed
+ * - Corrected claims are resubmitted through InsuranceService (frequency code 7)
+ * - Denial rates by payer and by reason, for a date range
+ *
+ * A denial stays open until the claim is paid, a later remit denies it again (the new denial
+ * replaces it), or staff resolve or write it off.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const ClaimEDIService = require('./claim-edi-service');
+const ClaimLifecycleService = require('./claim-lifecycle-service');
+const TemplateService = require('./template-service');
+const { CARC_CODES, RARC_CODES } = require('./remittance-codes');
+const { CATEGORIES, REASON_CATEGORIES, REMARK_CATEGORIES } = require('./denial-codes');
+
+const STATUSES = ['open', 'appealed', 'resubmitted', 'resolved', 'written_off'];
+// Still being worked
+const ACTIVE_STATUSES = ['open', 'appealed', 'resubmitted'];
+const FOLLOW_UP_DAYS = parseInt(process.env.DENIAL_FOLLOW_UP_DAYS, 10) || 7;
+const REPORT_DAYS = 90;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class DenialService {
+  static STATUSES = STATUSES;
+  static ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+  /**
+   * Record what a posted 835 remit means for the claim's denials (called by the remittance service)
+   * A denial or refused line opens a denial and replaces the claim's earlier ones; a payment resolves them.
+   * @param {Object} claim - insurance_claims row
+   * @param {Object} payment - The remit (era_claim_payments, with services)
+   * @param {String} claimStatus - Status the remit gave the claim (denied, partially_paid, paid, pending)
+   * @returns {Object|null} - The denial recorded, if any
+   */
+  static recordRemit(claim, payment, claimStatus, options = {}) {
+    const actor = options.actor || 'system';
+    if (claimStatus === 'paid') {
+      this._closeActive(claim.id, 'resolved', `Paid by the payer (835 ${payment.id})`, actor);
+      return null;
+    }
+    if (!['denied', 'partially_paid'].includes(claimStatus) || db.getClaimDenialByPayment(payment.id)) {
+      return null;
+    }
+
+    const denial = this._fromRemit(claim, payment, claimStatus === 'denied' ? 'claim' : 'line');
+    this._closeActive(claim.id, 'resolved', `Denied again (835 ${payment.id})`, actor);
+    const created = db.createClaimDenial(denial);
+    console.log(`🚫 Denial ${created.id} for claim ${claim.id}: ${denial.group_code || ''}${denial.reason_code ? `-${denial.reason_code}` : ''} ${denial.category}, $${denial.denied_amount}`);
+    return created;
+  }
+
+  /**
+   * The denial work queue, grouped by reason (CARC and main RARC), largest amount first
+   * @param {Object} filters - { status? (comma-separated, default open, appealed, resubmitted), assigned_to?,
+   *                           payer_id?, category?, claim_id?, due? (follow-up on or before today), limit? }
+   * @returns {Object} - { groups, count, denied_amount }
+   */
+  static getQueue(filters = {}) {
+    const statuses = filters.status ? String(filters.status).split(',').map(s => s.trim()).filter(Boolean) : ACTIVE_STATUSES;
+    const unknown = statuses.filter(status => !STATUSES.includes(status));
+    if (unknown.length > 0) {
+      throw new Error(`Validation failed: unknown denial status ${unknown.join(', ')} (use ${STATUSES.join(', ')})`);
+    }
+    const denials = db.getClaimDenials({
+      statuses,
+      assigned_to: filters.assigned_to || null,
+      payer_id: filters.payer_id || null,
+      category: filters.category || null,
+      claim_id: filters.claim_id || null,
+      follow_up_before: filters.due === true || filters.due === 'true' ? this._today() : null,
+      limit: Math.min(parseInt(filters.limit, 10) || 500, 1000)
+    }).map(denial => this._format(denial));
+
+    const groups = new Map();
+    for (const denial of denials) {
+      const key = `${denial.reason_code || ''}|${denial.remark_code || ''}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          reason_code: denial.reason_code,
+          reason_description: denial.reason_description,
+          remark_code: denial.remark_code,
+          remark_description: denial.remark_description,
+          category: denial.category,
+          category_label: denial.category_label,
+          suggested_fix: denial.suggested_fix,
+          count: 0,
+          denied_amount: 0,
+          denials: []
+        });
+      }
+      const group = groups.get(key);
+      group.count++;
+      group.denied_amount = this._round(group.denied_amount + denial.denied_amount);
+      group.denials.push(denial);
+    }
+
+    return {
+      groups: [...groups.values()].sort((a, b) => b.denied_amount - a.denied_amount || b.count - a.count),
+      count: denials.length,
+      denied_amount: this._round(denials.reduce((sum, denial) => sum + denial.denied_amount, 0))
+    };
+  }
+
+  /**
+   * A denial with its reasons, suggested fix and appeals
+   */
+  static getDenial(id) {
+    const denial = db.getClaimDenial(id);
+    if (!denial) return null;
+    return {
+      ...this._format(denial),
+      appeals: db.getClaimAppeals(id)
+    };
+  }
+
+  /**
+   * Assign a denial, set its follow-up date or add a note
+   * @param {Object} updates - { assigned_to?, follow_up_date? (YYYY-MM-DD, null to clear), note?, actor? }
+   */
+  static updateDenial(id, updates = {}) {
+    const denial = this._active(id);
+    const changes = {};
+    if (updates.assigned_to !== undefined) {
+      changes.assigned_to = updates.assigned_to ? String(updates.assigned_to).trim() : null;
+    }
+    if (updates.follow_up_date !== undefined) {
+      if (updates.follow_up_date !== null && !this._isDate(updates.follow_up_date)) {
+        throw new Error('Validation failed: follow_up_date must be a date (YYYY-MM-DD)');
+      }
+      changes.follow_up_date = updates.follow_up_date;
+    }
+    if (updates.note !== undefined) {
+      if (!updates.note || !String(updates.note).trim()) {
+        throw new Error('Validation failed: note must not be empty');
+      }
+      changes.notes = this._addNote(denial, updates.note, updates.actor);
+    }
+    if (Object.keys(changes).length === 0) {
+      throw new Error('Validation failed: nothing to update (use assigned_to, follow_up_date or note)');
+    }
+
+    db.updateClaimDenial(id, changes);
+    return this.getDenial(id);
+  }
+
+  /**
+   * Close a denial by hand: resolved (e.g. paid after a phone call) or written off
+   * Writing off also closes the claim when it is still denied or partially paid.
+   * @param {Object} options - { status (resolved | written_off), note, actor }
+   */
+  static closeDenial(id, options = {}) {
+    const denial = this._active(id);
+    if (!['resolved', 'written_off'].includes(options.status)) {
+      throw new Error('Validation failed: status must be resolved or written_off');
+    }
+    if (!options.note || !String(options.note).trim()) {
+      throw new Error('Validation failed: a note is required to close a denial');
+    }
+    const actor = options.actor || 'staff';
+    const note = String(options.note).trim();
+
+    db.runExclusive(() => {
+      db.updateClaimDenial(id, {
+        status: options.status,
+        resolution: note,
+        resolved_by: actor,
+        resolved_at: new Date().toISOString(),
+        notes: this._addNote(denial, note, actor)
+      });
+      if (options.status === 'written_off' && ClaimLifecycleService.canTransition(denial.claim_status, 'closed')) {
+        ClaimLifecycleService.transition(denial.claim_id, 'closed', {
+          actor,
+          source: 'manual',
+          payload: { denial_id: id, note: `Written off: ${note}` }
+        });
+      }
+    });
+    console.log(`📕 Denial ${id} ${options.status.replace('_', ' ')} by ${actor}`);
+    return this.getDenial(id);
+  }
+
+  /**
+   * Write an appeal letter for a denial from a letter template and keep it as a draft
+   * @param {Object} options - { template? (default: the one for the denial's category), data? (values to add
+   *                           or replace, e.g. clinical_summary, treatment_plan, sender_name), actor? }
+   * @returns {Object} - The appeal, with its letter
+   */
+  static createAppeal(denialId, options = {}) {
+    const denial = this._active(denialId);
+    const template = options.template || CATEGORIES[denial.category].appeal_template;
+    let definition;
+    try {
+      definition = TemplateService.getTemplate(template);
+    } catch (error) {
+      throw new Error(`Validation failed: ${error.message}`);
+    }
+    if (definition.channel !== 'letter') {
+      throw new Error(`Validation failed: ${template} is not a letter template`);
+    }
+
+    const level = db.getClaimAppeals(denialId).length + 1;
+    const data = { ...this._letterData(denial, level, options.actor), ...(options.data || {}) };
+    const letter = TemplateService.render(template, 'en', data);
+    const appeal = db.createClaimAppeal({
+      id: `appeal-${uuidv4()}`,
+      denial_id: denialId,
+      claim_id: denial.claim_id,
+      level,
+      template,
+      subject: letter.subject,
+      letter: letter.text,
+      created_by: options.actor || null
+    });
+    console.log(`✉️  Appeal letter (level ${level}, ${template}) written for denial ${denialId}`);
+    return appeal;
+  }
+
+  static getAppeal(appealId) {
+    return db.getClaimAppeal(appealId) || null;
+  }
+
+  /**
+   * Record that an appeal letter went to the payer: the denial and the claim become appealed
+   */
+  static markAppealSent(appealId, options = {}) {
+    const appeal = db.getClaimAppeal(appealId);
+    if (!appeal) {
+      throw new Error(`Appeal not found: ${appealId}`);
+    }
+    if (appeal.status !== 'draft') {
+      throw new Error(`Appeal is already ${appeal.status}`);
+    }
+    const denial = this._active(appeal.denial_id);
+    const actor = options.actor || 'staff';
+
+    db.runExclusive(() => {
+      db.markClaimAppealSent(appealId, actor);
+      db.updateClaimDenial(denial.id, {
+        status: 'appealed',
+        notes: this._addNote(denial, `Level ${appeal.level} appeal sent`, actor)
+      });
+      if (ClaimLifecycleService.canTransition(denial.claim_status, 'appealed')) {
+        ClaimLifecycleService.transition(denial.claim_id, 'appealed', {
+          actor,
+          source: 'manual',
+          payload: { denial_id: denial.id, appeal_id: appealId, level: appeal.level }
+        });
+      }
+    });
+    console.log(`📨 Appeal ${appealId} sent for claim ${denial.claim_id}`);
+    return db.getClaimAppeal(appealId);
+  }
+
+  /**
+   * Fix the claim and resubmit it as a corrected claim (see InsuranceService.submitCorrectedClaim)
+   * @param {Object} corrections - As for submitCorrectedClaim
+   * @param {Object} options - { actor }
+   * @returns {Object} - { result (the submission), denial }
+   */
+  static async resubmitCorrected(denialId, corrections = {}, options = {}) {
+    const denial = this._active(denialId);
+    // Required lazily: InsuranceService loads the clearinghouse and remittance services, which load this one
+    const InsuranceService = require('./insurance-service');
+    const result = await InsuranceService.submitCorrectedClaim(denial.claim_id, corrections, { actor: options.actor });
+    if (result.success) {
+      db.updateClaimDenial(denialId, {
+        status: 'resubmitted',
+        notes: this._addNote(this._active(denialId), `Corrected claim submitted (frequency ${result.frequencyCode})`, options.actor)
+      });
+    }
+    return { result, denial: this.getDenial(denialId) };
+  }
+
+  /**
+   * Denial rates by payer and by reason
+   * A payer's rate is its claims denied over its claims adjudicated (835 remits posted) in the range.
+   * @param {Object} filters - { from?, to? } (YYYY-MM-DD; default the last 90 days)
+   */
+  static getReport(filters = {}) {
+    const to = filters.to || this._today();
+    const from = filters.from || this._addDays(to, -REPORT_DAYS);
+    if (!this._isDate(from) || !this._isDate(to)) {
+      throw new Error('Validation failed: from and to must be dates (YYYY-MM-DD)');
+    }
+    if (from > to) {
+      throw new Error('Validation failed: from must not be after to');
+    }
+
+    const adjudicated = db.getAdjudicatedClaimCounts(from, to);
+    const denials = db.getDenialsCreatedBetween(from, to);
+    const totalAdjudicated = adjudicated.reduce((sum, row) => sum + row.claims, 0);
+    const deniedClaims = new Set(denials.map(denial => denial.claim_id));
+
+    const payers = new Map();
+    const payer = (id, name) => {
+      const key = id || '';
+      if (!payers.has(key)) {
+        payers.set(key, { payer_id: id || null, payer_name: name || null, claims_adjudicated: 0, claims_denied: new Set(), denials: 0, denied_amount: 0 });
+      }
+      return payers.get(key);
+    };
+    adjudicated.forEach(row => { payer(row.payer_id, row.payer_name).claims_adjudicated = row.claims; });
+
+    const reasons = new Map();
+    for (const denial of denials) {
+      const byPayer = payer(denial.payer_id, denial.payer_name);
+      byPayer.claims_denied.add(denial.claim_id);
+      byPayer.denials++;
+      byPayer.denied_amount = this._round(byPayer.denied_amount + denial.denied_amount);
+
+      const key = denial.reason_code || '';
+      if (!reasons.has(key)) {
+        reasons.set(key, {
+          reason_code: denial.reason_code,
+          reason_description: CARC_CODES[denial.reason_code] || null,
+          category: denial.category,
+          category_label: CATEGORIES[denial.category].label,
+          denials: 0,
+          claims: new Set(),
+          denied_amount: 0
+        });
+      }
+      const byReason = reasons.get(key);
+      byReason.denials++;
+      byReason.claims.add(denial.claim_id);
+      byReason.denied_amount = this._round(byReason.denied_amount + denial.denied_amount);
+    }
+
+    return {
+      from,
+      to,
+      totals: {
+        claims_adjudicated: totalAdjudicated,
+        claims_denied: deniedClaims.size,
+        denial_rate: this._rate(deniedClaims.size, totalAdjudicated),
+        denials: denials.length,
+        denied_amount: this._round(denials.reduce((sum, denial) => sum + denial.denied_amount, 0))
+      },
+      by_payer: [...payers.values()]
+        .map(row => ({
+          ...row,
+          claims_denied: row.claims_denied.size,
+          denial_rate: this._rate(row.claims_denied.size, row.claims_adjudicated)
+        }))
+        .sort((a, b) => b.denial_rate - a.denial_rate || b.denied_amount - a.denied_amount),
+      by_reason: [...reasons.values()]
+        .map(row => ({
+          ...row,
+          claims: row.claims.size,
+          denial_rate: this._rate(row.claims.size, totalAdjudicated),
+          share: this._rate(row.denials, denials.length)
+        }))
+        .sort((a, b) => b.denials - a.denials || b.denied_amount - a.denied_amount)
+    };
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  /**
+   * The denial a remit makes: the whole claim, or the lines paid nothing with nothing to the patient
+   */
+  static _fromRemit(claim, payment, type) {
+    const refused = type === 'line'
+      ? payment.services.filter(service => service.paid_amount === 0 &&
+        this._round(service.adjustments.filter(a => a.group === 'PR').reduce((sum, a) => sum + a.amount, 0)) === 0)
+      : payment.services;
+    const adjustments = [
+      ...(type === 'claim' ? payment.adjustments.map(adjustment => ({ ...adjustment, line: null })) : []),
+      ...refused.flatMap(service => service.adjustments.map(adjustment => ({ ...adjustment, line: service.line_number || null })))
+    ].filter(adjustment => adjustment.group !== 'PR');
+    const remarks = [
+      ...(type === 'claim' ? payment.remark_codes.map(code => ({ code, line: null })) : []),
+      ...refused.flatMap(service => service.remark_codes.map(code => ({ code, line: service.line_number || null })))
+    ];
+
+    // The main reason is the one that took the most; a remark code the queue knows says more than the rest
+    const main = adjustments.reduce((best, adjustment) => (!best || adjustment.amount > best.amount ? adjustment : best), null);
+    const remark = remarks.find(r => REMARK_CATEGORIES[r.code]) || remarks[0] || null;
+    const category = (remark && REMARK_CATEGORIES[remark.code]) || (main && REASON_CATEGORIES[main.reason]) || 'other';
+    const deniedAmount = type === 'claim'
+      ? payment.total_charge - payment.paid_amount - payment.patient_responsibility
+      : refused.reduce((sum, service) => sum + service.charge, 0);
+
+    return {
+      id: `denial-${uuidv4()}`,
+      claim_id: claim.id,
+      claim_payment_id: payment.id,
+      payer_id: claim.payer_id,
+      denial_type: type,
+      group_code: main ? main.group : null,
+      reason_code: main ? main.reason : null,
+      remark_code: remark ? remark.code : null,
+      category,
+      denied_amount: this._round(deniedAmount),
+      reasons: {
+        adjustments: adjustments.map(adjustment => ({ ...adjustment, description: CARC_CODES[adjustment.reason] || null })),
+        remark_codes: remarks.map(r => ({ ...r, description: RARC_CODES[r.code] || null }))
+      },
+      follow_up_date: this._addDays(this._today(), FOLLOW_UP_DAYS)
+    };
+  }
+
+  static _closeActive(claimId, status, resolution, actor) {
+    const active = db.getClaimDenials({ claim_id: claimId, statuses: ACTIVE_STATUSES });
+    for (const denial of active) {
+      db.updateClaimDenial(denial.id, {
+        status,
+        resolution,
+        resolved_by: actor,
+        resolved_at: new Date().toISOString()
+      });
+    }
+  }
+
+  static _active(id) {
+    const denial = db.getClaimDenial(id);
+    if (!denial) {
+      throw new Error(`Denial not found: ${id}`);
+    }
+    if (!ACTIVE_STATUSES.includes(denial.status)) {
+      throw new Error(`Denial is already ${denial.status.replace('_', ' ')}`);
+    }
+    return denial;
+  }
+
+  static _addNote(denial, note, actor) {
+    const notes = this._parseJSON(denial.notes) || [];
+    return [...notes, { note: String(note).trim(), actor: actor || 'staff', created_at: new Date().toISOString() }];
+  }
+
+  /**
+   * Claim and clinical data for an appeal letter (the values in APPEAL_SAMPLE)
+   */
+  static _letterData(denial, level, actor) {
+    const record = db.getInsuranceClaim(denial.claim_id);
+    const settings = ClaimEDIService.getSettings();
+    let claim = null;
+    try {
+      claim = ClaimEDIService.loadClaim(record, settings);
+    } catch (error) {
+      console.warn(`⚠️  Appeal letter for ${record.id} without service lines: ${error.message}`);
+    }
+
+    const ehr = record.appointment_id ? db.getEHRSummaryForAppointment(record.appointment_id) : null;
+    const appointment = record.appointment_id ? db.getAppointment(record.appointment_id) : null;
+    const conditions = ehr ? ehr.conditions : [];
+    const lines = claim ? claim.lines : [];
+    const descriptions = new Map(db.getCptCodesByCodes(lines.map(line => line.procedure_code)).map(row => [row.code, row.description]));
+    const reasons = this._parseJSON(denial.reasons) || { adjustments: [], remark_codes: [] };
+    const patient = claim ? claim.patient : {};
+    const rendering = claim && claim.rendering_provider;
+
+    return {
+      letter_date: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+      payer_name: denial.payer_name || (claim && claim.payer.name) || record.payer_id,
+      patient_name: [patient.first_name, patient.last_name].filter(Boolean).join(' ') || null,
+      patient_dob: patient.dob || null,
+      member_id: record.member_id,
+      claim_number: record.payer_claim_control_number || null,
+      patient_control_number: (claim && claim.patient_control_number) || record.patient_control_number || record.id,
+      date_of_service: (claim && claim.date_of_service) || record.date_of_service,
+      billed_amount: this._money(record.total_amount),
+      denied_amount: this._money(denial.denied_amount),
+      denial_date: String(denial.created_at).slice(0, 10),
+      denial_reasons: reasons.adjustments.map(adjustment => ({
+        code: `${adjustment.group}-${adjustment.reason}`,
+        description: adjustment.description || 'See remittance'
+      })),
+      remark_codes: reasons.remark_codes.map(remark => ({ code: remark.code, description: remark.description || 'See remittance' })),
+      services: lines.map(line => ({
+        code: line.procedure_code,
+        modifiers: line.modifiers.join('-'),
+        description: descriptions.get(line.procedure_code) || '',
+        charge: this._money(line.charge)
+      })),
+      diagnoses: (claim ? claim.diagnoses : []).map(code => {
+        const condition = conditions.find(c => c.icd10_code === code || c.icd10_code === code.replace('.', ''));
+        return { code, description: condition && condition.description ? condition.description : '' };
+      }),
+      provider_name: rendering ? [rendering.first_name, rendering.last_name].filter(Boolean).join(' ') : settings.billing_provider.name,
+      provider_npi: rendering ? rendering.npi : settings.billing_provider.npi,
+      billing_provider_name: settings.billing_provider.name,
+      billing_npi: settings.billing_provider.npi,
+      tax_id: settings.billing_provider.tax_id,
+      session_minutes: this._sessionMinutes(ehr, appointment),
+      observations: ehr ? ehr.observations.map(o => ({ type: o.type, value: [o.value, o.unit].filter(Boolean).join(' ') })) : [],
+      clinical_summary: null,
+      treatment_plan: null,
+      filing_history: this._filingHistory(record.id),
+      appeal_level: level,
+      sender_name: actor || settings.submitter.contact_name
+    };
+  }
+
+  static _sessionMinutes(ehr, appointment) {
+    const encounter = ehr && ehr.encounter;
+    if (encounter && encounter.start_time && encounter.end_time) {
+      const minutes = Math.round((new Date(encounter.end_time) - new Date(encounter.start_time)) / 60000);
+      if (minutes > 0) return minutes;
+    }
+    return appointment && appointment.duration_minutes ? appointment.duration_minutes : null;
+  }
+
+  // When the claim went to the payer and what the payer acknowledged, for timely filing appeals
+  static _filingHistory(claimId) {
+    const described = { submitted: 'Claim submitted', acknowledged: 'Claim acknowledged as received by the payer' };
+    return db.getClaimEvents(claimId)
+      .filter(event => event.event_type === 'transition' && described[event.to_status])
+      .map(event => ({
+        date: String(event.created_at).slice(0, 10),
+        description: `${described[event.to_status]}${['999', '277CA', 'clearinghouse'].includes(event.source) ? ` (${event.source})` : ''}`
+      }));
+  }
+
+  static _format(denial) {
+    const category = CATEGORIES[denial.category] || CATEGORIES.other;
+    return {
+      ...denial,
+      reason_description: CARC_CODES[denial.reason_code] || null,
+      remark_description: RARC_CODES[denial.remark_code] || null,
+      category_label: category.label,
+      suggested_fix: category.suggested_fix,
+      corrected_claim: category.corrected_claim,
+      appeal_template: category.appeal_template,
+      reasons: this._parseJSON(denial.reasons) || { adjustments: [], remark_codes: [] },
+      notes: this._parseJSON(denial.notes) || []
+    };
+  }
+
+  static _rate(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 1000 : 0;
+  }
+
+  static _today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  static _addDays(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().slice(0, 10);
+  }
+
+  static _isDate(value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(`${value}T00:00:00Z`));
+  }
+
+  static _money(value) {
+    return (Number(value) || 0).toFixed(2);
+  }
+
+  static _round(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+  }
+
+  static _parseJSON(value) {
+    if (!value) return null;
+    try {
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = DenialService;
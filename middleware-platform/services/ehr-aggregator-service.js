@@ -377,7 +377,7 @@ class EHRAggregatorService {
         SELECT * FROM appointments 
         WHERE patient_phone = ? 
           AND date = ?
-          AND status IN ('confirmed', 'completed')
+          AND status IN ('confirmed', 'checked_in', 'in_session', 'completed')
         ORDER BY time
       `).all(patientPhone, appointmentDate || encounterDate);
 
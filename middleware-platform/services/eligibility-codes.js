@@ -0,0 +1,102 @@
+/**
+ * Eligibility Codes
+ *
+ * Code lists used to read 271 eligibility responses: benefit information (EB01), service
+ * types (EB03), coverage levels (EB02), time periods (EB06) and request rejections (AAA03).
+ * Codes not listed are kept as-is and shown without a description.
+ */
+
+// EB01: what the benefit entry describes
+const BENEFIT_CODES = {
+  '1': 'Active coverage',
+  '6': 'Inactive',
+  A: 'Co-insurance',
+  B: 'Co-payment',
+  C: 'Deductible',
+  CB: 'Coverage basis',
+  D: 'Benefit description',
+  E: 'Exclusions',
+  F: 'Limitations',
+  G: 'Out of pocket (stop loss)',
+  I: 'Non-covered',
+  R: 'Other or additional payer',
+  U: 'Contact following entity for eligibility or benefit information'
+};
+
+// EB03 / EQ01: the services a benefit applies to
+const SERVICE_TYPE_CODES = {
+  '30': 'Health benefit plan coverage',
+  '98': 'Professional (physician) visit - office',
+  MH: 'Mental health',
+  A4: 'Psychiatric',
+  A5: 'Psychiatric - room and board',
+  A6: 'Psychotherapy',
+  A7: 'Psychiatric - inpatient',
+  A8: 'Psychiatric - outpatient',
+  AI: 'Substance abuse',
+  AJ: 'Alcoholism',
+  AK: 'Drug addiction',
+  UC: 'Urgent care'
+};
+
+// EB02
+const COVERAGE_LEVELS = {
+  IND: 'individual',
+  FAM: 'family',
+  EMP: 'individual',
+  ESP: 'family',
+  ECH: 'family',
+  CHD: 'family'
+};
+
+// EB06
+const TIME_PERIODS = {
+  '6': 'hour',
+  '7': 'day',
+  '21': 'years',
+  '22': 'service year',
+  '23': 'calendar year',
+  '24': 'year to date',
+  '25': 'contract',
+  '26': 'episode',
+  '27': 'visit',
+  '29': 'remaining',
+  '32': 'lifetime',
+  '33': 'lifetime remaining'
+};
+
+// AAA03: why the payer could not answer the inquiry
+const REJECT_REASONS = {
+  '15': 'Required application data missing',
+  '41': 'Authorization/access restrictions',
+  '42': 'Unable to respond at current time',
+  '43': 'Invalid/missing provider identification',
+  '58': 'Invalid/missing date of birth',
+  '65': 'Invalid/missing patient name',
+  '67': 'Patient not found',
+  '71': 'Patient birth date does not match that for the patient on the database',
+  '72': 'Invalid/missing subscriber/insured ID',
+  '73': 'Invalid/missing subscriber/insured name',
+  '75': 'Subscriber/insured not found',
+  '76': 'Duplicate subscriber/insured ID number'
+};
+
+// Service types checked for each benefit category, most specific first. Plan-level (30)
+// entries are used when the payer reports nothing more specific.
+const BENEFIT_CATEGORIES = {
+  mental_health: ['A8', 'A6', 'MH', 'A4'],
+  office_visit: ['98']
+};
+
+// Service types asked about in every 270
+const INQUIRY_SERVICE_TYPES = ['30', 'MH', '98'];
+
+module.exports = {
+  BENEFIT_CODES,
+  SERVICE_TYPE_CODES,
+  COVERAGE_LEVELS,
+  TIME_PERIODS,
+  REJECT_REASONS,
+  BENEFIT_CATEGORIES,
+  INQUIRY_SERVICE_TYPES
+};
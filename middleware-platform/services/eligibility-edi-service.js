@@ -0,0 +1,452 @@
+/**
+ * Eligibility EDI Service
+ *
+ * Builds X12 5010 270 eligibility inquiries and reads 271 responses into a normalized
+ * benefits structure:
+ * - EB segments are grouped by service type, with mental health (MH, A4-A8) and office
+ *   visits (98) picked out; plan-level (30) entries fill in what those don't report
+ * - In- and out-of-network copay, coinsurance, deductible and out-of-pocket (total and
+ *   remaining, individual and family), visit limits and prior authorization flags
+ * - AAA rejections (e.g. subscriber not found) are returned as errors
+ */
+
+const X12 = require('./x12');
+const ClaimEDIService = require('./claim-edi-service');
+const db = require('../database');
+const {
+  BENEFIT_CODES,
+  SERVICE_TYPE_CODES,
+  COVERAGE_LEVELS,
+  TIME_PERIODS,
+  REJECT_REASONS,
+  BENEFIT_CATEGORIES,
+  INQUIRY_SERVICE_TYPES
+} = require('./eligibility-codes');
+
+const VERSION = '005010X279A1';
+// EB06 periods that describe what is left rather than the full amount
+const REMAINING_PERIODS = ['29', '33'];
+
+class EligibilityEDIService {
+  /**
+   * Build a 270 for an eligibility check, using the next interchange and group control numbers
+   * @param {Object} inquiry - { patient_name | first_name + last_name, date_of_birth, gender?, member_id,
+   *                             payer_id, payer_name?, date_of_service?, service_types? }
+   * @returns {Object} - { content, trace_number, interchange_control_number }
+   */
+  static createInquiry(inquiry) {
+    const settings = ClaimEDIService.getSettings();
+    const errors = this.validateInquiry(inquiry, settings);
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join('; ')}`);
+    }
+
+    const interchangeControlNumber = db.nextX12ControlNumber('interchange');
+    const envelope = {
+      ...settings,
+      interchange_control_number: interchangeControlNumber,
+      group_control_number: db.nextX12ControlNumber('group'),
+      created_at: new Date()
+    };
+    const traceNumber = `${String(interchangeControlNumber).padStart(9, '0')}1`;
+    return {
+      content: this.build270({ ...inquiry, trace_number: traceNumber }, envelope),
+      trace_number: traceNumber,
+      interchange_control_number: interchangeControlNumber
+    };
+  }
+
+  /**
+   * Problems that stop an inquiry from being written as a valid 270
+   */
+  static validateInquiry(inquiry, settings = ClaimEDIService.getSettings()) {
+    const errors = [];
+    const name = this._name(inquiry);
+    if (!/^\d{10}$/.test(settings.billing_provider.npi || '')) errors.push('provider NPI must be 10 digits (BILLING_PROVIDER_NPI)');
+    if (!inquiry.payer_id) errors.push('payer ID is required');
+    if (!inquiry.member_id) errors.push('member ID is required');
+    if (!name.last_name) errors.push('patient name is required');
+    if (inquiry.date_of_birth && !/^\d{4}-\d{2}-\d{2}$/.test(inquiry.date_of_birth)) {
+      errors.push('date of birth must be YYYY-MM-DD');
+    }
+    return errors;
+  }
+
+  /**
+   * Write an inquiry as a 270 interchange (pure: same input, same output)
+   * @param {Object} inquiry - As for createInquiry, plus trace_number
+   * @param {Object} envelope - Settings (see ClaimEDIService.getSettings) plus control numbers and created_at
+   * @returns {String} - X12 content, one segment per line
+   */
+  static build270(inquiry, envelope) {
+    const createdAt = new Date(envelope.created_at);
+    const provider = envelope.billing_provider;
+    const name = this._name(inquiry);
+    const serviceTypes = inquiry.service_types && inquiry.service_types.length > 0
+      ? inquiry.service_types
+      : INQUIRY_SERVICE_TYPES;
+    // TRN03: "1" followed by the practice's EIN identifies who assigned the trace number
+    const originator = provider.tax_id ? `1${X12.digits(provider.tax_id)}` : `9${X12.digits(provider.npi)}`.slice(0, 10);
+
+    const s = [];
+    s.push(X12.segment('ST', '270', '0001', VERSION));
+    s.push(X12.segment('BHT', '0022', '13', inquiry.trace_number, X12.date(createdAt), X12.time(createdAt)));
+    s.push(X12.segment('HL', '1', '', '20', '1'));
+    s.push(X12.segment('NM1', 'PR', '2', inquiry.payer_name || inquiry.payer_id, '', '', '', '', 'PI', inquiry.payer_id));
+    s.push(X12.segment('HL', '2', '1', '21', '1'));
+    s.push(X12.segment('NM1', '1P', '2', provider.name, '', '', '', '', 'XX', provider.npi));
+    s.push(X12.segment('HL', '3', '2', '22', '0'));
+    s.push(X12.segment('TRN', '1', inquiry.trace_number, originator));
+    s.push(X12.segment('NM1', 'IL', '1', name.last_name, name.first_name || '', '', '', '', 'MI', inquiry.member_id));
+    if (inquiry.date_of_birth) {
+      s.push(X12.segment('DMG', 'D8', X12.compactDate(inquiry.date_of_birth), this._gender(inquiry.gender)));
+    }
+    s.push(X12.segment('DTP', '291', 'D8', X12.compactDate(inquiry.date_of_service || createdAt.toISOString())));
+    serviceTypes.forEach(code => s.push(X12.segment('EQ', code)));
+    s.push(X12.segment('SE', String(s.length + 1), '0001'));
+
+    return X12.interchange([s], { ...envelope, functional_code: 'HS', version: VERSION });
+  }
+
+  /**
+   * Read a 271 into one response per subscriber or dependent
+   * @param {String} content - X12 271 content
+   * @returns {Array} - [{ trace_number, payer, provider, subscriber, plan, errors, benefits }]
+   */
+  static parse271(content) {
+    const { segments, componentSeparator, repetitionSeparator } = X12.tokenize(content, '271');
+    const responses = [];
+    let payer = {};
+    let provider = {};
+    let response = null;
+    let benefit = null;
+    let level = null;
+    let inTransaction = false;
+
+    const entity = () => response ? (response.dependent || response.subscriber) : null;
+
+    for (const [id, ...el] of segments) {
+      switch (id) {
+        case 'GS':
+          if (el[0] !== 'HB') {
+            throw new Error(`Invalid 271: functional group ${el[0]} is not an eligibility response (HB)`);
+          }
+          break;
+        case 'ST':
+          if (el[0] !== '271') {
+            throw new Error(`Invalid 271: transaction set ${el[0]} is not a 271`);
+          }
+          inTransaction = true;
+          payer = {};
+          provider = {};
+          response = null;
+          break;
+        case 'HL':
+          benefit = null;
+          level = el[2];
+          if (level === '22' || (level === '23' && !response)) {
+            response = {
+              trace_number: null,
+              payer,
+              provider,
+              subscriber: {},
+              dependent: null,
+              plan: {},
+              errors: [],
+              messages: [],
+              benefits: []
+            };
+            responses.push(response);
+          }
+          if (level === '23') {
+            response.dependent = {};
+          }
+          break;
+        case 'AAA': {
+          const error = {
+            code: el[2],
+            description: REJECT_REASONS[el[2]] || `Reject reason ${el[2]}`,
+            follow_up: el[3] || null
+          };
+          if (response) response.errors.push(error);
+          else (level === '21' ? provider : payer).errors = [...((level === '21' ? provider : payer).errors || []), error];
+          break;
+        }
+        case 'TRN':
+          if (response && el[0] === '2') response.trace_number = el[1];
+          break;
+        case 'NM1':
+          if (el[0] === 'PR') {
+            payer.name = el[2] || null;
+            payer.id = el[8] || null;
+          } else if (el[0] === '1P') {
+            provider.name = el[2] || null;
+            provider.npi = el[7] === 'XX' ? el[8] : null;
+          } else if (['IL', '03'].includes(el[0]) && entity()) {
+            Object.assign(entity(), {
+              last_name: el[2] || null,
+              first_name: el[3] || null,
+              member_id: el[8] || entity().member_id || null
+            });
+          }
+          break;
+        case 'DMG':
+          if (entity()) {
+            entity().dob = X12.isoDate(el[1]);
+            entity().gender = el[2] || null;
+          }
+          break;
+        case 'REF':
+          if (response && !benefit) {
+            if (el[0] === '6P') {
+              response.plan.group_number = el[1];
+              if (el[2]) response.plan.group_name = el[2];
+            } else if (el[0] === '18') {
+              response.plan.plan_number = el[1];
+              if (el[2]) response.plan.name = el[2];
+            }
+          }
+          break;
+        case 'DTP': {
+          const range = (el[2] || '').split('-');
+          const date = X12.isoDate(range[0]);
+          if (benefit) {
+            benefit.dates.push({ qualifier: el[0], date, end: X12.isoDate(range[1]) });
+          } else if (response && ['346', '356', '291', '307'].includes(el[0])) {
+            response.plan.begin = date;
+            if (range[1]) response.plan.end = X12.isoDate(range[1]);
+          } else if (response && ['347', '357'].includes(el[0])) {
+            response.plan.end = date;
+          }
+          break;
+        }
+        case 'EB':
+          if (!response) break;
+          benefit = {
+            code: el[0],
+            description: BENEFIT_CODES[el[0]] || null,
+            coverage_level: el[1] || null,
+            service_types: (el[2] || '').split(repetitionSeparator).filter(Boolean),
+            insurance_type: el[3] || null,
+            plan_description: el[4] || null,
+            time_period: el[5] || null,
+            amount: el[6] !== undefined && el[6] !== '' ? Number(el[6]) : null,
+            percent: el[7] !== undefined && el[7] !== '' ? Number(el[7]) : null,
+            quantity_qualifier: el[8] || null,
+            quantity: el[9] !== undefined && el[9] !== '' ? Number(el[9]) : null,
+            auth_required: el[10] === 'Y' ? true : (el[10] === 'N' ? false : null),
+            in_network: el[11] || null,
+            procedure: el[12] ? el[12].split(componentSeparator).slice(1).join(' ') : null,
+            limits: [],
+            dates: [],
+            messages: []
+          };
+          response.benefits.push(benefit);
+          break;
+        case 'HSD':
+          if (benefit) {
+            benefit.limits.push({
+              quantity_qualifier: el[0] || null,
+              quantity: el[1] ? Number(el[1]) : null,
+              period: el[4] || null,
+              period_count: el[5] ? Number(el[5]) : null
+            });
+          }
+          break;
+        case 'MSG':
+          if (benefit) benefit.messages.push(el[0]);
+          else if (response) response.messages.push(el[0]);
+          break;
+        case 'SE':
+          inTransaction = false;
+          benefit = null;
+          break;
+        default:
+          if (!inTransaction && !['ISA', 'GE', 'IEA'].includes(id)) {
+            throw new Error(`Invalid 271: ${id} segment outside a transaction set`);
+          }
+          break;
+      }
+    }
+
+    if (responses.length === 0) {
+      // A rejection at payer or provider level still answers the inquiry
+      const errors = [...(payer.errors || []), ...(provider.errors || [])];
+      if (errors.length === 0) {
+        throw new Error('Invalid 271: no subscriber in the response');
+      }
+      responses.push({ trace_number: null, payer, provider, subscriber: {}, dependent: null, plan: {}, errors, messages: [], benefits: [] });
+    }
+    return responses;
+  }
+
+  /**
+   * Normalized benefits for one 271 response
+   * @param {Object} response - One entry from parse271
+   * @returns {Object} - { status, active, plan, mental_health, office_visit, errors, messages, service_types }
+   */
+  static normalize(response) {
+    const benefits = response.benefits;
+    const active = benefits.some(b => b.code === '1');
+    const status = response.errors.length > 0 && benefits.length === 0
+      ? 'rejected'
+      : (active ? 'active' : 'inactive');
+    const planEntry = benefits.find(b => b.code === '1' && b.plan_description) ||
+      benefits.find(b => b.code === '1') || {};
+
+    const categories = {};
+    for (const [category, codes] of Object.entries(BENEFIT_CATEGORIES)) {
+      categories[category] = this._category(benefits, codes);
+    }
+
+    return {
+      status,
+      active,
+      trace_number: response.trace_number,
+      payer: { id: response.payer.id || null, name: response.payer.name || null },
+      subscriber: response.subscriber,
+      dependent: response.dependent,
+      plan: {
+        name: response.plan.name || planEntry.plan_description || null,
+        group_number: response.plan.group_number || null,
+        group_name: response.plan.group_name || null,
+        insurance_type: planEntry.insurance_type || null,
+        begin: response.plan.begin || null,
+        end: response.plan.end || null
+      },
+      ...categories,
+      service_types: [...new Set(benefits.flatMap(b => b.service_types))].map(code => ({
+        code,
+        description: SERVICE_TYPE_CODES[code] || null
+      })),
+      errors: response.errors,
+      messages: [...response.messages, ...benefits.flatMap(b => b.messages)]
+    };
+  }
+
+  /**
+   * One sentence per category for staff and the voice agent
+   * e.g. "Mental health (in network): $20 copay, 20% coinsurance, $300 of $500 deductible remaining, ..."
+   */
+  static summarize(normalized) {
+    if (normalized.status === 'rejected') {
+      return `Eligibility request rejected: ${normalized.errors.map(e => e.description).join('; ')}`;
+    }
+    if (!normalized.active) {
+      return 'Coverage is not active.';
+    }
+
+    const parts = [];
+    const mh = normalized.mental_health;
+    if (mh.covered === false) {
+      parts.push('Mental health services are not covered.');
+    } else {
+      const network = mh.in_network;
+      const details = [];
+      if (network.copay !== null) details.push(`$${network.copay} copay`);
+      if (network.coinsurance_percent !== null) details.push(`${network.coinsurance_percent}% coinsurance`);
+      const deductible = network.deductible.individual;
+      if (deductible.remaining !== null && deductible.total !== null) {
+        details.push(`$${deductible.remaining} of $${deductible.total} deductible remaining`);
+      } else if (deductible.total !== null) {
+        details.push(`$${deductible.total} deductible`);
+      }
+      const oop = network.out_of_pocket.individual;
+      if (oop.remaining !== null) details.push(`$${oop.remaining} out-of-pocket remaining`);
+      if (network.visit_limit) {
+        const limit = network.visit_limit;
+        details.push(limit.remaining !== null
+          ? `${limit.remaining} of ${limit.visits} visits left`
+          : `${limit.visits} visits${limit.period ? ` per ${limit.period}` : ''}`);
+      }
+      if (network.prior_auth_required) details.push('prior authorization required');
+      parts.push(`Mental health (in network): ${details.length > 0 ? details.join(', ') : 'covered'}.`);
+    }
+    if (normalized.plan.name) parts.unshift(`${normalized.plan.name}.`);
+    return parts.join(' ');
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  /**
+   * Benefits for one category, in and out of network
+   */
+  static _category(benefits, codes) {
+    const related = benefits.filter(b => b.service_types.some(code => codes.includes(code)));
+    const nonCovered = related.some(b => b.code === 'I');
+    return {
+      covered: nonCovered ? false : (related.some(b => ['1', 'A', 'B', 'C', 'F', 'G'].includes(b.code)) ? true : null),
+      service_types: [...new Set(related.flatMap(b => b.service_types.filter(code => codes.includes(code))))],
+      in_network: this._network(benefits, codes, ['Y', 'W']),
+      out_of_network: this._network(benefits, codes, ['N', 'W'])
+    };
+  }
+
+  static _network(benefits, codes, networks) {
+    // No EB12 means the entry applies whatever the network
+    const inNetwork = benefits.filter(b => !b.in_network || networks.includes(b.in_network));
+    const pick = (code, filter = () => true) => this._pick(inNetwork, codes, b => b.code === code && filter(b));
+    const level = (b, wanted) => (COVERAGE_LEVELS[b.coverage_level] || 'individual') === wanted;
+    const total = b => !REMAINING_PERIODS.includes(b.time_period);
+    const remaining = b => REMAINING_PERIODS.includes(b.time_period);
+    const amount = entry => entry ? entry.amount : null;
+    const accumulator = (code, wanted) => ({
+      total: amount(pick(code, b => level(b, wanted) && total(b))),
+      remaining: amount(pick(code, b => level(b, wanted) && remaining(b)))
+    });
+
+    const copay = pick('B', b => b.amount !== null);
+    const coinsurance = pick('A', b => b.percent !== null);
+    const authEntries = inNetwork.filter(b => b.service_types.some(code => codes.includes(code)) && b.auth_required !== null);
+
+    return {
+      copay: amount(copay),
+      coinsurance_percent: coinsurance ? Math.round(coinsurance.percent * 10000) / 100 : null,
+      deductible: { individual: accumulator('C', 'individual'), family: accumulator('C', 'family') },
+      out_of_pocket: { individual: accumulator('G', 'individual'), family: accumulator('G', 'family') },
+      visit_limit: this._visitLimit(inNetwork, codes),
+      prior_auth_required: authEntries.length > 0 ? authEntries.some(b => b.auth_required) : null
+    };
+  }
+
+  /**
+   * First matching entry by service type priority, then plan-level (30), then entries with no service type
+   */
+  static _pick(benefits, codes, predicate) {
+    for (const code of [...codes, '30']) {
+      const entry = benefits.find(b => predicate(b) && b.service_types.includes(code));
+      if (entry) return entry;
+    }
+    return benefits.find(b => predicate(b) && b.service_types.length === 0) || null;
+  }
+
+  // Visits come as EB*F with a VS quantity, or as an HSD under the entry
+  static _visitLimit(benefits, codes) {
+    const related = benefits.filter(b => b.code === 'F' && b.service_types.some(code => codes.includes(code)));
+    const visits = related.filter(b => b.quantity_qualifier === 'VS' || b.limits.some(l => l.quantity_qualifier === 'VS'));
+    if (visits.length === 0) return null;
+
+    const quantity = b => b.quantity_qualifier === 'VS' ? b.quantity : b.limits.find(l => l.quantity_qualifier === 'VS').quantity;
+    const totalEntry = visits.find(b => !REMAINING_PERIODS.includes(b.time_period));
+    const remainingEntry = visits.find(b => REMAINING_PERIODS.includes(b.time_period));
+    const periodCode = totalEntry ? (totalEntry.time_period || (totalEntry.limits[0] && totalEntry.limits[0].period)) : null;
+    return {
+      visits: totalEntry ? quantity(totalEntry) : null,
+      remaining: remainingEntry ? quantity(remainingEntry) : null,
+      period: TIME_PERIODS[periodCode] || null
+    };
+  }
+
+  static _name(inquiry) {
+    return inquiry.last_name
+      ? { first_name: inquiry.first_name || null, last_name: inquiry.last_name }
+      : X12.splitName(inquiry.patient_name);
+  }
+
+  static _gender(value) {
+    const code = String(value || '').charAt(0).toUpperCase();
+    return ['M', 'F'].includes(code) ? code : 'U';
+  }
+}
+
+module.exports = EligibilityEDIService;
@@ -4,6 +4,7 @@
  * - SMTP (Gmail, SendGrid, Mailgun, etc.)
  * - Azure Communication Services Email (via SMTP or SDK)
  * Falls back to console logging if not configured
+ * Message text comes from TemplateService, in the patient's language
  */
 
 let nodemailer;
@@ -24,6 +25,10 @@ try {
   azureEmailClient = null;
 }
 
+const IcsService = require('./ics-service');
+const NotificationOutbox = require('./notification-outbox');
+const TemplateService = require('./template-service');
+
 class EmailService {
   /**
    * Check if Azure Communication Services is configured
@@ -85,7 +90,7 @@ class EmailService {
    * Send email via Azure Communication Services
    * @private
    */
-  static async _sendViaAzure({ to, subject, html, text }) {
+  static async _sendViaAzure({ to, subject, html, text, icalEvent }) {
     try {
       const client = this.getAzureClient();
       if (!client) {
@@ -105,6 +110,13 @@ class EmailService {
         },
         senderAddress: senderAddress
       };
+      if (icalEvent) {
+        message.attachments = [{
+          name: icalEvent.filename,
+          contentType: `text/calendar; method=${icalEvent.method}`,
+          contentInBase64: Buffer.from(icalEvent.content).toString('base64')
+        }];
+      }
 
       const poller = await client.beginSend(message);
       const result = await poller.pollUntilDone();
@@ -119,19 +131,45 @@ class EmailService {
   }
 
   /**
-   * Send email
-   * Supports both Azure Communication Services and SMTP
+   * Send email through the notification outbox (stored, then retried if the provider is down)
    * @param {Object} options - Email options
    * @param {string} options.to - Recipient email
    * @param {string} options.subject - Email subject
    * @param {string} options.html - HTML body
    * @param {string} options.text - Plain text body (optional)
+   * @param {Object} options.icalEvent - Calendar invite { method, filename, content } (optional)
+   * @param {string} options.category - What the email is, e.g. appointment_confirmation (optional)
+   * @param {string} options.appointment_id - Appointment it is about (optional)
+   * @param {string} options.patient_phone - Patient it was sent to, for the per-patient log (optional)
    */
-  static async sendEmail({ to, subject, html, text }) {
+  static async sendEmail({ to, subject, html, text, icalEvent, category, appointment_id, patient_phone }) {
+    try {
+      return await NotificationOutbox.send({
+        channel: 'email',
+        recipient: to,
+        subject,
+        body: html,
+        text,
+        icalEvent,
+        category,
+        appointment_id,
+        patient_phone
+      });
+    } catch (error) {
+      console.error('❌ Email send error:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Deliver an email now (used by the notification outbox)
+   * Supports both Azure Communication Services and SMTP
+   */
+  static async deliverEmail({ to, subject, html, text, icalEvent }) {
     try {
       // Try Azure first if configured
       if (this.isAzureConfigured()) {
-        const azureResult = await this._sendViaAzure({ to, subject, html, text });
+        const azureResult = await this._sendViaAzure({ to, subject, html, text, icalEvent });
         if (azureResult && azureResult.success) {
           return azureResult;
         }
@@ -149,7 +187,9 @@ class EmailService {
           to: to,
           subject: subject,
           html: html,
-          text: text || html.replace(/<[^>]*>/g, '')
+          text: text || html.replace(/<[^>]*>/g, ''),
+          // Sent as a text/calendar alternative plus attachment, so mail apps show it as an invite
+          ...(icalEvent ? { icalEvent } : {})
         });
 
         console.log('📧 Email sent via SMTP:', info.messageId);
@@ -162,6 +202,9 @@ class EmailService {
       console.log(`From: ${from}`);
       console.log(`To: ${to}`);
       console.log(`Subject: ${subject}`);
+      if (icalEvent) {
+        console.log(`Attachment: ${icalEvent.filename} (METHOD:${icalEvent.method})`);
+      }
       console.log(`Body:\n${text || html}`);
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
       return { success: true, message_id: 'simulated', provider: 'console' };
@@ -176,222 +219,155 @@ class EmailService {
    * Send appointment confirmation email
    */
   static async sendAppointmentConfirmation(appointment) {
-    const dateTime = new Date(appointment.start_time).toLocaleString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-      timeZone: appointment.timezone || 'America/New_York'
+    const locale = TemplateService.localeFor(appointment.patient_phone);
+    const message = TemplateService.render('appointment_confirmation', locale, {
+      ...this._appointmentData(appointment, locale),
+      duration_minutes: appointment.duration_minutes || 50,
+      calendar_link: appointment.calendar_link || null
     });
 
-    const html = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: #0891b2; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
-          .content { background: #f9f9f9; padding: 20px; border-radius: 0 0 8px 8px; }
-          .appointment-details { background: white; padding: 15px; margin: 15px 0; border-radius: 8px; border-left: 4px solid #0891b2; }
-          .detail-row { margin: 10px 0; }
-          .label { font-weight: bold; color: #666; }
-          .button { display: inline-block; padding: 12px 24px; background: #0891b2; color: white; text-decoration: none; border-radius: 6px; margin: 10px 5px; }
-          .button:hover { background: #0e7490; }
-          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>📅 Appointment Confirmed</h1>
-          </div>
-          <div class="content">
-            <p>Dear ${appointment.patient_name},</p>
-            <p>Your appointment has been successfully scheduled!</p>
-            
-            <div class="appointment-details">
-              <div class="detail-row">
-                <span class="label">Date & Time:</span> ${dateTime}
-              </div>
-              <div class="detail-row">
-                <span class="label">Type:</span> ${appointment.appointment_type || 'Mental Health Consultation'}
-              </div>
-              <div class="detail-row">
-                <span class="label">Duration:</span> ${appointment.duration_minutes || 50} minutes
-              </div>
-              <div class="detail-row">
-                <span class="label">Provider:</span> ${appointment.provider || 'DocLittle Mental Health Team'}
-              </div>
-              ${appointment.calendar_link ? `
-              <div class="detail-row">
-                <a href="${appointment.calendar_link}" class="button">📅 Add to Calendar</a>
-              </div>
-              ` : ''}
-            </div>
-
-            <p><strong>Confirmation Number:</strong> ${appointment.id}</p>
-            
-            <p>You will receive a reminder email 1 hour before your appointment.</p>
-            
-            <p>If you need to reschedule or cancel, please contact us or use the link in your reminder email.</p>
-            
-            <p>We look forward to seeing you!</p>
-            <p>Best regards,<br>DocLittle Mental Health Team</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated confirmation. Please do not reply to this email.</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-
     return await this.sendEmail({
       to: appointment.patient_email,
-      subject: `Appointment Confirmed - ${dateTime}`,
-      html: html
+      subject: message.subject,
+      html: message.html,
+      icalEvent: this._calendarInvite(appointment, 'REQUEST'),
+      ...this._appointmentMeta(appointment, 'appointment_confirmation')
     });
   }
 
   /**
-   * Send appointment reminder email (1 hour before)
+   * Send one confirmation for a recurring series (lists every booked session)
+   * @param {Object} series - appointment_series row
+   * @param {Array} appointments - Booked occurrences
+   * @param {Array} skipped - Occurrences that could not be booked [{ date, time, reason }]
    */
-  static async sendAppointmentReminder(appointment) {
-    const dateTime = new Date(appointment.start_time).toLocaleString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-      timeZone: appointment.timezone || 'America/New_York'
+  static async sendSeriesConfirmation(series, appointments, skipped = []) {
+    const locale = TemplateService.localeFor(series.patient_phone);
+    const timeZone = series.timezone || 'America/New_York';
+    const message = TemplateService.render('series_confirmation', locale, {
+      patient_name: series.patient_name,
+      appointment_type: series.appointment_type || 'Mental Health Consultation',
+      provider: series.provider || TemplateService.getBranding().team_name,
+      session_count: appointments.length,
+      sessions: appointments.map(appt => ({
+        date_time: TemplateService.formatDateTime(appt.start_time, locale, timeZone),
+        reference: appt.id.substring(5, 13).toUpperCase()
+      })),
+      has_skipped: skipped.length > 0,
+      skipped
     });
 
+    return await this.sendEmail({
+      to: series.patient_email,
+      subject: message.subject,
+      html: message.html,
+      category: 'series_confirmation',
+      patient_phone: series.patient_phone
+    });
+  }
+
+  /**
+   * Offer a freed slot to a waitlisted patient
+   * @param {Object} entry - waitlist_entries row
+   * @param {Object} offer - waitlist_offers row
+   * @param {String} claimLink - Link to accept or decline the offer
+   */
+  static async sendWaitlistOffer(entry, offer, claimLink) {
+    const locale = TemplateService.localeFor(entry.patient_phone);
+    const message = TemplateService.render('waitlist_offer', locale, {
+      patient_name: entry.patient_name,
+      date_time: TemplateService.formatDateTime(offer.start_time, locale),
+      appointment_type: offer.appointment_type || 'Mental Health Consultation',
+      provider: offer.provider || TemplateService.getBranding().team_name,
+      expires_at: TemplateService.formatDateTime(offer.expires_at, locale, undefined, 'time'),
+      claim_link: claimLink
+    });
+
+    return await this.sendEmail({
+      to: entry.patient_email,
+      subject: message.subject,
+      html: message.html,
+      category: 'waitlist_offer',
+      patient_phone: entry.patient_phone
+    });
+  }
+
+  /**
+   * Send appointment reminder email
+   * @param {Object} appointment
+   * @param {Number} leadMinutes - How long until the appointment, for the message ("in 1 hour", "in 3 days")
+   */
+  static async sendAppointmentReminder(appointment, leadMinutes = 60) {
     const baseUrl = process.env.BASE_URL || 'http://localhost:4000';
-    const cancelLink = `${baseUrl}/api/appointments/${appointment.id}/cancel?token=${this._generateCancelToken(appointment.id)}`;
-    const rescheduleLink = `${baseUrl}/api/appointments/${appointment.id}/reschedule?token=${this._generateCancelToken(appointment.id)}`;
-
-    const html = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: #f59e0b; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
-          .content { background: #f9f9f9; padding: 20px; border-radius: 0 0 8px 8px; }
-          .appointment-details { background: white; padding: 15px; margin: 15px 0; border-radius: 8px; border-left: 4px solid #f59e0b; }
-          .detail-row { margin: 10px 0; }
-          .label { font-weight: bold; color: #666; }
-          .button { display: inline-block; padding: 12px 24px; color: white; text-decoration: none; border-radius: 6px; margin: 10px 5px; }
-          .button-primary { background: #0891b2; }
-          .button-primary:hover { background: #0e7490; }
-          .button-danger { background: #dc2626; }
-          .button-danger:hover { background: #b91c1c; }
-          .button-warning { background: #f59e0b; }
-          .button-warning:hover { background: #d97706; }
-          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>⏰ Appointment Reminder</h1>
-          </div>
-          <div class="content">
-            <p>Dear ${appointment.patient_name},</p>
-            <p><strong>This is a reminder that you have an appointment in 1 hour:</strong></p>
-            
-            <div class="appointment-details">
-              <div class="detail-row">
-                <span class="label">Date & Time:</span> ${dateTime}
-              </div>
-              <div class="detail-row">
-                <span class="label">Type:</span> ${appointment.appointment_type || 'Mental Health Consultation'}
-              </div>
-              <div class="detail-row">
-                <span class="label">Provider:</span> ${appointment.provider || 'DocLittle Mental Health Team'}
-              </div>
-            </div>
-
-            <p>Need to make changes?</p>
-            <p>
-              <a href="${rescheduleLink}" class="button button-warning">🔄 Reschedule</a>
-              <a href="${cancelLink}" class="button button-danger">❌ Cancel</a>
-            </p>
-            
-            <p>If you need to reschedule, please check available slots before confirming your new time.</p>
-            
-            <p>We look forward to seeing you soon!</p>
-            <p>Best regards,<br>DocLittle Mental Health Team</p>
-          </div>
-          <div class="footer">
-            <p>Confirmation Number: ${appointment.id}</p>
-            <p>This is an automated reminder. Please do not reply to this email.</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+    const token = this._generateCancelToken(appointment.id);
+    const locale = TemplateService.localeFor(appointment.patient_phone);
+    const message = TemplateService.render('appointment_reminder', locale, {
+      ...this._appointmentData(appointment, locale),
+      lead_time: TemplateService.describeLeadTime(leadMinutes, locale),
+      reschedule_link: `${baseUrl}/api/appointments/${appointment.id}/reschedule?token=${token}`,
+      cancel_link: `${baseUrl}/api/appointments/${appointment.id}/cancel?token=${token}`
+    });
 
     return await this.sendEmail({
       to: appointment.patient_email,
-      subject: `Appointment Reminder - ${dateTime}`,
-      html: html
+      subject: message.subject,
+      html: message.html,
+      icalEvent: this._calendarInvite(appointment, 'REQUEST'),
+      ...this._appointmentMeta(appointment, 'appointment_reminder')
+    });
+  }
+
+  /**
+   * Send rescheduled appointment email
+   * The attached invite replaces the event from the original confirmation.
+   * @param {Object} appointment - Appointment after the change
+   * @param {String} previousDateTime - Old date and time, for the message ("2024-01-15 at 14:00")
+   */
+  static async sendAppointmentRescheduled(appointment, previousDateTime) {
+    const locale = TemplateService.localeFor(appointment.patient_phone);
+    const message = TemplateService.render('appointment_rescheduled', locale, {
+      ...this._appointmentData(appointment, locale),
+      previous_date_time: previousDateTime || null
+    });
+
+    return await this.sendEmail({
+      to: appointment.patient_email,
+      subject: message.subject,
+      html: message.html,
+      icalEvent: this._calendarInvite(appointment, 'REQUEST'),
+      ...this._appointmentMeta(appointment, 'appointment_rescheduled')
+    });
+  }
+
+  /**
+   * Send appointment cancellation email
+   * The attached METHOD:CANCEL invite removes the event from the patient's calendar.
+   */
+  static async sendAppointmentCancellation(appointment) {
+    const locale = TemplateService.localeFor(appointment.patient_phone);
+    const message = TemplateService.render('appointment_cancellation', locale, this._appointmentData(appointment, locale));
+
+    return await this.sendEmail({
+      to: appointment.patient_email,
+      subject: message.subject,
+      html: message.html,
+      icalEvent: this._calendarInvite(appointment, 'CANCEL'),
+      ...this._appointmentMeta(appointment, 'appointment_cancellation')
     });
   }
 
   /**
    * Send checkout verification code to email
+   * @param {String} phone - Caller's phone, for their language (optional)
    */
-  static async sendCheckoutVerificationCode(email, code) {
-    const html = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: #0891b2; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
-          .content { background: #f9f9f9; padding: 20px; border-radius: 0 0 8px 8px; }
-          .code-box { background: white; padding: 20px; margin: 20px 0; text-align: center; border-radius: 8px; border: 2px dashed #0891b2; }
-          .code { font-size: 32px; font-weight: bold; color: #0891b2; letter-spacing: 8px; }
-          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>🔐 Verification Code</h1>
-          </div>
-          <div class="content">
-            <p>Hello,</p>
-            <p>You requested a payment link. Please use the verification code below to confirm your identity:</p>
-            
-            <div class="code-box">
-              <div class="code">${code}</div>
-            </div>
-            
-            <p>This code will expire in 10 minutes.</p>
-            <p>If you didn't request this code, please ignore this email.</p>
-            
-            <p>Best regards,<br>DocLittle Security Team</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated email. Please do not reply.</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+  static async sendCheckoutVerificationCode(email, code, phone = null) {
+    const message = TemplateService.render('checkout_verification_code', TemplateService.localeFor(phone), { code });
 
     return await this.sendEmail({
       to: email,
-      subject: 'Your Verification Code',
-      html: html
+      subject: message.subject,
+      html: message.html,
+      category: 'verification_code'
     });
   }
 
@@ -399,55 +375,62 @@ class EmailService {
    * Send payment link email after verification
    */
   static async sendPaymentLinkEmail(email, paymentLink, order) {
-    const html = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: #16a34a; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
-          .content { background: #f9f9f9; padding: 20px; border-radius: 0 0 8px 8px; }
-          .order { background: white; padding: 16px; border-radius: 8px; border-left: 4px solid #16a34a; margin-bottom: 16px; }
-          .button { display: inline-block; padding: 12px 24px; background: #16a34a; color: white; text-decoration: none; border-radius: 6px; margin: 10px 0; }
-          .button:hover { background: #15803d; }
-          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>💳 Complete Your Payment</h1>
-          </div>
-          <div class="content">
-            <p>Hello,</p>
-            <p>Your email has been verified. Please use the secure link below to complete your payment.</p>
-            <div class="order">
-              <div><strong>Product:</strong> ${order?.product_name || 'Service'}</div>
-              <div><strong>Amount:</strong> $${(order?.amount || 0).toFixed(2)}</div>
-            </div>
-            <p>
-              <a class="button" href="${paymentLink}">Pay Now</a>
-            </p>
-            <p>If the button doesn't work, copy and paste this URL into your browser:</p>
-            <p>${paymentLink}</p>
-            <p>Thank you for choosing DocLittle.</p>
-          </div>
-          <div class="footer">
-            <p>This is a secure payment link. Do not share it with anyone.</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+    const message = TemplateService.render('payment_link', TemplateService.localeFor(order.customer_phone), {
+      product_name: order?.product_name || 'Service',
+      amount: (order?.amount || 0).toFixed(2),
+      payment_link: paymentLink
+    });
 
     return await this.sendEmail({
       to: email,
-      subject: 'Complete Your Payment',
-      html: html
+      subject: message.subject,
+      html: message.html,
+      category: 'payment_link',
+      patient_phone: order.customer_phone
     });
   }
 
+  /**
+   * Template values shared by the appointment emails
+   */
+  static _appointmentData(appointment, locale) {
+    return {
+      patient_name: appointment.patient_name,
+      date_time: TemplateService.formatDateTime(appointment.start_time, locale, appointment.timezone || 'America/New_York'),
+      appointment_type: appointment.appointment_type || 'Mental Health Consultation',
+      provider: appointment.provider || TemplateService.getBranding().team_name,
+      confirmation_number: appointment.id
+    };
+  }
+
+  /**
+   * Calendar invite attachment for an appointment email
+   * @param {String} method - REQUEST or CANCEL
+   */
+  static _calendarInvite(appointment, method) {
+    try {
+      return {
+        method,
+        filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+        content: IcsService.buildInvite(appointment, method)
+      };
+    } catch (error) {
+      console.warn('⚠️  Calendar invite could not be built:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Outbox fields linking an appointment email to its appointment and patient
+   */
+  static _appointmentMeta(appointment, category) {
+    return {
+      category,
+      appointment_id: appointment.id,
+      patient_phone: appointment.patient_phone || null
+    };
+  }
+
   /**
    * Generate cancel/reschedule token
    */
@@ -8,24 +8,28 @@
  * 
  * Amount Allowed Logic:
  * - Amount Allowed is the maximum amount the insurance will pay for a service
- * - It's typically from the payer's fee schedule or provider contract
- * - For now, we calculate it as a percentage of billed amount (typical 80-90% for in-network)
- * - In production, this should come from:
- *   1. Fee schedule lookup by CPT code
- *   2. Provider contract rates
- *   3. Or from 835 Remittance Advice after claim adjudication
+ * - It comes from, in order:
+ *   1. The line's own allowed amount (from 835 Remittance Advice after claim adjudication)
+ *   2. The payer's contracted rate for the CPT code and modifier, for the plan or all its plans
+ *      (see fee-schedule-service.js)
+ *   3. A percentage of billed amount when the payer has no rate (see calculateAllowedAmount)
+ *
+ * Coordination of Benefits:
+ * - A patient with a secondary plan owes what's left after both plans: the secondary's own
+ *   deductible, copay and coinsurance on the primary's cost share (otherInsurancePaid is the rest)
+ * - A claim to the secondary starts from the primary's 835: the secondary pays what the primary
+ *   left the patient, less its cost share
  */
 
+const ClaimLineService = require('./claim-line-service');
+const CoordinationOfBenefitsService = require('./coordination-of-benefits-service');
+const FeeScheduleService = require('./fee-schedule-service');
+
 class EOBCalculationService {
   /**
-   * Calculate Amount Allowed for a CPT code
-   * 
-   * In production, this should:
-   * 1. Look up fee schedule by CPT code and payer
-   * 2. Check provider contract rates
-   * 3. Or use allowed amount from 835 ERA if available
+   * Calculate Amount Allowed for a CPT code the payer has no contracted rate for
    * 
-   * For now, we use a simplified calculation:
+   * Used when neither the 835 nor the payer's fee schedule has an allowed amount for the line:
    * - In-network: 85% of billed amount (typical)
    * - Out-of-network: 70% of billed amount (typical)
    * 
@@ -54,9 +58,11 @@ class EOBCalculationService {
    * @param {number} params.eligibility.deductible_remaining - Remaining deductible
    * @param {number} params.eligibility.copay_amount - Copay amount
    * @param {number} params.eligibility.coinsurance_percent - Coinsurance percentage (e.g., 20 for 20%)
+   * @param {Object} params.secondaryEligibility - Eligibility for the patient's next plan, when they have one (optional)
+   * @param {Object} params.contract - { payer_id, plan_name } whose fee schedule gives lines without an allowed amount theirs (optional)
    * @returns {Object} EOB breakdown
    */
-  static calculateEOB({ lineItems = [], eligibility = {} }) {
+  static calculateEOB({ lineItems = [], eligibility = {}, secondaryEligibility = null, contract = null }) {
     // Extract eligibility data
     const deductibleTotal = parseFloat(eligibility.deductible_total || 0);
     const deductibleRemaining = parseFloat(eligibility.deductible_remaining || eligibility.deductible_total || 0);
@@ -77,9 +83,10 @@ class EOBCalculationService {
     // Process each line item
     const processedLineItems = lineItems.map((item, index) => {
       const billedAmount = parseFloat(item.charge || item.billed_amount || 0);
+      const contracted = !item.allowed_amount && contract ? this._contractedAmount(item, contract) : null;
       const allowed = item.allowed_amount 
         ? parseFloat(item.allowed_amount)
-        : this.calculateAllowedAmount(billedAmount, true); // Assume in-network for now
+        : (contracted !== null ? contracted : this.calculateAllowedAmount(billedAmount, true)); // Assume in-network without a rate
       
       totalBilled += billedAmount;
       totalAllowed += allowed;
@@ -140,10 +147,14 @@ class EOBCalculationService {
         dateOfService: item.date_of_service || item.date || '',
         typeOfService: item.description || item.code || '',
         cptCode: item.code || '',
+        lineNumber: index + 1,
+        modifiers: item.modifiers || [],
+        units: item.units || 1,
+        diagnosisPointers: item.diagnosis_pointers || [],
         amountBilled: billedAmount,
         allowedAmount: allowed,
         planPaid: Math.max(0, planPaid),
-        otherInsurancePaid: 0, // Not applicable for now
+        otherInsurancePaid: 0,
         copay: copay,
         coinsurance: coinsurance,
         deductible: deductible,
@@ -152,9 +163,21 @@ class EOBCalculationService {
       };
     });
 
+    // The next plan picks up the primary's cost share, less its own
+    let totalOtherInsurancePaid = 0;
+    if (secondaryEligibility) {
+      const plan = this._planTerms(secondaryEligibility);
+      for (const item of processedLineItems) {
+        const costShare = item.deductible + item.copay + item.coinsurance;
+        item.otherInsurancePaid = this._round(costShare - this._costShare(costShare, plan).total);
+        item.whatYouOwe = this._round(item.whatYouOwe - item.otherInsurancePaid);
+        totalOtherInsurancePaid += item.otherInsurancePaid;
+      }
+    }
+
     // Calculate total patient responsibility
-    // Patient owes: Deductible + Copay + Coinsurance + Amount Not Covered
-    const totalPatientOwe = totalCopay + totalDeductible + totalCoinsurance + totalNotCovered;
+    // Patient owes: Deductible + Copay + Coinsurance + Amount Not Covered (less what the next plan pays)
+    const totalPatientOwe = totalCopay + totalDeductible + totalCoinsurance + totalNotCovered - totalOtherInsurancePaid;
 
     return {
       lineItems: processedLineItems,
@@ -162,7 +185,7 @@ class EOBCalculationService {
         amountBilled: totalBilled,
         allowedAmount: totalAllowed,
         planPaid: totalPlanPaid,
-        otherInsurancePaid: 0,
+        otherInsurancePaid: this._round(totalOtherInsurancePaid),
         copay: totalCopay,
         coinsurance: totalCoinsurance,
         deductible: totalDeductible,
@@ -178,6 +201,79 @@ class EOBCalculationService {
     };
   }
 
+  /**
+   * Calculate the EOB for a claim to a secondary (or tertiary) plan from the earlier payers' 835s
+   * Each line's balance is what the payer before left the patient; this plan pays it less its own
+   * deductible, copay and coinsurance.
+   *
+   * @param {Object} params - Calculation parameters
+   * @param {Array} params.lineItems - As for calculateEOB
+   * @param {Array} params.priorAdjudications - The earlier payers' adjudications, oldest first
+   *                                            (see CoordinationOfBenefitsService.getAdjudication)
+   * @param {Object} params.eligibility - Eligibility for this claim's plan
+   * @returns {Object} EOB breakdown
+   */
+  static calculateSecondaryEOB({ lineItems = [], priorAdjudications = [], eligibility = {} }) {
+    const plan = this._planTerms(eligibility);
+    const last = priorAdjudications[priorAdjudications.length - 1];
+    const totalCharge = lineItems.reduce((sum, item) => sum + parseFloat(item.charge || item.billed_amount || 0), 0);
+    const totals = { amountBilled: 0, allowedAmount: 0, planPaid: 0, otherInsurancePaid: 0, copay: 0, coinsurance: 0, deductible: 0, amountNotCovered: 0, whatYouOwe: 0 };
+
+    const processedLineItems = lineItems.map((item, index) => {
+      const billedAmount = parseFloat(item.charge || item.billed_amount || 0);
+      // The payer's numbers for the line, or its share of the claim's when the 835 has no lines
+      const share = totalCharge > 0 ? billedAmount / totalCharge : 0;
+      const priorLine = adjudication => this._priorLine(adjudication, item, index + 1);
+      const otherInsurancePaid = this._round(priorAdjudications.reduce((sum, adjudication) => {
+        const line = priorLine(adjudication);
+        return sum + (line ? line.paid_amount : adjudication.paid_amount * share);
+      }, 0));
+      const lastLine = last ? priorLine(last) : null;
+      const balance = this._round(lastLine
+        ? lastLine.adjustments.filter(a => a.group === 'PR').reduce((sum, a) => sum + a.amount, 0)
+        : (last ? last.patient_responsibility * share : billedAmount));
+      const allowed = lastLine && lastLine.allowed_amount !== null && lastLine.allowed_amount !== undefined
+        ? lastLine.allowed_amount
+        : this._round(otherInsurancePaid + balance);
+
+      const { deductible, copay, coinsurance, total: whatYouOwe } = this._costShare(balance, plan);
+
+      const processed = {
+        dateOfService: item.date_of_service || item.date || '',
+        typeOfService: item.description || item.code || '',
+        cptCode: item.code || '',
+        lineNumber: index + 1,
+        modifiers: item.modifiers || [],
+        units: item.units || 1,
+        diagnosisPointers: item.diagnosis_pointers || [],
+        amountBilled: billedAmount,
+        allowedAmount: allowed,
+        planPaid: this._round(balance - whatYouOwe),
+        otherInsurancePaid,
+        copay,
+        coinsurance,
+        deductible,
+        amountNotCovered: 0,
+        whatYouOwe
+      };
+      for (const key of Object.keys(totals)) {
+        totals[key] = this._round(totals[key] + processed[key]);
+      }
+      return processed;
+    });
+
+    return {
+      lineItems: processedLineItems,
+      totals,
+      eligibility: {
+        deductibleTotal: parseFloat(eligibility.deductible_total || 0),
+        deductibleRemaining: plan.deductibleRemaining,
+        copayAmount: plan.copayAmount,
+        coinsurancePercent: plan.coinsurancePercent
+      }
+    };
+  }
+
   /**
    * Calculate EOB from claim data
    * 
@@ -191,10 +287,23 @@ class EOBCalculationService {
     const pricing = claimDetails.pricing || {};
     const coding = claimDetails.coding || {};
     
-    // Build line items from pricing breakdown or claim data
+    // Build line items from the claim's service lines, or for claims stored before those,
+    // from the pricing breakdown or claim data
     let lineItems = [];
+    const serviceLines = claim.id ? ClaimLineService.storedLines(claim.id) : [];
     
-    if (pricing.breakdown && Array.isArray(pricing.breakdown) && pricing.breakdown.length > 0) {
+    if (serviceLines.length > 0) {
+      lineItems = serviceLines.map(line => ({
+        code: line.procedure_code,
+        description: line.description || '',
+        charge: line.charge,
+        allowed_amount: line.allowed_amount,
+        modifiers: line.modifiers,
+        units: line.units,
+        diagnosis_pointers: line.diagnosis_pointers,
+        date_of_service: line.date_of_service || claim.date_of_service || (claim.submitted_at ? new Date(claim.submitted_at).toISOString().split('T')[0] : new Date().toISOString().split('T')[0])
+      }));
+    } else if (pricing.breakdown && Array.isArray(pricing.breakdown) && pricing.breakdown.length > 0) {
       // Use pricing breakdown if available (new format from PDF coding or generated from diagnosis codes)
       lineItems = pricing.breakdown.map((item) => ({
         code: item.code || item.cpt_code || '',
@@ -275,14 +384,138 @@ class EOBCalculationService {
       }];
     }
 
-    // Calculate EOB
+    // A claim to a secondary plan starts from the payers before it; the eligibility passed in may
+    // be another plan's, so the claim's own plan is looked up first
+    const priorAdjudications = claim.prior_claim_id
+      ? CoordinationOfBenefitsService.getPriorPayers(claim).map(prior => prior.adjudication).filter(Boolean)
+      : [];
+    if (priorAdjudications.length > 0) {
+      return this.calculateSecondaryEOB({
+        lineItems,
+        priorAdjudications,
+        eligibility: CoordinationOfBenefitsService.eligibilityFor(claim) || eligibility
+      });
+    }
+
+    // Calculate EOB, with what the patient's next plan is expected to pay
+    const nextPlan = claim.patient_id ? CoordinationOfBenefitsService.nextCoverage(claim) : null;
     const eobCalculation = this.calculateEOB({
       lineItems,
-      eligibility
+      eligibility,
+      secondaryEligibility: nextPlan ? CoordinationOfBenefitsService.eligibilityFor(nextPlan) : null,
+      contract: claim.payer_id ? FeeScheduleService.contractFor(claim) : null
     });
 
     return eobCalculation;
   }
+
+  /**
+   * Estimate what a patient will owe for services before they are billed
+   * Charges come from the chargemaster (unless given), the allowed amount from the plan's
+   * contracted rates, and the cost share from the plan's latest eligibility check, less what the
+   * patient's next plan is expected to pay.
+   *
+   * @param {Object} params - Estimate parameters
+   * @param {string} params.patient_id - Patient, for their plans and eligibility
+   * @param {string} params.member_id - Plan to estimate for (optional; the primary plan by default)
+   * @param {Array} params.lines - [{ code, modifiers?, units?, charge? }]
+   * @param {string} params.date_of_service - Date rates are looked up for (optional; today by default)
+   * @returns {Object} EOB breakdown, plus { estimate, patient_id, payer_id, member_id, plan_name, date_of_service }
+   */
+  static estimateCost({ patient_id: patientId, member_id: memberId = null, lines = [], date_of_service: dateOfService = null }) {
+    if (!patientId) {
+      throw new Error('Validation failed: patient_id is required');
+    }
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error('Validation failed: at least one service line is required');
+    }
+    const plan = memberId
+      ? CoordinationOfBenefitsService.getCoverage(patientId).find(coverage => coverage.member_id === memberId)
+      : CoordinationOfBenefitsService.primaryCoverage(patientId);
+    if (!plan) {
+      throw new Error(`Patient insurance not found: ${patientId}${memberId ? ` (${memberId})` : ''}`);
+    }
+
+    const date = dateOfService || new Date().toISOString().split('T')[0];
+    const errors = [];
+    const lineItems = lines.map((line, index) => {
+      const code = String(line.code || line.procedure_code || line.cpt_code || '').trim().toUpperCase();
+      const units = Number(line.units) > 0 ? Number(line.units) : 1;
+      const charge = line.charge !== undefined && line.charge !== null && line.charge !== ''
+        ? parseFloat(line.charge)
+        : FeeScheduleService.chargeFor(code, { modifiers: line.modifiers, units, date });
+      if (!code) errors.push(`line ${index + 1}: procedure code is required`);
+      else if (charge === null || isNaN(charge)) errors.push(`line ${index + 1}: ${code} has no charge on the chargemaster`);
+      return { code, description: line.description || '', modifiers: line.modifiers || [], units, charge, date_of_service: date };
+    });
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join('; ')}`);
+    }
+
+    const nextPlan = plan.payer_sequence ? CoordinationOfBenefitsService.nextCoverage(plan) : null;
+    const contract = { payer_id: plan.payer_id, plan_name: plan.plan_name || null };
+    return {
+      estimate: true,
+      patient_id: patientId,
+      payer_id: plan.payer_id,
+      member_id: plan.member_id,
+      plan_name: contract.plan_name,
+      date_of_service: date,
+      ...this.calculateEOB({
+        lineItems,
+        eligibility: CoordinationOfBenefitsService.eligibilityFor(plan) || {},
+        secondaryEligibility: nextPlan ? CoordinationOfBenefitsService.eligibilityFor(nextPlan) : null,
+        contract
+      })
+    };
+  }
+
+  // The payer's contracted amount for a line on its date of service (null when it has no rate)
+  static _contractedAmount(item, contract) {
+    const date = item.date_of_service || item.date;
+    return FeeScheduleService.contractedAmount({
+      payer_id: contract.payer_id,
+      plan_name: contract.plan_name,
+      procedure_code: item.code,
+      modifiers: item.modifiers,
+      units: item.units,
+      date: date && /^\d{4}-\d{2}-\d{2}/.test(date) ? String(date).slice(0, 10) : null
+    });
+  }
+
+  // Deductible, copay and coinsurance of a plan, tracked across a claim's lines
+  static _planTerms(eligibility = {}) {
+    return {
+      deductibleRemaining: parseFloat(eligibility.deductible_remaining || eligibility.deductible_total || 0),
+      copayAmount: parseFloat(eligibility.copay_amount || 0),
+      coinsurancePercent: parseFloat(eligibility.coinsurance_percent || 0),
+      copayApplied: false
+    };
+  }
+
+  // What the patient still pays of an amount under a plan's terms: deductible, then copay (once per claim), then coinsurance
+  static _costShare(amount, plan) {
+    const deductible = Math.min(plan.deductibleRemaining, amount);
+    plan.deductibleRemaining -= deductible;
+    let copay = 0;
+    if (plan.copayAmount > 0 && !plan.copayApplied && amount - deductible > 0) {
+      copay = Math.min(plan.copayAmount, amount - deductible);
+      plan.copayApplied = true;
+    }
+    const coinsurance = this._round(Math.max(0, amount - deductible - copay) * (plan.coinsurancePercent / 100));
+    return { deductible, copay, coinsurance, total: this._round(deductible + copay + coinsurance) };
+  }
+
+  // An earlier payer's line for a service line: by line number, else by procedure code
+  static _priorLine(adjudication, item, lineNumber) {
+    return adjudication.lines.find(line => line.line_number === lineNumber) ||
+      adjudication.lines.find(line => !line.line_number && line.procedure_code === item.code) ||
+      null;
+  }
+
+  static _round(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+  }
 }
 
 module.exports = EOBCalculationService;
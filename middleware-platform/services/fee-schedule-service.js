@@ -0,0 +1,402 @@
+/**
+ * Fee Schedule Service
+ *
+ * What a service costs, by CPT/HCPCS code and modifier, with the dates each rate is in effect:
+ * - The chargemaster (kind chargemaster): what the practice bills. Service lines entered without a
+ *   charge are priced from it (see claim-line-service.js)
+ * - Payer fee schedules (kind payer): what a payer's contract allows, for all of its plans or for
+ *   one plan by name. EOB estimates, patient cost estimates and eligibility checks use them for the
+ *   allowed amount (see eob-calculation-service.js)
+ * - Underpayments: each posted 835 is compared with the contract; a payer that allowed less than
+ *   its contracted rate for a line is flagged on the remit (see remittance-service.js)
+ *
+ * Schedules are imported from CSV files with a header row (code, modifier, amount, description,
+ * effective_from, effective_to). A rate for a code with a modifier applies to lines billed with
+ * that modifier; a rate without one applies to the code otherwise.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+
+const KINDS = ['chargemaster', 'payer'];
+const DENIED_STATUS_CODES = ['4', '23'];
+const REVERSAL_STATUS_CODE = '22';
+const CODE_PATTERN = /^[A-Z0-9]{5}$/;
+const MODIFIER_PATTERN = /^[A-Z0-9]{2}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_ROWS = 20000;
+// Differences under a cent are rounding, not an underpayment
+const TOLERANCE = 0.01;
+
+// Header names accepted for each column (lower case, spaces as underscores)
+const COLUMNS = {
+  procedure_code: ['code', 'cpt', 'cpt_code', 'hcpcs', 'procedure_code'],
+  modifier: ['modifier', 'modifiers', 'mod'],
+  amount: ['amount', 'rate', 'allowed', 'allowed_amount', 'fee', 'price', 'charge'],
+  description: ['description', 'desc', 'name'],
+  effective_from: ['effective_from', 'effective_date', 'start_date', 'from'],
+  effective_to: ['effective_to', 'end_date', 'termination_date', 'to']
+};
+
+class FeeScheduleService {
+  static KINDS = KINDS;
+
+  // ==================== SCHEDULES ====================
+
+  /**
+   * Import a fee schedule from CSV
+   * Rates are added to the schedule for the kind, payer and plan (created on first import); a rate
+   * for the same code, modifier and start date replaces the one stored.
+   * @param {String} content - CSV with a header row; code and amount are required
+   * @param {Object} options - { kind (chargemaster | payer; payer when payer_id is given), payer_id?,
+   *                             plan_name? (one plan of the payer), name?, effective_from? (for rows
+   *                             without one), replace? (drop the schedule's rates first), actor? }
+   * @returns {Object} - { schedule, imported }
+   * @throws {Error} - "Validation failed: ..." with every problem found; nothing is imported then
+   */
+  static importCSV(content, options = {}) {
+    const kind = options.kind || (options.payer_id ? 'payer' : null);
+    const payerId = options.payer_id ? String(options.payer_id).trim() : null;
+    const planName = options.plan_name ? String(options.plan_name).trim() : null;
+    const defaultFrom = options.effective_from || '';
+
+    if (!KINDS.includes(kind)) {
+      throw new Error(`Validation failed: kind must be one of ${KINDS.join(', ')}`);
+    }
+    if (kind === 'payer' && !payerId) {
+      throw new Error('Validation failed: payer_id is required for a payer fee schedule');
+    }
+    if (kind === 'chargemaster' && (payerId || planName)) {
+      throw new Error('Validation failed: the chargemaster is not for a payer or plan');
+    }
+    if (defaultFrom && !DATE_PATTERN.test(defaultFrom)) {
+      throw new Error('Validation failed: effective_from must be a date (YYYY-MM-DD)');
+    }
+
+    const rows = this._parseCSV(String(content || ''));
+    if (rows.length < 2) {
+      throw new Error('Validation failed: the file needs a header row and at least one rate');
+    }
+    if (rows.length - 1 > MAX_ROWS) {
+      throw new Error(`Validation failed: at most ${MAX_ROWS} rates can be imported at once`);
+    }
+
+    const columns = this._columns(rows[0]);
+    if (columns.procedure_code === undefined || columns.amount === undefined) {
+      throw new Error('Validation failed: the header row must name a code column and an amount column');
+    }
+
+    const errors = [];
+    const seen = new Set();
+    const rates = [];
+    rows.slice(1).forEach((row, index) => {
+      const label = `row ${index + 2}`;
+      const cell = column => columns[column] === undefined ? '' : String(row[columns[column]] || '').trim();
+
+      const code = cell('procedure_code').toUpperCase();
+      if (!CODE_PATTERN.test(code)) errors.push(`${label}: code must be a CPT or HCPCS code`);
+
+      const modifier = cell('modifier').toUpperCase();
+      if (modifier && !MODIFIER_PATTERN.test(modifier)) errors.push(`${label}: modifier must be two characters`);
+
+      const amount = Number(cell('amount').replace(/[$,]/g, ''));
+      if (cell('amount') === '' || isNaN(amount) || amount < 0) errors.push(`${label}: amount must be an amount`);
+
+      const effectiveFrom = cell('effective_from') || defaultFrom;
+      const effectiveTo = cell('effective_to') || null;
+      if (effectiveFrom && !DATE_PATTERN.test(effectiveFrom)) errors.push(`${label}: effective_from must be a date (YYYY-MM-DD)`);
+      if (effectiveTo && !DATE_PATTERN.test(effectiveTo)) errors.push(`${label}: effective_to must be a date (YYYY-MM-DD)`);
+      if (effectiveFrom && effectiveTo && effectiveTo < effectiveFrom) errors.push(`${label}: effective_to is before effective_from`);
+
+      const key = `${code}|${modifier}|${effectiveFrom}`;
+      if (seen.has(key)) errors.push(`${label}: ${code}${modifier ? `-${modifier}` : ''} from ${effectiveFrom || 'the start'} is listed twice`);
+      seen.add(key);
+
+      rates.push({
+        procedure_code: code,
+        modifier,
+        amount: this._round(amount),
+        description: cell('description') || null,
+        effective_from: effectiveFrom,
+        effective_to: effectiveTo
+      });
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join('; ')}`);
+    }
+
+    const actor = options.actor || 'staff';
+    const name = options.name || (kind === 'chargemaster' ? 'Chargemaster' : [payerId, planName].filter(Boolean).join(' — '));
+    const schedule = db.runExclusive(() => {
+      const existing = db.getFeeScheduleByKey(kind, payerId, planName);
+      const now = new Date().toISOString();
+      const stored = existing || db.createFeeSchedule({
+        id: `fee_${uuidv4()}`, kind, name, payer_id: payerId, plan_name: planName
+      });
+      if (options.replace) db.deleteFeeScheduleRates(stored.id);
+      for (const rate of rates) {
+        db.upsertFeeScheduleRate(stored.id, rate);
+      }
+      db.updateFeeSchedule(stored.id, { name: options.name || undefined, imported_by: actor, imported_at: now });
+      return stored;
+    });
+
+    console.log(`💲 ${rates.length} rate(s) imported to fee schedule ${schedule.name} by ${actor}${options.replace ? ' (replacing its rates)' : ''}`);
+    return { schedule: this.getSchedule(schedule.id), imported: rates.length };
+  }
+
+  /**
+   * Fee schedules with how many rates each has
+   * @param {Object} filters - { kind?, payer_id? }
+   */
+  static listSchedules(filters = {}) {
+    return db.getFeeSchedules(filters);
+  }
+
+  /**
+   * A fee schedule with its rates (with a date, only those in effect that day)
+   * @param {Object} options - { date?, procedure_code? }
+   */
+  static getSchedule(id, options = {}) {
+    const schedule = db.getFeeSchedule(id);
+    if (!schedule) return null;
+    return {
+      ...schedule,
+      rates: db.getFeeScheduleRates(id, {
+        procedure_code: options.procedure_code ? String(options.procedure_code).toUpperCase() : undefined,
+        date: options.date
+      })
+    };
+  }
+
+  static deleteSchedule(id, options = {}) {
+    const schedule = db.getFeeSchedule(id);
+    if (!schedule) {
+      throw new Error(`Fee schedule not found: ${id}`);
+    }
+    db.deleteFeeSchedule(id);
+    console.log(`🗑️  Fee schedule ${schedule.name} deleted by ${options.actor || 'staff'}`);
+  }
+
+  // ==================== RATES ====================
+
+  /**
+   * The rate in effect for a service on a date: from the chargemaster, or the payer's schedule for
+   * the plan, else its schedule for all plans. Within that schedule, a rate for one of the line's
+   * modifiers is preferred to the code's rate without one.
+   * @param {Object} params - { kind, payer_id?, plan_name?, procedure_code, modifiers?, date? (today) }
+   * @returns {Object|null} - The fee_schedule_rates row with its schedule's kind, payer_id, plan_name and schedule_name
+   */
+  static findRate({ kind, payer_id: payerId = null, plan_name: planName = null, procedure_code: procedureCode, modifiers = [], date = null }) {
+    if (!procedureCode || (kind === 'payer' && !payerId)) return null;
+    const rates = db.findFeeScheduleRates({
+      kind,
+      payer_id: kind === 'payer' ? payerId : null,
+      plan_name: kind === 'payer' ? planName : null,
+      procedure_code: String(procedureCode).trim().toUpperCase(),
+      date: date || this._today()
+    });
+    const wanted = (Array.isArray(modifiers) ? modifiers : String(modifiers || '').split(/[:,\s]+/))
+      .filter(Boolean)
+      .map(modifier => String(modifier).toUpperCase());
+    for (const tier of [rates.filter(rate => rate.plan_name), rates.filter(rate => !rate.plan_name)]) {
+      const rate = tier.find(r => r.modifier && wanted.includes(r.modifier)) || tier.find(r => r.modifier === '');
+      if (rate) return rate;
+    }
+    return null;
+  }
+
+  /**
+   * What the practice bills for a service (chargemaster rate × units), or null when it has no rate
+   */
+  static chargeFor(procedureCode, options = {}) {
+    const rate = this.findRate({ kind: 'chargemaster', procedure_code: procedureCode, modifiers: options.modifiers, date: options.date });
+    return rate ? this._round(rate.amount * this._units(options.units)) : null;
+  }
+
+  /**
+   * What a payer's contract allows for a service (rate × units), or null when it has no rate
+   * @param {Object} params - { payer_id, plan_name?, procedure_code, modifiers?, units?, date? }
+   */
+  static contractedAmount(params) {
+    const rate = this.findRate({ ...params, kind: 'payer' });
+    return rate ? this._round(rate.amount * this._units(params.units)) : null;
+  }
+
+  /**
+   * The payer and plan name whose contract applies to a claim or eligibility check (the plan name
+   * is the patient's plan with that member ID)
+   * @returns {Object} - { payer_id, plan_name }
+   */
+  static contractFor(record) {
+    const plan = record.patient_id && record.member_id
+      ? db.getPatientInsurance(record.patient_id, record.member_id)
+      : null;
+    return { payer_id: record.payer_id || null, plan_name: (plan && plan.plan_name) || null };
+  }
+
+  // ==================== UNDERPAYMENTS ====================
+
+  /**
+   * Compare a remit with the payer's contract. Each service line the contract has a rate for is
+   * checked: what the payer allowed (its allowed amount, or what it paid plus the patient's share)
+   * against the contracted rate × units. Only payments from the primary payer are compared;
+   * denials and reversals have nothing to compare.
+   * @param {Object} payment - Hydrated era_claim_payments row (with services)
+   * @param {Object} claim - The insurance_claims row it is posted to
+   * @returns {Object|null} - { contracted_amount, underpaid_amount, lines: [{ service_id, procedure_code,
+   *                            allowed_amount, contracted_amount, underpaid_amount }] }, or null when
+   *                            there is nothing to compare
+   */
+  static compareRemit(payment, claim) {
+    if (DENIED_STATUS_CODES.includes(payment.claim_status_code) || payment.claim_status_code === REVERSAL_STATUS_CODE) return null;
+    if (claim.payer_sequence && claim.payer_sequence !== 'primary') return null;
+
+    const contract = this.contractFor(claim);
+    const date = claim.date_of_service || null;
+    const lines = [];
+    for (const service of payment.services || []) {
+      const contracted = this.contractedAmount({
+        ...contract,
+        procedure_code: service.procedure_code,
+        modifiers: service.modifiers,
+        units: service.units,
+        date
+      });
+      if (contracted === null) continue;
+      const allowed = this._payerAllowed(service);
+      lines.push({
+        service_id: service.id,
+        procedure_code: service.procedure_code,
+        allowed_amount: allowed,
+        contracted_amount: contracted,
+        underpaid_amount: contracted - allowed >= TOLERANCE ? this._round(contracted - allowed) : 0
+      });
+    }
+    if (lines.length === 0) return null;
+
+    return {
+      contracted_amount: this._round(lines.reduce((sum, line) => sum + line.contracted_amount, 0)),
+      underpaid_amount: this._round(lines.reduce((sum, line) => sum + line.underpaid_amount, 0)),
+      lines
+    };
+  }
+
+  /**
+   * Posted remits the payer allowed less than its contract for, largest shortfall first, with the
+   * lines that fell short
+   * @param {Object} filters - { payer_id?, from?, to? (payment dates), limit? }
+   * @returns {Object} - { total_underpaid, count, payments }
+   */
+  static getUnderpayments(filters = {}) {
+    const payments = db.getUnderpaidClaimPayments(filters).map(payment => ({
+      ...payment,
+      lines: db.getEraServicePayments(payment.id)
+        .filter(service => service.underpaid_amount > 0)
+        .map(service => ({
+          id: service.id,
+          line_number: service.line_number,
+          procedure_code: service.procedure_code,
+          modifiers: this._parseJSON(service.modifiers) || [],
+          units: service.units,
+          allowed_amount: service.allowed_amount,
+          paid_amount: service.paid_amount,
+          contracted_amount: service.contracted_amount,
+          underpaid_amount: service.underpaid_amount
+        }))
+    }));
+    return {
+      total_underpaid: this._round(payments.reduce((sum, payment) => sum + payment.underpaid_amount, 0)),
+      count: payments.length,
+      payments
+    };
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  // What the payer allowed for a service: its allowed amount (AMT*B6), else paid plus the patient's share
+  static _payerAllowed(service) {
+    if (service.allowed_amount !== null && service.allowed_amount !== undefined) {
+      return this._round(service.allowed_amount);
+    }
+    const patientShare = (service.adjustments || [])
+      .filter(adjustment => adjustment.group === 'PR')
+      .reduce((sum, adjustment) => sum + adjustment.amount, 0);
+    return this._round((service.paid_amount || 0) + patientShare);
+  }
+
+  // Column positions by field, from the header row
+  static _columns(header) {
+    const columns = {};
+    header.forEach((name, index) => {
+      const key = String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+      for (const [field, aliases] of Object.entries(COLUMNS)) {
+        if (columns[field] === undefined && aliases.includes(key)) columns[field] = index;
+      }
+    });
+    return columns;
+  }
+
+  // Rows of cells; quoted cells may hold commas, newlines and doubled quotes. Blank lines are skipped.
+  static _parseCSV(content) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const text = content.replace(/^\uFEFF/, '');
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    row.push(cell);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    return rows;
+  }
+
+  static _units(units) {
+    const value = Number(units);
+    return value > 0 ? value : 1;
+  }
+
+  static _today() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  static _parseJSON(value) {
+    if (!value) return null;
+    try {
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static _round(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+  }
+}
+
+module.exports = FeeScheduleService;
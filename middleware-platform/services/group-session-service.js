@@ -0,0 +1,409 @@
+/**
+ * Group Session Service
+ *
+ * Group appointment types (those configured with a capacity above 1)
+ * are booked as seats in a shared session. The session blocks the provider's calendar
+ * once; each attendee is a regular appointment row with group_session_id set, carrying
+ * their own check-in and attendance status. Per-attendee claims are generated from
+ * that attendance.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const BookingService = require('./booking-service');
+const AppointmentLifecycleService = require('./appointment-lifecycle-service');
+const AttendancePolicyService = require('./attendance-policy-service');
+const InsuranceService = require('./insurance-service');
+const FeeScheduleService = require('./fee-schedule-service');
+
+const ATTENDANCE_STATUSES = ['checked_in', 'attended', 'no_show', 'excused'];
+// Attendance that can't be known until the session has started (excused can be recorded ahead)
+const STARTED_STATUSES = ['checked_in', 'attended', 'no_show'];
+
+class GroupSessionService {
+  /**
+   * Schedule a group session ahead of any bookings
+   * @param {Object} data - { date, time, appointment_type?, provider?, capacity?, title?, notes?, timezone? }
+   * @returns {Object} - { success, session } or { success: false, error }
+   */
+  static async createSession(data) {
+    try {
+      const appointmentType = data.appointment_type || 'Group Therapy';
+      const typeConfig = BookingService.getAppointmentType(appointmentType);
+      if (!typeConfig || !BookingService.isGroupType(appointmentType)) {
+        throw new Error(`${appointmentType} is not a group appointment type`);
+      }
+      if (!data.date || !data.time) {
+        throw new Error('Validation failed: date and time are required');
+      }
+
+      const capacity = data.capacity !== undefined ? parseInt(data.capacity, 10) : typeConfig.capacity;
+      if (!Number.isInteger(capacity) || capacity < 1) {
+        throw new Error('Capacity must be a positive whole number');
+      }
+
+      const check = await BookingService.checkAvailability(data.date, data.time, appointmentType, data.provider, data.timezone);
+      if (check.session) {
+        throw new Error(`A group session is already scheduled at this time: ${check.session.id}`);
+      }
+      if (!check.available) {
+        throw new Error(`Slot not available: ${check.reason}`);
+      }
+
+      const session = this.createSessionRecord({
+        appointment_type: appointmentType,
+        title: data.title,
+        provider: check.provider ? check.provider.name : (data.provider || 'DocLittle Mental Health Team'),
+        provider_id: check.provider ? check.provider.id : null,
+        date: check.date,
+        time: check.time,
+        start_time: check.start_time,
+        end_time: check.end_time,
+        duration_minutes: typeConfig.duration_minutes,
+        capacity,
+        notes: data.notes
+      });
+
+      return { success: true, session: this._formatSession(session) };
+    } catch (error) {
+      console.error('❌ Error creating group session:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Insert a session row (used by BookingService when the first seat is booked)
+   */
+  static createSessionRecord(data) {
+    const session = {
+      id: `grp-${uuidv4()}`,
+      status: 'scheduled',
+      ...data
+    };
+    db.createGroupSession(session);
+    console.log(`👥 Group session created: ${session.id} (${session.date} ${session.time}, ${session.capacity} seats)`);
+    return db.getGroupSession(session.id);
+  }
+
+  /**
+   * Find the scheduled session starting at a date/time
+   * @param {Object} provider - Registered provider row (optional - any provider when omitted)
+   */
+  static findSession(date, time, appointmentType, provider = null) {
+    return db.getGroupSessionsByDate(date).find(session =>
+      session.time === time &&
+      session.appointment_type === appointmentType &&
+      (!provider || session.provider_id === provider.id)
+    ) || null;
+  }
+
+  /**
+   * Seats left in a session after booked attendees and pending waitlist holds
+   * @param {String} excludeAppointmentId - Attendee to leave out (for reschedules)
+   */
+  static getSeatsRemaining(session, excludeAppointmentId = null) {
+    const attendees = db.getGroupSessionAttendees(session.id)
+      .filter(a => a.id !== excludeAppointmentId);
+    const held = db.countGroupSessionHolds(session.id);
+    return Math.max(0, session.capacity - attendees.length - held);
+  }
+
+  /**
+   * List sessions with seat counts
+   * @param {Object} filters - { status?, date?, from_date?, provider_id? }
+   */
+  static listSessions(filters = {}) {
+    return db.getAllGroupSessions(filters).map(session => this._formatSession(session));
+  }
+
+  /**
+   * Get a session with its roster
+   */
+  static getSession(sessionId) {
+    const session = db.getGroupSession(sessionId);
+    if (!session) return null;
+
+    return {
+      session: this._formatSession(session),
+      roster: db.getGroupSessionAttendees(session.id, true).map(a => this._formatAttendee(a))
+    };
+  }
+
+  /**
+   * Change a session's capacity or details
+   * @param {Object} updates - { capacity?, title?, notes? }
+   */
+  static updateSession(sessionId, updates) {
+    const session = db.getGroupSession(sessionId);
+    if (!session) {
+      throw new Error('Group session not found');
+    }
+
+    const changes = {};
+    if (updates.capacity !== undefined) {
+      const capacity = parseInt(updates.capacity, 10);
+      const booked = db.getGroupSessionAttendees(session.id).length;
+      if (!Number.isInteger(capacity) || capacity < 1) {
+        throw new Error('Capacity must be a positive whole number');
+      }
+      if (capacity < booked) {
+        throw new Error(`Capacity cannot be below the ${booked} patients already booked`);
+      }
+      changes.capacity = capacity;
+    }
+    if (updates.title !== undefined) changes.title = updates.title;
+    if (updates.notes !== undefined) changes.notes = updates.notes;
+
+    db.updateGroupSession(session.id, changes);
+    return this._formatSession(db.getGroupSession(session.id));
+  }
+
+  /**
+   * Check an attendee in on arrival (on the session day; the appointment is checked in first,
+   * so a check-in the lifecycle refuses leaves the roster as it was)
+   */
+  static checkIn(sessionId, appointmentId) {
+    const attendee = this._getAttendee(sessionId, appointmentId);
+
+    db.runExclusive(() => {
+      this._syncLifecycle(attendee.id, 'checked_in');
+      db.updateAppointment(attendee.id, {
+        attendance_status: 'checked_in',
+        checked_in_at: new Date().toISOString()
+      });
+    });
+    console.log(`✅ Checked in ${attendee.patient_name} to group session ${sessionId}`);
+    return this._formatAttendee(db.getAppointment(attendee.id));
+  }
+
+  /**
+   * Record an attendee's attendance once the session has started, on the session day or (staff
+   * catching up) any day after. Only excused can be recorded ahead of the session.
+   * @param {String} status - checked_in | attended | no_show | excused
+   */
+  static recordAttendance(sessionId, appointmentId, status) {
+    if (!ATTENDANCE_STATUSES.includes(status)) {
+      throw new Error(`Invalid attendance status: ${status}. Use one of ${ATTENDANCE_STATUSES.join(', ')}`);
+    }
+    const attendee = this._getAttendee(sessionId, appointmentId);
+    this._assertStarted(db.getGroupSession(sessionId), status);
+
+    if (db.runExclusive(() => this._writeAttendance(attendee, status))) {
+      this._assessNoShowFee(attendee.id);
+    }
+    return this._formatAttendee(db.getAppointment(attendee.id));
+  }
+
+  /**
+   * Record attendance for several attendees at once
+   * @param {Array} records - [{ appointment_id, status }]
+   */
+  static recordRosterAttendance(sessionId, records = []) {
+    const session = db.getGroupSession(sessionId);
+    if (!session) {
+      throw new Error('Group session not found');
+    }
+    // Validate everything before writing anything
+    for (const record of records) {
+      if (!ATTENDANCE_STATUSES.includes(record.status)) {
+        throw new Error(`Invalid attendance status: ${record.status}. Use one of ${ATTENDANCE_STATUSES.join(', ')}`);
+      }
+      this._getAttendee(sessionId, record.appointment_id);
+      this._assertStarted(session, record.status);
+    }
+
+    // All or nothing: one seat the lifecycle refuses leaves the whole roster as it was
+    const noShows = db.runExclusive(() => records.filter(record =>
+      this._writeAttendance(this._getAttendee(sessionId, record.appointment_id), record.status)));
+    noShows.forEach(record => this._assessNoShowFee(record.appointment_id));
+
+    const roster = records.map(record => this._formatAttendee(db.getAppointment(record.appointment_id)));
+    if (roster.length > 0 && roster.every(a => a.attendance_status !== 'checked_in')) {
+      db.updateGroupSession(sessionId, { status: 'completed' });
+    }
+    return roster;
+  }
+
+  /**
+   * Cancel a session and every seat booked in it
+   */
+  static async cancelSession(sessionId, reason = null) {
+    const session = db.getGroupSession(sessionId);
+    if (!session) {
+      throw new Error('Group session not found');
+    }
+
+    // Cancel the session first so freed seats are not offered to the waitlist
+    db.updateGroupSession(session.id, { status: 'cancelled' });
+
+    const cancelled = [];
+    for (const attendee of db.getGroupSessionAttendees(session.id)) {
+      const result = await BookingService.cancelAppointment(attendee.id, reason || 'Group session cancelled', { actor: 'group_session' });
+      if (result.success) cancelled.push(attendee.id);
+    }
+
+    console.log(`❌ Group session ${session.id} cancelled (${cancelled.length} seat(s))`);
+    return { session: this._formatSession(db.getGroupSession(session.id)), cancelled_appointments: cancelled };
+  }
+
+  /**
+   * Submit one claim per attendee marked attended, once the session has ended (or its roster is complete)
+   * Attendees without insurance on file, or who already have a claim, are skipped.
+   * @param {Object} options - { total_amount? (defaults to the chargemaster rate for the type's CPT code, then
+   *                             the type's configured price), diagnosis_code? }
+   * @returns {Object} - { claims, skipped }
+   */
+  static async generateClaims(sessionId, options = {}) {
+    const session = db.getGroupSession(sessionId);
+    if (!session) {
+      throw new Error('Group session not found');
+    }
+    if (session.status !== 'completed' && new Date(session.end_time) > new Date()) {
+      throw new Error(`Validation failed: group session ${session.id} has not been held yet; claims can be generated once it ends`);
+    }
+
+    console.log('\n📋 GROUP SESSION: Generate Claims');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+    const serviceCode = InsuranceService.mapAppointmentTypeToCPT(session.appointment_type);
+    const typeConfig = BookingService.getAppointmentType(session.appointment_type);
+    const chargemasterAmount = options.total_amount === undefined
+      ? FeeScheduleService.chargeFor(serviceCode, { date: session.date })
+      : null;
+    const totalAmount = options.total_amount !== undefined
+      ? parseFloat(options.total_amount)
+      : (chargemasterAmount !== null ? chargemasterAmount : (typeConfig ? typeConfig.price : null));
+    if (totalAmount === null || isNaN(totalAmount)) {
+      throw new Error(`No price configured for ${session.appointment_type}; pass total_amount`);
+    }
+    const claims = [];
+    const skipped = [];
+
+    for (const attendee of db.getGroupSessionAttendees(session.id)) {
+      if (attendee.attendance_status !== 'attended') {
+        skipped.push({ appointment_id: attendee.id, patient_name: attendee.patient_name, reason: `Attendance is ${attendee.attendance_status || 'not recorded'}` });
+        continue;
+      }
+      if (db.getClaimsByAppointment(attendee.id).length > 0) {
+        skipped.push({ appointment_id: attendee.id, patient_name: attendee.patient_name, reason: 'Claim already submitted' });
+        continue;
+      }
+
+      const insurance = attendee.patient_id ? db.getPatientInsurance(attendee.patient_id) : null;
+      if (!insurance) {
+        skipped.push({ appointment_id: attendee.id, patient_name: attendee.patient_name, reason: 'No insurance on file' });
+        continue;
+      }
+
+      const result = await InsuranceService.submitClaim({
+        appointmentId: attendee.id,
+        patientId: attendee.patient_id,
+        patientName: attendee.patient_name,
+        memberId: insurance.member_id,
+        payerId: insurance.payer_id,
+        serviceCode,
+        diagnosisCode: options.diagnosis_code || InsuranceService.mapAppointmentTypeToICD10(session.appointment_type),
+        totalAmount,
+        copayPaid: 0,
+        dateOfService: session.date,
+        providerId: session.provider_id || null
+      });
+
+      if (result.success) {
+        claims.push({ appointment_id: attendee.id, patient_name: attendee.patient_name, claim_id: result.claimId, service_code: serviceCode });
+      } else {
+        skipped.push({ appointment_id: attendee.id, patient_name: attendee.patient_name, reason: result.error });
+      }
+    }
+
+    console.log(`✅ ${claims.length} claim(s) submitted, ${skipped.length} skipped`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    return { claims, skipped };
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  /**
+   * Move the seat's appointment along with the roster, then record the attendance
+   * (run inside a transaction by the caller)
+   * @returns {Boolean} - Whether the seat became a no-show and owes the attendance policy fee
+   */
+  static _writeAttendance(attendee, status) {
+    const moved = this._syncLifecycle(attendee.id, status, { lateEntry: true });
+    const updates = { attendance_status: status };
+    if (['checked_in', 'attended'].includes(status) && !attendee.checked_in_at) {
+      updates.checked_in_at = new Date().toISOString();
+    }
+    db.updateAppointment(attendee.id, updates);
+    return moved && status === 'no_show';
+  }
+
+  /**
+   * Keep the seat's appointment status in step with the roster
+   * (checked_in → checked_in, attended → completed, no_show → no_show). Throws when the
+   * lifecycle refuses the change, so the roster never says what the appointment doesn't.
+   * @param {Object} options - { lateEntry (staff recording attendance after the session day) }
+   * @returns {Boolean} - Whether the appointment moved
+   */
+  static _syncLifecycle(appointmentId, attendanceStatus, options = {}) {
+    const target = { checked_in: 'checked_in', attended: 'completed', no_show: 'no_show' }[attendanceStatus];
+    if (!target) return false;
+
+    const appointment = db.getAppointment(appointmentId);
+    if (appointment.status === target) return false;
+    if (!AppointmentLifecycleService.advanceTo(appointment, target, { actor: 'group_roster', lateEntry: options.lateEntry })) {
+      throw new Error(`Cannot move a ${appointment.status || 'scheduled'} appointment to ${target}`);
+    }
+    return true;
+  }
+
+  /**
+   * Charge a roster no-show the attendance policy fee like any other no-show
+   */
+  static _assessNoShowFee(appointmentId) {
+    AttendancePolicyService.assessFee(db.getAppointment(appointmentId))
+      .catch(error => console.warn(`⚠️  No-show fee for seat ${appointmentId} failed: ${error.message}`));
+  }
+
+  /**
+   * Refuse attendance that can't have happened yet, before anything is written
+   */
+  static _assertStarted(session, status) {
+    if (STARTED_STATUSES.includes(status) && new Date(session.start_time) > new Date()) {
+      throw new Error(`Validation failed: group session ${session.id} has not started yet; ${status} can be recorded from ${session.date} ${session.time}`);
+    }
+  }
+
+  static _getAttendee(sessionId, appointmentId) {
+    const attendee = db.getGroupSessionAttendees(sessionId).find(a => a.id === appointmentId);
+    if (!attendee) {
+      throw new Error(`Appointment ${appointmentId} is not booked in group session ${sessionId}`);
+    }
+    return attendee;
+  }
+
+  static _formatSession(session) {
+    const booked = db.getGroupSessionAttendees(session.id).length;
+    return {
+      ...session,
+      booked_count: booked,
+      seats_remaining: session.status === 'scheduled' ? this.getSeatsRemaining(session) : 0
+    };
+  }
+
+  static _formatAttendee(appointment) {
+    return {
+      appointment_id: appointment.id,
+      patient_name: appointment.patient_name,
+      patient_phone: appointment.patient_phone,
+      patient_email: appointment.patient_email,
+      patient_id: appointment.patient_id,
+      status: appointment.status,
+      attendance_status: appointment.attendance_status || null,
+      checked_in_at: appointment.checked_in_at || null
+    };
+  }
+}
+
+module.exports = GroupSessionService;
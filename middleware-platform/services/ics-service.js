@@ -0,0 +1,235 @@
+/**
+ * iCalendar (ICS) Service
+ *
+ * Builds RFC 5545 calendars from appointments:
+ * - Subscription feeds for providers and patients (Apple Calendar, Outlook, Google),
+ *   served from secret-token URLs that can be rotated
+ * - METHOD:REQUEST / METHOD:CANCEL invites attached to appointment emails. Each appointment
+ *   keeps one UID and a SEQUENCE that grows with every change, so reschedules and
+ *   cancellations update the event already in the recipient's calendar.
+ */
+
+const crypto = require('crypto');
+const db = require('../database');
+const SMSService = require('./sms-service');
+const AppointmentLifecycleService = require('./appointment-lifecycle-service');
+
+const PRODID = '-//DocLittle//Scheduling//EN';
+const UID_DOMAIN = 'doclittle.health';
+// How far back feeds include past appointments
+const FEED_LOOKBACK_DAYS = 30;
+const FEED_OWNER_TYPES = ['provider', 'patient'];
+
+class IcsService {
+  /**
+   * Invite for one appointment, to attach to an email
+   * @param {Object} appointment - Appointment row
+   * @param {String} method - REQUEST (new or changed) or CANCEL
+   * @returns {String} - iCalendar text
+   */
+  static buildInvite(appointment, method = 'REQUEST') {
+    if (!['REQUEST', 'CANCEL'].includes(method)) {
+      throw new Error(`Unsupported iCalendar method: ${method}`);
+    }
+
+    const organizer = process.env.SMTP_FROM || process.env.AZURE_EMAIL_SENDER || `noreply@${UID_DOMAIN}`;
+    const lines = this._appointmentEvent(appointment, {
+      summary: `${appointment.appointment_type || 'Appointment'} with ${appointment.provider || 'DocLittle Mental Health Team'}`,
+      status: method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'
+    });
+    // ORGANIZER and ATTENDEE are required for calendar apps to treat this as an invite
+    lines.splice(lines.length - 1, 0,
+      `ORGANIZER;CN=DocLittle:mailto:${organizer}`,
+      `ATTENDEE;CN="${String(appointment.patient_name || 'Patient').replace(/"/g, '')}";ROLE=REQ-PARTICIPANT:mailto:${appointment.patient_email}`
+    );
+
+    return this._calendar([`METHOD:${method}`], lines);
+  }
+
+  /**
+   * Subscription feed for a provider: their one-to-one appointments and group sessions
+   */
+  static buildProviderFeed(provider) {
+    const fromDate = this._feedStartDate();
+    const events = [];
+
+    for (const appointment of db.getProviderFeedAppointments(provider.id, fromDate)) {
+      events.push(...this._appointmentEvent(appointment, {
+        summary: `${appointment.appointment_type}: ${appointment.patient_name}`
+      }));
+    }
+    for (const session of db.getProviderFeedGroupSessions(provider.id, fromDate)) {
+      events.push(...this._groupSessionEvent(session));
+    }
+
+    return this._calendar([`X-WR-CALNAME:${this._escape(`${provider.name} - DocLittle`)}`], events);
+  }
+
+  /**
+   * Subscription feed for a patient: every appointment booked with their phone number
+   */
+  static buildPatientFeed(phone) {
+    const events = [];
+    for (const appointment of db.getPatientFeedAppointments(phone, this._feedStartDate())) {
+      events.push(...this._appointmentEvent(appointment, {
+        summary: `${appointment.appointment_type} with ${appointment.provider || 'DocLittle Mental Health Team'}`
+      }));
+    }
+    return this._calendar(['X-WR-CALNAME:DocLittle Appointments'], events);
+  }
+
+  /**
+   * Feed behind a secret token
+   * @returns {String|null} - iCalendar text, or null for unknown and revoked tokens
+   */
+  static getFeed(token) {
+    const feed = token ? db.getCalendarFeed(token) : null;
+    if (!feed) return null;
+
+    if (feed.owner_type === 'provider') {
+      const provider = db.getProvider(feed.owner_id);
+      return provider ? this.buildProviderFeed(provider) : null;
+    }
+    return this.buildPatientFeed(feed.owner_id);
+  }
+
+  /**
+   * Subscription URL for a provider or patient, created on first request
+   * @param {String} ownerType - provider | patient
+   * @param {String} ownerId - Provider ID or patient phone
+   * @param {Boolean} rotate - Revoke the current URL and issue a new one
+   * @returns {Object} - { url, webcal_url, created_at }
+   */
+  static getFeedUrl(ownerType, ownerId, rotate = false) {
+    if (!FEED_OWNER_TYPES.includes(ownerType)) {
+      throw new Error(`Invalid feed owner: ${ownerType}`);
+    }
+    if (ownerType === 'patient') {
+      ownerId = SMSService.formatPhoneNumber(ownerId);
+    }
+    if (!ownerId) {
+      throw new Error('Feed owner is required');
+    }
+
+    if (rotate) {
+      db.revokeCalendarFeeds(ownerType, ownerId);
+    }
+
+    let feed = db.getActiveCalendarFeed(ownerType, ownerId);
+    if (!feed) {
+      db.createCalendarFeed({
+        token: crypto.randomBytes(24).toString('hex'),
+        owner_type: ownerType,
+        owner_id: ownerId
+      });
+      feed = db.getActiveCalendarFeed(ownerType, ownerId);
+      console.log(`📅 Calendar feed ${rotate ? 'rotated' : 'created'} for ${ownerType} ${ownerId}`);
+    }
+
+    const baseUrl = process.env.BASE_URL || 'http://localhost:4000';
+    const url = `${baseUrl}/calendar/feeds/${feed.token}.ics`;
+    return {
+      url,
+      webcal_url: url.replace(/^https?:/, 'webcal:'),
+      created_at: feed.created_at
+    };
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  static _appointmentEvent(appointment, { summary, status = null }) {
+    return this._event({
+      uid: `${appointment.id}@${UID_DOMAIN}`,
+      sequence: appointment.ics_sequence || 0,
+      start: appointment.start_time,
+      end: appointment.end_time,
+      summary,
+      description: `Confirmation number: ${appointment.id}`,
+      status: status || (AppointmentLifecycleService.isReleased(appointment.status) ? 'CANCELLED' : 'CONFIRMED'),
+      updated: appointment.updated_at
+    });
+  }
+
+  static _groupSessionEvent(session) {
+    return this._event({
+      uid: `${session.id}@${UID_DOMAIN}`,
+      sequence: 0,
+      start: session.start_time,
+      end: session.end_time,
+      summary: `${session.title || session.appointment_type} (${session.attendee_count}/${session.capacity})`,
+      description: `Group session: ${session.attendee_count} of ${session.capacity} seats booked`,
+      status: session.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      updated: session.updated_at
+    });
+  }
+
+  static _event({ uid, sequence, start, end, summary, description, status, updated }) {
+    return [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `SEQUENCE:${sequence}`,
+      `DTSTAMP:${this._formatDateTime(new Date())}`,
+      `DTSTART:${this._formatDateTime(start)}`,
+      `DTEND:${this._formatDateTime(end)}`,
+      `SUMMARY:${this._escape(summary)}`,
+      `DESCRIPTION:${this._escape(description)}`,
+      `STATUS:${status}`,
+      ...(updated ? [`LAST-MODIFIED:${this._formatDateTime(updated)}`] : []),
+      'END:VEVENT'
+    ];
+  }
+
+  static _calendar(properties, eventLines) {
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODID}`,
+      'CALSCALE:GREGORIAN',
+      ...properties,
+      ...eventLines,
+      'END:VCALENDAR'
+    ].map(line => this._fold(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * UTC date-time in iCalendar form (20240115T140000Z)
+   * SQLite CURRENT_TIMESTAMP values ("2024-01-15 14:00:00") are UTC without a marker
+   */
+  static _formatDateTime(value) {
+    const date = value instanceof Date
+      ? value
+      : new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  static _escape(text) {
+    return String(text || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Lines longer than 75 octets continue on the next line after a space
+  static _fold(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+      if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  static _feedStartDate() {
+    const d = new Date();
+    d.setDate(d.getDate() - FEED_LOOKBACK_DAYS);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+}
+
+module.exports = IcsService;
@@ -0,0 +1,52 @@
+/**
+ * Mock Clearinghouse Adapter
+ *
+ * Talks to the bundled mock clearinghouse (scripts/mock-clearinghouse.js), which answers
+ * with scripted responses so the revenue cycle can be run offline: eligibility, claim
+ * submission, claim status, and 999/277CA/835 files to pick up.
+ *
+ * Set CLEARINGHOUSE=mock and run `npm run mock:clearinghouse`; MOCK_CLEARINGHOUSE_URL
+ * points somewhere other than http://localhost:4100.
+ */
+
+const axios = require('axios');
+
+class MockClearinghouseAdapter {
+  constructor() {
+    this.name = 'mock';
+    this.baseUrl = process.env.MOCK_CLEARINGHOUSE_URL || 'http://localhost:4100';
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 10000
+    });
+  }
+
+  async checkEligibility(content) {
+    const response = await this.client.post('/eligibility', { x12: content });
+    return response.data.x12;
+  }
+
+  async submitClaims(content, options = {}) {
+    const response = await this.client.post('/claims', { x12: content, file_name: options.file_name || null });
+    return { submission_id: response.data.submission_id };
+  }
+
+  async getClaimStatus(content) {
+    const response = await this.client.post('/claim-status', { x12: content });
+    return response.data.x12;
+  }
+
+  // Picking files up removes them from the mock's inbox
+  async fetchInboundFiles() {
+    const response = await this.client.get('/inbox');
+    return response.data.files.map(file => ({
+      id: file.id,
+      type: file.type,
+      file_name: file.file_name,
+      content: file.x12
+    }));
+  }
+}
+
+module.exports = MockClearinghouseAdapter;
@@ -0,0 +1,323 @@
+/**
+ * NOTIFICATION OUTBOX
+ * Every email and text goes through here:
+ * - The message is stored before sending, so nothing is lost when Azure, SMTP or Twilio is down
+ * - The first attempt is made right away; failed attempts are retried by a worker with backoff
+ *   (1, 5, 15, 60 and 240 minutes) before the message is marked failed
+ * - Twilio status callbacks and Azure delivery reports move sent messages to delivered or bounced
+ * - Patient consent and quiet hours are checked before every attempt: messages without consent
+ *   are blocked, texts due in quiet hours wait until they end
+ * - Staff can list messages per patient or appointment and resend them
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const CommunicationPreferencesService = require('./communication-preferences-service');
+
+const CHANNELS = ['email', 'sms'];
+const STATUSES = ['pending', 'sending', 'sent', 'delivered', 'bounced', 'failed', 'blocked'];
+// Wait before each retry; the message fails after the last one
+const BACKOFF_MINUTES = [1, 5, 15, 60, 240];
+const MAX_ATTEMPTS = BACKOFF_MINUTES.length + 1;
+const WORKER_SECONDS = 60;
+// A message still 'sending' after this long was interrupted (restart mid-send) and is queued again
+const STALE_SENDING_MINUTES = 10;
+
+class NotificationOutbox {
+  static intervalId = null;
+  static isRunning = false;
+
+  /**
+   * Store a message and make the first delivery attempt
+   * @param {Object} message - { channel: 'email'|'sms', recipient, body, subject?, text?, icalEvent?,
+   *                             category?, appointment_id?, patient_phone? }
+   * @returns {Object} - Provider result plus notification_id. When the first attempt fails but will be
+   *                     retried, or the text is held for quiet hours, success is false and queued is true.
+   *                     Messages the patient has not consented to come back with blocked: true.
+   */
+  static async send(message) {
+    if (!CHANNELS.includes(message.channel)) {
+      throw new Error(`channel must be one of ${CHANNELS.join(', ')}`);
+    }
+    if (!message.recipient) {
+      throw new Error('recipient is required');
+    }
+
+    const id = `ntf-${uuidv4()}`;
+    db.createNotification({
+      id,
+      channel: message.channel,
+      category: message.category,
+      recipient: message.recipient,
+      subject: message.subject,
+      body: message.body || '',
+      text_body: message.text,
+      attachment: message.icalEvent ? JSON.stringify(message.icalEvent) : null,
+      appointment_id: message.appointment_id,
+      patient_phone: message.patient_phone,
+      status: 'sending',
+      resend_of: message.resend_of
+    });
+
+    return await this._attempt(db.getNotification(id));
+  }
+
+  /**
+   * Send a stored message again as a new notification
+   */
+  static async resend(id) {
+    const original = db.getNotification(id);
+    if (!original) {
+      throw new Error('Notification not found');
+    }
+    if (['pending', 'sending'].includes(original.status)) {
+      throw new Error(`Notification is still ${original.status}`);
+    }
+
+    const result = await this.send({
+      channel: original.channel,
+      category: original.category,
+      recipient: original.recipient,
+      subject: original.subject,
+      body: original.body,
+      text: original.text_body,
+      icalEvent: original.attachment ? JSON.parse(original.attachment) : null,
+      appointment_id: original.appointment_id,
+      patient_phone: original.patient_phone,
+      resend_of: original.id
+    });
+    return this.getNotification(result.notification_id);
+  }
+
+  /**
+   * Retry every message whose next attempt is due
+   * @returns {Object} - { released, attempted, sent, failed, blocked }
+   */
+  static async processDue(now = new Date()) {
+    const released = db.releaseStaleNotifications(
+      new Date(now.getTime() - STALE_SENDING_MINUTES * 60 * 1000).toISOString()
+    );
+    const counts = { released, attempted: 0, sent: 0, failed: 0, blocked: 0 };
+
+    for (const notification of db.getDueNotifications(now.toISOString())) {
+      // Claim it so an overlapping run does not send it twice
+      if (!db.updateNotificationStatus(notification.id, 'pending', { status: 'sending' })) continue;
+
+      counts.attempted++;
+      const result = await this._attempt(db.getNotification(notification.id), now);
+      if (result.success) counts.sent++;
+      else if (result.blocked) counts.blocked++;
+      else if (!result.queued) counts.failed++;
+    }
+
+    if (counts.attempted > 0 || released > 0) {
+      console.log(`📮 Outbox: ${counts.attempted} retried, ${counts.sent} sent, ${counts.failed} failed` +
+        `${released ? `, ${released} interrupted sends queued again` : ''}`);
+    }
+    return counts;
+  }
+
+  /**
+   * Record a delivery report from the provider
+   * @param {String} providerMessageId - Twilio MessageSid or Azure message ID
+   * @param {String} outcome - 'delivered' | 'bounced'
+   * @param {String} reason - Bounce reason or error code (optional)
+   * @returns {Object|null} - The updated notification, null when the message is not ours
+   */
+  static recordDeliveryStatus(providerMessageId, outcome, reason = null) {
+    const notification = providerMessageId ? db.getNotificationByProviderMessageId(providerMessageId) : null;
+    if (!notification) return null;
+
+    // Reports can arrive twice or out of order; only a sent message moves on
+    if (notification.status === 'sent') {
+      db.updateNotificationStatus(notification.id, 'sent', outcome === 'delivered'
+        ? { status: 'delivered', delivered_at: new Date().toISOString() }
+        : { status: 'bounced', last_error: reason || 'Bounced' });
+      console.log(`📬 ${notification.channel} ${notification.id} ${outcome}${reason ? ` (${reason})` : ''}`);
+    }
+    return this.getNotification(notification.id);
+  }
+
+  // ==================== QUERIES ====================
+
+  /**
+   * Messages, newest first
+   * @param {Object} filters - { patient_phone?, appointment_id?, status?, channel?, category?, limit? }
+   */
+  static getNotifications(filters = {}) {
+    if (filters.status && !STATUSES.includes(filters.status)) {
+      throw new Error(`status must be one of ${STATUSES.join(', ')}`);
+    }
+    return db.getNotifications({
+      patient_phone: filters.patient_phone,
+      appointment_id: filters.appointment_id,
+      status: filters.status,
+      channel: filters.channel,
+      category: filters.category,
+      limit: Math.min(parseInt(filters.limit, 10) || 100, 500)
+    }).map(notification => this._formatNotification(notification));
+  }
+
+  static getNotification(id) {
+    const notification = db.getNotification(id);
+    return notification ? this._formatNotification(notification, true) : null;
+  }
+
+  // ==================== WORKER ====================
+
+  /**
+   * Start the retry worker (every minute)
+   */
+  static start() {
+    if (this.isRunning) {
+      console.log('⚠️  Notification outbox already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.intervalId = setInterval(() => {
+      this.processDue().catch(error => console.error('❌ Notification outbox error:', error.message));
+    }, WORKER_SECONDS * 1000);
+
+    console.log(`✅ Notification outbox started (retries every ${WORKER_SECONDS} seconds)`);
+  }
+
+  static stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+    console.log('⏹️  Notification outbox stopped');
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  /**
+   * Deliver a notification that is in 'sending' and record the outcome
+   */
+  static async _attempt(notification, now = new Date()) {
+    // Checked on every attempt: consent and quiet hours can change while a message waits
+    const permission = CommunicationPreferencesService.checkSend(notification, now);
+    if (permission.defer_until) {
+      db.updateNotificationStatus(notification.id, 'sending', {
+        status: 'pending',
+        next_attempt_at: permission.defer_until
+      });
+      console.log(`🌙 ${notification.channel} ${notification.id} held for quiet hours until ${permission.defer_until}`);
+      return {
+        success: false,
+        queued: true,
+        deferred: true,
+        error: `Held for quiet hours until ${permission.defer_until}`,
+        next_attempt_at: permission.defer_until,
+        notification_id: notification.id
+      };
+    }
+    if (!permission.allowed) {
+      db.updateNotificationStatus(notification.id, 'sending', {
+        status: 'blocked',
+        last_error: permission.reason,
+        next_attempt_at: null
+      });
+      console.log(`🚫 ${notification.channel} ${notification.id} to ${notification.recipient} blocked: ${permission.reason}`);
+      return {
+        success: false,
+        blocked: true,
+        opted_out: Boolean(permission.opted_out),
+        error: permission.reason,
+        notification_id: notification.id
+      };
+    }
+
+    let result;
+    try {
+      result = await this._deliver(notification);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const attempts = notification.attempts + 1;
+    if (result.success) {
+      db.updateNotificationStatus(notification.id, 'sending', {
+        status: 'sent',
+        attempts,
+        last_error: null,
+        next_attempt_at: null,
+        provider: result.provider || (notification.channel === 'sms' ? 'twilio' : null),
+        provider_message_id: result.message_id || result.message_sid || null,
+        sent_at: now.toISOString()
+      });
+      return { ...result, notification_id: notification.id };
+    }
+
+    const error = result.error || 'Send failed';
+    if (result.permanent || attempts >= MAX_ATTEMPTS) {
+      db.updateNotificationStatus(notification.id, 'sending', {
+        status: 'failed',
+        attempts,
+        last_error: error,
+        next_attempt_at: null
+      });
+      console.error(`❌ ${notification.channel} ${notification.id} to ${notification.recipient} failed: ${error}`);
+      return { ...result, success: false, notification_id: notification.id };
+    }
+
+    const nextAttemptAt = new Date(now.getTime() + BACKOFF_MINUTES[attempts - 1] * 60 * 1000).toISOString();
+    db.updateNotificationStatus(notification.id, 'sending', {
+      status: 'pending',
+      attempts,
+      last_error: error,
+      next_attempt_at: nextAttemptAt
+    });
+    console.warn(`⚠️  ${notification.channel} ${notification.id} to ${notification.recipient} failed (${error}); retrying at ${nextAttemptAt}`);
+    return { ...result, success: false, queued: true, next_attempt_at: nextAttemptAt, notification_id: notification.id };
+  }
+
+  static async _deliver(notification) {
+    // Required here: both services send through the outbox
+    if (notification.channel === 'email') {
+      const EmailService = require('./email-service');
+      return await EmailService.deliverEmail({
+        to: notification.recipient,
+        subject: notification.subject,
+        html: notification.body,
+        text: notification.text_body || undefined,
+        icalEvent: notification.attachment ? JSON.parse(notification.attachment) : undefined
+      });
+    }
+
+    const SMSService = require('./sms-service');
+    return await SMSService.deliverSMS(notification.recipient, notification.body);
+  }
+
+  static _formatNotification(notification, includeBody = false) {
+    const formatted = {
+      id: notification.id,
+      channel: notification.channel,
+      category: notification.category,
+      recipient: notification.recipient,
+      subject: notification.subject,
+      appointment_id: notification.appointment_id,
+      patient_phone: notification.patient_phone,
+      status: notification.status,
+      attempts: notification.attempts,
+      next_attempt_at: notification.next_attempt_at,
+      last_error: notification.last_error,
+      provider: notification.provider,
+      provider_message_id: notification.provider_message_id,
+      resend_of: notification.resend_of,
+      sent_at: notification.sent_at,
+      delivered_at: notification.delivered_at,
+      created_at: notification.created_at,
+      updated_at: notification.updated_at
+    };
+    if (includeBody) {
+      formatted.body = notification.body;
+      formatted.has_attachment = Boolean(notification.attachment);
+    }
+    return formatted;
+  }
+}
+
+module.exports = NotificationOutbox;
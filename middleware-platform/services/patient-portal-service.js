@@ -10,6 +10,7 @@
 const db = require('../database');
 const { v4: uuidv4 } = require('uuid');
 const SMSService = require('./sms-service');
+const TemplateService = require('./template-service');
 
 class PatientPortalService {
   /**
@@ -262,8 +263,8 @@ class PatientPortalService {
    */
   _sendSMS(phone, code) {
     try {
-      const message = `Your DocLittle verification code is: ${code}. Valid for 10 minutes.`;
-      SMSService.sendSMS(phone, message);
+      const message = TemplateService.render('verification_code_sms', TemplateService.localeFor(phone), { code }).text;
+      SMSService.sendSMS(phone, message, { category: 'verification_code' });
       console.log(`📱 Verification code sent to ${phone}: ${code}`);
     } catch (error) {
       console.warn('⚠️  Could not send SMS, code is:', code);
@@ -176,7 +176,8 @@ class PaymentOrchestrator {
         if (checkout.customer_email) {
             emailResult = await EmailService.sendCheckoutVerificationCode(
                 checkout.customer_email,
-                verificationCode
+                verificationCode,
+                checkout.customer_phone
             );
             console.log('📧 Email Result:', emailResult.success ? '✅ Sent' : '❌ Failed');
         } else {
@@ -7,20 +7,7 @@
 const pdfParse = require('pdf-parse');
 const { runCodingPipeline } = require('./coding-orchestrator');
 const db = require('../database');
-
-// CPT Code Pricing (simplified - in production, use CMS data)
-const CPT_PRICING = {
-  '90837': { description: 'Psychotherapy, 60 minutes', price: 150.00 },
-  '90834': { description: 'Psychotherapy, 45 minutes', price: 120.00 },
-  '90833': { description: 'Psychotherapy, 30 minutes', price: 90.00 },
-  '90832': { description: 'Psychotherapy, 30 minutes', price: 90.00 },
-  '99213': { description: 'Office visit, established patient, low complexity', price: 100.00 },
-  '99214': { description: 'Office visit, established patient, moderate complexity', price: 150.00 },
-  '99215': { description: 'Office visit, established patient, high complexity', price: 200.00 },
-  '99203': { description: 'Office visit, new patient, low complexity', price: 150.00 },
-  '99204': { description: 'Office visit, new patient, moderate complexity', price: 250.00 },
-  '99205': { description: 'Office visit, new patient, high complexity', price: 350.00 }
-};
+const { getCPTPricing } = require('./cpt-pricing');
 
 class PDFCodingService {
   /**
@@ -38,22 +25,13 @@ class PDFCodingService {
   }
 
   /**
-   * Get pricing for CPT codes
+   * Get pricing for CPT codes (see cpt-pricing.js)
    * @param {Array} cptCodes - Array of CPT code objects
+   * @param {string} dateOfService - Date the chargemaster rates are looked up for (optional; today by default)
    * @returns {Array} CPT codes with pricing
    */
-  getCPTPricing(cptCodes) {
-    return cptCodes.map(cpt => {
-      const code = cpt.code || cpt;
-      const pricing = CPT_PRICING[code] || { description: cpt.description || 'Unknown', price: 0 };
-      
-      return {
-        code: code,
-        description: pricing.description || cpt.description || 'Unknown',
-        price: pricing.price,
-        modifier: cpt.modifier || null
-      };
-    });
+  getCPTPricing(cptCodes, dateOfService = null) {
+    return getCPTPricing(cptCodes, dateOfService);
   }
 
   /**
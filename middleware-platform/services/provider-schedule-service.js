@@ -0,0 +1,241 @@
+/**
+ * Provider Schedule Service
+ *
+ * Resolves when an individual provider is bookable on a given date:
+ * - Weekly working-hour templates (per weekday, optional effective dates)
+ * - Date overrides (replace the weekly template for that date)
+ * - Time off (whole days or partial blocks, subtracted last)
+ *
+ * Providers without a weekly template fall back to the default business
+ * hours passed in by the caller, so unconfigured practices keep working.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+class ProviderScheduleService {
+  /**
+   * Resolve a provider from an ID or display name
+   * @param {String} providerRef - Provider ID or name
+   * @returns {Object|null} Provider row
+   */
+  static resolveProvider(providerRef) {
+    if (!providerRef) return null;
+    return db.getProvider(providerRef) || db.getProviderByName(providerRef) || null;
+  }
+
+  /**
+   * Active providers, or an empty list when the practice has not registered any
+   */
+  static getActiveProviders() {
+    return db.getAllProviders(true);
+  }
+
+  /**
+   * Create a provider
+   * @param {Object} data - Provider details (name required)
+   * @returns {Object} Created provider
+   */
+  static createProvider(data) {
+    if (!data || !data.name) {
+      throw new Error('Provider name is required');
+    }
+    if (db.getProviderByName(data.name)) {
+      throw new Error(`Provider already exists: ${data.name}`);
+    }
+
+    const provider = { ...data, id: data.id || `prov-${uuidv4()}` };
+    db.createProvider(provider);
+    return db.getProvider(provider.id);
+  }
+
+  /**
+   * Replace a provider's weekly template
+   * @param {String} providerId - Provider ID
+   * @param {Array} entries - [{ day_of_week, start_time, end_time, effective_from?, effective_to? }]
+   * @returns {Array} Stored template rows
+   */
+  static setWeeklySchedule(providerId, entries = []) {
+    if (!Array.isArray(entries)) {
+      throw new Error('Schedule must be an array of weekly entries');
+    }
+
+    const rows = entries.map(entry => {
+      const day = Number(entry.day_of_week);
+      if (!Number.isInteger(day) || day < 0 || day > 6) {
+        throw new Error(`Invalid day_of_week: ${entry.day_of_week} (0 = Sunday ... 6 = Saturday)`);
+      }
+      this._assertRange(entry.start_time, entry.end_time);
+      return {
+        id: `sched-${uuidv4()}`,
+        day_of_week: day,
+        start_time: entry.start_time,
+        end_time: entry.end_time,
+        effective_from: entry.effective_from || null,
+        effective_to: entry.effective_to || null
+      };
+    });
+
+    db.replaceProviderSchedule(providerId, rows);
+    return db.getProviderSchedule(providerId);
+  }
+
+  /**
+   * Add time off for a provider
+   * Omit start_time/end_time to block whole days
+   */
+  static addTimeOff(providerId, data) {
+    if (!data || !data.start_date) {
+      throw new Error('start_date is required');
+    }
+    if (data.start_time || data.end_time) {
+      this._assertRange(data.start_time, data.end_time);
+    }
+
+    const timeOff = {
+      id: `pto-${uuidv4()}`,
+      provider_id: providerId,
+      start_date: data.start_date,
+      end_date: data.end_date || data.start_date,
+      start_time: data.start_time || null,
+      end_time: data.end_time || null,
+      reason: data.reason || null
+    };
+    db.createProviderTimeOff(timeOff);
+    return timeOff;
+  }
+
+  /**
+   * Add a date override
+   * is_available = false blocks the whole date; otherwise the given hours replace the template
+   */
+  static addOverride(providerId, data) {
+    if (!data || !data.date) {
+      throw new Error('date is required');
+    }
+    const isAvailable = data.is_available !== undefined ? !!data.is_available : true;
+    if (isAvailable) {
+      this._assertRange(data.start_time, data.end_time);
+    }
+
+    const override = {
+      id: `ovr-${uuidv4()}`,
+      provider_id: providerId,
+      date: data.date,
+      start_time: isAvailable ? data.start_time : null,
+      end_time: isAvailable ? data.end_time : null,
+      is_available: isAvailable,
+      reason: data.reason || null
+    };
+    db.createProviderScheduleOverride(override);
+    return override;
+  }
+
+  /**
+   * Get working windows for a provider on a date
+   * @param {Object} provider - Provider row
+   * @param {String} date - YYYY-MM-DD
+   * @param {Array} defaultWindows - Practice hours for the date ([{ start, end }] in minutes), used when no template exists
+   * @returns {Array} [{ start, end }] in minutes from midnight, sorted and non-overlapping
+   */
+  static getWorkingWindows(provider, date, defaultWindows) {
+    let windows;
+
+    const overrides = db.getProviderScheduleOverrides(provider.id, date);
+    if (overrides.length > 0) {
+      windows = overrides
+        .filter(o => o.is_available && o.start_time && o.end_time)
+        .map(o => ({ start: this.toMinutes(o.start_time), end: this.toMinutes(o.end_time) }));
+    } else {
+      const template = db.getProviderSchedule(provider.id);
+      if (template.length === 0) {
+        windows = defaultWindows.map(w => ({ ...w }));
+      } else {
+        const dayOfWeek = new Date(`${date}T00:00:00`).getDay();
+        windows = template
+          .filter(row => row.day_of_week === dayOfWeek)
+          .filter(row => !row.effective_from || row.effective_from <= date)
+          .filter(row => !row.effective_to || row.effective_to >= date)
+          .map(row => ({ start: this.toMinutes(row.start_time), end: this.toMinutes(row.end_time) }));
+      }
+    }
+
+    for (const off of db.getProviderTimeOff(provider.id, date)) {
+      if (!off.start_time || !off.end_time) {
+        return [];
+      }
+      windows = this._subtract(windows, this.toMinutes(off.start_time), this.toMinutes(off.end_time));
+    }
+
+    return this._merge(windows);
+  }
+
+  /**
+   * Check whether [startMinutes, endMinutes] fits inside one of the windows
+   */
+  static fitsWithin(windows, startMinutes, endMinutes) {
+    return windows.some(w => startMinutes >= w.start && endMinutes <= w.end);
+  }
+
+  /**
+   * Convert "HH:MM" to minutes from midnight
+   */
+  static toMinutes(time) {
+    const [hours, minutes = 0] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Convert minutes from midnight to "HH:MM"
+   */
+  static fromMinutes(total) {
+    const hours = Math.floor(total / 60);
+    const minutes = total % 60;
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  static _assertRange(startTime, endTime) {
+    if (!TIME_PATTERN.test(startTime || '') || !TIME_PATTERN.test(endTime || '')) {
+      throw new Error('start_time and end_time must be in HH:MM (24-hour) format');
+    }
+    if (this.toMinutes(endTime) <= this.toMinutes(startTime)) {
+      throw new Error('end_time must be after start_time');
+    }
+  }
+
+  static _subtract(windows, blockStart, blockEnd) {
+    const result = [];
+    for (const w of windows) {
+      if (blockEnd <= w.start || blockStart >= w.end) {
+        result.push(w);
+        continue;
+      }
+      if (blockStart > w.start) result.push({ start: w.start, end: blockStart });
+      if (blockEnd < w.end) result.push({ start: blockEnd, end: w.end });
+    }
+    return result;
+  }
+
+  static _merge(windows) {
+    const sorted = windows
+      .filter(w => w.end > w.start)
+      .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const w of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && w.start <= last.end) {
+        last.end = Math.max(last.end, w.end);
+      } else {
+        merged.push({ ...w });
+      }
+    }
+    return merged;
+  }
+}
+
+module.exports = ProviderScheduleService;
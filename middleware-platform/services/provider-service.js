@@ -8,6 +8,7 @@
  */
 
 const db = require('../database');
+const AppointmentLifecycleService = require('./appointment-lifecycle-service');
 
 class ProviderService {
   /**
@@ -32,11 +33,14 @@ class ProviderService {
         duration_minutes,
         provider,
         status,
+        checked_in_at,
+        session_started_at,
+        completed_at,
         notes,
         created_at
       FROM appointments
       WHERE date = ?
-        AND status IN ('scheduled', 'confirmed')
+        AND status NOT IN ('cancelled', 'late_cancel')
     `;
     
     const params = [today];
@@ -48,7 +52,7 @@ class ProviderService {
     
     query += ` ORDER BY time ASC`;
     
-    const appointments = db.prepare(query).all(...params);
+    const appointments = db.db.prepare(query).all(...params);
     
     // Enrich with time calculations
     const now = new Date();
@@ -61,16 +65,18 @@ class ProviderService {
         ...apt,
         minutes_until: minutesUntil,
         is_past: minutesUntil < 0,
-        is_current: minutesUntil >= -apt.duration_minutes && minutesUntil <= apt.duration_minutes,
-        is_upcoming: minutesUntil > 0 && minutesUntil <= 30,
+        is_current: apt.status === 'in_session',
+        is_upcoming: AppointmentLifecycleService.isUpcoming(apt.status) && minutesUntil > 0 && minutesUntil <= 30,
         time_until: this._formatTimeUntil(minutesUntil),
-        status_display: this._getStatusDisplay(apt.status, minutesUntil, apt.duration_minutes)
+        status_display: this._getStatusDisplay(apt.status, minutesUntil),
+        allowed_transitions: AppointmentLifecycleService.getAllowedTransitions(apt.status)
       };
     });
   }
   
   /**
    * Get the next patient up
+   * Patients already checked in and waiting come first, then the next booked arrival
    * @param {string} providerName - Provider name (optional)
    * @returns {Object|null} Next appointment or null
    */
@@ -92,11 +98,12 @@ class ProviderService {
         duration_minutes,
         provider,
         status,
+        checked_in_at,
         notes
       FROM appointments
       WHERE date = ?
-        AND status IN ('scheduled', 'confirmed')
-        AND datetime(start_time) >= datetime(?)
+        AND (status = 'checked_in'
+          OR (status IN ('scheduled', 'confirmed') AND datetime(start_time) >= datetime(?)))
     `;
     
     const params = [today, now.toISOString()];
@@ -106,9 +113,9 @@ class ProviderService {
       params.push(providerName);
     }
     
-    query += ` ORDER BY time ASC LIMIT 1`;
+    query += ` ORDER BY CASE WHEN status = 'checked_in' THEN 0 ELSE 1 END, time ASC LIMIT 1`;
     
-    const appointment = db.prepare(query).get(...params);
+    const appointment = db.db.prepare(query).get(...params);
     
     if (!appointment) return null;
     
@@ -119,6 +126,7 @@ class ProviderService {
       ...appointment,
       minutes_until: minutesUntil,
       time_until: this._formatTimeUntil(minutesUntil),
+      is_waiting: appointment.status === 'checked_in',
       is_soon: minutesUntil <= 15,
       is_running_late: minutesUntil < -5
     };
@@ -145,75 +153,62 @@ class ProviderService {
       params.push(providerName);
     }
     
-    // Total scheduled today
-    const totalScheduled = db.prepare(`
-      SELECT COUNT(*) as count ${baseQuery} AND status IN ('scheduled', 'confirmed')
-    `).get(...params).count;
-    
-    // Completed today
-    const completed = db.prepare(`
-      SELECT COUNT(*) as count ${baseQuery} AND status = 'completed'
-    `).get(...params).count;
-    
-    // Cancelled today
-    const cancelled = db.prepare(`
-      SELECT COUNT(*) as count ${baseQuery} AND status = 'cancelled'
-    `).get(...params).count;
-    
-    // No-shows (past appointments that weren't completed or cancelled)
-    const noShows = db.prepare(`
-      SELECT COUNT(*) as count 
-      ${baseQuery} 
-      AND status IN ('scheduled', 'confirmed')
-      AND datetime(end_time) < datetime(?)
-    `).get(...params, now.toISOString()).count;
+    // Count of today's appointments in each lifecycle status
+    const counts = {};
+    for (const row of db.db.prepare(`
+      SELECT status, COUNT(*) as count ${baseQuery} GROUP BY status
+    `).all(...params)) {
+      counts[row.status || 'scheduled'] = row.count;
+    }
+    const count = (...statuses) => statuses.reduce((sum, status) => sum + (counts[status] || 0), 0);
+
+    // Still to arrive
+    const totalScheduled = count('scheduled', 'confirmed');
+    const completed = count('completed');
+    const cancelled = count('cancelled', 'late_cancel');
+    const noShows = count('no_show');
+    const inSession = count('in_session');
+    const checkedIn = count('checked_in');
     
     // Upcoming (next 2 hours)
     const twoHoursFromNow = new Date(now.getTime() + 2 * 60 * 60 * 1000);
-    const upcoming = db.prepare(`
+    const upcoming = db.db.prepare(`
       SELECT COUNT(*) as count 
       ${baseQuery} 
       AND status IN ('scheduled', 'confirmed')
       AND datetime(start_time) BETWEEN datetime(?) AND datetime(?)
     `).get(...params, now.toISOString(), twoHoursFromNow.toISOString()).count;
     
-    // Currently in session (started but not ended)
-    const inSession = db.prepare(`
-      SELECT COUNT(*) as count 
-      ${baseQuery} 
-      AND status IN ('scheduled', 'confirmed')
-      AND datetime(start_time) <= datetime(?)
-      AND datetime(end_time) >= datetime(?)
-    `).get(...params, now.toISOString(), now.toISOString()).count;
-    
-    // Average wait time (for appointments that started late)
-    const lateAppointments = db.prepare(`
-      SELECT start_time, time
+    // Average wait: check-in until the session actually started
+    const waits = db.db.prepare(`
+      SELECT checked_in_at, session_started_at
       ${baseQuery} 
-      AND status IN ('scheduled', 'confirmed', 'completed')
-      AND datetime(start_time) > datetime(date || ' ' || time)
+      AND checked_in_at IS NOT NULL
+      AND session_started_at IS NOT NULL
     `).all(...params);
     
     let avgWaitMinutes = 0;
-    if (lateAppointments.length > 0) {
-      const totalWait = lateAppointments.reduce((sum, apt) => {
-        const scheduled = new Date(`${apt.date}T${apt.time}`);
-        const actual = new Date(apt.start_time);
-        return sum + Math.floor((actual - scheduled) / (1000 * 60));
+    if (waits.length > 0) {
+      const totalWait = waits.reduce((sum, apt) => {
+        return sum + Math.max(0, Math.floor((new Date(apt.session_started_at) - new Date(apt.checked_in_at)) / (1000 * 60)));
       }, 0);
-      avgWaitMinutes = Math.round(totalWait / lateAppointments.length);
+      avgWaitMinutes = Math.round(totalWait / waits.length);
     }
     
+    const booked = totalScheduled + checkedIn + inSession + completed + noShows;
+    const resolved = completed + noShows;
     return {
       total_scheduled: totalScheduled,
+      checked_in: checkedIn,
       completed: completed,
       cancelled: cancelled,
+      late_cancels: count('late_cancel'),
       no_shows: noShows,
       upcoming: upcoming,
       in_session: inSession,
       avg_wait_minutes: avgWaitMinutes,
-      completion_rate: totalScheduled > 0 ? ((completed / (totalScheduled + completed)) * 100).toFixed(1) : '0.0',
-      no_show_rate: totalScheduled > 0 ? ((noShows / totalScheduled) * 100).toFixed(1) : '0.0'
+      completion_rate: booked > 0 ? ((completed / booked) * 100).toFixed(1) : '0.0',
+      no_show_rate: resolved > 0 ? ((noShows / resolved) * 100).toFixed(1) : '0.0'
     };
   }
   
@@ -222,7 +217,7 @@ class ProviderService {
    * @returns {Array} List of providers
    */
   getProviders() {
-    const providers = db.prepare(`
+    const providers = db.db.prepare(`
       SELECT DISTINCT provider as name, COUNT(*) as appointment_count
       FROM appointments
       WHERE provider IS NOT NULL AND provider != ''
@@ -259,14 +254,20 @@ class ProviderService {
    * Get status display with context
    * @private
    */
-  _getStatusDisplay(status, minutesUntil, duration) {
-    if (status === 'cancelled') return 'Cancelled';
-    if (status === 'completed') return 'Completed';
-    
-    if (minutesUntil < -duration) {
-      return 'Past';
-    } else if (minutesUntil < 0) {
-      return 'In Session';
+  _getStatusDisplay(status, minutesUntil) {
+    const labels = {
+      checked_in: 'Checked In',
+      in_session: 'In Session',
+      completed: 'Completed',
+      no_show: 'No Show',
+      cancelled: 'Cancelled',
+      late_cancel: 'Late Cancel'
+    };
+    if (labels[status]) return labels[status];
+
+    // Not arrived yet
+    if (minutesUntil < 0) {
+      return 'Late';
     } else if (minutesUntil <= 15) {
       return 'Starting Soon';
     } else {
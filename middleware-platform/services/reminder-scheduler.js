@@ -1,11 +1,33 @@
 /**
  * REMINDER SCHEDULER
- * Sends appointment reminders 1 hour before appointments
- * Runs every 5 minutes to check for upcoming appointments
+ * Sends appointment reminders on a configurable cadence (by default email 3 days before,
+ * SMS the day before and SMS an hour before). Runs every 5 minutes.
+ *
+ * - Reminder rules set a channel (email or sms) and how long before the start to send.
+ *   Rules for an appointment type replace the global rules for that type.
+ * - Patients can limit which channels they get reminders on. Reminders on those channels, or that they
+ *   have not consented to (see CommunicationPreferencesService), are skipped; texts due in their quiet
+ *   hours are held by the outbox.
+ * - Every attempt (sent, queued, failed or skipped, with the reason) is recorded in reminder_attempts,
+ *   so each rule fires once per appointment time. Reminders go through the notification outbox,
+ *   which retries them while the provider is down; sends that fail outright are retried here.
+ * - Reminders are written in the patient's preferred language (see TemplateService).
  */
 
+const { v4: uuidv4 } = require('uuid');
 const db = require('../database');
 const EmailService = require('./email-service');
+const SMSService = require('./sms-service');
+const SchedulingConfigService = require('./scheduling-config-service');
+const CommunicationPreferencesService = require('./communication-preferences-service');
+const TemplateService = require('./template-service');
+
+const CHANNELS = ['email', 'sms'];
+const CHECK_MINUTES = 5;
+// Failed sends are retried on the next checks until this many attempts
+const MAX_ATTEMPTS = 3;
+// Longest lead time a rule can have (30 days)
+const MAX_OFFSET_MINUTES = 30 * 24 * 60;
 
 class ReminderScheduler {
   static intervalId = null;
@@ -30,9 +52,9 @@ class ReminderScheduler {
     // Then check every 5 minutes
     this.intervalId = setInterval(() => {
       this.checkAndSendReminders();
-    }, 5 * 60 * 1000); // 5 minutes
+    }, CHECK_MINUTES * 60 * 1000);
 
-    console.log('✅ Reminder scheduler started (checks every 5 minutes)');
+    console.log(`✅ Reminder scheduler started (checks every ${CHECK_MINUTES} minutes)`);
   }
 
   /**
@@ -48,89 +70,375 @@ class ReminderScheduler {
   }
 
   /**
-   * Check for appointments needing reminders and send them
+   * Send every reminder that is due
+   * When several reminders for an appointment are due at once (booked late, rescheduled or the
+   * server was down) only the latest one is sent; the earlier ones are skipped as superseded.
+   * @returns {Object} - { sent, queued, failed, skipped } counts
    */
-  static async checkAndSendReminders() {
+  static async checkAndSendReminders(now = new Date()) {
+    const counts = { sent: 0, queued: 0, failed: 0, skipped: 0 };
+
     try {
-      const now = new Date();
       console.log(`\n⏰ Reminder Scheduler Check: ${now.toISOString()}`);
 
-      // Get all upcoming appointments in the next hour
-      const allAppointments = db.getAllAppointments({});
-      console.log(`📋 Total appointments in database: ${allAppointments.length}`);
+      const rules = db.getReminderRules();
+      if (rules.length === 0) {
+        console.log('   ℹ️  No active reminder rules');
+        return counts;
+      }
 
-      const appointmentsNeedingReminders = allAppointments.filter(appt => {
-        // Must be scheduled or confirmed
-        if (!appt.status || !['scheduled', 'confirmed'].includes(appt.status)) {
-          return false;
-        }
+      const maxOffset = Math.max(...rules.map(rule => rule.offset_minutes));
+      const appointments = db.getAppointmentsStartingBetween(
+        now.toISOString(),
+        new Date(now.getTime() + maxOffset * 60 * 1000).toISOString()
+      );
 
-        // Must have email
-        if (!appt.patient_email) {
-          return false;
-        }
+      for (const appointment of appointments) {
+        const due = this._dueRules(appointment, this._rulesForType(rules, appointment.appointment_type), now);
+        if (due.length === 0) continue;
 
-        // Must not have reminder sent already
-        if (appt.reminder_sent) {
-          return false;
+        // Latest reminder last; everything before it is superseded
+        const [latest, ...earlier] = due;
+        for (const rule of earlier) {
+          this._recordAttempt(appointment, rule, { status: 'skipped', error: 'Superseded by a later reminder' });
+          counts.skipped++;
         }
 
-        // Must have start_time
-        if (!appt.start_time) {
-          return false;
-        }
+        const result = await this._sendReminder(appointment, latest, now);
+        counts[result]++;
+      }
 
-        const startTime = new Date(appt.start_time);
-        const timeUntil = startTime.getTime() - now.getTime();
-        const minutesUntil = Math.floor(timeUntil / (60 * 1000));
+      console.log(`📧 Reminder Check: ${counts.sent} sent, ${counts.queued} queued, ${counts.failed} failed, ${counts.skipped} skipped`);
+    } catch (error) {
+      console.error('❌ Error in reminder scheduler:', error);
+    }
 
-        // Check if appointment is between 55 minutes and 65 minutes away
-        // (5-minute window to account for scheduler timing)
-        const needsReminder = timeUntil >= 55 * 60 * 1000 && timeUntil <= 65 * 60 * 1000;
+    return counts;
+  }
 
-        if (needsReminder) {
-          console.log(`   📅 Found: ${appt.patient_name} - ${appt.date} at ${appt.time} (${minutesUntil} minutes away)`);
-        }
+  /**
+   * Manually trigger reminder check (for testing)
+   */
+  static async manualCheck() {
+    console.log('🔍 Manual reminder check triggered');
+    return await this.checkAndSendReminders();
+  }
 
-        return needsReminder;
-      });
+  // ==================== RULES ====================
 
-      console.log(`📧 Reminder Check: Found ${appointmentsNeedingReminders.length} appointments needing reminders`);
-
-      for (const appt of appointmentsNeedingReminders) {
-        try {
-          console.log(`📧 Sending reminder for appointment ${appt.id} (${appt.patient_name})`);
-          const result = await EmailService.sendAppointmentReminder(appt);
-
-          if (result.success) {
-            // Mark reminder as sent
-            db.markReminderSent(appt.id);
-            console.log(`✅ Reminder sent to ${appt.patient_email} for appointment on ${appt.date} at ${appt.time}`);
-          } else {
-            console.error(`❌ Failed to send reminder to ${appt.patient_email}: ${result.error}`);
-          }
-        } catch (error) {
-          console.error(`❌ Error sending reminder for ${appt.id}:`, error.message);
-        }
+  /**
+   * Reminder rules, global first, then per appointment type
+   */
+  static getRules(includeInactive = false) {
+    return db.getReminderRules(includeInactive).map(rule => this._formatRule(rule));
+  }
+
+  static getRule(id) {
+    const rule = db.getReminderRule(id);
+    return rule ? this._formatRule(rule) : null;
+  }
+
+  /**
+   * Rules that apply to an appointment type: its own active rules, otherwise the global ones
+   */
+  static getRulesFor(appointmentType) {
+    return this._rulesForType(db.getReminderRules(), appointmentType).map(rule => this._formatRule(rule));
+  }
+
+  /**
+   * Add a reminder rule
+   * @param {Object} data - { channel, offset_minutes, appointment_type? (omit for all types), is_active? }
+   */
+  static createRule(data) {
+    const rule = this._validateRule(data, true);
+    this._checkDuplicate(rule);
+
+    const id = `rrule-${uuidv4()}`;
+    db.createReminderRule({ ...rule, id, is_active: data.is_active });
+    console.log(`✅ Reminder rule created: ${rule.channel} ${rule.offset_minutes} minutes before (${rule.appointment_type || 'all types'})`);
+    return this.getRule(id);
+  }
+
+  /**
+   * Change a reminder rule
+   */
+  static updateRule(id, updates) {
+    const existing = db.getReminderRule(id);
+    if (!existing) {
+      throw new Error('Reminder rule not found');
+    }
+
+    const changes = this._validateRule(updates, false);
+    this._checkDuplicate({ ...existing, ...changes }, id);
+
+    if (updates.is_active !== undefined) {
+      changes.is_active = Boolean(updates.is_active);
+    }
+    db.updateReminderRule(id, changes);
+    return this.getRule(id);
+  }
+
+  /**
+   * Remove a reminder rule (attempts already made keep their channel and lead time)
+   */
+  static deleteRule(id) {
+    if (!db.getReminderRule(id)) {
+      throw new Error('Reminder rule not found');
+    }
+    db.deleteReminderRule(id);
+    return true;
+  }
+
+  // ==================== ATTEMPTS ====================
+
+  /**
+   * Every reminder attempt for an appointment, oldest first
+   * @returns {Array|null} - null when the appointment does not exist
+   */
+  static getAttempts(appointmentId) {
+    const appointment = db.getAppointment(appointmentId);
+    if (!appointment) return null;
+    return db.getReminderAttempts(appointment.id);
+  }
+
+  /**
+   * Recent attempts across all appointments, newest first
+   * @param {Object} filters - { status?, channel?, limit? }
+   */
+  static getRecentAttempts(filters = {}) {
+    return db.getRecentReminderAttempts({
+      status: filters.status,
+      channel: filters.channel,
+      limit: Math.min(parseInt(filters.limit, 10) || 100, 500)
+    });
+  }
+
+  // ==================== PATIENT PREFERENCES ====================
+
+  /**
+   * Channels a patient gets reminders on (all channels unless they chose otherwise).
+   * Kept with the rest of their communication preferences (see CommunicationPreferencesService).
+   */
+  static getPatientPreferences(phone) {
+    const preferences = CommunicationPreferencesService.getPreferences(phone);
+    return {
+      patient_phone: preferences.patient_phone,
+      channels: preferences.reminder_channels,
+      is_default: CHANNELS.every(channel => preferences.reminder_channels.includes(channel)),
+      updated_at: preferences.updated_at
+    };
+  }
+
+  /**
+   * Set the channels a patient gets reminders on (an empty list turns reminders off)
+   * @param {String} phone
+   * @param {Array<String>} channels - Subset of email, sms
+   */
+  static setPatientPreferences(phone, channels) {
+    if (!Array.isArray(channels)) {
+      throw new Error(`Validation failed: channels must be a list of ${CHANNELS.join(', ')}`);
+    }
+    CommunicationPreferencesService.updatePreferences(phone, { reminder_channels: channels });
+    return this.getPatientPreferences(phone);
+  }
+
+  /**
+   * Go back to reminders on every channel
+   */
+  static resetPatientPreferences(phone) {
+    CommunicationPreferencesService.updatePreferences(phone, { reminder_channels: null });
+    return this.getPatientPreferences(phone);
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  /**
+   * Rules due for an appointment and not yet handled, latest (shortest lead time) first.
+   * Rules due before the appointment was booked, without a recipient or that the patient's preferences
+   * rule out (a channel turned off, consent revoked, STOP) are recorded as skipped and not returned.
+   */
+  static _dueRules(appointment, rules, now) {
+    const start = new Date(appointment.start_time);
+    const attempts = db.getReminderAttempts(appointment.id)
+      .filter(attempt => attempt.start_time === appointment.start_time);
+    const bookedAt = this._parseTimestamp(appointment.created_at);
+
+    const due = [];
+    for (const rule of rules) {
+      const sendAt = new Date(start.getTime() - rule.offset_minutes * 60 * 1000);
+      if (sendAt > now) continue;
+
+      const ruleAttempts = attempts.filter(attempt => attempt.rule_id === rule.id);
+      if (ruleAttempts.some(attempt => attempt.status !== 'failed') || ruleAttempts.length >= MAX_ATTEMPTS) {
+        continue;
       }
 
-      if (appointmentsNeedingReminders.length === 0) {
-        console.log('   ℹ️  No appointments needing reminders at this time');
+      let skipReason = null;
+      if (ruleAttempts.length === 0 && bookedAt && sendAt < bookedAt) {
+        skipReason = 'Booked after the reminder time';
+      } else if (!this._recipient(appointment, rule.channel)) {
+        skipReason = rule.channel === 'email' ? 'No email address' : 'No phone number';
+      } else if (appointment.patient_phone) {
+        skipReason = CommunicationPreferencesService.checkSend({
+          channel: rule.channel,
+          patient_phone: appointment.patient_phone,
+          category: 'appointment_reminder'
+        }, now).reason || null;
       }
 
-    } catch (error) {
-      console.error('❌ Error in reminder scheduler:', error);
+      if (skipReason) {
+        this._recordAttempt(appointment, rule, { status: 'skipped', error: skipReason });
+        continue;
+      }
+      due.push(rule);
     }
+
+    return due.sort((a, b) => a.offset_minutes - b.offset_minutes);
   }
 
   /**
-   * Manually trigger reminder check (for testing)
+   * Send one reminder and record the attempt
+   * A reminder the notification outbox could not send yet is recorded as queued; the outbox retries it.
+   * @returns {String} - 'sent' | 'queued' | 'failed' | 'skipped' (blocked by the outbox)
    */
-  static async manualCheck() {
-    console.log('🔍 Manual reminder check triggered');
-    await this.checkAndSendReminders();
+  static async _sendReminder(appointment, rule, now) {
+    const leadMinutes = Math.round((new Date(appointment.start_time) - now) / (60 * 1000));
+    let result;
+    try {
+      console.log(`📧 Sending ${rule.channel} reminder for appointment ${appointment.id} (${appointment.patient_name}, ${TemplateService.describeLeadTime(leadMinutes)})`);
+      result = rule.channel === 'email'
+        ? await EmailService.sendAppointmentReminder(appointment, leadMinutes)
+        : await SMSService.sendAppointmentReminder(appointment, leadMinutes);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      this._recordAttempt(appointment, rule, {
+        status: 'sent',
+        provider_message_id: result.message_id || result.message_sid || null,
+        notification_id: result.notification_id
+      });
+      console.log(`✅ Reminder sent to ${this._recipient(appointment, rule.channel)} for appointment on ${appointment.date} at ${appointment.time}`);
+      return 'sent';
+    }
+
+    if (result.blocked) {
+      this._recordAttempt(appointment, rule, {
+        status: 'skipped',
+        error: result.error,
+        notification_id: result.notification_id
+      });
+      return 'skipped';
+    }
+
+    if (result.queued) {
+      this._recordAttempt(appointment, rule, {
+        status: 'queued',
+        error: result.error,
+        notification_id: result.notification_id
+      });
+      console.warn(`⚠️  ${rule.channel} reminder for ${appointment.id} queued for retry: ${result.error}`);
+      return 'queued';
+    }
+
+    this._recordAttempt(appointment, rule, {
+      status: 'failed',
+      error: result.error || 'Send failed',
+      notification_id: result.notification_id
+    });
+    console.error(`❌ Failed to send ${rule.channel} reminder for ${appointment.id}: ${result.error}`);
+    return 'failed';
+  }
+
+  static _recordAttempt(appointment, rule, outcome) {
+    db.createReminderAttempt({
+      appointment_id: appointment.id,
+      rule_id: rule.id,
+      channel: rule.channel,
+      offset_minutes: rule.offset_minutes,
+      start_time: appointment.start_time,
+      recipient: this._recipient(appointment, rule.channel),
+      ...outcome
+    });
+  }
+
+  static _rulesForType(rules, appointmentType) {
+    const typeRules = rules.filter(rule => rule.appointment_type && rule.appointment_type === appointmentType);
+    return typeRules.length > 0 ? typeRules : rules.filter(rule => !rule.appointment_type);
+  }
+
+  static _recipient(appointment, channel) {
+    return (channel === 'email' ? appointment.patient_email : appointment.patient_phone) || null;
+  }
+
+  static _validateRule(data, isCreate) {
+    const errors = [];
+    const rule = {};
+
+    if (isCreate || data.channel !== undefined) {
+      if (!CHANNELS.includes(data.channel)) {
+        errors.push(`channel must be one of ${CHANNELS.join(', ')}`);
+      }
+      rule.channel = data.channel;
+    }
+
+    if (isCreate || data.offset_minutes !== undefined) {
+      const offset = Number(data.offset_minutes);
+      if (!Number.isInteger(offset) || offset < 1 || offset > MAX_OFFSET_MINUTES) {
+        errors.push(`offset_minutes must be a whole number between 1 and ${MAX_OFFSET_MINUTES}`);
+      }
+      rule.offset_minutes = offset;
+    }
+
+    if (data.appointment_type !== undefined) {
+      if (data.appointment_type) {
+        const type = SchedulingConfigService.getAppointmentType(data.appointment_type);
+        if (!type) {
+          errors.push(`Unknown appointment type: ${data.appointment_type}`);
+        }
+        rule.appointment_type = type ? type.name : null;
+      } else {
+        rule.appointment_type = null;
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join(', ')}`);
+    }
+    return rule;
+  }
+
+  static _checkDuplicate(rule, excludeId = null) {
+    const duplicate = db.getReminderRules(true).find(existing =>
+      existing.id !== excludeId &&
+      (existing.appointment_type || null) === (rule.appointment_type || null) &&
+      existing.channel === rule.channel &&
+      existing.offset_minutes === rule.offset_minutes
+    );
+    if (duplicate) {
+      throw new Error(`A ${rule.channel} reminder ${rule.offset_minutes} minutes before already exists for ${rule.appointment_type || 'all types'}`);
+    }
+  }
+
+  // created_at is an ISO string from booking or a SQLite UTC timestamp ("2024-01-15 14:00:00")
+  static _parseTimestamp(value) {
+    if (!value) return null;
+    const date = new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  static _formatRule(rule) {
+    return {
+      id: rule.id,
+      appointment_type: rule.appointment_type || null,
+      channel: rule.channel,
+      offset_minutes: rule.offset_minutes,
+      is_active: Boolean(rule.is_active),
+      created_at: rule.created_at,
+      updated_at: rule.updated_at
+    };
   }
 }
 
 module.exports = ReminderScheduler;
-
@@ -0,0 +1,93 @@
+/**
+ * Remittance Codes
+ *
+ * Code lists used to read 835 remittance advice: claim status (CLP02), adjustment group
+ * codes (CAS01), Claim Adjustment Reason Codes (CARC, CAS02) and Remittance Advice Remark
+ * Codes (RARC, MOA/LQ). Only the codes behavioral health practices commonly see are
+ * described; any other code is kept as-is and shown without a description.
+ */
+
+// CLP02: what the payer did with the claim
+const CLAIM_STATUS_CODES = {
+  '1': 'Processed as primary',
+  '2': 'Processed as secondary',
+  '3': 'Processed as tertiary',
+  '4': 'Denied',
+  '19': 'Processed as primary, forwarded to additional payer(s)',
+  '20': 'Processed as secondary, forwarded to additional payer(s)',
+  '21': 'Processed as tertiary, forwarded to additional payer(s)',
+  '22': 'Reversal of previous payment',
+  '23': 'Not our claim, forwarded to additional payer(s)'
+};
+
+// CAS01: who the adjustment is assigned to
+const GROUP_CODES = {
+  CO: 'Contractual obligation',
+  PR: 'Patient responsibility',
+  OA: 'Other adjustment',
+  PI: 'Payer initiated reduction',
+  CR: 'Correction and reversal'
+};
+
+// CAS02: why the amount was adjusted
+const CARC_CODES = {
+  '1': 'Deductible amount',
+  '2': 'Coinsurance amount',
+  '3': 'Co-payment amount',
+  '4': 'Procedure code is inconsistent with the modifier used',
+  '5': 'Procedure code/type of bill is inconsistent with the place of service',
+  '11': 'Diagnosis is inconsistent with the procedure',
+  '16': 'Claim/service lacks information or has submission/billing error(s)',
+  '18': 'Exact duplicate claim/service',
+  '22': 'This care may be covered by another payer per coordination of benefits',
+  '23': 'Impact of prior payer(s) adjudication including payments and/or adjustments',
+  '26': 'Expenses incurred prior to coverage',
+  '27': 'Expenses incurred after coverage terminated',
+  '29': 'The time limit for filing has expired',
+  '31': 'Patient cannot be identified as our insured',
+  '45': 'Charge exceeds fee schedule/maximum allowable or contracted/legislated fee arrangement',
+  '50': 'These are non-covered services because this is not deemed a medical necessity',
+  '96': 'Non-covered charge(s)',
+  '97': 'The benefit for this service is included in the payment/allowance for another service',
+  '109': 'Claim/service not covered by this payer/contractor',
+  '119': 'Benefit maximum for this time period or occurrence has been reached',
+  '151': 'Payment adjusted because the payer deems the information submitted does not support this many/frequency of services',
+  '167': 'This (these) diagnosis(es) is (are) not covered',
+  '170': 'Payment is denied when performed/billed by this type of provider',
+  '185': 'The rendering provider is not eligible to perform the service billed',
+  '197': 'Precertification/authorization/notification/pre-treatment absent',
+  '198': 'Precertification/notification/authorization/pre-treatment exceeded',
+  '204': "This service/equipment/drug is not covered under the patient's current benefit plan",
+  '242': 'Services not provided by network/primary care providers',
+  '253': 'Sequestration - reduction in federal payment'
+};
+
+// MOA/LQ*HE: remark codes that explain an adjustment
+const RARC_CODES = {
+  M15: 'Separately billed services/tests have been bundled as they are considered components of the same procedure',
+  M20: 'Missing/incomplete/invalid HCPCS',
+  M51: 'Missing/incomplete/invalid procedure code(s)',
+  M76: 'Missing/incomplete/invalid diagnosis or condition',
+  M80: 'Not covered when performed during the same session/date as a previously processed service for the patient',
+  MA01: 'Alert: If you do not agree with what we approved for these services, you may appeal our decision',
+  MA04: 'Secondary payment cannot be considered without the identity of or payment information from the primary payer',
+  MA130: 'Your claim contains incomplete and/or invalid information, and no appeal rights are afforded',
+  N20: 'Service not payable with other service rendered on the same date',
+  N30: 'Patient ineligible for this service',
+  N95: 'This provider type/provider specialty may not bill this service',
+  N130: 'Consult plan benefit documents/guidelines for information about restrictions for this service',
+  N290: 'Missing/incomplete/invalid rendering provider primary identifier',
+  N362: 'The number of Days or Units of Service exceeds our acceptable maximum',
+  N381: 'Consult our contractual agreement for restrictions/billing/payment information related to these charges'
+};
+
+// Patient responsibility (PR) reasons that have their own EOB column
+const PATIENT_RESPONSIBILITY_REASONS = { '1': 'deductible', '2': 'coinsurance', '3': 'copay' };
+
+module.exports = {
+  CLAIM_STATUS_CODES,
+  GROUP_CODES,
+  CARC_CODES,
+  RARC_CODES,
+  PATIENT_RESPONSIBILITY_REASONS
+};
@@ -0,0 +1,730 @@
+/**
+ * Remittance Service
+ *
+ * Reads X12 835 remittance advice (ERA) and posts the payer's actual numbers to our claims:
+ * - CLP (claim), SVC (service line) and CAS (adjustment) segments, with CARC/RARC codes
+ * - Each remitted claim is matched to insurance_claims by its patient control number (CLP01,
+ *   the CLM01 we sent in the 837P) and each SVC to the claim's service line by procedure code
+ * - Matched claims record paid, allowed, contractual adjustment and patient responsibility,
+ *   and their stored EOB is replaced with the payer's breakdown
+ * - Remits that match no claim, or fail to post to the one they match, wait in a reconciliation
+ *   queue until staff match or dismiss them
+ * - Denied claims and refused lines open denials for the work queue (see denial-service.js)
+ * - A balance left for the patient's next plan is billed to it (see coordination-of-benefits-service.js)
+ * - Lines the payer allowed less than its contracted rate for are flagged as underpaid
+ *   (see fee-schedule-service.js)
+ *
+ * A payer never reuses a check/EFT trace number (TRN02), so the same payment can't be posted twice.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const ClaimEDIService = require('./claim-edi-service');
+const ClaimLifecycleService = require('./claim-lifecycle-service');
+const DenialService = require('./denial-service');
+const CoordinationOfBenefitsService = require('./coordination-of-benefits-service');
+const FeeScheduleService = require('./fee-schedule-service');
+const X12 = require('./x12');
+const {
+  CLAIM_STATUS_CODES,
+  GROUP_CODES,
+  CARC_CODES,
+  RARC_CODES,
+  PATIENT_RESPONSIBILITY_REASONS
+} = require('./remittance-codes');
+
+// CLP02 codes that mean the payer did not adjudicate the claim for payment
+const DENIED_STATUS_CODES = ['4', '23'];
+const REVERSAL_STATUS_CODE = '22';
+
+class RemittanceService {
+  /**
+   * Import an 835 file and post every claim payment that matches a claim
+   * A payment that fails to post is left in the reconciliation queue with the error as its note,
+   * so one bad claim doesn't strand the rest of a file that can't be imported again.
+   * @param {String} content - X12 835 content
+   * @param {Object} options - { file_name?, actor? }
+   * @returns {Object} - { files, posted, unmatched, failed }
+   */
+  static importERA(content, options = {}) {
+    const remittances = this.parse835(content);
+
+    for (const remittance of remittances) {
+      if (db.getEraFileByCheck(remittance.payer.id || null, remittance.payment.check_number)) {
+        throw new Error(`Remittance already imported: check/EFT ${remittance.payment.check_number} from ${remittance.payer.name || remittance.payer.id}`);
+      }
+    }
+
+    const files = [];
+    let posted = 0;
+    let unmatched = 0;
+    let failed = 0;
+
+    for (const remittance of remittances) {
+      const eraFileId = `era-${uuidv4()}`;
+      const claimPayments = remittance.claims.map(claim => ({
+        id: `erapay-${uuidv4()}`,
+        ...this._summarize(claim),
+        services: claim.services.map(service => ({ id: `erasvc-${uuidv4()}`, ...service }))
+      }));
+
+      db.createEraFile({
+        id: eraFileId,
+        file_name: options.file_name || null,
+        interchange_control_number: remittance.interchange_control_number,
+        payer_id: remittance.payer.id || null,
+        payer_name: remittance.payer.name || null,
+        payee_name: remittance.payee.name || null,
+        payee_npi: remittance.payee.npi || null,
+        check_number: remittance.payment.check_number,
+        payment_method: remittance.payment.method,
+        payment_amount: remittance.payment.amount,
+        payment_date: remittance.payment.date,
+        content: String(content),
+        received_by: options.actor || null
+      }, claimPayments);
+
+      for (const payment of claimPayments) {
+        const claim = this._findClaim(payment.patient_control_number);
+        if (!claim) {
+          console.warn(`⚠️  835: no claim for patient control number ${payment.patient_control_number}, queued for reconciliation`);
+          unmatched++;
+          continue;
+        }
+        try {
+          this._post(this.getClaimPayment(payment.id), claim, { actor: options.actor });
+          posted++;
+        } catch (error) {
+          // _post is all or nothing, so the remit is still unmatched
+          console.error(`❌ 835: could not post to claim ${claim.id}, queued for reconciliation:`, error.message);
+          db.updateEraClaimPayment(payment.id, { resolution_note: `Not posted to claim ${claim.id}: ${error.message}` });
+          unmatched++;
+          failed++;
+        }
+      }
+
+      console.log(`📥 835 check/EFT ${remittance.payment.check_number} from ${remittance.payer.name || remittance.payer.id}: $${remittance.payment.amount} (${claimPayments.length} claim(s))`);
+      files.push(this.getFile(eraFileId));
+    }
+
+    return { files, posted, unmatched, failed };
+  }
+
+  /**
+   * Read an 835 into one remittance per transaction set (ST/SE), i.e. per payment
+   * Delimiters are taken from the ISA segment. Throws when the file is not a balanced 835.
+   * @param {String} content - X12 835 content
+   * @returns {Array} - [{ interchange_control_number, payer, payee, payment, claims, provider_adjustments }]
+   */
+  static parse835(content) {
+    const { segments, componentSeparator, interchangeControlNumber } = X12.tokenize(content, '835');
+    const remittances = [];
+    let remittance = null;
+    let claim = null;
+    let service = null;
+    let loop = null;
+
+    for (const [id, ...el] of segments) {
+      if (!remittance && !['ISA', 'GS', 'ST', 'GE', 'IEA'].includes(id)) {
+        throw new Error(`Invalid 835: ${id} segment outside a transaction set`);
+      }
+      switch (id) {
+        case 'GS':
+          if (el[0] !== 'HP') {
+            throw new Error(`Invalid 835: functional group ${el[0]} is not a health care claim payment (HP)`);
+          }
+          break;
+        case 'ST':
+          if (el[0] !== '835') {
+            throw new Error(`Invalid 835: transaction set ${el[0]} is not an 835`);
+          }
+          remittance = {
+            interchange_control_number: interchangeControlNumber,
+            payer: {},
+            payee: {},
+            payment: {},
+            claims: [],
+            provider_adjustments: []
+          };
+          remittances.push(remittance);
+          claim = null;
+          service = null;
+          loop = 'header';
+          break;
+        case 'BPR':
+          remittance.payment.amount = this._number(el[1]);
+          remittance.payment.method = el[3] || null;
+          remittance.payment.date = X12.isoDate(el[15]);
+          break;
+        case 'TRN':
+          remittance.payment.check_number = el[1];
+          remittance.payment.originator_id = el[2] || null;
+          break;
+        case 'N1':
+          if (el[0] === 'PR') {
+            loop = 'payer';
+            remittance.payer.name = el[1] || null;
+            if (el[3]) remittance.payer.id = el[3];
+          } else if (el[0] === 'PE') {
+            loop = 'payee';
+            remittance.payee.name = el[1] || null;
+            if (el[2] === 'XX') remittance.payee.npi = el[3];
+          }
+          break;
+        case 'REF':
+          if (loop === 'payer' && el[0] === '2U' && !remittance.payer.id) {
+            remittance.payer.id = el[1];
+          }
+          break;
+        case 'CLP':
+          loop = 'claim';
+          service = null;
+          claim = {
+            patient_control_number: el[0],
+            claim_status_code: el[1],
+            total_charge: this._number(el[2]),
+            paid_amount: this._number(el[3]),
+            patient_responsibility: el[4] ? this._number(el[4]) : null,
+            payer_claim_control_number: el[6] || null,
+            patient_name: null,
+            member_id: null,
+            service_date: null,
+            adjustments: [],
+            remark_codes: [],
+            services: []
+          };
+          remittance.claims.push(claim);
+          break;
+        case 'CAS':
+          if (service || claim) {
+            (service || claim).adjustments.push(...this._adjustments(el));
+          }
+          break;
+        case 'NM1':
+          if (claim && !service && el[0] === 'QC') {
+            claim.patient_name = [el[3], el[4], el[2]].filter(Boolean).join(' ') || null;
+            claim.member_id = claim.member_id || el[8] || null;
+          } else if (claim && !service && el[0] === 'IL' && el[8]) {
+            claim.member_id = el[8];
+          }
+          break;
+        case 'MOA':
+          if (claim) {
+            claim.remark_codes.push(...el.slice(2, 7).filter(Boolean));
+          }
+          break;
+        case 'DTM':
+          if (service && ['472', '150'].includes(el[0])) {
+            service.service_date = X12.isoDate(el[1]);
+          } else if (claim && !service && el[0] === '232') {
+            claim.service_date = X12.isoDate(el[1]);
+          }
+          break;
+        case 'SVC': {
+          if (!claim) break;
+          const procedure = el[0].split(componentSeparator);
+          service = {
+            procedure_code: procedure[1],
+            modifiers: procedure.slice(2).filter(Boolean),
+            charge: this._number(el[1]),
+            paid_amount: this._number(el[2]),
+            units: el[4] ? this._number(el[4]) : 1,
+            allowed_amount: null,
+            service_date: null,
+            adjustments: [],
+            remark_codes: []
+          };
+          claim.services.push(service);
+          break;
+        }
+        case 'AMT':
+          if (service && el[0] === 'B6') {
+            service.allowed_amount = this._number(el[1]);
+          }
+          break;
+        case 'LQ':
+          if (service && el[0] === 'HE') {
+            service.remark_codes.push(el[1]);
+          }
+          break;
+        case 'PLB':
+          // Provider-level adjustments come in pairs of reason:reference and amount
+          for (let i = 2; i < el.length; i += 2) {
+            const [reason, reference] = el[i].split(componentSeparator);
+            remittance.provider_adjustments.push({ reason, reference: reference || null, amount: this._number(el[i + 1]) });
+          }
+          break;
+        case 'SE':
+          loop = null;
+          claim = null;
+          service = null;
+          break;
+        default:
+          break;
+      }
+    }
+
+    if (remittances.length === 0) {
+      throw new Error('Invalid 835: no 835 transaction sets found');
+    }
+    remittances.forEach(r => this._checkBalance(r));
+    return remittances;
+  }
+
+  /**
+   * A file with its claim payments
+   */
+  static getFile(id) {
+    const file = db.getEraFile(id);
+    if (!file) return null;
+    return {
+      ...file,
+      claim_payments: db.getEraClaimPayments({ era_file_id: id }).map(payment => this._hydrate(payment))
+    };
+  }
+
+  /**
+   * Received files, newest first (without content)
+   */
+  static listFiles(filters = {}) {
+    return db.getEraFiles({ limit: Math.min(parseInt(filters.limit, 10) || 100, 500) });
+  }
+
+  /**
+   * A claim payment with its service lines and code descriptions
+   */
+  static getClaimPayment(id) {
+    const payment = db.getEraClaimPayment(id);
+    return payment ? this._hydrate(payment) : null;
+  }
+
+  /**
+   * Remits posted to a claim, oldest first
+   */
+  static getClaimPayments(claimId) {
+    return db.getEraClaimPayments({ claim_id: claimId }).map(payment => this._hydrate(payment));
+  }
+
+  /**
+   * Remits that matched no claim, with the payment they came in
+   */
+  static getReconciliationQueue() {
+    return db.getEraClaimPayments({ status: 'unmatched' }).map(payment => {
+      const file = db.getEraFile(payment.era_file_id);
+      return {
+        ...this._hydrate(payment),
+        payer_id: file.payer_id,
+        payer_name: file.payer_name,
+        check_number: file.check_number,
+        payment_date: file.payment_date
+      };
+    });
+  }
+
+  /**
+   * Post an unmatched remit to the claim staff picked
+   * @param {String} paymentId - era_claim_payments id
+   * @param {String} claimId - insurance_claims id
+   * @param {String} actor - Who matched it
+   */
+  static matchClaimPayment(paymentId, claimId, actor = 'staff') {
+    const payment = this._unmatched(paymentId);
+    const claim = db.getInsuranceClaim(claimId);
+    if (!claim) {
+      throw new Error(`Claim not found: ${claimId}`);
+    }
+    this._post(payment, claim, { resolved_by: actor });
+    return this.getClaimPayment(paymentId);
+  }
+
+  /**
+   * Take a remit out of the reconciliation queue without posting it (e.g. a claim billed elsewhere)
+   * @param {Object} options - { actor, note }
+   */
+  static dismissClaimPayment(paymentId, options = {}) {
+    this._unmatched(paymentId);
+    if (!options.note || !String(options.note).trim()) {
+      throw new Error('A note is required to dismiss a remittance');
+    }
+    db.updateEraClaimPayment(paymentId, {
+      status: 'dismissed',
+      resolved_by: options.actor || 'staff',
+      resolution_note: String(options.note).trim()
+    });
+    console.log(`🗑️  835 remit ${paymentId} dismissed by ${options.actor || 'staff'}`);
+    return this.getClaimPayment(paymentId);
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  /**
+   * Write the payer's numbers to the claim and mark the remit posted (all or nothing)
+   * The claim moves to the status the 835 reports (see _claimStatus), recorded with source 835.
+   * Lines with a contracted rate get what the contract allows and any shortfall (see FeeScheduleService.compareRemit).
+   * @param {Object} options - { actor?, resolved_by? (staff who matched it from the queue) }
+   */
+  static _post(payment, claim, options = {}) {
+    const contract = FeeScheduleService.compareRemit(payment, claim);
+    db.runExclusive(() => {
+      const lines = this._claimLines(claim);
+      const used = new Set();
+      for (const service of payment.services) {
+        const index = lines.findIndex((line, i) => !used.has(i) && line.procedure_code === service.procedure_code);
+        if (index !== -1) {
+          used.add(index);
+          service.line_number = index + 1;
+          db.setEraServicePaymentLine(service.id, service.line_number);
+        }
+      }
+
+      if (contract) {
+        for (const line of contract.lines) {
+          db.setEraServicePaymentContract(line.service_id, line.contracted_amount, line.underpaid_amount);
+        }
+        db.setEraClaimPaymentContract(payment.id, contract.contracted_amount, contract.underpaid_amount);
+      }
+
+      const now = new Date().toISOString();
+      const details = this._parseJSON(claim.response_data) || {};
+      const era = {
+        era_file_id: payment.era_file_id,
+        claim_payment_id: payment.id,
+        claim_status_code: payment.claim_status_code,
+        claim_status: payment.claim_status,
+        posted_at: now
+      };
+
+      const status = {
+        actor: options.resolved_by || options.actor || 'system',
+        source: '835',
+        payload: {
+          era_file_id: payment.era_file_id,
+          claim_payment_id: payment.id,
+          claim_status_code: payment.claim_status_code,
+          paid_amount: payment.paid_amount,
+          patient_responsibility: payment.patient_responsibility
+        }
+      };
+
+      if (payment.claim_status_code === REVERSAL_STATUS_CODE) {
+        // The payer took back an earlier payment; the claim waits for a new adjudication
+        const { eob, ...rest } = details;
+        ClaimLifecycleService.applyPayerStatus(claim.id, 'pending', {
+          ...status,
+          updates: {
+            payment_status: 'reversed',
+            payment_amount: 0,
+            insurance_amount: 0,
+            allowed_amount: 0,
+            contractual_adjustment: 0,
+            patient_responsibility: 0,
+            response_data: JSON.stringify({ ...rest, approved: false, era })
+          }
+        });
+      } else {
+        const denied = DENIED_STATUS_CODES.includes(payment.claim_status_code);
+        const claimStatus = this._claimStatus(payment);
+        const eob = this._buildEOB(payment, claim);
+        const paidAt = payment.paid_amount > 0 ? now : undefined;
+        ClaimLifecycleService.applyPayerStatus(claim.id, claimStatus, {
+          ...status,
+          updates: {
+            payment_status: denied ? 'denied' : (payment.paid_amount > 0 ? 'paid' : 'patient_responsibility'),
+            payment_amount: payment.paid_amount,
+            insurance_amount: payment.paid_amount,
+            allowed_amount: payment.allowed_amount,
+            contractual_adjustment: payment.contractual_adjustment,
+            patient_responsibility: payment.patient_responsibility,
+            payer_claim_control_number: payment.payer_claim_control_number || undefined,
+            approved_at: denied ? undefined : now,
+            paid_at: paidAt,
+            response_data: JSON.stringify({
+              ...details,
+              eob,
+              era,
+              approved: !denied,
+              allowed_amount: payment.allowed_amount,
+              deductible_applied: eob.totals.deductible,
+              copay_applied: eob.totals.copay,
+              coinsurance_applied: eob.totals.coinsurance,
+              amount_not_covered: eob.totals.amountNotCovered,
+              what_you_owe: eob.totals.whatYouOwe,
+              plan_paid: payment.paid_amount
+            })
+          }
+        });
+        DenialService.recordRemit(claim, payment, claimStatus, { actor: status.actor });
+      }
+
+      db.updateEraClaimPayment(payment.id, {
+        claim_id: claim.id,
+        status: 'posted',
+        posted_at: now,
+        resolved_by: options.resolved_by
+      });
+      db.refreshEraFileMatchedCount(payment.era_file_id);
+    });
+
+    console.log(`✅ 835 posted to claim ${claim.id}: ${payment.claim_status} — paid $${payment.paid_amount}, patient $${payment.patient_responsibility}`);
+    if (contract && contract.underpaid_amount > 0) {
+      console.warn(`💸 Claim ${claim.id} underpaid: ${claim.payer_id} allowed $${contract.underpaid_amount} less than its contracted $${contract.contracted_amount}`);
+    }
+
+    if (payment.claim_status_code !== REVERSAL_STATUS_CODE) {
+      this._billNextPayer(claim.id, options.resolved_by || options.actor || 'system');
+    }
+  }
+
+  /**
+   * Send what the patient still owes to their next plan, once (the 835 is posted either way)
+   */
+  static _billNextPayer(claimId, actor) {
+    if (!CoordinationOfBenefitsService.needsNextPayerClaim(claimId)) return;
+    // Required lazily: insurance-service requires clearinghouse-service, which requires this module
+    const InsuranceService = require('./insurance-service');
+    InsuranceService.submitNextPayerClaim(claimId, { actor })
+      .then(result => {
+        if (!result.success) console.warn(`⚠️  Next payer not billed for claim ${claimId}:`, result.error);
+      })
+      .catch(error => console.warn(`⚠️  Next payer not billed for claim ${claimId}:`, error.message));
+  }
+
+  /**
+   * Claim status for a remit: denied (CLP02 4 or 23), partially_paid when the payer paid
+   * something but refused a service line outright (paid nothing, patient owes nothing), else paid
+   */
+  static _claimStatus(payment) {
+    if (DENIED_STATUS_CODES.includes(payment.claim_status_code)) return 'denied';
+    const refusedLine = payment.services.some(service => service.paid_amount === 0 &&
+      this._sum(service.adjustments.filter(a => a.group === 'PR')) === 0);
+    return payment.paid_amount > 0 && refusedLine ? 'partially_paid' : 'paid';
+  }
+
+  /**
+   * Paid, allowed, contractual adjustment and patient responsibility for a CLP loop
+   */
+  static _summarize(claim) {
+    const adjustments = [...claim.adjustments, ...claim.services.flatMap(service => service.adjustments)];
+    const patientResponsibility = claim.patient_responsibility !== null
+      ? claim.patient_responsibility
+      : this._sum(adjustments.filter(a => a.group === 'PR'));
+    const allowed = claim.services.length > 0 && claim.services.every(service => service.allowed_amount !== null)
+      ? this._round(claim.services.reduce((sum, service) => sum + service.allowed_amount, 0))
+      : this._round(claim.paid_amount + patientResponsibility);
+
+    return {
+      patient_control_number: claim.patient_control_number,
+      claim_status_code: claim.claim_status_code,
+      total_charge: claim.total_charge,
+      paid_amount: claim.paid_amount,
+      allowed_amount: allowed,
+      contractual_adjustment: this._sum(adjustments.filter(a => a.group === 'CO')),
+      patient_responsibility: this._round(patientResponsibility),
+      payer_claim_control_number: claim.payer_claim_control_number,
+      patient_name: claim.patient_name,
+      member_id: claim.member_id,
+      service_date: claim.service_date || (claim.services[0] && claim.services[0].service_date) || null,
+      adjustments: claim.adjustments,
+      remark_codes: claim.remark_codes,
+      status: 'unmatched'
+    };
+  }
+
+  /**
+   * EOB in the shape EOBCalculationService returns, from the payer's numbers
+   * On a secondary or tertiary claim, otherInsurancePaid is what the payers before it paid.
+   */
+  static _buildEOB(payment, claim = {}) {
+    const otherPayers = claim.prior_claim_id
+      ? CoordinationOfBenefitsService.getPriorPayers(claim).filter(prior => prior.adjudication).map(prior => prior.adjudication)
+      : [];
+
+    const lines = payment.services.length > 0
+      ? payment.services
+      : [{
+        procedure_code: null,
+        charge: payment.total_charge,
+        paid_amount: payment.paid_amount,
+        allowed_amount: payment.allowed_amount,
+        service_date: payment.service_date,
+        adjustments: [],
+        remark_codes: []
+      }];
+
+    const lineItems = lines.map(line => {
+      const breakdown = this._patientBreakdown(line.adjustments);
+      const allowed = line.allowed_amount !== null && line.allowed_amount !== undefined
+        ? line.allowed_amount
+        : this._round(line.paid_amount + breakdown.whatYouOwe);
+      return {
+        dateOfService: line.service_date || payment.service_date || '',
+        typeOfService: line.procedure_code || '',
+        cptCode: line.procedure_code || '',
+        lineNumber: line.line_number || null,
+        amountBilled: line.charge,
+        allowedAmount: allowed,
+        planPaid: line.paid_amount,
+        otherInsurancePaid: this._otherInsurancePaid(otherPayers, line),
+        ...breakdown,
+        contractualAdjustment: this._sum(line.adjustments.filter(a => a.group === 'CO')),
+        adjustments: line.adjustments.map(a => this._describeAdjustment(a)),
+        remarkCodes: line.remark_codes.map(code => this._describeRemark(code))
+      };
+    });
+
+    const claimBreakdown = this._patientBreakdown(payment.adjustments);
+    const total = key => this._round(lineItems.reduce((sum, item) => sum + item[key], 0) + (claimBreakdown[key] || 0));
+
+    return {
+      source: '835',
+      lineItems,
+      totals: {
+        amountBilled: payment.total_charge,
+        allowedAmount: payment.allowed_amount,
+        planPaid: payment.paid_amount,
+        otherInsurancePaid: this._round(otherPayers.reduce((sum, other) => sum + other.paid_amount, 0)),
+        copay: total('copay'),
+        coinsurance: total('coinsurance'),
+        deductible: total('deductible'),
+        amountNotCovered: total('amountNotCovered'),
+        contractualAdjustment: payment.contractual_adjustment,
+        whatYouOwe: payment.patient_responsibility
+      },
+      adjustments: payment.adjustments.map(a => this._describeAdjustment(a)),
+      remarkCodes: payment.remark_codes.map(code => this._describeRemark(code))
+    };
+  }
+
+  // What earlier payers paid for a line: their line with the same number or procedure, or their
+  // whole payment when the remit has no lines
+  static _otherInsurancePaid(otherPayers, line) {
+    return this._round(otherPayers.reduce((sum, other) => {
+      if (!line.procedure_code) return sum + other.paid_amount;
+      const match = other.lines.find(l => line.line_number && l.line_number === line.line_number) ||
+        other.lines.find(l => l.procedure_code === line.procedure_code);
+      return sum + (match ? match.paid_amount : 0);
+    }, 0));
+  }
+
+  // Deductible, coinsurance and copay from PR adjustments; any other PR reason is not covered
+  static _patientBreakdown(adjustments) {
+    const breakdown = { copay: 0, coinsurance: 0, deductible: 0, amountNotCovered: 0 };
+    for (const adjustment of adjustments.filter(a => a.group === 'PR')) {
+      const key = PATIENT_RESPONSIBILITY_REASONS[adjustment.reason] || 'amountNotCovered';
+      breakdown[key] = this._round(breakdown[key] + adjustment.amount);
+    }
+    return { ...breakdown, whatYouOwe: this._round(breakdown.copay + breakdown.coinsurance + breakdown.deductible + breakdown.amountNotCovered) };
+  }
+
+  /**
+   * BPR02 must equal the claim payments less provider-level adjustments, and every claim
+   * and service line must balance: charge - adjustments = paid
+   */
+  static _checkBalance(remittance) {
+    if (!remittance.payment.check_number) {
+      throw new Error('Invalid 835: TRN check/EFT trace number is missing');
+    }
+    const claimsPaid = this._round(remittance.claims.reduce((sum, claim) => sum + claim.paid_amount, 0));
+    const providerAdjustments = this._sum(remittance.provider_adjustments);
+    if (this._round(claimsPaid - providerAdjustments) !== this._round(remittance.payment.amount)) {
+      throw new Error(`Invalid 835: payment ${remittance.payment.amount} does not equal claim payments ${claimsPaid} less provider adjustments ${providerAdjustments}`);
+    }
+    for (const claim of remittance.claims) {
+      const adjustments = this._sum([...claim.adjustments, ...claim.services.flatMap(service => service.adjustments)]);
+      const unbalancedLine = claim.services.find(service =>
+        this._round(service.charge - this._sum(service.adjustments)) !== this._round(service.paid_amount));
+      if (unbalancedLine || this._round(claim.total_charge - adjustments) !== this._round(claim.paid_amount)) {
+        throw new Error(`Invalid 835: claim ${claim.patient_control_number} does not balance`);
+      }
+    }
+  }
+
+  // CAS: group, then up to six reason/amount/quantity triples
+  static _adjustments(el) {
+    const adjustments = [];
+    for (let i = 1; i < el.length; i += 3) {
+      if (!el[i]) continue;
+      adjustments.push({
+        group: el[0],
+        reason: el[i],
+        amount: this._number(el[i + 1]),
+        quantity: el[i + 2] ? this._number(el[i + 2]) : null
+      });
+    }
+    return adjustments;
+  }
+
+  static _findClaim(patientControlNumber) {
+    return db.getClaimByPatientControlNumber(patientControlNumber) || db.getInsuranceClaim(patientControlNumber) || null;
+  }
+
+  // The claim's service lines as billed; a claim that can't be read as lines just isn't matched line by line
+  static _claimLines(claim) {
+    try {
+      return ClaimEDIService.loadClaim(claim).lines;
+    } catch (error) {
+      return [];
+    }
+  }
+
+  static _unmatched(paymentId) {
+    const payment = this.getClaimPayment(paymentId);
+    if (!payment) {
+      throw new Error(`Remittance not found: ${paymentId}`);
+    }
+    if (payment.status !== 'unmatched') {
+      throw new Error(`Remittance is already ${payment.status}`);
+    }
+    return payment;
+  }
+
+  static _hydrate(payment) {
+    return {
+      ...payment,
+      claim_status: CLAIM_STATUS_CODES[payment.claim_status_code] || `Status ${payment.claim_status_code}`,
+      adjustments: this._parseJSON(payment.adjustments) || [],
+      remark_codes: this._parseJSON(payment.remark_codes) || [],
+      services: db.getEraServicePayments(payment.id).map(service => ({
+        ...service,
+        modifiers: this._parseJSON(service.modifiers) || [],
+        adjustments: this._parseJSON(service.adjustments) || [],
+        remark_codes: this._parseJSON(service.remark_codes) || []
+      }))
+    };
+  }
+
+  static _describeAdjustment(adjustment) {
+    return {
+      ...adjustment,
+      group_description: GROUP_CODES[adjustment.group] || null,
+      reason_description: CARC_CODES[adjustment.reason] || null
+    };
+  }
+
+  static _describeRemark(code) {
+    return { code, description: RARC_CODES[code] || null };
+  }
+
+  static _sum(items) {
+    return this._round(items.reduce((sum, item) => sum + item.amount, 0));
+  }
+
+  static _number(value) {
+    return Number(value) || 0;
+  }
+
+  static _round(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+  }
+
+  static _parseJSON(value) {
+    if (!value) return null;
+    try {
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = RemittanceService;
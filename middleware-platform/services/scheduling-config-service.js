@@ -0,0 +1,414 @@
+/**
+ * Scheduling Configuration Service
+ *
+ * Appointment types (duration, buffers, group capacity, default CPT code, price and
+ * no-show/late-cancel fees), weekly business hours with breaks, holiday/closure dates and
+ * practice-wide settings (including the attendance policy).
+ * Everything is persisted so the practice can change it without a deploy; booking,
+ * slot search and the dashboards all read from here.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const ProviderScheduleService = require('./provider-schedule-service');
+
+const DEFAULT_APPOINTMENT_TYPE = 'Mental Health Consultation';
+// Used only if the default type has been removed from the database
+const FALLBACK_TYPE = {
+  name: DEFAULT_APPOINTMENT_TYPE,
+  duration_minutes: 50,
+  buffer_before_minutes: 10,
+  buffer_after_minutes: 10,
+  capacity: 1,
+  is_active: true
+};
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Whole-number attendance policy settings: default and allowed range
+const POLICY_SETTINGS = {
+  // Cancelling closer than this to the start is a late cancellation
+  cancellation_window_hours: { default: 24, min: 0, max: 168 },
+  // Missed appointments (no-shows and late cancels) a patient gets without a fee
+  no_show_grace_count: { default: 1, min: 0, max: 20 },
+  // Minutes after the start before an appointment without check-in is flagged a no-show
+  no_show_after_minutes: { default: 15, min: 0, max: 240 },
+  // How far back missed appointments count toward the grace count
+  attendance_lookback_days: { default: 365, min: 1, max: 3650 }
+};
+
+class SchedulingConfigService {
+  // ==================== APPOINTMENT TYPES ====================
+
+  /**
+   * List appointment types in display order
+   */
+  static getAppointmentTypes(includeInactive = false) {
+    return db.getAppointmentTypes(includeInactive).map(type => this._formatType(type));
+  }
+
+  /**
+   * Get an appointment type by ID or name (inactive types included, so existing bookings still resolve)
+   * @returns {Object|null}
+   */
+  static getAppointmentType(idOrName) {
+    if (!idOrName) return null;
+    const type = db.getAppointmentType(idOrName);
+    return type ? this._formatType(type) : null;
+  }
+
+  /**
+   * Appointment type to book with, falling back to the default type for unknown names
+   */
+  static resolveAppointmentType(name) {
+    return this.getAppointmentType(name) || this.getAppointmentType(DEFAULT_APPOINTMENT_TYPE) || FALLBACK_TYPE;
+  }
+
+  static getDefaultAppointmentTypeName() {
+    return DEFAULT_APPOINTMENT_TYPE;
+  }
+
+  /**
+   * Add an appointment type
+   * @param {Object} data - { name, duration_minutes, buffer_before_minutes?, buffer_after_minutes?,
+   *                          capacity?, color?, cpt_code?, price?, late_cancel_fee?, no_show_fee?, sort_order? }
+   */
+  static createAppointmentType(data) {
+    const errors = this._validateType(data, true);
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join(', ')}`);
+    }
+    if (db.getAppointmentType(data.name)) {
+      throw new Error(`Appointment type already exists: ${data.name}`);
+    }
+
+    const id = `atype-${uuidv4()}`;
+    db.createAppointmentType({ ...data, id, ...this._moneyFields(data) });
+    console.log(`✅ Appointment type created: ${data.name}`);
+    return this.getAppointmentType(id);
+  }
+
+  /**
+   * Change an appointment type
+   * Names are fixed once created because appointments reference types by name.
+   */
+  static updateAppointmentType(idOrName, updates) {
+    const type = db.getAppointmentType(idOrName);
+    if (!type) {
+      throw new Error('Appointment type not found');
+    }
+    if (updates.name !== undefined && updates.name !== type.name) {
+      throw new Error('Appointment type names cannot be changed; create a new type and deactivate this one');
+    }
+
+    const errors = this._validateType(updates, false);
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    const { name, ...changes } = updates;
+    db.updateAppointmentType(type.id, { ...changes, ...this._moneyFields(changes) });
+    console.log(`✅ Appointment type updated: ${type.name}`);
+    return this.getAppointmentType(type.id);
+  }
+
+  /**
+   * Stop offering an appointment type (kept for existing appointments and history)
+   */
+  static deactivateAppointmentType(idOrName) {
+    const type = db.getAppointmentType(idOrName);
+    if (!type) {
+      throw new Error('Appointment type not found');
+    }
+    if (type.name === DEFAULT_APPOINTMENT_TYPE) {
+      throw new Error(`${DEFAULT_APPOINTMENT_TYPE} is the default type and cannot be deactivated`);
+    }
+    db.updateAppointmentType(type.id, { is_active: false });
+    return this.getAppointmentType(type.id);
+  }
+
+  // ==================== BUSINESS HOURS ====================
+
+  /**
+   * Weekly business hours, one entry per weekday
+   */
+  static getBusinessHours() {
+    const rows = db.getBusinessHours();
+    return DAY_NAMES.map((day, index) => {
+      const row = rows.find(r => r.day_of_week === index);
+      return {
+        day_of_week: index,
+        day,
+        is_open: !!(row && row.is_open),
+        open_time: row ? row.open_time : null,
+        close_time: row ? row.close_time : null,
+        break_start: row ? row.break_start : null,
+        break_end: row ? row.break_end : null
+      };
+    });
+  }
+
+  /**
+   * Set business hours for one or more weekdays
+   * @param {Array} days - [{ day_of_week (0-6 or name), is_open, open_time, close_time, break_start?, break_end? }]
+   */
+  static setBusinessHours(days = []) {
+    const normalized = days.map(day => ({ ...day, day_of_week: this._parseDay(day.day_of_week) }));
+    const errors = [];
+
+    for (const day of normalized) {
+      const label = DAY_NAMES[day.day_of_week];
+      if (day.is_open === false) continue;
+
+      if (!TIME_PATTERN.test(day.open_time || '') || !TIME_PATTERN.test(day.close_time || '')) {
+        errors.push(`${label}: open_time and close_time must be HH:MM`);
+        continue;
+      }
+      if (day.open_time >= day.close_time) {
+        errors.push(`${label}: open_time must be before close_time`);
+      }
+      if (day.break_start || day.break_end) {
+        if (!TIME_PATTERN.test(day.break_start || '') || !TIME_PATTERN.test(day.break_end || '')) {
+          errors.push(`${label}: break_start and break_end must both be HH:MM`);
+        } else if (day.break_start >= day.break_end || day.break_start < day.open_time || day.break_end > day.close_time) {
+          errors.push(`${label}: break must fall within opening hours`);
+        }
+      }
+    }
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    db.setBusinessHours(normalized.map(day => ({
+      ...day,
+      is_open: day.is_open !== false
+    })));
+    return this.getBusinessHours();
+  }
+
+  /**
+   * Practice working windows for a date (closures, weekday hours and breaks applied)
+   * @returns {Array} [{ start, end }] in minutes from midnight
+   */
+  static getWorkingWindows(date) {
+    if (this.getClosure(date)) return [];
+
+    const dayOfWeek = new Date(`${date}T00:00:00`).getDay();
+    const hours = this.getBusinessHours()[dayOfWeek];
+    if (!hours.is_open || !hours.open_time || !hours.close_time) return [];
+
+    const open = ProviderScheduleService.toMinutes(hours.open_time);
+    const close = ProviderScheduleService.toMinutes(hours.close_time);
+    if (!hours.break_start || !hours.break_end) {
+      return [{ start: open, end: close }];
+    }
+
+    return [
+      { start: open, end: ProviderScheduleService.toMinutes(hours.break_start) },
+      { start: ProviderScheduleService.toMinutes(hours.break_end), end: close }
+    ].filter(w => w.end > w.start);
+  }
+
+  /**
+   * Human-readable opening hours for a date, for error messages
+   */
+  static describeHours(date) {
+    const closure = this.getClosure(date);
+    if (closure) return `closed${closure.reason ? ` (${closure.reason})` : ''}`;
+
+    const windows = this.getWorkingWindows(date);
+    if (windows.length === 0) return 'closed';
+    return windows
+      .map(w => `${ProviderScheduleService.fromMinutes(w.start)} - ${ProviderScheduleService.fromMinutes(w.end)}`)
+      .join(', ');
+  }
+
+  // ==================== CLOSURES ====================
+
+  /**
+   * Closure covering a date, if any
+   */
+  static getClosure(date) {
+    return db.getBusinessClosures(date)[0] || null;
+  }
+
+  /**
+   * List closures (?from_date to skip past ones)
+   */
+  static getClosures(fromDate = null) {
+    const closures = db.getBusinessClosures();
+    return fromDate ? closures.filter(c => c.end_date >= fromDate) : closures;
+  }
+
+  /**
+   * Close the practice for a day or a range of days
+   * @param {Object} data - { date | start_date, end_date?, reason? }
+   */
+  static addClosure(data) {
+    const startDate = data.start_date || data.date;
+    const endDate = data.end_date || startDate;
+    if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+      throw new Error('Validation failed: date must be YYYY-MM-DD');
+    }
+    if (endDate < startDate) {
+      throw new Error('Validation failed: end_date must not be before start_date');
+    }
+
+    const closure = {
+      id: `closure-${uuidv4()}`,
+      start_date: startDate,
+      end_date: endDate,
+      reason: data.reason
+    };
+    db.createBusinessClosure(closure);
+    console.log(`🚫 Practice closed ${startDate}${endDate !== startDate ? ` to ${endDate}` : ''}: ${closure.reason || 'no reason given'}`);
+    return closure;
+  }
+
+  static removeClosure(closureId) {
+    const result = db.deleteBusinessClosure(closureId);
+    if (result.changes === 0) {
+      throw new Error('Closure not found');
+    }
+  }
+
+  // ==================== SETTINGS ====================
+
+  /**
+   * Practice-wide settings
+   * @returns {Object} - { timezone, slot_interval_minutes, cancellation_window_hours, no_show_grace_count,
+   *                       no_show_after_minutes, attendance_lookback_days }
+   */
+  static getSettings() {
+    const settings = db.getSchedulingSettings();
+    const policy = {};
+    for (const [key, rule] of Object.entries(POLICY_SETTINGS)) {
+      const value = parseInt(settings[key], 10);
+      policy[key] = Number.isInteger(value) ? value : rule.default;
+    }
+    return {
+      timezone: settings.timezone || process.env.GOOGLE_CALENDAR_TIMEZONE || 'America/New_York',
+      slot_interval_minutes: parseInt(settings.slot_interval_minutes, 10) || 15,
+      ...policy
+    };
+  }
+
+  /**
+   * @param {Object} updates - { timezone?, slot_interval_minutes?, cancellation_window_hours?,
+   *                             no_show_grace_count?, no_show_after_minutes?, attendance_lookback_days? }
+   */
+  static updateSettings(updates) {
+    const errors = [];
+    for (const [key, rule] of Object.entries(POLICY_SETTINGS)) {
+      if (updates[key] === undefined) continue;
+      const value = Number(updates[key]);
+      if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+        errors.push(`${key} must be a whole number between ${rule.min} and ${rule.max}`);
+      }
+    }
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join(', ')}`);
+    }
+    for (const key of Object.keys(POLICY_SETTINGS)) {
+      if (updates[key] !== undefined) {
+        db.setSchedulingSetting(key, Number(updates[key]));
+      }
+    }
+
+    if (updates.slot_interval_minutes !== undefined) {
+      const interval = parseInt(updates.slot_interval_minutes, 10);
+      if (!Number.isInteger(interval) || interval < 5 || interval > 120) {
+        throw new Error('Validation failed: slot_interval_minutes must be between 5 and 120');
+      }
+      db.setSchedulingSetting('slot_interval_minutes', interval);
+    }
+    if (updates.timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: updates.timezone });
+      } catch (e) {
+        throw new Error(`Validation failed: unknown timezone ${updates.timezone}`);
+      }
+      db.setSchedulingSetting('timezone', updates.timezone);
+    }
+    return this.getSettings();
+  }
+
+  /**
+   * Everything a booking client needs in one call
+   */
+  static getConfig() {
+    return {
+      settings: this.getSettings(),
+      appointment_types: this.getAppointmentTypes(),
+      business_hours: this.getBusinessHours(),
+      closures: this.getClosures(new Date().toISOString().split('T')[0])
+    };
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  static _validateType(data, isNew) {
+    const errors = [];
+    if (isNew && !data.name) errors.push('name is required');
+    if (isNew || data.duration_minutes !== undefined) {
+      if (!Number.isInteger(Number(data.duration_minutes)) || Number(data.duration_minutes) <= 0) {
+        errors.push('duration_minutes must be a positive whole number');
+      }
+    }
+    for (const field of ['buffer_before_minutes', 'buffer_after_minutes']) {
+      if (data[field] !== undefined && (!Number.isInteger(Number(data[field])) || Number(data[field]) < 0)) {
+        errors.push(`${field} must be zero or more whole minutes`);
+      }
+    }
+    if (data.capacity !== undefined && (!Number.isInteger(Number(data.capacity)) || Number(data.capacity) < 1)) {
+      errors.push('capacity must be at least 1');
+    }
+    for (const field of ['price', 'late_cancel_fee', 'no_show_fee']) {
+      if (data[field] !== undefined && data[field] !== null && (isNaN(Number(data[field])) || Number(data[field]) < 0)) {
+        errors.push(`${field} must be zero or more`);
+      }
+    }
+    if (data.cpt_code && !/^[0-9A-Z]{5}$/.test(data.cpt_code)) {
+      errors.push('cpt_code must be a 5-character CPT/HCPCS code');
+    }
+    return errors;
+  }
+
+  // Amounts arrive as strings from forms; store them as numbers (null clears a fee)
+  static _moneyFields(data) {
+    const fields = {};
+    for (const field of ['price', 'late_cancel_fee', 'no_show_fee']) {
+      if (data[field] !== undefined) {
+        fields[field] = data[field] === null ? null : Number(data[field]);
+      }
+    }
+    return fields;
+  }
+
+  static _parseDay(day) {
+    if (Number.isInteger(Number(day)) && Number(day) >= 0 && Number(day) <= 6) return Number(day);
+    const index = DAY_NAMES.indexOf(String(day).toLowerCase());
+    if (index === -1) throw new Error(`Invalid day_of_week: ${day}`);
+    return index;
+  }
+
+  static _formatType(type) {
+    return {
+      id: type.id,
+      name: type.name,
+      duration_minutes: type.duration_minutes,
+      buffer_before_minutes: type.buffer_before_minutes || 0,
+      buffer_after_minutes: type.buffer_after_minutes || 0,
+      capacity: type.capacity || 1,
+      color: type.color,
+      cpt_code: type.cpt_code,
+      price: type.price,
+      late_cancel_fee: type.late_cancel_fee || 0,
+      no_show_fee: type.no_show_fee || 0,
+      is_active: !!type.is_active,
+      sort_order: type.sort_order
+    };
+  }
+}
+
+module.exports = SchedulingConfigService;
@@ -0,0 +1,118 @@
+/**
+ * Slot Hold Service
+ *
+ * During a voice call the agent reads slots from get_available_slots and books one
+ * seconds to minutes later. The first few slots offered are held for the call
+ * (SLOT_HOLD_MINUTES) so another caller or the dashboard cannot take them in between.
+ * Booking confirms the chosen hold and releases the rest; holds are also released when
+ * the call ends, and stop blocking the calendar as soon as they expire.
+ */
+
+const db = require('../database');
+const BookingService = require('./booking-service');
+
+const HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES, 10) || 5;
+// How many of the offered slots are held at once for a call
+const MAX_HOLDS_PER_CALL = parseInt(process.env.SLOT_HOLD_MAX_PER_CALL, 10) || 3;
+
+class SlotHoldService {
+  /**
+   * Hold the first free slots of an availability result for a call
+   * Holds from the call's previous offer are released first, so a caller comparing
+   * days only ever blocks the slots they were last offered.
+   * @param {String} callId - Voice call ID
+   * @param {Object} offer - Result of BookingService.getAvailableSlots
+   * @returns {Array} - Holds created
+   */
+  static holdOfferedSlots(callId, offer) {
+    if (!callId || !offer || !offer.success) return [];
+
+    // Group sessions are protected by the seat count taken at booking time instead
+    if (BookingService.isGroupType(offer.appointment_type)) return [];
+
+    db.expireSlotHolds();
+    db.releaseSlotHolds(callId);
+
+    const expiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000).toISOString();
+    const holds = [];
+    for (const time of offer.available_slots) {
+      if (holds.length >= MAX_HOLDS_PER_CALL) break;
+
+      const hold = BookingService.holdSlot(callId, {
+        date: offer.date,
+        time,
+        appointment_type: offer.appointment_type,
+        provider: offer.provider_id,
+        timezone: offer.timezone
+      }, expiresAt);
+      if (hold) holds.push(hold);
+    }
+
+    if (holds.length > 0) {
+      console.log(`🔒 Held ${holds.map(h => h.time).join(', ')} on ${offer.date} for call ${callId} until ${expiresAt}`);
+    }
+    return holds.map(hold => this._formatHold(hold));
+  }
+
+  /**
+   * The call's unexpired hold on a date/time, if any
+   */
+  static findHold(callId, date, time) {
+    return db.getSlotHoldsByCall(callId)
+      .find(hold => hold.date === date && hold.time === time && new Date(hold.expires_at) > new Date()) || null;
+  }
+
+  /**
+   * Mark the hold matching a booking as confirmed and release the call's other holds
+   * Called by BookingService inside the booking's write transaction.
+   * @param {Object} appointment - Booked appointment (id, date, time)
+   * @returns {Object|null} - The confirmed hold
+   */
+  static confirmHold(callId, appointment) {
+    const hold = this.findHold(callId, appointment.date, appointment.time);
+    if (hold) {
+      db.confirmSlotHold(hold.id, appointment.id);
+    }
+    db.releaseSlotHolds(callId);
+    return hold;
+  }
+
+  /**
+   * Release every slot a call is still holding (call ended)
+   * @returns {Number} - Holds released
+   */
+  static releaseCall(callId) {
+    if (!callId) return 0;
+    const released = db.releaseSlotHolds(callId).changes;
+    if (released > 0) {
+      console.log(`🔓 Released ${released} slot hold(s) for call ${callId}`);
+    }
+    return released;
+  }
+
+  /**
+   * A call's holds (every status), newest first
+   */
+  static getCallHolds(callId) {
+    return db.getSlotHoldsByCall(callId, null).map(hold => this._formatHold(hold));
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  static _formatHold(hold) {
+    return {
+      id: hold.id,
+      call_id: hold.call_id,
+      date: hold.date,
+      time: hold.time,
+      appointment_type: hold.appointment_type,
+      provider: hold.provider || null,
+      provider_id: hold.provider_id || null,
+      status: hold.status || 'held',
+      expires_at: hold.expires_at,
+      appointment_id: hold.appointment_id || null
+    };
+  }
+}
+
+module.exports = SlotHoldService;
@@ -0,0 +1,277 @@
+/**
+ * SMS Reply Service
+ *
+ * Two-way texting. Patients reply to reminder texts with a keyword that acts on their
+ * next appointment:
+ * - C / CONFIRM / YES: confirm it
+ * - CANCEL: cancel it (the attendance policy applies, so a late cancel may carry a fee)
+ * - R / RESCHEDULE: ask for a new time (goes to the staff inbox)
+ * - STOP (and the other carrier opt-out words) / START: stop or resume all texts (recorded as the
+ *   patient's SMS consent decision)
+ * - HELP: what they can reply
+ * Anything else, or a keyword with no upcoming appointment, goes to the staff inbox.
+ * Every inbound text is logged with what was done and the reply sent.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const BookingService = require('./booking-service');
+const SMSService = require('./sms-service');
+const CommunicationPreferencesService = require('./communication-preferences-service');
+const TemplateService = require('./template-service');
+
+// First word of the reply → intent. Carrier opt-out words are matched the same way.
+const KEYWORDS = {
+  confirm: ['C', 'CONFIRM', 'CONFIRMED', 'YES', 'Y'],
+  cancel: ['CANCEL'],
+  reschedule_request: ['R', 'RESCHEDULE'],
+  stop: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'END', 'QUIT'],
+  start: ['START', 'UNSTOP'],
+  help: ['HELP', 'INFO']
+};
+// Longer messages are read by staff even if they start with a keyword ("Can I cancel and...")
+const MAX_KEYWORD_WORDS = 3;
+const INBOX_STATUSES = ['open', 'resolved'];
+
+class SMSReplyService {
+  /**
+   * Handle a text from a patient
+   * @param {Object} message - { from, to, body, message_sid }
+   * @returns {Object} - The logged message, including intent, outcome and reply (null when
+   *                     nothing should be sent back)
+   */
+  static async handleInbound(message, now = new Date()) {
+    if (!message.from) {
+      throw new Error('from is required');
+    }
+
+    // Twilio retries webhooks; answer a repeated message the same way without acting twice
+    if (message.message_sid) {
+      const existing = db.getInboundSmsBySid(message.message_sid);
+      if (existing) return this._formatMessage(existing);
+    }
+
+    const phone = SMSService.formatPhoneNumber(message.from);
+    const body = (message.body || '').trim();
+    const intent = this.parseIntent(body);
+    console.log(`\n💬 Inbound SMS from ${phone}: "${body}" (${intent})`);
+
+    const handled = await this._act(intent, phone, now);
+
+    // Numbers that replied STOP only hear back when they opt in again or ask for help
+    const canReply = !SMSService.isOptedOut(phone) || ['stop', 'help'].includes(intent);
+    const id = `sms-${uuidv4()}`;
+    db.createInboundSms({
+      id,
+      message_sid: message.message_sid,
+      from_phone: phone,
+      to_phone: message.to,
+      body,
+      intent,
+      appointment_id: handled.appointment_id,
+      outcome: handled.outcome,
+      reply: canReply ? handled.reply : null,
+      inbox_status: handled.needs_staff ? 'open' : null
+    });
+
+    if (handled.needs_staff) {
+      console.log(`📥 Sent to the staff inbox: ${handled.outcome}`);
+    }
+    return this._formatMessage(db.getInboundSms(id));
+  }
+
+  /**
+   * What a text is asking for
+   * @returns {String} - confirm | cancel | reschedule_request | stop | start | help | unknown
+   */
+  static parseIntent(body) {
+    const words = (body || '').toUpperCase().replace(/[^A-Z0-9\s]/g, ' ').trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0 || words.length > MAX_KEYWORD_WORDS) return 'unknown';
+
+    const intent = Object.keys(KEYWORDS).find(key => KEYWORDS[key].includes(words[0]));
+    return intent || 'unknown';
+  }
+
+  // ==================== STAFF INBOX ====================
+
+  /**
+   * Texts, newest first
+   * @param {Object} filters - { status? (open | resolved), phone?, limit? }
+   */
+  static getMessages(filters = {}) {
+    if (filters.status && !INBOX_STATUSES.includes(filters.status)) {
+      throw new Error(`status must be one of ${INBOX_STATUSES.join(', ')}`);
+    }
+    return db.getInboundSmsMessages({
+      inbox_status: filters.status,
+      from_phone: filters.phone ? SMSService.formatPhoneNumber(filters.phone) : undefined,
+      limit: Math.min(parseInt(filters.limit, 10) || 100, 500)
+    }).map(message => this._formatMessage(message));
+  }
+
+  static getMessage(id) {
+    const message = db.getInboundSms(id);
+    return message ? this._formatMessage(message) : null;
+  }
+
+  /**
+   * Close an inbox message
+   */
+  static resolve(id, { actor = 'staff', note = null } = {}) {
+    const message = db.getInboundSms(id);
+    if (!message) {
+      throw new Error('Message not found');
+    }
+    if (!db.resolveInboundSms(id, actor, note)) {
+      throw new Error(`Message is not open in the inbox (${message.inbox_status || 'handled automatically'})`);
+    }
+    return this.getMessage(id);
+  }
+
+  /**
+   * Text the patient back from the inbox and close the message
+   */
+  static async reply(id, text, { actor = 'staff' } = {}) {
+    const message = db.getInboundSms(id);
+    if (!message) {
+      throw new Error('Message not found');
+    }
+    if (!text || !text.trim()) {
+      throw new Error('message is required');
+    }
+
+    const result = await SMSService.sendSMS(message.from_phone, text.trim(), {
+      category: 'inbox_reply',
+      appointment_id: message.appointment_id
+    });
+    if (!result.success) {
+      throw new Error(`Reply not sent: ${result.error}`);
+    }
+    if (message.inbox_status === 'open') {
+      db.resolveInboundSms(id, actor, `Replied: ${text.trim()}`);
+    }
+    return this.getMessage(id);
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  /**
+   * Carry out an intent
+   * @returns {Object} - { appointment_id, outcome, reply, needs_staff }
+   */
+  static async _act(intent, phone, now) {
+    switch (intent) {
+      case 'stop':
+        db.setSmsOptOut(phone, 'STOP');
+        CommunicationPreferencesService.recordConsent(phone, 'sms', false, { source: 'sms_reply', note: 'Replied STOP' });
+        return {
+          outcome: 'Opted out of texts',
+          reply: this._reply('reply_stop_sms', phone)
+        };
+
+      case 'start':
+        db.deleteSmsOptOut(phone);
+        CommunicationPreferencesService.recordConsent(phone, 'sms', true, { source: 'sms_reply', note: 'Replied START' });
+        return {
+          outcome: 'Opted back in to texts',
+          reply: this._reply('reply_start_sms', phone)
+        };
+
+      case 'help':
+        return { outcome: 'Sent help', reply: this._reply('reply_help_sms', phone, { phone: process.env.TWILIO_PHONE_NUMBER || null }) };
+
+      case 'unknown':
+        return {
+          needs_staff: true,
+          outcome: 'Not a keyword',
+          reply: this._reply('reply_unknown_sms', phone)
+        };
+    }
+
+    const appointment = db.getNextAppointmentForPhone(phone, now.toISOString());
+    if (!appointment) {
+      return {
+        needs_staff: true,
+        outcome: 'No upcoming appointment for this number',
+        reply: this._reply('reply_no_appointment_sms', phone)
+      };
+    }
+
+    const when = this._describeAppointment(appointment, TemplateService.localeFor(phone));
+    if (intent === 'reschedule_request') {
+      return {
+        appointment_id: appointment.id,
+        needs_staff: true,
+        outcome: 'Patient asked to reschedule',
+        reply: this._reply('reply_reschedule_sms', phone, when)
+      };
+    }
+
+    const result = intent === 'confirm'
+      ? await BookingService.confirmAppointment(appointment.id, 'patient')
+      : await BookingService.cancelAppointment(appointment.id, 'Cancelled by text reply', { actor: 'patient' });
+
+    if (!result.success) {
+      return {
+        appointment_id: appointment.id,
+        needs_staff: true,
+        outcome: `Could not ${intent}: ${result.error}`,
+        reply: this._reply('reply_failed_sms', phone)
+      };
+    }
+
+    if (intent === 'confirm') {
+      return {
+        appointment_id: appointment.id,
+        outcome: result.message,
+        reply: this._reply('reply_confirmed_sms', phone, when)
+      };
+    }
+
+    const lateFee = result.fee && result.fee.status !== 'waived' ? result.fee.amount.toFixed(2) : null;
+    return {
+      appointment_id: appointment.id,
+      outcome: result.message,
+      reply: this._reply('reply_cancelled_sms', phone, { ...when, late_fee: lateFee })
+    };
+  }
+
+  // Keyword replies are written in the patient's language
+  static _reply(template, phone, data = {}) {
+    return TemplateService.render(template, TemplateService.localeFor(phone), data).text;
+  }
+
+  // Template values describing the appointment a reply is about
+  static _describeAppointment(appointment, locale) {
+    return {
+      appointment_type: appointment.appointment_type || 'appointment',
+      date_time: TemplateService.formatDateTime(
+        appointment.start_time,
+        locale,
+        appointment.timezone || 'America/New_York',
+        'short'
+      )
+    };
+  }
+
+  static _formatMessage(message) {
+    return {
+      id: message.id,
+      message_sid: message.message_sid,
+      from_phone: message.from_phone,
+      to_phone: message.to_phone,
+      body: message.body,
+      intent: message.intent,
+      appointment_id: message.appointment_id,
+      outcome: message.outcome,
+      reply: message.reply,
+      inbox_status: message.inbox_status,
+      resolved_by: message.resolved_by,
+      resolution_note: message.resolution_note,
+      resolved_at: message.resolved_at,
+      created_at: message.created_at
+    };
+  }
+}
+
+module.exports = SMSReplyService;
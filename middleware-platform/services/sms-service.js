@@ -1,10 +1,14 @@
 /**
  * SMS SERVICE
- * Sends payment links via Twilio
+ * Sends payment links, reminders and other texts via Twilio, through the notification outbox
  * Falls back to simulation if Twilio not configured
+ * Message text comes from TemplateService, in the patient's language
  */
 
 const twilio = require('twilio');
+const db = require('../database');
+const NotificationOutbox = require('./notification-outbox');
+const TemplateService = require('./template-service');
 
 class SMSService {
     /**
@@ -25,86 +29,93 @@ class SMSService {
 
     /**
      * Send payment link via SMS
-     * Uses Twilio if configured, otherwise simulates
+     * Goes through the notification outbox, so it is retried if Twilio is down
      */
     static async sendPaymentLink(phoneNumber, paymentLink, orderDetails) {
-        try {
-            const client = this.getTwilioClient();
-            const fromNumber = process.env.TWILIO_PHONE_NUMBER;
+        const message = this.formatPaymentMessage(paymentLink, orderDetails, TemplateService.localeFor(phoneNumber));
 
-            // Validate phone number format
-            const formattedPhone = this.formatPhoneNumber(phoneNumber);
-            if (!this.validatePhoneNumber(formattedPhone)) {
-                throw new Error(`Invalid phone number format: ${phoneNumber}`);
-            }
+        console.log('\n📱 PAYMENT LINK SMS');
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`To: ${phoneNumber}`);
+        console.log(`Message Length: ${message.length} characters`);
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
-            // Format SMS message
-            const message = this.formatPaymentMessage(paymentLink, orderDetails);
+        return await this.sendSMS(phoneNumber, message, { category: 'payment_link' });
+    }
 
-            // If Twilio is configured, send real SMS
-            if (client && fromNumber) {
-                console.log('\n📱 SENDING REAL SMS VIA TWILIO');
-                console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-                console.log(`From: ${fromNumber}`);
-                console.log(`To: ${formattedPhone}`);
-                console.log(`Message Length: ${message.length} characters`);
-                console.log(`Message:\n${message}`);
-                console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+    /**
+     * Format SMS message for payment link
+     * @param {String} locale - Language to write in (default English)
+     */
+    static formatPaymentMessage(paymentLink, orderDetails, locale = 'en') {
+        const { product_name, amount, merchant_name } = orderDetails;
 
-                try {
-                    const result = await client.messages.create({
-                        body: message,
-                        from: fromNumber,
-                        to: formattedPhone
-                    });
-
-                    console.log(`✅ SMS sent successfully!`);
-                    console.log(`   Message SID: ${result.sid}`);
-                    console.log(`   Status: ${result.status}`);
-                    console.log(`   To: ${result.to}\n`);
-
-                    return {
-                        success: true,
-                        message_sid: result.sid,
-                        status: result.status,
-                        to: formattedPhone,
-                        provider: 'twilio',
-                        real_sms: true
-                    };
-                } catch (twilioError) {
-                    console.error('❌ Twilio API Error:', twilioError.message);
-                    console.error('   Error Code:', twilioError.code);
-                    console.error('   More Info:', twilioError.moreInfo);
-
-                    throw new Error(`Twilio SMS failed: ${twilioError.message}`);
-                }
-            } else {
-                // Fallback to simulation if Twilio not configured
-                console.log('\n📱 SMS SIMULATION (Twilio not configured)');
-                console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-                console.log(`To: ${formattedPhone}`);
-                console.log(`Message:\n${message}`);
-                console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-                console.log('💡 To send real SMS, add Twilio credentials to .env file');
-                console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+        return TemplateService.render('payment_link_sms', locale, {
+            merchant_name,
+            product_name,
+            amount,
+            payment_link: paymentLink
+        }).text;
+    }
 
-                return {
-                    success: true,
-                    simulated: true,
-                    message: 'SMS simulated - Twilio not configured',
-                    phone: formattedPhone,
-                    real_sms: false
-                };
-            }
+    /**
+     * Send order confirmation SMS
+     * Called after payment is completed
+     */
+    static async sendOrderConfirmation(phoneNumber, orderDetails) {
+        const message = TemplateService.render('order_confirmation_sms', TemplateService.localeFor(phoneNumber), {
+            product_name: orderDetails.product_name,
+            order_id: orderDetails.order_id
+        }).text;
+        return await this.sendSMS(phoneNumber, message, { category: 'order_confirmation' });
+    }
 
-        } catch (error) {
-            console.error('❌ SMS Service Error:', error.message);
+    /**
+     * Send appointment reminder SMS
+     * @param {Object} appointment
+     * @param {Number} leadMinutes - How long until the appointment, for the message ("in 1 hour", "in 24 hours")
+     */
+    static async sendAppointmentReminder(appointment, leadMinutes = 60) {
+        const locale = TemplateService.localeFor(appointment.patient_phone);
+        const message = TemplateService.render('appointment_reminder_sms', locale, {
+            appointment_type: appointment.appointment_type || 'appointment',
+            provider: appointment.provider || TemplateService.getBranding().team_name,
+            lead_time: TemplateService.describeLeadTime(leadMinutes, locale),
+            date_time: TemplateService.formatDateTime(
+                appointment.start_time,
+                locale,
+                appointment.timezone || 'America/New_York',
+                'short'
+            )
+        }).text;
+
+        return await this.sendSMS(appointment.patient_phone, message, {
+            category: 'appointment_reminder',
+            appointment_id: appointment.id
+        });
+    }
 
-            // Return error details
+    /**
+     * Send a plain text SMS through the notification outbox (stored, then retried if Twilio is down)
+     * @param {String} phoneNumber
+     * @param {String} message
+     * @param {Object} meta - { category, appointment_id, patient_phone } for the outbox log (optional)
+     */
+    static async sendSMS(phoneNumber, message, meta = {}) {
+        try {
+            return await NotificationOutbox.send({
+                channel: 'sms',
+                recipient: phoneNumber ? this.formatPhoneNumber(phoneNumber) : null,
+                body: message,
+                category: meta.category,
+                appointment_id: meta.appointment_id,
+                patient_phone: meta.patient_phone || phoneNumber
+            });
+        } catch (error) {
+            console.error('❌ SMS error:', error.message);
             return {
                 success: false,
                 error: error.message,
-                code: error.code || 'UNKNOWN',
                 phone: phoneNumber,
                 real_sms: false
             };
@@ -112,71 +123,111 @@ class SMSService {
     }
 
     /**
-     * Format SMS message for payment link
+     * Deliver an SMS now (used by the notification outbox)
+     * Uses Twilio if configured, otherwise simulates.
+     * Invalid and opted-out numbers are marked permanent so the outbox does not retry them.
      */
-    static formatPaymentMessage(paymentLink, orderDetails) {
-        const { product_name, amount, merchant_name } = orderDetails;
-
-        return `${merchant_name}: Complete your order for ${product_name} ($${amount}):\n\n${paymentLink}\n\nLink expires in 1 hour.`;
-    }
-
-    /**
-     * Send order confirmation SMS
-     * Called after payment is completed
-     */
-    static async sendOrderConfirmation(phoneNumber, orderDetails) {
+    static async deliverSMS(phoneNumber, message) {
         try {
             const client = this.getTwilioClient();
             const fromNumber = process.env.TWILIO_PHONE_NUMBER;
-            const formattedPhone = this.formatPhoneNumber(phoneNumber);
 
-            const message = `Order confirmed! Your ${orderDetails.product_name} will be shipped soon. Order #${orderDetails.order_id}`;
+            const formattedPhone = this.formatPhoneNumber(phoneNumber);
+            if (!this.validatePhoneNumber(formattedPhone)) {
+                return {
+                    success: false,
+                    permanent: true,
+                    error: `Invalid phone number format: ${phoneNumber}`,
+                    phone: phoneNumber,
+                    real_sms: false
+                };
+            }
+            if (this.isOptedOut(formattedPhone)) {
+                console.log(`🔕 Not texting ${formattedPhone}: replied STOP`);
+                return {
+                    success: false,
+                    permanent: true,
+                    error: 'Recipient has opted out of texts (STOP)',
+                    opted_out: true,
+                    phone: formattedPhone,
+                    real_sms: false
+                };
+            }
 
             if (client && fromNumber) {
-                console.log('\n📱 SENDING ORDER CONFIRMATION');
+                console.log('\n📱 SENDING SMS VIA TWILIO');
                 console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
                 console.log(`To: ${formattedPhone}`);
-                console.log(`Message: ${message}`);
+                console.log(`Message:\n${message}`);
                 console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
                 const result = await client.messages.create({
                     body: message,
                     from: fromNumber,
-                    to: formattedPhone
+                    to: formattedPhone,
+                    // Delivery and bounce reports (needs a public URL)
+                    ...(process.env.BASE_URL ? { statusCallback: `${process.env.BASE_URL}/webhook/twilio/sms-status` } : {})
                 });
 
-                console.log(`✅ Confirmation sent! SID: ${result.sid}\n`);
+                console.log(`✅ SMS sent! SID: ${result.sid}\n`);
 
                 return {
                     success: true,
                     message_sid: result.sid,
                     status: result.status,
+                    to: formattedPhone,
+                    provider: 'twilio',
                     real_sms: true
                 };
             } else {
-                console.log('\n📱 ORDER CONFIRMATION SIMULATION');
+                console.log('\n📱 SMS SIMULATION (Twilio not configured)');
                 console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
                 console.log(`To: ${formattedPhone}`);
-                console.log(`Message: ${message}`);
+                console.log(`Message:\n${message}`);
                 console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
                 return {
                     success: true,
                     simulated: true,
+                    phone: formattedPhone,
+                    provider: 'console',
                     real_sms: false
                 };
             }
 
         } catch (error) {
-            console.error('❌ Order confirmation SMS error:', error.message);
+            console.error('❌ SMS error:', error.message);
             return {
                 success: false,
                 error: error.message,
+                code: error.code || 'UNKNOWN',
+                phone: phoneNumber,
                 real_sms: false
             };
         }
     }
 
+    /**
+     * Whether a number has replied STOP (and not START since)
+     */
+    static isOptedOut(phoneNumber) {
+        if (!phoneNumber) return false;
+        return Boolean(db.getSmsOptOut(this.formatPhoneNumber(phoneNumber)));
+    }
+
+    /**
+     * Check the X-Twilio-Signature of an incoming webhook
+     * Always passes when TWILIO_AUTH_TOKEN is not set (local development)
+     * @param {String} signature - X-Twilio-Signature header
+     * @param {String} url - Full URL Twilio posted to
+     * @param {Object} params - Form fields of the request
+     */
+    static validateWebhook(signature, url, params) {
+        const authToken = process.env.TWILIO_AUTH_TOKEN;
+        if (!authToken) return true;
+        return twilio.validateRequest(authToken, signature || '', url, params);
+    }
+
     /**
      * Validate phone number format (E.164)
      */
@@ -0,0 +1,70 @@
+/**
+ * Stedi Clearinghouse Adapter
+ *
+ * Sends our X12 files through Stedi's healthcare raw X12 APIs: real-time 270/271 eligibility,
+ * 837P claim submission and real-time 276/277 claim status.
+ * Stedi delivers 999, 277CA and 835 files by webhook rather than for pickup, so
+ * fetchInboundFiles returns nothing; the webhook handler posts each file to
+ * POST /api/admin/insurance/clearinghouse/inbound.
+ *
+ * Set CLEARINGHOUSE=stedi and STEDI_API_KEY to use it.
+ */
+
+const axios = require('axios');
+
+class StediClearinghouseAdapter {
+  constructor() {
+    this.name = 'stedi';
+    this.baseUrl = process.env.STEDI_HEALTHCARE_API_BASE || 'https://healthcare.us.stedi.com/2024-04-01';
+    this.apiKey = process.env.STEDI_API_KEY;
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      headers: {
+        'Authorization': this.apiKey,
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000 // 30 second timeout
+    });
+  }
+
+  /**
+   * Real-time eligibility
+   * @param {String} content - X12 270
+   * @returns {String} - X12 271
+   */
+  async checkEligibility(content) {
+    const response = await this.client.post('/change/medicalnetwork/eligibility/v3/raw-x12', { x12: content });
+    return response.data.x12;
+  }
+
+  /**
+   * Send an 837P file
+   * @param {String} content - X12 837P
+   * @returns {Object} - { submission_id }
+   */
+  async submitClaims(content) {
+    const response = await this.client.post('/change/medicalnetwork/professionalclaims/v3/raw-x12-submission', { x12: content });
+    const data = response.data || {};
+    return { submission_id: data.controlNumber || (data.claimReference && data.claimReference.correlationId) || null };
+  }
+
+  /**
+   * Real-time claim status
+   * @param {String} content - X12 276
+   * @returns {String} - X12 277
+   */
+  async getClaimStatus(content) {
+    const response = await this.client.post('/change/medicalnetwork/claimstatus/v2/raw-x12', { x12: content });
+    return response.data.x12;
+  }
+
+  /**
+   * Files waiting for pickup: none, Stedi pushes them by webhook
+   * @returns {Array} - [{ id, type, file_name, content }]
+   */
+  async fetchInboundFiles() {
+    return [];
+  }
+}
+
+module.exports = StediClearinghouseAdapter;
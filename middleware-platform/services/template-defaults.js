@@ -0,0 +1,778 @@
+/**
+ * Built-in message templates
+ *
+ * Every email and text sent to patients, in each supported locale, and the appeal letters sent to
+ * payers (English only). Practices can replace any of them, and the branding, through the template
+ * API without a deploy (see TemplateService).
+ *
+ * Syntax: {{name}} inserts a value (HTML-escaped in email bodies), {{{name}}} inserts it as is,
+ * {{#name}}...{{/name}} repeats for each item of a list or shows when the value is set, and
+ * {{^name}}...{{/name}} shows when it is not. {{brand.*}} is available in every template.
+ * sample holds the data used for previews and to check that edited templates only use known values.
+ */
+
+const LOCALES = ['en', 'es'];
+const DEFAULT_LOCALE = 'en';
+
+// Used when the practice has not set its own
+const DEFAULT_BRANDING = {
+  practice_name: 'DocLittle',
+  team_name: 'DocLittle Mental Health Team',
+  primary_color: '#0891b2',
+  logo_url: '',
+  support_phone: '',
+  support_email: ''
+};
+
+const APPOINTMENT_SAMPLE = {
+  patient_name: 'Jane Doe',
+  date_time: 'Monday, March 2, 2026 at 2:00 PM',
+  appointment_type: 'Mental Health Consultation',
+  duration_minutes: 50,
+  provider: 'Dr. Smith',
+  confirmation_number: 'APT-1234567890'
+};
+
+// Claim and clinical data every appeal letter gets (see DenialService)
+const APPEAL_SAMPLE = {
+  letter_date: 'March 10, 2026',
+  payer_name: 'Aetna',
+  patient_name: 'Jane Doe',
+  patient_dob: '1985-06-15',
+  member_id: 'W123456789',
+  claim_number: 'PAYER123456',
+  patient_control_number: 'DL00000001',
+  date_of_service: '2026-02-02',
+  billed_amount: '150.00',
+  denied_amount: '150.00',
+  denial_date: '2026-03-01',
+  denial_reasons: [{ code: 'CO-50', description: 'These are non-covered services because this is not deemed a medical necessity' }],
+  remark_codes: [{ code: 'N130', description: 'Consult plan benefit documents/guidelines for information about restrictions for this service' }],
+  services: [{ code: '90834', modifiers: '', description: 'Psychotherapy, 45 minutes', charge: '150.00' }],
+  diagnoses: [{ code: 'F41.1', description: 'Generalized anxiety disorder' }],
+  provider_name: 'Dr. Ana Rivera',
+  provider_npi: '1992753881',
+  billing_provider_name: 'Harbor Counseling Group',
+  billing_npi: '1234567893',
+  tax_id: '12-3456789',
+  session_minutes: 50,
+  observations: [{ type: 'PHQ-9', value: '18' }],
+  clinical_summary: 'Ms. Doe presents with daily panic symptoms that keep her from working full days.',
+  treatment_plan: 'Weekly CBT for 12 weeks, with PHQ-9 and GAD-7 measured monthly.',
+  filing_history: [{ date: '2026-02-03', description: 'Claim submitted to the clearinghouse' }],
+  appeal_level: 1,
+  sender_name: 'Billing Department'
+};
+
+// Identifies the claim at the top of every appeal letter
+const APPEAL_HEADER = `{{letter_date}}
+
+{{payer_name}}
+Attn: Appeals and Reconsiderations
+
+Patient: {{patient_name}} (DOB {{patient_dob}})
+Member ID: {{member_id}}
+Claim number: {{claim_number}}{{^claim_number}}{{patient_control_number}}{{/claim_number}}
+Date of service: {{date_of_service}}
+Billed: \${{billed_amount}}; denied: \${{denied_amount}}
+Provider: {{provider_name}}{{#provider_npi}} (NPI {{provider_npi}}){{/provider_npi}}
+`;
+
+const APPEAL_SIGNATURE = `
+Sincerely,
+
+{{sender_name}}
+{{billing_provider_name}}{{#billing_npi}} (NPI {{billing_npi}}){{/billing_npi}}{{#tax_id}}, Tax ID {{tax_id}}{{/tax_id}}
+{{#brand.support_phone}}{{brand.support_phone}}{{/brand.support_phone}}`;
+
+const TEMPLATES = {
+  email_layout: {
+    channel: 'email',
+    description: 'Wrapper around every email: header, content and footer',
+    sample: {
+      title: '📅 Appointment Confirmed',
+      content: '<p>Dear Jane Doe,</p><p>Your appointment has been successfully scheduled!</p>'
+    },
+    locales: {
+      en: {
+        body: `<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: {{brand.primary_color}}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+    .logo { max-height: 48px; margin-bottom: 8px; }
+    .content { background: #f9f9f9; padding: 20px; border-radius: 0 0 8px 8px; }
+    .appointment-details { background: white; padding: 15px; margin: 15px 0; border-radius: 8px; border-left: 4px solid {{brand.primary_color}}; }
+    .detail-row { margin: 10px 0; }
+    .label { font-weight: bold; color: #666; }
+    .button { display: inline-block; padding: 12px 24px; background: {{brand.primary_color}}; color: white; text-decoration: none; border-radius: 6px; margin: 10px 5px; }
+    .button-warning { background: #f59e0b; }
+    .button-danger { background: #dc2626; }
+    .warning { background: #fff7ed; padding: 15px; margin: 15px 0; border-radius: 8px; border-left: 4px solid #f97316; }
+    .code-box { background: white; padding: 20px; margin: 20px 0; text-align: center; border-radius: 8px; border: 2px dashed {{brand.primary_color}}; }
+    .code { font-size: 32px; font-weight: bold; color: {{brand.primary_color}}; letter-spacing: 8px; }
+    .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      {{#brand.logo_url}}<img class="logo" src="{{brand.logo_url}}" alt="{{brand.practice_name}}"><br>{{/brand.logo_url}}
+      <h1>{{title}}</h1>
+    </div>
+    <div class="content">
+      {{{content}}}
+    </div>
+    <div class="footer">
+      <p>This is an automated message. Please do not reply to this email.</p>
+      {{#brand.support_phone}}<p>Questions? Call {{brand.support_phone}}</p>{{/brand.support_phone}}
+      {{#brand.support_email}}<p>{{brand.support_email}}</p>{{/brand.support_email}}
+    </div>
+  </div>
+</body>
+</html>`
+      },
+      es: {
+        body: `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: {{brand.primary_color}}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+    .logo { max-height: 48px; margin-bottom: 8px; }
+    .content { background: #f9f9f9; padding: 20px; border-radius: 0 0 8px 8px; }
+    .appointment-details { background: white; padding: 15px; margin: 15px 0; border-radius: 8px; border-left: 4px solid {{brand.primary_color}}; }
+    .detail-row { margin: 10px 0; }
+    .label { font-weight: bold; color: #666; }
+    .button { display: inline-block; padding: 12px 24px; background: {{brand.primary_color}}; color: white; text-decoration: none; border-radius: 6px; margin: 10px 5px; }
+    .button-warning { background: #f59e0b; }
+    .button-danger { background: #dc2626; }
+    .warning { background: #fff7ed; padding: 15px; margin: 15px 0; border-radius: 8px; border-left: 4px solid #f97316; }
+    .code-box { background: white; padding: 20px; margin: 20px 0; text-align: center; border-radius: 8px; border: 2px dashed {{brand.primary_color}}; }
+    .code { font-size: 32px; font-weight: bold; color: {{brand.primary_color}}; letter-spacing: 8px; }
+    .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      {{#brand.logo_url}}<img class="logo" src="{{brand.logo_url}}" alt="{{brand.practice_name}}"><br>{{/brand.logo_url}}
+      <h1>{{title}}</h1>
+    </div>
+    <div class="content">
+      {{{content}}}
+    </div>
+    <div class="footer">
+      <p>Este es un mensaje automático. Por favor no responda a este correo.</p>
+      {{#brand.support_phone}}<p>¿Preguntas? Llame al {{brand.support_phone}}</p>{{/brand.support_phone}}
+      {{#brand.support_email}}<p>{{brand.support_email}}</p>{{/brand.support_email}}
+    </div>
+  </div>
+</body>
+</html>`
+      }
+    }
+  },
+
+  appointment_confirmation: {
+    channel: 'email',
+    description: 'Sent when an appointment is booked',
+    sample: { ...APPOINTMENT_SAMPLE, calendar_link: 'https://calendar.google.com/event?eid=abc' },
+    locales: {
+      en: {
+        subject: 'Appointment Confirmed - {{date_time}}',
+        title: '📅 Appointment Confirmed',
+        body: `<p>Dear {{patient_name}},</p>
+<p>Your appointment has been successfully scheduled!</p>
+<div class="appointment-details">
+  <div class="detail-row"><span class="label">Date & Time:</span> {{date_time}}</div>
+  <div class="detail-row"><span class="label">Type:</span> {{appointment_type}}</div>
+  <div class="detail-row"><span class="label">Duration:</span> {{duration_minutes}} minutes</div>
+  <div class="detail-row"><span class="label">Provider:</span> {{provider}}</div>
+  {{#calendar_link}}<div class="detail-row"><a href="{{calendar_link}}" class="button">📅 Add to Calendar</a></div>{{/calendar_link}}
+</div>
+<p><strong>Confirmation Number:</strong> {{confirmation_number}}</p>
+<p>We will send you a reminder before your appointment.</p>
+<p>If you need to reschedule or cancel, please contact us or use the link in your reminder email.</p>
+<p>We look forward to seeing you!</p>
+<p>Best regards,<br>{{brand.team_name}}</p>`
+      },
+      es: {
+        subject: 'Cita confirmada - {{date_time}}',
+        title: '📅 Cita confirmada',
+        body: `<p>Estimado/a {{patient_name}}:</p>
+<p>¡Su cita ha sido programada con éxito!</p>
+<div class="appointment-details">
+  <div class="detail-row"><span class="label">Fecha y hora:</span> {{date_time}}</div>
+  <div class="detail-row"><span class="label">Tipo:</span> {{appointment_type}}</div>
+  <div class="detail-row"><span class="label">Duración:</span> {{duration_minutes}} minutos</div>
+  <div class="detail-row"><span class="label">Profesional:</span> {{provider}}</div>
+  {{#calendar_link}}<div class="detail-row"><a href="{{calendar_link}}" class="button">📅 Agregar al calendario</a></div>{{/calendar_link}}
+</div>
+<p><strong>Número de confirmación:</strong> {{confirmation_number}}</p>
+<p>Le enviaremos un recordatorio antes de su cita.</p>
+<p>Si necesita cambiar o cancelar su cita, comuníquese con nosotros o use el enlace de su correo de recordatorio.</p>
+<p>¡Esperamos verle pronto!</p>
+<p>Atentamente,<br>{{brand.team_name}}</p>`
+      }
+    }
+  },
+
+  series_confirmation: {
+    channel: 'email',
+    description: 'Sent once when a recurring series is booked, listing every session',
+    sample: {
+      patient_name: 'Jane Doe',
+      appointment_type: 'Mental Health Consultation',
+      provider: 'Dr. Smith',
+      session_count: 2,
+      sessions: [
+        { date_time: 'Monday, March 2, 2026 at 2:00 PM', reference: 'A1B2C3D4' },
+        { date_time: 'Monday, March 9, 2026 at 2:00 PM', reference: 'E5F6G7H8' }
+      ],
+      has_skipped: true,
+      skipped: [{ date: '2026-03-16', time: '14:00', reason: 'Provider is unavailable' }]
+    },
+    locales: {
+      en: {
+        subject: 'Recurring Appointments Confirmed - {{session_count}} sessions',
+        title: '📅 Recurring Appointments Confirmed',
+        body: `<p>Dear {{patient_name}},</p>
+<p>Your {{appointment_type}} sessions with {{provider}} have been scheduled:</p>
+<div class="appointment-details">
+  <ul>{{#sessions}}<li>{{date_time}} <span style="color:#666;">(#{{reference}})</span></li>{{/sessions}}</ul>
+</div>
+{{#has_skipped}}<div class="warning">
+  <p><strong>These dates could not be booked:</strong></p>
+  <ul>{{#skipped}}<li>{{date}} at {{time}} - {{reason}}</li>{{/skipped}}</ul>
+  <p>Please contact us to find an alternative time.</p>
+</div>{{/has_skipped}}
+<p>You will receive a reminder before each session.</p>
+<p>If you need to reschedule or cancel, please contact us or use the link in your reminder email.</p>
+<p>Best regards,<br>{{brand.team_name}}</p>`
+      },
+      es: {
+        subject: 'Citas recurrentes confirmadas - {{session_count}} sesiones',
+        title: '📅 Citas recurrentes confirmadas',
+        body: `<p>Estimado/a {{patient_name}}:</p>
+<p>Sus sesiones de {{appointment_type}} con {{provider}} han sido programadas:</p>
+<div class="appointment-details">
+  <ul>{{#sessions}}<li>{{date_time}} <span style="color:#666;">(#{{reference}})</span></li>{{/sessions}}</ul>
+</div>
+{{#has_skipped}}<div class="warning">
+  <p><strong>No pudimos reservar estas fechas:</strong></p>
+  <ul>{{#skipped}}<li>{{date}} a las {{time}} - {{reason}}</li>{{/skipped}}</ul>
+  <p>Comuníquese con nosotros para buscar otro horario.</p>
+</div>{{/has_skipped}}
+<p>Recibirá un recordatorio antes de cada sesión.</p>
+<p>Si necesita cambiar o cancelar una cita, comuníquese con nosotros o use el enlace de su correo de recordatorio.</p>
+<p>Atentamente,<br>{{brand.team_name}}</p>`
+      }
+    }
+  },
+
+  waitlist_offer: {
+    channel: 'email',
+    description: 'Offers a freed slot to a waitlisted patient',
+    sample: {
+      patient_name: 'Jane Doe',
+      date_time: 'Monday, March 2, 2026 at 2:00 PM',
+      appointment_type: 'Mental Health Consultation',
+      provider: 'Dr. Smith',
+      expires_at: '2:30 PM',
+      claim_link: 'https://example.com/api/waitlist/offers/abc/claim'
+    },
+    locales: {
+      en: {
+        subject: 'Earlier Appointment Available - {{date_time}}',
+        title: '🎉 An Earlier Appointment Opened Up',
+        body: `<p>Dear {{patient_name}},</p>
+<p>A slot matching your waitlist request is now available:</p>
+<div class="appointment-details">
+  <p><strong>Date & Time:</strong> {{date_time}}</p>
+  <p><strong>Type:</strong> {{appointment_type}}</p>
+  <p><strong>Provider:</strong> {{provider}}</p>
+</div>
+<p>We are holding this slot for you until <strong>{{expires_at}}</strong>.</p>
+<p><a href="{{claim_link}}" class="button">Claim This Appointment</a></p>
+<p>Best regards,<br>{{brand.team_name}}</p>`
+      },
+      es: {
+        subject: 'Cita más temprana disponible - {{date_time}}',
+        title: '🎉 Se liberó una cita más temprana',
+        body: `<p>Estimado/a {{patient_name}}:</p>
+<p>Hay un horario disponible que coincide con su solicitud en la lista de espera:</p>
+<div class="appointment-details">
+  <p><strong>Fecha y hora:</strong> {{date_time}}</p>
+  <p><strong>Tipo:</strong> {{appointment_type}}</p>
+  <p><strong>Profesional:</strong> {{provider}}</p>
+</div>
+<p>Le reservamos este horario hasta las <strong>{{expires_at}}</strong>.</p>
+<p><a href="{{claim_link}}" class="button">Reservar esta cita</a></p>
+<p>Atentamente,<br>{{brand.team_name}}</p>`
+      }
+    }
+  },
+
+  appointment_reminder: {
+    channel: 'email',
+    description: 'Reminder sent by the reminder rules',
+    sample: {
+      ...APPOINTMENT_SAMPLE,
+      lead_time: 'in 1 day',
+      reschedule_link: 'https://example.com/api/appointments/APT-1234567890/reschedule?token=abc',
+      cancel_link: 'https://example.com/api/appointments/APT-1234567890/cancel?token=abc'
+    },
+    locales: {
+      en: {
+        subject: 'Appointment Reminder - {{date_time}}',
+        title: '⏰ Appointment Reminder',
+        body: `<p>Dear {{patient_name}},</p>
+<p><strong>This is a reminder that you have an appointment {{lead_time}}:</strong></p>
+<div class="appointment-details">
+  <div class="detail-row"><span class="label">Date & Time:</span> {{date_time}}</div>
+  <div class="detail-row"><span class="label">Type:</span> {{appointment_type}}</div>
+  <div class="detail-row"><span class="label">Provider:</span> {{provider}}</div>
+</div>
+<p>Need to make changes?</p>
+<p>
+  <a href="{{reschedule_link}}" class="button button-warning">🔄 Reschedule</a>
+  <a href="{{cancel_link}}" class="button button-danger">❌ Cancel</a>
+</p>
+<p>If you need to reschedule, please check available slots before confirming your new time.</p>
+<p>We look forward to seeing you soon!</p>
+<p>Best regards,<br>{{brand.team_name}}</p>
+<p style="color:#666; font-size:12px;">Confirmation Number: {{confirmation_number}}</p>`
+      },
+      es: {
+        subject: 'Recordatorio de cita - {{date_time}}',
+        title: '⏰ Recordatorio de cita',
+        body: `<p>Estimado/a {{patient_name}}:</p>
+<p><strong>Le recordamos que tiene una cita {{lead_time}}:</strong></p>
+<div class="appointment-details">
+  <div class="detail-row"><span class="label">Fecha y hora:</span> {{date_time}}</div>
+  <div class="detail-row"><span class="label">Tipo:</span> {{appointment_type}}</div>
+  <div class="detail-row"><span class="label">Profesional:</span> {{provider}}</div>
+</div>
+<p>¿Necesita hacer cambios?</p>
+<p>
+  <a href="{{reschedule_link}}" class="button button-warning">🔄 Cambiar cita</a>
+  <a href="{{cancel_link}}" class="button button-danger">❌ Cancelar</a>
+</p>
+<p>Si necesita cambiar su cita, revise los horarios disponibles antes de confirmar el nuevo horario.</p>
+<p>¡Esperamos verle pronto!</p>
+<p>Atentamente,<br>{{brand.team_name}}</p>
+<p style="color:#666; font-size:12px;">Número de confirmación: {{confirmation_number}}</p>`
+      }
+    }
+  },
+
+  appointment_rescheduled: {
+    channel: 'email',
+    description: 'Sent when an appointment moves to a new time (with an updated calendar invite)',
+    sample: { ...APPOINTMENT_SAMPLE, previous_date_time: '2026-02-27 at 14:00' },
+    locales: {
+      en: {
+        subject: 'Appointment Rescheduled - {{date_time}}',
+        title: '🔄 Appointment Rescheduled',
+        body: `<p>Dear {{patient_name}},</p>
+<p>Your appointment has been moved to a new time.</p>
+<div class="appointment-details">
+  <div class="detail-row"><span class="label">New Date & Time:</span> {{date_time}}</div>
+  {{#previous_date_time}}<div class="detail-row"><span class="label">Previously:</span> {{previous_date_time}}</div>{{/previous_date_time}}
+  <div class="detail-row"><span class="label">Type:</span> {{appointment_type}}</div>
+  <div class="detail-row"><span class="label">Provider:</span> {{provider}}</div>
+</div>
+<p>The attached calendar invite updates the appointment in your calendar.</p>
+<p>Best regards,<br>{{brand.team_name}}</p>
+<p style="color:#666; font-size:12px;">Confirmation Number: {{confirmation_number}}</p>`
+      },
+      es: {
+        subject: 'Cita reprogramada - {{date_time}}',
+        title: '🔄 Cita reprogramada',
+        body: `<p>Estimado/a {{patient_name}}:</p>
+<p>Su cita se ha cambiado a un nuevo horario.</p>
+<div class="appointment-details">
+  <div class="detail-row"><span class="label">Nueva fecha y hora:</span> {{date_time}}</div>
+  {{#previous_date_time}}<div class="detail-row"><span class="label">Antes:</span> {{previous_date_time}}</div>{{/previous_date_time}}
+  <div class="detail-row"><span class="label">Tipo:</span> {{appointment_type}}</div>
+  <div class="detail-row"><span class="label">Profesional:</span> {{provider}}</div>
+</div>
+<p>La invitación de calendario adjunta actualiza la cita en su calendario.</p>
+<p>Atentamente,<br>{{brand.team_name}}</p>
+<p style="color:#666; font-size:12px;">Número de confirmación: {{confirmation_number}}</p>`
+      }
+    }
+  },
+
+  appointment_cancellation: {
+    channel: 'email',
+    description: 'Sent when an appointment is cancelled (the invite removes it from the calendar)',
+    sample: APPOINTMENT_SAMPLE,
+    locales: {
+      en: {
+        subject: 'Appointment Cancelled - {{date_time}}',
+        title: '❌ Appointment Cancelled',
+        body: `<p>Dear {{patient_name}},</p>
+<p>Your appointment has been cancelled.</p>
+<div class="appointment-details">
+  <div class="detail-row"><span class="label">Date & Time:</span> {{date_time}}</div>
+  <div class="detail-row"><span class="label">Type:</span> {{appointment_type}}</div>
+  <div class="detail-row"><span class="label">Provider:</span> {{provider}}</div>
+</div>
+<p>If you would like to book a new time, please contact us.</p>
+<p>Best regards,<br>{{brand.team_name}}</p>
+<p style="color:#666; font-size:12px;">Confirmation Number: {{confirmation_number}}</p>`
+      },
+      es: {
+        subject: 'Cita cancelada - {{date_time}}',
+        title: '❌ Cita cancelada',
+        body: `<p>Estimado/a {{patient_name}}:</p>
+<p>Su cita ha sido cancelada.</p>
+<div class="appointment-details">
+  <div class="detail-row"><span class="label">Fecha y hora:</span> {{date_time}}</div>
+  <div class="detail-row"><span class="label">Tipo:</span> {{appointment_type}}</div>
+  <div class="detail-row"><span class="label">Profesional:</span> {{provider}}</div>
+</div>
+<p>Si desea reservar un nuevo horario, comuníquese con nosotros.</p>
+<p>Atentamente,<br>{{brand.team_name}}</p>
+<p style="color:#666; font-size:12px;">Número de confirmación: {{confirmation_number}}</p>`
+      }
+    }
+  },
+
+  checkout_verification_code: {
+    channel: 'email',
+    description: 'Code that confirms the payer before a payment link is emailed',
+    sample: { code: '123456' },
+    locales: {
+      en: {
+        subject: 'Your Verification Code',
+        title: '🔐 Verification Code',
+        body: `<p>Hello,</p>
+<p>You requested a payment link. Please use the verification code below to confirm your identity:</p>
+<div class="code-box"><div class="code">{{code}}</div></div>
+<p>This code will expire in 10 minutes.</p>
+<p>If you didn't request this code, please ignore this email.</p>
+<p>Best regards,<br>{{brand.practice_name}} Security Team</p>`
+      },
+      es: {
+        subject: 'Su código de verificación',
+        title: '🔐 Código de verificación',
+        body: `<p>Hola:</p>
+<p>Usted solicitó un enlace de pago. Use el siguiente código de verificación para confirmar su identidad:</p>
+<div class="code-box"><div class="code">{{code}}</div></div>
+<p>Este código vence en 10 minutos.</p>
+<p>Si usted no solicitó este código, ignore este correo.</p>
+<p>Atentamente,<br>Equipo de seguridad de {{brand.practice_name}}</p>`
+      }
+    }
+  },
+
+  payment_link: {
+    channel: 'email',
+    description: 'Secure payment link, sent after the payer is verified',
+    sample: { product_name: 'Copay', amount: '25.00', payment_link: 'https://example.com/payment/abc' },
+    locales: {
+      en: {
+        subject: 'Complete Your Payment',
+        title: '💳 Complete Your Payment',
+        body: `<p>Hello,</p>
+<p>Your email has been verified. Please use the secure link below to complete your payment.</p>
+<div class="appointment-details">
+  <div><strong>Product:</strong> {{product_name}}</div>
+  <div><strong>Amount:</strong> \${{amount}}</div>
+</div>
+<p><a class="button" href="{{payment_link}}">Pay Now</a></p>
+<p>If the button doesn't work, copy and paste this URL into your browser:</p>
+<p>{{payment_link}}</p>
+<p>This is a secure payment link. Do not share it with anyone.</p>
+<p>Thank you for choosing {{brand.practice_name}}.</p>`
+      },
+      es: {
+        subject: 'Complete su pago',
+        title: '💳 Complete su pago',
+        body: `<p>Hola:</p>
+<p>Su correo ha sido verificado. Use el siguiente enlace seguro para completar su pago.</p>
+<div class="appointment-details">
+  <div><strong>Producto:</strong> {{product_name}}</div>
+  <div><strong>Monto:</strong> \${{amount}}</div>
+</div>
+<p><a class="button" href="{{payment_link}}">Pagar ahora</a></p>
+<p>Si el botón no funciona, copie y pegue esta dirección en su navegador:</p>
+<p>{{payment_link}}</p>
+<p>Este es un enlace de pago seguro. No lo comparta con nadie.</p>
+<p>Gracias por elegir {{brand.practice_name}}.</p>`
+      }
+    }
+  },
+
+  appointment_reminder_sms: {
+    channel: 'sms',
+    description: 'Reminder text sent by the reminder rules (keyword replies stay in English)',
+    sample: {
+      appointment_type: 'Mental Health Consultation',
+      provider: 'Dr. Smith',
+      lead_time: 'in 24 hours',
+      date_time: 'Mon, Mar 2, 2:00 PM'
+    },
+    locales: {
+      en: {
+        body: '{{brand.practice_name}} reminder: your {{appointment_type}} with {{provider}} is {{lead_time}} ({{date_time}}). ' +
+          'Reply C to confirm, CANCEL to cancel or R to reschedule.'
+      },
+      es: {
+        body: 'Recordatorio de {{brand.practice_name}}: su cita de {{appointment_type}} con {{provider}} es {{lead_time}} ({{date_time}}). ' +
+          'Responda C para confirmar, CANCEL para cancelar o R para cambiar la cita.'
+      }
+    }
+  },
+
+  waitlist_offer_sms: {
+    channel: 'sms',
+    description: 'Offers a freed slot to a waitlisted patient by text',
+    sample: {
+      date_time: 'Mon, Mar 2, 2:00 PM',
+      provider: 'Dr. Smith',
+      hold_minutes: 30,
+      claim_link: 'https://example.com/api/waitlist/offers/abc/claim'
+    },
+    locales: {
+      en: {
+        body: '{{brand.practice_name}}: An earlier appointment opened up on {{date_time}}{{#provider}} with {{provider}}{{/provider}}. ' +
+          'Claim it within {{hold_minutes}} minutes: {{claim_link}}'
+      },
+      es: {
+        body: '{{brand.practice_name}}: Se liberó una cita más temprana el {{date_time}}{{#provider}} con {{provider}}{{/provider}}. ' +
+          'Resérvela en los próximos {{hold_minutes}} minutos: {{claim_link}}'
+      }
+    }
+  },
+
+  verification_code_sms: {
+    channel: 'sms',
+    description: 'Patient portal login code',
+    sample: { code: '123456' },
+    locales: {
+      en: { body: 'Your {{brand.practice_name}} verification code is: {{code}}. Valid for 10 minutes.' },
+      es: { body: 'Su código de verificación de {{brand.practice_name}} es: {{code}}. Válido por 10 minutos.' }
+    }
+  },
+
+  payment_link_sms: {
+    channel: 'sms',
+    description: 'Payment link texted during a voice checkout',
+    sample: {
+      merchant_name: 'DocLittle',
+      product_name: 'Copay',
+      amount: '25.00',
+      payment_link: 'https://example.com/payment/abc'
+    },
+    locales: {
+      en: { body: '{{merchant_name}}: Complete your order for {{product_name}} (${{amount}}):\n\n{{payment_link}}\n\nLink expires in 1 hour.' },
+      es: { body: '{{merchant_name}}: Complete su pedido de {{product_name}} (${{amount}}):\n\n{{payment_link}}\n\nEl enlace vence en 1 hora.' }
+    }
+  },
+
+  order_confirmation_sms: {
+    channel: 'sms',
+    description: 'Sent after a voice checkout is paid',
+    sample: { product_name: 'Copay', order_id: 'ORD-12345' },
+    locales: {
+      en: { body: 'Order confirmed! Your {{product_name}} will be shipped soon. Order #{{order_id}}' },
+      es: { body: '¡Pedido confirmado! Su {{product_name}} se enviará pronto. Pedido #{{order_id}}' }
+    }
+  },
+
+  reply_stop_sms: {
+    channel: 'sms',
+    description: 'Reply to STOP (sent even though the number is now opted out)',
+    sample: {},
+    locales: {
+      en: { body: '{{brand.practice_name}}: You are unsubscribed and will receive no further texts. Reply START to resubscribe.' },
+      es: { body: '{{brand.practice_name}}: Se canceló su suscripción y no recibirá más mensajes. Responda START para volver a suscribirse.' }
+    }
+  },
+
+  reply_start_sms: {
+    channel: 'sms',
+    description: 'Reply to START',
+    sample: {},
+    locales: {
+      en: { body: '{{brand.practice_name}}: You are resubscribed to appointment texts. Reply HELP for help, STOP to opt out.' },
+      es: { body: '{{brand.practice_name}}: Se volvió a suscribir a los mensajes de sus citas. Responda HELP para obtener ayuda o STOP para darse de baja.' }
+    }
+  },
+
+  reply_help_sms: {
+    channel: 'sms',
+    description: 'Reply to HELP',
+    sample: { phone: '+15551234567' },
+    locales: {
+      en: {
+        body: '{{brand.practice_name}} appointment texts. Reply C to confirm, CANCEL to cancel or R to reschedule your next appointment. ' +
+          'Reply STOP to opt out.{{#phone}} Questions? Call {{phone}}.{{/phone}}'
+      },
+      es: {
+        body: 'Mensajes de citas de {{brand.practice_name}}. Responda C para confirmar, CANCEL para cancelar o R para cambiar su próxima cita. ' +
+          'Responda STOP para darse de baja.{{#phone}} ¿Preguntas? Llame al {{phone}}.{{/phone}}'
+      }
+    }
+  },
+
+  reply_unknown_sms: {
+    channel: 'sms',
+    description: 'Reply to a text that is not a keyword (it goes to the staff inbox)',
+    sample: {},
+    locales: {
+      en: {
+        body: '{{brand.practice_name}}: Thanks for your message. Our team will get back to you. ' +
+          'Reply C to confirm, CANCEL to cancel or R to reschedule your next appointment.'
+      },
+      es: {
+        body: '{{brand.practice_name}}: Gracias por su mensaje. Nuestro equipo se comunicará con usted. ' +
+          'Responda C para confirmar, CANCEL para cancelar o R para cambiar su próxima cita.'
+      }
+    }
+  },
+
+  reply_no_appointment_sms: {
+    channel: 'sms',
+    description: 'Reply to C, CANCEL or R from a number with no upcoming appointment',
+    sample: {},
+    locales: {
+      en: { body: '{{brand.practice_name}}: We could not find an upcoming appointment for this number. Our team will get back to you.' },
+      es: { body: '{{brand.practice_name}}: No encontramos una cita próxima para este número. Nuestro equipo se comunicará con usted.' }
+    }
+  },
+
+  reply_reschedule_sms: {
+    channel: 'sms',
+    description: 'Reply to R (staff follow up to find a new time)',
+    sample: { appointment_type: 'Follow-up Session', date_time: 'Tue, Mar 3, 2:00 PM' },
+    locales: {
+      en: { body: '{{brand.practice_name}}: Thanks, our team will contact you to find a new time for your {{appointment_type}} on {{date_time}}.' },
+      es: { body: '{{brand.practice_name}}: Gracias, nuestro equipo se comunicará con usted para buscar un nuevo horario para su cita de {{appointment_type}} del {{date_time}}.' }
+    }
+  },
+
+  reply_failed_sms: {
+    channel: 'sms',
+    description: 'Reply when a confirmation or cancellation by text could not be made',
+    sample: {},
+    locales: {
+      en: { body: '{{brand.practice_name}}: Sorry, we could not update your appointment by text. Our team will get back to you.' },
+      es: { body: '{{brand.practice_name}}: Lo sentimos, no pudimos actualizar su cita por mensaje de texto. Nuestro equipo se comunicará con usted.' }
+    }
+  },
+
+  reply_confirmed_sms: {
+    channel: 'sms',
+    description: 'Reply to C',
+    sample: { appointment_type: 'Follow-up Session', date_time: 'Tue, Mar 3, 2:00 PM' },
+    locales: {
+      en: { body: '{{brand.practice_name}}: Thanks, your {{appointment_type}} on {{date_time}} is confirmed.' },
+      es: { body: '{{brand.practice_name}}: Gracias, su cita de {{appointment_type}} del {{date_time}} está confirmada.' }
+    }
+  },
+
+  reply_cancelled_sms: {
+    channel: 'sms',
+    description: 'Reply to CANCEL, with the late-cancellation fee when one applies',
+    sample: { appointment_type: 'Follow-up Session', date_time: 'Tue, Mar 3, 2:00 PM', late_fee: '50.00' },
+    locales: {
+      en: {
+        body: '{{brand.practice_name}}: Your {{appointment_type}} on {{date_time}} is cancelled.' +
+          '{{#late_fee}} This was a late cancellation, so a ${{late_fee}} fee applies.{{/late_fee}}'
+      },
+      es: {
+        body: '{{brand.practice_name}}: Su cita de {{appointment_type}} del {{date_time}} está cancelada.' +
+          '{{#late_fee}} Como se canceló con poca anticipación, se aplica un cargo de ${{late_fee}}.{{/late_fee}}'
+      }
+    }
+  },
+
+  appeal_reconsideration: {
+    channel: 'letter',
+    description: 'Appeal letter asking the payer to reconsider a denial',
+    sample: APPEAL_SAMPLE,
+    locales: {
+      en: {
+        subject: 'Request for reconsideration: claim {{claim_number}}{{^claim_number}}{{patient_control_number}}{{/claim_number}}',
+        body: APPEAL_HEADER + `
+To whom it may concern:
+
+We are writing to request reconsideration of the claim above (level {{appeal_level}} appeal), denied on {{denial_date}} for:{{#denial_reasons}}
+- {{code}}: {{description}}{{/denial_reasons}}{{#remark_codes}}
+- Remark {{code}}: {{description}}{{/remark_codes}}
+
+Services billed:{{#services}}
+- {{code}}{{#modifiers}}-{{modifiers}}{{/modifiers}}{{#description}} {{description}}{{/description}}: \${{charge}}{{/services}}
+
+Diagnoses:{{#diagnoses}}
+- {{code}}{{#description}} {{description}}{{/description}}{{/diagnoses}}
+
+{{#clinical_summary}}{{clinical_summary}}
+
+{{/clinical_summary}}We believe the services were billed correctly and are covered under the patient's plan. Please review the claim and reprocess it for payment. The supporting records are available on request.
+` + APPEAL_SIGNATURE
+      }
+    }
+  },
+
+  appeal_medical_necessity: {
+    channel: 'letter',
+    description: 'Appeal letter for a medical necessity or visit limit denial, with the clinical record',
+    sample: APPEAL_SAMPLE,
+    locales: {
+      en: {
+        subject: 'Appeal of medical necessity denial: claim {{claim_number}}{{^claim_number}}{{patient_control_number}}{{/claim_number}}',
+        body: APPEAL_HEADER + `
+To whom it may concern:
+
+We are appealing the denial of the claim above (level {{appeal_level}} appeal), dated {{denial_date}}:{{#denial_reasons}}
+- {{code}}: {{description}}{{/denial_reasons}}
+
+The services were medically necessary for the treatment of:{{#diagnoses}}
+- {{code}}{{#description}} {{description}}{{/description}}{{/diagnoses}}
+
+Services provided on {{date_of_service}}{{#session_minutes}} ({{session_minutes}}-minute session){{/session_minutes}}:{{#services}}
+- {{code}}{{#modifiers}}-{{modifiers}}{{/modifiers}}{{#description}} {{description}}{{/description}}{{/services}}
+
+{{#clinical_summary}}Clinical presentation: {{clinical_summary}}
+
+{{/clinical_summary}}{{#observations.length}}Measures:{{#observations}}
+- {{type}}: {{value}}{{/observations}}
+
+{{/observations.length}}{{#treatment_plan}}Treatment plan: {{treatment_plan}}
+
+{{/treatment_plan}}Without continued treatment the patient is at risk of worsening symptoms and loss of function. We ask that you overturn the denial and reprocess the claim. Treatment records are available on request.
+` + APPEAL_SIGNATURE
+      }
+    }
+  },
+
+  appeal_timely_filing: {
+    channel: 'letter',
+    description: 'Appeal letter for a timely filing denial, with proof of the original filing',
+    sample: APPEAL_SAMPLE,
+    locales: {
+      en: {
+        subject: 'Appeal of timely filing denial: claim {{claim_number}}{{^claim_number}}{{patient_control_number}}{{/claim_number}}',
+        body: APPEAL_HEADER + `
+To whom it may concern:
+
+The claim above was denied on {{denial_date}} as not filed in time. It was filed within your filing limit, as our records show:{{#filing_history}}
+- {{date}}: {{description}}{{/filing_history}}
+
+Please accept this as proof of timely filing and reprocess the claim. Copies of the clearinghouse acknowledgments are available on request.
+` + APPEAL_SIGNATURE
+      }
+    }
+  }
+};
+
+module.exports = { LOCALES, DEFAULT_LOCALE, DEFAULT_BRANDING, TEMPLATES };
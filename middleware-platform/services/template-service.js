@@ -0,0 +1,425 @@
+/**
+ * Template Service
+ *
+ * Renders the email and SMS messages sent to patients, and the letters sent to payers, from named templates:
+ * - Built-in templates in English and Spanish (services/template-defaults.js)
+ * - Practice changes per template and locale, stored in the database and checked before saving
+ * - Branding (practice name, sign-off, colour, logo, contact details) shown in every template
+ * - Previews of any template with sample data
+ * A template missing in the patient's language falls back to English.
+ */
+
+const db = require('../database');
+const CommunicationPreferencesService = require('./communication-preferences-service');
+const { LOCALES, DEFAULT_LOCALE, DEFAULT_BRANDING, TEMPLATES } = require('./template-defaults');
+
+const LAYOUT = 'email_layout';
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+const INTL_LOCALES = { en: 'en-US', es: 'es-US' };
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Parsed templates, keyed by source
+const compiled = new Map();
+
+class TemplateService {
+  static get LOCALES() {
+    return LOCALES;
+  }
+
+  /**
+   * Render a template for sending
+   * @param {String} name - Template name, e.g. appointment_reminder or appointment_reminder_sms
+   * @param {String} locale - en | es (anything else renders in English)
+   * @param {Object} data - Template values
+   * @returns {Object} - Email: { subject, html, locale }; SMS: { text, locale }; letter: { subject, text, locale }
+   */
+  static render(name, locale, data = {}) {
+    const definition = this._definition(name);
+    const resolved = this._resolve(name, locale);
+    return this._renderTemplate(definition, resolved.template, resolved.locale, data);
+  }
+
+  /**
+   * Language to write to a patient in (their communication preference)
+   * @param {String} phone - Patient phone; without one, messages go out in English
+   */
+  static localeFor(phone) {
+    if (!phone) return DEFAULT_LOCALE;
+    return CommunicationPreferencesService.getPreferences(phone).language;
+  }
+
+  /**
+   * Every template with the locales the practice has changed
+   */
+  static getTemplates() {
+    const overrides = db.getMessageTemplateOverrides();
+    return Object.entries(TEMPLATES).map(([name, definition]) => ({
+      name,
+      channel: definition.channel,
+      description: definition.description,
+      locales: LOCALES.map(locale => {
+        const override = overrides.find(o => o.name === name && o.locale === locale);
+        return {
+          locale,
+          customized: !!override,
+          updated_by: override ? override.updated_by : null,
+          updated_at: override ? override.updated_at : null
+        };
+      })
+    }));
+  }
+
+  /**
+   * A template as it will be sent in one locale, with the built-in version and its variables
+   */
+  static getTemplate(name, locale = DEFAULT_LOCALE) {
+    const definition = this._definition(name);
+    this._validateLocale(locale);
+    const override = db.getMessageTemplateOverride(name, locale);
+    const builtIn = definition.locales[locale] || definition.locales[DEFAULT_LOCALE];
+
+    return {
+      name,
+      channel: definition.channel,
+      description: definition.description,
+      locale,
+      ...this._fields(definition, override || builtIn),
+      customized: !!override,
+      updated_by: override ? override.updated_by : null,
+      updated_at: override ? override.updated_at : null,
+      default: this._fields(definition, builtIn),
+      variables: [...Object.keys(definition.sample), 'brand.*'],
+      sample_data: definition.sample
+    };
+  }
+
+  /**
+   * Replace a template's text for one locale
+   * @param {Object} template - { subject, title, body } (email), { subject, body } (letter) or { body } (SMS)
+   * @param {String} actor - Who made the change
+   */
+  static updateTemplate(name, locale, template = {}, actor = null) {
+    const definition = this._definition(name);
+    this._validateLocale(locale);
+
+    const required = definition.channel === 'email' && name !== LAYOUT ? ['subject', 'title', 'body']
+      : (definition.channel === 'letter' ? ['subject', 'body'] : ['body']);
+    for (const field of required) {
+      if (typeof template[field] !== 'string' || !template[field].trim()) {
+        throw new Error(`Validation failed: ${field} is required`);
+      }
+    }
+    const fields = this._fields(definition, template);
+    for (const field of required) {
+      this._check(definition, fields[field], field);
+    }
+    if (name === LAYOUT && !/\{\{\{\s*content\s*\}\}\}/.test(fields.body)) {
+      throw new Error('Validation failed: the email layout must include {{{content}}}');
+    }
+
+    db.setMessageTemplateOverride(name, locale, { ...fields, updated_by: actor });
+    console.log(`📝 Template ${name} (${locale}) updated${actor ? ` by ${actor}` : ''}`);
+    return this.getTemplate(name, locale);
+  }
+
+  /**
+   * Go back to the built-in template for one locale
+   */
+  static resetTemplate(name, locale) {
+    this._definition(name);
+    this._validateLocale(locale);
+    if (!db.deleteMessageTemplateOverride(name, locale)) {
+      throw new Error(`Template ${name} (${locale}) has not been customized`);
+    }
+    console.log(`↩️  Template ${name} (${locale}) reset to default`);
+    return this.getTemplate(name, locale);
+  }
+
+  /**
+   * Render a template with sample data
+   * @param {Object} options - { locale?, data? (replaces sample values), template? (unsaved
+   *                           { subject, title, body } to try before saving) }
+   */
+  static preview(name, options = {}) {
+    const definition = this._definition(name);
+    const locale = options.locale || DEFAULT_LOCALE;
+    this._validateLocale(locale);
+
+    let template;
+    let renderedLocale = locale;
+    if (options.template) {
+      template = { ...this._resolve(name, locale).template, ...options.template };
+      for (const field of ['subject', 'title', 'body']) {
+        if (template[field]) this._check(definition, template[field], field);
+      }
+    } else {
+      const resolved = this._resolve(name, locale);
+      template = resolved.template;
+      renderedLocale = resolved.locale;
+    }
+
+    const data = { ...definition.sample, ...(options.data || {}) };
+    if (name === LAYOUT) {
+      return { name, channel: 'email', locale: renderedLocale, html: this._render(template.body, { ...data, brand: this.getBranding() }, true) };
+    }
+    return { name, channel: definition.channel, ...this._renderTemplate(definition, template, renderedLocale, data) };
+  }
+
+  /**
+   * Branding shown in every template (practice values over the defaults)
+   */
+  static getBranding() {
+    return { ...DEFAULT_BRANDING, ...db.getMessageBranding() };
+  }
+
+  /**
+   * Change branding; a null or empty value goes back to the default
+   * @param {Object} updates - { practice_name?, team_name?, primary_color?, logo_url?, support_phone?, support_email? }
+   */
+  static updateBranding(updates = {}) {
+    for (const [key, value] of Object.entries(updates)) {
+      if (!Object.prototype.hasOwnProperty.call(DEFAULT_BRANDING, key)) {
+        throw new Error(`Validation failed: unknown branding field ${key} (use ${Object.keys(DEFAULT_BRANDING).join(', ')})`);
+      }
+      if (value === null || value === '') continue;
+      if (typeof value !== 'string') {
+        throw new Error(`Validation failed: ${key} must be text`);
+      }
+      if (key === 'primary_color' && !COLOR_PATTERN.test(value)) {
+        throw new Error('Validation failed: primary_color must be a hex colour like #0891b2');
+      }
+      if (key === 'logo_url' && !/^https:\/\//.test(value)) {
+        throw new Error('Validation failed: logo_url must be an https:// address');
+      }
+    }
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (value === null || value === '') {
+        db.deleteMessageBranding(key);
+      } else {
+        db.setMessageBranding(key, value);
+      }
+    }
+    console.log(`🎨 Message branding updated: ${Object.keys(updates).join(', ')}`);
+    return this.getBranding();
+  }
+
+  /**
+   * Date and time in the patient's language
+   * @param {String|Date} value - Date to show
+   * @param {String} style - long ("Monday, March 2, 2026 at 2:00 PM"), short ("Mon, Mar 2, 2:00 PM") or time
+   */
+  static formatDateTime(value, locale = DEFAULT_LOCALE, timeZone = 'America/New_York', style = 'long') {
+    const options = {
+      long: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' },
+      short: { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' },
+      time: { hour: 'numeric', minute: '2-digit' }
+    }[style];
+    return new Date(value).toLocaleString(INTL_LOCALES[locale] || INTL_LOCALES[DEFAULT_LOCALE], { ...options, timeZone });
+  }
+
+  /**
+   * How far off an appointment is, for reminders ("in 3 days", "en 3 días")
+   * @param {Number} minutes - Time until the appointment
+   */
+  static describeLeadTime(minutes, locale = DEFAULT_LOCALE) {
+    const es = locale === 'es';
+    if (minutes < 45) {
+      return es ? `en ${minutes} minutos` : `in ${minutes} minutes`;
+    }
+    const hours = Math.round(minutes / 60);
+    if (hours === 1) {
+      return es ? 'en 1 hora' : 'in 1 hour';
+    }
+    if (hours < 36) {
+      return es ? `en ${hours} horas` : `in ${hours} hours`;
+    }
+    const days = Math.round(hours / 24);
+    return es ? `en ${days} días` : `in ${days} days`;
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  static _definition(name) {
+    const definition = TEMPLATES[name];
+    if (!definition) {
+      throw new Error(`Unknown template: ${name}`);
+    }
+    return definition;
+  }
+
+  static _validateLocale(locale) {
+    if (!LOCALES.includes(locale)) {
+      throw new Error(`Validation failed: locale must be one of ${LOCALES.join(', ')}`);
+    }
+  }
+
+  /**
+   * The template to send: the practice's version in the locale, the built-in one, then the same in English
+   * @returns {Object} - { template, locale }
+   */
+  static _resolve(name, locale) {
+    const definition = TEMPLATES[name];
+    const candidates = LOCALES.includes(locale) && locale !== DEFAULT_LOCALE ? [locale, DEFAULT_LOCALE] : [DEFAULT_LOCALE];
+    for (const candidate of candidates) {
+      const template = db.getMessageTemplateOverride(name, candidate) || definition.locales[candidate];
+      if (template) {
+        return { template, locale: candidate };
+      }
+    }
+    throw new Error(`Template ${name} has no ${DEFAULT_LOCALE} version`);
+  }
+
+  static _fields(definition, template) {
+    if (definition.channel === 'email') {
+      return { subject: template.subject || null, title: template.title || null, body: template.body };
+    }
+    return definition.channel === 'letter' ? { subject: template.subject || null, body: template.body } : { body: template.body };
+  }
+
+  static _renderTemplate(definition, template, locale, data) {
+    const context = { ...data, brand: this.getBranding() };
+    if (definition.channel === 'sms') {
+      return { text: this._render(template.body, context, false), locale };
+    }
+    if (definition.channel === 'letter') {
+      return { subject: this._render(template.subject || '', context, false), text: this._render(template.body, context, false), locale };
+    }
+
+    const title = this._render(template.title || '', context, false);
+    const content = this._render(template.body, context, true);
+    const layout = this._resolve(LAYOUT, locale).template;
+    return {
+      subject: this._render(template.subject || '', context, false),
+      html: this._render(layout.body, { ...context, title, content }, true),
+      locale
+    };
+  }
+
+  static _render(source, context, escape) {
+    return this._renderNodes(this._compile(source), [context], escape);
+  }
+
+  static _renderNodes(nodes, stack, escape) {
+    let output = '';
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        output += node.value;
+        continue;
+      }
+
+      const value = this._lookup(node.name, stack);
+      if (node.type === 'variable') {
+        if (value === undefined || value === null) continue;
+        output += escape && !node.raw ? String(value).replace(/[&<>"']/g, c => HTML_ESCAPES[c]) : String(value);
+        continue;
+      }
+
+      const empty = !value || (Array.isArray(value) && value.length === 0);
+      if (node.inverted) {
+        if (empty) output += this._renderNodes(node.children, stack, escape);
+      } else if (Array.isArray(value)) {
+        for (const item of value) {
+          output += this._renderNodes(node.children, [...stack, item], escape);
+        }
+      } else if (!empty) {
+        const scope = typeof value === 'object' ? [...stack, value] : stack;
+        output += this._renderNodes(node.children, scope, escape);
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Find a dotted name, starting from the innermost section
+   */
+  static _lookup(name, stack) {
+    const [first, ...rest] = name.split('.');
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const scope = stack[i];
+      if (scope && typeof scope === 'object' && Object.prototype.hasOwnProperty.call(scope, first)) {
+        return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope[first]);
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Parse a template into text, variable and section nodes
+   */
+  static _compile(source) {
+    if (compiled.has(source)) return compiled.get(source);
+
+    const root = { children: [] };
+    const open = [root];
+    let last = 0;
+    let match;
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+      const current = open[open.length - 1];
+      if (match.index > last) {
+        current.children.push({ type: 'text', value: source.slice(last, match.index) });
+      }
+      last = TAG_PATTERN.lastIndex;
+
+      if (match[1]) {
+        current.children.push({ type: 'variable', name: match[1], raw: true });
+      } else if (match[2] === '#' || match[2] === '^') {
+        const section = { type: 'section', name: match[3], inverted: match[2] === '^', children: [] };
+        current.children.push(section);
+        open.push(section);
+      } else if (match[2] === '/') {
+        if (current === root || current.name !== match[3]) {
+          throw new Error(`Validation failed: {{/${match[3]}}} does not close an open section`);
+        }
+        open.pop();
+      } else {
+        current.children.push({ type: 'variable', name: match[3], raw: false });
+      }
+    }
+    if (open.length > 1) {
+      throw new Error(`Validation failed: section {{#${open[open.length - 1].name}}} is never closed`);
+    }
+    if (last < source.length) {
+      root.children.push({ type: 'text', value: source.slice(last) });
+    }
+
+    compiled.set(source, root.children);
+    return root.children;
+  }
+
+  /**
+   * Make sure an edited template parses and only uses values the message provides
+   */
+  static _check(definition, source, field) {
+    const nodes = this._compile(source);
+    const brand = Object.fromEntries(Object.keys(DEFAULT_BRANDING).map(key => [key, '']));
+    const unknown = [];
+    this._collectUnknown(nodes, [{ ...definition.sample, brand }], unknown);
+    if (unknown.length > 0) {
+      throw new Error(`Validation failed: ${field} uses unknown variable${unknown.length > 1 ? 's' : ''} ${[...new Set(unknown)].join(', ')}`);
+    }
+  }
+
+  static _collectUnknown(nodes, stack, unknown) {
+    for (const node of nodes) {
+      if (node.type === 'text') continue;
+
+      const [first] = node.name.split('.');
+      const scope = [...stack].reverse().find(s => s && typeof s === 'object' && Object.prototype.hasOwnProperty.call(s, first));
+      if (!scope) {
+        unknown.push(node.name);
+        continue;
+      }
+      if (node.type === 'section') {
+        const value = this._lookup(node.name, stack);
+        const inner = Array.isArray(value) ? value[0] : value;
+        const next = !node.inverted && inner && typeof inner === 'object' ? [...stack, inner] : stack;
+        this._collectUnknown(node.children, next, unknown);
+      }
+    }
+  }
+}
+
+module.exports = TemplateService;
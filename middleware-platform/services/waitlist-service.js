@@ -0,0 +1,446 @@
+/**
+ * Waitlist Service
+ *
+ * Patients register preferred days, times, provider and appointment type.
+ * When a cancellation or reschedule frees a slot, matching patients are offered
+ * it in queue order by SMS/email with a claim link. A pending offer holds the
+ * slot for WAITLIST_HOLD_MINUTES; if it expires or is declined the next patient
+ * in line gets the offer. The first patient to accept is booked through BookingService.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const BookingService = require('./booking-service');
+const AppointmentLifecycleService = require('./appointment-lifecycle-service');
+const EmailService = require('./email-service');
+const SMSService = require('./sms-service');
+const TemplateService = require('./template-service');
+const ProviderScheduleService = require('./provider-schedule-service');
+
+const HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 30;
+// How many patients are offered the same slot at once (first to accept wins)
+const OFFER_BATCH_SIZE = parseInt(process.env.WAITLIST_OFFER_BATCH_SIZE, 10) || 1;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+class WaitlistService {
+  static intervalId = null;
+  static isRunning = false;
+
+  /**
+   * Add a patient to the waitlist
+   * @param {Object} data - { patient_name, patient_phone, patient_email, appointment_type?, provider?,
+   *                          preferred_days?, preferred_time_start?, preferred_time_end?, earliest_date?, latest_date?, notes? }
+   * @returns {Object} - Created entry
+   */
+  static addToWaitlist(data) {
+    const errors = [];
+    if (!data.patient_name) errors.push('Patient name is required');
+    if (!data.patient_phone && !data.patient_email) errors.push('Patient phone or email is required');
+    for (const field of ['preferred_time_start', 'preferred_time_end']) {
+      if (data[field] && !TIME_PATTERN.test(data[field])) {
+        errors.push(`${field} must be in HH:MM (24-hour) format`);
+      }
+    }
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    let provider = null;
+    if (data.provider) {
+      provider = ProviderScheduleService.resolveProvider(data.provider);
+      if (!provider) {
+        throw new Error(`Provider not found: ${data.provider}`);
+      }
+    }
+
+    const entry = {
+      id: `wait-${uuidv4()}`,
+      patient_name: data.patient_name,
+      patient_phone: data.patient_phone ? SMSService.formatPhoneNumber(data.patient_phone) : null,
+      patient_email: data.patient_email,
+      appointment_type: data.appointment_type || null,
+      provider_id: provider ? provider.id : null,
+      provider: provider ? provider.name : null,
+      preferred_days: this._parseDays(data.preferred_days),
+      preferred_time_start: data.preferred_time_start,
+      preferred_time_end: data.preferred_time_end,
+      earliest_date: data.earliest_date,
+      latest_date: data.latest_date,
+      notes: data.notes
+    };
+
+    db.createWaitlistEntry(entry);
+    console.log(`📝 Added ${entry.patient_name} to waitlist (${entry.id})`);
+    return this._formatEntry(db.getWaitlistEntry(entry.id));
+  }
+
+  /**
+   * List waitlist entries in queue order
+   */
+  static getWaitlist(status = 'active') {
+    return db.getWaitlistEntries(status).map(entry => this._formatEntry(entry));
+  }
+
+  /**
+   * Get an entry with its offer history (claim tokens omitted)
+   */
+  static getEntry(entryId) {
+    const entry = db.getWaitlistEntry(entryId);
+    if (!entry) return null;
+
+    return {
+      entry: this._formatEntry(entry),
+      offers: db.getWaitlistOffersForEntry(entry.id).map(({ token, ...offer }) => offer)
+    };
+  }
+
+  /**
+   * Remove a patient from the waitlist
+   */
+  static removeFromWaitlist(entryId) {
+    const entry = db.getWaitlistEntry(entryId);
+    if (!entry) {
+      throw new Error('Waitlist entry not found');
+    }
+    db.updateWaitlistEntryStatus(entryId, 'cancelled');
+    return this._formatEntry(db.getWaitlistEntry(entryId));
+  }
+
+  /**
+   * Offer a freed slot to the waitlist
+   * Called by BookingService after a cancellation or reschedule.
+   * @param {Object} appointment - The appointment row as it was before it freed the slot
+   * @returns {Array} - Offers sent
+   */
+  static async handleFreedSlot(appointment) {
+    if (!['scheduled', 'confirmed'].includes(appointment.status)) return [];
+    if (new Date(appointment.start_time) <= new Date()) return [];
+    if (appointment.group_session_id) {
+      const session = db.getGroupSession(appointment.group_session_id);
+      if (!session || session.status !== 'scheduled') return [];
+    }
+
+    // Each freed group therapy seat is its own slot; the session itself stays on the calendar
+    const slotKey = `${appointment.provider_id || 'any'}|${appointment.date}|${appointment.time}` +
+      (appointment.group_session_id ? `|${appointment.id}` : '');
+
+    const slot = {
+      slot_key: slotKey,
+      date: appointment.date,
+      time: appointment.time,
+      start_time: appointment.start_time,
+      end_time: appointment.end_time,
+      appointment_type: appointment.appointment_type,
+      provider_id: appointment.provider_id || null,
+      provider: appointment.provider,
+      source_appointment_id: appointment.id,
+      source_phone: appointment.patient_phone
+    };
+
+    console.log(`\n🔔 WAITLIST: Slot freed ${slot.date} at ${slot.time} (${slot.provider || 'any provider'})`);
+    return await this._offerSlot(slot);
+  }
+
+  /**
+   * Look up an offer by its claim token
+   */
+  static getOffer(token) {
+    const offer = db.getWaitlistOfferByToken(token);
+    if (!offer) return null;
+
+    if (offer.status === 'pending' && new Date(offer.expires_at) <= new Date()) {
+      // Let the sweeper move the slot on; report it as expired right away
+      return { ...offer, status: 'expired' };
+    }
+    return offer;
+  }
+
+  /**
+   * Accept an offer and book the slot
+   * @param {String} token - Claim token from the offer link
+   * @returns {Object} - { success, appointment } or { success: false, error }
+   */
+  static async acceptOffer(token) {
+    console.log('\n🎟️  WAITLIST: Accept Offer');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+    const offer = this.getOffer(token);
+    if (!offer) {
+      return { success: false, error: 'Offer not found' };
+    }
+    if (offer.status === 'expired') {
+      await this.expireOffers();
+      return { success: false, error: 'This offer has expired' };
+    }
+    if (offer.status !== 'pending') {
+      return { success: false, error: 'This offer is no longer available' };
+    }
+
+    if (!db.claimWaitlistOffer(offer.id, offer.slot_key)) {
+      return { success: false, error: 'Another patient already claimed this slot' };
+    }
+
+    const entry = db.getWaitlistEntry(offer.waitlist_entry_id);
+    const result = await BookingService.scheduleAppointment({
+      patient_name: entry.patient_name,
+      patient_phone: entry.patient_phone,
+      patient_email: entry.patient_email,
+      appointment_type: offer.appointment_type,
+      date: offer.date,
+      time: offer.time,
+      provider: offer.provider_id || offer.provider,
+      notes: 'Booked from waitlist'
+    });
+
+    if (!result.success) {
+      // Booked by someone else outside the waitlist while the offer was open
+      db.updateWaitlistOfferStatus(offer.id, 'unavailable', 'accepted');
+      console.warn('⚠️  Waitlist slot no longer available:', result.error);
+      return { success: false, error: `This slot is no longer available: ${result.error}` };
+    }
+
+    db.setWaitlistOfferAppointment(offer.id, result.appointment.id);
+    db.updateWaitlistEntryStatus(entry.id, 'booked', result.appointment.id);
+    console.log(`✅ Waitlist slot booked for ${entry.patient_name}: ${result.appointment.id}`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    return {
+      success: true,
+      message: 'Appointment booked from waitlist',
+      appointment: result.appointment
+    };
+  }
+
+  /**
+   * Decline an offer; the slot moves on to the next patient in line
+   */
+  static async declineOffer(token) {
+    const offer = this.getOffer(token);
+    if (!offer) {
+      return { success: false, error: 'Offer not found' };
+    }
+    if (offer.status !== 'pending') {
+      return { success: false, error: 'This offer is no longer available' };
+    }
+
+    db.updateWaitlistOfferStatus(offer.id, 'declined');
+    console.log(`↩️  Waitlist offer declined: ${offer.id}`);
+
+    const next = await this._offerNext(offer);
+    return { success: true, message: 'Offer declined', next_offers: next.length };
+  }
+
+  /**
+   * Expire offers whose hold has run out and offer those slots to the next patients
+   * @returns {Number} - Offers expired
+   */
+  static async expireOffers() {
+    const expired = db.getExpiredWaitlistOffers();
+    const slots = new Map();
+
+    for (const offer of expired) {
+      if (db.updateWaitlistOfferStatus(offer.id, 'expired').changes > 0) {
+        slots.set(offer.slot_key, offer);
+      }
+    }
+
+    for (const offer of slots.values()) {
+      await this._offerNext(offer);
+    }
+
+    if (expired.length > 0) {
+      console.log(`⌛ Expired ${expired.length} waitlist offer(s)`);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Start the expiry sweeper (every minute)
+   */
+  static start() {
+    if (this.isRunning) {
+      console.log('⚠️  Waitlist sweeper already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.intervalId = setInterval(() => {
+      this.expireOffers().catch(error => console.error('❌ Error expiring waitlist offers:', error));
+    }, 60 * 1000);
+
+    console.log(`✅ Waitlist sweeper started (holds last ${HOLD_MINUTES} minutes)`);
+  }
+
+  /**
+   * Stop the expiry sweeper
+   */
+  static stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+  }
+
+  // ==================== PRIVATE HELPER METHODS ====================
+
+  /**
+   * Offer the slot to the next patients once nobody holds it any more
+   */
+  static async _offerNext(previousOffer) {
+    const offers = db.getWaitlistOffersForSlot(previousOffer.slot_key);
+    const stillOpen = offers.some(o => this._isBooked(o) ||
+      (o.status === 'pending' && new Date(o.expires_at) > new Date()));
+    if (stillOpen) return [];
+
+    return await this._offerSlot({
+      ...previousOffer,
+      source_phone: null
+    });
+  }
+
+  static async _offerSlot(slot) {
+    if (new Date(slot.start_time) <= new Date()) return [];
+
+    // Someone may have booked the slot directly since it was freed
+    const check = await BookingService.checkAvailability(
+      slot.date,
+      slot.time,
+      slot.appointment_type,
+      slot.provider_id || null
+    );
+    if (!check.available) {
+      console.log(`ℹ️  Slot ${slot.date} ${slot.time} no longer free: ${check.reason}`);
+      return [];
+    }
+
+    const alreadyOffered = new Set(db.getWaitlistOffersForSlot(slot.slot_key).map(o => o.waitlist_entry_id));
+    const candidates = db.getWaitlistEntries('active')
+      .filter(entry => !alreadyOffered.has(entry.id))
+      .filter(entry => !slot.source_phone || entry.patient_phone !== slot.source_phone)
+      .filter(entry => !this._hasPendingOffer(entry.id))
+      .filter(entry => this._matches(entry, slot))
+      .slice(0, OFFER_BATCH_SIZE);
+
+    if (candidates.length === 0) {
+      console.log('ℹ️  No matching waitlist patients for this slot');
+      return [];
+    }
+
+    const holdUntil = new Date(Math.min(
+      Date.now() + HOLD_MINUTES * 60 * 1000,
+      new Date(slot.start_time).getTime()
+    ));
+
+    const sent = [];
+    for (const entry of candidates) {
+      const offer = {
+        id: `woffer-${uuidv4()}`,
+        waitlist_entry_id: entry.id,
+        slot_key: slot.slot_key,
+        date: slot.date,
+        time: slot.time,
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+        appointment_type: slot.appointment_type,
+        provider_id: slot.provider_id,
+        provider: slot.provider,
+        source_appointment_id: slot.source_appointment_id,
+        token: crypto.randomBytes(24).toString('hex'),
+        expires_at: holdUntil.toISOString()
+      };
+      offer.sent_via = await this._sendOffer(entry, offer);
+
+      db.createWaitlistOffer(offer);
+      console.log(`📨 Offered ${slot.date} ${slot.time} to ${entry.patient_name} via ${offer.sent_via} (hold until ${offer.expires_at})`);
+      sent.push(offer);
+    }
+
+    return sent;
+  }
+
+  static async _sendOffer(entry, offer) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:4000';
+    const claimLink = `${baseUrl}/api/waitlist/offers/${offer.token}/claim`;
+    const channels = [];
+
+    if (entry.patient_phone) {
+      const locale = TemplateService.localeFor(entry.patient_phone);
+      const message = TemplateService.render('waitlist_offer_sms', locale, {
+        date_time: TemplateService.formatDateTime(offer.start_time, locale, undefined, 'short'),
+        provider: offer.provider || null,
+        hold_minutes: HOLD_MINUTES,
+        claim_link: claimLink
+      }).text;
+      const result = await SMSService.sendSMS(entry.patient_phone, message, { category: 'waitlist_offer' });
+      if (result.success) channels.push('sms');
+    }
+
+    if (entry.patient_email) {
+      try {
+        const result = await EmailService.sendWaitlistOffer(entry, offer, claimLink);
+        if (result && result.success !== false) channels.push('email');
+      } catch (emailError) {
+        console.warn('⚠️  Waitlist offer email failed:', emailError.message);
+      }
+    }
+
+    return channels.join(',') || 'none';
+  }
+
+  // An accepted offer keeps the slot unless its booking was cancelled again since
+  static _isBooked(offer) {
+    if (offer.status !== 'accepted') return false;
+    if (!offer.appointment_id) return true;
+    const appointment = db.getAppointment(offer.appointment_id);
+    return !!appointment && !AppointmentLifecycleService.isReleased(appointment.status);
+  }
+
+  static _hasPendingOffer(entryId) {
+    return db.getWaitlistOffersForEntry(entryId)
+      .some(o => o.status === 'pending' && new Date(o.expires_at) > new Date());
+  }
+
+  static _matches(entry, slot) {
+    if (entry.appointment_type && entry.appointment_type !== slot.appointment_type) return false;
+    // Only patients who asked for a group are offered group seats
+    if (!entry.appointment_type && BookingService.isGroupType(slot.appointment_type)) return false;
+    if (entry.provider_id && entry.provider_id !== slot.provider_id) return false;
+    if (entry.earliest_date && slot.date < entry.earliest_date) return false;
+    if (entry.latest_date && slot.date > entry.latest_date) return false;
+    if (entry.preferred_time_start && slot.time < entry.preferred_time_start) return false;
+    if (entry.preferred_time_end && slot.time >= entry.preferred_time_end) return false;
+
+    const days = entry.preferred_days ? JSON.parse(entry.preferred_days) : [];
+    if (days.length > 0 && !days.includes(new Date(`${slot.date}T00:00:00`).getDay())) return false;
+
+    return true;
+  }
+
+  // Accepts [1, 3], ["monday", "wed"] or "MO,WE"
+  static _parseDays(days) {
+    if (!days) return null;
+    const names = ['su', 'mo', 'tu', 'we', 'th', 'fr', 'sa'];
+    const list = Array.isArray(days) ? days : String(days).split(',');
+
+    return list.map(day => {
+      if (Number.isInteger(Number(day)) && String(day).trim() !== '') {
+        const index = Number(day);
+        if (index >= 0 && index <= 6) return index;
+      }
+      const index = names.indexOf(String(day).trim().toLowerCase().slice(0, 2));
+      if (index === -1) throw new Error(`Invalid preferred day: ${day}`);
+      return index;
+    });
+  }
+
+  static _formatEntry(entry) {
+    return {
+      ...entry,
+      preferred_days: entry.preferred_days ? JSON.parse(entry.preferred_days) : []
+    };
+  }
+}
+
+module.exports = WaitlistService;
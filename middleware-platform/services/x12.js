@@ -0,0 +1,144 @@
+/**
+ * X12 Format
+ *
+ * Writing and reading the X12 5010 envelope and segments shared by every transaction we
+ * exchange with clearinghouses: 837P claims, 270/271 eligibility and 835 remittances.
+ * Files we write use * between elements, : between components, ^ between repetitions and
+ * end each segment with ~ and a newline. Files we read declare their own delimiters in the ISA.
+ */
+
+class X12 {
+  static SEGMENT_TERMINATOR = '~';
+  static ELEMENT_SEPARATOR = '*';
+  static COMPONENT_SEPARATOR = ':';
+  static REPETITION_SEPARATOR = '^';
+
+  /**
+   * Join elements, drop trailing empty ones and strip separator characters from values
+   * An array is a composite element; its components are joined with the component separator.
+   */
+  static segment(id, ...elements) {
+    const values = elements.map(value => Array.isArray(value)
+      ? value.map(component => this.clean(component)).join(this.COMPONENT_SEPARATOR)
+      : this.clean(value));
+    while (values.length > 0 && values[values.length - 1] === '') {
+      values.pop();
+    }
+    return [id, ...values].join(this.ELEMENT_SEPARATOR);
+  }
+
+  /**
+   * ISA/GS headers and GE/IEA trailers around transaction sets
+   * @param {Array} transactionSets - Segments of each ST...SE
+   * @param {Object} envelope - { sender_id, receiver_id, usage_indicator, interchange_control_number,
+   *                              group_control_number, functional_code, version, created_at }
+   * @returns {String} - The interchange, one segment per line
+   */
+  static interchange(transactionSets, envelope) {
+    const createdAt = new Date(envelope.created_at);
+    const date = this.date(createdAt);
+    const time = this.time(createdAt);
+    const icn = String(envelope.interchange_control_number).padStart(9, '0');
+
+    // ISA elements are fixed width, so they are written as given
+    const isa = ['ISA', '00', ''.padEnd(10), '00', ''.padEnd(10),
+      'ZZ', this.fixed(envelope.sender_id, 15), 'ZZ', this.fixed(envelope.receiver_id, 15),
+      date.slice(2), time, this.REPETITION_SEPARATOR, '00501', icn, '1', envelope.usage_indicator,
+      this.COMPONENT_SEPARATOR].join(this.ELEMENT_SEPARATOR);
+
+    const segments = [
+      isa,
+      this.segment('GS', envelope.functional_code, envelope.sender_id, envelope.receiver_id, date, time,
+        String(envelope.group_control_number), 'X', envelope.version),
+      ...transactionSets.flat(),
+      this.segment('GE', String(transactionSets.length), String(envelope.group_control_number)),
+      this.segment('IEA', '1', icn)
+    ];
+    return segments.map(segment => segment + this.SEGMENT_TERMINATOR).join('\n') + '\n';
+  }
+
+  /**
+   * Split a received file into segments using the delimiters its ISA declares
+   * @param {String} content - The file as received
+   * @param {String} transaction - Transaction set expected (for error messages), e.g. '835'
+   * @returns {Object} - { segments: [[id, element1, ...]], componentSeparator, repetitionSeparator,
+   *                       interchangeControlNumber }
+   */
+  static tokenize(content, transaction) {
+    const text = String(content || '').replace(/^\uFEFF/, '');
+    const start = text.indexOf('ISA');
+    if (start === -1 || text.length < start + 106) {
+      throw new Error(`Invalid ${transaction}: missing ISA segment`);
+    }
+
+    const isa = text.slice(start, start + 106);
+    const elementSeparator = isa[3];
+    const segmentTerminator = isa[105];
+    const segments = text.slice(start)
+      .split(segmentTerminator)
+      .map(segment => segment.replace(/^[\r\n]+/, '').trim())
+      .filter(Boolean)
+      .map(segment => segment.split(elementSeparator));
+
+    return {
+      segments,
+      componentSeparator: isa[104],
+      repetitionSeparator: segments[0][11],
+      interchangeControlNumber: (segments[0][13] || '').trim()
+    };
+  }
+
+  static clean(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+      .replace(/[*~:^\r\n]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  static fixed(value, length) {
+    return this.clean(value).slice(0, length).padEnd(length);
+  }
+
+  static digits(value) {
+    return String(value || '').replace(/\D/g, '');
+  }
+
+  // Date → CCYYMMDD
+  static date(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+  }
+
+  // Date → HHMM
+  static time(date) {
+    return date.toISOString().slice(11, 16).replace(':', '');
+  }
+
+  // YYYY-MM-DD → CCYYMMDD
+  static compactDate(value) {
+    return String(value || '').slice(0, 10).replace(/-/g, '');
+  }
+
+  // CCYYMMDD → YYYY-MM-DD
+  static isoDate(value) {
+    return /^\d{8}$/.test(value || '') ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` : null;
+  }
+
+  // NM1 wants last and first names apart: "Dr. Jane Smith, LCSW" → { first_name: 'Jane', last_name: 'Smith' }
+  static splitName(fullName) {
+    const words = String(fullName || '')
+      .split(',')[0]
+      .replace(/^(dr|mr|mrs|ms)\.?\s+/i, '')
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean);
+    if (words.length === 0) return { first_name: null, last_name: null };
+    return { first_name: words.length > 1 ? words.slice(0, -1).join(' ') : null, last_name: words[words.length - 1] };
+  }
+
+  static transactionSetNumber(index) {
+    return String(index + 1).padStart(4, '0');
+  }
+}
+
+module.exports = X12;
@@ -0,0 +1,111 @@
+/**
+ * Setup and cleanup shared by the billing tests (claims, EDI, remits, eligibility, fee schedules).
+ *
+ * - useBillingEnv() gives the practice billing details every 837P and 270 needs, with no
+ *   clearinghouse unless the test asks for one; restoreEnv() puts the environment back
+ * - createPatient() inserts a FHIR patient (Maria Lopez unless told otherwise)
+ * - cleanupBilling() removes what a run created, children first: remits from its payers, its claims
+ *   with their exports and acknowledgments, then eligibility checks, plans, patients, appointments,
+ *   providers and payers
+ */
+
+const BILLING_ENV = {
+  BILLING_PROVIDER_NAME: 'Harbor Counseling Group',
+  BILLING_PROVIDER_NPI: '1234567893',
+  BILLING_PROVIDER_TAX_ID: '12-3456789',
+  BILLING_PROVIDER_TAXONOMY: '101YM0800X',
+  BILLING_PROVIDER_ADDRESS: '100 Main St',
+  BILLING_PROVIDER_CITY: 'Boston',
+  BILLING_PROVIDER_STATE: 'MA',
+  BILLING_PROVIDER_ZIP: '02110',
+  BILLING_PLACE_OF_SERVICE: '11'
+};
+const ENV_KEYS = [...Object.keys(BILLING_ENV), 'CLEARINGHOUSE', 'MOCK_CLEARINGHOUSE_URL'];
+let savedEnv = null;
+
+// Required lazily: the clearinghouse test sets its environment before the database loads
+function database() {
+  return require('../database');
+}
+
+/**
+ * Set the billing environment; overrides win (e.g. { CLEARINGHOUSE: 'mock' })
+ */
+function useBillingEnv(overrides = {}) {
+  if (!savedEnv) {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  }
+  Object.assign(process.env, BILLING_ENV);
+  delete process.env.CLEARINGHOUSE;
+  delete process.env.MOCK_CLEARINGHOUSE_URL;
+  Object.assign(process.env, overrides);
+}
+
+function restoreEnv() {
+  if (!savedEnv) return;
+  Object.entries(savedEnv).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+  savedEnv = null;
+}
+
+function createPatient(id, { given = 'Maria', family = 'Lopez', birthDate = '1985-06-15', gender = 'female' } = {}) {
+  database().createFHIRPatient({
+    resourceType: 'Patient',
+    id,
+    name: [{ given: [given], family }],
+    birthDate,
+    gender,
+    address: [{ line: ['12 Elm St'], city: 'Cambridge', state: 'MA', postalCode: '02139' }],
+    telecom: []
+  });
+}
+
+/**
+ * Delete a run's billing rows. Claims are those listed plus every claim for its patients and payers;
+ * their events, lines and denials go with them (ON DELETE CASCADE).
+ * @param {Object} fixtures - { patientIds?, payerIds?, claimIds?, exportIds?, memberIds?, providerIds?, appointmentIds? }
+ */
+function cleanupBilling({
+  patientIds = [], payerIds = [], claimIds = [], exportIds = [], memberIds = [], providerIds = [], appointmentIds = []
+} = {}) {
+  const { db } = database();
+  const run = (sql, ids) => ids.forEach(id => db.prepare(sql).run(id));
+
+  const eraFileIds = payerIds.flatMap(payerId =>
+    db.prepare('SELECT id FROM era_files WHERE payer_id = ?').all(payerId).map(row => row.id));
+  run(`
+    DELETE FROM era_service_payments
+    WHERE claim_payment_id IN (SELECT id FROM era_claim_payments WHERE era_file_id = ?)
+  `, eraFileIds);
+  run('DELETE FROM era_claim_payments WHERE era_file_id = ?', eraFileIds);
+  run('DELETE FROM era_files WHERE id = ?', eraFileIds);
+
+  const claims = new Set(claimIds);
+  patientIds.forEach(id => db.prepare('SELECT id FROM insurance_claims WHERE patient_id = ?').all(id).forEach(row => claims.add(row.id)));
+  payerIds.forEach(id => db.prepare('SELECT id FROM insurance_claims WHERE payer_id = ?').all(id).forEach(row => claims.add(row.id)));
+  const exports = new Set(exportIds);
+  claims.forEach(id => db.prepare('SELECT export_id FROM claim_edi_export_claims WHERE claim_id = ?').all(id)
+    .forEach(row => exports.add(row.export_id)));
+  run('DELETE FROM claim_edi_export_claims WHERE export_id = ?', [...exports]);
+  run('DELETE FROM claim_edi_exports WHERE id = ?', [...exports]);
+  run('DELETE FROM claim_acknowledgments WHERE claim_id = ?', [...claims]);
+  run('DELETE FROM insurance_claims WHERE id = ?', [...claims]);
+
+  run('DELETE FROM eligibility_checks WHERE patient_id = ?', patientIds);
+  run('DELETE FROM eligibility_checks WHERE member_id = ?', memberIds);
+  run('DELETE FROM patient_insurance WHERE patient_id = ?', patientIds);
+  run('DELETE FROM fhir_patients WHERE resource_id = ?', patientIds);
+  run('DELETE FROM appointments WHERE id = ?', appointmentIds);
+  run('DELETE FROM providers WHERE id = ?', providerIds);
+  run('DELETE FROM insurance_payers WHERE payer_id = ?', payerIds);
+}
+
+module.exports = {
+  BILLING_ENV,
+  useBillingEnv,
+  restoreEnv,
+  createPatient,
+  cleanupBilling
+};
@@ -0,0 +1,130 @@
+/**
+ * Local stand-in for the parts of the Google Calendar v3 API DocLittle uses
+ * (events insert/update/delete and incremental list with sync tokens).
+ *
+ * Point GOOGLE_CALENDAR_API_URL at the URL returned by start() before loading the
+ * booking service. Tests edit calendars "in Google" with addEvent/updateEvent/deleteEvent.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+function start() {
+  // calendarId -> Map(eventId -> { event, seq })
+  const calendars = new Map();
+  let seq = 0;
+  let minValidToken = 0;
+
+  function eventsOf(calendarId) {
+    if (!calendars.has(calendarId)) calendars.set(calendarId, new Map());
+    return calendars.get(calendarId);
+  }
+
+  function save(calendarId, event) {
+    seq++;
+    eventsOf(calendarId).set(event.id, { event, seq });
+    return event;
+  }
+
+  function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  }
+
+  function list(calendarId, query, res) {
+    const stored = [...eventsOf(calendarId).values()];
+    let items;
+    if (query.get('syncToken')) {
+      const since = Number(query.get('syncToken'));
+      if (!Number.isInteger(since) || since < minValidToken) {
+        return send(res, 410, { error: { code: 410, message: 'Sync token is no longer valid, a full sync is required.' } });
+      }
+      items = stored.filter(s => s.seq > since);
+    } else {
+      items = stored.filter(s => s.event.status !== 'cancelled');
+    }
+    items = items.sort((a, b) => a.seq - b.seq).map(s => s.event);
+
+    const offset = Number(query.get('pageToken') || 0);
+    const pageSize = Number(query.get('maxResults') || 250);
+    const page = items.slice(offset, offset + pageSize);
+    const body = { kind: 'calendar#events', items: page };
+    if (offset + pageSize < items.length) {
+      body.nextPageToken = String(offset + pageSize);
+    } else {
+      body.nextSyncToken = String(seq);
+    }
+    send(res, 200, body);
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const match = url.pathname.match(/^\/calendar\/v3\/calendars\/([^/]+)\/events(?:\/([^/]+))?$/);
+      if (!match) return send(res, 404, { error: { code: 404, message: 'Not Found' } });
+
+      const calendarId = decodeURIComponent(match[1]);
+      const eventId = match[2] ? decodeURIComponent(match[2]) : null;
+      const body = raw ? JSON.parse(raw) : {};
+      const existing = eventId ? eventsOf(calendarId).get(eventId) : null;
+
+      if (req.method === 'GET' && !eventId) return list(calendarId, url.searchParams, res);
+      if (req.method === 'POST' && !eventId) {
+        return send(res, 200, save(calendarId, { ...body, id: crypto.randomUUID().replace(/-/g, ''), status: 'confirmed' }));
+      }
+      if (!existing || existing.event.status === 'cancelled') {
+        return send(res, 404, { error: { code: 404, message: 'Not Found' } });
+      }
+      if (req.method === 'GET') return send(res, 200, existing.event);
+      if (req.method === 'PUT' || req.method === 'PATCH') {
+        const base = req.method === 'PATCH' ? existing.event : {};
+        return send(res, 200, save(calendarId, { ...base, ...body, id: eventId, status: 'confirmed' }));
+      }
+      if (req.method === 'DELETE') {
+        // Deleted events come back from incremental lists with only their ID and status
+        save(calendarId, { id: eventId, status: 'cancelled' });
+        return send(res, 204);
+      }
+      send(res, 405, { error: { code: 405, message: 'Method Not Allowed' } });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/`,
+
+        addEvent(calendarId, event) {
+          return save(calendarId, { ...event, id: event.id || crypto.randomUUID().replace(/-/g, ''), status: 'confirmed' });
+        },
+
+        updateEvent(calendarId, eventId, changes) {
+          const existing = eventsOf(calendarId).get(eventId);
+          return save(calendarId, { ...existing.event, ...changes, id: eventId });
+        },
+
+        deleteEvent(calendarId, eventId) {
+          save(calendarId, { id: eventId, status: 'cancelled' });
+        },
+
+        getEvent(calendarId, eventId) {
+          const stored = eventsOf(calendarId).get(eventId);
+          return stored ? stored.event : null;
+        },
+
+        // Invalidate every sync token handed out so far (Google answers 410 Gone)
+        expireSyncTokens() {
+          minValidToken = seq + 1;
+        },
+
+        close() {
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+module.exports = { start };
@@ -0,0 +1,194 @@
+/**
+ * Appointment Lifecycle test
+ *
+ * Verifies:
+ * - scheduled → confirmed → checked_in → in_session → completed through the staff endpoints
+ * - Each change stamps its timestamp and is recorded with its actor
+ * - Guards: no check-in before the appointment date, no no-show before the start,
+ *   no skipping steps, no late cancel after the start
+ * - Moving several steps at once is all or nothing
+ * - A late cancel frees the slot like a cancellation
+ * - Provider live stats count real statuses
+ *
+ * Run: node tests/test-appointment-lifecycle.js
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const db = require('../database');
+const BookingService = require('../services/booking-service');
+const EmailService = require('../services/email-service');
+const AppointmentLifecycleService = require('../services/appointment-lifecycle-service');
+const ProviderService = require('../services/provider-service');
+const appointmentLifecycleRoutes = require('../routes/appointment-lifecycle');
+
+const suffix = Date.now().toString(36);
+const providerName = `Dr. Lifecycle ${suffix}`;
+let failures = 0;
+let server = null;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function localDate(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Status history goes with its appointment (ON DELETE CASCADE)
+function cleanup() {
+  db.db.prepare('DELETE FROM appointments WHERE provider = ?').run(providerName);
+}
+
+// Insert an appointment row directly so it can sit on today's date
+function createAppointment(name, date, time) {
+  const start = new Date(`${date}T${time}:00`);
+  const id = `APT-LC-${suffix}-${name}`.toUpperCase();
+  db.createAppointment({
+    id,
+    patient_name: `${name} ${suffix}`,
+    patient_phone: `+1555666${String(Math.floor(Math.random() * 10000)).padStart(4, '0')}`,
+    patient_email: null,
+    appointment_type: 'Follow-up',
+    date,
+    time,
+    start_time: start.toISOString(),
+    end_time: new Date(start.getTime() + 30 * 60 * 1000).toISOString(),
+    duration_minutes: 30,
+    provider: providerName,
+    status: 'scheduled',
+    notes: '',
+    calendar_event_id: null,
+    calendar_link: null,
+    created_at: new Date().toISOString()
+  });
+  return id;
+}
+
+async function post(path, body = {}) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/admin/appointments${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function runTest() {
+  // Record emails instead of sending them
+  EmailService.sendEmail = async () => ({ success: true, message_id: 'test', provider: 'test' });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin/appointments', appointmentLifecycleRoutes);
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  const today = localDate(new Date());
+  const tomorrowDate = new Date();
+  tomorrowDate.setDate(tomorrowDate.getDate() + 1);
+  const tomorrow = localDate(tomorrowDate);
+
+  console.log('\n🔁 Visit flow');
+  const visitId = createAppointment('Visit', today, '00:00');
+  let result = await post(`/${visitId}/confirm`, { actor: 'front_desk' });
+  check('Confirm moves scheduled → confirmed', result.status === 200 && result.body.from_status === 'scheduled' &&
+    result.body.appointment.status === 'confirmed' && result.body.appointment.confirmed_at);
+
+  result = await post(`/${visitId}/complete`);
+  check('Cannot complete a confirmed appointment', result.status === 409 && /confirmed appointment to completed/.test(result.body.error));
+
+  result = await post(`/${visitId}/check-in`, { actor: 'front_desk' });
+  check('Check-in on the appointment date', result.status === 200 && result.body.appointment.status === 'checked_in' &&
+    result.body.appointment.checked_in_at);
+
+  result = await post(`/${visitId}/start`, { actor: providerName });
+  check('Start moves to in_session', result.status === 200 && result.body.appointment.status === 'in_session');
+
+  const live = ProviderService.getLiveStats(providerName);
+  check('Live stats count the session in progress', live.in_session === 1 && live.completed === 0);
+  const schedule = ProviderService.getTodaySchedule(providerName);
+  check('Schedule shows the session as current', schedule.length === 1 && schedule[0].is_current &&
+    schedule[0].status_display === 'In Session');
+
+  result = await post(`/${visitId}/status`, { status: 'completed', actor: providerName, reason: 'Session notes signed' });
+  check('Generic status endpoint completes the visit', result.status === 200 && result.body.appointment.status === 'completed' &&
+    result.body.appointment.completed_at);
+  check('Completed visit is billable', AppointmentLifecycleService.isBillable(db.getAppointment(visitId).status));
+
+  result = await post(`/${visitId}/no-show`);
+  check('Completed is terminal', result.status === 409);
+
+  const historyResponse = await fetch(`http://127.0.0.1:${server.address().port}/api/admin/appointments/${visitId}/history`);
+  const history = (await historyResponse.json()).history;
+  check('History records every change in order', history.map(h => h.to_status).join(',') ===
+    'confirmed,checked_in,in_session,completed');
+  check('History records the actor', history[0].actor === 'front_desk' && history[2].actor === providerName);
+  check('History records the reason', history[3].reason === 'Session notes signed');
+
+  console.log('\n🛡️  Guards');
+  const futureId = createAppointment('Future', tomorrow, '10:00');
+  result = await post(`/${futureId}/check-in`);
+  check('Cannot check in before the appointment date', result.status === 409 && /day of the appointment/.test(result.body.error));
+  result = await post(`/${futureId}/no-show`);
+  check('Cannot mark a no-show before the start', result.status === 409 && /before it starts/.test(result.body.error));
+  result = await post(`/${futureId}/status`, { status: 'finished' });
+  check('Unknown status rejected', result.status === 400);
+  result = await post('/APT-DOES-NOT-EXIST/confirm');
+  check('Unknown appointment returns 404', result.status === 404);
+
+  const missedId = createAppointment('Missed', today, '00:00');
+  result = await post(`/${missedId}/late-cancel`);
+  check('Cannot late cancel after the start', result.status === 409 && /no-show/.test(result.body.error));
+  result = await post(`/${missedId}/no-show`, { actor: 'front_desk' });
+  check('No-show after the start', result.status === 200 && result.body.appointment.status === 'no_show' &&
+    result.body.appointment.no_show_at);
+  check('No-show is not billable', !AppointmentLifecycleService.isBillable(db.getAppointment(missedId).status));
+
+  const strandedId = createAppointment('Stranded', today, '00:00');
+  const transitionStatus = db.transitionAppointmentStatus;
+  db.transitionAppointmentStatus = change => change.to_status === 'in_session' ? false : transitionStatus(change);
+  let stepError = null;
+  try {
+    AppointmentLifecycleService.advanceTo(db.getAppointment(strandedId), 'completed', { actor: 'group_roster' });
+  } catch (error) {
+    stepError = error.message;
+  } finally {
+    db.transitionAppointmentStatus = transitionStatus;
+  }
+  check('A refused step undoes the steps before it', /status changed while updating/.test(stepError) &&
+    db.getAppointment(strandedId).status === 'scheduled' && !db.getAppointment(strandedId).checked_in_at &&
+    db.getAppointmentStatusHistory(strandedId).length === 0);
+
+  console.log('\n❌ Late cancel');
+  result = await post(`/${futureId}/late-cancel`, { actor: 'voice_agent', reason: 'Sick' });
+  const lateCancelled = db.getAppointment(futureId);
+  check('Late cancel releases the appointment', result.status === 200 && lateCancelled.status === 'late_cancel' &&
+    lateCancelled.cancelled_at && lateCancelled.cancellation_reason === 'Sick');
+  check('Late cancel recorded with its actor', AppointmentLifecycleService.getHistory(futureId).pop().actor === 'voice_agent');
+  const noBuffers = { buffer_before_minutes: 0, buffer_after_minutes: 0 };
+  check('Late-cancelled slot can be booked again', !BookingService._hasTimeConflict(
+    new Date(lateCancelled.start_time), new Date(lateCancelled.end_time), [lateCancelled], noBuffers));
+  result = await post(`/${futureId}/cancel`);
+  check('Cancelling again keeps the late cancel', /already cancelled/.test(result.body.message) &&
+    db.getAppointment(futureId).status === 'late_cancel');
+
+  const stats = ProviderService.getLiveStats(providerName);
+  check('Live stats count completed and no-show visits', stats.completed === 1 && stats.no_shows === 1 && stats.in_session === 0);
+  check('Late cancels on other days stay out of today\'s stats', stats.late_cancels === 0);
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(async () => {
+    cleanup();
+    if (server) await new Promise(resolve => server.close(resolve));
+    console.log(failures === 0 ? '\n✅ Appointment lifecycle test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
@@ -0,0 +1,159 @@
+/**
+ * Recurring appointment series test
+ *
+ * Verifies:
+ * - Recurrence expansion (weekly, biweekly, BYDAY, monthly, UNTIL), with an UNTIL past 52 occurrences refused
+ * - Series booking with per-occurrence conflict reporting
+ * - "this / following / all" edits and cancellations
+ *
+ * Run: node tests/test-appointment-series.js
+ */
+
+require('dotenv').config();
+
+const db = require('../database');
+const AppointmentSeriesService = require('../services/appointment-series-service');
+const ProviderScheduleService = require('../services/provider-schedule-service');
+
+const suffix = Date.now().toString(36);
+const created = { providers: [], series: new Set() };
+let failures = 0;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+// First Monday at least 90 days out, so real bookings never collide
+function futureMonday() {
+  const d = new Date();
+  d.setDate(d.getDate() + 90);
+  while (d.getDay() !== 1) d.setDate(d.getDate() + 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function cleanup() {
+  for (const id of created.series) {
+    db.db.prepare('DELETE FROM appointments WHERE series_id = ?').run(id);
+    db.db.prepare('DELETE FROM appointment_series WHERE id = ? OR parent_series_id = ?').run(id, id);
+  }
+  for (const id of created.providers) {
+    db.db.prepare('DELETE FROM appointments WHERE provider_id = ?').run(id);
+    db.db.prepare('DELETE FROM provider_schedules WHERE provider_id = ?').run(id);
+    db.db.prepare('DELETE FROM provider_time_off WHERE provider_id = ?').run(id);
+    db.db.prepare('DELETE FROM providers WHERE id = ?').run(id);
+  }
+}
+
+function testExpansion() {
+  console.log('\n📐 Recurrence expansion');
+  const expand = (recurrence, start, defaults) =>
+    AppointmentSeriesService.expandOccurrences(AppointmentSeriesService.parseRecurrence(recurrence, defaults), start);
+
+  check('Weekly x4', JSON.stringify(expand('weekly', '2030-01-07', { count: 4 })) ===
+    JSON.stringify(['2030-01-07', '2030-01-14', '2030-01-21', '2030-01-28']));
+  check('Biweekly x3', JSON.stringify(expand('biweekly', '2030-01-07', { count: 3 })) ===
+    JSON.stringify(['2030-01-07', '2030-01-21', '2030-02-04']));
+  check('BYDAY=MO,TH until date', JSON.stringify(expand('FREQ=WEEKLY;BYDAY=MO,TH;UNTIL=20300117', '2030-01-07')) ===
+    JSON.stringify(['2030-01-07', '2030-01-10', '2030-01-14', '2030-01-17']));
+  check('Monthly skips short months', JSON.stringify(expand('monthly', '2030-01-31', { count: 3 })) ===
+    JSON.stringify(['2030-01-31', '2030-03-31', '2030-05-31']));
+  check('RRULE round trip', AppointmentSeriesService.toRRule(
+    AppointmentSeriesService.parseRecurrence({ frequency: 'biweekly', count: 6, by_day: ['TU'] })
+  ) === 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU;COUNT=6');
+
+  let rejected = false;
+  try {
+    AppointmentSeriesService.parseRecurrence('weekly');
+  } catch (e) {
+    rejected = true;
+  }
+  check('Series without an end is rejected', rejected);
+
+  const yearOfWeeks = expand('weekly', '2030-01-07', { until: '2030-12-30' });
+  check('End date with 52 occurrences is kept whole', yearOfWeeks.length === 52 && yearOfWeeks[51] === '2030-12-30');
+  rejected = false;
+  try {
+    expand('weekly', '2030-01-07', { until: '2031-01-06' });
+  } catch (e) {
+    rejected = /^Occurrence count must be between 1 and 52/.test(e.message);
+  }
+  check('End date past 52 occurrences is rejected, not cut short', rejected);
+}
+
+async function testBooking() {
+  const monday = futureMonday();
+  const provider = ProviderScheduleService.createProvider({ name: `Dr. Series ${suffix}` });
+  created.providers.push(provider.id);
+  ProviderScheduleService.setWeeklySchedule(provider.id, [1, 2, 3, 4, 5].map(day => ({
+    day_of_week: day, start_time: '09:00', end_time: '17:00'
+  })));
+
+  // Block the third Monday so that occurrence conflicts
+  ProviderScheduleService.addTimeOff(provider.id, {
+    start_date: AppointmentSeriesService._addDays(monday, 14),
+    reason: 'Conference'
+  });
+
+  const base = {
+    patient_name: `Series Test ${suffix}`,
+    patient_phone: '+15555550101',
+    appointment_type: 'Follow-up Session',
+    provider: provider.id,
+    date: monday,
+    time: '10:00'
+  };
+
+  console.log('\n🔁 Series booking');
+  const preview = await AppointmentSeriesService.previewSeries({ ...base, recurrence: 'weekly', count: 5 });
+  check('Preview reports one conflict', preview.success && preview.conflict_count === 1);
+
+  const strict = await AppointmentSeriesService.createSeries({ ...base, recurrence: 'weekly', count: 5, skip_conflicts: false });
+  check('skip_conflicts=false books nothing', !strict.success && strict.conflicts.length === 1);
+
+  const result = await AppointmentSeriesService.createSeries({ ...base, recurrence: 'weekly', count: 5 });
+  if (result.series) created.series.add(result.series.id);
+  check('Series books free occurrences', result.success && result.booked_count === 4);
+  check('Conflict reported per occurrence', result.conflicts && result.conflicts[0].date === AppointmentSeriesService._addDays(monday, 14));
+  check('Occurrences carry series index', result.success && result.appointments[3].series_index === 5);
+
+  console.log('\n✏️  Edits');
+  const [first, second, , fourth] = result.appointments;
+  const single = await AppointmentSeriesService.updateOccurrences(second.id, 'this', { time: '11:00' });
+  check('"this" moves one occurrence', single.success && db.getAppointment(second.id).time === '11:00' &&
+    db.getAppointment(first.id).time === '10:00');
+
+  const following = await AppointmentSeriesService.updateOccurrences(fourth.id, 'following', { time: '14:00' });
+  if (following.series) created.series.add(following.series.id);
+  check('"following" splits the series', following.success && following.series.parent_series_id === result.series.id);
+  check('"following" leaves earlier occurrences', db.getAppointment(first.id).time === '10:00' &&
+    db.getAppointment(fourth.id).time === '14:00');
+
+  const all = await AppointmentSeriesService.updateOccurrences(first.id, 'all', { time: '13:00' });
+  check('"all" moves remaining occurrences of the series', all.success && db.getAppointment(second.id).time === '13:00');
+
+  console.log('\n🗑️  Cancellations');
+  const cancelFollowing = await AppointmentSeriesService.cancelOccurrences(fourth.id, 'following', 'Moving away');
+  check('"following" cancel on split series cancels it', cancelFollowing.success &&
+    db.getAppointment(fourth.id).status === 'cancelled' && cancelFollowing.series.status === 'cancelled');
+
+  const cancelAll = await AppointmentSeriesService.cancelSeries(result.series.id, 'Treatment completed');
+  check('Cancelling the series cancels upcoming occurrences', cancelAll.success &&
+    db.getSeriesAppointments(result.series.id).every(a => a.status === 'cancelled'));
+}
+
+async function runTest() {
+  testExpansion();
+  await testBooking();
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(() => {
+    cleanup();
+    console.log(failures === 0 ? '\n✅ Appointment series test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
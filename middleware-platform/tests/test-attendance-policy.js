@@ -0,0 +1,222 @@
+/**
+ * Attendance Policy test
+ *
+ * Verifies:
+ * - Patients cancelling inside the cancellation window are recorded as late cancels; staff
+ *   cancellations and early cancellations are not
+ * - Appointments without check-in are flagged no-shows after no_show_after_minutes
+ * - Fees come from the appointment type; the grace count waives the first miss
+ * - Fees go to the card on file when there is one, otherwise onto the patient balance
+ * - Card charges carry a Stripe idempotency key so the same fee is never charged twice
+ * - The patient summary counts misses, grace left and the outstanding balance
+ *
+ * Run: node tests/test-attendance-policy.js
+ */
+
+require('dotenv').config();
+
+const db = require('../database');
+const BookingService = require('../services/booking-service');
+const EmailService = require('../services/email-service');
+const AttendancePolicyService = require('../services/attendance-policy-service');
+const SchedulingConfigService = require('../services/scheduling-config-service');
+
+const suffix = Date.now().toString(36);
+const patientPhone = `+1555888${String(Math.floor(Math.random() * 10000)).padStart(4, '0')}`;
+const providerName = `Dr. Policy ${suffix}`;
+const created = { typeId: null, savedSettings: null };
+let failures = 0;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function cleanup() {
+  if (created.savedSettings) {
+    SchedulingConfigService.updateSettings(created.savedSettings);
+  }
+  db.db.prepare('DELETE FROM attendance_fees WHERE patient_phone = ?').run(patientPhone);
+  db.deletePatientPaymentProfile(patientPhone);
+  db.db.prepare('DELETE FROM appointments WHERE provider = ?').run(providerName);
+  if (created.typeId) {
+    db.db.prepare('DELETE FROM appointment_types WHERE id = ?').run(created.typeId);
+  }
+}
+
+// Insert an appointment row directly, starting minutesFromNow from now
+function createAppointment(name, minutesFromNow, status = 'scheduled') {
+  const start = new Date(Date.now() + minutesFromNow * 60 * 1000);
+  const id = `APT-POL-${suffix}-${name}`.toUpperCase();
+  db.createAppointment({
+    id,
+    patient_name: `Policy Patient ${suffix}`,
+    patient_phone: patientPhone,
+    patient_email: null,
+    appointment_type: `Policy Visit ${suffix}`,
+    date: `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`,
+    time: `${String(start.getHours()).padStart(2, '0')}:${String(start.getMinutes()).padStart(2, '0')}`,
+    start_time: start.toISOString(),
+    end_time: new Date(start.getTime() + 30 * 60 * 1000).toISOString(),
+    duration_minutes: 30,
+    provider: providerName,
+    status,
+    notes: '',
+    calendar_event_id: null,
+    calendar_link: null,
+    created_at: new Date().toISOString()
+  });
+  return id;
+}
+
+async function runTest() {
+  // Record emails instead of sending them
+  EmailService.sendEmail = async () => ({ success: true, message_id: 'test', provider: 'test' });
+
+  const settings = SchedulingConfigService.getSettings();
+  created.savedSettings = {
+    cancellation_window_hours: settings.cancellation_window_hours,
+    no_show_grace_count: settings.no_show_grace_count,
+    no_show_after_minutes: settings.no_show_after_minutes
+  };
+  SchedulingConfigService.updateSettings({ cancellation_window_hours: 24, no_show_grace_count: 1, no_show_after_minutes: 15 });
+
+  const type = SchedulingConfigService.createAppointmentType({
+    name: `Policy Visit ${suffix}`,
+    duration_minutes: 30,
+    late_cancel_fee: '40',
+    no_show_fee: 75
+  });
+  created.typeId = type.id;
+
+  console.log('\n⚙️  Policy');
+  check('Fees stored on the appointment type', type.late_cancel_fee === 40 && type.no_show_fee === 75);
+  const policy = AttendancePolicyService.getPolicy();
+  check('Policy reports window, grace and fees', policy.cancellation_window_hours === 24 && policy.no_show_grace_count === 1 &&
+    policy.fees.some(f => f.appointment_type === type.name && f.no_show_fee === 75));
+  check('Policy sentence mentions the fees', /\$40\.00/.test(AttendancePolicyService.describePolicy(type.name)));
+  let rejected = false;
+  try {
+    SchedulingConfigService.updateSettings({ no_show_grace_count: -1 });
+  } catch (error) {
+    rejected = /no_show_grace_count/.test(error.message);
+  }
+  check('Negative grace count rejected', rejected);
+
+  console.log('\n❌ Cancellations');
+  const earlyId = createAppointment('Early', 3 * 24 * 60);
+  let result = await BookingService.cancelAppointment(earlyId, 'Conflict', { actor: 'patient' });
+  check('Cancelling days ahead is a plain cancellation', result.success && !result.late_cancellation &&
+    db.getAppointment(earlyId).status === 'cancelled' && result.fee === null);
+
+  const staffId = createAppointment('Staff', 120);
+  result = await BookingService.cancelAppointment(staffId, 'Provider sick', { actor: 'staff' });
+  check('Staff cancelling inside the window is not a late cancel', db.getAppointment(staffId).status === 'cancelled');
+
+  const lateId = createAppointment('Late', 120);
+  result = await BookingService.cancelAppointment(lateId, 'Overslept', { actor: 'voice_agent' });
+  check('Patient cancelling inside the window is a late cancel', result.success && result.late_cancellation &&
+    db.getAppointment(lateId).status === 'late_cancel');
+  check('First miss is waived by the grace count', result.fee && result.fee.fee_type === 'late_cancel' &&
+    result.fee.amount === 40 && result.fee.status === 'waived' && result.fee.waived_by === 'policy');
+
+  console.log('\n🚷 No-show sweep');
+  const missedId = createAppointment('Missed', -30);
+  const checkedInId = createAppointment('CheckedIn', -30, 'checked_in');
+  const recentId = createAppointment('Recent', -5);
+  const { flagged } = await AttendancePolicyService.flagNoShows();
+  check('Appointment without check-in flagged', flagged.includes(missedId) && db.getAppointment(missedId).status === 'no_show');
+  check('Checked-in patient not flagged', !flagged.includes(checkedInId) && db.getAppointment(checkedInId).status === 'checked_in');
+  check('Appointment inside the no-show delay not flagged', !flagged.includes(recentId));
+  check('No-show recorded by the system', db.getAppointmentStatusHistory(missedId).pop().actor === 'system');
+
+  const balanceFee = db.getAttendanceFeeByAppointment(missedId);
+  check('No-show fee added to the balance without a card', balanceFee && balanceFee.amount === 75 &&
+    balanceFee.status === 'outstanding' && balanceFee.charge_method === 'balance');
+
+  console.log('\n💳 Card on file');
+  AttendancePolicyService.setCardOnFile(patientPhone, {
+    stripe_customer_id: 'cus_test',
+    stripe_payment_method_id: 'pm_test',
+    card_brand: 'visa',
+    card_last4: '4242'
+  });
+  const chargeCard = AttendancePolicyService._chargeCard;
+  const charges = [];
+  AttendancePolicyService._chargeCard = async (fee) => {
+    charges.push(fee.id);
+    return { success: true, reference: 'pi_test' };
+  };
+  const secondMissId = createAppointment('SecondMiss', -40);
+  await AttendancePolicyService.flagNoShows();
+  const cardFee = db.getAttendanceFeeByAppointment(secondMissId);
+  check('Fee charged to the card on file', cardFee && cardFee.status === 'charged' &&
+    cardFee.charge_method === 'card' && cardFee.charge_reference === 'pi_test');
+  check('Fee assessed only once', (await AttendancePolicyService.assessFee(db.getAppointment(secondMissId))).id === cardFee.id &&
+    charges.length === 1);
+
+  // Stand in for the Stripe client to see the request the card charge sends
+  const stripePath = require.resolve('stripe');
+  const stripeModule = require.cache[stripePath];
+  const stripeKey = process.env.STRIPE_SECRET_KEY;
+  const requests = [];
+  require.cache[stripePath] = {
+    id: stripePath,
+    filename: stripePath,
+    loaded: true,
+    exports: () => ({
+      paymentIntents: {
+        create: async (params, options) => {
+          requests.push(options);
+          return { id: 'pi_test', status: 'succeeded' };
+        }
+      }
+    })
+  };
+  process.env.STRIPE_SECRET_KEY = 'sk_test_attendance';
+  try {
+    await chargeCard.call(AttendancePolicyService, cardFee);
+    await chargeCard.call(AttendancePolicyService, cardFee);
+  } finally {
+    if (stripeModule) require.cache[stripePath] = stripeModule;
+    else delete require.cache[stripePath];
+    if (stripeKey === undefined) delete process.env.STRIPE_SECRET_KEY;
+    else process.env.STRIPE_SECRET_KEY = stripeKey;
+  }
+  check('Card charge is idempotent per fee and card', requests.length === 2 &&
+    requests[0].idempotencyKey === `attendance-fee-${cardFee.id}-pm_test` &&
+    requests[1].idempotencyKey === requests[0].idempotencyKey);
+
+  console.log('\n📋 Patient summary');
+  let summary = AttendancePolicyService.getPatientSummary(patientPhone);
+  check('Summary counts misses', summary.no_shows === 2 && summary.late_cancels === 1 && summary.cancelled === 2);
+  check('Grace used up', summary.grace_remaining === 0);
+  check('Outstanding balance is the uncharged fee', summary.outstanding_balance === 75);
+  check('Card on file shown without Stripe IDs', summary.card_on_file && summary.card_on_file.last4 === '4242' &&
+    !JSON.stringify(summary).includes('cus_test'));
+  check('Recent misses listed latest appointment first', summary.recent_misses.length === 3 &&
+    summary.recent_misses[0].appointment_id === lateId && summary.recent_misses[2].appointment_id === secondMissId);
+
+  const waived = AttendancePolicyService.waiveFee(balanceFee.id, { actor: 'office_manager', reason: 'Weather' });
+  check('Staff can waive an outstanding fee', waived.status === 'waived' && waived.waived_by === 'office_manager');
+  summary = AttendancePolicyService.getPatientSummary(patientPhone);
+  check('Waived fee leaves the balance', summary.outstanding_balance === 0);
+  rejected = false;
+  try {
+    AttendancePolicyService.waiveFee(cardFee.id);
+  } catch (error) {
+    rejected = /already charged/.test(error.message);
+  }
+  check('Charged fee cannot be waived', rejected);
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(() => {
+    cleanup();
+    console.log(failures === 0 ? '\n✅ Attendance policy test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
@@ -0,0 +1,180 @@
+/**
+ * Google Calendar Sync test
+ *
+ * Runs against a local stand-in for the Calendar API (tests/fake-google-calendar.js).
+ *
+ * Verifies:
+ * - Events added directly in a provider's calendar block those times in availability
+ * - All-day events block the whole day; "free" events block nothing
+ * - Deleting the external event frees the time again
+ * - DocLittle's own events are not treated as busy time
+ * - Moving a DocLittle event in Google Calendar moves the appointment
+ * - Deleting a DocLittle event in Google Calendar cancels the appointment
+ * - Later syncs are incremental, and an expired sync token falls back to a full sync
+ *
+ * Run: node tests/test-calendar-sync.js
+ */
+
+require('dotenv').config();
+
+const FakeGoogleCalendar = require('./fake-google-calendar');
+
+const suffix = Date.now().toString(36);
+const calendarId = `dr-sync-${suffix}@example.com`;
+const created = { providerId: null };
+let failures = 0;
+let fake = null;
+let db = null;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+// Wednesdays at least 150 days out, so real bookings never collide
+function futureWednesday(extraWeeks = 0) {
+  const d = new Date();
+  d.setDate(d.getDate() + 150 + extraWeeks * 7);
+  while (d.getDay() !== 3) d.setDate(d.getDate() + 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function dayAfter(date) {
+  const d = new Date(`${date}T00:00:00`);
+  d.setDate(d.getDate() + 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function at(date, time) {
+  return new Date(`${date}T${time}:00`).toISOString();
+}
+
+function cleanup() {
+  if (!db) return;
+  db.db.prepare('DELETE FROM calendar_busy_blocks WHERE calendar_id = ?').run(calendarId);
+  db.db.prepare('DELETE FROM calendar_sync_state WHERE calendar_id = ?').run(calendarId);
+  if (created.providerId) {
+    db.db.prepare('DELETE FROM appointments WHERE provider_id = ?').run(created.providerId);
+    db.db.prepare('DELETE FROM provider_schedules WHERE provider_id = ?').run(created.providerId);
+    db.db.prepare('DELETE FROM providers WHERE id = ?').run(created.providerId);
+  }
+}
+
+async function runTest() {
+  fake = await FakeGoogleCalendar.start();
+  process.env.GOOGLE_CALENDAR_API_URL = fake.url;
+
+  db = require('../database');
+  const BookingService = require('../services/booking-service');
+  const CalendarSyncService = require('../services/calendar-sync-service');
+  const ProviderScheduleService = require('../services/provider-schedule-service');
+
+  const date = futureWednesday();
+  const nextWeek = futureWednesday(1);
+  const provider = ProviderScheduleService.createProvider({ name: `Dr. Sync ${suffix}`, calendar_id: calendarId });
+  created.providerId = provider.id;
+  ProviderScheduleService.setWeeklySchedule(provider.id, [{ day_of_week: 3, start_time: '09:00', end_time: '17:00' }]);
+
+  const target = { calendar_id: calendarId, provider_id: provider.id };
+  const sync = () => CalendarSyncService.syncCalendar(target);
+  const slots = async (day = date) => (await BookingService.getAvailableSlots(day, provider.id)).available_slots;
+
+  check('Provider calendar included in the sync', CalendarSyncService.getCalendars().some(c => c.calendar_id === calendarId));
+
+  console.log('\n📥 External events');
+  const first = await sync();
+  check('First sync is a full sync', first.success && first.full_sync);
+
+  const dentist = fake.addEvent(calendarId, {
+    summary: 'Dentist',
+    start: { dateTime: at(date, '10:00') },
+    end: { dateTime: at(date, '11:00') }
+  });
+  fake.addEvent(calendarId, {
+    summary: 'Reminder: call pharmacy',
+    transparency: 'transparent',
+    start: { dateTime: at(date, '14:00') },
+    end: { dateTime: at(date, '15:00') }
+  });
+  fake.addEvent(calendarId, {
+    summary: 'Conference',
+    start: { date: nextWeek },
+    end: { date: dayAfter(nextWeek) }
+  });
+
+  const incremental = await sync();
+  check('Later syncs are incremental', incremental.success && !incremental.full_sync);
+  check('Busy events stored as blocks', incremental.busy_blocks === 2);
+  check('Block keeps times only', CalendarSyncService.getBusyBlocks(date, provider.id).length === 1 &&
+    !('summary' in CalendarSyncService.getBusyBlocks(date, provider.id)[0]));
+
+  const blocked = await slots();
+  check('External event removes overlapping slots', !blocked.includes('10:00') && !blocked.includes('09:30') && !blocked.includes('10:30'));
+  check('External event adds no buffer of its own', blocked.includes('11:15'));
+  check('Free ("transparent") events do not block', blocked.includes('14:00'));
+  check('All-day event blocks the whole day', (await slots(nextWeek)).length === 0);
+
+  const clash = await BookingService.scheduleAppointment({
+    patient_name: `Clash ${suffix}`,
+    patient_phone: '+15556660001',
+    date,
+    time: '10:00',
+    provider: provider.id
+  });
+  check('Booking over an external event rejected', !clash.success);
+
+  fake.deleteEvent(calendarId, dentist.id);
+  const afterDelete = await sync();
+  check('Deleted external event removes its block', afterDelete.removed === 1);
+  check('Freed time offered again', (await slots()).includes('10:00'));
+
+  console.log('\n🔁 DocLittle events');
+  const booked = await BookingService.scheduleAppointment({
+    patient_name: `Synced ${suffix}`,
+    patient_phone: '+15556660002',
+    date,
+    time: '13:00',
+    provider: provider.id
+  });
+  const eventId = booked.appointment && db.getAppointment(booked.appointment.id).calendar_event_id;
+  check('Booking creates an event on the provider calendar', booked.success && !!fake.getEvent(calendarId, eventId));
+
+  const own = await sync();
+  check('Own events are not busy blocks', own.busy_blocks === 0 && CalendarSyncService.getBusyBlocks(date).length === 0);
+
+  fake.updateEvent(calendarId, eventId, {
+    start: { dateTime: at(date, '15:00') },
+    end: { dateTime: at(date, '15:50') }
+  });
+  const moved = await sync();
+  const movedAppointment = db.getAppointment(booked.appointment.id);
+  check('Moving the event moves the appointment', moved.moved === 1 && movedAppointment.time === '15:00' && movedAppointment.date === date);
+  check('Move noted on the appointment', (movedAppointment.notes || '').includes('Moved in Google Calendar from'));
+  check('Old time offered again', (await slots()).includes('13:00'));
+
+  fake.deleteEvent(calendarId, eventId);
+  const deleted = await sync();
+  const cancelled = db.getAppointment(booked.appointment.id);
+  check('Deleting the event cancels the appointment', deleted.cancelled === 1 && cancelled.status === 'cancelled');
+
+  console.log('\n⌛ Expired sync token');
+  fake.expireSyncTokens();
+  const full = await sync();
+  check('Expired token falls back to a full sync', full.success && full.full_sync);
+  check('Blocks rebuilt by the full sync', (await slots(nextWeek)).length === 0 && (await slots()).includes('10:00'));
+
+  const status = CalendarSyncService.getStatus().find(s => s.calendar_id === calendarId);
+  check('Status reports the last sync', status && !!status.last_synced_at && !status.last_error);
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(async () => {
+    cleanup();
+    if (fake) await fake.close();
+    console.log(failures === 0 ? '\n✅ Calendar sync test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
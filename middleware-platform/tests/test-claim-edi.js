@@ -0,0 +1,317 @@
+/**
+ * Claim EDI (837P) test
+ *
+ * Verifies:
+ * - The 837P matches the golden files for a self-insured patient and for a dependent
+ *   with several service lines and a rendering provider
+ * - Stored claims are read from the database (patient, insurance, provider, coding breakdown)
+ * - Interchange and group control numbers go up with every file and are never reused
+ * - Each export is kept with its claims and can be downloaded as an .edi file
+ * - Claims missing required details are rejected with every problem listed
+ *
+ * Run: node tests/test-claim-edi.js
+ * Regenerate golden files after an intended format change: UPDATE_GOLDEN=1 node tests/test-claim-edi.js
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const db = require('../database');
+const { BILLING_ENV, useBillingEnv, restoreEnv, createPatient, cleanupBilling } = require('./billing-fixtures');
+const ClaimEDIService = require('../services/claim-edi-service');
+const claimEdiRoutes = require('../routes/claim-edi');
+
+const suffix = Date.now().toString(36);
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const patientId = `edi-patient-${suffix}`;
+const childId = `edi-child-${suffix}`;
+const providerId = `edi-provider-${suffix}`;
+const appointmentId = `edi-appt-${suffix}`;
+const payerId = `EDI${suffix}`.toUpperCase();
+const claimIds = [];
+const exportIds = [];
+let failures = 0;
+let server = null;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function cleanup() {
+  cleanupBilling({
+    patientIds: [patientId, childId],
+    payerIds: [payerId],
+    claimIds,
+    exportIds,
+    providerIds: [providerId],
+    appointmentIds: [appointmentId]
+  });
+  restoreEnv();
+}
+
+// Fixed envelope so the output never changes
+const envelope = {
+  sender_id: 'DOCLITTLE',
+  receiver_id: 'CLEARHOUSE',
+  receiver_name: 'Clearing House',
+  usage_indicator: 'T',
+  submitter: { name: 'Harbor Counseling Group', contact_name: 'Billing Office', contact_phone: '(617) 555-0100' },
+  interchange_control_number: 42,
+  group_control_number: 7,
+  created_at: '2026-03-02T14:05:00.000Z'
+};
+
+const billingProvider = {
+  name: 'Harbor Counseling Group',
+  npi: '1234567893',
+  tax_id: '12-3456789',
+  taxonomy: '101YM0800X',
+  address: { line1: '100 Main St', line2: 'Suite 200', city: 'Boston', state: 'MA', zip: '02110-1234' }
+};
+
+const selfClaim = {
+  claim_id: 'claim_self',
+  patient_control_number: 'PCN0001',
+  frequency_code: '1',
+  total_charge: 150,
+  place_of_service: '11',
+  date_of_service: '2026-02-20',
+  patient: {
+    first_name: 'Maria', last_name: 'Lopez', middle_name: null, dob: '1985-06-15', gender: 'F',
+    address: { line1: '12 Elm St', city: 'Cambridge', state: 'MA', zip: '02139' }
+  },
+  subscriber: {
+    first_name: 'Maria', last_name: 'Lopez', middle_name: null, dob: '1985-06-15', gender: 'F',
+    address: { line1: '12 Elm St', city: 'Cambridge', state: 'MA', zip: '02139' },
+    member_id: 'XYZ123456789', group_number: 'GRP001', plan_name: 'PPO Gold', relationship: 'self'
+  },
+  payer: { id: '60054', name: 'Aetna' },
+  billing_provider: billingProvider,
+  rendering_provider: null,
+  diagnoses: ['F41.1'],
+  lines: [
+    { procedure_code: '90834', modifiers: [], charge: 150, units: 1, diagnosis_pointers: [1], date_of_service: '2026-02-20' }
+  ]
+};
+
+const dependentClaim = {
+  claim_id: 'claim_dependent',
+  patient_control_number: 'PCN0002',
+  frequency_code: '1',
+  total_charge: 325.5,
+  place_of_service: '02',
+  date_of_service: '2026-02-21',
+  patient: {
+    first_name: 'Leo', last_name: 'Park', middle_name: null, dob: '2012-09-01', gender: 'M',
+    address: { line1: '7 Oak Ave', city: 'Newton', state: 'MA', zip: '02458' }
+  },
+  subscriber: {
+    first_name: 'Dana', last_name: 'Park', middle_name: 'J', dob: '1980-01-30', gender: 'F',
+    address: { line1: '7 Oak Ave', city: 'Newton', state: 'MA', zip: '02458' },
+    member_id: 'BCB987654', group_number: null, plan_name: 'Blue Choice', relationship: 'child'
+  },
+  payer: { id: 'BCBSMA', name: 'Blue Cross Blue Shield of Massachusetts' },
+  billing_provider: billingProvider,
+  rendering_provider: { first_name: 'Ana', last_name: 'Rivera', npi: '1992753880', taxonomy: '1041C0700X' },
+  diagnoses: ['F90.2', 'F41.1', 'Z63.8'],
+  lines: [
+    { procedure_code: '90791', modifiers: ['95'], charge: 200.5, units: 1, diagnosis_pointers: [1, 2, 3], date_of_service: '2026-02-21' },
+    { procedure_code: '90846', modifiers: [], charge: 125, units: 1, diagnosis_pointers: [1, 3], date_of_service: '2026-02-21' }
+  ]
+};
+
+function golden(name, content) {
+  const file = path.join(GOLDEN_DIR, name);
+  if (process.env.UPDATE_GOLDEN) {
+    fs.writeFileSync(file, content);
+  }
+  return fs.readFileSync(file, 'utf8');
+}
+
+function createClaim(overrides) {
+  const claim = {
+    id: `claim_edi_${suffix}_${claimIds.length}`,
+    patient_id: patientId,
+    member_id: `M${suffix}`,
+    payer_id: payerId,
+    service_code: '90834',
+    diagnosis_code: 'F41.1',
+    total_amount: 150,
+    status: 'submitted',
+    date_of_service: '2026-02-20',
+    ...overrides
+  };
+  db.createInsuranceClaim(claim);
+  claimIds.push(claim.id);
+  return claim.id;
+}
+
+function rejects(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+}
+
+async function runTest() {
+  console.log('\n🧪 CLAIM EDI (837P) TEST\n');
+
+  // ---- Golden files ----
+  const selfEdi = ClaimEDIService.build837([selfClaim], envelope);
+  check('Self-insured claim matches golden 837P', selfEdi === golden('837p-self.edi', selfEdi));
+  const dependentEdi = ClaimEDIService.build837([dependentClaim], envelope);
+  check('Dependent claim with rendering provider matches golden 837P',
+    dependentEdi === golden('837p-dependent.edi', dependentEdi));
+  check('Same input gives the same file', ClaimEDIService.build837([selfClaim], envelope) === selfEdi);
+
+  const both = ClaimEDIService.build837([selfClaim, dependentClaim], envelope).split('~\n');
+  check('One transaction set per claim in a single group',
+    both.filter(s => s.startsWith('ST*')).map(s => s.split('*')[2]).join(',') === '0001,0002' &&
+    both.some(s => s === 'GE*2*7'));
+  const isa = both[0];
+  check('ISA is fixed width', isa.length === 105 && isa.split('*')[13] === '000000042');
+  const stIndex = selfEdi.split('~\n').findIndex(s => s.startsWith('ST*'));
+  const seSegment = selfEdi.split('~\n').find(s => s.startsWith('SE*'));
+  const segmentCount = selfEdi.split('~\n').findIndex(s => s.startsWith('SE*')) - stIndex + 1;
+  check('SE counts the segments in the transaction set', seSegment === `SE*${segmentCount}*0001`);
+  check('Separator characters are removed from values', ClaimEDIService.build837([{
+    ...selfClaim, payer: { id: '60054', name: 'Aetna*Better~Health' }
+  }], envelope).includes('NM1*PR*2*Aetna Better Health*****PI*60054~'));
+
+  // ---- Stored claims ----
+  useBillingEnv();
+  db.upsertPayer({ id: `payer-${suffix}`, payer_id: payerId, payer_name: 'Test Payer' });
+  createPatient(patientId);
+  createPatient(childId, { given: 'Leo', family: 'Park', birthDate: '2012-09-01', gender: 'male' });
+  db.upsertPatientInsurance({
+    id: `ins-${suffix}-1`, patient_id: patientId, payer_id: payerId, member_id: `M${suffix}`, group_number: 'GRP001'
+  });
+  db.upsertPatientInsurance({
+    id: `ins-${suffix}-2`, patient_id: childId, payer_id: payerId, member_id: `C${suffix}`, relationship_code: 'child',
+    subscriber_name: 'Dana Park', subscriber_dob: '1980-01-30', subscriber_gender: 'female'
+  });
+  db.createProvider({ id: providerId, name: `Dr. Ana Rivera, LCSW ${suffix}`, npi: '1992753880', taxonomy_code: '1041C0700X' });
+  db.createAppointment({
+    id: appointmentId, patient_name: 'Leo Park', patient_phone: '+15550009999', date: '2026-02-21', time: '10:00',
+    start_time: '2026-02-21T10:00:00', end_time: '2026-02-21T11:00:00', provider_id: providerId, status: 'completed',
+    created_at: new Date().toISOString()
+  });
+
+  const selfId = createClaim({});
+  const childClaimId = createClaim({
+    patient_id: childId,
+    member_id: `C${suffix}`,
+    appointment_id: appointmentId,
+    service_code: '90791, 90846',
+    diagnosis_code: 'F90.2, Z63.8',
+    total_amount: 325.5,
+    date_of_service: null,
+    response_data: JSON.stringify({
+      pricing: { breakdown: [{ code: '90791', charge: 200.5 }, { cpt_code: '90846', amount: 125 }] }
+    })
+  });
+
+  const loaded = ClaimEDIService.loadClaim(db.getInsuranceClaim(childClaimId));
+  check('Dependent claim is read from the database', loaded.subscriber.relationship === 'child' &&
+    loaded.subscriber.last_name === 'Park' && loaded.subscriber.first_name === 'Dana' &&
+    loaded.patient.first_name === 'Leo' && loaded.patient.gender === 'M' && loaded.payer.name === 'Test Payer');
+  check('Service lines come from the coding breakdown', loaded.lines.length === 2 &&
+    loaded.lines[1].procedure_code === '90846' && loaded.lines[1].charge === 125 &&
+    loaded.lines[0].diagnosis_pointers.join(',') === '1,2');
+  check('Date of service falls back to the appointment', loaded.date_of_service === '2026-02-21');
+  check('Rendering provider comes from the appointment', loaded.rendering_provider &&
+    loaded.rendering_provider.last_name === 'Rivera' && loaded.rendering_provider.npi === '1992753880');
+
+  const first = ClaimEDIService.exportClaims([selfId], { actor: 'tester' });
+  exportIds.push(first.id);
+  const second = ClaimEDIService.exportClaims([selfId, childClaimId]);
+  exportIds.push(second.id);
+  check('Interchange control number goes up', second.interchange_control_number === first.interchange_control_number + 1);
+  check('Group control number goes up', second.group_control_number === first.group_control_number + 1);
+  check('File name carries the interchange number',
+    first.file_name === `837P-${String(first.interchange_control_number).padStart(9, '0')}-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}.edi`);
+  check('Export records its claims and total', second.claim_count === 2 && second.total_charge === 475.5 &&
+    second.claims.map(c => c.transaction_set_control_number).join(',') === '0001,0002');
+
+  const stored = db.getInsuranceClaim(selfId);
+  check('Claim keeps its patient control number', stored.patient_control_number &&
+    stored.patient_control_number.length <= 20 && /^[A-Z0-9]+$/.test(stored.patient_control_number) &&
+    first.content.includes(`CLM*${stored.patient_control_number}*150***11:B:1*Y*A*Y*Y~`));
+  check('Patient control number is found again', db.getClaimByPatientControlNumber(stored.patient_control_number).id === selfId);
+  check('Dependent file has the patient loop', second.content.includes('PAT*19~') &&
+    second.content.includes('NM1*QC*1*Park*Leo~') && second.content.includes('SV1*HC:90846*125*UN*1***1:2~'));
+  check('Exports are listed by claim', ClaimEDIService.listExports({ claim_id: childClaimId }).map(e => e.id).join(',') === second.id);
+
+  // ---- Validation ----
+  const missingDiagnosis = createClaim({ diagnosis_code: null });
+  check('Claim without a diagnosis is rejected', rejects(() => ClaimEDIService.exportClaims([missingDiagnosis]),
+    /^Validation failed: .*at least one diagnosis code/));
+  const badTotal = createClaim({
+    total_amount: 200,
+    response_data: JSON.stringify({ pricing: { breakdown: [{ code: '90834', charge: 150 }] } })
+  });
+  check('Line charges must add up to the claim total', rejects(() => ClaimEDIService.exportClaims([badTotal]),
+    /must add up to the claim total/));
+  check('Unknown claim is rejected', rejects(() => ClaimEDIService.exportClaims(['claim_missing']), /^Claim not found/));
+  process.env.BILLING_PROVIDER_NPI = '12345';
+  check('Billing provider NPI is required', rejects(() => ClaimEDIService.exportClaims([selfId]),
+    /billing provider NPI must be 10 digits/));
+  process.env.BILLING_PROVIDER_NPI = BILLING_ENV.BILLING_PROVIDER_NPI;
+  check('Failed validation uses no control numbers', ClaimEDIService.listExports({ claim_id: selfId }).length === 2);
+
+  // ---- Staff API ----
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin/insurance/edi', claimEdiRoutes);
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/api/admin/insurance/edi`;
+  const request = async (urlPath, method = 'GET', body) => {
+    const response = await fetch(`${url}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const type = response.headers.get('content-type') || '';
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: type.includes('json') ? await response.json() : await response.text()
+    };
+  };
+
+  let response = await request('/837', 'POST', { claim_ids: [childClaimId], actor: 'biller' });
+  check('Staff generate an 837P', response.status === 201 && response.body.export.created_by === 'biller');
+  if (response.body.export) exportIds.push(response.body.export.id);
+  const exportId = response.body.export && response.body.export.id;
+  response = await request('/837', 'POST', { claim_ids: [missingDiagnosis] });
+  check('Invalid claim is a 400', response.status === 400);
+  response = await request('/837', 'POST', { claim_ids: ['claim_missing'] });
+  check('Unknown claim is a 404', response.status === 404);
+  response = await request(`/exports?claim_id=${childClaimId}`);
+  check('Staff list exports without content', response.status === 200 && response.body.count === 2 &&
+    response.body.exports.every(e => e.content === undefined));
+  response = await request(`/exports/${exportId}/download`);
+  check('Staff download the .edi file', response.status === 200 &&
+    response.headers.get('content-disposition').includes('.edi') && response.body.startsWith('ISA*00*'));
+  response = await request('/exports/edi-missing');
+  check('Unknown export is a 404', response.status === 404);
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(async () => {
+    cleanup();
+    if (server) await new Promise(resolve => server.close(resolve));
+    console.log(failures === 0 ? '\n✅ Claim EDI test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
@@ -0,0 +1,273 @@
+/**
+ * Claim lifecycle test
+ *
+ * Verifies:
+ * - Only the state machine's transitions are allowed, with clear errors otherwise
+ * - Every change is recorded in claim_events with its actor, source and payload
+ * - Submitting a claim records draft → scrubbed → submitted; the scrubber moves drafts to scrubbed and back
+ * - Staff can move claims by hand, except to scrubbed, and a claim marked submitted is scrubbed first
+ * - Payer answers (999/277) move claims, out-of-order answers are recorded without changing them
+ * - 835 remits post paid, partially paid, denied and reversals (back to pending)
+ * - The staff API lists the state machine, returns a claim's timeline and moves claims
+ *
+ * Run: node tests/test-claim-lifecycle.js
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const db = require('../database');
+const { useBillingEnv, restoreEnv, createPatient, cleanupBilling } = require('./billing-fixtures');
+const ClaimLifecycleService = require('../services/claim-lifecycle-service');
+const ClaimScrubberService = require('../services/claim-scrubber-service');
+const InsuranceService = require('../services/insurance-service');
+const RemittanceService = require('../services/remittance-service');
+const claimLifecycleRoutes = require('../routes/claim-lifecycle');
+
+const suffix = Date.now().toString(36).toUpperCase();
+const patientId = `life-patient-${suffix}`;
+const payerId = `LIFE${suffix}`;
+let failures = 0;
+let server = null;
+let nextDay = 2;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function cleanup() {
+  cleanupBilling({ patientIds: [patientId], payerIds: [payerId] });
+  restoreEnv();
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+}
+
+// A claim stored as it is (no created event), on its own date of service
+function createClaim(status, overrides = {}) {
+  const claim = {
+    id: `claim_life_${suffix}_${nextDay}`,
+    patient_id: patientId,
+    member_id: `M${suffix}`,
+    payer_id: payerId,
+    service_code: '90834',
+    diagnosis_code: 'F41.1',
+    total_amount: 150,
+    status,
+    date_of_service: daysAgo(nextDay++),
+    ...overrides
+  };
+  db.createInsuranceClaim(claim);
+  return claim.id;
+}
+
+function withControlNumber(claimId, pcn) {
+  db.setClaimPatientControlNumber(claimId, pcn);
+  return claimId;
+}
+
+// One 835 from the payer; claims are CLP segment lists, and the payment is what they net to
+function remittanceFile(checkNumber, amount, claims) {
+  const segments = [
+    'ISA*00*          *00*          *ZZ*TESTPAYER      *ZZ*DOCLITTLE      *260310*1200*^*00501*000000201*0*P*:',
+    'GS*HP*TESTPAYER*DOCLITTLE*20260310*1200*201*X*005010X221A1',
+    'ST*835*0001',
+    `BPR*${amount === 0 ? 'H' : 'I'}*${amount}*C*ACH*CCP*01*999999999*DA*123456*1512345678**01*999988880*DA*98765*20260310`,
+    `TRN*1*${checkNumber}*1512345678`,
+    'N1*PR*Test Payer',
+    `REF*2U*${payerId}`,
+    'N1*PE*Harbor Counseling Group*XX*1234567893',
+    'LX*1',
+    ...claims.flat()
+  ];
+  const stIndex = segments.findIndex(s => s.startsWith('ST*'));
+  segments.push(`SE*${segments.length - stIndex + 1}*0001`, 'GE*1*201', 'IEA*1*000000201');
+  return segments.map(s => `${s}~`).join('\n') + '\n';
+}
+
+const events = claimId => ClaimLifecycleService.getTimeline(claimId).events;
+const path = claimId => events(claimId).filter(e => e.event_type !== 'updated').map(e => e.to_status).join(' → ');
+const status = claimId => db.getInsuranceClaim(claimId).status;
+
+function rejects(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+}
+
+async function runTest() {
+  console.log('\n🧪 CLAIM LIFECYCLE TEST\n');
+
+  useBillingEnv();
+  db.upsertPayer({ id: `payer-${suffix}`, payer_id: payerId, payer_name: 'Lifecycle Health Plan' });
+  createPatient(patientId);
+  db.upsertPatientInsurance({ id: `ins-${suffix}`, patient_id: patientId, payer_id: payerId, member_id: `M${suffix}` });
+
+  // ---- State machine ----
+  check('Every lifecycle status is defined', ClaimLifecycleService.STATUSES.join(',') ===
+    'draft,scrubbed,submitted,acknowledged,rejected,pending,denied,appealed,partially_paid,paid,closed');
+  check('Drafts are scrubbed or closed', ClaimLifecycleService.getAllowedTransitions('draft').join(',') === 'scrubbed,closed');
+  check('Closed is final', ClaimLifecycleService.getAllowedTransitions('closed').length === 0);
+
+  const created = ClaimLifecycleService.create({
+    id: `claim_life_${suffix}_new`, patient_id: patientId, member_id: `M${suffix}`, payer_id: payerId,
+    service_code: '90834', diagnosis_code: 'F41.1', total_amount: 150, date_of_service: daysAgo(nextDay++)
+  }, { actor: 'biller', source: 'manual' });
+  const [createdEvent] = events(created.id);
+  check('A new claim is a draft and its creation is recorded', created.status === 'draft' &&
+    createdEvent.event_type === 'created' && createdEvent.to_status === 'draft' && createdEvent.from_status === null &&
+    createdEvent.actor === 'biller' && createdEvent.source === 'manual');
+  check('Skipping ahead is refused', rejects(() => ClaimLifecycleService.transition(created.id, 'paid'),
+    /^Cannot move a draft claim to paid/));
+  check('Unknown status is refused', rejects(() => ClaimLifecycleService.transition(created.id, 'approved'),
+    /^Unknown claim status: approved/));
+  check('Moving to the same status is refused', rejects(() => ClaimLifecycleService.transition(created.id, 'draft'),
+    /^Claim is already draft/));
+  check('Unknown claim is refused', rejects(() => ClaimLifecycleService.transition('claim_missing', 'closed'), /^Claim not found/));
+
+  // ---- Scrubbing ----
+  ClaimScrubberService.scrubClaim(created.id);
+  const scrubbedEvent = events(created.id)[1];
+  check('A draft that passes scrubbing is scrubbed', status(created.id) === 'scrubbed' &&
+    scrubbedEvent.source === 'scrubber' && scrubbedEvent.payload.scrub_status === 'passed');
+  db.db.prepare(`UPDATE insurance_claims SET member_id = 'N/A' WHERE id = ?`).run(created.id);
+  ClaimScrubberService.scrubClaim(created.id);
+  check('A scrubbed claim that fails goes back to draft', status(created.id) === 'draft' &&
+    events(created.id)[2].payload.errors.some(message => /member ID is required/.test(message)));
+  check('A failing claim can\'t be marked submitted', rejects(() => ClaimLifecycleService.changeStatus(created.id, 'submitted'),
+    /^Scrub failed/) && status(created.id) === 'draft');
+  check('Only the scrubber marks claims scrubbed', rejects(() => ClaimLifecycleService.changeStatus(created.id, 'scrubbed'),
+    /^Validation failed: claims are marked scrubbed by the claim scrubber/));
+  ClaimLifecycleService.changeStatus(created.id, 'closed', { actor: 'biller', note: 'Billed on paper' });
+  const closedEvent = events(created.id).pop();
+  check('Staff close a claim with a note', status(created.id) === 'closed' && closedEvent.source === 'manual' &&
+    closedEvent.actor === 'biller' && closedEvent.payload.note === 'Billed on paper');
+  check('A closed claim that was never sent was not submitted', !ClaimLifecycleService.wasSubmitted(created.id));
+
+  // ---- Submitting ----
+  const submitted = await InsuranceService.submitClaim({
+    patientId, memberId: `M${suffix}`, payerId, serviceCode: '90837', diagnosisCode: 'F41.1',
+    totalAmount: 180, copayPaid: 0, dateOfService: daysAgo(nextDay++), actor: 'front-desk'
+  });
+  const submittedEvents = events(submitted.claimId);
+  check('Submitting records draft → scrubbed → submitted', submitted.success && submitted.status === 'submitted' &&
+    path(submitted.claimId) === 'draft → scrubbed → submitted' &&
+    submittedEvents.map(e => e.source).join(',') === 'system,scrubber,system' &&
+    submittedEvents.every(e => e.actor === 'front-desk'));
+  check('The 837P waiting for upload is noted', submittedEvents[2].payload.transmitted === false &&
+    submittedEvents[2].payload.edi_export_id === submitted.ediExportId);
+  check('The claim was submitted', ClaimLifecycleService.wasSubmitted(submitted.claimId));
+
+  const manual = createClaim('draft');
+  ClaimLifecycleService.changeStatus(manual, 'submitted', { actor: 'biller', note: 'Uploaded to the payer portal' });
+  check('Staff mark a claim submitted after scrubbing it', path(manual) === 'scrubbed → submitted' &&
+    !!db.getInsuranceClaim(manual).submitted_at);
+
+  // ---- Payer answers ----
+  const acknowledged = ClaimLifecycleService.applyPayerStatus(submitted.claimId, 'acknowledged', {
+    source: '277CA', payload: { code: 'A1:20' }
+  });
+  check('A 277CA acknowledges the claim', acknowledged.changed && acknowledged.claim.status === 'acknowledged' &&
+    events(submitted.claimId).pop().source === '277CA');
+  const again = ClaimLifecycleService.applyPayerStatus(submitted.claimId, 'acknowledged', { source: '999' });
+  const repeated = events(submitted.claimId).pop();
+  check('A repeated answer is recorded without a change', !again.changed && repeated.event_type === 'updated' &&
+    repeated.from_status === 'acknowledged' && repeated.to_status === 'acknowledged' && repeated.source === '999');
+
+  const uploaded = createClaim('draft');
+  ClaimLifecycleService.applyPayerStatus(uploaded, 'rejected', { source: '999' });
+  const implied = events(uploaded);
+  check('An answer for a claim sent by hand records it as submitted first', status(uploaded) === 'rejected' &&
+    implied.map(e => e.to_status).join(',') === 'scrubbed,submitted,rejected' &&
+    implied[0].payload.implied_by === '999' && implied[2].payload === null);
+
+  // ---- 835 remits ----
+  const paidId = withControlNumber(createClaim('submitted'), `LP${suffix}`);
+  const partialId = withControlNumber(createClaim('acknowledged', {
+    service_code: '90834, 90785',
+    total_amount: 180,
+    response_data: JSON.stringify({ pricing: { breakdown: [{ code: '90834', charge: 150 }, { code: '90785', charge: 30 }] } })
+  }), `LQ${suffix}`);
+  const deniedId = withControlNumber(createClaim('pending'), `LD${suffix}`);
+  RemittanceService.importERA(remittanceFile(`LIFE1${suffix}`, 200, [
+    [`CLP*LP${suffix}*1*150*100*20*12*PAYER1`, 'SVC*HC:90834*150*100**1', 'CAS*CO*45*30', 'CAS*PR*3*20'],
+    [`CLP*LQ${suffix}*1*180*100*20*12*PAYER2`, 'SVC*HC:90834*150*100**1', 'CAS*CO*45*30', 'CAS*PR*3*20',
+      'SVC*HC:90785*30*0**1', 'CAS*CO*97*30'],
+    [`CLP*LD${suffix}*4*150*0*0*12*PAYER3`, 'CAS*CO*50*150']
+  ]), { actor: 'biller' });
+  const paidEvent = events(paidId).pop();
+  check('835 pays the claim', status(paidId) === 'paid' && paidEvent.source === '835' && paidEvent.actor === 'biller' &&
+    paidEvent.payload.paid_amount === 100 && !!paidEvent.payload.claim_payment_id);
+  check('835 with a refused line partially pays the claim', status(partialId) === 'partially_paid' &&
+    db.getInsuranceClaim(partialId).payment_amount === 100);
+  check('835 denies the claim', status(deniedId) === 'denied' && events(deniedId).pop().payload.claim_status_code === '4');
+
+  RemittanceService.importERA(remittanceFile(`LIFE2${suffix}`, 0, [
+    [`CLP*LP${suffix}*22*-150*-100*-20*12*PAYER1`, 'SVC*HC:90834*-150*-100**-1', 'CAS*CO*45*-30', 'CAS*PR*3*-20'],
+    [`CLP*LP${suffix}*1*150*100*20*12*PAYER1`, 'SVC*HC:90834*150*100**1', 'CAS*CO*45*30', 'CAS*PR*3*20']
+  ]));
+  check('A reversal reopens the claim and the correction pays it again', path(paidId) === 'paid → pending → paid' &&
+    events(paidId).slice(-2).every(e => e.source === '835'));
+
+  const late = ClaimLifecycleService.applyPayerStatus(paidId, 'acknowledged', { source: '277CA', keep_statuses: ['paid'] });
+  check('An acknowledgment after the 835 keeps the claim paid', !late.changed && status(paidId) === 'paid' &&
+    events(paidId).pop().payload.reported_status === 'acknowledged');
+
+  ClaimLifecycleService.changeStatus(deniedId, 'appealed', { actor: 'biller', note: 'Medical necessity letter sent' });
+  check('A denial can be appealed', status(deniedId) === 'appealed');
+  check('An appealed claim can\'t go back to draft', rejects(() => ClaimLifecycleService.changeStatus(deniedId, 'draft'),
+    /^Cannot move a appealed claim to draft/));
+
+  // ---- Staff API ----
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin/insurance/claims', claimLifecycleRoutes);
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/api/admin/insurance/claims`;
+  const request = async (urlPath, method = 'GET', body) => {
+    const response = await fetch(`${url}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  let response = await request('/statuses');
+  check('Staff read the state machine', response.status === 200 && response.body.statuses.length === 11 &&
+    response.body.statuses.find(s => s.status === 'denied').allowed_transitions.includes('appealed'));
+  response = await request(`/${paidId}/timeline`);
+  check('Staff read a claim\'s timeline', response.status === 200 && response.body.status === 'paid' &&
+    response.body.count === response.body.events.length && response.body.events[0].to_status === 'paid' &&
+    response.body.allowed_transitions.join(',') === 'pending,closed');
+  response = await request('/claim_missing/timeline');
+  check('Unknown claim timeline is a 404', response.status === 404);
+  response = await request(`/${paidId}/status`, 'POST', { status: 'closed', actor: 'biller', note: 'Paid in full' });
+  check('Staff close a paid claim', response.status === 200 && response.body.status === 'closed');
+  response = await request(`/${paidId}/status`, 'POST', { status: 'paid' });
+  check('A transition the state machine doesn\'t allow is a 409', response.status === 409);
+  response = await request(`/${paidId}/status`, 'POST', { status: 'approved' });
+  check('Unknown status is a 400', response.status === 400);
+  response = await request('/claim_missing/status', 'POST', { status: 'closed' });
+  check('Unknown claim is a 404', response.status === 404);
+
+  console.log(`\n${failures === 0 ? '✅ All claim lifecycle checks passed' : `❌ ${failures} check(s) failed`}\n`);
+}
+
+runTest()
+  .catch(error => {
+    console.error('❌ Test crashed:', error);
+    failures++;
+  })
+  .finally(() => {
+    if (server) server.close();
+    cleanup();
+    process.exit(failures === 0 ? 0 : 1);
+  });
@@ -0,0 +1,257 @@
+/**
+ * Claim lines test
+ *
+ * Verifies:
+ * - Service lines are checked: codes, up to four modifiers and pointers, units, charges,
+ *   place of service and rendering provider
+ * - Claims are stored with their lines, and their service codes and total follow the lines
+ * - The 837P takes each line's modifiers, units, pointers and place of service, and its own
+ *   rendering provider (2420A)
+ * - Claims stored without lines still read them from the coding breakdown
+ * - The scrubber checks telehealth per line, the EOB is calculated per line, and new and
+ *   corrected claims keep their lines
+ * - The staff API: reading lines, and replacing them only before the claim goes to the payer
+ *
+ * Run: node tests/test-claim-lines.js
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const db = require('../database');
+const { useBillingEnv, restoreEnv, createPatient, cleanupBilling } = require('./billing-fixtures');
+const ClaimLineService = require('../services/claim-line-service');
+const ClaimLifecycleService = require('../services/claim-lifecycle-service');
+const ClaimEDIService = require('../services/claim-edi-service');
+const ClaimScrubberService = require('../services/claim-scrubber-service');
+const EOBCalculationService = require('../services/eob-calculation-service');
+const InsuranceService = require('../services/insurance-service');
+const claimLineRoutes = require('../routes/claim-lines');
+
+const suffix = Date.now().toString(36).toUpperCase();
+const patientId = `lines-patient-${suffix}`;
+const providerId = `lines-provider-${suffix}`;
+const payerId = `LIN${suffix}`;
+const claimIds = [];
+let failures = 0;
+let server = null;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function cleanup() {
+  cleanupBilling({ patientIds: [patientId], payerIds: [payerId], claimIds, providerIds: [providerId] });
+  restoreEnv();
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+}
+
+function rejects(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+}
+
+let nextDay = 2;
+
+function createClaim(lines, overrides = {}) {
+  const record = {
+    id: `claim_lines_${suffix}_${claimIds.length}`,
+    patient_id: patientId,
+    member_id: `M${suffix}`,
+    payer_id: payerId,
+    diagnosis_code: 'F41.1, F33.1',
+    status: 'draft',
+    date_of_service: daysAgo(nextDay++),
+    ...overrides
+  };
+  ClaimLifecycleService.create(lines ? ClaimLineService.withLines(record, lines) : record);
+  claimIds.push(record.id);
+  return record.id;
+}
+
+async function runTest() {
+  console.log('\n🧪 CLAIM LINES TEST\n');
+
+  useBillingEnv();
+  db.upsertPayer({ id: `payer-${suffix}`, payer_id: payerId, payer_name: 'Lines Health Plan' });
+  createPatient(patientId);
+  db.upsertPatientInsurance({ id: `ins-${suffix}`, patient_id: patientId, payer_id: payerId, member_id: `M${suffix}` });
+  db.createProvider({ id: providerId, name: `Dr. Ana Rivera ${suffix}`, npi: '1987654328', taxonomy_code: '103T00000X' });
+
+  // ---- Checking lines ----
+  const normalized = ClaimLineService.normalize([
+    { code: '90837', price: '200', modifier: 'hj', diagnosis_pointers: '2:1' },
+    { cpt_code: '90785', charge: 25, diagnosis_code: 'F33.1', units: 2 }
+  ], { diagnoses: ['F41.1', 'F33.1'] });
+  check('Lines take the breakdown\'s names for code and charge', normalized[0].procedure_code === '90837' &&
+    normalized[0].charge === 200 && normalized[1].procedure_code === '90785' && normalized[1].units === 2);
+  check('Modifiers and pointers are read from lists or strings', normalized[0].modifiers.join(',') === 'HJ' &&
+    normalized[0].diagnosis_pointers.join(',') === '2,1');
+  check('A line\'s diagnosis code becomes its pointer', normalized[1].diagnosis_pointers.join(',') === '2');
+  check('At most four modifiers', rejects(() => ClaimLineService.normalize([
+    { code: '90834', charge: 150, modifiers: ['95', 'HJ', 'GT', 'U1', 'U2'] }
+  ]), /^Validation failed: line 1: at most 4 modifiers/));
+  check('At most four diagnosis pointers', rejects(() => ClaimLineService.normalize([
+    { code: '90834', charge: 150, diagnosis_pointers: [1, 2, 3, 4, 5] }
+  ]), /line 1: at most 4 diagnosis pointers/));
+  check('Pointers are positions', rejects(() => ClaimLineService.normalize([
+    { code: '90834', charge: 150, diagnosis_pointers: [0, 1] }
+  ]), /diagnosis pointers must be different positions/));
+  check('Every problem is reported', rejects(() => ClaimLineService.normalize([
+    { charge: -1, units: 0, place_of_service: 'telehealth', rendering_provider_id: 'provider_missing' }
+  ]), /procedure code is required; .*units must be more than 0; .*charge must be an amount; .*two-digit code; .*unknown rendering provider/));
+  check('A claim needs at least one line', rejects(() => ClaimLineService.normalize([]), /^Validation failed: at least one service line/));
+
+  // ---- Stored lines ----
+  const claimId = createClaim([
+    { code: '90837', charge: 200, modifiers: ['HJ'], diagnosis_pointers: [1, 2] },
+    { code: '90785', charge: 25, diagnosis_pointers: [2], rendering_provider_id: providerId, place_of_service: '02', modifiers: ['95'] }
+  ]);
+  const stored = db.getInsuranceClaim(claimId);
+  check('The claim\'s service codes and total follow its lines', stored.service_code === '90837, 90785' && stored.total_amount === 225);
+  const rows = db.getClaimLines(claimId);
+  check('Lines are stored in order', rows.length === 2 && rows[0].line_number === 1 && rows[1].line_number === 2 &&
+    rows[1].rendering_provider_id === providerId && JSON.parse(rows[0].diagnosis_pointers).join(',') === '1,2');
+  const read = ClaimLineService.getLines(claimId);
+  check('Lines are read with the diagnoses they point at', read.editable && read.lines[0].diagnosis_codes.join(',') === 'F41.1,F33.1' &&
+    read.lines[1].diagnosis_codes.join(',') === 'F33.1');
+
+  // ---- 837P ----
+  const settings = ClaimEDIService.getSettings();
+  const claim = ClaimEDIService.loadClaim(stored, settings);
+  check('The 837P claim has no errors', ClaimEDIService.validateClaim(claim).length === 0);
+  const content = ClaimEDIService.build837([claim], {
+    ...settings, interchange_control_number: 1, group_control_number: 1, created_at: new Date()
+  });
+  const segments = content.split('~').map(segment => segment.trim());
+  check('Each line has its own modifiers and pointers', segments.includes('SV1*HC:90837:HJ*200*UN*1***1:2') &&
+    segments.includes('SV1*HC:90785:95*25*UN*1*02**2'));
+  const secondLine = segments.indexOf('SV1*HC:90785:95*25*UN*1*02**2');
+  check('A line\'s own rendering provider is in 2420A', /^NM1\*82\*1\*.*\*XX\*1987654328$/.test(segments[secondLine + 2]));
+  check('Its taxonomy follows', segments[secondLine + 3] === 'PRV*PE*PXC*103T00000X');
+  const firstLine = segments.indexOf('SV1*HC:90837:HJ*200*UN*1***1:2');
+  check('Lines without their own provider have no 2420A', !segments[firstLine + 2].startsWith('NM1'));
+
+  // ---- Claims stored without lines ----
+  const legacyId = createClaim(null, {
+    service_code: '90834, 90785',
+    total_amount: 170,
+    response_data: JSON.stringify({ pricing: { breakdown: [
+      { code: '90834', description: 'Psychotherapy, 45 minutes', price: 150, modifier: 'HJ' },
+      { code: '90785', description: 'Interactive complexity', price: 20 }
+    ] } })
+  });
+  const legacy = ClaimLineService.linesFor(db.getInsuranceClaim(legacyId));
+  check('A claim without lines reads them from its coding breakdown', legacy.length === 2 && legacy[0].charge === 150 &&
+    legacy[0].modifiers.join(',') === 'HJ' && legacy[1].charge === 20 && db.getClaimLines(legacyId).length === 0);
+  const legacyClaim = ClaimEDIService.loadClaim(db.getInsuranceClaim(legacyId), settings);
+  check('Its lines point at the claim\'s diagnoses', legacyClaim.lines.every(line => line.diagnosis_pointers.join(',') === '1,2'));
+
+  // ---- Scrubber ----
+  const telehealthId = createClaim([
+    { code: '90834', charge: 150, place_of_service: '10' },
+    { code: '90785', charge: 25, place_of_service: '10', modifiers: ['95'] }
+  ]);
+  const telehealth = ClaimScrubberService.scrubClaim(telehealthId);
+  check('Telehealth is checked for each line\'s place of service', telehealth.errors.some(error =>
+    error.rule === 'modifiers' && error.line === 1 && /place of service 10/.test(error.message)) &&
+    !telehealth.errors.some(error => error.rule === 'modifiers' && error.line === 2));
+
+  // ---- EOB ----
+  const eob = EOBCalculationService.calculateEOBFromClaim(stored, {}, {});
+  check('The EOB is calculated from the claim\'s lines', eob.lineItems.length === 2 && eob.totals.amountBilled === 225 &&
+    eob.lineItems[1].cptCode === '90785' && eob.lineItems[1].lineNumber === 2 && eob.lineItems[1].modifiers.join(',') === '95' &&
+    eob.lineItems[0].diagnosisPointers.join(',') === '1,2');
+
+  // ---- New and corrected claims ----
+  const submitted = await InsuranceService.submitClaim({
+    patientId, memberId: `M${suffix}`, payerId, diagnosisCode: 'F41.1', copayPaid: 20, dateOfService: daysAgo(nextDay++),
+    lines: [{ code: '90834', charge: 150, modifiers: ['HJ'] }, { code: '90785', charge: 30 }]
+  });
+  if (submitted.claimId) claimIds.push(submitted.claimId);
+  const submittedClaim = submitted.claimId ? db.getInsuranceClaim(submitted.claimId) : {};
+  check('A new claim keeps its lines', submitted.success && db.getClaimLines(submitted.claimId).length === 2 &&
+    submittedClaim.service_code === '90834, 90785' && submittedClaim.total_amount === 180 && submittedClaim.insurance_amount === 160);
+  const badLines = await InsuranceService.submitClaim({
+    patientId, memberId: `M${suffix}`, payerId, diagnosisCode: 'F41.1', copayPaid: 0, dateOfService: daysAgo(nextDay++),
+    lines: [{ code: '90834', charge: 150, units: 0 }]
+  });
+  check('A new claim with bad lines is refused', !badLines.success && /^Validation failed: line 1: units/.test(badLines.error));
+
+  const deniedId = createClaim([
+    { code: '90837', charge: 200 },
+    { code: '90785', charge: 25 }
+  ], { status: 'denied' });
+  const ambiguous = await InsuranceService.submitCorrectedClaim(deniedId, { serviceCode: '90834' });
+  check('A service code alone can\'t correct a claim with several lines', !ambiguous.success &&
+    /^Validation failed: the claim has 2 service lines/.test(ambiguous.error));
+  const rejectedId = createClaim([{ code: '90837', charge: 200 }], { status: 'rejected' });
+  const corrected = await InsuranceService.submitCorrectedClaim(rejectedId, {
+    lines: [{ code: '90834', charge: 150, modifiers: ['HJ'] }, { code: '90785', charge: 25, diagnosis_pointers: [1] }]
+  });
+  check('A corrected claim replaces its lines', corrected.success && db.getClaimLines(rejectedId).length === 2 &&
+    db.getInsuranceClaim(rejectedId).total_amount === 175 && db.getInsuranceClaim(rejectedId).service_code === '90834, 90785');
+  const singleId = createClaim([{ code: '90837', charge: 200, modifiers: ['HJ'] }], { status: 'rejected' });
+  const single = await InsuranceService.submitCorrectedClaim(singleId, { serviceCode: '90834', totalAmount: 150 });
+  const singleLines = ClaimLineService.storedLines(singleId);
+  check('A service code and total correct a claim\'s only line', single.success && singleLines.length === 1 &&
+    singleLines[0].procedure_code === '90834' && singleLines[0].charge === 150 && singleLines[0].modifiers.join(',') === 'HJ');
+
+  // ---- Staff API ----
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin/insurance/claims', claimLineRoutes);
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/api/admin/insurance/claims`;
+  const request = async (urlPath, method = 'GET', body) => {
+    const response = await fetch(`${url}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  let response = await request(`/${claimId}/lines`);
+  check('Staff read a claim\'s lines', response.status === 200 && response.body.lines.length === 2 &&
+    response.body.diagnoses.join(',') === 'F41.1,F33.1');
+  response = await request(`/${telehealthId}/lines`, 'PUT', {
+    lines: [{ code: '90834', charge: 150, place_of_service: '10', modifiers: ['95'], diagnosis_pointers: [2] }],
+    diagnosis_code: 'F41.1, F43.10'
+  });
+  check('Staff replace a draft claim\'s lines and it is scrubbed again', response.status === 200 &&
+    response.body.lines.length === 1 && response.body.lines[0].diagnosis_codes.join(',') === 'F43.10' &&
+    response.body.scrub.claim_id === telehealthId &&
+    !response.body.scrub.errors.some(error => error.rule === 'modifiers') &&
+    db.getInsuranceClaim(telehealthId).total_amount === 150 && db.getInsuranceClaim(telehealthId).diagnosis_code === 'F41.1, F43.10');
+  response = await request(`/${claimId}/lines`, 'PUT', { lines: [{ code: '90834', charge: 150, modifiers: ['1', '2', '3', '4', '5'] }] });
+  check('Invalid lines are a 400', response.status === 400 && /at most 4 modifiers/.test(response.body.error));
+  response = await request(`/${deniedId}/lines`, 'PUT', { lines: [{ code: '90834', charge: 150 }] });
+  check('A claim the payer has is a 409', response.status === 409 && /corrected claim/.test(response.body.error) &&
+    db.getClaimLines(deniedId).length === 2);
+  response = await request('/claim_missing/lines');
+  check('Unknown claim is a 404', response.status === 404);
+
+  console.log(`\n${failures === 0 ? '✅ All claim line checks passed' : `❌ ${failures} check(s) failed`}\n`);
+}
+
+runTest()
+  .catch(error => {
+    console.error('❌ Test crashed:', error);
+    failures++;
+  })
+  .finally(() => {
+    if (server) server.close();
+    cleanup();
+    process.exit(failures === 0 ? 0 : 1);
+  });
@@ -0,0 +1,324 @@
+/**
+ * Claim scrubber test
+ *
+ * Verifies:
+ * - A complete claim passes every rule
+ * - Each rule catches what it should: 837P basics, NPI check digits, ICD-10 format and
+ *   billability, procedure codes, diagnosis pointers, modifiers, add-on codes, dates of
+ *   service, duplicates and payer requirements, as blocking errors or warnings
+ * - Submitting refuses claims with blocking errors (new claims, and 837P exports sent to the clearinghouse)
+ * - The report scrubs open claims and counts findings by rule, and results are kept on the claim
+ * - The staff API, including payer requirements
+ *
+ * Run: node tests/test-claim-scrubber.js
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const db = require('../database');
+const { BILLING_ENV, useBillingEnv, restoreEnv, createPatient, cleanupBilling } = require('./billing-fixtures');
+const ClaimScrubberService = require('../services/claim-scrubber-service');
+const ClaimLifecycleService = require('../services/claim-lifecycle-service');
+const ClaimEDIService = require('../services/claim-edi-service');
+const ClearinghouseService = require('../services/clearinghouse-service');
+const InsuranceService = require('../services/insurance-service');
+const claimScrubberRoutes = require('../routes/claim-scrubber');
+
+const suffix = Date.now().toString(36).toUpperCase();
+const patientId = `scrub-patient-${suffix}`;
+const providerId = `scrub-provider-${suffix}`;
+const appointmentId = `scrub-appt-${suffix}`;
+const payerId = `SCR${suffix}`;
+const claimIds = [];
+const exportIds = [];
+let failures = 0;
+let server = null;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function cleanup() {
+  cleanupBilling({
+    patientIds: [patientId],
+    payerIds: [payerId],
+    claimIds,
+    exportIds,
+    providerIds: [providerId],
+    appointmentIds: [appointmentId]
+  });
+  restoreEnv();
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+}
+
+// Dates of service are spread out so claims only duplicate each other when a check means them to
+let nextDay = 2;
+
+function claimRecord(overrides = {}, lines = null) {
+  const record = {
+    id: `claim_scrub_${suffix}_${claimIds.length}`,
+    patient_id: patientId,
+    member_id: `M${suffix}`,
+    payer_id: payerId,
+    service_code: '90834',
+    diagnosis_code: 'F41.1',
+    total_amount: 150,
+    status: 'draft',
+    date_of_service: daysAgo(nextDay++),
+    ...overrides
+  };
+  if (lines) {
+    record.service_code = lines.map(line => line.code).join(', ');
+    record.total_amount = lines.reduce((sum, line) => sum + line.charge, 0);
+    record.response_data = JSON.stringify({ pricing: { breakdown: lines } });
+  }
+  return record;
+}
+
+function createClaim(overrides = {}, lines = null) {
+  const record = claimRecord(overrides, lines);
+  db.createInsuranceClaim(record);
+  claimIds.push(record.id);
+  return record.id;
+}
+
+const rules = findings => findings.map(finding => finding.rule);
+const scrub = (overrides, lines) => ClaimScrubberService.scrubClaim(createClaim(overrides, lines));
+const hasError = (result, rule, pattern) => result.errors.some(e => e.rule === rule && (!pattern || pattern.test(e.message)));
+const hasWarning = (result, rule, pattern) => result.warnings.some(w => w.rule === rule && (!pattern || pattern.test(w.message)));
+
+async function rejects(fn, pattern) {
+  try {
+    await fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+}
+
+async function runTest() {
+  console.log('\n🧪 CLAIM SCRUBBER TEST\n');
+
+  useBillingEnv();
+  db.upsertPayer({ id: `payer-${suffix}`, payer_id: payerId, payer_name: 'Scrub Health Plan' });
+  createPatient(patientId);
+  db.upsertPatientInsurance({ id: `ins-${suffix}`, patient_id: patientId, payer_id: payerId, member_id: `M${suffix}` });
+
+  // ---- A clean claim ----
+  const clean = scrub();
+  check('Complete claim passes', clean.status === 'passed' && clean.passed && clean.errors.length === 0 &&
+    clean.warnings.length === 0);
+  const stored = db.getInsuranceClaim(clean.claim_id);
+  check('Result is kept on the claim', stored.scrub_status === 'passed' && !!stored.scrubbed_at &&
+    JSON.parse(stored.scrub_result).claim_id === clean.claim_id);
+  check('Behavioral health codes are in the procedure code list',
+    db.getCptCodesByCodes(['90834', '90837', '90791', '90785']).length === 4);
+
+  // ---- 837P basics and NPIs ----
+  const noMember = scrub({ member_id: 'N/A' });
+  check('Missing member ID blocks the claim', !noMember.passed && hasError(noMember, 'claim_format', /member ID is required/));
+  process.env.BILLING_PROVIDER_NPI = '1234567890';
+  const badNpi = scrub();
+  check('Billing NPI must pass the check digit', hasError(badNpi, 'npi', /billing provider NPI 1234567890 fails the check digit/));
+  process.env.BILLING_PROVIDER_NPI = BILLING_ENV.BILLING_PROVIDER_NPI;
+  db.createProvider({ id: providerId, name: `Dr. Ana Rivera ${suffix}`, npi: '1992753881' });
+  db.createAppointment({
+    id: appointmentId, patient_name: 'Maria Lopez', patient_phone: '+15550009999', date: daysAgo(1), time: '10:00',
+    start_time: `${daysAgo(1)}T10:00:00`, end_time: `${daysAgo(1)}T11:00:00`, provider_id: providerId, status: 'completed',
+    created_at: new Date().toISOString()
+  });
+  const badRendering = scrub({ appointment_id: appointmentId, date_of_service: daysAgo(1) });
+  check('Rendering NPI must pass the check digit', hasError(badRendering, 'npi', /rendering provider NPI 1992753881/));
+  const multipleCodes = scrub({ service_code: '90834, 90785' });
+  check('Several codes without charges block the claim', hasError(multipleCodes, 'claim_format', /several service codes/));
+
+  // ---- Diagnoses ----
+  const badFormat = scrub({ diagnosis_code: '41.1, F41.1, F41.1' });
+  check('Diagnosis must be an ICD-10-CM code', hasError(badFormat, 'icd10_format', /41\.1 is not an ICD-10-CM code/));
+  check('Diagnosis listed twice is an error', hasError(badFormat, 'icd10_format', /F41\.1 is listed twice/));
+  const category = scrub({ diagnosis_code: 'F41, F43.1, F10.2' });
+  check('Categories are not billable', ['F41', 'F43.1', 'F10.2'].every(code =>
+    hasError(category, 'icd10_billable', new RegExp(`${code.replace('.', '\\.')} is a category`))));
+  check('Specific codes are billable', !hasError(scrub({ diagnosis_code: 'F43.10, F10.20, F32.A' }), 'icd10_billable'));
+
+  // ---- Procedure codes ----
+  const unknownCode = scrub({ service_code: '90899' });
+  check('Procedure code must be in the list', hasError(unknownCode, 'procedure_codes', /90899 is not in the procedure code list/));
+  const malformed = scrub({}, [{ code: 'PSY1', charge: 150 }]);
+  check('Procedure code must look like CPT or HCPCS', hasError(malformed, 'procedure_codes', /PSY1 is not a CPT or HCPCS code/));
+
+  // ---- Diagnosis pointers ----
+  const manyDiagnoses = scrub({ diagnosis_code: 'F41.1, F32.0, F43.10, F90.0, Z63.8' });
+  check('Diagnoses no line points at are a warning', manyDiagnoses.passed &&
+    hasWarning(manyDiagnoses, 'diagnosis_pointers', /no service line points at Z63\.8/));
+  const zFirst = scrub({ diagnosis_code: 'Z63.8, F41.1' });
+  check('Psychotherapy pointing first at a Z code is a warning', zFirst.passed &&
+    hasWarning(zFirst, 'diagnosis_pointers', /payers expect a mental health \(F\) diagnosis/));
+
+  // ---- Modifiers and add-on codes ----
+  const repeated = scrub({}, [{ code: '90834', charge: 150 }, { code: '90834', charge: 150 }]);
+  check('Repeated procedure needs a distinct-service modifier', hasError(repeated, 'modifiers', /repeats line 1.*59, 76 or XU/));
+  check('Modifier 59 allows the repeat', !hasError(scrub({}, [
+    { code: '90834', charge: 150 }, { code: '90834', charge: 150, modifiers: ['59'] }
+  ]), 'modifiers'));
+  check('Modifier must be two characters', hasError(scrub({}, [{ code: '90834', charge: 150, modifiers: ['9'] }]),
+    'modifiers', /modifier 9 must be two letters or digits/));
+  process.env.BILLING_PLACE_OF_SERVICE = '10';
+  check('Telehealth needs a telehealth modifier', hasError(scrub(), 'modifiers', /telehealth \(place of service 10\) needs modifier/));
+  check('Modifier 95 satisfies telehealth', scrub({}, [{ code: '90834', charge: 150, modifiers: ['95'] }]).passed);
+  process.env.BILLING_PLACE_OF_SERVICE = '11';
+  check('Telehealth modifier in the office is a warning',
+    hasWarning(scrub({}, [{ code: '90834', charge: 150, modifiers: ['95'] }]), 'modifiers', /on an in-person claim/));
+
+  const addOnAlone = scrub({}, [{ code: '90833', charge: 80 }]);
+  check('Add-on code needs its primary code', hasError(addOnAlone, 'add_on_codes', /add-on code 90833 needs one of 99202/));
+  check('Add-on with its primary code passes', !hasError(scrub({}, [
+    { code: '99213', charge: 120 }, { code: '90833', charge: 80 }
+  ]), 'add_on_codes'));
+  const exclusive = scrub({}, [{ code: '90839', charge: 180 }, { code: '90785', charge: 30 }]);
+  check('Exclusive codes are not billed together', hasError(exclusive, 'add_on_codes', /90785 and 90839 can't be billed together/));
+
+  // ---- Dates of service ----
+  check('Future date of service is an error',
+    hasError(scrub({ date_of_service: new Date(Date.now() + 3 * 86400000).toISOString().slice(0, 10) }), 'date_of_service', /in the future/));
+  check('Date of service before birth is an error',
+    hasError(scrub({ date_of_service: '1980-01-01' }), 'date_of_service', /before the patient's birth/));
+  check('Date of service past timely filing is an error',
+    hasError(scrub({ date_of_service: daysAgo(400) }), 'date_of_service', /past the 365-day timely filing limit/));
+  const nearLimit = scrub({ date_of_service: daysAgo(350) });
+  check('Date of service near timely filing is a warning', nearLimit.passed &&
+    hasWarning(nearLimit, 'date_of_service', /reaches the 365-day timely filing limit in 15 day/));
+
+  // ---- Duplicates ----
+  const visitDate = daysAgo(60);
+  const submittedId = createClaim({ date_of_service: visitDate, status: 'submitted' });
+  const duplicate = scrub({ date_of_service: visitDate });
+  check('Same procedure on the same visit is a duplicate',
+    hasError(duplicate, 'duplicate', new RegExp(`90834 already billed on claim ${submittedId} \\(submitted\\)`)));
+  check('A different procedure on the same visit is not', !hasError(scrub({ date_of_service: visitDate, service_code: '90791' }), 'duplicate'));
+  ClaimLifecycleService.transition(submittedId, 'rejected', { source: '277CA' });
+  check('Rejected claims are not duplicates', !hasError(scrub({ date_of_service: visitDate }), 'duplicate'));
+  const draftDuplicate = scrub({ date_of_service: daysAgo(61) });
+  const draftOf = scrub({ date_of_service: daysAgo(61) });
+  check('A claim not yet submitted for the same visit is a warning', draftDuplicate.passed && draftOf.passed &&
+    hasWarning(draftOf, 'duplicate', new RegExp(`claim ${draftDuplicate.claim_id} \\(scrubbed\\)`)));
+
+  // ---- Payer requirements ----
+  ClaimScrubberService.setPayerRequirements(payerId, { required_fields: ['group_number'], timely_filing_days: 30 });
+  const payerRules = scrub({ date_of_service: daysAgo(40) });
+  check('Payer-required field is an error', hasError(payerRules, 'payer_requirements', /Scrub Health Plan requires group number/));
+  check('Payer timely filing limit applies', hasError(payerRules, 'date_of_service', /past the 30-day timely filing limit/));
+  db.upsertPatientInsurance({ id: `ins-${suffix}`, patient_id: patientId, payer_id: payerId, member_id: `M${suffix}`, group_number: 'GRP1' });
+  check('Payer requirement met', !hasError(scrub(), 'payer_requirements'));
+  ClaimScrubberService.setPayerRequirements(payerId, { telehealth_modifier: 'GT' });
+  process.env.BILLING_PLACE_OF_SERVICE = '02';
+  check('Payer telehealth modifier applies', hasError(scrub({}, [{ code: '90834', charge: 150, modifiers: ['95'] }]),
+    'modifiers', /this payer wants modifier GT/));
+  process.env.BILLING_PLACE_OF_SERVICE = '11';
+  ClaimScrubberService.setPayerRequirements(payerId, {});
+  check('Unknown payer is a warning', hasWarning(scrub({ payer_id: `NOPE${suffix}` }), 'payer_requirements', /not in the payer directory/));
+  check('Unknown requirement is rejected', await rejects(() => ClaimScrubberService.setPayerRequirements(payerId, {
+    required_fields: ['shoe_size']
+  }), /^Validation failed: unknown required_fields: shoe_size/));
+  check('Requirements for an unknown payer are rejected',
+    await rejects(() => ClaimScrubberService.getPayerRequirements('NOPE'), /^Payer not found/));
+
+  // ---- Submission is refused ----
+  check('Unknown claim is rejected', await rejects(() => ClaimScrubberService.scrubClaim('claim_missing'), /^Claim not found/));
+  check('Blocking errors stop a submission', await rejects(() => ClaimScrubberService.assertClean([clean.claim_id, noMember.claim_id]),
+    new RegExp(`^Scrub failed: ${noMember.claim_id}: .*member ID is required`)));
+  check('Warnings don\'t stop a submission', ClaimScrubberService.assertClean([clean.claim_id, nearLimit.claim_id]).length === 2);
+
+  const refused = await InsuranceService.submitClaim({
+    patientId, memberId: `M${suffix}`, payerId, serviceCode: '90833', diagnosisCode: 'F41.1',
+    totalAmount: 80, copayPaid: 0, dateOfService: daysAgo(90), idempotency_key: `idem-scrub-${suffix}`
+  });
+  check('A new claim with blocking errors is refused', !refused.success && /^Claim failed scrubbing: .*90833/.test(refused.error) &&
+    refused.scrub.status === 'failed');
+  check('A refused claim is not stored', !db.getInsuranceClaimByIdempotency(`idem-scrub-${suffix}`));
+
+  const exportClaim = createClaim({ diagnosis_code: 'F41', date_of_service: daysAgo(91) });
+  const ediExport = ClaimEDIService.exportClaims([exportClaim]);
+  exportIds.push(ediExport.id);
+  process.env.CLEARINGHOUSE = 'mock';
+  process.env.MOCK_CLEARINGHOUSE_URL = 'http://127.0.0.1:9';
+  check('An 837P with blocking errors is not sent', await rejects(() => ClearinghouseService.submitExport(ediExport.id),
+    /^Scrub failed: .*F41 is a category/));
+  check('Its claims stay unsubmitted', db.getInsuranceClaim(exportClaim).status === 'draft' && !db.getClaimEdiExport(ediExport.id).submitted_at);
+  delete process.env.CLEARINGHOUSE;
+
+  // ---- Report ----
+  db.db.prepare(`UPDATE insurance_claims SET status = 'closed' WHERE patient_id = ? AND id != ?`).run(patientId, exportClaim);
+  const reportIds = [
+    createClaim(),
+    createClaim({ date_of_service: daysAgo(355) }),
+    createClaim({ diagnosis_code: 'F43' })
+  ];
+  const report = ClaimScrubberService.getReport();
+  const ours = report.claims.filter(result => result.patient_id === patientId);
+  check('Report scrubs open claims', ours.length === 4 && reportIds.every(id => ours.some(result => result.claim_id === id)));
+  check('Report counts results', report.summary.claims === report.claims.length &&
+    report.summary.passed + report.summary.warnings + report.summary.failed === report.summary.claims);
+  check('Report counts findings by rule', report.summary.by_rule.icd10_billable.errors >= 2 &&
+    report.summary.by_rule.date_of_service.warnings >= 1);
+  check('Report keeps each result', db.getInsuranceClaim(reportIds[2]).scrub_status === 'failed' &&
+    db.getInsuranceClaim(reportIds[1]).scrub_status === 'warnings');
+
+  // ---- Staff API ----
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin/insurance/scrubber', claimScrubberRoutes);
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/api/admin/insurance/scrubber`;
+  const request = async (urlPath, method = 'GET', body) => {
+    const response = await fetch(`${url}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  let response = await request('/rules');
+  check('Staff list the rules', response.status === 200 && rules(response.body.rules.map(r => ({ rule: r.id }))).includes('duplicate'));
+  response = await request('/report?status=draft');
+  check('Staff read the report', response.status === 200 && response.body.statuses.join(',') === 'draft' &&
+    response.body.claims.some(result => result.claim_id === reportIds[2]));
+  response = await request(`/claims/${reportIds[2]}`, 'POST');
+  check('Staff scrub a claim', response.status === 200 && response.body.result.status === 'failed');
+  response = await request('/claims', 'POST', { claim_ids: [reportIds[0], reportIds[2]] });
+  check('Staff scrub several claims', response.status === 200 && response.body.passed === false && response.body.results.length === 2);
+  response = await request('/claims', 'POST', { claim_ids: [] });
+  check('Empty claim list is a 400', response.status === 400);
+  response = await request('/claims/claim_missing', 'POST');
+  check('Unknown claim is a 404', response.status === 404);
+  response = await request(`/payers/${payerId}/requirements`, 'PUT', { required_fields: ['rendering_provider'], timely_filing_days: 180 });
+  check('Staff set payer requirements', response.status === 200 &&
+    response.body.requirements.required_fields.join(',') === 'rendering_provider' && response.body.requirements.timely_filing_days === 180);
+  response = await request(`/payers/${payerId}/requirements`);
+  check('Staff read payer requirements', response.status === 200 && response.body.requirements.payer_name === 'Scrub Health Plan');
+  response = await request(`/payers/${payerId}/requirements`, 'PUT', { timely_filing_days: -5 });
+  check('Invalid requirements are a 400', response.status === 400);
+  response = await request('/payers/NOPE/requirements');
+  check('Unknown payer is a 404', response.status === 404);
+
+  console.log(`\n${failures === 0 ? '✅ All claim scrubber checks passed' : `❌ ${failures} check(s) failed`}\n`);
+}
+
+runTest()
+  .catch(error => {
+    console.error('❌ Test crashed:', error);
+    failures++;
+  })
+  .finally(() => {
+    if (server) server.close();
+    cleanup();
+    process.exit(failures === 0 ? 0 : 1);
+  });
@@ -0,0 +1,292 @@
+/**
+ * Clearinghouse test
+ *
+ * Runs the revenue cycle against the bundled mock clearinghouse (CLEARINGHOUSE=mock).
+ * Verifies:
+ * - 837P exports are sent and their claims marked submitted with the submission id
+ * - A claim whose 837P the clearinghouse didn't take stays scrubbed, and its export can be sent again
+ * - Scripted outcomes come back as real files: 999 rejections, 277CA rejections, and 835
+ *   remits for paid, partially paid and denied claims, all applied when inbound files are picked up
+ * - 276/277 status checks update a pending claim
+ * - Real-time 270/271 eligibility goes through the mock, including members it doesn't know
+ * - Files are kept, and a file received twice is applied once
+ * - The staff API
+ *
+ * Run: node tests/test-clearinghouse.js
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const MockClearinghouse = require('../scripts/mock-clearinghouse');
+const { useBillingEnv, restoreEnv, createPatient, cleanupBilling } = require('./billing-fixtures');
+
+const suffix = Date.now().toString(36).toUpperCase();
+const patientId = `ch-patient-${suffix}`;
+const payerId = `CH${suffix}`;
+const claimIds = [];
+const exportIds = [];
+let failures = 0;
+let server = null;
+let mock = null;
+let db = null;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function cleanup() {
+  if (db) {
+    // Files this run received: those acknowledging its claims, and its remits
+    const fileIds = db.db.prepare(`
+      SELECT file_id AS id FROM claim_acknowledgments WHERE claim_id IN (SELECT id FROM insurance_claims WHERE payer_id = ?)
+      UNION SELECT id FROM clearinghouse_files WHERE content LIKE ?
+    `).all(payerId, `%${payerId}%`);
+    cleanupBilling({ patientIds: [patientId], payerIds: [payerId], claimIds, exportIds });
+    fileIds.forEach(({ id }) => db.db.prepare('DELETE FROM clearinghouse_files WHERE id = ?').run(id));
+  }
+  restoreEnv();
+}
+
+function createClaim(memberId, overrides = {}) {
+  const claim = {
+    id: `claim_ch_${suffix}_${claimIds.length}`,
+    patient_id: patientId,
+    member_id: memberId,
+    payer_id: payerId,
+    service_code: '90834',
+    diagnosis_code: 'F41.1',
+    total_amount: 150,
+    status: 'draft',
+    // A different recent day for each claim, so none is a duplicate or past timely filing
+    date_of_service: new Date(Date.now() - (claimIds.length + 1) * 86400000).toISOString().slice(0, 10),
+    ...overrides
+  };
+  db.createInsuranceClaim(claim);
+  claimIds.push(claim.id);
+  return claim.id;
+}
+
+async function rejects(promise, pattern) {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+}
+
+async function runTest() {
+  console.log('\n🧪 CLEARINGHOUSE TEST\n');
+
+  mock = await MockClearinghouse.start({ port: 0 });
+  useBillingEnv({ CLEARINGHOUSE: 'mock', MOCK_CLEARINGHOUSE_URL: mock.url });
+  db = require('../database');
+  const ClaimEDIService = require('../services/claim-edi-service');
+  const ClearinghouseService = require('../services/clearinghouse-service');
+  const InsuranceService = require('../services/insurance-service');
+  const clearinghouseRoutes = require('../routes/clearinghouse');
+
+  db.upsertPayer({ id: `payer-${suffix}`, payer_id: payerId, payer_name: 'Mock Health Plan' });
+  createPatient(patientId);
+
+  // ---- Submission ----
+  const paidId = createClaim(`M${suffix}`);
+  const partialId = createClaim(`PARTIAL${suffix}`);
+  const deniedId = createClaim(`DENY${suffix}`);
+  const rejectedId = createClaim(`REJECT${suffix}`);
+  const badFileId = createClaim(`BADFILE${suffix}`);
+  const pendingId = createClaim(`PEND${suffix}`);
+
+  const batch = ClaimEDIService.exportClaims([paidId, partialId, deniedId, rejectedId, badFileId, pendingId]);
+  exportIds.push(batch.id);
+  check('Clearinghouse is configured', ClearinghouseService.isConfigured() && ClearinghouseService.getAdapter().name === 'mock');
+
+  const submitted = await ClearinghouseService.submitExport(batch.id);
+  check('Export is sent with the submission id', submitted.clearinghouse === 'mock' &&
+    /^SUB/.test(submitted.submission_id) && !!submitted.submitted_at && submitted.content === undefined);
+  const paidClaim = db.getInsuranceClaim(paidId);
+  check('Claims are marked submitted', paidClaim.status === 'submitted' &&
+    paidClaim.x12_claim_id === submitted.submission_id && !!paidClaim.submitted_at);
+  check('An export is sent only once', await rejects(ClearinghouseService.submitExport(batch.id), /^Export already submitted/));
+  check('Unknown export is rejected', await rejects(ClearinghouseService.submitExport('export_missing'), /^Export not found/));
+
+  // ---- Acknowledgments and remits ----
+  const polled = await ClearinghouseService.poll();
+  check('999, 277CA and 835 are picked up', polled.success && polled.received === 3 && polled.processed === 3 && polled.failed === 0);
+
+  const status = id => db.getInsuranceClaim(id).status;
+  check('999 rejects the claim with a bad segment', status(badFileId) === 'rejected');
+  const badFileAcks = ClearinghouseService.getAcknowledgments(badFileId);
+  check('999 rejection keeps its errors', badFileAcks.length === 1 && badFileAcks[0].type === '999' &&
+    badFileAcks[0].status === 'rejected' && badFileAcks[0].details[0].segment === 'NM1' &&
+    badFileAcks[0].details[0].elements[0].code === '6');
+  check('Export records the 999', db.getClaimEdiExport(batch.id).acknowledgment_status === 'P');
+
+  check('277CA rejects the claim', status(rejectedId) === 'rejected');
+  const rejectedAcks = ClearinghouseService.getAcknowledgments(rejectedId);
+  check('277CA rejection is explained', rejectedAcks.some(a => a.type === '277CA' && a.status === 'rejected' &&
+    a.code === 'A7:164' && /Entity's contract\/member number/i.test(a.description || '')));
+  check('Accepted claims are acknowledged twice', ClearinghouseService.getAcknowledgments(pendingId)
+    .map(a => `${a.type}:${a.status}`).join(',') === '999:accepted,277CA:accepted');
+  check('Payer claim number comes from the 277CA', !!db.getInsuranceClaim(pendingId).payer_claim_control_number);
+  check('Pending claim is acknowledged', status(pendingId) === 'acknowledged');
+
+  const paid = db.getInsuranceClaim(paidId);
+  check('835 pays the claim (80% allowed less the copay)', paid.status === 'paid' && paid.payment_amount === 100);
+  const partial = db.getInsuranceClaim(partialId);
+  check('835 pays part of the claim after the deductible', partial.status === 'paid' && partial.payment_amount === 60);
+  check('835 denies the claim', status(deniedId) === 'denied');
+  const remits = db.db.prepare('SELECT COUNT(*) AS count FROM era_files WHERE payer_id = ?').get(payerId);
+  check('One remit for the payer', remits.count === 1);
+
+  const empty = await ClearinghouseService.poll();
+  check('Nothing left to pick up', empty.received === 0);
+
+  // ---- Claim status ----
+  const pendingStatus = await InsuranceService.checkClaimStatus(pendingId);
+  check('276/277 reports the claim pending', pendingStatus.success && pendingStatus.status === 'pending' &&
+    pendingStatus.payerStatus && pendingStatus.payerStatus.code.startsWith('P1'));
+  const paidStatus = await ClearinghouseService.checkClaimStatus(paidId);
+  check('Paid claim stays as posted', paidStatus.claim.status === 'paid' && paidStatus.acknowledgment.status === 'paid');
+  check('Claim status needs a clearinghouse claim', await rejects(ClearinghouseService.checkClaimStatus('claim_missing'), /^Claim not found/));
+
+  // ---- Scripted scenarios ----
+  await fetch(`${mock.url}/scenarios`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ rules: [{ match: { member_id: `CUSTOM${suffix}` }, claim: 'denied', denial_reason: '96' }] })
+  });
+  const customId = createClaim(`CUSTOM${suffix}`, { total_amount: 200 });
+  const customExport = ClaimEDIService.exportClaims([customId]);
+  exportIds.push(customExport.id);
+  await ClearinghouseService.submitExport(customExport.id);
+  await ClearinghouseService.poll();
+  const customPayment = db.db.prepare(`
+    SELECT s.adjustments FROM era_service_payments s
+    JOIN era_claim_payments c ON c.id = s.claim_payment_id
+    WHERE c.claim_id = ?
+  `).get(customId);
+  check('Custom rule scripts the outcome', status(customId) === 'denied' &&
+    !!customPayment && customPayment.adjustments.includes('96'));
+
+  // ---- Eligibility ----
+  const eligibility = await InsuranceService.checkEligibility({
+    patientId, memberId: `M${suffix}`, payerId, payerName: 'Mock Health Plan',
+    patientName: 'Maria Lopez', dateOfBirth: '1985-06-15', serviceCode: '90834', dateOfService: '2026-02-20'
+  });
+  check('271 from the clearinghouse is used', eligibility.success && eligibility.eligible === true &&
+    eligibility.source === '271' && eligibility.copay === 20 && eligibility.visitsRemaining === 24);
+  const notFound = await InsuranceService.checkEligibility({
+    patientId, memberId: `NOTFOUND${suffix}`, payerId, payerName: 'Mock Health Plan',
+    patientName: 'Maria Lopez', dateOfBirth: '1985-06-15', serviceCode: '90834'
+  });
+  check('Unknown member is not eligible', notFound.eligible === false && notFound.source === '271');
+
+  // ---- Staff API ----
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin/insurance/clearinghouse', clearinghouseRoutes);
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/api/admin/insurance/clearinghouse`;
+  const request = async (urlPath, method = 'GET', body, type = 'application/json') => {
+    const response = await fetch(`${url}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': type },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  let response = await request(`/exports/${batch.id}/submit`, 'POST');
+  check('Resubmitting is a 409', response.status === 409);
+  response = await request('/exports/export_missing/submit', 'POST');
+  check('Unknown export is a 404', response.status === 404);
+
+  // A 277CA the clearinghouse pushes, posted raw and then again under the same id
+  const pushed = await fetch(`${mock.url}/claim-status`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ x12: require('../services/claim-status-edi-service').createInquiry(rejectedId).content })
+  }).then(r => r.json());
+  response = await request(`/inbound?external_id=PUSH${suffix}&clearinghouse=mock&file_name=push-${suffix}.277`, 'POST',
+    pushed.x12, 'application/edi-x12');
+  check('Pushed file is received', response.status === 201 && response.body.file.type === '277' &&
+    response.body.file.status === 'processed' && response.body.file.duplicate === false);
+  const pushedId = response.body.file && response.body.file.id;
+  const ackCount = ClearinghouseService.getAcknowledgments(rejectedId).length;
+  response = await request('/inbound', 'POST', {
+    content: pushed.x12, external_id: `PUSH${suffix}`, clearinghouse: 'mock'
+  });
+  check('The same file is applied once', response.status === 200 && response.body.file.duplicate === true &&
+    response.body.file.id === pushedId && ClearinghouseService.getAcknowledgments(rejectedId).length === ackCount);
+  response = await request('/inbound', 'POST', { content: 'not x12' });
+  check('Unreadable file is a 400', response.status === 400);
+
+  response = await request(`/files?type=277`);
+  check('Staff list files without content', response.status === 200 &&
+    response.body.files.some(f => f.id === pushedId) && response.body.files.every(f => f.content === undefined));
+  response = await request(`/files/${pushedId}`);
+  check('Staff read a file with its result', response.status === 200 && response.body.file.result.claims === 1);
+  response = await request('/files/chf_missing');
+  check('Unknown file is a 404', response.status === 404);
+  response = await request(`/claims/${rejectedId}/acknowledgments`);
+  check('Staff read a claim\'s acknowledgments', response.status === 200 && response.body.count === ackCount);
+  response = await request(`/claims/${pendingId}/status`, 'POST');
+  check('Staff check a claim\'s status', response.status === 200 && response.body.claim.id === pendingId);
+  response = await request('/poll', 'POST');
+  check('Staff pick up files', response.status === 200 && response.body.received === 0);
+
+  // ---- A send that fails ----
+  const adapter = ClearinghouseService.getAdapter();
+  const submitClaims = adapter.submitClaims;
+  adapter.submitClaims = async () => {
+    adapter.submitClaims = submitClaims;
+    throw new Error('Clearinghouse timed out');
+  };
+  const unsent = await InsuranceService.submitClaim({
+    patientId,
+    memberId: `M${suffix}`,
+    payerId,
+    serviceCode: '90837',
+    diagnosisCode: 'F41.1',
+    totalAmount: 180,
+    copayPaid: 0,
+    dateOfService: new Date(Date.now() - 20 * 86400000).toISOString().slice(0, 10)
+  });
+  if (unsent.claimId) claimIds.push(unsent.claimId);
+  if (unsent.ediExportId) exportIds.push(unsent.ediExportId);
+  check('A claim the clearinghouse didn\'t take stays scrubbed', unsent.success && unsent.transmitted === false &&
+    unsent.status === 'scrubbed' && /timed out/.test(unsent.sendError) && status(unsent.claimId) === 'scrubbed');
+  response = await request(`/exports/${unsent.ediExportId}/submit`, 'POST');
+  check('Its export can be sent again', response.status === 200 && status(unsent.claimId) === 'submitted' &&
+    db.getInsuranceClaim(unsent.claimId).x12_claim_id === response.body.export.submission_id);
+
+  // ---- Without a clearinghouse ----
+  process.env.CLEARINGHOUSE = 'none';
+  const stored = await InsuranceService.checkClaimStatus(deniedId);
+  check('Without a clearinghouse the stored status is returned', stored.success && stored.status === 'denied');
+  response = await request('/poll', 'POST');
+  check('Polling without a clearinghouse is a 400', response.status === 400);
+  process.env.CLEARINGHOUSE = 'unknown';
+  check('Unknown clearinghouse is an error', await rejects(Promise.resolve().then(() => ClearinghouseService.getAdapter()),
+    /^Unknown clearinghouse: unknown/));
+  process.env.CLEARINGHOUSE = 'mock';
+
+  console.log(`\n${failures === 0 ? '✅ All clearinghouse checks passed' : `❌ ${failures} check(s) failed`}\n`);
+}
+
+runTest()
+  .catch(error => {
+    console.error('❌ Test crashed:', error);
+    failures++;
+  })
+  .finally(async () => {
+    if (server) server.close();
+    if (mock) await mock.close();
+    cleanup();
+    process.exit(failures === 0 ? 0 : 1);
+  });
@@ -0,0 +1,282 @@
+/**
+ * Communication Preferences test
+ *
+ * Verifies:
+ * - Patients without recorded decisions get every message; preferences are validated
+ * - Consent decisions keep their time and source, with a full history (STOP/START included)
+ * - Revoked SMS, email or HIPAA consent blocks the messages it covers in the outbox,
+ *   including messages already waiting for a retry; login codes still go out
+ * - Texts due in quiet hours wait until they end; messages the patient is waiting for do not
+ * - Reminder channels are kept here: reminders on a channel the patient turned off are not sent
+ * - The reminder scheduler skips reminders the patient has not consented to
+ * - Staff API views and changes preferences
+ *
+ * Run: node tests/test-communication-preferences.js
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const db = require('../database');
+const EmailService = require('../services/email-service');
+const SMSService = require('../services/sms-service');
+const SMSReplyService = require('../services/sms-reply-service');
+const NotificationOutbox = require('../services/notification-outbox');
+const ReminderScheduler = require('../services/reminder-scheduler');
+const CommunicationPreferencesService = require('../services/communication-preferences-service');
+const communicationPreferencesRoutes = require('../routes/communication-preferences');
+
+const suffix = Date.now().toString(36);
+const providerName = `Dr. Consent ${suffix}`;
+const randomPhone = () => `+1555222${String(Math.floor(Math.random() * 10000)).padStart(4, '0')}`;
+const patientPhone = randomPhone();
+const quietPhone = randomPhone();
+const reminderPhone = randomPhone();
+const phones = [patientPhone, quietPhone, reminderPhone];
+// Far enough ahead that no other appointments are in range of the reminder check
+const base = new Date('2092-06-10T12:00:00Z');
+let failures = 0;
+let server = null;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function cleanup() {
+  db.db.prepare('DELETE FROM appointments WHERE provider = ?').run(providerName);
+  phones.forEach(phone => {
+    db.db.prepare('DELETE FROM patient_communication_preferences WHERE patient_phone = ?').run(phone);
+    db.db.prepare('DELETE FROM patient_consent_events WHERE patient_phone = ?').run(phone);
+    db.db.prepare('DELETE FROM notifications WHERE patient_phone = ?').run(phone);
+    db.db.prepare('DELETE FROM sms_inbound_messages WHERE from_phone = ?').run(phone);
+    db.deleteSmsOptOut(phone);
+  });
+}
+
+function rejects(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+}
+
+// "HH:MM" in UTC, minutes after date
+function utcTime(date, minutes = 0) {
+  return new Date(date.getTime() + minutes * 60 * 1000).toISOString().slice(11, 16);
+}
+
+async function runTest() {
+  // Stand in for the providers; `down` simulates an outage
+  let down = false;
+  EmailService.deliverEmail = async () => down
+    ? { success: false, error: 'Azure unavailable' }
+    : { success: true, message_id: `email-${suffix}`, provider: 'azure' };
+  SMSService.deliverSMS = async () => down
+    ? { success: false, error: 'Twilio unavailable' }
+    : { success: true, message_sid: `SM${suffix}`, provider: 'twilio' };
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin/communication-preferences', communicationPreferencesRoutes);
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/api/admin/communication-preferences`;
+
+  console.log('\n📋 Preferences');
+  let preferences = CommunicationPreferencesService.getPreferences(patientPhone.slice(2));
+  check('Patients start with nothing recorded', preferences.is_default && preferences.patient_phone === patientPhone &&
+    preferences.language === 'en' && preferences.quiet_hours === null &&
+    Object.values(preferences.consent).every(c => c.status === 'not_recorded'));
+  check('Messages allowed when nothing is recorded',
+    CommunicationPreferencesService.checkSend({ channel: 'sms', patient_phone: patientPhone, category: 'appointment_reminder' }).allowed);
+
+  check('Unknown language rejected', rejects(() =>
+    CommunicationPreferencesService.updatePreferences(patientPhone, { language: 'xx' }), /language must be one of/));
+  check('Bad quiet hours rejected', rejects(() =>
+    CommunicationPreferencesService.updatePreferences(patientPhone, { quiet_hours: { start: '9pm', end: '08:00' } }), /HH:MM/));
+  check('Consent needs a source', rejects(() =>
+    CommunicationPreferencesService.updatePreferences(patientPhone, { consent: { sms: true } }), /source must be one of/));
+  check('Consent must be true or false', rejects(() =>
+    CommunicationPreferencesService.updatePreferences(patientPhone, { consent: { sms: 'maybe' } }, { source: 'staff' }), /true or false/));
+
+  preferences = CommunicationPreferencesService.updatePreferences(patientPhone, {
+    language: 'es',
+    consent: { sms: true, email: true, hipaa: true }
+  }, { source: 'voice', actor: 'voice_agent' });
+  check('Consent recorded with time and source', preferences.consent.sms.status === 'granted' &&
+    preferences.consent.sms.source === 'voice' && preferences.consent.sms.recorded_at && preferences.language === 'es');
+
+  console.log('\n🚫 Consent');
+  CommunicationPreferencesService.updatePreferences(patientPhone, { consent: { sms: false } }, { source: 'portal', actor: 'patient' });
+  let result = await SMSService.sendSMS(patientPhone, 'Your appointment is tomorrow', { category: 'appointment_reminder' });
+  check('Text blocked after SMS consent is revoked', !result.success && result.blocked &&
+    db.getNotification(result.notification_id).status === 'blocked' &&
+    db.getNotification(result.notification_id).last_error === 'Patient revoked SMS consent');
+  result = await SMSService.sendSMS(patientPhone, 'Your code is 123456', { category: 'verification_code' });
+  check('Login code still sent', result.success);
+  result = await EmailService.sendEmail({ to: `consent-${suffix}@example.com`, subject: 'Hi', html: '<p>Hi</p>', patient_phone: patientPhone });
+  check('Email unaffected by SMS consent', result.success);
+
+  CommunicationPreferencesService.recordConsent(patientPhone, 'hipaa', false, { source: 'staff', actor: 'front_desk', note: 'Signed form' });
+  result = await EmailService.sendAppointmentConfirmation({
+    id: `APT-CONSENT-${suffix}`,
+    patient_name: 'Consent Patient',
+    patient_phone: patientPhone,
+    patient_email: `consent-${suffix}@example.com`,
+    appointment_type: 'Follow-up Session',
+    start_time: new Date(base).toISOString(),
+    end_time: new Date(base.getTime() + 30 * 60 * 1000).toISOString(),
+    provider: providerName
+  });
+  check('Appointment details blocked after HIPAA consent is revoked', !result.success && result.blocked &&
+    /appointment details/.test(result.error));
+  result = await EmailService.sendPaymentLinkEmail(`consent-${suffix}@example.com`, 'https://pay.example.com/x', {
+    product_name: 'Copay',
+    amount: 25,
+    customer_phone: patientPhone
+  });
+  check('Payment link email still sent without HIPAA consent', result.success);
+
+  CommunicationPreferencesService.updatePreferences(patientPhone, { consent: { email: false } }, { source: 'staff' });
+  result = await EmailService.sendPaymentLinkEmail(`consent-${suffix}@example.com`, 'https://pay.example.com/x', {
+    product_name: 'Copay',
+    amount: 25,
+    customer_phone: patientPhone
+  });
+  check('Payment link email blocked after email consent is revoked', result.blocked);
+
+  CommunicationPreferencesService.updatePreferences(patientPhone, { consent: { sms: true } }, { source: 'staff' });
+  down = true;
+  result = await SMSService.sendSMS(patientPhone, 'Please call us', { category: 'inbox_reply' });
+  down = false;
+  CommunicationPreferencesService.updatePreferences(patientPhone, { consent: { sms: false } }, { source: 'portal' });
+  const counts = await NotificationOutbox.processDue(new Date(Date.now() + 10 * 60 * 1000));
+  check('Queued retry blocked when consent is revoked while it waits', result.queued && counts.blocked >= 1 &&
+    db.getNotification(result.notification_id).status === 'blocked');
+
+  console.log('\n🔕 STOP / START');
+  await SMSReplyService.handleInbound({ from: patientPhone, body: 'START', message_sid: `SM${suffix}start` });
+  check('START grants SMS consent', CommunicationPreferencesService.getPreferences(patientPhone).consent.sms.source === 'sms_reply' &&
+    CommunicationPreferencesService.getPreferences(patientPhone).consent.sms.status === 'granted');
+  await SMSReplyService.handleInbound({ from: patientPhone, body: 'STOP', message_sid: `SM${suffix}stop` });
+  preferences = CommunicationPreferencesService.getPreferences(patientPhone);
+  check('STOP revokes SMS consent', preferences.consent.sms.status === 'revoked' && preferences.sms_stopped);
+  CommunicationPreferencesService.updatePreferences(patientPhone, { consent: { sms: true } }, { source: 'staff' });
+  check('Staff consent does not lift a STOP', CommunicationPreferencesService.checkSend({
+    channel: 'sms', patient_phone: patientPhone, category: 'payment_link'
+  }).reason === 'Patient replied STOP');
+
+  const history = CommunicationPreferencesService.getConsentHistory(patientPhone);
+  check('History keeps every decision, newest first', history.length === 11 &&
+    history[0].source === 'staff' && history[1].source === 'sms_reply' && history[1].status === 'revoked' &&
+    history.some(e => e.consent_type === 'hipaa' && e.recorded_by === 'front_desk' && e.note === 'Signed form'));
+
+  console.log('\n🌙 Quiet hours');
+  CommunicationPreferencesService.updatePreferences(quietPhone, {
+    timezone: 'UTC',
+    quiet_hours: { start: '21:00', end: '08:00' }
+  });
+  let permission = CommunicationPreferencesService.checkSend(
+    { channel: 'sms', patient_phone: quietPhone, category: 'appointment_reminder' }, new Date('2092-01-01T23:30:00Z'));
+  check('Text at night held until quiet hours end', !permission.allowed && permission.defer_until === '2092-01-02T08:00:00.000Z');
+  permission = CommunicationPreferencesService.checkSend(
+    { channel: 'sms', patient_phone: quietPhone, category: 'appointment_reminder' }, new Date('2092-01-01T12:00:00Z'));
+  check('Text in the day sent', permission.allowed);
+  permission = CommunicationPreferencesService.checkSend(
+    { channel: 'sms', patient_phone: quietPhone, category: 'payment_link' }, new Date('2092-01-01T23:30:00Z'));
+  check('Payment link sent during quiet hours', permission.allowed);
+  permission = CommunicationPreferencesService.checkSend(
+    { channel: 'email', patient_phone: quietPhone, category: 'appointment_reminder' }, new Date('2092-01-01T23:30:00Z'));
+  check('Email not held for quiet hours', permission.allowed);
+
+  const now = new Date();
+  CommunicationPreferencesService.updatePreferences(quietPhone, { quiet_hours: { start: utcTime(now, -60), end: utcTime(now, 60) } });
+  result = await SMSService.sendSMS(quietPhone, 'See you tomorrow', { category: 'appointment_reminder' });
+  let stored = db.getNotification(result.notification_id);
+  check('Outbox holds the text', result.queued && result.deferred && stored.status === 'pending' && stored.attempts === 0 &&
+    stored.next_attempt_at === result.next_attempt_at && new Date(result.next_attempt_at) > now);
+  await NotificationOutbox.processDue(new Date(now.getTime() + 2 * 60 * 60 * 1000));
+  stored = db.getNotification(result.notification_id);
+  check('Held text sent after quiet hours', stored.status === 'sent' && stored.attempts === 1);
+
+  console.log('\n🔔 Reminder channels');
+  check('Reminders go out on every channel by default',
+    CommunicationPreferencesService.getPreferences(quietPhone).reminder_channels.join(',') === 'email,sms');
+  check('Unknown reminder channel rejected', rejects(() =>
+    CommunicationPreferencesService.updatePreferences(quietPhone, { reminder_channels: ['pager'] }), /reminder_channels must be a list/));
+  preferences = CommunicationPreferencesService.updatePreferences(quietPhone, { reminder_channels: ['email'] });
+  permission = CommunicationPreferencesService.checkSend(
+    { channel: 'sms', patient_phone: quietPhone, category: 'appointment_reminder' }, new Date('2092-01-01T12:00:00Z'));
+  check('Reminder on a channel turned off not sent', preferences.reminder_channels.join(',') === 'email' &&
+    !permission.allowed && permission.reason === 'Patient turned off sms reminders');
+  check('Other texts still sent', CommunicationPreferencesService.checkSend(
+    { channel: 'sms', patient_phone: quietPhone, category: 'payment_link' }, new Date('2092-01-01T12:00:00Z')).allowed);
+  check('Reminder channels set through the reminder scheduler are the same preference',
+    ReminderScheduler.getPatientPreferences(quietPhone).channels.join(',') === 'email' &&
+    ReminderScheduler.resetPatientPreferences(quietPhone).is_default &&
+    CommunicationPreferencesService.getPreferences(quietPhone).reminder_channels.length === 2);
+
+  console.log('\n⏰ Reminders');
+  const start = new Date(base.getTime() + 50 * 60 * 1000);
+  const appointmentId = `APT-CONSENT-REM-${suffix}`.toUpperCase();
+  db.createAppointment({
+    id: appointmentId,
+    patient_name: `Reminder Patient ${suffix}`,
+    patient_phone: reminderPhone,
+    patient_email: `reminder-${suffix}@example.com`,
+    appointment_type: `Consent Visit ${suffix}`,
+    date: start.toISOString().slice(0, 10),
+    time: start.toISOString().slice(11, 16),
+    start_time: start.toISOString(),
+    end_time: new Date(start.getTime() + 30 * 60 * 1000).toISOString(),
+    duration_minutes: 30,
+    provider: providerName,
+    status: 'scheduled',
+    notes: '',
+    calendar_event_id: null,
+    calendar_link: null,
+    created_at: new Date(base.getTime() - 10 * 24 * 60 * 60 * 1000).toISOString()
+  });
+  CommunicationPreferencesService.recordConsent(reminderPhone, 'sms', false, { source: 'voice' });
+  await ReminderScheduler.checkAndSendReminders(base);
+  const attempts = db.getReminderAttempts(appointmentId);
+  check('SMS reminders skipped without consent', attempts.filter(a => a.channel === 'sms').length > 0 &&
+    attempts.filter(a => a.channel === 'sms').every(a => a.status === 'skipped' && a.error === 'Patient revoked SMS consent'));
+  check('Email reminder sent instead', attempts.some(a => a.channel === 'email' && a.status === 'sent'));
+
+  console.log('\n🌐 Staff API');
+  let response = await fetch(`${url}/${encodeURIComponent(reminderPhone)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ consent: { sms: true }, quiet_hours: { start: '22:00', end: '07:00' }, actor: 'front_desk' })
+  });
+  let body = await response.json();
+  check('Staff change consent and quiet hours', response.status === 200 && body.preferences.consent.sms.status === 'granted' &&
+    body.preferences.consent.sms.source === 'staff' && body.preferences.quiet_hours.start === '22:00');
+  response = await fetch(`${url}/${encodeURIComponent(reminderPhone)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ timezone: 'Mars/Olympus' })
+  });
+  check('Unknown timezone rejected', response.status === 400);
+  response = await fetch(`${url}/${encodeURIComponent(reminderPhone)}/history`);
+  body = await response.json();
+  check('Staff see the consent history', response.status === 200 && body.count === 2 &&
+    body.history[0].recorded_by === 'front_desk');
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(async () => {
+    cleanup();
+    if (server) await new Promise(resolve => server.close(resolve));
+    console.log(failures === 0 ? '\n✅ Communication preferences test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
@@ -0,0 +1,293 @@
+/**
+ * Coordination of benefits test
+ *
+ * Verifies:
+ * - A patient's plans are ordered primary, secondary, and staff can reorder them
+ * - New claims go to the primary plan; billing the secondary first is refused
+ * - Posting the primary's 835 creates, scrubs and submits the claim to the secondary, once,
+ *   with the same lines and the balance the primary left
+ * - The secondary's 837P carries the primary's adjudication (2320/2330A/2330B and 2430 per line),
+ *   and can't be written without it
+ * - EOB estimates count what the secondary pays, and the secondary's own EOB starts from the primary's
+ * - The staff API: coverage order, a claim's payers, and billing the next payer again
+ *
+ * Run: node tests/test-coordination-of-benefits.js
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const db = require('../database');
+const { useBillingEnv, restoreEnv, createPatient, cleanupBilling } = require('./billing-fixtures');
+const CoordinationOfBenefitsService = require('../services/coordination-of-benefits-service');
+const ClaimEDIService = require('../services/claim-edi-service');
+const ClaimLineService = require('../services/claim-line-service');
+const ClaimScrubberService = require('../services/claim-scrubber-service');
+const EOBCalculationService = require('../services/eob-calculation-service');
+const InsuranceService = require('../services/insurance-service');
+const RemittanceService = require('../services/remittance-service');
+const coordinationRoutes = require('../routes/coordination-of-benefits');
+
+const suffix = Date.now().toString(36).toUpperCase();
+const patientId = `cob-patient-${suffix}`;
+const primaryPayerId = `COBA${suffix}`;
+const secondaryPayerId = `COBB${suffix}`;
+const primaryPlanId = `ins-a-${suffix}`;
+const secondaryPlanId = `ins-b-${suffix}`;
+let failures = 0;
+let server = null;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function cleanup() {
+  cleanupBilling({ patientIds: [patientId], payerIds: [primaryPayerId, secondaryPayerId] });
+  restoreEnv();
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+}
+
+function rejects(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+}
+
+// One 835 from a payer for one claim: 90834 and 90846 with the given paid amounts and adjustments
+function remittanceFile(payerId, checkNumber, pcn, { lines, patient }) {
+  const charge = lines.reduce((sum, line) => sum + line.charge, 0);
+  const paid = lines.reduce((sum, line) => sum + line.paid, 0);
+  const segments = [
+    'ISA*00*          *00*          *ZZ*TESTPAYER      *ZZ*DOCLITTLE      *260310*1200*^*00501*000000301*0*P*:',
+    'GS*HP*TESTPAYER*DOCLITTLE*20260310*1200*301*X*005010X221A1',
+    'ST*835*0001',
+    `BPR*I*${paid}*C*ACH*CCP*01*999999999*DA*123456*1512345678**01*999988880*DA*98765*20260310`,
+    `TRN*1*${checkNumber}*1512345678`,
+    `N1*PR*${payerId === primaryPayerId ? 'Primary Health Plan' : 'Secondary Health Plan'}`,
+    `REF*2U*${payerId}`,
+    'N1*PE*Harbor Counseling Group*XX*1234567893',
+    'LX*1',
+    `CLP*${pcn}*1*${charge}*${paid}*${patient}*12*${checkNumber}CLM`
+  ];
+  for (const line of lines) {
+    segments.push(`SVC*HC:${line.code}*${line.charge}*${line.paid}**1`);
+    line.adjustments.forEach(adjustment => segments.push(`CAS*${adjustment}`));
+  }
+  const stIndex = segments.findIndex(s => s.startsWith('ST*'));
+  segments.push(`SE*${segments.length - stIndex + 1}*0001`, 'GE*1*301', 'IEA*1*000000301');
+  return segments.map(s => `${s}~`).join('\n') + '\n';
+}
+
+// Let billing the next payer (started by posting an 835) finish
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+async function runTest() {
+  console.log('\n🧪 COORDINATION OF BENEFITS TEST\n');
+
+  useBillingEnv();
+  db.upsertPayer({ id: `payer-a-${suffix}`, payer_id: primaryPayerId, payer_name: 'Primary Health Plan' });
+  db.upsertPayer({ id: `payer-b-${suffix}`, payer_id: secondaryPayerId, payer_name: 'Secondary Health Plan' });
+  createPatient(patientId);
+  db.upsertPatientInsurance({ id: primaryPlanId, patient_id: patientId, payer_id: primaryPayerId, member_id: `A${suffix}` });
+  db.upsertPatientInsurance({
+    id: secondaryPlanId,
+    patient_id: patientId,
+    payer_id: secondaryPayerId,
+    member_id: `B${suffix}`,
+    group_number: 'GRP2',
+    relationship_code: 'spouse',
+    subscriber_name: 'Carlos Lopez',
+    is_primary: false
+  });
+
+  // ---- Coverage order ----
+  let coverage = CoordinationOfBenefitsService.getCoverage(patientId);
+  check('Plans are ordered primary, secondary', coverage.length === 2 &&
+    coverage[0].id === primaryPlanId && coverage[0].payer_sequence === 'primary' &&
+    coverage[1].id === secondaryPlanId && coverage[1].payer_sequence === 'secondary');
+  check('The order must list every plan once', rejects(() =>
+    CoordinationOfBenefitsService.setCoverageOrder(patientId, [secondaryPlanId]), /each of the patient's plans once/));
+  check('The order only takes the patient\'s plans', rejects(() =>
+    CoordinationOfBenefitsService.setCoverageOrder(patientId, [secondaryPlanId, 'ins-other']), /not one of the patient's plans/));
+  coverage = CoordinationOfBenefitsService.setCoverageOrder(patientId, [secondaryPlanId, primaryPlanId], { actor: 'test' });
+  check('Staff can reorder the plans', coverage[0].id === secondaryPlanId &&
+    db.getPatientInsurance(patientId).id === secondaryPlanId);
+  CoordinationOfBenefitsService.setCoverageOrder(patientId, [primaryPlanId, secondaryPlanId]);
+
+  // ---- Submitting to the primary ----
+  const claimData = {
+    patientId,
+    diagnosisCode: 'F41.1',
+    dateOfService: daysAgo(5),
+    copayPaid: 0,
+    lines: [{ code: '90834', charge: 150 }, { code: '90846', charge: 100 }]
+  };
+  const refused = await InsuranceService.submitClaim({ ...claimData, memberId: `B${suffix}` });
+  check('Billing the secondary first is refused', !refused.success && /bill the primary plan/.test(refused.error));
+  const submitted = await InsuranceService.submitClaim(claimData);
+  const primary = db.getInsuranceClaim(submitted.claimId);
+  check('A claim without a member goes to the primary plan', submitted.success && primary.member_id === `A${suffix}` &&
+    primary.payer_id === primaryPayerId && primary.payer_sequence === 'primary' && !primary.prior_claim_id);
+  check('The primary has no next payer claim before its 835', !CoordinationOfBenefitsService.needsNextPayerClaim(primary.id) &&
+    rejects(() => CoordinationOfBenefitsService.createNextPayerClaim(primary.id), /no 835 from its payer yet/));
+
+  const unadjudicated = ClaimEDIService.loadClaim({
+    ...primary, id: `claim_cob_${suffix}_x`, payer_sequence: 'secondary', prior_claim_id: primary.id, lines: ClaimLineService.linesFor(primary)
+  });
+  check('A secondary claim can\'t be written without the primary\'s 835',
+    ClaimEDIService.validateClaim(unadjudicated).includes('a secondary claim needs the primary payer\'s adjudication (835)'));
+
+  // ---- The primary's 835 ----
+  RemittanceService.importERA(remittanceFile(primaryPayerId, `CHKA${suffix}`, primary.patient_control_number, {
+    patient: 50,
+    lines: [
+      { code: '90834', charge: 150, paid: 100, adjustments: ['CO*45*20', 'PR*2*30'] },
+      { code: '90846', charge: 100, paid: 60, adjustments: ['CO*45*20', 'PR*1*20'] }
+    ]
+  }), { actor: 'test' });
+  await settle();
+
+  const [secondary] = db.getClaimsByPriorClaim(primary.id);
+  check('Posting the primary\'s 835 creates a claim to the secondary', !!secondary &&
+    secondary.payer_id === secondaryPayerId && secondary.member_id === `B${suffix}` &&
+    secondary.payer_sequence === 'secondary' && secondary.patient_id === patientId);
+  check('The secondary claim bills the same lines for the balance left', secondary.total_amount === 250 &&
+    secondary.insurance_amount === 50 && db.getClaimLines(secondary.id).map(line => line.procedure_code).join(',') === '90834,90846');
+  check('The secondary claim is scrubbed and submitted', secondary.status === 'submitted' &&
+    !ClaimScrubberService.scrubClaim(secondary.id).errors.some(error => error.rule === 'duplicate'));
+  check('It is created once', CoordinationOfBenefitsService.createNextPayerClaim(primary.id).id === secondary.id &&
+    !CoordinationOfBenefitsService.needsNextPayerClaim(primary.id));
+
+  const adjudication = CoordinationOfBenefitsService.getAdjudication(primary.id);
+  check('The primary\'s adjudication is read from its 835', adjudication.paid_amount === 160 &&
+    adjudication.patient_responsibility === 50 && adjudication.adjudication_date === '2026-03-10' &&
+    adjudication.lines.length === 2 && adjudication.lines[0].line_number === 1);
+
+  // ---- The secondary's 837P ----
+  const settings = ClaimEDIService.getSettings();
+  const claim = ClaimEDIService.loadClaim(db.getInsuranceClaim(secondary.id), settings);
+  check('The secondary 837P claim has no errors', ClaimEDIService.validateClaim(claim).length === 0);
+  const content = ClaimEDIService.build837([claim], {
+    ...settings, interchange_control_number: 1, group_control_number: 1, created_at: new Date()
+  });
+  const segments = content.split('~').map(segment => segment.trim());
+  check('The subscriber loop is the secondary\'s (SBR01 S)', segments.includes('SBR*S**GRP2******CI') &&
+    segments.includes(`NM1*IL*1*Lopez*Carlos****MI*B${suffix}`));
+  const otherSubscriber = segments.indexOf('SBR*P*18*******CI');
+  check('The primary is the other payer (2320) with what it paid', otherSubscriber !== -1 &&
+    segments[otherSubscriber + 1] === 'AMT*D*160' && segments[otherSubscriber + 2] === 'AMT*EAF*50' &&
+    segments[otherSubscriber + 3] === 'OI***Y***Y');
+  check('The other subscriber and payer follow (2330A/2330B)',
+    segments[otherSubscriber + 4] === `NM1*IL*1*Lopez*Maria****MI*A${suffix}` &&
+    segments[otherSubscriber + 5] === `NM1*PR*2*Primary Health Plan*****PI*${primaryPayerId}`);
+  check('The 2320 loop comes before the service lines', otherSubscriber < segments.indexOf('LX*1'));
+  const firstAdjudication = segments.indexOf(`SVD*${primaryPayerId}*100*HC:90834**1`);
+  check('Each line carries the primary\'s adjudication (2430)', firstAdjudication > segments.indexOf('LX*1') &&
+    segments[firstAdjudication + 1] === 'CAS*CO*45*20' && segments[firstAdjudication + 2] === 'CAS*PR*2*30' &&
+    segments[firstAdjudication + 3] === 'DTP*573*D8*20260310' &&
+    segments.includes(`SVD*${primaryPayerId}*60*HC:90846**1`));
+
+  // ---- EOBs ----
+  const estimate = EOBCalculationService.calculateEOB({
+    lineItems: [{ code: '90834', charge: 100, allowed_amount: 100 }],
+    eligibility: { coinsurance_percent: 20 },
+    secondaryEligibility: { copay_amount: 5 }
+  });
+  check('An estimate counts what the secondary pays', estimate.totals.planPaid === 80 &&
+    estimate.totals.otherInsurancePaid === 15 && estimate.totals.whatYouOwe === 5 &&
+    estimate.lineItems[0].otherInsurancePaid === 15);
+
+  let eob = EOBCalculationService.calculateEOBFromClaim(db.getInsuranceClaim(secondary.id), {}, {});
+  check('The secondary\'s EOB starts from the primary\'s 835', eob.totals.otherInsurancePaid === 160 &&
+    eob.totals.planPaid === 50 && eob.totals.whatYouOwe === 0 && eob.lineItems[0].otherInsurancePaid === 100);
+  db.createEligibilityCheck({
+    id: `elig-b-${suffix}`, patient_id: patientId, member_id: `B${suffix}`, payer_id: secondaryPayerId, eligible: true, copay_amount: 10
+  });
+  eob = EOBCalculationService.calculateEOBFromClaim(db.getInsuranceClaim(secondary.id), {}, {});
+  check('The secondary\'s own cost share is left to the patient', eob.totals.planPaid === 40 &&
+    eob.totals.whatYouOwe === 10 && eob.totals.copay === 10);
+  // Coinsurance of 25.50 and 17 under the primary; the secondary leaves its 10 copay
+  eob = EOBCalculationService.calculateEOBFromClaim(db.getInsuranceClaim(primary.id), { coinsurance_percent: 20 }, {});
+  check('The primary\'s estimate counts the secondary\'s payment', eob.totals.otherInsurancePaid === 32.5 &&
+    eob.lineItems[0].otherInsurancePaid === 15.5);
+
+  // ---- The secondary's 835 ----
+  RemittanceService.importERA(remittanceFile(secondaryPayerId, `CHKB${suffix}`, db.getInsuranceClaim(secondary.id).patient_control_number, {
+    patient: 10,
+    lines: [
+      { code: '90834', charge: 150, paid: 20, adjustments: ['OA*23*120', 'PR*3*10'] },
+      { code: '90846', charge: 100, paid: 20, adjustments: ['OA*23*80'] }
+    ]
+  }), { actor: 'test' });
+  await settle();
+  const paidSecondary = db.getInsuranceClaim(secondary.id);
+  const storedEob = JSON.parse(paidSecondary.response_data).eob;
+  check('The secondary\'s 835 is posted with what the primary paid', paidSecondary.status === 'paid' &&
+    storedEob.totals.otherInsurancePaid === 160 && storedEob.lineItems[0].otherInsurancePaid === 100);
+  check('There is no plan after the secondary', db.getClaimsByPriorClaim(secondary.id).length === 0);
+
+  // ---- Staff API ----
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin/insurance/coordination', coordinationRoutes);
+  server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api/admin/insurance/coordination`;
+
+  let response = await fetch(`${base}/patients/${patientId}/coverage`);
+  let body = await response.json();
+  check('GET coverage lists the plans in order', response.status === 200 &&
+    body.coverage.map(plan => plan.payer_sequence).join(',') === 'primary,secondary');
+
+  response = await fetch(`${base}/patients/${patientId}/coverage`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ order: [primaryPlanId] })
+  });
+  check('PUT coverage refuses an incomplete order', response.status === 400);
+
+  response = await fetch(`${base}/patients/cob-nobody-${suffix}/coverage`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ order: [primaryPlanId] })
+  });
+  check('PUT coverage for a patient without plans is 404', response.status === 404);
+
+  response = await fetch(`${base}/claims/${secondary.id}`);
+  body = await response.json();
+  check('GET a claim shows the payers before it', response.status === 200 && body.payer_sequence === 'secondary' &&
+    body.prior_payers.length === 1 && body.prior_payers[0].adjudication.paid_amount === 160 && body.adjudication.paid_amount === 40);
+
+  response = await fetch(`${base}/claims/${primary.id}/next-payer-claim`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ actor: 'test' })
+  });
+  body = await response.json();
+  check('Billing the next payer again returns the claim already sent', response.status === 200 &&
+    body.idempotent === true && body.claimId === secondary.id);
+
+  response = await fetch(`${base}/claims/claim_missing_${suffix}/next-payer-claim`, { method: 'POST' });
+  check('Billing the next payer for an unknown claim is 404', response.status === 404);
+
+  console.log(`\n${failures === 0 ? '✅ All coordination of benefits checks passed' : `❌ ${failures} check(s) failed`}\n`);
+}
+
+runTest()
+  .catch(error => {
+    console.error('❌ Test crashed:', error);
+    failures++;
+  })
+  .finally(() => {
+    if (server) server.close();
+    cleanup();
+    process.exit(failures === 0 ? 0 : 1);
+  });
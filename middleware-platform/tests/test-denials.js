@@ -0,0 +1,304 @@
+/**
+ * Denial management test
+ *
+ * Verifies:
+ * - 835 denials and refused lines open denials with their CARC/RARC reason, category and amount
+ * - The work queue groups denials by reason with the suggested fix, and filters by assignee and due date
+ * - Staff assign denials, set follow-up dates, add notes, resolve or write them off
+ * - Appeal letters are written from letter templates with the claim's data; sending one appeals the claim
+ * - Corrected claims go out with frequency code 7 and the payer's claim number; failing ones are refused
+ * - A payment resolves the claim's denials, and a new denial replaces the open one
+ * - Denial rates by payer and reason
+ * - The staff API
+ *
+ * Run: node tests/test-denials.js
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const db = require('../database');
+const { useBillingEnv, restoreEnv, createPatient, cleanupBilling } = require('./billing-fixtures');
+const ClaimEDIService = require('../services/claim-edi-service');
+const ClaimLifecycleService = require('../services/claim-lifecycle-service');
+const DenialService = require('../services/denial-service');
+const RemittanceService = require('../services/remittance-service');
+const denialRoutes = require('../routes/denials');
+
+const suffix = Date.now().toString(36).toUpperCase();
+const patientId = `denial-patient-${suffix}`;
+const payerId = `DENY${suffix}`;
+let failures = 0;
+let server = null;
+let nextDay = 2;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function cleanup() {
+  cleanupBilling({ patientIds: [patientId], payerIds: [payerId] });
+  restoreEnv();
+}
+
+function daysFromToday(days) {
+  return new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+}
+
+// A submitted claim with its patient control number, on its own date of service
+function createClaim(pcn, overrides = {}) {
+  const claim = {
+    id: `claim_deny_${suffix}_${nextDay}`,
+    patient_id: patientId,
+    member_id: `M${suffix}`,
+    payer_id: payerId,
+    service_code: '90834',
+    diagnosis_code: 'F41.1',
+    total_amount: 150,
+    status: 'submitted',
+    date_of_service: daysFromToday(-nextDay++),
+    ...overrides
+  };
+  db.createInsuranceClaim(claim);
+  db.setClaimPatientControlNumber(claim.id, pcn);
+  return claim.id;
+}
+
+// One 835 from the payer; claims are CLP segment lists, and the payment is what they net to
+function remittanceFile(checkNumber, amount, claims) {
+  const segments = [
+    'ISA*00*          *00*          *ZZ*TESTPAYER      *ZZ*DOCLITTLE      *260310*1200*^*00501*000000301*0*P*:',
+    'GS*HP*TESTPAYER*DOCLITTLE*20260310*1200*301*X*005010X221A1',
+    'ST*835*0001',
+    `BPR*${amount === 0 ? 'H' : 'I'}*${amount}*C*ACH*CCP*01*999999999*DA*123456*1512345678**01*999988880*DA*98765*20260310`,
+    `TRN*1*${checkNumber}*1512345678`,
+    'N1*PR*Test Payer',
+    `REF*2U*${payerId}`,
+    'N1*PE*Harbor Counseling Group*XX*1234567893',
+    'LX*1',
+    ...claims.flat()
+  ];
+  const stIndex = segments.findIndex(s => s.startsWith('ST*'));
+  segments.push(`SE*${segments.length - stIndex + 1}*0001`, 'GE*1*301', 'IEA*1*000000301');
+  return segments.map(s => `${s}~`).join('\n') + '\n';
+}
+
+const denialsFor = (claimId, statuses) => db.getClaimDenials({ claim_id: claimId, statuses });
+const status = claimId => db.getInsuranceClaim(claimId).status;
+
+function rejects(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+}
+
+async function runTest() {
+  console.log('\n🧪 DENIAL MANAGEMENT TEST\n');
+
+  useBillingEnv();
+  db.upsertPayer({ id: `payer-${suffix}`, payer_id: payerId, payer_name: 'Denials Health Plan' });
+  createPatient(patientId);
+  db.upsertPatientInsurance({ id: `ins-${suffix}`, patient_id: patientId, payer_id: payerId, member_id: `M${suffix}` });
+
+  // ---- Denials from 835 remits ----
+  const paidId = createClaim(`DP${suffix}`);
+  const partialId = createClaim(`DQ${suffix}`, {
+    service_code: '90834, 90785',
+    total_amount: 180,
+    response_data: JSON.stringify({ pricing: { breakdown: [{ code: '90834', charge: 150 }, { code: '90785', charge: 30 }] } })
+  });
+  const necessityId = createClaim(`DN${suffix}`);
+  const modifierId = createClaim(`DM${suffix}`);
+  const eligibilityId = createClaim(`DE${suffix}`);
+  RemittanceService.importERA(remittanceFile(`DENY1${suffix}`, 200, [
+    [`CLP*DP${suffix}*1*150*100*20*12*PAYER1`, 'SVC*HC:90834*150*100**1', 'CAS*CO*45*30', 'CAS*PR*3*20'],
+    [`CLP*DQ${suffix}*1*180*100*20*12*PAYER2`, 'SVC*HC:90834*150*100**1', 'CAS*CO*45*30', 'CAS*PR*3*20',
+      'SVC*HC:90785*30*0**1', 'CAS*CO*97*30', 'LQ*HE*N20'],
+    [`CLP*DN${suffix}*4*150*0*0*12*PAYER3`, 'CAS*CO*50*150'],
+    [`CLP*DM${suffix}*4*150*0*0*12*PAYER4`, 'CAS*CO*4*150'],
+    [`CLP*DE${suffix}*4*150*0*0*12*PAYER5`, 'CAS*CO*16*150', 'MOA***N30']
+  ]), { actor: 'biller' });
+
+  check('A paid claim has no denial', denialsFor(paidId).length === 0);
+  const [line] = denialsFor(partialId);
+  check('A refused line opens a line denial for its charge', line && line.denial_type === 'line' &&
+    line.group_code === 'CO' && line.reason_code === '97' && line.remark_code === 'N20' &&
+    line.category === 'bundling' && line.denied_amount === 30 && line.status === 'open');
+  const [necessity] = denialsFor(necessityId);
+  check('A denied claim opens a claim denial for what the payer refused', necessity &&
+    necessity.denial_type === 'claim' && necessity.reason_code === '50' && necessity.category === 'medical_necessity' &&
+    necessity.denied_amount === 150 && necessity.follow_up_date === daysFromToday(7));
+  check('A modifier denial is categorized by its reason code', denialsFor(modifierId)[0].category === 'modifier');
+  const [eligibility] = denialsFor(eligibilityId);
+  check('A remark code is more specific than its reason code', eligibility.reason_code === '16' &&
+    eligibility.remark_code === 'N30' && eligibility.category === 'eligibility');
+
+  const detail = DenialService.getDenial(necessity.id);
+  check('A denial reads with its reasons, suggested fix and template', detail.reason_description.startsWith('These are non-covered') &&
+    detail.reasons.adjustments[0].description === detail.reason_description && detail.category_label === 'Medical necessity' &&
+    detail.appeal_template === 'appeal_medical_necessity' && detail.corrected_claim === false &&
+    detail.payer_name === 'Denials Health Plan' && detail.payer_claim_control_number === 'PAYER3');
+
+  // ---- Work queue ----
+  const queue = DenialService.getQueue({ payer_id: payerId });
+  const bundling = queue.groups.find(group => group.reason_code === '97');
+  check('The queue groups denials by reason with the suggested fix', queue.count === 4 && queue.groups.length === 4 &&
+    queue.denied_amount === 480 && bundling.remark_code === 'N20' && bundling.count === 1 &&
+    bundling.suggested_fix.includes('59 or XU') && queue.groups[queue.groups.length - 1] === bundling);
+  check('Unknown queue status is refused', rejects(() => DenialService.getQueue({ status: 'closed' }),
+    /^Validation failed: unknown denial status closed/));
+
+  const assigned = DenialService.updateDenial(necessity.id, {
+    assigned_to: 'jordan', follow_up_date: daysFromToday(-1), note: 'Requested the session notes', actor: 'jordan'
+  });
+  check('Staff assign a denial, set its follow-up and add a note', assigned.assigned_to === 'jordan' &&
+    assigned.follow_up_date === daysFromToday(-1) && assigned.notes.length === 1 &&
+    assigned.notes[0].note === 'Requested the session notes' && assigned.notes[0].actor === 'jordan');
+  check('The queue filters by assignee', DenialService.getQueue({ payer_id: payerId, assigned_to: 'jordan' }).count === 1);
+  const due = DenialService.getQueue({ payer_id: payerId, due: 'true' });
+  check('The queue lists denials due for follow-up', due.count === 1 && due.groups[0].denials[0].id === necessity.id);
+  check('A follow-up date must be a date', rejects(() => DenialService.updateDenial(necessity.id, { follow_up_date: 'soon' }),
+    /^Validation failed: follow_up_date must be a date/));
+  check('An empty update is refused', rejects(() => DenialService.updateDenial(necessity.id, {}), /^Validation failed: nothing to update/));
+  check('Unknown denial is refused', rejects(() => DenialService.updateDenial('denial-missing', { note: 'x' }), /^Denial not found/));
+
+  // ---- Appeals ----
+  const appeal = DenialService.createAppeal(necessity.id, {
+    actor: 'jordan',
+    data: { clinical_summary: 'Weekly sessions for generalized anxiety with panic attacks.' }
+  });
+  check('An appeal letter is written from the template for the denial', appeal.level === 1 && appeal.status === 'draft' &&
+    appeal.template === 'appeal_medical_necessity' && appeal.created_by === 'jordan' && appeal.subject.includes('PAYER3'));
+  check('The letter has the claim\'s data', appeal.letter.includes('Denials Health Plan') && appeal.letter.includes('Maria Lopez') &&
+    appeal.letter.includes('CO-50') && appeal.letter.includes('$150.00') && appeal.letter.includes('90834') &&
+    appeal.letter.includes('Weekly sessions for generalized anxiety') && appeal.letter.includes('1234567893') &&
+    !appeal.letter.includes('{{'));
+  check('Only letter templates write appeals', rejects(() => DenialService.createAppeal(necessity.id, { template: 'payment_link_sms' }),
+    /^Validation failed: payment_link_sms is not a letter template/));
+  check('Unknown template is refused', rejects(() => DenialService.createAppeal(necessity.id, { template: 'appeal_missing' }),
+    /^Validation failed/));
+
+  const sent = DenialService.markAppealSent(appeal.id, { actor: 'jordan' });
+  const appealEvent = ClaimLifecycleService.getTimeline(necessityId).events.pop();
+  check('Sending an appeal appeals the denial and the claim', sent.status === 'sent' && sent.sent_by === 'jordan' &&
+    !!sent.sent_at && DenialService.getDenial(necessity.id).status === 'appealed' && status(necessityId) === 'appealed' &&
+    appealEvent.source === 'manual' && appealEvent.payload.appeal_id === appeal.id);
+  check('An appeal is sent once', rejects(() => DenialService.markAppealSent(appeal.id), /^Appeal is already sent/));
+  const second = DenialService.createAppeal(necessity.id, { template: 'appeal_reconsideration' });
+  check('A second appeal is the next level', second.level === 2 && DenialService.getDenial(necessity.id).appeals.length === 2);
+
+  // ---- Corrected claims ----
+  const corrected = await DenialService.resubmitCorrected(denialsFor(modifierId)[0].id, {
+    lines: [{ code: '90834', charge: 150, modifiers: ['95'] }]
+  }, { actor: 'jordan' });
+  const ediExport = ClaimEDIService.getExport(corrected.result.ediExportId);
+  check('A corrected claim resubmits with frequency code 7', corrected.result.success &&
+    corrected.result.frequencyCode === '7' && status(modifierId) === 'submitted' &&
+    db.getInsuranceClaim(modifierId).frequency_code === '7' && corrected.denial.status === 'resubmitted');
+  check('The corrected 837P replaces the payer\'s claim', ediExport.content.includes(`CLM*DM${suffix}*150***11:B:7`) &&
+    ediExport.content.includes('REF*F8*PAYER4') && ediExport.content.includes('SV1*HC:90834:95*150'));
+
+  const refused = await DenialService.resubmitCorrected(eligibility.id, { memberId: 'N/A' });
+  check('A corrected claim that fails scrubbing is refused and nothing changes', !refused.result.success &&
+    /^Claim failed scrubbing/.test(refused.result.error) && status(eligibilityId) === 'denied' &&
+    db.getInsuranceClaim(eligibilityId).member_id === `M${suffix}` && refused.denial.status === 'open');
+
+  // ---- Later remits ----
+  RemittanceService.importERA(remittanceFile(`DENY2${suffix}`, 100, [
+    [`CLP*DM${suffix}*1*150*100*20*12*PAYER4`, 'SVC*HC:90834:95*150*100**1', 'CAS*CO*45*30', 'CAS*PR*3*20'],
+    [`CLP*DE${suffix}*4*150*0*0*12*PAYER5`, 'CAS*CO*29*150']
+  ]));
+  const paidDenial = denialsFor(modifierId)[0];
+  check('A payment resolves the claim\'s denial', status(modifierId) === 'paid' && paidDenial.status === 'resolved' &&
+    paidDenial.resolution.startsWith('Paid by the payer'));
+  const eligibilityDenials = denialsFor(eligibilityId);
+  const timely = eligibilityDenials.find(denial => denial.status === 'open');
+  check('A new denial replaces the open one', eligibilityDenials.length === 2 &&
+    DenialService.getDenial(eligibility.id).status === 'resolved' && timely.category === 'timely_filing');
+
+  // ---- Closing ----
+  check('Writing off needs a note', rejects(() => DenialService.closeDenial(timely.id, { status: 'written_off' }),
+    /^Validation failed: a note is required/));
+  const writtenOff = DenialService.closeDenial(timely.id, { status: 'written_off', note: 'No proof of timely filing', actor: 'jordan' });
+  check('Writing off closes the denial and the claim', writtenOff.status === 'written_off' &&
+    writtenOff.resolved_by === 'jordan' && writtenOff.resolution === 'No proof of timely filing' && status(eligibilityId) === 'closed');
+  check('A closed denial can\'t be worked', rejects(() => DenialService.updateDenial(timely.id, { note: 'x' }),
+    /^Denial is already written off/));
+
+  // ---- Report ----
+  const report = DenialService.getReport({ from: daysFromToday(-1), to: daysFromToday(1) });
+  const byPayer = report.by_payer.find(row => row.payer_id === payerId);
+  check('Denial rates by payer', byPayer.payer_name === 'Denials Health Plan' && byPayer.claims_adjudicated === 5 &&
+    byPayer.claims_denied === 4 && byPayer.denial_rate === 0.8 && byPayer.denials === 5 && byPayer.denied_amount === 630);
+  const byReason = report.by_reason.find(row => row.reason_code === '29');
+  check('Denial rates by reason', byReason && byReason.category === 'timely_filing' && byReason.denials >= 1 &&
+    byReason.reason_description.length > 0);
+  check('A report range must be dates in order', rejects(() => DenialService.getReport({ from: 'yesterday' }),
+    /^Validation failed: from and to must be dates/) &&
+    rejects(() => DenialService.getReport({ from: daysFromToday(1), to: daysFromToday(-1) }), /^Validation failed: from must not be after to/));
+
+  // ---- Staff API ----
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin/insurance/denials', denialRoutes);
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/api/admin/insurance/denials`;
+  const request = async (urlPath, method = 'GET', body) => {
+    const response = await fetch(`${url}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    return { status: response.status, type: response.headers.get('content-type'), body: /json/.test(response.headers.get('content-type')) ? JSON.parse(text) : text };
+  };
+
+  let response = await request(`?payer_id=${payerId}`);
+  check('Staff read the queue', response.status === 200 && response.body.count === 2 &&
+    response.body.groups.some(group => group.reason_code === '97'));
+  response = await request(`/report?from=${daysFromToday(-1)}&to=${daysFromToday(1)}`);
+  check('Staff read the report', response.status === 200 && response.body.report.by_payer.some(row => row.payer_id === payerId));
+  response = await request(`/${line.id}`);
+  check('Staff read a denial', response.status === 200 && response.body.denial.id === line.id);
+  response = await request('/denial-missing');
+  check('Unknown denial is a 404', response.status === 404);
+  response = await request(`/${line.id}`, 'PATCH', { assigned_to: 'sam', actor: 'sam' });
+  check('Staff assign a denial', response.status === 200 && response.body.denial.assigned_to === 'sam');
+  response = await request(`/${line.id}/appeals`, 'POST', { actor: 'sam' });
+  check('Staff write an appeal letter', response.status === 201 && response.body.appeal.template === 'appeal_reconsideration');
+  const appealId = response.body.appeal.id;
+  response = await request(`/appeals/${appealId}/letter`);
+  check('Staff download the letter', response.status === 200 && /^text\/plain/.test(response.type) &&
+    response.body.includes('Maria Lopez'));
+  response = await request(`/appeals/${appealId}/sent`, 'POST', { actor: 'sam' });
+  check('Staff mark the letter sent', response.status === 200 && response.body.appeal.status === 'sent' &&
+    status(partialId) === 'appealed');
+  response = await request(`/appeals/${appealId}/sent`, 'POST', {});
+  check('Sending a letter twice is a 409', response.status === 409);
+  response = await request(`/${line.id}/close`, 'POST', { status: 'resolved', note: 'Paid after a call', actor: 'sam' });
+  check('Staff resolve a denial', response.status === 200 && response.body.denial.status === 'resolved' &&
+    status(partialId) === 'appealed');
+  response = await request(`/${line.id}/close`, 'POST', { status: 'resolved', note: 'Again' });
+  check('Closing a closed denial is a 409', response.status === 409);
+  response = await request('/denial-missing/corrected-claim', 'POST', {});
+  check('Correcting an unknown denial is a 404', response.status === 404);
+
+  console.log(`\n${failures === 0 ? '✅ All denial management checks passed' : `❌ ${failures} check(s) failed`}\n`);
+}
+
+runTest()
+  .catch(error => {
+    console.error('❌ Test crashed:', error);
+    failures++;
+  })
+  .finally(() => {
+    if (server) server.close();
+    cleanup();
+    process.exit(failures === 0 ? 0 : 1);
+  });
@@ -0,0 +1,268 @@
+/**
+ * Eligibility EDI (270/271) test
+ *
+ * Verifies:
+ * - 270 inquiries carry the payer, practice NPI, subscriber, date of service and service types asked about
+ * - 271 responses are parsed into benefits (EB with HSD limits and MSG notes) per subscriber
+ * - Benefits are normalized for mental health and office visits: in- and out-of-network copay,
+ *   coinsurance, deductible and out-of-pocket (total and remaining), visit limits and prior auth
+ * - AAA rejections come back as errors with a rejected status
+ * - Recorded responses populate eligibility_checks with the normalized benefits
+ * - Eligibility checks write a 270; without a 271 (no clearinghouse, a failed request, no 270) they are
+ *   stored as unknown with no benefit figures
+ * - Staff API writes 270s, records 271s and reads checks
+ *
+ * Run: node tests/test-eligibility-edi.js
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const db = require('../database');
+const { BILLING_ENV, useBillingEnv, restoreEnv, cleanupBilling } = require('./billing-fixtures');
+const EligibilityEDIService = require('../services/eligibility-edi-service');
+const InsuranceService = require('../services/insurance-service');
+const ClearinghouseService = require('../services/clearinghouse-service');
+const eligibilityRoutes = require('../routes/eligibility');
+
+const suffix = Date.now().toString(36).toUpperCase();
+const memberId = `ELG${suffix}`;
+const payerId = `PAY${suffix}`;
+let failures = 0;
+let server = null;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function cleanup() {
+  cleanupBilling({ memberIds: [memberId] });
+  restoreEnv();
+}
+
+function rejects(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+}
+
+// EB01..EB12 by position, so the tests read like the implementation guide
+function eb(code, level, serviceTypes, { period = '', amount = '', percent = '', qualifier = '', quantity = '', auth = '', network = '', description = '' } = {}) {
+  return ['EB', code, level, serviceTypes, '', description, period, amount, percent, qualifier, quantity, auth, network].join('*');
+}
+
+// A subscriber with mental health and office visit benefits, and a second subscriber the payer couldn't find
+function response271() {
+  const segments = [
+    'ISA*00*          *00*          *ZZ*CLEARINGHOUSE  *ZZ*DOCLITTLE      *260310*1200*^*00501*000000201*0*T*:',
+    'GS*HB*CLEARINGHOUSE*DOCLITTLE*20260310*1200*201*X*005010X279A1',
+    'ST*271*0001*005010X279A1',
+    'BHT*0022*11*000000001*20260310*1200',
+    'HL*1**20*1',
+    `NM1*PR*2*Test Payer*****PI*${payerId}`,
+    'HL*2*1*21*1',
+    'NM1*1P*2*Harbor Counseling Group*****XX*1234567893',
+    'HL*3*2*22*0',
+    `TRN*2*TRACE${suffix}*9877281234`,
+    `NM1*IL*1*Doe*Jane****MI*${memberId}`,
+    'REF*6P*GRP100*Harbor Employers',
+    'DMG*D8*19850312*F',
+    'DTP*346*D8*20260101',
+    eb('1', 'IND', '30', { description: 'Gold PPO 1500' }),
+    eb('C', 'IND', '30', { period: '23', amount: '1500', network: 'Y' }),
+    eb('C', 'IND', '30', { period: '29', amount: '600', network: 'Y' }),
+    eb('C', 'FAM', '30', { period: '23', amount: '3000', network: 'Y' }),
+    eb('C', 'IND', '30', { period: '23', amount: '3000', network: 'N' }),
+    eb('G', 'IND', '30', { period: '23', amount: '4000', network: 'Y' }),
+    eb('G', 'IND', '30', { period: '29', amount: '3250', network: 'Y' }),
+    eb('1', 'IND', 'MH^A8', { auth: 'Y', network: 'Y' }),
+    'MSG*Prior authorization required after the first 6 visits',
+    eb('B', 'IND', 'MH^A8', { amount: '30', network: 'Y' }),
+    eb('A', 'IND', 'MH^A8', { percent: '.2', network: 'Y' }),
+    eb('A', 'IND', 'MH', { percent: '.4', network: 'N' }),
+    eb('F', 'IND', 'A8', { network: 'Y' }),
+    'HSD*VS*30***23*1',
+    eb('F', 'IND', 'A8', { period: '29', qualifier: 'VS', quantity: '22', network: 'Y' }),
+    eb('I', 'IND', 'A7'),
+    eb('B', 'IND', '98', { amount: '40', network: 'Y' }),
+    eb('B', 'IND', '98', { amount: '75', network: 'N' }),
+    'HL*4*2*22*0',
+    `TRN*2*MISS${suffix}*9877281234`,
+    `NM1*IL*1*Nobody*Nora****MI*${memberId}X`,
+    'AAA*N**75*C',
+    'SE*34*0001',
+    'GE*1*201',
+    'IEA*1*000000201'
+  ];
+  return segments.join('~\n') + '~\n';
+}
+
+async function runTest() {
+  console.log('\n🧪 Eligibility EDI (270/271) test\n');
+  cleanup();
+  useBillingEnv();
+
+  // ---- 270 ----
+  const envelope = {
+    ...require('../services/claim-edi-service').getSettings(),
+    interchange_control_number: 42,
+    group_control_number: 7,
+    created_at: '2026-03-10T12:00:00.000Z'
+  };
+  const content270 = EligibilityEDIService.build270({
+    patient_name: 'Jane Doe',
+    date_of_birth: '1985-03-12',
+    gender: 'female',
+    member_id: memberId,
+    payer_id: payerId,
+    payer_name: 'Test Payer',
+    date_of_service: '2026-03-12',
+    trace_number: 'T0001'
+  }, envelope);
+  const lines = content270.trim().split('\n').map(line => line.replace(/~$/, ''));
+  check('270 is an HS group in 005010X279A1', lines[1].startsWith('GS*HS*') && lines[1].endsWith('*X*005010X279A1'));
+  check('270 asks the payer', lines.includes(`NM1*PR*2*Test Payer*****PI*${payerId}`));
+  check('270 identifies the practice by NPI', lines.includes('NM1*1P*2*Harbor Counseling Group*****XX*1234567893'));
+  check('270 carries a trace number from the practice EIN', lines.includes('TRN*1*T0001*1123456789'));
+  check('270 names the subscriber with member ID and DOB', lines.includes(`NM1*IL*1*Doe*Jane****MI*${memberId}`) &&
+    lines.includes('DMG*D8*19850312*F'));
+  check('270 asks for the date of service', lines.includes('DTP*291*D8*20260312'));
+  check('270 asks for plan, mental health and office visit benefits',
+    ['EQ*30', 'EQ*MH', 'EQ*98'].every(eq => lines.includes(eq)));
+  const se = lines.find(line => line.startsWith('SE*'));
+  check('SE counts the transaction segments', se === `SE*${lines.indexOf(se) - lines.indexOf('ST*270*0001*005010X279A1') + 1}*0001`);
+  check('Inquiries need a member ID', rejects(() => EligibilityEDIService.createInquiry({ patient_name: 'Jane Doe', payer_id: payerId }),
+    /Validation failed: member ID is required/));
+  const inquiry = EligibilityEDIService.createInquiry({ patient_name: 'Jane Doe', member_id: memberId, payer_id: payerId });
+  const next = EligibilityEDIService.createInquiry({ patient_name: 'Jane Doe', member_id: memberId, payer_id: payerId });
+  check('Each inquiry gets its own interchange and trace number',
+    next.interchange_control_number > inquiry.interchange_control_number && next.trace_number !== inquiry.trace_number);
+
+  // ---- 271 ----
+  const responses = EligibilityEDIService.parse271(response271());
+  check('One response per subscriber', responses.length === 2);
+  const [found, missing] = responses;
+  check('Response carries the trace number and subscriber', found.trace_number === `TRACE${suffix}` &&
+    found.subscriber.member_id === memberId && found.subscriber.dob === '1985-03-12');
+  const visitEntry = found.benefits.find(b => b.code === 'F' && b.limits.length > 0);
+  check('HSD limits attach to their EB', visitEntry && visitEntry.limits[0].quantity === 30);
+  check('Repeated service types are split', found.benefits.find(b => b.code === 'B').service_types.join(',') === 'MH,A8');
+
+  const benefits = EligibilityEDIService.normalize(found);
+  const inNetwork = benefits.mental_health.in_network;
+  const outOfNetwork = benefits.mental_health.out_of_network;
+  check('Coverage is active under the named plan', benefits.status === 'active' && benefits.plan.name === 'Gold PPO 1500' &&
+    benefits.plan.group_number === 'GRP100' && benefits.plan.begin === '2026-01-01');
+  check('Mental health is covered', benefits.mental_health.covered === true &&
+    benefits.mental_health.service_types.includes('A8'));
+  check('In-network mental health copay and coinsurance', inNetwork.copay === 30 && inNetwork.coinsurance_percent === 20);
+  check('Out-of-network mental health coinsurance', outOfNetwork.coinsurance_percent === 40 && outOfNetwork.copay === null);
+  check('Plan deductible applies to mental health', inNetwork.deductible.individual.total === 1500 &&
+    inNetwork.deductible.individual.remaining === 600 && inNetwork.deductible.family.total === 3000);
+  check('Out-of-network deductible is kept apart', outOfNetwork.deductible.individual.total === 3000);
+  check('Out-of-pocket total and remaining', inNetwork.out_of_pocket.individual.total === 4000 &&
+    inNetwork.out_of_pocket.individual.remaining === 3250);
+  check('Visit limit with visits remaining', inNetwork.visit_limit && inNetwork.visit_limit.visits === 30 &&
+    inNetwork.visit_limit.remaining === 22 && inNetwork.visit_limit.period === 'calendar year');
+  check('Prior auth flagged in network', inNetwork.prior_auth_required === true && outOfNetwork.prior_auth_required === null);
+  check('Inpatient exclusion does not affect outpatient coverage', benefits.mental_health.covered !== false);
+  check('Office visit copays in and out of network', benefits.office_visit.in_network.copay === 40 &&
+    benefits.office_visit.out_of_network.copay === 75);
+  check('Benefit notes are kept', benefits.messages.some(m => m.includes('first 6 visits')));
+  const summary = EligibilityEDIService.summarize(benefits);
+  check('Summary reads the key benefits', summary.includes('$30 copay') && summary.includes('$600 of $1500 deductible remaining') &&
+    summary.includes('22 of 30 visits left'));
+
+  const rejected = EligibilityEDIService.normalize(missing);
+  check('AAA rejection is reported', rejected.status === 'rejected' && rejected.active === false &&
+    rejected.errors[0].code === '75' && rejected.errors[0].description === 'Subscriber/insured not found');
+  check('Rejection summary names the reason', EligibilityEDIService.summarize(rejected).includes('Subscriber/insured not found'));
+  check('A 277 is not a 271', rejects(() => EligibilityEDIService.parse271(response271().replace('ST*271', 'ST*277')), /Invalid 271/));
+
+  // ---- Recording ----
+  const result = InsuranceService.recordEligibilityResponse({ payerId, serviceCode: '90834', dateOfService: '2026-03-12' }, response271());
+  check('Recorded response is eligible with benefits', result.success && result.eligible && result.source === '271' &&
+    result.copay === 30 && result.priorAuthRequired === true && result.visitsRemaining === 22);
+  const record = db.getEligibilityCheck(result.eligibilityId);
+  check('Check stores the normalized columns', record.member_id === memberId && record.copay_amount === 30 &&
+    record.coinsurance_percent === 20 && record.deductible_total === 1500 && record.deductible_remaining === 600 &&
+    record.out_of_pocket_total === 4000 && record.out_of_pocket_remaining === 3250 &&
+    record.visits_allowed === 30 && record.visits_remaining === 22 && record.prior_auth_required === 1);
+  check('Check stores the benefits, trace and raw 271', JSON.parse(record.benefits).office_visit.in_network.copay === 40 &&
+    record.source === '271' && record.trace_number === `TRACE${suffix}` && record.response_data.includes('ST*271'));
+
+  const visit = {
+    patientName: 'Jane Doe', dateOfBirth: '1985-03-12', memberId, payerId: 'BCBS', serviceCode: '90834', dateOfService: '2026-03-12'
+  };
+  const unanswered = await InsuranceService.checkEligibility(visit);
+  const unknown = db.getEligibilityCheck(unanswered.eligibilityId);
+  check('Without a clearinghouse eligibility is unknown', !unanswered.success && unanswered.eligible === null &&
+    unanswered.status === 'unknown' && /No clearinghouse configured/.test(unanswered.error) && unanswered.copay === undefined);
+  check('An unknown check is stored without benefit figures', unknown.source === 'unknown' && unknown.eligible === null &&
+    unknown.copay_amount === null && unknown.allowed_amount === null && unknown.insurance_pays === null &&
+    unknown.deductible_total === null && /^\d{10}$/.test(unknown.trace_number));
+
+  // A clearinghouse that can't be reached
+  useBillingEnv({ CLEARINGHOUSE: 'mock', MOCK_CLEARINGHOUSE_URL: 'http://127.0.0.1:1' });
+  const unreachable = await InsuranceService.checkEligibility(visit);
+  check('A failed 270 leaves eligibility unknown', !unreachable.success && unreachable.eligible === null &&
+    /eligibility request failed/.test(unreachable.error) && db.getEligibilityCheck(unreachable.eligibilityId).source === 'unknown');
+  useBillingEnv();
+  ClearinghouseService.adapters.clear();
+
+  delete process.env.BILLING_PROVIDER_NPI;
+  const unwritten = await InsuranceService.checkEligibility(visit);
+  check('Without a 270 eligibility is unknown', !unwritten.success && unwritten.eligible === null &&
+    /^270 not generated/.test(unwritten.error));
+  process.env.BILLING_PROVIDER_NPI = BILLING_ENV.BILLING_PROVIDER_NPI;
+
+  // ---- Staff API ----
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin/insurance/eligibility', eligibilityRoutes);
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/api/admin/insurance/eligibility`;
+  const request = async (path, method = 'GET', body, contentType = 'application/json') => {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: { 'Content-Type': contentType },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    const text = await response.text();
+    return { status: response.status, text, body: response.headers.get('content-type').includes('json') ? JSON.parse(text) : null };
+  };
+
+  let response = await request('/270', 'POST', { patient_name: 'Jane Doe', member_id: memberId, payer_id: payerId });
+  check('Staff write a 270', response.status === 201 && response.body.content.includes('ST*270'));
+  response = await request('/270?format=edi', 'POST', { patient_name: 'Jane Doe', member_id: memberId, payer_id: payerId });
+  check('Staff download a 270', response.status === 200 && response.text.startsWith('ISA*'));
+  response = await request('/270', 'POST', { patient_name: 'Jane Doe', payer_id: payerId });
+  check('Invalid inquiry is a 400', response.status === 400);
+  response = await request(`/271?payer_id=${payerId}`, 'POST', response271(), 'text/plain');
+  check('Staff record a raw 271', response.status === 201 && response.body.eligible && response.body.benefits.status === 'active');
+  response = await request(`/${response.body.eligibilityId}`);
+  check('Staff view a check with its benefits', response.status === 200 && response.body.check.prior_auth_required === true &&
+    response.body.check.benefits.mental_health.in_network.copay === 30);
+  response = await request('/271', 'POST', { content: 'not a 271' });
+  check('Invalid 271 is a 400', response.status === 400);
+  response = await request('/elig_missing');
+  check('Unknown check is a 404', response.status === 404);
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(async () => {
+    cleanup();
+    if (server) await new Promise(resolve => server.close(resolve));
+    console.log(failures === 0 ? '\n✅ Eligibility EDI test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
@@ -0,0 +1,325 @@
+/**
+ * Fee schedules test
+ *
+ * Verifies:
+ * - Payer fee schedules and the chargemaster import from CSV, with every bad row reported and
+ *   nothing imported then; a re-import replaces rates for the same code, modifier and start date
+ * - Rates are looked up by date, modifier and plan (the plan's own schedule before the payer's)
+ * - Lines without a charge, and PDF coding prices, come from the chargemaster
+ * - EOB estimates, patient cost estimates and eligibility checks use the contracted amount
+ * - Posting an 835 that allowed less than the contract flags the remit and its lines as underpaid
+ * - The staff API: import, list, rate lookup, estimate, underpayments, delete
+ *
+ * Run: node tests/test-fee-schedules.js
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const db = require('../database');
+const { useBillingEnv, restoreEnv, createPatient, cleanupBilling } = require('./billing-fixtures');
+const FeeScheduleService = require('../services/fee-schedule-service');
+const ClaimLineService = require('../services/claim-line-service');
+const EOBCalculationService = require('../services/eob-calculation-service');
+const InsuranceService = require('../services/insurance-service');
+const RemittanceService = require('../services/remittance-service');
+const { getCPTPricing } = require('../services/cpt-pricing');
+const feeScheduleRoutes = require('../routes/fee-schedules');
+
+const suffix = Date.now().toString(36).toUpperCase();
+const payerId = `FEE${suffix}`;
+const patientId = `fee-patient-${suffix}`;
+const memberId = `F${suffix}`;
+// HCPCS-shaped codes of our own, so the practice's chargemaster rates are left alone
+const base = 1000 + Math.floor(Math.random() * 8000);
+const codeA = `T${base}`;
+const codeB = `T${base + 1}`;
+const chargemasterExisted = !!db.getFeeScheduleByKey('chargemaster');
+const addedCodes = [];
+let failures = 0;
+let server = null;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function cleanup() {
+  // Rates go with their schedules
+  cleanupBilling({ patientIds: [patientId], payerIds: [payerId] });
+  db.db.prepare('DELETE FROM fee_schedules WHERE payer_id = ?').run(payerId);
+  db.db.prepare(`
+    DELETE FROM fee_schedule_rates
+    WHERE procedure_code IN (?, ?) AND fee_schedule_id IN (SELECT id FROM fee_schedules WHERE kind = 'chargemaster')
+  `).run(codeA, codeB);
+  if (!chargemasterExisted) db.db.prepare("DELETE FROM fee_schedules WHERE kind = 'chargemaster'").run();
+  addedCodes.forEach(code => db.db.prepare('DELETE FROM cpt_codes WHERE code = ?').run(code));
+  restoreEnv();
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+}
+
+function rejects(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+}
+
+// One 835 for one claim with the given lines (no AMT*B6: allowed is paid plus the patient's share)
+function remittanceFile(checkNumber, pcn, { lines, patient }) {
+  const charge = lines.reduce((sum, line) => sum + line.charge, 0);
+  const paid = lines.reduce((sum, line) => sum + line.paid, 0);
+  const segments = [
+    'ISA*00*          *00*          *ZZ*TESTPAYER      *ZZ*DOCLITTLE      *260310*1200*^*00501*000000401*0*P*:',
+    'GS*HP*TESTPAYER*DOCLITTLE*20260310*1200*401*X*005010X221A1',
+    'ST*835*0001',
+    `BPR*I*${paid}*C*ACH*CCP*01*999999999*DA*123456*1512345678**01*999988880*DA*98765*20260310`,
+    `TRN*1*${checkNumber}*1512345678`,
+    'N1*PR*Contract Health Plan',
+    `REF*2U*${payerId}`,
+    'N1*PE*Harbor Counseling Group*XX*1234567893',
+    'LX*1',
+    `CLP*${pcn}*1*${charge}*${paid}*${patient}*12*${checkNumber}CLM`
+  ];
+  for (const line of lines) {
+    segments.push(`SVC*HC:${line.code}*${line.charge}*${line.paid}**1`);
+    line.adjustments.forEach(adjustment => segments.push(`CAS*${adjustment}`));
+  }
+  const stIndex = segments.findIndex(s => s.startsWith('ST*'));
+  segments.push(`SE*${segments.length - stIndex + 1}*0001`, 'GE*1*401', 'IEA*1*000000401');
+  return segments.map(s => `${s}~`).join('\n') + '\n';
+}
+
+// A 271 for the test member: active coverage, a $20 mental health copay and no coinsurance
+function eligibility271() {
+  const segments = [
+    'ISA*00*          *00*          *ZZ*CLEARINGHOUSE  *ZZ*DOCLITTLE      *260310*1200*^*00501*000000402*0*P*:',
+    'GS*HB*CLEARINGHOUSE*DOCLITTLE*20260310*1200*402*X*005010X279A1',
+    'ST*271*0001*005010X279A1',
+    'BHT*0022*11*000000001*20260310*1200',
+    'HL*1**20*1',
+    `NM1*PR*2*Contract Health Plan*****PI*${payerId}`,
+    'HL*2*1*21*1',
+    'NM1*1P*2*Harbor Counseling Group*****XX*1234567893',
+    'HL*3*2*22*0',
+    `TRN*2*FEE${suffix}*9877281234`,
+    `NM1*IL*1*Reyes*Dana****MI*${memberId}`,
+    'EB*1*IND*30',
+    'EB*B*IND*MH****20*****Y'
+  ];
+  const stIndex = segments.findIndex(s => s.startsWith('ST*'));
+  segments.push(`SE*${segments.length - stIndex + 1}*0001`, 'GE*1*402', 'IEA*1*000000402');
+  return segments.map(s => `${s}~`).join('\n') + '\n';
+}
+
+async function runTest() {
+  console.log('\n🧪 FEE SCHEDULES TEST\n');
+
+  useBillingEnv();
+  db.upsertPayer({ id: `payer-fee-${suffix}`, payer_id: payerId, payer_name: 'Contract Health Plan' });
+  createPatient(patientId, { given: 'Dana', family: 'Reyes', birthDate: '1979-02-11' });
+  // The scrubber only passes codes in the procedure code list
+  for (const code of [codeA, codeB]) {
+    const added = db.db.prepare("INSERT OR IGNORE INTO cpt_codes (code, description, category) VALUES (?, 'Fee schedule test', 'HCPCS')").run(code);
+    if (added.changes > 0) addedCodes.push(code);
+  }
+  db.upsertPatientInsurance({ id: `ins-fee-${suffix}`, patient_id: patientId, payer_id: payerId, member_id: memberId, plan_name: 'Gold PPO' });
+
+  // ---- Importing ----
+  check('A payer schedule needs a payer', rejects(() =>
+    FeeScheduleService.importCSV(`code,amount\n${codeA},100`, { kind: 'payer' }), /payer_id is required/));
+  let bad = null;
+  try {
+    FeeScheduleService.importCSV(`code,amount,effective_from\n${codeA},abc,2020-01-01\n9083,50,01/01/2020\n${codeB},60,2020-01-01\n${codeB},61,2020-01-01`, { payer_id: payerId });
+  } catch (error) {
+    bad = error.message;
+  }
+  check('Every bad row is reported', !!bad && /row 2: amount must be an amount/.test(bad) &&
+    /row 3: code must be a CPT or HCPCS code/.test(bad) && /row 3: effective_from must be a date/.test(bad) &&
+    /row 5: .* is listed twice/.test(bad));
+  check('Nothing is imported from a file with bad rows', !db.getFeeScheduleByKey('payer', payerId));
+
+  const imported = FeeScheduleService.importCSV([
+    'CPT Code,Modifier,Allowed,Description,Effective Date,End Date',
+    `${codeA},,$100.00,"Therapy, 45 min",2020-01-01,`,
+    `${codeA},,90,,2019-01-01,2019-12-31`,
+    `${codeA},95,80,Telehealth,2020-01-01,`,
+    `${codeB},,60,,2020-01-01,`
+  ].join('\r\n'), { payer_id: payerId, actor: 'test' });
+  check('A payer schedule imports from CSV', imported.imported === 4 && imported.schedule.kind === 'payer' &&
+    imported.schedule.payer_id === payerId && imported.schedule.rates.length === 4 &&
+    imported.schedule.rates.some(rate => rate.description === 'Therapy, 45 min' && rate.amount === 100));
+  const planSchedule = FeeScheduleService.importCSV(`code,rate\n${codeA},120`, {
+    payer_id: payerId, plan_name: 'Gold PPO', effective_from: '2020-01-01'
+  }).schedule;
+  check('A plan gets its own schedule', planSchedule.id !== imported.schedule.id && planSchedule.plan_name === 'Gold PPO' &&
+    planSchedule.rates[0].effective_from === '2020-01-01');
+
+  // ---- Looking rates up ----
+  const lookup = params => FeeScheduleService.contractedAmount({ payer_id: payerId, procedure_code: codeA, ...params });
+  check('The rate in effect on the date is used', lookup({ date: '2021-03-01' }) === 100 && lookup({ date: '2019-06-01' }) === 90 &&
+    lookup({ date: '2018-06-01' }) === null);
+  check('A rate for the line\'s modifier comes first', lookup({ modifiers: ['95'], date: '2021-03-01' }) === 80 &&
+    lookup({ modifiers: ['GT'], date: '2021-03-01' }) === 100);
+  check('The contracted amount is per unit', lookup({ units: 2, date: '2021-03-01' }) === 200);
+  check('The plan\'s own schedule comes before the payer\'s', lookup({ plan_name: 'gold ppo', date: '2021-03-01' }) === 120 &&
+    FeeScheduleService.contractedAmount({ payer_id: payerId, plan_name: 'Gold PPO', procedure_code: codeB, date: '2021-03-01' }) === 60);
+  check('The plan\'s rate without a modifier beats the payer\'s rate with one',
+    lookup({ plan_name: 'Gold PPO', modifiers: ['95'], date: '2021-03-01' }) === 120);
+
+  FeeScheduleService.importCSV(`code,amount,effective_from\n${codeB},65,2020-01-01`, { payer_id: payerId });
+  check('Re-importing a rate replaces it', lookup({ procedure_code: codeB }) === 65 &&
+    FeeScheduleService.getSchedule(imported.schedule.id).rates.length === 4);
+
+  // ---- Chargemaster ----
+  FeeScheduleService.importCSV(`code,charge,description\n${codeA},150,Therapy\n${codeB},100,Family therapy`, {
+    kind: 'chargemaster', effective_from: '2020-01-01'
+  });
+  check('The chargemaster can\'t be for a payer', rejects(() =>
+    FeeScheduleService.importCSV(`code,amount\n${codeA},1`, { kind: 'chargemaster', plan_name: 'Gold PPO' }), /not for a payer or plan/));
+  check('Charges come from the chargemaster', FeeScheduleService.chargeFor(codeA, { units: 2 }) === 300 &&
+    FeeScheduleService.chargeFor('T0000') === null);
+  const [line] = ClaimLineService.normalize([{ code: codeA }]);
+  check('A line without a charge is billed at the chargemaster rate', line.charge === 150 &&
+    ClaimLineService.normalize([{ code: codeA, charge: 10 }])[0].charge === 10);
+  const [priced, fallback] = getCPTPricing([{ code: codeA }, { code: '90834' }]);
+  check('PDF coding prices come from the chargemaster first', priced.price === 150 && priced.description === 'Therapy' &&
+    fallback.price > 0);
+
+  // ---- Estimates ----
+  const eob = EOBCalculationService.calculateEOB({
+    lineItems: [{ code: codeA, charge: 150, date_of_service: '2021-03-01' }, { code: 'T0000', charge: 100 }],
+    eligibility: {},
+    contract: { payer_id: payerId }
+  });
+  check('EOB estimates allow the contracted amount, else a share of the charge', eob.lineItems[0].allowedAmount === 100 &&
+    eob.lineItems[1].allowedAmount === 85);
+
+  db.createEligibilityCheck({
+    id: `elig_fee_${suffix}`, patient_id: patientId, member_id: memberId, payer_id: payerId,
+    eligible: true, copay_amount: 20, deductible_total: 0, deductible_remaining: 0, coinsurance_percent: 20,
+    created_at: new Date().toISOString()
+  });
+  const estimate = EOBCalculationService.estimateCost({ patient_id: patientId, lines: [{ code: codeA }], date_of_service: '2021-03-01' });
+  check('A patient\'s estimate uses the chargemaster, their plan\'s rate and cost share', estimate.estimate === true &&
+    estimate.plan_name === 'Gold PPO' && estimate.totals.amountBilled === 150 && estimate.totals.allowedAmount === 120 &&
+    estimate.totals.copay === 20 && estimate.totals.coinsurance === 20 && estimate.totals.whatYouOwe === 70);
+  check('An estimate needs a charge for every line', rejects(() =>
+    EOBCalculationService.estimateCost({ patient_id: patientId, lines: [{ code: 'T0000' }] }), /T0000 has no charge on the chargemaster/));
+  check('An estimate needs a plan', rejects(() =>
+    EOBCalculationService.estimateCost({ patient_id: `fee-nobody-${suffix}`, lines: [{ code: codeA }] }), /Patient insurance not found/));
+
+  const eligibility = InsuranceService.recordEligibilityResponse({
+    patientId, memberId, payerId, serviceCode: codeA, dateOfService: '2021-03-01'
+  }, eligibility271());
+  check('Eligibility checks report the contracted amount', eligibility.success && eligibility.copay === 20 &&
+    eligibility.allowedAmount === 120 && eligibility.insurancePays === 100);
+
+  // ---- Underpayments ----
+  const submitted = await InsuranceService.submitClaim({
+    patientId,
+    memberId,
+    payerId,
+    diagnosisCode: 'F41.1',
+    dateOfService: daysAgo(5),
+    copayPaid: 0,
+    lines: [{ code: codeA }, { code: codeB }]
+  });
+  const claim = db.getInsuranceClaim(submitted.claimId);
+  check('A claim\'s lines are billed at the chargemaster rates', submitted.success && claim.total_amount === 250);
+
+  RemittanceService.importERA(remittanceFile(`CHKF${suffix}`, claim.patient_control_number, {
+    patient: 32,
+    lines: [
+      { code: codeA, charge: 150, paid: 80, adjustments: ['CO*45*50', 'PR*2*20'] },
+      { code: codeB, charge: 100, paid: 53, adjustments: ['CO*45*35', 'PR*2*12'] }
+    ]
+  }), { actor: 'test' });
+  const [payment] = RemittanceService.getClaimPayments(claim.id);
+  const serviceA = payment.services.find(service => service.procedure_code === codeA);
+  const serviceB = payment.services.find(service => service.procedure_code === codeB);
+  check('A line allowed below the contract is underpaid', serviceA.contracted_amount === 120 && serviceA.underpaid_amount === 20);
+  check('A line allowed at the contract is not', serviceB.contracted_amount === 65 && serviceB.underpaid_amount === 0);
+  check('The remit carries the claim\'s shortfall', payment.contracted_amount === 185 && payment.underpaid_amount === 20);
+  const underpayments = FeeScheduleService.getUnderpayments({ payer_id: payerId });
+  check('Underpayments list the remit with the lines that fell short', underpayments.count === 1 &&
+    underpayments.total_underpaid === 20 && underpayments.payments[0].claim_id === claim.id &&
+    underpayments.payments[0].lines.length === 1 && underpayments.payments[0].lines[0].procedure_code === codeA);
+  check('Denials are not compared with the contract', FeeScheduleService.compareRemit({ ...payment, claim_status_code: '4' }, claim) === null);
+
+  // ---- Staff API ----
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin/insurance/fee-schedules', feeScheduleRoutes);
+  server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/api/admin/insurance/fee-schedules`;
+
+  let response = await fetch(`${url}/import?kind=payer&payer_id=${payerId}&plan_name=Silver%20HMO&effective_from=2020-01-01&replace=true&actor=test`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/csv' },
+    body: `code,amount\n${codeA},110\n${codeB},55\n`
+  });
+  let body = await response.json();
+  check('POST import takes a raw CSV', response.status === 201 && body.imported === 2 && body.schedule.plan_name === 'Silver HMO');
+  const silverId = body.schedule.id;
+
+  response = await fetch(`${url}/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ kind: 'payer', payer_id: payerId, content: `code,amount\n${codeA},-5` })
+  });
+  body = await response.json();
+  check('POST import refuses bad rows', response.status === 400 && /row 2: amount must be an amount/.test(body.error));
+
+  response = await fetch(`${url}?payer_id=${payerId}`);
+  body = await response.json();
+  check('GET lists the payer\'s schedules with their rate counts', response.status === 200 && body.count === 3 &&
+    body.schedules.find(schedule => schedule.id === silverId).rate_count === 2);
+
+  response = await fetch(`${url}/${imported.schedule.id}?date=2019-06-01`);
+  body = await response.json();
+  check('GET a schedule shows the rates in effect on a date', response.status === 200 && body.schedule.rates.length === 1 &&
+    body.schedule.rates[0].amount === 90);
+
+  response = await fetch(`${url}/rate?code=${codeA}&payer_id=${payerId}&plan_name=Silver%20HMO&units=2`);
+  body = await response.json();
+  check('GET rate gives the charge and the contracted amount', response.status === 200 && body.charge === 300 &&
+    body.contracted_amount === 220);
+
+  response = await fetch(`${url}/estimate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ patient_id: patientId, lines: [{ code: codeB }] })
+  });
+  body = await response.json();
+  // The latest eligibility check (the 271 above) has a $20 copay and no coinsurance
+  check('POST estimate gives what the patient owes', response.status === 200 && body.totals.allowedAmount === 65 &&
+    body.totals.whatYouOwe === 35 + 20);
+
+  response = await fetch(`${url}/underpayments?payer_id=${payerId}`);
+  body = await response.json();
+  check('GET underpayments lists the underpaid remits', response.status === 200 && body.count === 1 && body.total_underpaid === 20);
+
+  response = await fetch(`${url}/${silverId}`, { method: 'DELETE' });
+  check('DELETE removes a schedule', response.status === 200 && !db.getFeeSchedule(silverId));
+  response = await fetch(`${url}/${silverId}`);
+  check('GET a missing schedule is 404', response.status === 404);
+
+  console.log(`\n${failures === 0 ? '✅ All fee schedule checks passed' : `❌ ${failures} check(s) failed`}\n`);
+}
+
+runTest()
+  .catch(error => {
+    console.error('❌ Test crashed:', error);
+    failures++;
+  })
+  .finally(() => {
+    if (server) server.close();
+    cleanup();
+    process.exit(failures === 0 ? 0 : 1);
+  });
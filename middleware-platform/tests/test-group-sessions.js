@@ -0,0 +1,270 @@
+/**
+ * Group Sessions test
+ *
+ * Verifies:
+ * - Group Therapy bookings share one session up to its capacity
+ * - getAvailableSlots reports remaining seats instead of marking the session booked
+ * - The session still blocks one-on-one bookings for the provider
+ * - Check-in and attendance are tracked per attendee, and attendance can't be recorded
+ *   (nor claims generated) before the session is held
+ * - Staff can record attendance after the session day and the seat is still completed
+ * - A check-in or attendance the appointment lifecycle refuses leaves the roster unchanged
+ * - Claims (CPT 90853) are generated only for attendees marked attended
+ *
+ * Run: node tests/test-group-sessions.js
+ */
+
+require('dotenv').config();
+
+const db = require('../database');
+const { cleanupBilling } = require('./billing-fixtures');
+const BookingService = require('../services/booking-service');
+const GroupSessionService = require('../services/group-session-service');
+const ProviderScheduleService = require('../services/provider-schedule-service');
+
+const suffix = Date.now().toString(36);
+const created = { providerId: null, sessionIds: [] };
+// Claims are scrubbed before they are stored, so the practice's billing details must be set
+const billingEnv = {
+  BILLING_PROVIDER_NAME: 'Harbor Counseling Group',
+  BILLING_PROVIDER_NPI: '1234567893',
+  BILLING_PROVIDER_TAX_ID: '12-3456789',
+  BILLING_PROVIDER_ADDRESS: '100 Main St',
+  BILLING_PROVIDER_CITY: 'Boston',
+  BILLING_PROVIDER_STATE: 'MA',
+  BILLING_PROVIDER_ZIP: '02110'
+};
+const savedEnv = Object.fromEntries(Object.keys(billingEnv).map(key => [key, process.env[key]]));
+let failures = 0;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+// First Wednesday at least 120 days out, so real bookings never collide
+function futureWednesday() {
+  const d = new Date();
+  d.setDate(d.getDate() + 120);
+  while (d.getDay() !== 3) d.setDate(d.getDate() + 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function localDate(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Move a session and its seats to start at the given time, as if it were being held then
+function holdSessionAt(sessionId, start) {
+  const date = localDate(start);
+  const end = new Date(start.getTime() + 90 * 60000);
+  db.db.prepare('UPDATE group_sessions SET date = ?, start_time = ?, end_time = ? WHERE id = ?')
+    .run(date, start.toISOString(), end.toISOString(), sessionId);
+  db.db.prepare('UPDATE appointments SET date = ?, start_time = ?, end_time = ? WHERE group_session_id = ?')
+    .run(date, start.toISOString(), end.toISOString(), sessionId);
+}
+
+function cleanup() {
+  Object.entries(savedEnv).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+  if (!created.providerId) return;
+  const appointments = db.db.prepare('SELECT id, patient_id FROM appointments WHERE provider_id = ?').all(created.providerId);
+  // Session claims go with their 837P exports
+  cleanupBilling({
+    claimIds: appointments.flatMap(appt =>
+      db.db.prepare('SELECT id FROM insurance_claims WHERE appointment_id = ?').all(appt.id).map(row => row.id))
+  });
+  for (const appt of appointments) {
+    db.db.prepare('DELETE FROM attendance_fees WHERE appointment_id = ?').run(appt.id);
+    if (appt.patient_id) {
+      db.db.prepare('DELETE FROM patient_insurance WHERE patient_id = ? AND member_id LIKE ?').run(appt.patient_id, `%${suffix}`);
+    }
+  }
+  db.db.prepare('DELETE FROM appointments WHERE provider_id = ?').run(created.providerId);
+  db.db.prepare('DELETE FROM group_sessions WHERE provider_id = ?').run(created.providerId);
+  db.db.prepare('DELETE FROM provider_schedules WHERE provider_id = ?').run(created.providerId);
+  db.db.prepare('DELETE FROM providers WHERE id = ?').run(created.providerId);
+}
+
+function bookSeat(name, date, time = '10:00') {
+  return BookingService.scheduleAppointment({
+    patient_name: `${name} ${suffix}`,
+    patient_phone: `+1555444${String(Math.floor(Math.random() * 10000)).padStart(4, '0')}`,
+    appointment_type: 'Group Therapy',
+    date,
+    time,
+    provider: created.providerId
+  });
+}
+
+async function runTest() {
+  const date = futureWednesday();
+  const provider = ProviderScheduleService.createProvider({ name: `Dr. Group ${suffix}` });
+  created.providerId = provider.id;
+  ProviderScheduleService.setWeeklySchedule(provider.id, [{ day_of_week: 3, start_time: '09:00', end_time: '17:00' }]);
+
+  console.log('\n🕐 Slots before any session');
+  const empty = await BookingService.getAvailableSlots(date, provider.id, 'Group Therapy');
+  check('Free slots seat a full group', empty.seats_remaining['10:00'] === 8);
+
+  console.log('\n👥 Session capacity');
+  const createdSession = await GroupSessionService.createSession({ date, time: '10:00', provider: provider.id, capacity: 2, title: 'Anxiety group' });
+  check('Session scheduled', createdSession.success && createdSession.session.seats_remaining === 2);
+  const sessionId = createdSession.session.id;
+
+  const duplicate = await GroupSessionService.createSession({ date, time: '10:00', provider: provider.id });
+  check('Second session at the same time rejected', !duplicate.success);
+
+  const first = await bookSeat('Alice', date);
+  check('First seat booked into the session', first.success && first.appointment.group_session_id === sessionId);
+
+  const partial = await BookingService.getAvailableSlots(date, provider.id, 'Group Therapy');
+  check('Partly filled session stays available', partial.available_slots.includes('10:00'));
+  check('Remaining seats reported', partial.seats_remaining['10:00'] === 1);
+
+  const second = await bookSeat('Bob', date);
+  check('Second seat booked into the same session', second.success && second.appointment.group_session_id === sessionId);
+
+  const third = await bookSeat('Carol', date);
+  check('Full session rejects further seats', !third.success && /full/.test(third.error));
+
+  const full = await BookingService.getAvailableSlots(date, provider.id, 'Group Therapy');
+  check('Full session reported booked', !full.available_slots.includes('10:00') && !full.seats_remaining['10:00']);
+
+  const oneOnOne = await BookingService.scheduleAppointment({
+    patient_name: `Solo ${suffix}`,
+    patient_phone: '+15554440000',
+    date,
+    time: '10:30',
+    provider: provider.id
+  });
+  check('Session blocks overlapping one-on-one bookings', !oneOnOne.success);
+
+  const implicit = await bookSeat('Dave', date, '14:00');
+  const implicitSession = implicit.success && db.getGroupSession(implicit.appointment.group_session_id);
+  check('Booking a free slot starts a session with default capacity', !!implicitSession && implicitSession.capacity === 8);
+
+  console.log('\n📋 Attendance');
+  let early = null;
+  try {
+    GroupSessionService.recordRosterAttendance(sessionId, [{ appointment_id: first.appointment.id, status: 'attended' }]);
+  } catch (error) {
+    early = error.message;
+  }
+  check('Attendance before the session starts is rejected', /has not started yet/.test(early || '') &&
+    !db.getAppointment(first.appointment.id).attendance_status);
+  early = null;
+  try {
+    await GroupSessionService.generateClaims(sessionId);
+  } catch (error) {
+    early = error.message;
+  }
+  check('Claims wait until the session is held', /has not been held yet/.test(early || ''));
+  const excused = GroupSessionService.recordAttendance(sessionId, second.appointment.id, 'excused');
+  check('An absence can be excused ahead of the session', excused.attendance_status === 'excused');
+
+  // The session starts a minute ago
+  holdSessionAt(sessionId, new Date(Date.now() - 60000));
+  const checkedIn = GroupSessionService.checkIn(sessionId, first.appointment.id);
+  check('Check-in recorded', checkedIn.attendance_status === 'checked_in' && !!checkedIn.checked_in_at);
+
+  let invalidRejected = false;
+  try {
+    GroupSessionService.recordRosterAttendance(sessionId, [{ appointment_id: first.appointment.id, status: 'present' }]);
+  } catch (error) {
+    invalidRejected = true;
+  }
+  check('Invalid attendance status rejected', invalidRejected);
+
+  const roster = GroupSessionService.recordRosterAttendance(sessionId, [
+    { appointment_id: first.appointment.id, status: 'attended' },
+    { appointment_id: second.appointment.id, status: 'no_show' }
+  ]);
+  check('Attendance recorded per attendee', roster[0].attendance_status === 'attended' && roster[1].attendance_status === 'no_show');
+  check('Seats follow the roster', db.getAppointment(first.appointment.id).status === 'completed' &&
+    db.getAppointment(second.appointment.id).status === 'no_show');
+  check('Session completed once everyone is marked', db.getGroupSession(sessionId).status === 'completed');
+  let refusedRoster = null;
+  try {
+    GroupSessionService.recordRosterAttendance(sessionId, [
+      { appointment_id: second.appointment.id, status: 'excused' },
+      { appointment_id: first.appointment.id, status: 'no_show' }
+    ]);
+  } catch (error) {
+    refusedRoster = error.message;
+  }
+  check('A seat the lifecycle refuses leaves the whole roster as it was', /completed appointment to no_show/.test(refusedRoster || '') &&
+    db.getAppointment(first.appointment.id).attendance_status === 'attended' &&
+    db.getAppointment(second.appointment.id).attendance_status === 'no_show');
+
+  console.log('\n💵 Claims');
+  const attendee = db.getAppointment(first.appointment.id);
+  db.upsertPatientInsurance({
+    id: `ins-${suffix}`,
+    patient_id: attendee.patient_id,
+    payer_id: 'BCBS',
+    member_id: `MEM${suffix}`
+  });
+  // A claim can't be for a future date of service, so bill the session as if it was held last week
+  Object.assign(process.env, billingEnv);
+  const patient = db.getFHIRPatient(attendee.patient_id);
+  db.updateFHIRPatient(attendee.patient_id, { ...patient.resource_data, birthDate: '1988-04-02' });
+  const heldOn = new Date(Date.now() - 7 * 86400000).toISOString().slice(0, 10);
+  db.db.prepare('UPDATE group_sessions SET date = ? WHERE id = ?').run(heldOn, sessionId);
+  const claims = await GroupSessionService.generateClaims(sessionId, { total_amount: 75 });
+  check('One claim for the attendee who attended', claims.claims.length === 1 && claims.claims[0].appointment_id === first.appointment.id);
+  check('Claim uses CPT 90853', db.getClaimsByAppointment(first.appointment.id)[0]?.service_code === '90853');
+  check('No-show skipped', claims.skipped.some(s => s.appointment_id === second.appointment.id));
+
+  const again = await GroupSessionService.generateClaims(sessionId);
+  check('Claims are not submitted twice', again.claims.length === 0);
+
+  console.log('\n🗓️  Attendance entered afterwards');
+  const weekAfter = new Date(Date.parse(`${date}T12:00:00Z`) + 7 * 86400000).toISOString().slice(0, 10);
+  const late = await bookSeat('Erin', weekAfter);
+  const lateSessionId = late.appointment.group_session_id;
+  early = null;
+  try {
+    GroupSessionService.recordAttendance(lateSessionId, late.appointment.id, 'attended');
+  } catch (error) {
+    early = error.message;
+  }
+  check('Attendance for a future session is rejected', /has not started yet/.test(early || '') &&
+    !db.getAppointment(late.appointment.id).attendance_status && db.getAppointment(late.appointment.id).status === 'scheduled');
+  holdSessionAt(lateSessionId, new Date(`${heldOn}T10:00:00`));
+  let refused = null;
+  try {
+    GroupSessionService.checkIn(lateSessionId, late.appointment.id);
+  } catch (error) {
+    refused = error.message;
+  }
+  const notCheckedIn = db.getAppointment(late.appointment.id);
+  check('Arrival check-in is still only on the day, and a refused one leaves the roster alone',
+    /day of the appointment/.test(refused || '') && notCheckedIn.status === 'scheduled' &&
+    !notCheckedIn.attendance_status && !notCheckedIn.checked_in_at);
+  GroupSessionService.recordAttendance(lateSessionId, late.appointment.id, 'attended');
+  check('Attendance recorded after the day completes the seat', db.getAppointment(late.appointment.id).status === 'completed' &&
+    db.getAppointmentStatusHistory(late.appointment.id).map(h => h.to_status).join() === 'checked_in,in_session,completed');
+
+  console.log('\n❌ Cancellation');
+  const cancelSeat = await BookingService.cancelAppointment(implicit.appointment.id, 'Conflict');
+  const afterCancel = GroupSessionService.getSession(implicitSession.id);
+  check('Cancelling a seat frees it', cancelSeat.success && afterCancel.session.seats_remaining === 8);
+
+  const cancelled = await GroupSessionService.cancelSession(implicitSession.id, 'Facilitator out');
+  check('Cancelled session no longer blocks the calendar', cancelled.session.status === 'cancelled' &&
+    (await BookingService.checkAvailability(date, '14:00', null, provider.id)).available);
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(() => {
+    cleanup();
+    console.log(failures === 0 ? '\n✅ Group sessions test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
@@ -0,0 +1,162 @@
+/**
+ * iCalendar Feeds and Invites test
+ *
+ * Verifies:
+ * - Confirmation and reminder emails carry a METHOD:REQUEST invite
+ * - Rescheduling sends the same UID with a higher SEQUENCE; cancelling sends METHOD:CANCEL
+ * - Provider and patient feeds are served from secret-token URLs and list their appointments
+ * - Rotating a feed URL revokes the old one
+ *
+ * Run: node tests/test-ics-feeds.js
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const db = require('../database');
+const BookingService = require('../services/booking-service');
+const EmailService = require('../services/email-service');
+const IcsService = require('../services/ics-service');
+const ProviderScheduleService = require('../services/provider-schedule-service');
+const calendarFeedRoutes = require('../routes/calendar-feeds');
+
+const suffix = Date.now().toString(36);
+const patientPhone = `+1555777${String(Math.floor(Math.random() * 10000)).padStart(4, '0')}`;
+const created = { providerId: null };
+const sentEmails = [];
+let failures = 0;
+let server = null;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+// First Monday at least 160 days out, so real bookings never collide
+function futureMonday() {
+  const d = new Date();
+  d.setDate(d.getDate() + 160);
+  while (d.getDay() !== 1) d.setDate(d.getDate() + 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function cleanup() {
+  db.db.prepare("DELETE FROM calendar_feeds WHERE owner_type = 'patient' AND owner_id = ?").run(patientPhone);
+  if (created.providerId) {
+    db.db.prepare("DELETE FROM calendar_feeds WHERE owner_type = 'provider' AND owner_id = ?").run(created.providerId);
+    db.db.prepare('DELETE FROM appointments WHERE provider_id = ?').run(created.providerId);
+    db.db.prepare('DELETE FROM provider_schedules WHERE provider_id = ?').run(created.providerId);
+    db.db.prepare('DELETE FROM providers WHERE id = ?').run(created.providerId);
+  }
+}
+
+function unfold(ics) {
+  return ics.replace(/\r\n /g, '');
+}
+
+function lastInvite() {
+  const email = sentEmails[sentEmails.length - 1];
+  return email && email.icalEvent ? email.icalEvent : null;
+}
+
+// Value of a property, with folded lines joined back up
+function property(ics, name) {
+  const match = unfold(ics).match(new RegExp(`^${name}[;:](.*)$`, 'm'));
+  return match ? match[1].trim() : null;
+}
+
+async function fetchFeed(feed) {
+  const path = new URL(feed.url).pathname;
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+  return { status: response.status, type: response.headers.get('content-type'), body: await response.text() };
+}
+
+async function runTest() {
+  // Record emails instead of sending them
+  EmailService.sendEmail = async (email) => {
+    sentEmails.push(email);
+    return { success: true, message_id: 'test', provider: 'test' };
+  };
+
+  const app = express();
+  app.use('/calendar/feeds', calendarFeedRoutes);
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  const date = futureMonday();
+  const provider = ProviderScheduleService.createProvider({ name: `Dr. Feed ${suffix}` });
+  created.providerId = provider.id;
+  ProviderScheduleService.setWeeklySchedule(provider.id, [{ day_of_week: 1, start_time: '09:00', end_time: '17:00' }]);
+
+  console.log('\n📧 Email invites');
+  const booked = await BookingService.scheduleAppointment({
+    patient_name: `Feed Patient ${suffix}`,
+    patient_phone: patientPhone,
+    patient_email: `feed-${suffix}@example.com`,
+    date,
+    time: '10:00',
+    provider: provider.id
+  });
+  const appointmentId = booked.appointment.id;
+  const confirmation = lastInvite();
+  check('Confirmation carries a REQUEST invite', booked.success && confirmation && confirmation.method === 'REQUEST' &&
+    property(confirmation.content, 'METHOD') === 'REQUEST');
+  check('Invite UID is the appointment ID', property(confirmation.content, 'UID') === `${appointmentId}@doclittle.health`);
+  check('Invite starts at the appointment time', property(confirmation.content, 'DTSTART') ===
+    new Date(`${date}T10:00:00`).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''));
+  check('Invite addressed to the patient', unfold(confirmation.content).includes(`mailto:feed-${suffix}@example.com`));
+  check('Lines use CRLF and fold at 75 octets', confirmation.content.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+
+  await EmailService.sendAppointmentReminder(db.getAppointment(appointmentId));
+  check('Reminder carries a REQUEST invite', lastInvite() && lastInvite().method === 'REQUEST' &&
+    property(lastInvite().content, 'SEQUENCE') === '0');
+
+  const moved = await BookingService.rescheduleAppointment(appointmentId, date, '14:00');
+  const update = lastInvite();
+  check('Reschedule sends an updated invite', moved.success && update.method === 'REQUEST' &&
+    property(update.content, 'UID') === property(confirmation.content, 'UID'));
+  check('Updated invite has a higher SEQUENCE', Number(property(update.content, 'SEQUENCE')) > Number(property(confirmation.content, 'SEQUENCE')));
+
+  console.log('\n📅 Feeds');
+  const providerFeed = IcsService.getFeedUrl('provider', provider.id);
+  check('Provider feed URL issued once', providerFeed.url === IcsService.getFeedUrl('provider', provider.id).url &&
+    providerFeed.webcal_url.startsWith('webcal:'));
+
+  const providerIcs = await fetchFeed(providerFeed);
+  check('Provider feed served as text/calendar', providerIcs.status === 200 && providerIcs.type.startsWith('text/calendar'));
+  check('Provider feed lists the appointment at its new time', providerIcs.body.includes(`UID:${appointmentId}@doclittle.health`) &&
+    providerIcs.body.includes(`SEQUENCE:${property(update.content, 'SEQUENCE')}`));
+
+  const patientFeed = IcsService.getFeedUrl('patient', patientPhone);
+  const patientIcs = await fetchFeed(patientFeed);
+  check('Patient feed lists their appointment', patientIcs.status === 200 && patientIcs.body.includes(`UID:${appointmentId}@doclittle.health`));
+  check('Patient and provider feeds use different URLs', patientFeed.url !== providerFeed.url);
+
+  check('Unknown token returns 404', (await fetchFeed({ url: 'http://x/calendar/feeds/not-a-token.ics' })).status === 404);
+
+  const rotated = IcsService.getFeedUrl('provider', provider.id, true);
+  check('Rotated URL differs', rotated.url !== providerFeed.url);
+  check('Old URL revoked', (await fetchFeed(providerFeed)).status === 404);
+  check('New URL works', (await fetchFeed(rotated)).status === 200);
+
+  console.log('\n❌ Cancellation');
+  const cancelled = await BookingService.cancelAppointment(appointmentId, 'Test');
+  const cancel = lastInvite();
+  check('Cancellation sends a CANCEL invite', cancelled.success && cancel.method === 'CANCEL' &&
+    property(cancel.content, 'METHOD') === 'CANCEL' && property(cancel.content, 'STATUS') === 'CANCELLED');
+  check('CANCEL SEQUENCE is higher than the update', Number(property(cancel.content, 'SEQUENCE')) > Number(property(update.content, 'SEQUENCE')));
+  check('Feed shows the appointment cancelled', (await fetchFeed(patientFeed)).body.includes('STATUS:CANCELLED'));
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(async () => {
+    cleanup();
+    if (server) await new Promise(resolve => server.close(resolve));
+    console.log(failures === 0 ? '\n✅ iCalendar feeds test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
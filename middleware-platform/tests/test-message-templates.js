@@ -0,0 +1,228 @@
+/**
+ * Message Templates test
+ *
+ * Verifies:
+ * - Templates render variables (escaped in email), lists and optional sections
+ * - Patients who prefer Spanish get Spanish emails, texts and keyword replies; others get English
+ * - Practice changes are validated, used for sending and can be reset; missing locales fall back to English
+ * - Branding (name, colour) shows in every message
+ * - Staff API lists, previews, changes and resets templates
+ *
+ * Run: node tests/test-message-templates.js
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const db = require('../database');
+const EmailService = require('../services/email-service');
+const SMSService = require('../services/sms-service');
+const SMSReplyService = require('../services/sms-reply-service');
+const CommunicationPreferencesService = require('../services/communication-preferences-service');
+const TemplateService = require('../services/template-service');
+const templateRoutes = require('../routes/templates');
+
+const suffix = Date.now().toString(36);
+const randomPhone = () => `+1555333${String(Math.floor(Math.random() * 10000)).padStart(4, '0')}`;
+const spanishPhone = randomPhone();
+const englishPhone = randomPhone();
+const phones = [spanishPhone, englishPhone];
+// Left as they were before the test
+const savedTemplates = db.getMessageTemplateOverrides();
+const savedBranding = db.getMessageBranding();
+let failures = 0;
+let server = null;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function cleanup() {
+  phones.forEach(phone => {
+    db.db.prepare('DELETE FROM patient_communication_preferences WHERE patient_phone = ?').run(phone);
+    db.db.prepare('DELETE FROM patient_consent_events WHERE patient_phone = ?').run(phone);
+    db.db.prepare('DELETE FROM notifications WHERE patient_phone = ?').run(phone);
+    db.db.prepare('DELETE FROM sms_inbound_messages WHERE from_phone = ?').run(phone);
+  });
+  db.db.prepare('DELETE FROM message_templates').run();
+  savedTemplates.forEach(t => db.setMessageTemplateOverride(t.name, t.locale, t));
+  db.db.prepare('DELETE FROM message_branding').run();
+  Object.entries(savedBranding).forEach(([key, value]) => db.setMessageBranding(key, value));
+}
+
+function rejects(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+}
+
+function appointment(phone) {
+  return {
+    id: `APT-TPL-${suffix}-${phone.slice(-4)}`,
+    patient_name: 'Ana <b>López</b>',
+    patient_phone: phone,
+    patient_email: `templates-${suffix}@example.com`,
+    appointment_type: 'Follow-up Session',
+    provider: 'Dr. Template',
+    start_time: '2092-03-03T19:00:00.000Z',
+    end_time: '2092-03-03T19:50:00.000Z',
+    timezone: 'America/New_York'
+  };
+}
+
+async function runTest() {
+  // Capture what would go to the providers
+  const sent = [];
+  EmailService.deliverEmail = async (email) => {
+    sent.push(email);
+    return { success: true, message_id: `email-${suffix}`, provider: 'azure' };
+  };
+  SMSService.deliverSMS = async (to, text) => {
+    sent.push({ to, text });
+    return { success: true, message_sid: `SM${suffix}`, provider: 'twilio' };
+  };
+  const last = () => sent[sent.length - 1];
+
+  db.db.prepare('DELETE FROM message_templates').run();
+  db.db.prepare('DELETE FROM message_branding').run();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin/templates', templateRoutes);
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/api/admin/templates`;
+  const request = async (path, method = 'GET', body) => {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  console.log('\n🧩 Rendering');
+  let message = TemplateService.render('appointment_reminder_sms', 'en', {
+    appointment_type: 'Follow-up Session', provider: 'Dr. Template', lead_time: 'in 1 hour', date_time: 'Tue, Mar 3, 2:00 PM'
+  });
+  check('SMS renders with the brand', message.text ===
+    'DocLittle reminder: your Follow-up Session with Dr. Template is in 1 hour (Tue, Mar 3, 2:00 PM). ' +
+    'Reply C to confirm, CANCEL to cancel or R to reschedule.');
+  message = TemplateService.render('appointment_confirmation', 'en', {
+    patient_name: 'Ann <script>', date_time: 'Today', appointment_type: 'Intake', duration_minutes: 50,
+    provider: 'Dr. A & B', confirmation_number: 'APT-1'
+  });
+  check('Email values are escaped', message.html.includes('Dear Ann &lt;script&gt;') && message.html.includes('Dr. A &amp; B') &&
+    !message.html.includes('<script>'));
+  check('Optional section left out when empty', !message.html.includes('Add to Calendar'));
+  check('Email wrapped in the layout', message.html.includes('<!DOCTYPE html>') && message.html.includes('#0891b2') &&
+    message.html.includes('📅 Appointment Confirmed'));
+  message = TemplateService.render('series_confirmation', 'en', {
+    patient_name: 'Ann', appointment_type: 'Therapy', provider: 'Dr. A', session_count: 2,
+    sessions: [{ date_time: 'Day one', reference: 'AAA' }, { date_time: 'Day two', reference: 'BBB' }],
+    has_skipped: false, skipped: []
+  });
+  check('Lists repeat for each item', message.html.includes('Day one') && message.html.includes('(#BBB)') &&
+    !message.html.includes('could not be booked'));
+  check('Unknown locales fall back to English',
+    TemplateService.render('verification_code_sms', 'fr', { code: '111222' }).text.startsWith('Your DocLittle verification code'));
+  check('Lead time and dates in Spanish', TemplateService.describeLeadTime(4320, 'es') === 'en 3 días' &&
+    TemplateService.describeLeadTime(60, 'en') === 'in 1 hour' &&
+    /martes/.test(TemplateService.formatDateTime('2092-03-04T19:00:00Z', 'es', 'America/New_York')));
+
+  console.log('\n🌎 Patient language');
+  CommunicationPreferencesService.updatePreferences(spanishPhone, { language: 'es' });
+  await EmailService.sendAppointmentReminder(appointment(spanishPhone), 3 * 24 * 60);
+  check('Spanish reminder email', last().subject.startsWith('Recordatorio de cita') &&
+    last().html.includes('tiene una cita en 3 días') && last().html.includes('Ana &lt;b&gt;López&lt;/b&gt;'));
+  await SMSService.sendAppointmentReminder(appointment(spanishPhone), 23 * 60);
+  check('Spanish reminder text', last().text.includes('en 23 horas') && last().text.includes('Responda C para confirmar'));
+  await EmailService.sendAppointmentReminder(appointment(englishPhone), 3 * 24 * 60);
+  check('English for everyone else', last().subject.startsWith('Appointment Reminder') &&
+    last().html.includes('appointment in 3 days'));
+  let reply = await SMSReplyService.handleInbound({ from: spanishPhone, body: 'HELP' });
+  check('Keyword replies in Spanish', reply.reply.startsWith('Mensajes de citas de DocLittle'));
+
+  console.log('\n✏️  Practice changes');
+  check('Unknown variables rejected', rejects(() =>
+    TemplateService.updateTemplate('appointment_reminder_sms', 'es', { body: 'Hola {{first_name}}' }), /unknown variable first_name/));
+  check('Unclosed sections rejected', rejects(() =>
+    TemplateService.updateTemplate('appointment_reminder_sms', 'es', { body: '{{#provider}}con {{provider}}' }), /never closed/));
+  check('Emails need a subject', rejects(() =>
+    TemplateService.updateTemplate('appointment_reminder', 'es', { title: 'Hola', body: '<p>Hola</p>' }), /subject is required/));
+  check('Layout must keep the content', rejects(() =>
+    TemplateService.updateTemplate('email_layout', 'en', { body: '<html>{{title}}</html>' }), /\{\{\{content\}\}\}/));
+  check('Unknown templates rejected', rejects(() => TemplateService.getTemplate('birthday_card', 'en'), /Unknown template/));
+
+  const customized = TemplateService.updateTemplate('appointment_reminder_sms', 'es', {
+    body: '{{brand.practice_name}}: Su cita es {{lead_time}}.{{#provider}} Con {{provider}}.{{/provider}} Responda C para confirmar.'
+  }, `tester-${suffix}`);
+  check('Change saved with its author', customized.customized && customized.updated_by === `tester-${suffix}` &&
+    customized.default.body.includes('Recordatorio de'));
+  await SMSService.sendAppointmentReminder(appointment(spanishPhone), 60);
+  check('Changed template used for sending', last().text === 'DocLittle: Su cita es en 1 hora. Con Dr. Template. Responda C para confirmar.');
+  await SMSService.sendAppointmentReminder(appointment(englishPhone), 60);
+  check('Other locales unaffected', last().text.startsWith('DocLittle reminder:'));
+
+  TemplateService.resetTemplate('appointment_reminder_sms', 'es');
+  await SMSService.sendAppointmentReminder(appointment(spanishPhone), 60);
+  check('Reset goes back to the built-in template', last().text.startsWith('Recordatorio de DocLittle'));
+  check('Resetting an unchanged template rejected', rejects(() =>
+    TemplateService.resetTemplate('appointment_reminder_sms', 'es'), /has not been customized/));
+
+  console.log('\n🎨 Branding');
+  check('Bad colour rejected', rejects(() => TemplateService.updateBranding({ primary_color: 'teal' }), /hex colour/));
+  check('Unknown branding field rejected', rejects(() => TemplateService.updateBranding({ font: 'Comic Sans' }), /unknown branding field/));
+  TemplateService.updateBranding({ practice_name: 'Sunrise Clinic', team_name: 'The Sunrise Team', primary_color: '#123456' });
+  await EmailService.sendAppointmentCancellation(appointment(englishPhone));
+  check('Branding shown in emails', last().html.includes('#123456') && last().html.includes('The Sunrise Team') &&
+    !last().html.includes('#0891b2'));
+  await SMSService.sendAppointmentReminder(appointment(englishPhone), 60);
+  check('Branding shown in texts', last().text.startsWith('Sunrise Clinic reminder:'));
+  const branding = TemplateService.updateBranding({ practice_name: null, team_name: '', primary_color: null });
+  check('Branding resets to the defaults', branding.practice_name === 'DocLittle' && branding.primary_color === '#0891b2');
+
+  console.log('\n🌐 Staff API');
+  let response = await request('');
+  check('Templates listed with their locales', response.status === 200 && response.body.locales.includes('es') &&
+    response.body.templates.some(t => t.name === 'payment_link_sms' && t.channel === 'sms' && t.locales.length === 2));
+  response = await request('/appointment_confirmation?locale=es');
+  check('Template shown with its variables', response.status === 200 && response.body.template.subject.startsWith('Cita confirmada') &&
+    response.body.template.variables.includes('patient_name'));
+  response = await request('/appointment_confirmation/preview', 'POST', { locale: 'es', data: { patient_name: 'María' } });
+  check('Preview renders sample data', response.status === 200 && response.body.preview.subject.startsWith('Cita confirmada') &&
+    response.body.preview.html.includes('Estimado/a María'));
+  response = await request('/waitlist_offer_sms/preview', 'POST', {
+    locale: 'en', template: { body: 'Slot on {{date_time}}: {{claim_link}}' }
+  });
+  check('Unsaved changes can be previewed', response.status === 200 &&
+    response.body.preview.text === 'Slot on Mon, Mar 2, 2:00 PM: https://example.com/api/waitlist/offers/abc/claim');
+  response = await request('/birthday_card/preview', 'POST', {});
+  check('Unknown template is a 404', response.status === 404);
+  response = await request('/order_confirmation_sms/es', 'PUT', { body: 'Pedido {{order_id}} confirmado', actor: 'front_desk' });
+  check('Staff change a template', response.status === 200 && response.body.template.customized &&
+    response.body.template.updated_by === 'front_desk');
+  response = await request('/order_confirmation_sms/es', 'PUT', { body: 'Pedido {{order_number}}' });
+  check('Invalid change is a 400', response.status === 400);
+  response = await request('/order_confirmation_sms/es', 'DELETE');
+  check('Staff reset a template', response.status === 200 && !response.body.template.customized);
+  response = await request('/branding', 'PUT', { support_phone: '+15550001111' });
+  check('Staff set branding', response.status === 200 && response.body.branding.support_phone === '+15550001111');
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(async () => {
+    cleanup();
+    if (server) await new Promise(resolve => server.close(resolve));
+    console.log(failures === 0 ? '\n✅ Message templates test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
@@ -0,0 +1,248 @@
+/**
+ * Notification Outbox test
+ *
+ * Verifies:
+ * - Emails and texts are stored before sending, with category, appointment and patient
+ * - A failed send stays pending with backoff and goes out once the provider recovers
+ * - Messages fail after the last retry; invalid numbers fail and opted-out numbers are blocked at once
+ * - Twilio status callbacks and email delivery reports (Azure Event Grid or generic)
+ *   move sent messages to delivered or bounced
+ * - Staff list messages per patient or appointment and resend them
+ *
+ * Run: node tests/test-notification-outbox.js
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const db = require('../database');
+const EmailService = require('../services/email-service');
+const SMSService = require('../services/sms-service');
+const NotificationOutbox = require('../services/notification-outbox');
+const smsWebhookRoutes = require('../routes/sms-webhook');
+const emailWebhookRoutes = require('../routes/email-webhook');
+const notificationRoutes = require('../routes/notifications');
+
+const suffix = Date.now().toString(36);
+const digits = `555666${String(Math.floor(Math.random() * 10000)).padStart(4, '0')}`;
+const patientPhone = `+1${digits}`;
+const patientEmail = `outbox-${suffix}@example.com`;
+const appointmentId = `APT-OUTBOX-${suffix}`.toUpperCase();
+let failures = 0;
+let server = null;
+let sentCount = 0;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function cleanup() {
+  db.db.prepare('DELETE FROM notifications WHERE patient_phone = ? OR recipient IN (?, ?)')
+    .run(patientPhone, patientEmail, patientPhone);
+  db.deleteSmsOptOut(patientPhone);
+}
+
+function minutesAfter(date, minutes) {
+  return new Date(date.getTime() + minutes * 60 * 1000);
+}
+
+async function post(path, body, { form = false } = {}) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': form ? 'application/x-www-form-urlencoded' : 'application/json' },
+    body: body === undefined ? undefined : (form ? new URLSearchParams(body).toString() : JSON.stringify(body))
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+async function get(path) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+  return { status: response.status, body: await response.json() };
+}
+
+async function runTest() {
+  // Stand in for Azure/SMTP and Twilio; `down` simulates an outage
+  let down = false;
+  EmailService.deliverEmail = async ({ to }) => down
+    ? { success: false, error: 'Azure unavailable' }
+    : { success: true, message_id: `email-${suffix}-${++sentCount}`, provider: 'azure', to };
+  const realDeliverSMS = SMSService.deliverSMS.bind(SMSService);
+  SMSService.deliverSMS = async (phone, message) => {
+    const result = await realDeliverSMS(phone, message);
+    if (!result.success) return result;
+    return down
+      ? { success: false, error: 'Twilio unavailable' }
+      : { success: true, message_sid: `SM${suffix}${++sentCount}`, provider: 'twilio' };
+  };
+  delete process.env.TWILIO_AUTH_TOKEN;
+  delete process.env.EMAIL_WEBHOOK_TOKEN;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/webhook/twilio', smsWebhookRoutes);
+  app.use('/webhook/email', emailWebhookRoutes);
+  app.use('/api/admin/notifications', notificationRoutes);
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  console.log('\n📤 Sending');
+  const appointment = {
+    id: appointmentId,
+    patient_name: `Outbox Patient ${suffix}`,
+    patient_phone: patientPhone,
+    patient_email: patientEmail,
+    appointment_type: 'Follow-up Session',
+    start_time: minutesAfter(new Date(), 3 * 24 * 60).toISOString(),
+    end_time: minutesAfter(new Date(), 3 * 24 * 60 + 30).toISOString(),
+    duration_minutes: 30,
+    provider: 'Dr. Outbox'
+  };
+  let result = await EmailService.sendAppointmentConfirmation(appointment);
+  let stored = db.getNotification(result.notification_id);
+  check('Booking email stored and sent through the outbox', result.success && stored &&
+    stored.status === 'sent' && stored.provider === 'azure' && stored.attempts === 1);
+  check('Email tagged with category, appointment and patient', stored.category === 'appointment_confirmation' &&
+    stored.appointment_id === appointmentId && stored.patient_phone === patientPhone && stored.recipient === patientEmail);
+  const confirmationId = result.notification_id;
+
+  result = await SMSService.sendSMS(patientPhone, 'Your order is ready', { category: 'order_confirmation' });
+  stored = db.getNotification(result.notification_id);
+  check('Text stored with its Twilio SID', result.success && stored.status === 'sent' &&
+    stored.provider_message_id === result.message_sid && stored.category === 'order_confirmation');
+  const textSid = result.message_sid;
+
+  console.log('\n🔁 Retries');
+  down = true;
+  const outageStart = new Date();
+  result = await SMSService.sendPaymentLink(patientPhone, 'https://pay.example.com/abc', { product_name: 'Starter Kit', amount: '42.00', merchant_name: 'DocLittle' });
+  check('Failed send queued for retry', !result.success && result.queued && result.next_attempt_at);
+  const retryId = result.notification_id;
+  stored = db.getNotification(retryId);
+  check('Queued message pending with the error and backoff', stored.status === 'pending' && stored.attempts === 1 &&
+    stored.last_error === 'Twilio unavailable' && new Date(stored.next_attempt_at) >= minutesAfter(outageStart, 1));
+
+  await NotificationOutbox.processDue(outageStart);
+  check('Not retried before the backoff', db.getNotification(retryId).attempts === 1);
+
+  let counts = await NotificationOutbox.processDue(minutesAfter(outageStart, 2));
+  stored = db.getNotification(retryId);
+  check('Retried while still down, backoff grows', counts.attempted >= 1 && stored.status === 'pending' &&
+    stored.attempts === 2 && new Date(stored.next_attempt_at) >= minutesAfter(outageStart, 7));
+
+  down = false;
+  counts = await NotificationOutbox.processDue(minutesAfter(outageStart, 10));
+  stored = db.getNotification(retryId);
+  check('Sent once the provider recovers', counts.sent >= 1 && stored.status === 'sent' && stored.attempts === 3 &&
+    stored.category === 'payment_link' && /pay\.example\.com/.test(stored.body));
+
+  down = true;
+  result = await EmailService.sendEmail({ to: patientEmail, subject: 'Never arrives', html: '<p>Hi</p>', patient_phone: patientPhone });
+  const doomedId = result.notification_id;
+  let when = new Date();
+  for (let i = 0; i < 10 && db.getNotification(doomedId).status === 'pending'; i++) {
+    when = minutesAfter(when, 300);
+    await NotificationOutbox.processDue(when);
+  }
+  stored = db.getNotification(doomedId);
+  check('Failed after the last retry', stored.status === 'failed' && stored.attempts === 6 && stored.next_attempt_at === null);
+  down = false;
+
+  result = await SMSService.sendSMS('n/a', 'Hello');
+  check('Invalid number fails without retrying', !result.success && !result.queued &&
+    db.getNotification(result.notification_id).status === 'failed');
+  db.db.prepare('DELETE FROM notifications WHERE id = ?').run(result.notification_id);
+
+  db.setSmsOptOut(patientPhone, 'STOP');
+  result = await SMSService.sendSMS(patientPhone, 'Hello');
+  check('Opted-out number blocked without retrying', !result.success && result.opted_out &&
+    db.getNotification(result.notification_id).status === 'blocked');
+  db.deleteSmsOptOut(patientPhone);
+
+  db.db.prepare(`UPDATE notifications SET status = 'sending', updated_at = ? WHERE id = ?`)
+    .run(minutesAfter(new Date(), -30).toISOString(), retryId);
+  counts = await NotificationOutbox.processDue(minutesAfter(new Date(), 1));
+  check('Interrupted send queued again and delivered', counts.released >= 1 &&
+    db.getNotification(retryId).status === 'sent' && db.getNotification(retryId).attempts === 4);
+
+  console.log('\n📬 Delivery reports');
+  let response = await post('/webhook/twilio/sms-status', { MessageSid: textSid, MessageStatus: 'delivered' }, { form: true });
+  const textId = db.getNotificationByProviderMessageId(textSid).id;
+  check('Twilio delivered callback', response.status === 204 && db.getNotification(textId).status === 'delivered' &&
+    db.getNotification(textId).delivered_at);
+  await post('/webhook/twilio/sms-status', { MessageSid: textSid, MessageStatus: 'undelivered', ErrorCode: '30003' }, { form: true });
+  check('Late report does not undo delivered', db.getNotification(textId).status === 'delivered');
+
+  const retrySid = db.getNotification(retryId).provider_message_id;
+  await post('/webhook/twilio/sms-status', { MessageSid: retrySid, MessageStatus: 'undelivered', ErrorCode: '30003' }, { form: true });
+  stored = db.getNotification(retryId);
+  check('Twilio undelivered callback bounces the text', stored.status === 'bounced' && stored.last_error === 'Twilio error 30003');
+
+  response = await post('/webhook/email/events', [{
+    eventType: 'Microsoft.EventGrid.SubscriptionValidationEvent',
+    data: { validationCode: `code-${suffix}` }
+  }]);
+  check('Event Grid subscription handshake answered', response.status === 200 &&
+    response.body.validationResponse === `code-${suffix}`);
+
+  const confirmationMessageId = db.getNotification(confirmationId).provider_message_id;
+  response = await post('/webhook/email/events', [{
+    eventType: 'Microsoft.Communication.EmailDeliveryReportReceived',
+    data: { messageId: confirmationMessageId, status: 'Bounced', deliveryStatusDetails: { statusMessage: 'Mailbox full' } }
+  }]);
+  stored = db.getNotification(confirmationId);
+  check('Azure bounce report recorded', response.body.matched === 1 && stored.status === 'bounced' &&
+    stored.last_error === 'Bounced: Mailbox full');
+
+  result = await EmailService.sendEmail({ to: patientEmail, subject: 'Receipt', html: '<p>Paid</p>', patient_phone: patientPhone });
+  response = await post('/webhook/email/events', { message_id: result.message_id, status: 'delivered' });
+  check('Generic delivery report recorded', response.body.matched &&
+    db.getNotification(result.notification_id).status === 'delivered');
+  response = await post('/webhook/email/events', { message_id: result.message_id, status: 'opened' });
+  check('Unknown report status rejected', response.status === 400);
+
+  process.env.EMAIL_WEBHOOK_TOKEN = `token-${suffix}`;
+  response = await post('/webhook/email/events', { message_id: result.message_id, status: 'bounced' });
+  check('Reports without the token rejected', response.status === 403);
+  response = await post(`/webhook/email/events?token=token-${suffix}`, { message_id: 'not-ours', status: 'bounced' });
+  check('Reports with the token accepted', response.status === 200 && response.body.matched === false);
+  delete process.env.EMAIL_WEBHOOK_TOKEN;
+
+  console.log('\n🗂️  Staff API');
+  response = await get(`/api/admin/notifications?patient_phone=${encodeURIComponent(patientPhone)}`);
+  check('Messages listed per patient', response.status === 200 && response.body.count >= 5 &&
+    response.body.notifications.every(n => n.patient_phone === patientPhone && n.body === undefined));
+  response = await get(`/api/admin/notifications?appointment_id=${appointmentId}`);
+  check('Messages listed per appointment', response.body.count === 1 && response.body.notifications[0].id === confirmationId);
+  response = await get('/api/admin/notifications?status=lost');
+  check('Unknown status rejected', response.status === 400);
+  response = await get(`/api/admin/notifications/${confirmationId}`);
+  check('Single message includes its body', response.status === 200 && /<html|<p|<div/i.test(response.body.notification.body));
+
+  response = await post(`/api/admin/notifications/${confirmationId}/resend`);
+  check('Bounced email resent as a new message', response.status === 201 &&
+    response.body.notification.resend_of === confirmationId && response.body.notification.status === 'sent' &&
+    response.body.notification.appointment_id === appointmentId);
+  response = await post('/api/admin/notifications/ntf-missing/resend');
+  check('Resending an unknown message returns 404', response.status === 404);
+
+  down = true;
+  result = await SMSService.sendSMS(patientPhone, 'Still trying');
+  down = false;
+  response = await post(`/api/admin/notifications/${result.notification_id}/resend`);
+  check('Resending a queued message is a conflict', response.status === 409);
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(async () => {
+    cleanup();
+    if (server) await new Promise(resolve => server.close(resolve));
+    console.log(failures === 0 ? '\n✅ Notification outbox test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
@@ -0,0 +1,135 @@
+/**
+ * Provider schedule test
+ *
+ * Verifies per-provider availability:
+ * - Two providers can be booked at the same time
+ * - Weekly templates, overrides and time off shape the bookable slots
+ * - Conflict checks only consider the provider's own appointments
+ *
+ * Run: node tests/test-provider-schedules.js
+ */
+
+require('dotenv').config();
+
+const db = require('../database');
+const BookingService = require('../services/booking-service');
+const ProviderScheduleService = require('../services/provider-schedule-service');
+
+const suffix = Date.now().toString(36);
+const created = { providers: [], appointments: [] };
+let failures = 0;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+// First Monday at least 60 days out, so real bookings never collide
+function futureMonday() {
+  const d = new Date();
+  d.setDate(d.getDate() + 60);
+  while (d.getDay() !== 1) d.setDate(d.getDate() + 1);
+  return d.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00`);
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+function cleanup() {
+  for (const id of created.appointments) {
+    db.db.prepare('DELETE FROM appointments WHERE id = ?').run(id);
+  }
+  for (const id of created.providers) {
+    db.db.prepare('DELETE FROM provider_schedules WHERE provider_id = ?').run(id);
+    db.db.prepare('DELETE FROM provider_time_off WHERE provider_id = ?').run(id);
+    db.db.prepare('DELETE FROM provider_schedule_overrides WHERE provider_id = ?').run(id);
+    db.db.prepare('DELETE FROM providers WHERE id = ?').run(id);
+  }
+}
+
+async function book(provider, date, time) {
+  const result = await BookingService.scheduleAppointment({
+    patient_name: `Schedule Test ${suffix}`,
+    patient_phone: '+15555550100',
+    appointment_type: 'Mental Health Consultation',
+    date,
+    time,
+    provider
+  });
+  if (result.success) created.appointments.push(result.appointment.id);
+  return result;
+}
+
+async function runTest() {
+  const monday = futureMonday();
+  const weekdays = [1, 2, 3, 4, 5].map(day => ({ day_of_week: day, start_time: '09:00', end_time: '17:00' }));
+
+  const alice = ProviderScheduleService.createProvider({ name: `Dr. Alice ${suffix}` });
+  const bob = ProviderScheduleService.createProvider({ name: `Dr. Bob ${suffix}` });
+  created.providers.push(alice.id, bob.id);
+
+  ProviderScheduleService.setWeeklySchedule(alice.id, weekdays);
+  ProviderScheduleService.setWeeklySchedule(bob.id, [{ day_of_week: 1, start_time: '12:00', end_time: '16:00' }]);
+
+  console.log('\n📅 Weekly templates');
+  const aliceSlots = await BookingService.getAvailableSlots(monday, alice.id);
+  const bobSlots = await BookingService.getAvailableSlots(monday, bob.name);
+  check('Alice is bookable at 09:00', aliceSlots.available_slots.includes('09:00'));
+  check('Bob is not bookable before noon', !bobSlots.available_slots.includes('10:00'));
+  check('Bob is bookable at 12:00', bobSlots.available_slots.includes('12:00'));
+
+  const tuesdayBob = await BookingService.getAvailableSlots(addDays(monday, 1), bob.id);
+  check('Bob has no slots on Tuesday', tuesdayBob.available_slots.length === 0);
+
+  console.log('\n👥 Parallel bookings');
+  const first = await book(alice.name, monday, '13:00');
+  const second = await book(bob.name, monday, '13:00');
+  check('Alice booked at 13:00', first.success);
+  check('Bob booked at 13:00 at the same time', second.success);
+  check('Booking stores provider', second.success && second.appointment.provider === bob.name);
+
+  const doubleBooked = await book(alice.name, monday, '13:00');
+  check('Alice cannot be double-booked at 13:00', !doubleBooked.success);
+
+  const outside = await book(bob.name, monday, '10:00');
+  check('Bob cannot be booked outside working hours', !outside.success);
+
+  console.log('\n🏖️  Time off and overrides');
+  ProviderScheduleService.addTimeOff(alice.id, { start_date: monday, start_time: '15:00', end_time: '17:00', reason: 'Supervision' });
+  const afterTimeOff = await BookingService.getAvailableSlots(monday, alice.id);
+  check('Partial time off removes afternoon slots', !afterTimeOff.available_slots.includes('15:00'));
+  check('Partial time off keeps morning slots', afterTimeOff.available_slots.includes('09:00'));
+
+  const wednesday = addDays(monday, 2);
+  ProviderScheduleService.addTimeOff(alice.id, { start_date: wednesday, reason: 'Vacation' });
+  const vacation = await BookingService.getAvailableSlots(wednesday, alice.id);
+  check('Full-day time off leaves no slots', vacation.available_slots.length === 0);
+
+  const thursday = addDays(monday, 3);
+  ProviderScheduleService.addOverride(bob.id, { date: thursday, start_time: '08:00', end_time: '10:00' });
+  const override = await BookingService.getAvailableSlots(thursday, bob.id);
+  check('Override opens a day outside the template', override.available_slots.includes('08:00'));
+
+  console.log('\n🔀 Any-provider availability');
+  const combined = await BookingService.getAvailableSlots(monday);
+  check('Combined slots report free providers', Array.isArray((combined.slot_providers || {})['10:00']));
+
+  const assigned = await book(null, monday, '09:00');
+  // Other providers registered in this database may be picked first
+  check('Booking without provider assigns a registered provider',
+    assigned.success && !!assigned.appointment.provider_id);
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(() => {
+    cleanup();
+    console.log(failures === 0 ? '\n✅ Provider schedule test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
@@ -0,0 +1,220 @@
+/**
+ * Appointment Reminders test
+ *
+ * Verifies:
+ * - Rules for an appointment type (72h email, 24h SMS, 1h SMS) replace the global rules
+ * - Each rule fires once per appointment time; a rescheduled appointment gets it again
+ * - Reminders due before booking, or superseded by a later one, are skipped and logged
+ * - Patient channel preferences and missing contact details skip the reminder
+ * - Failed sends are retried up to the attempt limit
+ * - Staff endpoints list attempts and validate preferences
+ *
+ * Run: node tests/test-reminders.js
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const db = require('../database');
+const EmailService = require('../services/email-service');
+const SMSService = require('../services/sms-service');
+const SchedulingConfigService = require('../services/scheduling-config-service');
+const ReminderScheduler = require('../services/reminder-scheduler');
+const reminderRoutes = require('../routes/reminders');
+
+const suffix = Date.now().toString(36);
+const providerName = `Dr. Reminder ${suffix}`;
+const typeName = `Reminder Visit ${suffix}`;
+// Far enough ahead that no other appointments are in range of the checks
+const base = new Date('2091-03-05T12:00:00Z');
+const phones = [];
+const created = { typeId: null };
+let failures = 0;
+let server = null;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+// Reminder attempts go with their appointment (ON DELETE CASCADE)
+function cleanup() {
+  db.db.prepare('DELETE FROM appointments WHERE provider = ?').run(providerName);
+  db.db.prepare('DELETE FROM reminder_rules WHERE appointment_type = ?').run(typeName);
+  phones.forEach(phone => db.db.prepare('DELETE FROM patient_communication_preferences WHERE patient_phone = ?').run(phone));
+  if (created.typeId) {
+    db.db.prepare('DELETE FROM appointment_types WHERE id = ?').run(created.typeId);
+  }
+}
+
+function at(minutes) {
+  return new Date(base.getTime() + minutes * 60 * 1000);
+}
+
+// Insert an appointment row directly: starts startMinutes after base, booked bookedMinutes after base
+function createAppointment(name, startMinutes, { bookedMinutes = -10 * 24 * 60, email = true } = {}) {
+  const start = at(startMinutes);
+  const id = `APT-REM-${suffix}-${name}`.toUpperCase();
+  const phone = `+1555777${String(Math.floor(Math.random() * 10000)).padStart(4, '0')}`;
+  phones.push(phone);
+  db.createAppointment({
+    id,
+    patient_name: `${name} ${suffix}`,
+    patient_phone: phone,
+    patient_email: email ? `${name.toLowerCase()}-${suffix}@example.com` : null,
+    appointment_type: typeName,
+    date: start.toISOString().slice(0, 10),
+    time: start.toISOString().slice(11, 16),
+    start_time: start.toISOString(),
+    end_time: new Date(start.getTime() + 30 * 60 * 1000).toISOString(),
+    duration_minutes: 30,
+    provider: providerName,
+    status: 'scheduled',
+    notes: '',
+    calendar_event_id: null,
+    calendar_link: null,
+    created_at: at(bookedMinutes).toISOString()
+  });
+  return id;
+}
+
+function attempts(id) {
+  return db.getReminderAttempts(id);
+}
+
+async function runTest() {
+  // Record emails and texts instead of sending them
+  const emails = [];
+  const texts = [];
+  let failingPhone = null;
+  EmailService.sendEmail = async (options) => {
+    emails.push(options);
+    return { success: true, message_id: 'email-test', provider: 'test' };
+  };
+  SMSService.sendSMS = async (phone, message) => {
+    if (phone === failingPhone) return { success: false, error: 'Carrier rejected' };
+    texts.push({ phone, message });
+    return { success: true, message_sid: 'SM-test' };
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin/reminders', reminderRoutes);
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/api/admin/reminders`;
+
+  console.log('\n⚙️  Rules');
+  created.typeId = SchedulingConfigService.createAppointmentType({ name: typeName, duration_minutes: 30 }).id;
+  check('Global rules apply to types without their own', ReminderScheduler.getRulesFor(typeName).every(r => r.appointment_type === null));
+  ReminderScheduler.createRule({ appointment_type: typeName, channel: 'email', offset_minutes: 72 * 60 });
+  ReminderScheduler.createRule({ appointment_type: typeName, channel: 'sms', offset_minutes: 24 * 60 });
+  const hourRule = ReminderScheduler.createRule({ appointment_type: typeName, channel: 'sms', offset_minutes: '60' });
+  const rules = ReminderScheduler.getRulesFor(typeName);
+  check('Type rules replace the global rules', rules.length === 3 && rules.every(r => r.appointment_type === typeName));
+  check('Rules ordered longest lead time first', rules.map(r => r.offset_minutes).join(',') === '4320,1440,60');
+
+  let rejected = null;
+  try {
+    ReminderScheduler.createRule({ appointment_type: typeName, channel: 'fax', offset_minutes: 30 });
+  } catch (error) {
+    rejected = error.message;
+  }
+  check('Unknown channel rejected', /channel must be one of/.test(rejected));
+  rejected = null;
+  try {
+    ReminderScheduler.updateRule(hourRule.id, { offset_minutes: 24 * 60 });
+  } catch (error) {
+    rejected = error.message;
+  }
+  check('Duplicate rule rejected', /already exists/.test(rejected));
+
+  console.log('\n⏰ Cadence');
+  const threeDayId = createAppointment('ThreeDay', 70 * 60);
+  const dayId = createAppointment('Day', 23 * 60);
+  const lateBookedId = createAppointment('LateBooked', 50, { bookedMinutes: -120 });
+  const noEmailId = createAppointment('NoEmail', 70 * 60, { email: false });
+  const emailOnlyId = createAppointment('EmailOnly', 23 * 60);
+  const failingId = createAppointment('Failing', 23 * 60);
+  ReminderScheduler.setPatientPreferences(db.getAppointment(emailOnlyId).patient_phone, ['email']);
+  failingPhone = db.getAppointment(failingId).patient_phone;
+
+  let counts = await ReminderScheduler.checkAndSendReminders(base);
+  check('Due reminders sent, failed and skipped', counts.sent === 4 && counts.failed === 1);
+
+  let log = attempts(threeDayId);
+  check('3-day email sent', log.length === 1 && log[0].channel === 'email' && log[0].status === 'sent' &&
+    log[0].provider_message_id === 'email-test');
+  const threeDayEmail = emails.find(e => e.to === db.getAppointment(threeDayId).patient_email);
+  check('Email says how far ahead the appointment is', threeDayEmail && /appointment in 3 days/.test(threeDayEmail.html));
+
+  log = attempts(dayId);
+  check('Day-before SMS sent, 3-day email superseded', log.length === 2 &&
+    log.find(a => a.channel === 'sms').status === 'sent' &&
+    log.find(a => a.channel === 'email').error === 'Superseded by a later reminder');
+  const dayText = texts.find(t => t.phone === db.getAppointment(dayId).patient_phone);
+  check('SMS goes through SMSService with the lead time', dayText && /in 23 hours/.test(dayText.message) &&
+    /Reply C to confirm/.test(dayText.message));
+
+  log = attempts(lateBookedId);
+  check('Reminders due before booking skipped', log.filter(a => a.error === 'Booked after the reminder time').length === 2);
+  check('Hour-before SMS sent', log.some(a => a.rule_id === hourRule.id && a.status === 'sent'));
+
+  log = attempts(noEmailId);
+  check('Email reminder without an address skipped', log.length === 1 && log[0].status === 'skipped' &&
+    log[0].error === 'No email address');
+
+  log = attempts(emailOnlyId);
+  check('Patient preference skips SMS and keeps the email', log.some(a => a.channel === 'sms' && /turned off sms/.test(a.error)) &&
+    log.some(a => a.channel === 'email' && a.status === 'sent'));
+
+  log = attempts(failingId);
+  check('Failed send recorded with the error', log.some(a => a.status === 'failed' && a.error === 'Carrier rejected'));
+
+  const emailsBefore = emails.length;
+  await ReminderScheduler.checkAndSendReminders(at(5));
+  check('Reminders already sent are not sent again', emails.length === emailsBefore && attempts(threeDayId).length === 1);
+  await ReminderScheduler.checkAndSendReminders(at(10));
+  await ReminderScheduler.checkAndSendReminders(at(15));
+  await ReminderScheduler.checkAndSendReminders(at(20));
+  check('Failed send retried up to the limit', attempts(failingId).filter(a => a.status === 'failed').length === 3);
+
+  console.log('\n🔄 Reschedule');
+  const newStart = at(100 * 60).toISOString();
+  db.db.prepare('UPDATE appointments SET start_time = ? WHERE id = ?').run(newStart, threeDayId);
+  await ReminderScheduler.checkAndSendReminders(at(30 * 60));
+  log = attempts(threeDayId);
+  check('Rescheduled appointment gets its reminder for the new time', log.length === 2 &&
+    log[1].start_time === newStart && log[1].status === 'sent');
+
+  console.log('\n🌐 Staff API');
+  let response = await fetch(`${url}/appointments/${dayId}`);
+  let body = await response.json();
+  check('Attempts listed per appointment', response.status === 200 && body.count === 2);
+  response = await fetch(`${url}/appointments/APT-DOES-NOT-EXIST`);
+  check('Unknown appointment returns 404', response.status === 404);
+  response = await fetch(`${url}/patients/${encodeURIComponent(phones[0])}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ channels: ['pager'] })
+  });
+  check('Unknown preference channel rejected', response.status === 400);
+  check('Reminder channels are kept with the communication preferences',
+    db.getCommunicationPreferences(db.getAppointment(emailOnlyId).patient_phone).reminder_channels === 'email');
+  response = await fetch(`${url}/patients/${encodeURIComponent(phones[0])}`);
+  body = await response.json();
+  check('Patients default to every channel', body.preferences.is_default && body.preferences.channels.join(',') === 'email,sms');
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(async () => {
+    cleanup();
+    if (server) await new Promise(resolve => server.close(resolve));
+    console.log(failures === 0 ? '\n✅ Reminders test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
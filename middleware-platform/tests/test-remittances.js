@@ -0,0 +1,273 @@
+/**
+ * Remittance (835 ERA) test
+ *
+ * Verifies:
+ * - 835 files are parsed (BPR/TRN payment, CLP claims, SVC lines, CAS adjustments, MOA/LQ remarks, PLB)
+ *   whatever delimiters the ISA declares, and unbalanced files are rejected
+ * - Matching claims are posted with the payer's paid, allowed, contractual adjustment and
+ *   patient responsibility, and their EOB is replaced with the payer's breakdown per line
+ * - Denials are posted as denied with their CARC/RARC codes
+ * - The same payment can't be imported twice
+ * - Remits with no matching claim wait in the reconciliation queue until matched or dismissed
+ * - A remit that fails to post is queued with the error and the rest of the file is still posted
+ * - Staff API imports files and works the queue
+ *
+ * Run: node tests/test-remittances.js
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const db = require('../database');
+const { cleanupBilling } = require('./billing-fixtures');
+const RemittanceService = require('../services/remittance-service');
+const DenialService = require('../services/denial-service');
+const remittanceRoutes = require('../routes/remittances');
+
+const suffix = Date.now().toString(36).toUpperCase();
+const payerId = `ERA${suffix}`;
+const claimIds = [];
+let failures = 0;
+let server = null;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function cleanup() {
+  cleanupBilling({ payerIds: [payerId], claimIds });
+}
+
+function createClaim(pcn, overrides = {}) {
+  const claim = {
+    id: `claim_era_${suffix}_${claimIds.length}`,
+    member_id: 'M123',
+    payer_id: payerId,
+    service_code: '90834',
+    diagnosis_code: 'F41.1',
+    total_amount: 150,
+    status: 'submitted',
+    date_of_service: '2026-02-20',
+    ...overrides
+  };
+  db.createInsuranceClaim(claim);
+  if (pcn) db.setClaimPatientControlNumber(claim.id, pcn);
+  claimIds.push(claim.id);
+  return claim.id;
+}
+
+// One payment: a paid claim with two lines, a denial and a claim we never billed, less a PLB withholding
+// (prefix changes the patient control numbers so no claim matches)
+function remittanceFile(checkNumber, { paid = '220', total = '290', prefix = '' } = {}) {
+  const segments = [
+    'ISA*00*          *00*          *ZZ*TESTPAYER      *ZZ*DOCLITTLE      *260310*1200*^*00501*000000101*0*P*:',
+    'GS*HP*TESTPAYER*DOCLITTLE*20260310*1200*101*X*005010X221A1',
+    'ST*835*0001',
+    `BPR*I*${total}*C*ACH*CCP*01*999999999*DA*123456*1512345678**01*999988880*DA*98765*20260310`,
+    `TRN*1*${checkNumber}*1512345678`,
+    'DTM*405*20260309',
+    'N1*PR*Test Payer',
+    'N3*1 Payer Way',
+    'N4*Hartford*CT*06101',
+    `REF*2U*${payerId}`,
+    'N1*PE*Harbor Counseling Group*XX*1234567893',
+    'LX*1',
+    `CLP*${prefix}A${suffix}*1*325*${paid}*50*12*PAYERCLM001*11*1`,
+    'NM1*QC*1*Lopez*Maria****MI*M123',
+    'DTM*232*20260220',
+    'SVC*HC:90791*200*150**1',
+    'DTM*472*20260220',
+    'CAS*CO*45*30',
+    'CAS*PR*3*20',
+    'AMT*B6*170',
+    'SVC*HC:90846*125*70**1',
+    'DTM*472*20260220',
+    'CAS*CO*45*25',
+    'CAS*PR*2*30',
+    'AMT*B6*100',
+    'LQ*HE*N130',
+    `CLP*${prefix}B${suffix}*4*150*0*0*12*PAYERCLM002`,
+    'CAS*CO*197*150',
+    'NM1*QC*1*Park*Leo****MI*C456',
+    'MOA***MA130',
+    `CLP*${prefix}C${suffix}*1*100*80*20*12*PAYERCLM003`,
+    'CAS*PR*1*20',
+    'NM1*QC*1*Doe*John****MI*Z999',
+    'PLB*1234567893*20261231*WO:OVERPAY1*10'
+  ];
+  const stIndex = segments.findIndex(s => s.startsWith('ST*'));
+  segments.push(`SE*${segments.length - stIndex + 1}*0001`, 'GE*1*101', 'IEA*1*000000101');
+  return segments.map(s => `${s}~`).join('\n') + '\n';
+}
+
+function rejects(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+}
+
+async function runTest() {
+  console.log('\n🧪 REMITTANCE (835 ERA) TEST\n');
+
+  // ---- Parsing ----
+  const content = remittanceFile(`CHK${suffix}`);
+  const [remittance] = RemittanceService.parse835(content);
+  check('Payment is read from BPR/TRN', remittance.payment.amount === 290 &&
+    remittance.payment.check_number === `CHK${suffix}` && remittance.payment.date === '2026-03-10' &&
+    remittance.payment.method === 'ACH');
+  check('Payer and payee are read', remittance.payer.id === payerId && remittance.payer.name === 'Test Payer' &&
+    remittance.payee.npi === '1234567893');
+  const paidClaim = remittance.claims[0];
+  check('Claim and service lines are read', remittance.claims.length === 3 && paidClaim.services.length === 2 &&
+    paidClaim.services[1].procedure_code === '90846' && paidClaim.services[1].allowed_amount === 100 &&
+    paidClaim.services[1].remark_codes[0] === 'N130' && paidClaim.member_id === 'M123');
+  check('Adjustments keep group and reason codes', paidClaim.services[0].adjustments.length === 2 &&
+    paidClaim.services[0].adjustments[1].group === 'PR' && paidClaim.services[0].adjustments[1].reason === '3' &&
+    paidClaim.services[0].adjustments[1].amount === 20);
+  check('Provider-level adjustments are read', remittance.provider_adjustments[0].reason === 'WO' &&
+    remittance.provider_adjustments[0].amount === 10);
+  const piped = content.split('*').join('|').replace(/~\n/g, '\n');
+  const pipedIsa = piped.slice(0, 105) + '\n' + piped.slice(106);
+  check('Delimiters come from the ISA', RemittanceService.parse835(pipedIsa)[0].claims.length === 3);
+  check('Unbalanced claim is rejected', rejects(() => RemittanceService.parse835(remittanceFile('X', { paid: '230', total: '300' })),
+    /^Invalid 835: claim .* does not balance/));
+  check('Payment that does not add up is rejected', rejects(() => RemittanceService.parse835(remittanceFile('X', { total: '300' })),
+    /^Invalid 835: payment 300 does not equal/));
+  check('Other transaction sets are rejected', rejects(() => RemittanceService.parse835(content.replace('GS*HP', 'GS*HC')),
+    /functional group HC/));
+
+  // ---- Posting ----
+  const claimA = createClaim(`A${suffix}`, {
+    service_code: '90791, 90846',
+    total_amount: 325,
+    response_data: JSON.stringify({
+      pricing: { breakdown: [{ code: '90846', charge: 125 }, { code: '90791', charge: 200 }] }
+    })
+  });
+  const claimB = createClaim(`B${suffix}`);
+  const result = RemittanceService.importERA(content, { file_name: 'remit.835', actor: 'biller' });
+  check('Matched claims are posted, the rest queued', result.posted === 2 && result.unmatched === 1 &&
+    result.files[0].matched_count === 2 && result.files[0].claim_count === 3);
+
+  const postedA = db.getInsuranceClaim(claimA);
+  check('Paid claim records the payer\'s numbers', postedA.status === 'paid' && postedA.payment_status === 'paid' &&
+    postedA.payment_amount === 220 && postedA.insurance_amount === 220 && postedA.allowed_amount === 270 &&
+    postedA.contractual_adjustment === 55 && postedA.patient_responsibility === 50 &&
+    postedA.payer_claim_control_number === 'PAYERCLM001' && postedA.paid_at);
+  const eob = JSON.parse(postedA.response_data).eob;
+  check('EOB comes from the remit', eob.source === '835' && eob.totals.copay === 20 && eob.totals.coinsurance === 30 &&
+    eob.totals.deductible === 0 && eob.totals.whatYouOwe === 50 && eob.totals.contractualAdjustment === 55 &&
+    eob.totals.allowedAmount === 270);
+  check('Remitted lines are matched to the billed lines', eob.lineItems[0].cptCode === '90791' &&
+    eob.lineItems[0].lineNumber === 2 && eob.lineItems[1].lineNumber === 1 &&
+    eob.lineItems[0].allowedAmount === 170 && eob.lineItems[0].planPaid === 150);
+  check('Adjustments carry CARC/RARC descriptions', eob.lineItems[0].adjustments[0].reason_description.startsWith('Charge exceeds fee schedule') &&
+    eob.lineItems[1].remarkCodes[0].code === 'N130' && eob.lineItems[1].remarkCodes[0].description);
+
+  const postedB = db.getInsuranceClaim(claimB);
+  const denial = RemittanceService.getClaimPayments(claimB)[0];
+  check('Denial is posted as denied', postedB.status === 'denied' && postedB.payment_status === 'denied' &&
+    postedB.payment_amount === 0 && postedB.contractual_adjustment === 150);
+  check('Denial keeps its reason and remark codes', denial.claim_status === 'Denied' &&
+    denial.adjustments[0].reason === '197' && denial.remark_codes[0] === 'MA130');
+
+  check('Same payment is not imported twice', rejects(() => RemittanceService.importERA(content), /^Remittance already imported/));
+
+  // ---- Reconciliation ----
+  const queue = RemittanceService.getReconciliationQueue().filter(p => p.payer_id === payerId);
+  check('Unknown claim waits in the queue', queue.length === 1 && queue[0].patient_control_number === `C${suffix}` &&
+    queue[0].check_number === `CHK${suffix}` && queue[0].patient_name === 'John Doe');
+  const claimC = createClaim(null, { total_amount: 100, member_id: 'Z999' });
+  const matched = RemittanceService.matchClaimPayment(queue[0].id, claimC, 'biller');
+  check('Staff match a queued remit', matched.status === 'posted' && matched.claim_id === claimC &&
+    matched.resolved_by === 'biller' && db.getInsuranceClaim(claimC).payment_amount === 80 &&
+    db.getInsuranceClaim(claimC).patient_responsibility === 20);
+  check('A posted remit can\'t be matched again', rejects(() => RemittanceService.matchClaimPayment(queue[0].id, claimC), /already posted/));
+  check('File shows every claim matched', RemittanceService.getFile(result.files[0].id).matched_count === 3);
+
+  // ---- A remit that fails to post ----
+  const claimFA = createClaim(`FA${suffix}`, { total_amount: 325 });
+  const claimFB = createClaim(`FB${suffix}`);
+  const recordRemit = DenialService.recordRemit;
+  DenialService.recordRemit = function (claim, ...args) {
+    if (claim.id === claimFB) throw new Error('Denial could not be opened');
+    return recordRemit.call(this, claim, ...args);
+  };
+  let partial;
+  try {
+    partial = RemittanceService.importERA(remittanceFile(`FAIL${suffix}`, { prefix: 'F' }), { actor: 'biller' });
+  } finally {
+    DenialService.recordRemit = recordRemit;
+  }
+  check('The rest of the file is posted', partial.posted === 1 && partial.unmatched === 2 && partial.failed === 1 &&
+    db.getInsuranceClaim(claimFA).status === 'paid');
+  const unposted = db.getInsuranceClaim(claimFB);
+  const failedRemit = RemittanceService.getReconciliationQueue()
+    .find(p => p.patient_control_number === `FB${suffix}`);
+  check('Failed remit leaves its claim untouched', unposted.status === 'submitted' && unposted.payment_status === 'pending' &&
+    RemittanceService.getClaimPayments(claimFB).length === 0);
+  check('Failed remit is queued with the error', failedRemit && failedRemit.status === 'unmatched' &&
+    failedRemit.resolution_note === `Not posted to claim ${claimFB}: Denial could not be opened`);
+  RemittanceService.matchClaimPayment(failedRemit.id, claimFB, 'biller');
+  check('Failed remit can be posted from the queue', db.getInsuranceClaim(claimFB).status === 'denied');
+  const leftover = RemittanceService.getReconciliationQueue().find(p => p.patient_control_number === `FC${suffix}`);
+  RemittanceService.dismissClaimPayment(leftover.id, { note: 'Not ours', actor: 'biller' });
+
+  // ---- Staff API ----
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin/insurance/era', remittanceRoutes);
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/api/admin/insurance/era`;
+  const request = async (path, method = 'GET', body, contentType = 'application/json') => {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: { 'Content-Type': contentType },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  let response = await request('/835?actor=biller', 'POST', remittanceFile(`EFT${suffix}`, { prefix: 'Z' }), 'text/plain');
+  check('Staff import a raw 835', response.status === 201 && response.body.unmatched === 3 &&
+    response.body.files[0].received_by === 'biller');
+  response = await request('/835', 'POST', { content: remittanceFile(`EFT${suffix}`) });
+  check('Duplicate import is a 409', response.status === 409);
+  response = await request('/835', 'POST', { content: 'not an 835' });
+  check('Invalid file is a 400', response.status === 400);
+  response = await request('/reconciliation');
+  const queued = response.body.payments.filter(p => p.payer_id === payerId);
+  check('Staff list the reconciliation queue', response.status === 200 && queued.length === 3);
+  response = await request(`/reconciliation/${queued[0].id}/match`, 'POST', { claim_id: 'claim_missing' });
+  check('Matching to an unknown claim is a 404', response.status === 404);
+  response = await request(`/reconciliation/${queued[0].id}/dismiss`, 'POST', {});
+  check('Dismissing needs a note', response.status === 400);
+  response = await request(`/reconciliation/${queued[0].id}/dismiss`, 'POST', { note: 'Resubmitted remit', actor: 'biller' });
+  check('Staff dismiss a remit', response.status === 200 && response.body.payment.status === 'dismissed' &&
+    response.body.payment.resolution_note === 'Resubmitted remit');
+  response = await request(`/claims/${claimA}`);
+  check('Staff see the remits for a claim', response.status === 200 && response.body.count === 1 &&
+    response.body.payments[0].services.length === 2);
+  response = await request(`/files/${result.files[0].id}`);
+  check('Staff view a file', response.status === 200 && response.body.file.claim_payments.length === 3);
+  response = await request('/files/era-missing');
+  check('Unknown file is a 404', response.status === 404);
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(async () => {
+    cleanup();
+    if (server) await new Promise(resolve => server.close(resolve));
+    console.log(failures === 0 ? '\n✅ Remittance test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
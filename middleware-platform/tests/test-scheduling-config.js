@@ -0,0 +1,172 @@
+/**
+ * Scheduling Configuration test
+ *
+ * Verifies:
+ * - Appointment types are seeded from the old hardcoded defaults
+ * - Changing a type's duration changes the slots offered, without a deploy
+ * - Lunch breaks and closures remove slots; closed days reject bookings
+ * - Deactivated types can no longer be booked
+ * - CPT codes come from the type configuration
+ *
+ * Run: node tests/test-scheduling-config.js
+ */
+
+require('dotenv').config();
+
+const db = require('../database');
+const BookingService = require('../services/booking-service');
+const InsuranceService = require('../services/insurance-service');
+const ProviderScheduleService = require('../services/provider-schedule-service');
+const SchedulingConfigService = require('../services/scheduling-config-service');
+
+const suffix = Date.now().toString(36);
+const created = { providerId: null, typeId: null, closureId: null, savedHours: null };
+let failures = 0;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+// First Thursday at least 130 days out, so real bookings never collide
+function futureThursday() {
+  const d = new Date();
+  d.setDate(d.getDate() + 130);
+  while (d.getDay() !== 4) d.setDate(d.getDate() + 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function cleanup() {
+  if (created.savedHours) {
+    SchedulingConfigService.setBusinessHours([created.savedHours]);
+  }
+  if (created.closureId) {
+    db.deleteBusinessClosure(created.closureId);
+  }
+  if (created.typeId) {
+    db.db.prepare('DELETE FROM appointment_types WHERE id = ?').run(created.typeId);
+  }
+  if (created.providerId) {
+    db.db.prepare('DELETE FROM appointments WHERE provider_id = ?').run(created.providerId);
+    db.db.prepare('DELETE FROM providers WHERE id = ?').run(created.providerId);
+  }
+}
+
+async function runTest() {
+  const date = futureThursday();
+  const provider = ProviderScheduleService.createProvider({ name: `Dr. Config ${suffix}` });
+  created.providerId = provider.id;
+
+  console.log('\n📋 Seeded configuration');
+  const consultation = SchedulingConfigService.getAppointmentType('Mental Health Consultation');
+  check('Default type seeded with its duration and CPT code', consultation && consultation.duration_minutes === 50 && consultation.cpt_code === '90834');
+  check('Group Therapy seeded as a group type', SchedulingConfigService.getAppointmentType('Group Therapy')?.capacity === 8);
+
+  let duplicateRejected = false;
+  try {
+    SchedulingConfigService.createAppointmentType({ name: 'Mental Health Consultation', duration_minutes: 30 });
+  } catch (error) {
+    duplicateRejected = true;
+  }
+  check('Duplicate type names rejected', duplicateRejected);
+
+  console.log('\n⏱️  Type durations');
+  const type = SchedulingConfigService.createAppointmentType({
+    name: `Check-in ${suffix}`,
+    duration_minutes: 60,
+    buffer_before_minutes: 0,
+    buffer_after_minutes: 0,
+    cpt_code: '99213',
+    price: 95
+  });
+  created.typeId = type.id;
+
+  const hourly = await BookingService.getAvailableSlots(date, provider.id, type.name);
+  check('Slots end one duration before closing', hourly.available_slots.includes('16:00') && !hourly.available_slots.includes('16:15'));
+
+  SchedulingConfigService.updateAppointmentType(type.id, { duration_minutes: 30 });
+  const shorter = await BookingService.getAvailableSlots(date, provider.id, type.name);
+  check('Shorter duration opens later slots', shorter.available_slots.includes('16:30') && shorter.slot_duration_minutes === 30);
+
+  check('CPT code read from the type', InsuranceService.mapAppointmentTypeToCPT(type.name) === '99213');
+
+  console.log('\n🥪 Lunch break');
+  const dayOfWeek = new Date(`${date}T00:00:00`).getDay();
+  const saved = SchedulingConfigService.getBusinessHours()[dayOfWeek];
+  created.savedHours = {
+    day_of_week: dayOfWeek,
+    is_open: saved.is_open,
+    open_time: saved.open_time,
+    close_time: saved.close_time,
+    break_start: saved.break_start,
+    break_end: saved.break_end
+  };
+
+  let badBreakRejected = false;
+  try {
+    SchedulingConfigService.setBusinessHours([{ day_of_week: dayOfWeek, open_time: '09:00', close_time: '17:00', break_start: '18:00', break_end: '19:00' }]);
+  } catch (error) {
+    badBreakRejected = true;
+  }
+  check('Break outside opening hours rejected', badBreakRejected);
+
+  SchedulingConfigService.setBusinessHours([{ day_of_week: dayOfWeek, open_time: '09:00', close_time: '17:00', break_start: '12:00', break_end: '13:00' }]);
+  const lunch = await BookingService.getAvailableSlots(date, provider.id, type.name);
+  check('No slots overlap the break', !lunch.available_slots.includes('12:00') && !lunch.available_slots.includes('11:45'));
+  check('Slots resume after the break', lunch.available_slots.includes('11:30') && lunch.available_slots.includes('13:00'));
+
+  console.log('\n🚫 Closures');
+  const closure = SchedulingConfigService.addClosure({ date, reason: `Holiday ${suffix}` });
+  created.closureId = closure.id;
+
+  const closed = await BookingService.getAvailableSlots(date, provider.id, type.name);
+  check('Closed day offers no slots', closed.available_slots.length === 0 && closed.closed === true);
+
+  const booking = await BookingService.scheduleAppointment({
+    patient_name: `Closed ${suffix}`,
+    patient_phone: '+15554441111',
+    appointment_type: type.name,
+    date,
+    time: '10:00',
+    provider: provider.id
+  });
+  check('Booking on a closed day rejected', !booking.success);
+
+  SchedulingConfigService.removeClosure(closure.id);
+  created.closureId = null;
+  const reopened = await BookingService.getAvailableSlots(date, provider.id, type.name);
+  check('Removing the closure reopens the day', reopened.available_slots.includes('10:00'));
+
+  console.log('\n🗃️  Deactivation');
+  SchedulingConfigService.deactivateAppointmentType(type.id);
+  check('Inactive type hidden from the list', !SchedulingConfigService.getAppointmentTypes().some(t => t.id === type.id));
+
+  const inactive = await BookingService.scheduleAppointment({
+    patient_name: `Inactive ${suffix}`,
+    patient_phone: '+15554442222',
+    appointment_type: type.name,
+    date,
+    time: '10:00',
+    provider: provider.id
+  });
+  check('Inactive type cannot be booked', !inactive.success);
+
+  let defaultProtected = false;
+  try {
+    SchedulingConfigService.deactivateAppointmentType('Mental Health Consultation');
+  } catch (error) {
+    defaultProtected = true;
+  }
+  check('Default type cannot be deactivated', defaultProtected);
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(() => {
+    cleanup();
+    console.log(failures === 0 ? '\n✅ Scheduling configuration test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
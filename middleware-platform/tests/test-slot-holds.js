@@ -0,0 +1,126 @@
+/**
+ * Slot Holds test
+ *
+ * Verifies:
+ * - Slots offered during a voice call are held for that call
+ * - Held slots are hidden from other callers and rejected for dashboard bookings
+ * - Booking with the call ID confirms the hold and releases the call's other holds
+ * - Holds are released when the call ends and stop blocking once expired
+ * - Two simultaneous bookings for the same slot cannot both succeed
+ *
+ * Run: node tests/test-slot-holds.js
+ */
+
+require('dotenv').config();
+
+const db = require('../database');
+const BookingService = require('../services/booking-service');
+const SlotHoldService = require('../services/slot-hold-service');
+const ProviderScheduleService = require('../services/provider-schedule-service');
+
+const suffix = Date.now().toString(36);
+const calls = ['a', 'b', 'c', 'd'].reduce((acc, name) => ({ ...acc, [name]: `call_${name}_${suffix}` }), {});
+const created = { providerId: null };
+let failures = 0;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+// First Friday at least 140 days out, so real bookings never collide
+function futureFriday() {
+  const d = new Date();
+  d.setDate(d.getDate() + 140);
+  while (d.getDay() !== 5) d.setDate(d.getDate() + 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function cleanup() {
+  for (const callId of Object.values(calls)) {
+    db.db.prepare('DELETE FROM slot_holds WHERE call_id = ?').run(callId);
+  }
+  if (created.providerId) {
+    db.db.prepare('DELETE FROM appointments WHERE provider_id = ?').run(created.providerId);
+    db.db.prepare('DELETE FROM provider_schedules WHERE provider_id = ?').run(created.providerId);
+    db.db.prepare('DELETE FROM providers WHERE id = ?').run(created.providerId);
+  }
+}
+
+async function offer(callId, date) {
+  const slots = await BookingService.getAvailableSlots(date, created.providerId, null, null, callId);
+  return { slots, holds: SlotHoldService.holdOfferedSlots(callId, slots) };
+}
+
+function book(name, date, time, callId = null) {
+  return BookingService.scheduleAppointment({
+    patient_name: `${name} ${suffix}`,
+    patient_phone: `+1555333${String(Math.floor(Math.random() * 10000)).padStart(4, '0')}`,
+    date,
+    time,
+    provider: created.providerId,
+    call_id: callId
+  });
+}
+
+async function runTest() {
+  const date = futureFriday();
+  const provider = ProviderScheduleService.createProvider({ name: `Dr. Hold ${suffix}` });
+  created.providerId = provider.id;
+  ProviderScheduleService.setWeeklySchedule(provider.id, [{ day_of_week: 5, start_time: '09:00', end_time: '17:00' }]);
+
+  console.log('\n🔒 Holding offered slots');
+  const first = await offer(calls.a, date);
+  check('First offered slots held for the call', first.holds.length === 3 && first.holds[0].time === '09:00');
+  check('Holds assigned to the provider', first.holds.every(h => h.provider_id === provider.id));
+
+  const own = await BookingService.getAvailableSlots(date, provider.id, null, null, calls.a);
+  check('Caller still sees their own held slots', own.available_slots.includes('09:00'));
+
+  const other = await BookingService.getAvailableSlots(date, provider.id, null, null, calls.b);
+  check('Other callers do not see held slots', !other.available_slots.includes('09:00'));
+
+  const dashboard = await book('Dashboard', date, '09:00');
+  check('Booking a held slot without the call is rejected', !dashboard.success);
+
+  console.log('\n✅ Booking confirms the hold');
+  const booked = await book('Caller A', date, '09:00', calls.a);
+  check('Caller books their held slot', booked.success);
+  const callHolds = SlotHoldService.getCallHolds(calls.a);
+  check('Booked hold confirmed', callHolds.some(h => h.time === '09:00' && h.status === 'confirmed' && h.appointment_id === booked.appointment.id));
+  check('Other holds released', callHolds.filter(h => h.time !== '09:00').every(h => h.status === 'released'));
+
+  console.log('\n📴 Call end and expiry');
+  const second = await offer(calls.b, date);
+  check('Next caller is offered the next free slots', second.holds.length > 0 && second.holds[0].time !== '09:00');
+  const heldTime = second.holds[0].time;
+  check('Held slot blocks other callers', !(await BookingService.getAvailableSlots(date, provider.id, null, null, calls.c)).available_slots.includes(heldTime));
+  check('Call end releases its holds', SlotHoldService.releaseCall(calls.b) === second.holds.length);
+  check('Released slot offered again', (await BookingService.getAvailableSlots(date, provider.id, null, null, calls.c)).available_slots.includes(heldTime));
+
+  const expired = BookingService.holdSlot(calls.c, { date, time: '15:00', provider: provider.id }, new Date(Date.now() - 1000).toISOString());
+  check('Expired hold does not block the slot', !!expired && (await book('After expiry', date, '15:00')).success);
+
+  console.log('\n⚡ Simultaneous bookings');
+  const [one, two] = await Promise.all([book('Racer One', date, '13:00'), book('Racer Two', date, '13:00')]);
+  check('Only one of two simultaneous bookings succeeds', [one, two].filter(r => r.success).length === 1);
+
+  console.log('\n🔄 Reschedule into a held slot');
+  const third = await offer(calls.d, date);
+  const target = third.holds[0].time;
+  const blocked = await BookingService.rescheduleAppointment(booked.appointment.id, date, target);
+  check('Reschedule into another call\'s hold rejected', !blocked.success);
+  const moved = await BookingService.rescheduleAppointment(booked.appointment.id, date, target, null, null, calls.d);
+  check('Reschedule with the holding call succeeds', moved.success && moved.appointment.time === target);
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(() => {
+    cleanup();
+    console.log(failures === 0 ? '\n✅ Slot holds test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
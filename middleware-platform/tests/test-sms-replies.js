@@ -0,0 +1,203 @@
+/**
+ * Two-way SMS test
+ *
+ * Verifies:
+ * - Keywords are read from short replies only; longer texts go to staff
+ * - C confirms and CANCEL cancels the patient's next appointment, with a TwiML reply
+ * - Twilio retries of the same message are answered without acting twice
+ * - R, free text and texts from unknown numbers land in the staff inbox
+ * - STOP blocks texts (replies and outbound SMS) until START; HELP always answers
+ * - Staff can resolve and answer inbox messages
+ * - The webhook checks the Twilio signature when TWILIO_AUTH_TOKEN is set
+ *
+ * Run: node tests/test-sms-replies.js
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const twilio = require('twilio');
+const db = require('../database');
+const EmailService = require('../services/email-service');
+const SMSService = require('../services/sms-service');
+const SMSReplyService = require('../services/sms-reply-service');
+const smsWebhookRoutes = require('../routes/sms-webhook');
+const smsInboxRoutes = require('../routes/sms-inbox');
+
+const suffix = Date.now().toString(36);
+const providerName = `Dr. Texting ${suffix}`;
+const digits = `555444${String(Math.floor(Math.random() * 10000)).padStart(4, '0')}`;
+const patientPhone = `+1${digits}`;
+const strangerPhone = `+1555333${String(Math.floor(Math.random() * 10000)).padStart(4, '0')}`;
+let failures = 0;
+let server = null;
+let messageCount = 0;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function cleanup() {
+  db.db.prepare('DELETE FROM appointments WHERE provider = ?').run(providerName);
+  [patientPhone, strangerPhone].forEach(phone => {
+    db.db.prepare('DELETE FROM sms_inbound_messages WHERE from_phone = ?').run(phone);
+    db.deleteSmsOptOut(phone);
+    db.db.prepare('DELETE FROM patient_communication_preferences WHERE patient_phone = ?').run(phone);
+    db.db.prepare('DELETE FROM patient_consent_events WHERE patient_phone = ?').run(phone);
+  });
+}
+
+// Insert an appointment row directly, starting daysFromNow days ahead
+function createAppointment(name, daysFromNow) {
+  const start = new Date(Date.now() + daysFromNow * 24 * 60 * 60 * 1000);
+  const id = `APT-SMS-${suffix}-${name}`.toUpperCase();
+  db.createAppointment({
+    id,
+    patient_name: `Texting Patient ${suffix}`,
+    patient_phone: patientPhone,
+    patient_email: null,
+    appointment_type: 'Follow-up Session',
+    date: start.toISOString().slice(0, 10),
+    time: start.toISOString().slice(11, 16),
+    start_time: start.toISOString(),
+    end_time: new Date(start.getTime() + 30 * 60 * 1000).toISOString(),
+    duration_minutes: 30,
+    provider: providerName,
+    status: 'scheduled',
+    notes: '',
+    calendar_event_id: null,
+    calendar_link: null,
+    created_at: new Date().toISOString()
+  });
+  return id;
+}
+
+function webhookUrl() {
+  return `${process.env.BASE_URL || `http://127.0.0.1:${server.address().port}`}/webhook/twilio/sms`;
+}
+
+// Post a text the way Twilio does; returns the TwiML reply
+async function text(body, { from = `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`, sid, headers = {} } = {}) {
+  const params = { From: from, To: '+15550000000', Body: body, MessageSid: sid || `SM${suffix}${++messageCount}` };
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/webhook/twilio/sms`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+    body: new URLSearchParams(params).toString()
+  });
+  return { status: response.status, twiml: await response.text(), params };
+}
+
+async function admin(path, body) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/admin/sms${path}`, body ? {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  } : undefined);
+  return { status: response.status, body: await response.json() };
+}
+
+async function runTest() {
+  // Record emails instead of sending them
+  EmailService.sendEmail = async () => ({ success: true, message_id: 'test', provider: 'test' });
+  delete process.env.TWILIO_AUTH_TOKEN;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/webhook/twilio', smsWebhookRoutes);
+  app.use('/api/admin/sms', smsInboxRoutes);
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  console.log('\n🔤 Keywords');
+  check('Single letters and words are keywords', SMSReplyService.parseIntent('c') === 'confirm' &&
+    SMSReplyService.parseIntent(' Cancel. ') === 'cancel' && SMSReplyService.parseIntent('R') === 'reschedule_request');
+  check('Compliance keywords recognised', SMSReplyService.parseIntent('stop') === 'stop' &&
+    SMSReplyService.parseIntent('UNSTOP') === 'start' && SMSReplyService.parseIntent('help') === 'help');
+  check('Longer messages are for staff', SMSReplyService.parseIntent('Cancel my appointment and call me back please') === 'unknown');
+
+  console.log('\n📅 Appointment replies');
+  const firstId = createAppointment('First', 3);
+  const secondId = createAppointment('Second', 10);
+
+  let result = await text('C');
+  check('C confirms the next appointment', /is confirmed/.test(result.twiml) && result.twiml.includes('<Message>') &&
+    db.getAppointment(firstId).status === 'confirmed' && db.getAppointment(secondId).status === 'scheduled');
+  check('Confirmation recorded as the patient', db.getAppointmentStatusHistory(firstId).pop().actor === 'patient');
+
+  const retry = await text('C', { sid: result.params.MessageSid });
+  const logged = SMSReplyService.getMessages({ phone: patientPhone });
+  check('Twilio retry answered once', retry.twiml === result.twiml && logged.length === 1 &&
+    logged[0].intent === 'confirm' && logged[0].appointment_id === firstId);
+
+  result = await text('Cancel');
+  check('CANCEL cancels the next appointment', /is cancelled/.test(result.twiml) &&
+    db.getAppointment(firstId).status === 'cancelled');
+  result = await text('yes');
+  check('Next reply maps to the following appointment', db.getAppointment(secondId).status === 'confirmed');
+
+  console.log('\n📥 Staff inbox');
+  result = await text('R');
+  check('Reschedule request acknowledged', /find a new time/.test(result.twiml));
+  result = await text('Is there parking near the office?');
+  check('Free text acknowledged', /get back to you/.test(result.twiml));
+  result = await text('C', { from: strangerPhone });
+  check('Unknown number told there is no appointment', /could not find an upcoming appointment/.test(result.twiml));
+
+  let inbox = await admin(`/inbox?phone=${encodeURIComponent(patientPhone)}`);
+  check('Reschedule request and free text are open in the inbox', inbox.status === 200 && inbox.body.count === 2 &&
+    inbox.body.messages.some(m => m.intent === 'reschedule_request' && m.appointment_id === secondId) &&
+    inbox.body.messages.some(m => m.intent === 'unknown'));
+  check('Unmatched keyword goes to the inbox', SMSReplyService.getMessages({ status: 'open', phone: strangerPhone }).length === 1);
+
+  const [question, request] = inbox.body.messages;
+  let response = await admin(`/inbox/${request.id}/resolve`, { actor: 'front_desk', note: 'Moved to Friday' });
+  check('Staff resolve an inbox message', response.status === 200 && response.body.message.inbox_status === 'resolved' &&
+    response.body.message.resolved_by === 'front_desk');
+  response = await admin(`/inbox/${request.id}/resolve`, {});
+  check('Resolving twice is a conflict', response.status === 409);
+  response = await admin(`/inbox/${question.id}/reply`, { message: 'Yes, there is a lot behind the building.' });
+  check('Staff reply by text closes the message', response.status === 200 && response.body.message.inbox_status === 'resolved' &&
+    /lot behind the building/.test(response.body.message.resolution_note));
+  inbox = await admin(`/inbox?phone=${encodeURIComponent(patientPhone)}`);
+  check('Inbox empty after handling', inbox.body.count === 0);
+
+  console.log('\n🔕 STOP / START / HELP');
+  result = await text('STOP');
+  check('STOP opts the number out', /unsubscribed/.test(result.twiml) && SMSService.isOptedOut(patientPhone));
+  const blocked = await SMSService.sendSMS(patientPhone, 'Test message');
+  check('Outbound texts blocked after STOP', !blocked.success && blocked.opted_out);
+  result = await text('Hello?');
+  check('No reply to an opted-out number', !result.twiml.includes('<Message>') &&
+    SMSReplyService.getMessages({ status: 'open', phone: patientPhone }).length === 1);
+  result = await text('HELP');
+  check('HELP always answered', /Reply STOP to opt out/.test(result.twiml));
+  result = await text('START');
+  check('START opts back in', /resubscribed/.test(result.twiml) && !SMSService.isOptedOut(patientPhone));
+
+  console.log('\n🔐 Signature');
+  process.env.TWILIO_AUTH_TOKEN = 'test-auth-token';
+  result = await text('HELP');
+  check('Unsigned request rejected', result.status === 403);
+  const params = { From: patientPhone, To: '+15550000000', Body: 'HELP', MessageSid: `SM${suffix}signed` };
+  result = await text('HELP', {
+    from: patientPhone,
+    sid: params.MessageSid,
+    headers: { 'X-Twilio-Signature': twilio.getExpectedTwilioSignature('test-auth-token', webhookUrl(), params) }
+  });
+  check('Signed request accepted', result.status === 200 && /Reply STOP/.test(result.twiml));
+  delete process.env.TWILIO_AUTH_TOKEN;
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(async () => {
+    cleanup();
+    if (server) await new Promise(resolve => server.close(resolve));
+    console.log(failures === 0 ? '\n✅ Two-way SMS test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
@@ -0,0 +1,145 @@
+/**
+ * Waitlist test
+ *
+ * Verifies:
+ * - Cancelling an appointment offers the freed slot to the first matching waitlisted patient
+ * - A pending offer holds the slot against regular bookings
+ * - Declined/expired offers roll over to the next patient in line
+ * - Accepting an offer books the slot through BookingService
+ *
+ * Run: node tests/test-waitlist.js
+ */
+
+require('dotenv').config();
+
+const db = require('../database');
+const BookingService = require('../services/booking-service');
+const WaitlistService = require('../services/waitlist-service');
+const ProviderScheduleService = require('../services/provider-schedule-service');
+
+const suffix = Date.now().toString(36);
+const created = { providerId: null, entries: [] };
+let failures = 0;
+
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+// First Tuesday at least 120 days out, so real bookings never collide
+function futureTuesday() {
+  const d = new Date();
+  d.setDate(d.getDate() + 120);
+  while (d.getDay() !== 2) d.setDate(d.getDate() + 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Cancellation hands the slot to the waitlist in the background
+const settle = () => new Promise(resolve => setTimeout(resolve, 300));
+
+function pendingOffer(entryId) {
+  return db.getWaitlistOffersForEntry(entryId).find(o => o.status === 'pending');
+}
+
+function cleanup() {
+  for (const id of created.entries) {
+    db.db.prepare('DELETE FROM waitlist_offers WHERE waitlist_entry_id = ?').run(id);
+    db.db.prepare('DELETE FROM waitlist_entries WHERE id = ?').run(id);
+  }
+  if (created.providerId) {
+    db.db.prepare('DELETE FROM appointments WHERE provider_id = ?').run(created.providerId);
+    db.db.prepare('DELETE FROM provider_schedules WHERE provider_id = ?').run(created.providerId);
+    db.db.prepare('DELETE FROM providers WHERE id = ?').run(created.providerId);
+  }
+}
+
+function join(name, extra = {}) {
+  const entry = WaitlistService.addToWaitlist({
+    patient_name: `${name} ${suffix}`,
+    patient_phone: `+1555555${String(created.entries.length).padStart(4, '0')}`,
+    provider: created.providerId,
+    ...extra
+  });
+  created.entries.push(entry.id);
+  return entry;
+}
+
+async function runTest() {
+  const tuesday = futureTuesday();
+  const provider = ProviderScheduleService.createProvider({ name: `Dr. Waitlist ${suffix}` });
+  created.providerId = provider.id;
+  ProviderScheduleService.setWeeklySchedule(provider.id, [{ day_of_week: 2, start_time: '09:00', end_time: '17:00' }]);
+
+  const booking = await BookingService.scheduleAppointment({
+    patient_name: `Original ${suffix}`,
+    patient_phone: '+15555559999',
+    date: tuesday,
+    time: '10:00',
+    provider: provider.id
+  });
+  check('Original appointment booked', booking.success);
+
+  console.log('\n📝 Waitlist registration');
+  const mondaysOnly = join('Mondays Only', { preferred_days: 'monday' });
+  const afternoons = join('Afternoons', { preferred_time_start: '13:00' });
+  const first = join('First In Line', { preferred_days: ['tuesday'], preferred_time_start: '09:00', preferred_time_end: '12:00' });
+  const second = join('Second In Line');
+  check('Preferred days normalized', JSON.stringify(mondaysOnly.preferred_days) === '[1]');
+
+  console.log('\n🔔 Offer on cancellation');
+  await BookingService.cancelAppointment(booking.appointment.id, 'Schedule conflict');
+  await settle();
+
+  const offer = pendingOffer(first.id);
+  check('First matching patient gets the offer', !!offer);
+  check('Non-matching patients are skipped', !pendingOffer(mondaysOnly.id) && !pendingOffer(afternoons.id));
+  check('Only one patient is offered at a time', !pendingOffer(second.id));
+
+  const directBooking = await BookingService.scheduleAppointment({
+    patient_name: `Walk-in ${suffix}`,
+    patient_phone: '+15555558888',
+    date: tuesday,
+    time: '10:00',
+    provider: provider.id
+  });
+  check('Held slot cannot be booked directly', !directBooking.success);
+
+  console.log('\n↩️  Decline and expiry');
+  const declined = await WaitlistService.declineOffer(offer.token);
+  check('Decline rolls the offer to the next patient', declined.success && !!pendingOffer(second.id));
+
+  // Force the second patient's hold to run out
+  const secondOffer = pendingOffer(second.id);
+  db.db.prepare('UPDATE waitlist_offers SET expires_at = ? WHERE id = ?').run(new Date(Date.now() - 1000).toISOString(), secondOffer.id);
+  const expiredAccept = await WaitlistService.acceptOffer(secondOffer.token);
+  check('Expired offer cannot be accepted', !expiredAccept.success);
+
+  console.log('\n🎟️  Accept');
+  // Replay the freed slot as BookingService would have seen it before cancelling
+  const freed = { ...db.getAppointment(booking.appointment.id), status: 'scheduled' };
+  const reopened = await WaitlistService.handleFreedSlot(freed);
+  check('Everyone already offered is not offered again', reopened.length === 0);
+
+  const late = join('Late Joiner');
+  const rerun = await WaitlistService.handleFreedSlot(freed);
+  const lateOffer = pendingOffer(late.id);
+  check('New patient receives the open slot', rerun.length === 1 && !!lateOffer);
+
+  const accepted = await WaitlistService.acceptOffer(lateOffer.token);
+  check('Accepting books the appointment', accepted.success && accepted.appointment.time === '10:00');
+  check('Entry marked booked', db.getWaitlistEntry(late.id).status === 'booked');
+
+  const again = await WaitlistService.acceptOffer(lateOffer.token);
+  check('Offer cannot be accepted twice', !again.success);
+}
+
+runTest()
+  .catch(error => {
+    console.error('\n❌ Test failed:', error);
+    failures++;
+  })
+  .finally(() => {
+    cleanup();
+    console.log(failures === 0 ? '\n✅ Waitlist test complete.' : `\n❌ ${failures} check(s) failed.`);
+    process.exit(failures === 0 ? 0 : 1);
+  });
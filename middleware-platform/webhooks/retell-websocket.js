@@ -7,6 +7,7 @@
 
 const WebSocket = require('ws');
 const axios = require('axios');
+const SlotHoldService = require('../services/slot-hold-service');
 
 class RetellWebSocketHandler {
     constructor(db, config) {
@@ -41,6 +42,7 @@ class RetellWebSocketHandler {
         // Handle connection close
         ws.on('close', () => {
             console.log(`📴 Call ended: ${callId}`);
+            SlotHoldService.releaseCall(callId);
             this.activeConnections.delete(callId);
         });
 
@@ -140,6 +142,10 @@ class RetellWebSocketHandler {
                     result = await this.handleGetAvailableSlots(callId, functionArgs);
                     break;
 
+                case 'join_waitlist':
+                    result = await this.handleJoinWaitlist(callId, functionArgs);
+                    break;
+
                 case 'search_appointments':
                     result = await this.handleSearchAppointments(callId, functionArgs);
                     break;
@@ -420,8 +426,13 @@ class RetellWebSocketHandler {
                 appointment_type: args.appointment_type,
                 date: args.date,
                 time: args.time,
+                provider: args.provider,
                 timezone: args.timezone || 'America/New_York',
-                notes: args.notes
+                notes: args.notes,
+                call_id: callId,
+                recurrence: args.recurrence,
+                occurrences: args.occurrences,
+                end_date: args.end_date
             });
 
             return response.data;
@@ -439,7 +450,33 @@ class RetellWebSocketHandler {
             const response = await axios.post(`${this.config.apiBaseUrl || 'http://localhost:4000'}/voice/appointments/available-slots`, {
                 date: args.date,
                 appointment_type: args.appointment_type,
-                timezone: args.timezone || 'America/New_York'
+                provider: args.provider,
+                timezone: args.timezone || 'America/New_York',
+                call_id: callId
+            });
+
+            return response.data;
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Handle join_waitlist function
+    async handleJoinWaitlist(callId, args) {
+        try {
+            const response = await axios.post(`${this.config.apiBaseUrl || 'http://localhost:4000'}/voice/waitlist/join`, {
+                patient_name: args.patient_name,
+                patient_phone: args.patient_phone || this.getCustomerPhone(callId),
+                patient_email: args.patient_email,
+                appointment_type: args.appointment_type,
+                provider: args.provider,
+                preferred_days: args.preferred_days,
+                preferred_time_start: args.preferred_time_start,
+                preferred_time_end: args.preferred_time_end,
+                latest_date: args.latest_date
             });
 
             return response.data;
@@ -508,7 +545,8 @@ class RetellWebSocketHandler {
                 new_date: args.new_date,
                 new_time: args.new_time,
                 reason: args.reason,
-                timezone: args.timezone || 'America/New_York'
+                timezone: args.timezone || 'America/New_York',
+                call_id: callId
             });
 
             return response.data;